@@ -125,6 +125,7 @@ DG.CaseCardController = DG.CaseDisplayController.extend(
         tButtons.push(this.createInfoButton());
         tButtons.push(this.createTrashButton());
         tButtons.push(this.createHideShowButton());
+        tButtons.push(this.createSearchButton());
         tButtons.push(this.createRulerButton());
 
         return tButtons;
@@ -137,6 +138,8 @@ DG.CaseCardController = DG.CaseDisplayController.extend(
         tItems.push(this.createExportCaseButton());
         tItems.push(this.createCopyToClipboardButton());
         tItems.push(this.createGetFromClipboardButton());
+        tItems = tItems.concat(this.createReshapeButtons());
+        tItems.push(this.createJoinButton());
 
         DG.MenuPane.create({
           classNames: 'dg-attributes-popup'.w(),
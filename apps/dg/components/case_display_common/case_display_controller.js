@@ -135,6 +135,19 @@ DG.CaseDisplayController = DG.ComponentController.extend(
         });
       },
 
+      createSearchButton: function () {
+        return DG.IconButton.create({
+          layout: {width: 32},
+          classNames: 'dg-display-search'.w(),
+          iconClass: 'moonicon-icon-search',
+          showBlip: true,
+          target: this,
+          action: 'showSearchPopup',
+          toolTip: 'DG.Inspector.search.toolTip',  // "Find and select cases which match a search query"
+          localize: true
+        });
+      },
+
       createRulerButton: function () {
         // ruler
         return DG.IconButton.create({
@@ -188,6 +201,53 @@ DG.CaseDisplayController = DG.ComponentController.extend(
         };
       },
 
+      /**
+       * Returns the menu items for reshaping the data into a new dataset and, if the
+       * data was itself created by reshaping another dataset, for refreshing it.
+       * @return {[Object]}
+       */
+      createReshapeButtons: function () {
+        var tDataContext = this.get('dataContext'),
+            tProvenance = tDataContext && tDataContext.getProvenance(),
+            tItems = [
+              {
+                title: 'DG.Inspector.unpivotAttributes', // "Unpivot Attributes..."
+                localize: true,
+                target: this,
+                dgAction: 'unpivotAttributes'
+              },
+              {
+                title: 'DG.Inspector.pivotByAttribute', // "Pivot by Attribute..."
+                localize: true,
+                target: this,
+                dgAction: 'pivotByAttribute'
+              }
+            ];
+        if (tProvenance) {
+          tItems.push({
+            title: 'DG.Inspector.refreshReshapedData'.loc(tProvenance.sourceName), // "Refresh from '%@'"
+            target: this,
+            dgAction: 'refreshReshapedData',
+            isEnabled: !!DG.appController.getReshapeSourceContext(tDataContext)
+          });
+        }
+        return tItems;
+      },
+
+      createJoinButton: function () {
+        var tDataContext = this.get('dataContext'),
+            tContexts = DG.currDocumentController().get('contexts');
+        return {
+          title: 'DG.Inspector.joinWithDataset', // "Join with Dataset..."
+          localize: true,
+          target: this,
+          dgAction: 'joinWithDataset',
+          isEnabled: tContexts.some(function (iContext) {
+            return iContext !== tDataContext;
+          })
+        };
+      },
+
       createRandomizeButton: function () {
         var tDataContext = this.get('dataContext');
         return {
@@ -276,6 +336,11 @@ DG.CaseDisplayController = DG.ComponentController.extend(
         attributePane.append();
       },
 
+      showSearchPopup: function () {
+        var searchPane = DG.CaseSearchView.create({dataContext: this.dataContext});
+        searchPane.append();
+      },
+
       /**
        * Creates and renders a menu of hide/show-related actions.
        * Menu is common to the CaseTable and CaseCard components.
@@ -452,13 +517,7 @@ DG.CaseDisplayController = DG.ComponentController.extend(
        * Randomize all attributes
        */
       randomizeAllAttributes: function() {
-        var dataContext = this.get('dataContext'),
-            dependencyMgr = dataContext && dataContext.get('dependencyMgr'),
-            randomNode = dependencyMgr &&
-                dependencyMgr.findNode({ type: DG.DEP_TYPE_SPECIAL,
-                  id: 'random' });
-        if (dataContext)
-          dataContext.invalidateDependentsAndNotify([randomNode]);
+        DG.DataContextUtilities.randomizeAllAttributes( this.get('dataContext'));
       },
 
       /**
@@ -500,17 +559,73 @@ DG.CaseDisplayController = DG.ComponentController.extend(
         }
       },
 
+      /**
+       * Export case data to a file.
+       * Puts up dialog to select the collection, format and options, then
+       * exports the case data in the chosen format.
+       */
       exportCaseData: function () {
         var tDataContext = this.get('dataContext');
-        var exportCollection = function (whichCollection) {
-          var caseDataString = tDataContext.exportCaseData(whichCollection);
-          DG.exportFile(caseDataString, "csv", "text/plain");
-        };
-        this._exportCaseData(tDataContext,
-            'DG.AppController.exportCaseData.prompt',
-            'DG.AppController.exportDocument.exportTitle',
-            'DG.AppController.exportDocument.exportTooltip',
-            exportCollection);
+        DG.CreateCaseDataExportDialog({
+          dataContext: tDataContext,
+          exportAction: function (whichCollection, options) {
+            var format = DG.CaseDataExportUtilities.kFormats[options.format],
+                caseDataString = tDataContext.exportCaseData(whichCollection, options);
+            DG.exportFile(caseDataString, format.extension, format.mimeType);
+          }
+        });
+      },
+
+      /**
+       * Puts up a dialog to choose the attributes to unpivot, then creates a new
+       * dataset with the unpivoted (long) data.
+       */
+      unpivotAttributes: function () {
+        this.reshapeData('unpivot');
+      },
+
+      /**
+       * Puts up a dialog to choose the attributes to pivot by, then creates a new
+       * dataset with the pivoted (wide) data.
+       */
+      pivotByAttribute: function () {
+        this.reshapeData('pivot');
+      },
+
+      /**
+       * @param iOperation {string} 'unpivot' or 'pivot'
+       */
+      reshapeData: function (iOperation) {
+        var tDataContext = this.get('dataContext');
+        DG.CreateReshapeDialog({
+          dataContext: tDataContext,
+          operation: iOperation,
+          reshapeAction: function (operation, options) {
+            DG.appController.reshapeDataContext(tDataContext, operation, options);
+          }
+        });
+      },
+
+      /**
+       * Puts up a dialog to choose another dataset, the type of join and the key
+       * attributes, then creates a new dataset with the joined data.
+       */
+      joinWithDataset: function () {
+        var tDataContext = this.get('dataContext');
+        DG.CreateJoinDialog({
+          dataContext: tDataContext,
+          joinAction: function (otherContext, options) {
+            DG.appController.joinDataContexts(tDataContext, otherContext, options);
+          }
+        });
+      },
+
+      /**
+       * Replaces the data of a dataset created by reshaping another dataset with
+       * the current data of the source dataset.
+       */
+      refreshReshapedData: function () {
+        DG.appController.refreshReshapedDataContext(this.get('dataContext'));
       },
 
       /**
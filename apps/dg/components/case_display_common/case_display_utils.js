@@ -27,7 +27,7 @@ DG.CaseDisplayUtils = {
     var name = iAttribute.get('name'),
         unit = iAttribute.get('unit'),
         description = iAttribute.get('description'),
-        formula = iAttribute.get('formula');
+        formula = DG.FormulaLocalizer.toLocalized(iAttribute.get('formula'));
     if (!description && !formula)
       return unit ? 'DG.CaseCard.attrHintUnitsOnly'.loc(name, unit)
                   : 'DG.CaseCard.attrHintPlain'.loc(name);
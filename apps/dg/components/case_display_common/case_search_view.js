@@ -0,0 +1,179 @@
+// ==========================================================================
+//                            DG.CaseSearchView
+//
+//  Copyright (c) 2021 by The Concord Consortium, Inc. All rights reserved.
+//
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing, software
+//  distributed under the License is distributed on an "AS IS" BASIS,
+//  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//  See the License for the specific language governing permissions and
+//  limitations under the License.
+// ==========================================================================
+sc_require('views/inspector/picker_title_view');
+sc_require('utilities/search_query_utilities');
+/** @class
+
+   Provides a search box for finding and selecting the cases of a dataset which match a
+   query in the search language of DG.SearchQueryUtilities. Invalid queries are reported
+   as they are typed.
+
+ @extends SC.PalettePane
+ */
+DG.CaseSearchView = SC.PalettePane.extend( (function() // closure
+    /** @scope DG.CaseSearchView.prototype */ {
+  var kLeading = 5;
+
+  var kPaneWidth = 360;
+  var kButtonWidth = 90;
+
+  var kPaneHeight = 190;
+  var kTitleHeight = 26;
+  var kQueryHeight = 24;
+  var kMessageHeight = 48;
+  var kButtonHeight = 24;
+
+  return {
+      dataContext: null,
+      classNames: 'dg-inspector-picker dg-case-search'.w(),
+      layout: {width: kPaneWidth, height: kPaneHeight, centerX: 0, centerY: 0},
+      isModal: false,
+      contentView: SC.View.extend(SC.FlowedLayout, {
+        layoutDirection: SC.LAYOUT_VERTICAL,
+        isResizable: false,
+        isClosable: false,
+        defaultFlowSpacing: {left: kLeading, right: kLeading, bottom: kLeading},
+        canWrap: false,
+        align: SC.ALIGN_TOP,
+        childViews: [
+          'title',
+          'queryCtl',
+          'messageView',
+          'closeOrSelectCtl'
+        ],
+
+        title: DG.PickerTitleView.extend({
+          layout: {height: kTitleHeight, width: kPaneWidth},
+          flowSpacing: {left: 0, right: 0, bottom: kLeading},
+          title: 'DG.CaseSearchView.title', // "Find Cases"
+          localize: true
+        }),
+
+        queryCtl: SC.TextFieldView.design({
+          layout: {height: kQueryHeight, width: kPaneWidth - 2 * kLeading},
+          backgroundColor: 'white',
+          hint: 'DG.CaseSearchView.hint',  // "e.g. height > 150 and name startsWith A"
+          localize: true,
+          value: ''
+        }),
+
+        messageView: SC.LabelView.design({
+          classNames: 'dg-case-search-message'.w(),
+          layout: {height: kMessageHeight, width: kPaneWidth - 2 * kLeading},
+          value: ''
+        }),
+
+        closeOrSelectCtl: SC.View.design(SC.FlowedLayout, {
+          layoutDirection: SC.LAYOUT_HORIZONTAL,
+          defaultFlowSpacing: 5,
+          align: SC.ALIGN_RIGHT,
+          layout: {
+            width: kPaneWidth - 2 * kLeading,
+            height: kButtonHeight + 6
+          },
+          childViews: 'close select'.w(),
+          close: SC.ButtonView.design({
+            layout: { width: kButtonWidth, height: kButtonHeight },
+            titleMinWidth: 0,
+            title: 'DG.CaseSearchView.close', // "Close"
+            target: null,
+            action: 'close',
+            localize: true,
+            isCancel: true
+          }),
+          select: SC.ButtonView.design({
+            layout: { width: kButtonWidth, height: kButtonHeight },
+            titleMinWidth: 0,
+            title: 'DG.CaseSearchView.select', // "Select"
+            target: null,
+            action: 'selectMatchingCases',
+            toolTip: 'DG.CaseSearchView.selectTooltip', // "Select the cases which match the query"
+            localize: true,
+            isDefault: true,
+            isEnabled: false
+          })
+        })
+      }),
+
+      /**
+        Reports whether the query is valid as it is typed.
+       */
+      queryDidChange: function () {
+        var contentView = this.get('contentView'),
+            query = contentView.getPath('queryCtl.value'),
+            dataSet = this.getPath('dataContext.dataSet'),
+            message = 'DG.CaseSearchView.help'.loc(),
+            isValid = false;
+        if (!SC.empty(query) && dataSet) {
+          try {
+            dataSet.parseSearchQuery(query);
+            isValid = true;
+          }
+          catch (ex) {
+            message = ex.message;
+          }
+        }
+        contentView.setPath('messageView.value', message);
+        contentView.setPath('closeOrSelectCtl.select.isEnabled', isValid);
+      }.observes('.contentView.queryCtl.value'),
+
+      /**
+        Selects the cases of the child collection whose items match the query.
+       */
+      selectMatchingCases: function () {
+        var dataContext = this.get('dataContext'),
+            contentView = this.get('contentView'),
+            collection = dataContext && dataContext.getLastCollection(),
+            matchingItemIDs = {},
+            cases;
+        if (!collection) return;
+        try {
+          dataContext.get('dataSet').getItemsBySearch(contentView.getPath('queryCtl.value'))
+              .forEach(function (iItem) {
+                matchingItemIDs[iItem.id] = true;
+              });
+        }
+        catch (ex) {
+          contentView.setPath('messageView.value', ex.message);
+          return;
+        }
+        cases = collection.get('casesController').filter(function (iCase) {
+          return matchingItemIDs[iCase.getPath('item.id')];
+        });
+        dataContext.applyChange({
+          operation: 'selectCases',
+          collection: collection,
+          cases: cases,
+          select: true,
+          extend: false
+        });
+        contentView.setPath('messageView.value', 'DG.CaseSearchView.matches'.loc(cases.length));
+      },
+
+      close: function () {
+        this.remove();
+        this.destroy();
+      },
+
+      init: function () {
+        sc_super();
+        this.queryDidChange();
+      }
+    };
+  }())
+);
@@ -23,6 +23,8 @@ sc_require('views/inspector/picker_control_view');
    Provides an editor view for examining and modifying dataset metadata.
    Dataset metadata includes a free form description, the file or url from which the data
    was drawn, time of creation, ...
+   The filters of the dataset are listed as well, and can be added, edited, turned on or off
+   and removed. Like the metadata, changes to the filters take effect when they are applied.
 
  @extends SC.View
  */
@@ -35,7 +37,7 @@ DG.DatasetMetadataView = SC.PalettePane.extend( (function() // closure
   var kButtonWidth = 90;
   var kCancelSaveWidth = kPaneWidth;
 
-  var kPaneHeight = 310;
+  var kPaneHeight = 510;
   var kTitleHeight = 26;
   var kRowHeight = 20;
   var kControlHeight = kRowHeight - 2;
@@ -43,6 +45,7 @@ DG.DatasetMetadataView = SC.PalettePane.extend( (function() // closure
   var kCancelSaveHeight = kControlHeight + 10;
 
   var kDescriptionLines = 8;
+  var kFilterListLines = 4;
 
   return {
       dataContext: null,
@@ -63,6 +66,12 @@ DG.DatasetMetadataView = SC.PalettePane.extend( (function() // closure
           'urlCtl',
           'creationDateCtl',
           'descriptionCtl',
+          'filtersLabel',
+          'filterList',
+          'filterNameCtl',
+          'filterFormulaCtl',
+          'filterMessage',
+          'filterButtonsCtl',
           'applyOrCancelCtl'
         ],
 
@@ -135,6 +144,102 @@ DG.DatasetMetadataView = SC.PalettePane.extend( (function() // closure
           })
         }),
 
+        filtersLabel: SC.LabelView.design({
+          layout: {height: kRowHeight, width: kPaneWidth},
+          flowSpacing: {left: kLeading, right: kLeading, bottom: 0},
+          fontWeight: SC.BOLD_WEIGHT,
+          value: 'DG.DatasetMetadataView.filters', // "Filters"
+          localize: true
+        }),
+
+        filterList: SC.LabelView.design({
+          layout: {height: kRowHeight * kFilterListLines, width: kPaneWidth - 2 * kLeading},
+          flowSpacing: {left: kLeading, right: kLeading, bottom: kLeading},
+          classNames: 'dg-dataset-filters'.w(),
+          escapeHTML: NO,
+          value: '',
+
+          /**
+            Toggles, edits or removes the filter which was clicked.
+           */
+          mouseDown: function(iEvent) {
+            var target = $(iEvent.target),
+                index = target.closest('[data-filter-index]').attr('data-filter-index'),
+                action = target.closest('[data-filter-action]').attr('data-filter-action') || 'edit';
+            if (index != null) {
+              this.get('pane').handleFilterAction(action, Number(index));
+              return YES;
+            }
+            return NO;
+          }
+        }),
+
+        filterNameCtl: DG.PickerControlView.design({
+          layout: {height: kRowHeight},
+          label: 'DG.DatasetMetadataView.filterName', // "filter name"
+          localize: true,
+          controlView: SC.TextFieldView.extend({
+            layout: {
+              centerY: 0,
+              width: kControlWidth,
+              height: kControlHeight
+            },
+            backgroundColor: 'white'
+          })
+        }),
+
+        filterFormulaCtl: DG.PickerControlView.design({
+          layout: {height: kRowHeight},
+          label: 'DG.DatasetMetadataView.filterFormula', // "formula"
+          localize: true,
+          controlView: SC.TextFieldView.extend({
+            layout: {
+              centerY: 0,
+              width: kControlWidth,
+              height: kControlHeight
+            },
+            backgroundColor: 'white',
+            hint: 'DG.DatasetMetadataView.filterFormulaHint', // "e.g. Height > 150"
+            localize: true
+          })
+        }),
+
+        filterMessage: SC.LabelView.design({
+          layout: {height: kRowHeight, width: kPaneWidth - 2 * kLeading},
+          flowSpacing: {left: kLeading, right: kLeading, bottom: 0},
+          classNames: 'dg-dataset-filter-message'.w(),
+          value: ''
+        }),
+
+        filterButtonsCtl: SC.View.design(SC.FlowedLayout, {
+          layoutDirection: SC.LAYOUT_HORIZONTAL,
+          defaultFlowSpacing: 5,
+          align: SC.ALIGN_CENTER,
+          layout: {
+            width: kPaneWidth,
+            height: kButtonHeight
+          },
+          childViews: 'saveFilter addSelectionFilter'.w(),
+          saveFilter: SC.ButtonView.design({
+            layout: { width: kButtonWidth + 20, height: kButtonHeight },
+            titleMinWidth: 0,
+            title: 'DG.DatasetMetadataView.saveFilter', // "Save Filter"
+            target: null,
+            action: 'saveFilter',
+            toolTip: 'DG.DatasetMetadataView.saveFilterTooltip',
+            localize: true
+          }),
+          addSelectionFilter: SC.ButtonView.design({
+            layout: { width: kButtonWidth + 20, height: kButtonHeight },
+            titleMinWidth: 0,
+            title: 'DG.DatasetMetadataView.addSelectionFilter', // "From Selection"
+            target: null,
+            action: 'addSelectionFilter',
+            toolTip: 'DG.DatasetMetadataView.addSelectionFilterTooltip',
+            localize: true
+          })
+        }),
+
         applyOrCancelCtl: SC.View.design(SC.FlowedLayout, {
           layoutDirection: SC.LAYOUT_VERTICAL,
           defaultFlowSpacing: 5,
@@ -180,9 +285,129 @@ DG.DatasetMetadataView = SC.PalettePane.extend( (function() // closure
           contentView.setPath('urlCtl.controlView.value', metadata.source);
           contentView.setPath('creationDateCtl.controlView.value', importDate);
           contentView.setPath('descriptionCtl.controlView.value', metadata.description);
+          this._filters = dataContext.getFilters().map(function (iFilter) {
+            return SC.clone(iFilter);
+          });
+          this.renderFilters();
         }
       }.observes('dataContext'),
 
+      /**
+        The filters as edited, which replace those of the data context when applied.
+        @property {[Object]}
+       */
+      _filters: null,
+
+      /**
+        Lists the filters with their definitions and controls for turning them on or off
+        and removing them.
+       */
+      renderFilters: function () {
+        var escape = SC.RenderContext.escapeHTML,
+            html = this._filters.map(function (iFilter, iIndex) {
+              var definition = iFilter.itemIDs
+                                ? 'DG.DatasetMetadataView.selectionFilter'.loc(iFilter.itemIDs.length)
+                                : iFilter.formula;
+              return '<li data-filter-index="' + iIndex + '" title="' +
+                      escape('DG.DatasetMetadataView.editFilterTooltip'.loc()) + '">' +
+                      '<span class="dg-dataset-filter-check" data-filter-action="toggle">' +
+                      (iFilter.isActive ? '☑' : '☐') + '</span> <strong>' + escape(iFilter.name) +
+                      '</strong> ' + escape(definition) +
+                      ' <span class="dg-dataset-filter-remove" data-filter-action="remove">✕</span></li>';
+            });
+        this.setPath('contentView.filterList.value', html.length
+                      ? '<ul>' + html.join('') + '</ul>'
+                      : escape('DG.DatasetMetadataView.noFilters'.loc()));
+      },
+
+      /**
+        Responds to a click on the filter at the given index in the list.
+        @param {String} iAction 'toggle', 'remove' or 'edit'
+        @param {Number} iIndex
+       */
+      handleFilterAction: function (iAction, iIndex) {
+        var filter = this._filters[iIndex],
+            contentView = this.get('contentView');
+        if (!filter) return;
+        switch (iAction) {
+          case 'toggle':
+            filter.isActive = !filter.isActive;
+            break;
+          case 'remove':
+            this._filters.splice(iIndex, 1);
+            break;
+          default:
+            contentView.setPath('filterNameCtl.controlView.value', filter.name);
+            contentView.setPath('filterFormulaCtl.controlView.value', filter.formula || '');
+        }
+        contentView.setPath('filterMessage.value', '');
+        this.renderFilters();
+      },
+
+      /**
+        Returns the name entered for a filter, reporting its absence.
+        @returns {String|null}
+       */
+      getFilterName: function () {
+        var name = (this.getPath('contentView.filterNameCtl.controlView.value') || '').trim();
+        if (!name)
+          this.setPath('contentView.filterMessage.value', 'DG.DatasetMetadataView.filterNameRequired'.loc());
+        return name || null;
+      },
+
+      /**
+        Adds a filter, or replaces the filter of the same name, from the name and formula entered.
+       */
+      saveFilter: function () {
+        var contentView = this.get('contentView'),
+            name = this.getFilterName(),
+            formula = contentView.getPath('filterFormulaCtl.controlView.value'),
+            error, existing;
+        if (!name) return;
+        error = this.get('dataContext').validateFilterFormula(formula);
+        if (error) {
+          contentView.setPath('filterMessage.value', error);
+          return;
+        }
+        existing = this._filters.find(function (iFilter) {
+          return iFilter.name === name;
+        });
+        if (existing) {
+          existing.formula = formula;
+          delete existing.itemIDs;
+        }
+        else
+          this._filters.push({ name: name, formula: formula, isActive: true });
+        contentView.setPath('filterMessage.value', '');
+        this.renderFilters();
+      },
+
+      /**
+        Adds a filter, or replaces the filter of the same name, consisting of the selected cases.
+       */
+      addSelectionFilter: function () {
+        var name = this.getFilterName(),
+            filter = name && this.get('dataContext').createFilterFromSelection(name),
+            index;
+        if (!name) return;
+        if (!filter) {
+          this.setPath('contentView.filterMessage.value', 'DG.DatasetMetadataView.noSelection'.loc());
+          return;
+        }
+        filter.isActive = true;
+        index = this._filters.findIndex(function (iFilter) {
+          return iFilter.name === name;
+        });
+        if (index >= 0) {
+          filter.id = this._filters[index].id;
+          this._filters[index] = filter;
+        }
+        else
+          this._filters.push(filter);
+        this.setPath('contentView.filterMessage.value', '');
+        this.renderFilters();
+      },
+
       update: function () {
         var dataContext = this.get('dataContext');
         var metadata = dataContext.getPath('model.metadata') || {};
@@ -192,6 +417,8 @@ DG.DatasetMetadataView = SC.PalettePane.extend( (function() // closure
         metadata.importDate = contentView.getPath('creationDateCtl.controlView.value');
         metadata.description = contentView.getPath('descriptionCtl.controlView.value');
         dataContext.setPath('model.metadata', metadata);
+        if (JSON.stringify(this._filters) !== JSON.stringify(dataContext.getFilters()))
+          dataContext.changeFilters(this._filters);
 
         DG.log('setting metadata: ' + JSON.stringify(metadata));
         this.close();
@@ -47,7 +47,21 @@ DG.CaseTableAdapter = SC.Object.extend( (function() // closure
       getColumnHeaderString = function( iAttribute) {
         var tName = iAttribute.get('name' ),
             tUnit = iAttribute.get('unit');
-        return tName + (!SC.empty( tUnit) ? ' (' + tUnit + ')' : '');
+        return tName + (!SC.empty( tUnit) ? ' (' + tUnit + ')' : '') + getSortIndicator( iAttribute);
+      },
+
+      getSortKey = function( iAttribute) {
+        var tSortSpec = iAttribute.getPath('collection.sortSpec');
+        return tSortSpec && tSortSpec.findProperty('attrID', iAttribute.get('id'));
+      },
+
+      // e.g. ' ▲' or, when the collection is sorted by several attributes, ' ▼2'
+      getSortIndicator = function( iAttribute) {
+        var tSortSpec = iAttribute.getPath('collection.sortSpec'),
+            tSortKey = getSortKey( iAttribute);
+        if( !tSortKey) return '';
+        return ' ' + (tSortKey.isDescending ? '▼' : '▲') +
+                (tSortSpec.length > 1 ? tSortSpec.indexOf( tSortKey) + 1 : '');
       },
 
       indexFormatter = function  (rowIndex, colIndex, cellValue, colInfo, rowItem) {
@@ -655,6 +669,46 @@ DG.CaseTableAdapter = SC.Object.extend( (function() // closure
                         ioMenuItem.disabled = false;
                       }
                     },
+                    {
+                      title: 'DG.TableController.headerMenuItems.thenSortAscending'.loc(),
+                      command: 'cmdThenSortAscending',
+                      updater: function( iColumn, iMenu, ioMenuItem) {
+                        // only meaningful if the collection is sorted by another attribute
+                        var tSortSpec = iColumn.collection.get('sortSpec') || [];
+                        ioMenuItem.disabled = !tSortSpec.some(function( iKey) {
+                          return iKey.attrID !== iColumn.attribute.get('id');
+                        });
+                      }
+                    },
+                    {
+                      title: 'DG.TableController.headerMenuItems.thenSortDescending'.loc(),
+                      command: 'cmdThenSortDescending',
+                      updater: function( iColumn, iMenu, ioMenuItem) {
+                        var tSortSpec = iColumn.collection.get('sortSpec') || [];
+                        ioMenuItem.disabled = !tSortSpec.some(function( iKey) {
+                          return iKey.attrID !== iColumn.attribute.get('id');
+                        });
+                      }
+                    },
+                    {
+                      title: 'DG.TableController.headerMenuItems.emptyFirst'.loc(),
+                      command: 'cmdToggleEmptyFirst',
+                      updater: function( iColumn, iMenu, ioMenuItem) {
+                        var tSortKey = getSortKey( iColumn.attribute);
+                        ioMenuItem.title = (tSortKey && tSortKey.emptyFirst
+                                              ? 'DG.TableController.headerMenuItems.emptyLast'
+                                              : 'DG.TableController.headerMenuItems.emptyFirst').loc();
+                        ioMenuItem.disabled = !tSortKey;
+                      }
+                    },
+                    {
+                      title: 'DG.TableController.headerMenuItems.clearSort'.loc(),
+                      command: 'cmdClearSort',
+                      updater: function( iColumn, iMenu, ioMenuItem) {
+                        var tSortSpec = iColumn.collection.get('sortSpec');
+                        ioMenuItem.disabled = !(tSortSpec && tSortSpec.length);
+                      }
+                    },
                     {
                       title: 'DG.TableController.headerMenuItems.hideAttribute'.loc(),
                       command: 'cmdHideAttribute',
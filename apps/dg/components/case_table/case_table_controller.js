@@ -79,8 +79,10 @@ DG.CaseTableController = DG.CaseDisplayController.extend(
        */
       destroy: function() {
         var dataContext = this.get('dataContext');
-        if( dataContext)
+        if( dataContext) {
           dataContext.removeObserver('changeCount', this, 'contextDataDidChange');
+          dataContext.removeObserver('sortChangeCount', this, 'sortOrderDidChange');
+        }
         this.caseTableAdapters = null;
         sc_super();
       },
@@ -191,10 +193,14 @@ DG.CaseTableController = DG.CaseDisplayController.extend(
         }
 
         if( dataContext !== this._prevDataContext) {
-          if( this._prevDataContext)
+          if( this._prevDataContext) {
             this._prevDataContext.removeObserver('changeCount', this, 'contextDataDidChange');
-          if( dataContext)
+            this._prevDataContext.removeObserver('sortChangeCount', this, 'sortOrderDidChange');
+          }
+          if( dataContext) {
             dataContext.addObserver('changeCount', this, 'contextDataDidChange');
+            dataContext.addObserver('sortChangeCount', this, 'sortOrderDidChange');
+          }
           this._prevDataContext = dataContext;
           // In case the previous dataContext was destroyed, we are removed from the registry, so reregister
           DG.currDocumentController().tableCardRegistry.registerView(dataContext, this.get('view'));
@@ -368,6 +374,18 @@ DG.CaseTableController = DG.CaseDisplayController.extend(
         case 'cmdSortDescending':
           this.sortAttribute( columnID, true);
           break;
+        case 'cmdThenSortAscending':
+          this.sortAttribute( columnID, false, true);
+          break;
+        case 'cmdThenSortDescending':
+          this.sortAttribute( columnID, true, true);
+          break;
+        case 'cmdToggleEmptyFirst':
+          this.toggleSortEmptyFirst( columnID);
+          break;
+        case 'cmdClearSort':
+          this.clearSort( columnID);
+          break;
         case 'cmdHideAttribute':
           DG.DataContextUtilities.hideAttribute( this.get('dataContext'), columnID);
           break;
@@ -753,6 +771,8 @@ DG.CaseTableController = DG.CaseDisplayController.extend(
               //formulaNames: tFormulaNames,  // no type-ahead
               formulaCompletions: result.completionData,
               formulaOperands: result.operandsMenu,
+              formulaValidation: iProperties && iProperties.collection &&
+                                  DG.FormulaValidator.optionsForCollection(iProperties.collection),
               formulaHint: 'DG.TableController.newAttrDlg.formulaHint'  // "If desired, type a formula for computing values of this attribute"
             }, iProperties));
       },
@@ -941,91 +961,118 @@ DG.CaseTableController = DG.CaseDisplayController.extend(
       /**
        * Sort by an attribute.
        *
+       * The sort becomes the sort specification of the attribute's collection, so the
+       * cases remain sorted as cases are added or values change.
        * If the attribute is in a child collection, the sorting should _not_
        * affect the order of the parent collection. In other words, the sorting
        * is among the children of the same parent.
        * @param attrID {string|number}
        * @param isDescending {boolean}
+       * @param isAdditionalKey {boolean} whether to sort by the attribute within the
+       *                                  existing sort, rather than replacing it
        */
-      sortAttribute: function(attrID, isDescending) {
+      sortAttribute: function(attrID, isDescending, isAdditionalKey) {
         var dataContext = this.get('dataContext'),
-            dataSet = dataContext && dataContext.getPath('model.dataSet'),
-            childCollection = dataContext && dataContext.get('childCollection'),
-            childCollectionID = childCollection && childCollection.get('id'),
-            compareFunc = isDescending
-                            ? DG.DataUtilities.compareDescending
-                            : DG.DataUtilities.compareAscending,
             attribute = DG.Attribute.getAttributeByID(attrID),
-            isNumeric = attribute.get('type') === 'numeric',
-            collection = attribute && attribute.get('collection'),
-            collectionID = collection && collection.get('id'),
-            parentCollection = collection.get('parent'),
-            hierTableView = this.getPath('view.contentView'),
-            oldClientMap, newClientMap;
-
-        function accessFunc(itemID, attrID) {
-          var tCase = DG.Case.findCase(childCollectionID, itemID);
-
-          while (tCase && (tCase.getPath('collection.id') !== collectionID))
-            tCase = tCase.get('parent');
-
-          return tCase;
-        }
+            collection = dataContext && attribute &&
+                          dataContext.getCollectionByID(attribute.getPath('collection.id')),
+            sortSpec = isAdditionalKey
+                        ? dataContext.getSortSpec(collection).filter(function (iKey) {
+                            return iKey.attrID !== attrID;
+                          })
+                        : [];
+        if (!collection) return;
+        sortSpec.push({ attrID: attrID, isDescending: !!isDescending });
+        this.changeSortSpec(collection, sortSpec, {
+          name: 'caseTable.sortCases',
+          undoString: 'DG.Undo.caseTable.sortCases',
+          redoString: 'DG.Redo.caseTable.sortCases',
+          log: "sort cases by attribute: %@ (\"%@\")%@".fmt(attrID, attribute.get('name'),
+                                                          isAdditionalKey ? " within existing sort" : "")
+        });
+      },
 
-        function getValue(iCase, attrID) {
-          var rawValue = iCase && iCase.getRawValue(attrID);
-          var numValue = iCase && (isNumeric? iCase.getForcedNumericValue(attrID): null);
-          return iCase && (SC.empty(numValue)? rawValue: numValue);
-        }
+      /**
+       * Toggles whether empty values of the attribute are sorted first or last.
+       * @param attrID {number}
+       */
+      toggleSortEmptyFirst: function(attrID) {
+        var dataContext = this.get('dataContext'),
+            attribute = DG.Attribute.getAttributeByID(attrID),
+            collection = dataContext && attribute &&
+                          dataContext.getCollectionByID(attribute.getPath('collection.id')),
+            sortSpec = dataContext.getSortSpec(collection).map(function (iKey) {
+              return iKey.attrID === attrID ? SC.mixin({}, iKey, { emptyFirst: !iKey.emptyFirst }) : iKey;
+            });
+        if (!collection) return;
+        this.changeSortSpec(collection, sortSpec, {
+          name: 'caseTable.sortCases',
+          undoString: 'DG.Undo.caseTable.sortCases',
+          redoString: 'DG.Redo.caseTable.sortCases',
+          log: "sort empty values of attribute: %@ (\"%@\") %@".fmt(attrID, attribute.get('name'),
+                  sortSpec.findProperty('attrID', attrID).emptyFirst ? "first" : "last")
+        });
+      },
 
-        function makeCompare(attrID, isDescending, parentCollection) {
-          var compareIndex = function (a,b) {return a-b;};
-          if (parentCollection) {
-            return function (caseA, caseB) {
-              var caseAParentIndex = caseA && parentCollection.caseIDToIndexMap[caseA.getPath(
-                  'parent.id')];
-              var caseBParentIndex = caseB && parentCollection.caseIDToIndexMap[caseB.getPath(
-                  'parent.id')];
-              if (caseAParentIndex !== caseBParentIndex) {
-                return compareIndex(caseAParentIndex, caseBParentIndex);
-              } else {
-                return compareFunc(getValue(caseA, attrID), getValue(caseB, attrID));
-              }
-            };
-          }
-          else {
-            return function (caseA, caseB) {
-              return compareFunc(getValue(caseA, attrID), getValue(caseB, attrID));
-            };
-          }
-        }
+      /**
+       * Removes the sort specification of the attribute's collection, leaving the cases
+       * in their current order.
+       * @param attrID {number}
+       */
+      clearSort: function(attrID) {
+        var dataContext = this.get('dataContext'),
+            attribute = DG.Attribute.getAttributeByID(attrID),
+            collection = dataContext && attribute &&
+                          dataContext.getCollectionByID(attribute.getPath('collection.id'));
+        if (!collection) return;
+        this.changeSortSpec(collection, [], {
+          name: 'caseTable.clearSort',
+          undoString: 'DG.Undo.caseTable.clearSort',
+          redoString: 'DG.Redo.caseTable.clearSort',
+          log: "clear sort of collection: %@".fmt(collection.get('name'))
+        });
+      },
 
-        function refreshTable() {
-          dataContext.regenerateCollectionCases(null, 'moveCases');
-          if (hierTableView)
-            hierTableView.updateRowData();
-        }
+      /**
+       * Replaces the sort specification of a collection and sorts the cases as a single
+       * undoable command, which restores both the specification and the order on undo.
+       * @param collection {DG.CollectionClient}
+       * @param sortSpec {[Object]} cf. DG.DataContext.getSortSpec()
+       * @param commandProps {Object} name, undoString, redoString and log of the command
+       */
+      changeSortSpec: function(collection, sortSpec, commandProps) {
+        var dataContext = this.get('dataContext'),
+            dataSet = dataContext && dataContext.get('dataSet'),
+            oldSortSpecs = {}, oldClientMap;
 
         if (dataSet) {
-          DG.UndoHistory.execute(DG.Command.create({
-            name: 'caseTable.sortCases',
-            undoString: 'DG.Undo.caseTable.sortCases',
-            redoString: 'DG.Redo.caseTable.sortCases',
-            log: "sort cases by attribute: %@ (\"%@\")".fmt(attrID, attribute && attribute.get('name')),
+          DG.UndoHistory.execute(DG.Command.create(SC.mixin({
             execute: function() {
-              oldClientMap = dataSet.sortItems(attrID, accessFunc, makeCompare(attrID, isDescending, parentCollection));
-              newClientMap = dataSet.getClientIndexMapCopy();
-              refreshTable();
+              dataContext.get('collections').forEach(function (iCollection) {
+                oldSortSpecs[iCollection.get('id')] = iCollection.get('sortSpec');
+              });
+              oldClientMap = dataSet.getClientIndexMapCopy();
+              dataContext.setSortSpec(collection, sortSpec);
             },
             undo: function() {
-              dataSet.setClientIndexMap(oldClientMap);
-              refreshTable();
+              dataContext.restoreSortOrder(oldClientMap, oldSortSpecs);
             },
             redo: function() {
-              dataSet.setClientIndexMap(newClientMap);
-              refreshTable();
+              dataContext.setSortSpec(collection, sortSpec);
             }
-          }));
+          }, commandProps)));
+        }
+      },
+
+      /**
+       * Observer function called when the cases have been sorted or the sort specifications
+       * have changed; updates the column headers, which indicate the sort, and the rows.
+       */
+      sortOrderDidChange: function() {
+        var hierTableView = this.getPath('view.contentView');
+        if (hierTableView) {
+          hierTableView.updateColumnInfo();
+          hierTableView.updateRowData();
         }
       },
 
@@ -1211,6 +1258,8 @@ DG.CaseTableController = DG.CaseDisplayController.extend(
         tItems.push(this.createExportCaseButton());
         tItems.push(this.createCopyToClipboardButton());
         tItems.push(this.createGetFromClipboardButton());
+        tItems = tItems.concat(this.createReshapeButtons());
+        tItems.push(this.createJoinButton());
 
         DG.MenuPane.create({
           classNames: 'dg-attributes-popup'.w(),
@@ -1278,6 +1327,7 @@ DG.CaseTableController = DG.CaseDisplayController.extend(
 
         tButtons.push(this.createTrashButton());
         tButtons.push(this.createHideShowButton());
+        tButtons.push(this.createSearchButton());
         tButtons.push(this.createRulerButton());
 
         return tButtons;
@@ -25,6 +25,7 @@ sc_require('components/case_table/scroll_animation_utility');
 sc_require('components/case_table/case_table_row_selection_model');
 sc_require('views/image_view');
 sc_require('views/mouse_and_touch_view');
+sc_require('views/formula_explainer_view');
 /** @class
 
   A CaseTableView contains a scrollable data grid view.
@@ -825,6 +826,7 @@ DG.CaseTableView = SC.View.extend( (function() // closure
 
       // Subscribe to SlickGrid events which call our event handlers directly.
       this.subscribe('onClick', this.handleClick);
+      this.subscribe('onContextMenu', this.handleContextMenu);
       this.subscribe('onKeyDown', this.handleKeyDown);
       this.subscribe('onScroll', this.handleScroll);
       this.subscribe('onHeaderClick', this.handleHeaderClick);
@@ -1008,6 +1010,40 @@ DG.CaseTableView = SC.View.extend( (function() // closure
       }
     },
 
+    /**
+     * Shows the popup menu for a cell of a formula attribute, from which the user
+     * can request an explanation of the cell's value.
+     * @param iEvent {Event}
+     * @param iCell {{row: number, cell: number}}
+     */
+    showFormulaCellPopup: function (iEvent, iCell) {
+      var tMenu = DG.MenuPane.create({
+            classNames: 'dg-formula-cell-popup',
+            layout: {width: 200, height: 150},
+            items: [{
+              title: 'DG.CaseTable.cellMenu.explainValue',
+              localize: true,
+              target: this,
+              action: 'explainCellValue'
+            }]
+          });
+      this._formulaCellMenuCell = SC.copy(iCell);
+      tMenu.popup(iEvent.target);
+    },
+
+    /**
+     * Puts up the formula explainer for the cell from which the formula cell popup was invoked.
+     */
+    explainCellValue: function () {
+      var tCell = this._formulaCellMenuCell,
+          tColumn = tCell && this._slickGrid.getColumns()[tCell.cell],
+          tAttribute = tColumn && tColumn.attribute,
+          tCase = tCell && this._slickGrid.getDataItem(tCell.row);
+      this._formulaCellMenuCell = null;
+      if (tAttribute && tCase)
+        DG.CreateFormulaExplainerView(tAttribute, tCase);
+    },
+
     collapseGroup: function (iCaseID) {
       this.getPath('gridAdapter.gridDataView').collapseGroup(iCaseID);
       var childDataView = this.getPath('childTable.gridAdapter.gridDataView');
@@ -1665,6 +1701,27 @@ DG.CaseTableView = SC.View.extend( (function() // closure
       }.bind(this));
     },
 
+    /**
+     * Shows the formula cell popup when the user right-clicks a cell of a formula attribute.
+     * @param iEvent
+     */
+    handleContextMenu: function (iEvent) {
+      SC.run(function () {
+        var cell = this._slickGrid.getCellFromEvent(iEvent),
+            column = cell && this._slickGrid.getColumns()[cell.cell],
+            attribute = column && column.attribute,
+            dataItem = cell && this._slickGrid.getDataItem(cell.row),
+            collection = this.getPath('gridAdapter.collection'),
+            isClosedGroup = dataItem && collection && (dataItem.get(
+                'collection').get('id') !== collection.get('id'));
+        if (attribute && attribute.hasFormula() && dataItem &&
+            !dataItem._isProtoCase && !isClosedGroup) {
+          iEvent.preventDefault();
+          this.showFormulaCellPopup(iEvent, cell);
+        }
+      }.bind(this));
+    },
+
     /**
      * Handle SlickGrid KeyDown events
      * @param iEvent
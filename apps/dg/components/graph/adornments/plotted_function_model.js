@@ -343,14 +343,14 @@ DG.PlottedFunctionModel = DG.PlotAdornmentModel.extend(
 
       /**
        Observer function which invalidates the intermediate compile results
-       for the formula when global value names are added, removed, or changed.
-       These changes can affect the bindings of the formula, so a recompilation
-       is required when they occur.
+       for the formula when global value names or user-defined functions are
+       added, removed, or changed. These changes can affect the bindings of the
+       formula, so a recompilation is required when they occur.
        */
       globalNamesDidChange: function () {
         // Name changes require recompilation
         this.invalidateExpression();
-      }.observes('DG.globalsController.globalNameChanges'),
+      }.observes('DG.globalsController.globalNameChanges', 'DG.formulaFunctionsController.functionChanges'),
 
       /**
        Recompilation will force us to pay attention to changed cases
@@ -257,7 +257,7 @@ DG.PlottedValueAdornment = DG.PlotAdornment.extend( DG.LineLabelMixin,
         }
       }
     }
-  }.observes('DG.globalsController.globalNameChanges'),
+  }.observes('DG.globalsController.globalNameChanges', 'DG.formulaFunctionsController.functionChanges'),
 
   valueAxisAttrDidChange: function() {
     var tModel = this.get('model');
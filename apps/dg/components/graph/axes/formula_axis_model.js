@@ -48,7 +48,8 @@ DG.FormulaAxisModel = DG.CellLinearAxisModel.extend(
    Override
    */
   labels: function() {
-    var tLabel = this.expressionSource ? this.expressionSource.get('expression') : '';
+    var tLabel = this.expressionSource
+                  ? DG.FormulaLocalizer.toLocalized(this.expressionSource.get('expression')) : '';
     if( SC.empty( tLabel))
       tLabel = "DG.BarChartFunction.emptyExpressionAxisPrompt".loc();
     return [tLabel];
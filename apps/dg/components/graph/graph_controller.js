@@ -62,6 +62,8 @@ DG.GraphController = DG.DataDisplayController.extend(
             storage._links_.context = dataContext.toLink();
 
           storage.displayOnlySelected = dataConfiguration.get('displayOnlySelected');
+          if (dataConfiguration.get('appliedFilterIDs').length)
+            storage.appliedFilterIDs = dataConfiguration.get('appliedFilterIDs');
           dataConfiguration.addToStorageForDimension(storage, 'legend');
 
           if (hiddenCases) {
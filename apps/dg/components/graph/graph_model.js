@@ -519,6 +519,37 @@ DG.GraphModel = DG.DataLayerModel.extend(
                         target: this, action: toggleNumberToggle });
       menuItems.push({ title: enableMeasuresForSelectionItemText, isEnabled: true,
                         target: this, action: toggleMeasuresForSelection });
+
+      // The data context's filters can be applied to this graph without affecting other components
+      var tFilters = this.getPath('dataConfiguration.dataContext') ?
+                      this.getPath('dataConfiguration.dataContext').getFilters() : [];
+      tFilters.forEach(function (iFilter) {
+        var tAppliedIDs = self.getPath('dataConfiguration.appliedFilterIDs'),
+            tIsApplied = tAppliedIDs.indexOf(iFilter.id) >= 0,
+            tKey = tIsApplied ? 'removeFilter' : 'applyFilter';
+
+        function toggleFilter() {
+          DG.UndoHistory.execute(DG.Command.create({
+            name: 'graph.display.' + tKey,
+            undoString: 'DG.Undo.' + tKey,
+            redoString: 'DG.Redo.' + tKey,
+            log: "%@ filter: %@".fmt(tIsApplied ? "Remove" : "Apply", iFilter.name),
+            execute: function() {
+              var tIDs = self.getPath('dataConfiguration.appliedFilterIDs');
+              this._undoData = tIDs;
+              self.setPath('dataConfiguration.appliedFilterIDs', tIsApplied
+                  ? tIDs.without(iFilter.id)
+                  : tIDs.concat([iFilter.id]));
+            },
+            undo: function() {
+              self.setPath('dataConfiguration.appliedFilterIDs', this._undoData);
+            }
+          }));
+        }
+
+        menuItems.push({ title: ('DG.DataDisplayMenu.' + tKey).loc(iFilter.name),
+                          isEnabled: iFilter.isActive, target: self, action: toggleFilter });
+      });
       return menuItems;
     },
 
@@ -1754,6 +1785,8 @@ DG.GraphModel = DG.DataLayerModel.extend(
         tPlot.destroy();
       }
       tDataConfig.set('displayOnlySelected', iStorage.displayOnlySelected);
+      if( iStorage.appliedFilterIDs)
+        tDataConfig.set('appliedFilterIDs', iStorage.appliedFilterIDs);
 
       ['isTransparent', 'plotBackgroundColor', 'plotBackgroundOpacity', 'plotBackgroundImage',
       'plotBackgroundImageLockInfo', 'enableMeasuresForSelection'].forEach( function( iKey) {
@@ -33,10 +33,13 @@ DG.PlotDataConfiguration = SC.Object.extend(
       _dataContext: null,
       dataContext: function( iKey, iValue) {
         if( iValue) {
-          if( this._dataContext)
+          if( this._dataContext) {
             this._dataContext.removeObserver('changeCount', this, 'handleDataContextNotification');
+            this._dataContext.removeObserver('filtersChangeCount', this, 'filtersDidChange');
+          }
           this._dataContext = iValue;
           this._dataContext.addObserver('changeCount', this, 'handleDataContextNotification');
+          this._dataContext.addObserver('filtersChangeCount', this, 'filtersDidChange');
         }
         return this._dataContext;
       }.property(),
@@ -444,12 +447,52 @@ DG.PlotDataConfiguration = SC.Object.extend(
         return this._hiddenCases;
       }.property(),
 
+      /**
+       * The IDs of the data context's filters which are applied to the cases displayed.
+       * Cases which don't pass the active ones among them are treated as hidden.
+       * @property {[String]}
+       */
+      _appliedFilterIDs: null,
+      appliedFilterIDs: function (iKey, iValue) {
+        if (iValue) {
+          this.notifyPropertyChange('hiddenCasesWillChange');
+          this._appliedFilterIDs = iValue;
+          this.invalidateCaches();
+          this.notifyPropertyChange('hiddenCases');
+        }
+        return this._appliedFilterIDs;
+      }.property(),
+
+      /**
+       * The data context's filters have changed; the cases displayed may change if any are applied.
+       */
+      filtersDidChange: function () {
+        if (this.get('appliedFilterIDs').length > 0)
+          this.set('appliedFilterIDs', this.get('appliedFilterIDs').slice());
+      },
+
+      /**
+       * Returns the given cases which pass the applied filters.
+       * @param iCases {[DG.Case]}
+       * @returns {[DG.Case]}
+       */
+      filterCases: function (iCases) {
+        var tFilterIDs = this.get('appliedFilterIDs'),
+            tContext = this.get('dataContext');
+        if (!tContext || !tFilterIDs.length)
+          return iCases;
+        return iCases.filter(function (iCase) {
+          return iCase && tContext.caseMatchesFilters(iCase, tFilterIDs);
+        });
+      },
+
       /**
        Initialization function
        */
       init: function () {
         sc_super();
         this._hiddenCases = [];
+        this._appliedFilterIDs = [];
         this._plotCaseArray = DG.PlotUtilities.PlotCaseArray.create();
       },
 
@@ -475,6 +518,10 @@ DG.PlotDataConfiguration = SC.Object.extend(
           }.bind(this));
 
         this._hiddenCases = [];  // For good measure
+        if (this._dataContext) {
+          this._dataContext.removeObserver('changeCount', this, 'handleDataContextNotification');
+          this._dataContext.removeObserver('filtersChangeCount', this, 'filtersDidChange');
+        }
 
         sc_super();
       },
@@ -634,10 +681,10 @@ DG.PlotDataConfiguration = SC.Object.extend(
               tAttributesByPlace = this.get('attributesByPlace') || [];
           if (tCases) {
             // We subtract the hidden cases so that they are not known about by the graph
-            tNotHidden = DG.ArrayUtils.subtract(tCases, tHidden,
+            tNotHidden = this.filterCases(DG.ArrayUtils.subtract(tCases, tHidden,
                 function (iCase) {
                   return iCase ? iCase.get('id') : null;
-                });
+                }));
 
             // Only include cases that have values of x and y attributes (if such exist)
             // TODO: Do the right thing for plots that use a y2 attribute.
@@ -754,10 +801,10 @@ DG.PlotDataConfiguration = SC.Object.extend(
       selection: function () {
         var tSelection = this.getPath('collectionClient.casesController.selection');
         tSelection = tSelection ? tSelection.toArray() : [];
-        return DG.ArrayUtils.subtract(tSelection, this.get('hiddenCases'),
+        return this.filterCases(DG.ArrayUtils.subtract(tSelection, this.get('hiddenCases'),
             function (iCase) {
               return iCase ? iCase.get('id') : null;
-            });
+            }));
       }.property('xCollectionClient', 'yCollectionClient', 'y2CollectionClient', 'legendCollectionClient', 'hiddenCases'),
 
       selectionDidChange: function() {
@@ -343,7 +343,11 @@ DG.appController = SC.Object.create((function () // closure
         { localize: true, title: 'DG.AppController.optionMenuItems.viewWebPage', // "View Web Page..."
           target: this, dgAction: 'viewWebPage', id: 'dg-optionMenuItem-view_webpage' },
         { localize: true, title: 'DG.AppController.optionMenuItems.configureGuide', // "Configure Guide..."
-          target: this, dgAction: 'configureGuide', id: 'dg-optionMenuItem-configure-guide' }
+          target: this, dgAction: 'configureGuide', id: 'dg-optionMenuItem-configure-guide' },
+        { localize: true, title: 'DG.AppController.optionMenuItems.defineFunction', // "Define Function..."
+          target: this, dgAction: 'defineFormulaFunction', id: 'dg-optionMenuItem-define-function' },
+        { localize: true, title: 'DG.AppController.optionMenuItems.randomSeed', // "Set Random Seed..."
+          target: this, dgAction: 'setRandomSeed', id: 'dg-optionMenuItem-random-seed' }
       ];
     }.property(),
 
@@ -431,7 +435,510 @@ DG.appController = SC.Object.create((function () // closure
      *                                  table for the new context
      */
     openCSVImporter: function (iConfig) {
-      this.openImporterPlugin('Importer', '/Importer/', iConfig);
+      // appending to an existing dataset and importing arrays are left to the plugin
+      if (iConfig.targetDatasetName || iConfig.data) {
+        this.openImporterPlugin('Importer', '/Importer/', iConfig);
+      }
+      else if (iConfig.url) {
+        fetch(iConfig.url)
+          .then(function (iResponse) {
+            if (!iResponse.ok) throw new Error(iResponse.statusText);
+            return iResponse.arrayBuffer();
+          })
+          .then(function (iData) {
+            SC.run(function () {
+              this.openTextImportDialog($.extend({}, iConfig, { text: iData }));
+            }.bind(this));
+          }.bind(this), function (iError) {
+            SC.run(function () {
+              DG.AlertPane.warn({
+                message: 'DG.AppController.importTextFromUrl.error'.loc(iConfig.url, iError.message)
+              });
+            });
+          });
+      }
+      else {
+        this.openTextImportDialog(iConfig);
+      }
+    },
+
+    /**
+     * Puts up the text import dialog, which lets the user choose the encoding,
+     * delimiter and header row of the text and the type, unit and precision of
+     * each attribute before the dataset is created.
+     * @param iConfig {Object} Configuration, as follows
+     *
+     *                  text: the text or the bytes of a CSV or tab delimited file
+     *                  datasetName: the default name of the dataset
+     *                  showCaseTable: whether to display the case table for the
+     *                         new context
+     */
+    openTextImportDialog: function (iConfig) {
+      DG.CreateTextImportDialog({
+        data: iConfig.text,
+        datasetName: iConfig.datasetName,
+        importAction: function (iName, iAttributes, iValues) {
+          this.createDataContextFromImport(iName, [{ attrs: iAttributes }], iValues, iConfig.showCaseTable);
+        }.bind(this)
+      });
+    },
+
+    /**
+     * Imports a spreadsheet workbook (.xlsx or .ods). If the workbook has more
+     * than one sheet, puts up a dialog which lets the user pick the sheets to
+     * import and whether to combine sheets linked by key columns as parent and
+     * child collections.
+     * @param iData {ArrayBuffer} the contents of the workbook file
+     * @param iFilename {string} the name of the workbook file
+     */
+    importSpreadsheet: function (iData, iFilename) {
+      var tables = DG.SpreadsheetImportUtilities.parseWorkbook(iData).map(function (iSheet) {
+                    return DG.SpreadsheetImportUtilities.analyzeSheet(iSheet);
+                  }),
+          importSpecs = function (iSpecs) {
+            iSpecs.forEach(function (iSpec) {
+              this.createDataContextFromImport(iSpec.name, iSpec.collections, iSpec.items);
+            }.bind(this));
+          }.bind(this);
+
+      if (!tables.length) {
+        throw new Error('DG.SpreadsheetImport.noData'.loc(iFilename));
+      }
+      if (tables.length === 1) {
+        tables[0].name = iFilename.replace(/\.[^.]*$/, '');
+        importSpecs(DG.SpreadsheetImportUtilities.getImportSpecs(tables, [true], false));
+      }
+      else {
+        DG.CreateSpreadsheetImportDialog({
+          workbookName: iFilename,
+          tables: tables,
+          importAction: importSpecs
+        });
+      }
+    },
+
+    /**
+     * Imports a spreadsheet workbook (.xlsx or .ods) from a URL.
+     * @param iURL {string}
+     * @param iName {string} optional name of the workbook
+     */
+    importSpreadsheetFromUrl: function (iURL, iName) {
+      var filename = iName || iURL.replace(/[?#].*/, '').replace(/.*\//, '');
+      fetch(iURL)
+        .then(function (iResponse) {
+          if (!iResponse.ok) throw new Error(iResponse.statusText);
+          return iResponse.arrayBuffer();
+        })
+        .then(function (iData) {
+          SC.run(function () {
+            this.importSpreadsheet(iData, filename);
+          }.bind(this));
+        }.bind(this))
+        .then(null, function (iError) {
+          SC.run(function () {
+            DG.AlertPane.warn({
+              message: 'DG.AppController.importTextFromUrl.error'.loc(iURL, iError.message)
+            });
+          });
+        });
+    },
+
+    /**
+     * Imports JSON or JSON Lines data. If the records of the data have nested
+     * arrays, puts up a dialog which lets the user choose which of them become
+     * child collections.
+     * @param iText {string} the JSON or JSON Lines text
+     * @param iName {string} the name of the dataset
+     */
+    importJSONData: function (iText, iName) {
+      var data = DG.JSONImportUtilities.parseJSONText(iText),
+          arrays = DG.JSONImportUtilities.findArrayPaths(data),
+          importSpec = function (iSpec) {
+            this.createDataContextFromCaseTree(iName, iSpec.collections, iSpec.cases);
+          }.bind(this);
+
+      if (!DG.JSONImportUtilities.getRecords(data).length) {
+        throw new Error('DG.JSONImport.noData'.loc(iName));
+      }
+      if (!arrays.length) {
+        importSpec(DG.JSONImportUtilities.getImportSpec(data, arrays, []));
+      }
+      else {
+        DG.CreateJSONImportDialog({
+          datasetName: iName,
+          data: data,
+          arrays: arrays,
+          importAction: importSpec
+        });
+      }
+    },
+
+    /**
+     * Imports JSON or JSON Lines data from a URL.
+     * @param iURL {string}
+     * @param iName {string} optional name of the dataset
+     */
+    importJSONDataFromUrl: function (iURL, iName) {
+      var name = iName || this.extractNameFromURLPath(iURL);
+      fetch(iURL)
+        .then(function (iResponse) {
+          if (!iResponse.ok) throw new Error(iResponse.statusText);
+          return iResponse.text();
+        })
+        .then(function (iText) {
+          SC.run(function () {
+            this.importJSONData(iText, name);
+          }.bind(this));
+        }.bind(this))
+        .then(null, function (iError) {
+          SC.run(function () {
+            DG.AlertPane.warn({
+              message: 'DG.AppController.importTextFromUrl.error'.loc(iURL, iError.message)
+            });
+          });
+        });
+    },
+
+    /**
+     * Creates a data context with the specified collections and hierarchy of cases,
+     * e.g. from the JSON import dialog. The collections and cases are created as
+     * plugins create them, each case with its parent case.
+     * @param iName {string} name of the data context
+     * @param iCollections {[Object]} { name, attrs } for each collection, parents
+     *                    first, where name is optional and attrs are attribute properties
+     * @param iCases {[Object]} { values, children } for each case of the first
+     *                    collection, where children are the cases of the next collection
+     * @param iShowCaseTable {Boolean} Defaults to true
+     * @return {DG.DataContext}
+     */
+    createDataContextFromCaseTree: function (iName, iCollections, iCases, iShowCaseTable) {
+      var documentController = DG.currDocumentController(),
+          documentHelper = this.get('documentArchiver'),
+          contextName = this.getUniqueContextName(iName),
+          context = documentController.createNewDataContext({ name: contextName, title: contextName }),
+          collectionNames = {},
+          parent = '_root_',
+          caseCount, collections;
+
+      collections = iCollections.map(function (iCollection) {
+        var baseName = iCollection.name || contextName,
+            name = baseName,
+            i = 1,
+            result;
+        while (collectionNames[name]) {
+          name = baseName + " " + (++i);
+        }
+        collectionNames[name] = true;
+        result = documentHelper.createCollection({ dataContext: context },
+                                  { name: name, attributes: iCollection.attrs, parent: parent });
+        parent = result.values[0].id;
+        return context.getCollectionByID(parent);
+      });
+
+      caseCount = this.createCasesFromCaseTree(context, collections, iCases);
+
+      DG.logUser("importData: '%@' (%@ collections, %@ cases)", contextName, collections.length, caseCount);
+      if (iShowCaseTable !== false) {
+        documentController.addCaseTable(DG.mainPage.get('docView'), null,
+                                        { position: 'top', dataContext: context });
+      }
+      return context;
+    },
+
+    /**
+     * Creates the specified hierarchy of cases in the specified collections of a
+     * data context, cf. createDataContextFromCaseTree().
+     * @param iContext {DG.DataContext}
+     * @param iCollections {[DG.CollectionClient]} parents first
+     * @param iCases {[Object]} { values, children } for each case of the first collection
+     * @return {number} the number of cases created
+     */
+    createCasesFromCaseTree: function (iContext, iCollections, iCases) {
+      var documentHelper = this.get('documentArchiver'),
+          caseCount = 0;
+
+      // the cases of each collection are created once those of its parent collection
+      // have been created, so that they can refer to the IDs of their parent cases
+      function createCases(iLevel, iLevelCases, iParentIDs) {
+        var childCases = [],
+            childParentIDs = [],
+            result;
+        if (!iLevelCases.length || !iCollections[iLevel]) return;
+        result = documentHelper.createCases({ dataContext: iContext, collection: iCollections[iLevel] },
+                                            iLevelCases.map(function (iCase, iIndex) {
+                                              return { parent: iParentIDs[iIndex], values: iCase.values };
+                                            }));
+        caseCount += result.values.length;
+        result.values.forEach(function (iIDs, iIndex) {
+          iLevelCases[iIndex].children.forEach(function (iChild) {
+            childCases.push(iChild);
+            childParentIDs.push(iIDs.id);
+          });
+        });
+        createCases(iLevel + 1, childCases, childParentIDs);
+      }
+      createCases(0, iCases, []);
+      return caseCount;
+    },
+
+    /**
+     * Returns the collections and cases of the specified data context reshaped
+     * as specified, cf. DG.ReshapeUtilities.
+     * @param iSourceContext {DG.DataContext}
+     * @param iOperation {string} 'unpivot' or 'pivot'
+     * @param iOptions {Object} cf. DG.ReshapeUtilities.unpivot() and pivot()
+     * @return {Object} { collections, cases, duplicateCount }
+     */
+    getReshapedCaseTree: function (iSourceContext, iOperation, iOptions) {
+      var table = iSourceContext.getFlatTable();
+      return iOperation === 'pivot'
+              ? DG.ReshapeUtilities.pivot(table, iOptions)
+              : DG.ReshapeUtilities.unpivot(table, iOptions);
+    },
+
+    /**
+     * Creates a data context with the data of the specified data context reshaped as
+     * specified. The new data context records its source and the reshape options so
+     * that it can be refreshed when the source data changes, cf. refreshReshapedDataContext().
+     * @param iSourceContext {DG.DataContext}
+     * @param iOperation {string} 'unpivot' or 'pivot'
+     * @param iOptions {Object} cf. DG.ReshapeUtilities.unpivot() and pivot()
+     * @return {DG.DataContext}
+     */
+    reshapeDataContext: function (iSourceContext, iOperation, iOptions) {
+      var sourceName = iSourceContext.get('title') || iSourceContext.get('name'),
+          caseTree = this.getReshapedCaseTree(iSourceContext, iOperation, iOptions),
+          contextName = ('DG.AppController.reshapeDataContext.name.' + iOperation).loc(sourceName),
+          context = this.createDataContextFromCaseTree(contextName, caseTree.collections, caseTree.cases);
+      context.setProvenance({
+        operation: iOperation,
+        sourceContextID: iSourceContext.get('id'),
+        sourceName: sourceName,
+        options: iOptions
+      });
+      DG.logUser("reshapeData: %@ '%@' to '%@'", iOperation, sourceName, context.get('name'));
+      this.warnOfReshapeDuplicates(caseTree);
+      return context;
+    },
+
+    /**
+     * Returns the source data context of a data context created by reshapeDataContext(),
+     * if it still exists. The source is identified only by its ID, since another data
+     * context with the same name may contain different data.
+     * @param iContext {DG.DataContext}
+     * @return {DG.DataContext|null}
+     */
+    getReshapeSourceContext: function (iContext) {
+      var provenance = iContext.getProvenance();
+      if (!provenance) return null;
+      return DG.currDocumentController().getContextByID(provenance.sourceContextID) || null;
+    },
+
+    /**
+     * Whether the collections of a reshaped case tree correspond to those of the specified
+     * data context, i.e. whether there are as many and each collection of the case tree
+     * shares at least one attribute with the corresponding collection of the data context
+     * and none with any other collection.
+     * @param iContext {DG.DataContext}
+     * @param iCollections {[DG.CollectionClient]} the collections of the data context, parents first
+     * @param iCaseTree {Object} cf. getReshapedCaseTree()
+     * @return {boolean}
+     */
+    isReshapedStructureUnchanged: function (iContext, iCollections, iCaseTree) {
+      return (iCollections.length === iCaseTree.collections.length) &&
+              iCaseTree.collections.every(function (iCollection, iIndex) {
+                var collectionID = iCollections[iIndex].get('id'),
+                    sharesAttribute = false;
+                return iCollection.attrs.every(function (iAttr) {
+                  var attr = iContext.getAttributeByName(iAttr.name) ||
+                              iContext.getAttributeByName(iContext.canonicalizeName(iAttr.name));
+                  if (!attr) return true;
+                  sharesAttribute = true;
+                  return attr.getPath('collection.id') === collectionID;
+                }) && sharesAttribute;
+              });
+    },
+
+    /**
+     * Returns the cases of the specified data context in the form of a reshaped case tree,
+     * without the values of formula attributes, e.g. to recreate them with createCasesFromCaseTree().
+     * @param iContext {DG.DataContext}
+     * @return {Object} { collections, cases }
+     */
+    getCaseTreeOfDataContext: function (iContext) {
+      var table = iContext.getExportTable('DG.CaseTableController.allTables'.loc(), { includeHidden: true });
+
+      function removeFormulaValues(iCases, iLevel) {
+        var formulaAttrs = table.collections[iLevel].attrs.filter(function (iAttr) { return !!iAttr.formula; });
+        iCases.forEach(function (iCase) {
+          formulaAttrs.forEach(function (iAttr) { delete iCase.values[iAttr.name]; });
+          removeFormulaValues(iCase.children, iLevel + 1);
+        });
+      }
+      removeFormulaValues(table.cases, 0);
+      return { collections: table.collections, cases: table.cases };
+    },
+
+    /**
+     * Replaces the cases of a data context created by reshapeDataContext() with
+     * the current data of its source data context, reshaped with the original options.
+     * Attributes which the reshaped data no longer has are retained, e.g. with formulas
+     * the user has added; attributes it now has are added. The refresh can be undone.
+     * @param iContext {DG.DataContext}
+     * @return {boolean} whether the data context was refreshed
+     */
+    refreshReshapedDataContext: function (iContext) {
+      var this_ = this,
+          provenance = iContext.getProvenance(),
+          sourceContext = this.getReshapeSourceContext(iContext),
+          documentHelper = this.get('documentArchiver'),
+          caseTree, collections;
+
+      if (!sourceContext) {
+        DG.AlertPane.warn({
+          message: 'DG.AppController.refreshReshapedDataContext.noSource'.loc(provenance && provenance.sourceName)
+        });
+        return false;
+      }
+      caseTree = this.getReshapedCaseTree(sourceContext, provenance.operation, provenance.options);
+      collections = iContext.get('collections').map(function (iCollection) {
+        return iContext.getCollectionByID(iCollection.get('id'));
+      });
+      if (!this.isReshapedStructureUnchanged(iContext, collections, caseTree)) {
+        DG.AlertPane.warn({
+          message: 'DG.AppController.refreshReshapedDataContext.structureChanged'.loc(provenance.sourceName)
+        });
+        return false;
+      }
+
+      // deletes the existing cases, which deletes their descendants as well
+      function deleteCases() {
+        iContext.applyChange({
+          operation: 'deleteCases',
+          cases: collections[0].get('casesController').toArray()
+        });
+      }
+
+      DG.UndoHistory.execute(DG.Command.create({
+        name: 'dataContext.refreshReshaped',
+        undoString: 'DG.Undo.dataContext.refreshReshaped',
+        redoString: 'DG.Redo.dataContext.refreshReshaped',
+        log: "refreshReshapedData: '%@' from '%@'".fmt(iContext.get('name'), sourceContext.get('name')),
+        _previousCaseTree: null,
+        _addedAttrIDs: null,
+        execute: function () {
+          var addedAttrIDs = [];
+          this._previousCaseTree = this_.getCaseTreeOfDataContext(iContext);
+          deleteCases();
+          // add any attributes the reshaped data now has
+          caseTree.collections.forEach(function (iCollection, iIndex) {
+            var newAttrs = iCollection.attrs.filter(function (iAttr) {
+                  return !iContext.getAttributeByName(iAttr.name) &&
+                          !iContext.getAttributeByName(iContext.canonicalizeName(iAttr.name));
+                }),
+                result;
+            if (newAttrs.length) {
+              result = documentHelper.createAttribute({ dataContext: iContext, collection: collections[iIndex] },
+                                                      newAttrs);
+              ((result.values && result.values.attrs) || []).forEach(function (iAttr) {
+                addedAttrIDs.push(iAttr.id);
+              });
+            }
+          });
+          this._addedAttrIDs = addedAttrIDs;
+          this_.createCasesFromCaseTree(iContext, collections, caseTree.cases);
+          this_.warnOfReshapeDuplicates(caseTree);
+        },
+        undo: function () {
+          deleteCases();
+          this._addedAttrIDs.forEach(function (iAttrID) {
+            var attr = DG.Attribute.getAttributeByID(iAttrID),
+                collection = attr && iContext.getCollectionForAttribute(attr);
+            if (collection) {
+              iContext.applyChange({
+                operation: 'deleteAttributes',
+                collection: collection,
+                attrs: [{ id: iAttrID, attribute: attr }]
+              });
+            }
+          });
+          this_.createCasesFromCaseTree(iContext, collections, this._previousCaseTree.cases);
+        }
+      }));
+      return true;
+    },
+
+    /**
+     * Creates a data context with the relational join of the data of two data contexts,
+     * cf. DG.JoinUtilities.join().
+     * @param iLeftContext {DG.DataContext}
+     * @param iRightContext {DG.DataContext}
+     * @param iOptions {Object} cf. DG.JoinUtilities.join(); the collection names
+     *                  default to the names of the data contexts
+     * @return {DG.DataContext}
+     */
+    joinDataContexts: function (iLeftContext, iRightContext, iOptions) {
+      var leftName = iLeftContext.get('title') || iLeftContext.get('name'),
+          rightName = iRightContext.get('title') || iRightContext.get('name'),
+          options = $.extend({ leftName: leftName, rightName: rightName }, iOptions),
+          result = DG.JoinUtilities.join(iLeftContext.getFlatTable(), iRightContext.getFlatTable(), options),
+          context = this.createDataContextFromCaseTree('DG.AppController.joinDataContexts.name'.loc(leftName, rightName),
+                                                        result.collections, result.cases);
+      DG.logUser("joinData: %@ join of '%@' and '%@' on %@ (%@ matches)", options.joinType || 'inner',
+                  leftName, rightName, options.leftKeys.join(', '), result.matchCount);
+      if (!result.matchCount) {
+        DG.AlertPane.warn({
+          message: 'DG.AppController.joinDataContexts.noMatches'.loc(leftName, rightName)
+        });
+      }
+      return context;
+    },
+
+    /**
+     * Warns the user if pivoting replaced any values, i.e. if more than one case had
+     * the same values of the attributes which weren't pivoted.
+     * @param iCaseTree {Object} cf. getReshapedCaseTree()
+     */
+    warnOfReshapeDuplicates: function (iCaseTree) {
+      if (iCaseTree.duplicateCount) {
+        DG.AlertPane.warn({
+          message: 'DG.AppController.reshapeDataContext.duplicates'.loc(iCaseTree.duplicateCount)
+        });
+      }
+    },
+
+    /**
+     * Creates a data context with the specified collections and items, e.g. from
+     * the text or spreadsheet import dialogs.
+     * @param iName {string} name of the data context
+     * @param iCollections {[Object]} { name, attrs } for each collection, parents
+     *                    first, where name is optional and attrs are attribute properties
+     * @param iItems {[Object]} maps of attribute names to values
+     * @param iShowCaseTable {Boolean} Defaults to true
+     * @return {DG.DataContext}
+     */
+    createDataContextFromImport: function (iName, iCollections, iItems, iShowCaseTable) {
+      var documentController = DG.currDocumentController(),
+          contextName = this.getUniqueContextName(iName),
+          context = documentController.createNewDataContext({ name: contextName, title: contextName }),
+          parentCollection = null;
+      iCollections.forEach(function (iCollection) {
+        parentCollection = context.createCollection({
+          name: iCollection.name || 'DG.AppController.createDataSet.collectionName'.loc(),
+          attrs: iCollection.attrs,
+          parent: parentCollection && parentCollection.get('collection')
+        });
+      });
+      context.applyChange({
+        operation: 'createItems',
+        items: iItems
+      });
+      DG.logUser("importData: '%@' (%@ collections, %@ items)", contextName, iCollections.length, iItems.length);
+      if (iShowCaseTable !== false) {
+        documentController.addCaseTable(DG.mainPage.get('docView'), null,
+                                        { position: 'top', dataContext: context });
+      }
+      return context;
     },
 
     openGeoJSONImporter: function (iConfig) {
@@ -478,18 +985,15 @@ DG.appController = SC.Object.create((function () // closure
     },
 
     /**
-     * Create a data context from a string formatted as a CSV file.
-     * @param iColumnName {string}
-     * @param iContextName {string}
-     * @return {DG.DataContext}
+     * Returns a data context name/title based on the specified name (without any
+     * path or extension) which isn't used by another data context.
+     * @param iName {string}
+     * @return {string}
      */
-    createMinimalDataContext: function (iColumnName, iContextName) {
-      // Create document-specific store.
-      var context, contextRecord,
-          documentController = DG.currDocumentController(),
-          baseContextName = iContextName.replace(/.*[\\\/]/g, '').replace(/\.[^.]*/, ''),
+    getUniqueContextName: function (iName) {
+      var documentController = DG.currDocumentController(),
+          baseContextName = iName.replace(/.*[\\\/]/g, '').replace(/\.[^.]*/, ''),
           contextName = baseContextName,
-          collectionName = 'DG.AppController.createDataSet.collectionName'.loc(),
           i = 1;
 
       // guarantee uniqueness of data context name/title
@@ -497,6 +1001,21 @@ DG.appController = SC.Object.create((function () // closure
               documentController.getContextByTitle(contextName)) {
         contextName = baseContextName + " " + (++i);
       }
+      return contextName;
+    },
+
+    /**
+     * Create a data context from a string formatted as a CSV file.
+     * @param iColumnName {string}
+     * @param iContextName {string}
+     * @return {DG.DataContext}
+     */
+    createMinimalDataContext: function (iColumnName, iContextName) {
+      // Create document-specific store.
+      var context, contextRecord,
+          documentController = DG.currDocumentController(),
+          contextName = this.getUniqueContextName(iContextName),
+          collectionName = 'DG.AppController.createDataSet.collectionName'.loc();
 
       // Create the context record.
       contextRecord = DG.DataContextRecord.createContext({
@@ -520,7 +1039,8 @@ DG.appController = SC.Object.create((function () // closure
 
     /**
      * Create a data context from a CSV string and expose it as a case table.
-     * @param iText String  either CSV or tab-delimited
+     * @param iText String|ArrayBuffer  either CSV or tab-delimited, as text or
+     *                                  as the bytes of a file
      * @param iName String  document name
      * @param { Boolean } iShowCaseTable Defaults to true
      * @returns {Boolean}
@@ -616,9 +1136,15 @@ DG.appController = SC.Object.create((function () // closure
           case 'GEOJSON':
             this.importGeoJSONFromURL(iURL);
             break;
+          case 'SPREADSHEET':
+            this.importSpreadsheetFromUrl(iURL, iName);
+            break;
           case 'JSON':
             DG.cfmClient.openUrlFile(iURL);
             break;
+          case 'JSONDATA':
+            this.importJSONDataFromUrl(iURL, iName);
+            break;
           case 'IMAGE':
             this.importImage(iURL, iName);
             break;
@@ -749,11 +1275,26 @@ DG.appController = SC.Object.create((function () // closure
         mime: ['application/json', 'application/x-javascript', 'text/x-json'],
         extensions: ['json', 'codap']
       },
+      {
+        group: 'JSONDATA',
+        mime: ['application/x-ndjson', 'application/jsonl', 'application/x-jsonlines'],
+        extensions: ['ndjson', 'jsonl']
+      },
       {
         group: 'GEOJSON',
         mime: ['application/geo+json','application/vnd.geo+json'],
         extensions: ['geojson']
       },
+      {
+        group: 'SPREADSHEET',
+        mime: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+        extensions: ['xlsx']
+      },
+      {
+        group: 'SPREADSHEET',
+        mime: ['application/vnd.oasis.opendocument.spreadsheet'],
+        extensions: ['ods']
+      },
       {
         group: 'IMAGE',
         mime: ['image/gif'],
@@ -838,19 +1379,27 @@ DG.appController = SC.Object.create((function () // closure
     /**
      * Read a file from the file system.
      *
-     * Handles CODAP documents and 'TEXT' files
-     * (TEXT files here means comma or tab delimited data files.)
-     * Will present a confirmation dialog if the type indicates a CODAP document
+     * Handles CODAP documents, 'TEXT' files, 'SPREADSHEET' files and 'JSONDATA'
+     * files (TEXT files here means comma or tab delimited data files, SPREADSHEET
+     * files means .xlsx or .ods workbooks and JSONDATA files means JSON Lines files.)
+     * JSON files which aren't CODAP documents are imported as data.
+     * Will present a confirmation dialog if the file is a CODAP document
      * and the document is managed by the document server and has unsaved
      * changes.
      *
      * The file parameter may have come from a drop or a dialog box.
      * @param {File} iFile
-     * @param {String} iType 'JSON' or 'TEXT'
+     * @param {String} iType 'JSON', 'JSONDATA', 'TEXT' or 'SPREADSHEET'
      * @param {{showAlert:function,close:function}} iDialog optional error alert.
      */
     importFileWithConfirmation: function( iFile, iType, iDialog) {
 
+      var openDocument = function () {
+        DG.cfmClient.openLocalFile(iFile);
+        window.location.hash = '';
+        DG.log('Opened: ' + iFile.name);
+      };
+
       var finishImport = function() {
         function handleAbnormal() {
           console.log("Abort or error on file read.");
@@ -860,9 +1409,16 @@ DG.appController = SC.Object.create((function () // closure
           SC.run(function() {
             try {
               if (iType === 'JSON') {
-                DG.cfmClient.openLocalFile(iFile);
-                window.location.hash = '';
-                DG.log('Opened: ' + iFile.name);
+                // JSON files which aren't CODAP documents are imported as data
+                if (DG.JSONImportUtilities.isJSONData(this.result)) {
+                  that.importJSONData(this.result, iFile.name.replace(/\.[^.]*$/, ''));
+                }
+                else {
+                  confirmCloseDocument(openDocument);
+                }
+              }
+              else if (iType === 'JSONDATA') {
+                that.importJSONData(this.result, iFile.name.replace(/\.[^.]*$/, ''));
               }
               else if (iType === 'GEOJSON') {
                 that.openGeoJSONImporter({
@@ -877,6 +1433,9 @@ DG.appController = SC.Object.create((function () // closure
                 that.importText(this.result,
                     iFile.name.replace(/\.[^.]*$/, ''), iFile.name);
               }
+              else if (iType === 'SPREADSHEET') {
+                that.importSpreadsheet(this.result, iFile.name);
+              }
               else if (iType === 'IMAGE') {
                 that.importImage(this.result, iFile.name);
               }
@@ -901,6 +1460,9 @@ DG.appController = SC.Object.create((function () // closure
             reader.onload = handleRead;
             if (iType === 'IMAGE') {
               reader.readAsDataURL(iFile);
+            } else if ((iType === 'TEXT') || (iType === 'SPREADSHEET')) {
+              // the import dialog decodes the text so that the user can choose the encoding
+              reader.readAsArrayBuffer(iFile);
             } else {
               reader.readAsText(iFile);
             }
@@ -914,30 +1476,36 @@ DG.appController = SC.Object.create((function () // closure
         DG.logUser("cancelCloseDocument: '%@'", docName);
       };
 
-      if ((iType === 'JSON') && DG.currDocumentController().get('hasUnsavedChanges')) {
-        docName = DG.currDocumentController().get('documentName');
-        DG.logUser("confirmCloseDocument?: '%@'", docName);
-        DG.AlertPane.warn({
-          message: 'DG.AppController.closeDocument.warnMessage',
-          description: 'DG.AppController.closeDocument.warnDescription',
-          buttons: [
-            { title: 'DG.AppController.closeDocument.okButtonTitle',
-              action: finishImport,
-              localize: YES
-            },
-            { title: 'DG.AppController.closeDocument.cancelButtonTitle',
-              action: cancelCloseDocument,
-              localize: YES
-            }
-          ],
-          localize: YES
-        });
-      }
-      else {
-        DG.busyCursor.show(function() {
-          finishImport();
-        });
-      }
+      // JSON files are read before confirming, since only CODAP documents replace
+      // the current document; JSON data is imported into it
+      var confirmCloseDocument = function (iAction) {
+        if (DG.currDocumentController().get('hasUnsavedChanges')) {
+          docName = DG.currDocumentController().get('documentName');
+          DG.logUser("confirmCloseDocument?: '%@'", docName);
+          DG.AlertPane.warn({
+            message: 'DG.AppController.closeDocument.warnMessage',
+            description: 'DG.AppController.closeDocument.warnDescription',
+            buttons: [
+              { title: 'DG.AppController.closeDocument.okButtonTitle',
+                action: iAction,
+                localize: YES
+              },
+              { title: 'DG.AppController.closeDocument.cancelButtonTitle',
+                action: cancelCloseDocument,
+                localize: YES
+              }
+            ],
+            localize: YES
+          });
+        }
+        else {
+          iAction();
+        }
+      };
+
+      DG.busyCursor.show(function() {
+        finishImport();
+      });
       if( iDialog)
         iDialog.close();
     },
@@ -1065,6 +1633,20 @@ DG.appController = SC.Object.create((function () // closure
       DG.currDocumentController().configureGuide();
     },
 
+    /**
+     Pass responsibility to document controller
+     */
+    defineFormulaFunction: function () {
+      DG.currDocumentController().defineFormulaFunction();
+    },
+
+    /**
+     Pass responsibility to document controller
+     */
+    setRandomSeed: function () {
+      DG.currDocumentController().setRandomSeed();
+    },
+
     /**
      Show the help window.
      */
@@ -418,81 +418,47 @@ DG.CollectionClient = SC.Object.extend(
     return this.casesController.getEach('id');
   },
 
+  /**
+    Parses the specified search query, which may refer to the attributes of this
+    collection and of its parent collections, cf. DG.SearchQueryUtilities.
+    @param    {String}  queryString
+    @returns  {Object}  the parsed query
+    @throws   {DG.SearchQueryError} if the query is invalid
+   */
   parseSearchQuery: function (queryString) {
-      if (queryString === '*') {
-        return {
-          valid: true,
-          op: '*'
-        };
-      }
-    // for now this is a simple single expression of "left op right" where op is a comparison operator
-    // this could be expanded (along with the testCaseAgainstQuery method below) using the shunting yard algorithm
-    var matches = queryString.match(/([^=!<>]+)(==|!=|<=|<|>=|>)([^=!<>]*)/),
-        trim = function (s) { return s.replace(/^\s+|\s+$/, ''); },
-        parsedQuery = {
-          valid: !!matches,
-          left: matches && trim(matches[1]),
-          op: matches && matches[2],
-          right: matches && trim(matches[3])
-        },
-        attrNameToIdMap = {},
-        parseOperand = function (value) {
-          var numberValue = Number(value),
-              parsedValue = value === 'true' ? true : (value === 'false' ? false : (isNaN(numberValue) ? value : numberValue));
-          return {
-            value: parsedValue,
-            id: attrNameToIdMap[value]
-          };
-        };
-
-    this.forEachAttribute(function (attr) {
-      attrNameToIdMap[attr.name] = attr.id;
-    });
-
-    parsedQuery.left = parseOperand(parsedQuery.left);
-    parsedQuery.right = parseOperand(parsedQuery.right);
-
-    // valid queries must have at least one side with a defined attribute
-    parsedQuery.valid = !!(parsedQuery.valid && (parsedQuery.left.id || parsedQuery.right.id));
-
-    return parsedQuery;
+    var attrs = [],
+        collection = this.get('collection');
+    while (collection) {
+      attrs = attrs.concat(collection.get('attrs'));
+      collection = collection.get('parent');
+    }
+    return DG.SearchQueryUtilities.parse(queryString, attrs);
   },
 
+  /**
+    Returns whether the specified case matches the specified parsed query.
+    @param    {DG.Case} iCase
+    @param    {Object}  parsedQuery
+    @returns  {Boolean}
+   */
   testCaseAgainstQuery: function (iCase, parsedQuery) {
-    var getValue = function (attr) {
-          return attr.id ? iCase.getValue(attr.id) : attr.value;
-        },
-        leftValue = parsedQuery.left && getValue(parsedQuery.left) || '',
-        rightValue = parsedQuery.right && getValue(parsedQuery.right) || '';
-
-    if (!parsedQuery.valid) {
-      return false;
-    }
-
-    switch (parsedQuery.op) {
-      case '*':  return true;
-      case '==': return leftValue === rightValue;
-      case '!=': return leftValue !== rightValue;
-      case '<':  return leftValue <   rightValue;
-      case '<=': return leftValue <=  rightValue;
-      case '>=': return leftValue >=  rightValue;
-      case '>':  return leftValue >   rightValue;
-      default:   return false;
-    }
+    return DG.SearchQueryUtilities.evaluate(parsedQuery, function (iAttr) {
+      return iCase.getValue(iAttr.id);
+    });
   },
 
+  /**
+    Returns the cases of this collection which match the specified search query.
+    @param    {String}    queryString
+    @returns  {[DG.Case]}
+    @throws   {DG.SearchQueryError} if the query is invalid
+   */
   searchCases: function (queryString) {
     var parsedQuery = this.parseSearchQuery(queryString);
 
-    // return null to signal an invalid query
-    if (!parsedQuery.valid) {
-      return null;
-    }
-
     return this.casesController.filter(function (iCase) {
       return this.testCaseAgainstQuery(iCase, parsedQuery);
     }.bind(this));
-
   },
 
   /**
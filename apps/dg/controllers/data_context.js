@@ -342,6 +342,7 @@ DG.DataContext = SC.Object.extend((function () // closure
 
       DG.globalsController.addObserver('globalNameChanges', this, 'globalNamesDidChange');
       DG.globalsController.addObserver('globalValueChanges', this, 'globalValuesDidChange');
+      DG.formulaFunctionsController.addObserver('functionChanges', this, 'formulaFunctionsDidChange');
     },
 
     /**
@@ -350,6 +351,7 @@ DG.DataContext = SC.Object.extend((function () // closure
     destroy: function () {
       DG.globalsController.removeObserver('globalNameChanges', this, 'globalNamesDidChange');
       DG.globalsController.removeObserver('globalValueChanges', this, 'globalValuesDidChange');
+      DG.formulaFunctionsController.removeObserver('functionChanges', this, 'formulaFunctionsDidChange');
 
       var i, collectionCount = this.get('collectionCount');
       for (i = 0; i < collectionCount; ++i) {
@@ -426,6 +428,13 @@ DG.DataContext = SC.Object.extend((function () // closure
     _changeCount: 0,
     _prevChangeCount: 0,
 
+    /**
+     The number of changes which may affect the values of cases, i.e. all applied changes
+     other than selection changes, and changes to global values and functions. Used to
+     invalidate the cached results of filters (cf. getFilteredCaseIDs()).
+     */
+    _valuesChangeCount: 0,
+
     /**
      Returns the most-recently applied change object. Clients that observe the 'changeCount'
      property can call this function to determine what change triggered the notification.
@@ -459,9 +468,17 @@ DG.DataContext = SC.Object.extend((function () // closure
       var this_ = this,
           result = this.performChange(iChange);
       iChange.result = DG.ObjectMap.join((iChange.result || {}), result);
+      // sort keys of deleted or moved attributes no longer apply
+      if (['deleteAttributes', 'moveAttribute'].indexOf(iChange.operation) >= 0)
+        this.pruneSortSpecs();
+      // changes to the cases or their values may change their sorted order
+      if (this.hasSortSpecs() && this.changeAffectsSortOrder(iChange))
+        this.invokeOnceLater(this.applySortSpecs);
       // TODO: Figure out how/when to prune the changes array so it doesn't grow unbounded.
       this.changes.push(iChange);
       ++this._changeCount;
+      if (iChange.operation !== 'selectCases')
+        ++this._valuesChangeCount;
 
       // We may not be in a runloop if we got here through an event
       SC.run(function () {
@@ -1159,7 +1176,8 @@ DG.DataContext = SC.Object.extend((function () // closure
             };
           });
       if (hasGroupingAttr) this.regenerateCollectionCases(null, 'updateCases');
-      this.invalidateDependentsAndNotify(attrNodes, iChange);
+      // regrouping can affect any case, e.g. via prev() and next()
+      this.invalidateDependentsAndNotify(attrNodes, iChange, hasGroupingAttr ? null : iChange.cases);
 
       return {success: true, caseIDs: iChange.caseIDs};
     },
@@ -1207,7 +1225,8 @@ DG.DataContext = SC.Object.extend((function () // closure
         attrNodes.push({type: DG.DEP_TYPE_ATTRIBUTE, id: attr.id, name: attr.get('name')});
       });
       if (hasGroupingAttr) this.regenerateCollectionCases(null, 'updateCases');
-      this.invalidateDependentsAndNotify(attrNodes, iChange);
+      // regrouping can affect any case, e.g. via prev() and next()
+      this.invalidateDependentsAndNotify(attrNodes, iChange, hasGroupingAttr ? null : cases);
 
       return {success: success, caseIDs: caseIDs};
     },
@@ -2066,6 +2085,8 @@ DG.DataContext = SC.Object.extend((function () // closure
         if (iChange.newName && (names.indexOf(iChange.newName) < 0))
           names.push(iChange.newName);
       });
+      // filter formulas may refer to global values directly
+      ++this._valuesChangeCount;
       this.invalidateNamesAndNotify(names);
     },
 
@@ -2081,6 +2102,8 @@ DG.DataContext = SC.Object.extend((function () // closure
       var names = iNotifier.get(iKey);
       if (names && names.length) {
         var nodes = [];
+        // filter formulas may refer to global values directly
+        ++this._valuesChangeCount;
         names.forEach(function (iName) {
           var globalValue = DG.globalsController.getGlobalValueByName(iName),
               globalID = globalValue && globalValue.get('id');
@@ -2093,6 +2116,23 @@ DG.DataContext = SC.Object.extend((function () // closure
       }
     },
 
+    /**
+     Handler for changes to user-defined functions, i.e. their creation, redefinition
+     or deletion. Since the changes can affect the bindings of formulas, this
+     invalidates all dependent nodes and sends out an appropriate 'namespaceChange'
+     notification, just as for global value name changes.
+     @param  {object}  iNotifier - generally the DG.formulaFunctionsController
+     @param  {string}  iKey - generally 'functionChanges'
+     */
+    formulaFunctionsDidChange: function (iNotifier, iKey) {
+      var names = iNotifier && iNotifier.get(iKey);
+      if (names && names.length) {
+        // filter formulas may refer to the functions directly
+        ++this._valuesChangeCount;
+        this.invalidateNamesAndNotify(names);
+      }
+    },
+
     /**
      Invalidate all attributes of the specified collections.
      @param {[DG.Collection|DG.CollectionClient]} collections - array of collections affected
@@ -2143,9 +2183,11 @@ DG.DataContext = SC.Object.extend((function () // closure
      @param  {object[]}  iNodes - array of nodes whose dependents are to be invalidated
      @param  {object}    [iChange] - optional change object
      {string}    .operation (e.g. 'createCases'|'updateCases'|'deleteCases')
+     @param  {DG.Case[]} [iCases] - optional cases whose values changed, in which case
+     dependents are only invalidated for the affected cases where possible
      */
-    invalidateDependentsAndNotify: function (iNodes, iChange) {
-      var result = this.get('dependencyMgr').invalidateDependentsOf(iNodes);
+    invalidateDependentsAndNotify: function (iNodes, iChange, iCases) {
+      var result = this.get('dependencyMgr').invalidateDependentsOf(iNodes, iCases);
       this.notifyInvalidationResult(result, iChange);
     },
 
@@ -2211,17 +2253,31 @@ DG.DataContext = SC.Object.extend((function () // closure
       var convertDependenciesToNotification = function (iDependencies, iChange) {
         var notification = {operation: 'dependentCases', changes: [], isComplete: true},
             changeCases = (iChange && iChange.cases) || [],
-            collectionChanges = {};
+            collectionChanges = {},
+            // map from collection ID to map of the IDs of the merged affected cases
+            mergedCaseIDs = {},
+            dependencyMgr = this.get('dependencyMgr');
+
+        function getCaseIDMap(iCases) {
+          var caseIDs = {};
+          iCases.forEach(function (iCase) {
+            caseIDs[iCase.get('id')] = true;
+          });
+          return caseIDs;
+        }
 
         iDependencies.forEach(function (iDep) {
           var type = iDep.type,
+              // dependents invalidated at case granularity report their affected cases
+              nodeCases = iChange && iResult.affectedCases &&
+                  iResult.affectedCases[dependencyMgr.createKey(iDep)],
               attr = type === DG.DEP_TYPE_ATTRIBUTE
                   ? DG.Attribute.getAttributeByID(iDep.id) : null,
               dataContextRecord, dataContextID, dataContext,
               collectionRecord = attr && attr.get('collection'),
               collectionID = collectionRecord && collectionRecord.get('id'),
               collectionClient = collectionID && this.getCollectionByID(collectionID),
-              affectedCases,
+              affectedCases, caseIDs,
               change = collectionChanges[collectionID];
           if (!collectionClient) {
             // we may have an external data context reference
@@ -2233,15 +2289,16 @@ DG.DataContext = SC.Object.extend((function () // closure
             if (externalDataContexts.indexOf(dataContext) < 0)
               externalDataContexts.push(dataContext);
           }
+          // For simple dependencies within the same collection as the original
+          // change, only the cases originally changed can be affected, and dependents
+          // invalidated at case granularity (e.g. via prev()) report the affected cases.
+          // For aggregate dependencies or dependencies across collections,
+          // we simplify by reporting that all cases are affected. This is
+          // less than optimally efficient in the case of non-aggregate references
+          // from a child collection attribute formula to a parent collection
+          // attribute, but for now we make this simplifying assumption.
+          affectedCases = nodeCases || (collectionID === changeCollectionID ? changeCases : []);
           if (!change) {
-            // For simple dependencies within the same collection as the original
-            // change, only the cases originally changed can be affected.
-            // For aggregate dependencies or dependencies across collections,
-            // we simplify by reporting that all cases are affected. This is
-            // less than optimally efficient in the case of non-aggregate references
-            // from a child collection attribute formula to a parent collection
-            // attribute, but for now we make this simplifying assumption.
-            affectedCases = collectionID === changeCollectionID ? changeCases : [];
             change = collectionChanges[collectionID] = {
               dataContext: dataContext || this,
               collection: collectionClient,
@@ -2250,6 +2307,19 @@ DG.DataContext = SC.Object.extend((function () // closure
             };
           } else {
             change.attributeIDs.push(iDep.id);
+            // merge the affected cases ([] indicates all cases)
+            if (!affectedCases.length)
+              change.cases = [];
+            else if (change.cases.length) {
+              caseIDs = mergedCaseIDs[collectionID] ||
+                          (mergedCaseIDs[collectionID] = getCaseIDMap(change.cases));
+              change.cases = change.cases.concat(affectedCases.filter(function (iCase) {
+                var caseID = iCase.get('id');
+                if (caseIDs[caseID]) return false;
+                caseIDs[caseID] = true;
+                return true;
+              }));
+            }
           }
         }.bind(this));
 
@@ -2337,63 +2407,572 @@ DG.DataContext = SC.Object.extend((function () // closure
      * suitable for pasting into TinkerPlots/Fathom.
      * If no collection name given, returns an list of collection names.
      * @param iWhichCollection {String} collection name of the desired collection.
-     * @return {String} Case data in tab-delimited string format
-     */
-    exportCaseData: function (iWhichCollection) {
-      // Encode str as per RFC 4180.
-      // If str contains double quotes, convert to two double quotes
-      // If str contains commas or double quotes, wrap in double quotes.
-      function escape(str) {
-        var newStr = '' + (SC.none(str) ? '' : str);
-        if (/.*[",].*/.test(str)) {
-          newStr = '"' + newStr.replace(/"/g, '""') + '"';
+     * @param iOptions {Object} optional export options, cf. getExportTable(), and
+     *                  {String}  format -- one of DG.CaseDataExportUtilities.kFormats,
+     *                                      'csv' by default
+     *                  {Boolean} includeMetadata -- whether to include the units,
+     *                                      descriptions, formulas, etc. of the attributes
+     * @return {String} Case data in the specified format, RFC 4180 CSV by default
+     */
+    exportCaseData: function (iWhichCollection, iOptions) {
+      var options = iOptions || {};
+
+      if (SC.empty(iWhichCollection)) {
+        return '';
+      }
+      return DG.CaseDataExportUtilities.exportTable(this.getExportTable(iWhichCollection, options),
+                                                    options.format || 'csv', options.includeMetadata);
+    },
+
+    /**
+     * Returns the attributes and cases of the given collection to export, in the
+     * form expected by DG.CaseDataExportUtilities.
+     * @param iWhichCollection {String} collection name of the desired collection, or
+     *                  'DG.CaseTableController.allTables' for all collections
+     * @param iOptions {Object} optional
+     *                  {Boolean} includeParents -- whether to include the attributes of
+     *                                      the parent collections of the collection
+     *                  {Boolean} includeHidden -- whether to include hidden attributes
+     *                  {Boolean} selectedOnly -- whether to include only selected cases
+     *                  {Function} caseFilter -- if specified, only cases of the
+     *                                      collection for which it returns true are included
+     * @return {Object} { name, collections, cases }, cf. DG.CaseDataExportUtilities
+     */
+    getExportTable: function (iWhichCollection, iOptions) {
+      var options = iOptions || {},
+          collections = this.getExportCollections(iWhichCollection, options),
+          collection = collections[collections.length - 1],
+          exportCollections = collections.map(function (iCollection) {
+            return { name: iCollection.get('name'), attrs: this.getExportAttributes(iCollection, options) };
+          }.bind(this)),
+          casesByID = {},
+          topCases = [];
+
+      // returns the export case of the specified case, adding it and its ancestors as necessary
+      function getExportCase(iCase, iLevel) {
+        var exportCase = casesByID[iCase.get('id')],
+            values = {};
+        if (!exportCase) {
+          exportCollections[iLevel].attrs.forEach(function (iAttr) {
+            var value = iCase.getValue(iAttr.id);
+            values[iAttr.name] = (value instanceof Error) ? DG.DataUtilities.toString(value) : value;
+          });
+          exportCase = casesByID[iCase.get('id')] = { values: values, children: [] };
+          if (iLevel > 0)
+            getExportCase(iCase.get('parent'), iLevel - 1).children.push(exportCase);
+          else
+            topCases.push(exportCase);
         }
-        return newStr;
+        return exportCase;
       }
 
-      var columnDelimiter = ',',
-          rowDelimiter = '\r\n',
-          collection,
-          attributes,
-          attribIDs,
+      collection.forEachCase(function (iCase) {
+        if (options.selectedOnly && !collection.isCaseSelected(iCase)) return;
+        if (options.caseFilter && !options.caseFilter(iCase)) return;
+        getExportCase(iCase, exportCollections.length - 1);
+      });
+
+      return { name: this.get('title') || this.get('name'), collections: exportCollections, cases: topCases };
+    },
+
+    /**
+     * Returns the collections whose attributes are exported for the given collection.
+     * @param iWhichCollection {String} collection name of the desired collection, or
+     *                  'DG.CaseTableController.allTables' for all collections
+     * @param iOptions {Object} optional, cf. getExportTable()
+     * @return {[DG.CollectionClient]} parents first
+     */
+    getExportCollections: function (iWhichCollection, iOptions) {
+      var isAllTables = (iWhichCollection === 'DG.CaseTableController.allTables'.loc()),
+          collection = isAllTables ? this.getLastCollection() : this.getCollectionByName(iWhichCollection),
+          collectionIndex = this.get('collections').indexOf(collection.get('collection'));
+      if (!isAllTables && !(iOptions && iOptions.includeParents))
+        return [collection];
+      return this.get('collections').slice(0, collectionIndex + 1).map(function (iCollection) {
+        return this.getCollectionByID(iCollection.get('id'));
+      }.bind(this));
+    },
+
+    /**
+     * Returns the properties of the attributes of the given collection which are exported.
+     * @param iCollection {DG.CollectionClient}
+     * @param iOptions {Object} optional, cf. getExportTable()
+     * @return {[Object]} { id, name, unit, description, formula, type, precision }
+     */
+    getExportAttributes: function (iCollection, iOptions) {
+      return iCollection.get('attrsController')
+              .filter(function (iAttr) {
+                return (iOptions && iOptions.includeHidden) || !iAttr.get('hidden');
+              })
+              .map(function (iAttr) {
+                return {
+                  id: iAttr.get('id'),
+                  name: iAttr.get('name'),
+                  unit: iAttr.get('unit'),
+                  description: iAttr.get('description'),
+                  formula: iAttr.get('formula'),
+                  type: iAttr.get('type'),
+                  precision: iAttr.get('precision')
+                };
+              });
+    },
+
+    /**
+     * Returns the attributes and cases of all collections as a single flat table, with
+     * a row for each case of the last collection which includes the values of its
+     * parent cases, e.g. for reshaping with DG.ReshapeUtilities.
+     * @return {Object} { attrs: [{ name, type, unit, description, precision }],
+     *                    rows: [maps of attribute names to values] }
+     */
+    getFlatTable: function () {
+      var table = this.getExportTable('DG.CaseTableController.allTables'.loc(), { includeHidden: true }),
+          attrs = [],
           rows = [];
 
-      if (SC.empty(iWhichCollection)) {
-        return '';
+      table.collections.forEach(function (iCollection) {
+        iCollection.attrs.forEach(function (iAttr) {
+          attrs.push(DG.ReshapeUtilities.omitUndefined({
+            name: iAttr.name,
+            type: iAttr.type || undefined,
+            unit: iAttr.unit || undefined,
+            description: iAttr.description || undefined,
+            precision: iAttr.precision != null ? iAttr.precision : undefined
+          }));
+        });
+      });
+
+      function addRows(iCases, iParentValues) {
+        iCases.forEach(function (iCase) {
+          var values = $.extend({}, iParentValues, iCase.values);
+          if (iCase.children.length)
+            addRows(iCase.children, values);
+          else
+            rows.push(values);
+        });
       }
+      addRows(table.cases, {});
 
-      if (iWhichCollection === 'DG.CaseTableController.allTables'.loc()) {
-        collection = this.getLastCollection();
-        attributes = this.getAttributes();
-      } else {
-        collection = this.getCollectionByName(iWhichCollection);
-        attributes = collection.attrsController;
+      return { attrs: attrs, rows: rows };
+    },
+
+    /**
+     * For data contexts created by reshaping another data context, returns the source
+     * data context and the reshape options, cf. DG.DataContextRecord.provenance.
+     * @return {Object|null} { operation, sourceContextID, sourceName, options }
+     */
+    getProvenance: function () {
+      return this.getPath('model.provenance') || null;
+    },
+
+    /**
+     * @param iProvenance {Object|null} cf. getProvenance()
+     */
+    setProvenance: function (iProvenance) {
+      var model = this.get('model');
+      if (model) {
+        model.set('provenance', iProvenance);
+        DG.dirtyCurrentDocument(model);
+      }
+    },
+
+    /**
+     * Returns the filters of this data context. A filter is a named, persistent subset
+     * of the cases, defined either by a formula, which child cases must satisfy, or by
+     * the items of the cases which were selected when it was created. Filters don't
+     * affect the data; components such as graphs choose which filters to apply.
+     * @return {[Object]} { id, name, formula, itemIDs, isActive }
+     */
+    getFilters: function () {
+      return this.getPath('model.filters') || [];
+    },
+
+    /**
+     * @param iFilterID {String}
+     * @return {Object|undefined}
+     */
+    getFilterByID: function (iFilterID) {
+      return this.getFilters().find(function (iFilter) {
+        return iFilter.id === iFilterID;
+      });
+    },
+
+    /**
+     * Replaces the filters of this data context and notifies observers of
+     * 'filtersChangeCount'.
+     * @param iFilters {[Object]} cf. getFilters()
+     */
+    setFilters: function (iFilters) {
+      this.setPath('model.filters', (iFilters || []).map(function (iFilter) {
+        var filter = {
+          id: iFilter.id || DG.DataUtilities.createUniqueID(),
+          name: iFilter.name,
+          isActive: iFilter.isActive !== false
+        };
+        if (iFilter.itemIDs)
+          filter.itemIDs = iFilter.itemIDs.slice();
+        else
+          filter.formula = iFilter.formula;
+        return filter;
+      }));
+      this._filteredCaseIDs = null;
+      this.incrementProperty('filtersChangeCount');
+      DG.dirtyCurrentDocument(this.get('model'));
+    },
+
+    /**
+     * Replaces the filters of this data context as an undoable command.
+     * @param iFilters {[Object]} cf. getFilters()
+     */
+    changeFilters: function (iFilters) {
+      var dataContext = this,
+          oldFilters = this.getFilters(),
+          newFilters;
+      DG.UndoHistory.execute(DG.Command.create({
+        name: 'dataContext.changeFilters',
+        undoString: 'DG.Undo.dataContext.changeFilters',
+        redoString: 'DG.Redo.dataContext.changeFilters',
+        log: 'change filters of "%@"'.fmt(this.get('name')),
+        execute: function () {
+          dataContext.setFilters(iFilters);
+          // redo restores the filters with the IDs assigned here
+          newFilters = dataContext.getFilters();
+        },
+        undo: function () {
+          dataContext.setFilters(oldFilters);
+        },
+        redo: function () {
+          dataContext.setFilters(newFilters);
+        }
+      }));
+    },
+
+    /**
+     * The number of changes to the filters. Clients can observe this to be notified
+     * when filters are added, removed or changed.
+     * @property {Number}
+     */
+    filtersChangeCount: 0,
+
+    /**
+     * Returns the properties of a filter consisting of the items of the selected cases.
+     * @param iName {String}
+     * @return {Object|null} { name, itemIDs } or null if no cases are selected
+     */
+    createFilterFromSelection: function (iName) {
+      // selecting a parent case selects its children, so the child selection suffices
+      var selection = this.getPath('childCollection.casesController.selection'),
+          itemIDs = selection ? selection.map(function (iCase) {
+                                  return iCase.getPath('item.id');
+                                }) : [];
+      return itemIDs.length ? { name: iName, itemIDs: itemIDs } : null;
+    },
+
+    /**
+     * Returns a description of the error in the given filter formula, if any.
+     * @param iFormula {String}
+     * @return {String|null} null if the formula is valid
+     */
+    validateFilterFormula: function (iFormula) {
+      var formula, error = null;
+      if (SC.empty(iFormula))
+        return 'DG.DataContext.filter.emptyFormula'.loc();
+      formula = this._createFilterFormula(iFormula);
+      try {
+        formula.get('compiled');
       }
+      catch (ex) {
+        error = ex.message || String(ex);
+      }
+      formula.destroy();
+      return error;
+    },
+
+    /**
+     * Returns a formula for the child collection, whose attributes and those of its
+     * parents are available to filter formulas.
+     * @param iSource {String}
+     * @return {DG.Formula}
+     * @private
+     */
+    _createFilterFormula: function (iSource) {
+      var collection = this.get('childCollection'),
+          context = DG.CollectionFormulaContext.create({
+            ownerSpec: {
+              type: DG.DEP_TYPE_UNDEFINED,
+              id: collection && collection.get('id'),
+              name: collection && collection.get('name')
+            },
+            collection: collection && collection.get('collection')
+          }),
+          formula = DG.Formula.create({ context: context });
+      formula.set('source', iSource || '');
+      return formula;
+    },
+
+    /**
+     * Returns a map of the IDs of the cases which pass the given filter. A child case
+     * passes if its item belongs to the filter or if it satisfies the filter's formula;
+     * a parent case passes if any of its children does.
+     * The map is cached until the values of the cases or the filters change, so that
+     * changes to the selection don't require the filters to be reevaluated.
+     * @param iFilter {Object}
+     * @return {Object} map from case ID to true
+     */
+    getFilteredCaseIDs: function (iFilter) {
+      var changeCount = this._valuesChangeCount,
+          collection = this.get('childCollection'),
+          caseIDs = {},
+          test, formula, itemIDs;
+
+      if (!this._filteredCaseIDs || this._filteredCaseIDs.changeCount !== changeCount)
+        this._filteredCaseIDs = { changeCount: changeCount, filters: {} };
+      if (this._filteredCaseIDs.filters[iFilter.id])
+        return this._filteredCaseIDs.filters[iFilter.id];
+
+      if (iFilter.itemIDs) {
+        itemIDs = {};
+        iFilter.itemIDs.forEach(function (iItemID) { itemIDs[iItemID] = true; });
+        test = function (iCase) {
+          return itemIDs[iCase.getPath('item.id')];
+        };
+      }
+      else {
+        formula = this._createFilterFormula(iFilter.formula);
+        test = function (iCase) {
+          var result;
+          try {
+            result = formula.evaluate({
+              _case_: iCase,
+              _id_: iCase.get('id'),
+              _collectionID_: collection.get('id')
+            });
+          }
+          catch (ex) {
+            return false;
+          }
+          return result && !(result instanceof Error);
+        };
+      }
+
+      if (collection) {
+        collection.forEachCase(function (iCase) {
+          if (!test(iCase)) return;
+          for (var tCase = iCase; tCase && !caseIDs[tCase.get('id')]; tCase = tCase.get('parent')) {
+            caseIDs[tCase.get('id')] = true;
+          }
+        });
+      }
+      if (formula)
+        formula.destroy();
+
+      this._filteredCaseIDs.filters[iFilter.id] = caseIDs;
+      return caseIDs;
+    },
+
+    /**
+     * Returns true if the given case passes all of the given filters which are active.
+     * @param iCase {DG.Case}
+     * @param iFilterIDs {[String]} optional -- all active filters if not specified
+     * @return {Boolean}
+     */
+    caseMatchesFilters: function (iCase, iFilterIDs) {
+      return this.getFilters().every(function (iFilter) {
+        if (!iFilter.isActive || (iFilterIDs && iFilterIDs.indexOf(iFilter.id) < 0))
+          return true;
+        return !!this.getFilteredCaseIDs(iFilter)[iCase.get('id')];
+      }.bind(this));
+    },
+
+    /**
+     * Returns the sort specification of the given collection, i.e. the keys by which
+     * its cases are kept sorted among the children of the same parent.
+     * @param iCollection {DG.CollectionClient}
+     * @return {[Object]} { attrID, isDescending, emptyFirst }, most significant first
+     */
+    getSortSpec: function (iCollection) {
+      return (iCollection && iCollection.getPath('collection.sortSpec')) || [];
+    },
+
+    /**
+     * Replaces the sort specification of the given collection and sorts the cases.
+     * @param iCollection {DG.CollectionClient}
+     * @param iSortSpec {[Object]} cf. getSortSpec(); empty to leave the cases in their current order
+     */
+    setSortSpec: function (iCollection, iSortSpec) {
+      iCollection.setPath('collection.sortSpec', (iSortSpec || []).map(function (iKey) {
+        var key = { attrID: iKey.attrID };
+        if (iKey.isDescending) key.isDescending = true;
+        if (iKey.emptyFirst) key.emptyFirst = true;
+        return key;
+      }));
+      // notify clients of the change to the specification even if there's nothing to sort
+      if (!this.applySortSpecs())
+        this.incrementProperty('sortChangeCount');
+      DG.dirtyCurrentDocument(this.get('model'));
+    },
 
-      // remove hidden attributes
-      attributes = attributes.filter(function (attr) {
-        return !attr.hidden;
+    /**
+     * Whether any collection has a sort specification.
+     * @return {Boolean}
+     */
+    hasSortSpecs: function () {
+      return this.get('collections').some(function (iCollection) {
+        return iCollection.get('sortSpec') && iCollection.get('sortSpec').length > 0;
       });
-      attribIDs = attributes.map(function(attr) {return attr.id; });
+    },
 
-      // create a tab and newline delimited string of attribute names and case values.
+    /**
+     * Whether the given change may change the sorted order of the cases, i.e. whether
+     * it adds or changes cases or changes the values or properties of a sort key.
+     * @param iChange {Object} an applied change
+     * @return {Boolean}
+     */
+    changeAffectsSortOrder: function (iChange) {
+      var dataContext = this,
+          sortKeyIDs = {};
 
-      // add a row of attribute names
-      rows.push(attributes.map(function (attr) {
-        return escape(attr.name);
-      }).join(columnDelimiter));
+      function isSortKey(iAttrID) {
+        return !!sortKeyIDs[iAttrID];
+      }
 
-      // add each row of case values
-      collection.forEachCase(function (iCase, iIndex) {
-        var row = [];
-        attribIDs.forEach(function (iAttrID) {
-          var caseValue = iCase.getValue(iAttrID);
-          row.push(escape(caseValue));
+      this.get('collections').forEach(function (iCollection) {
+        (iCollection.get('sortSpec') || []).forEach(function (iKey) {
+          sortKeyIDs[iKey.attrID] = true;
         });
-        rows.push(row.join(columnDelimiter)); // append each line of data to the output
       });
+      switch (iChange.operation) {
+        case 'createCase':
+        case 'createCases':
+        case 'updateCases':
+        case 'createItems':
+        case 'updateItems':
+          return true;
+        case 'updateAttributes':
+          // e.g. changes to the formula or type of a sort key
+          return ((iChange.result && iChange.result.attrIDs) || []).some(isSortKey);
+        case 'dependentCases':
+          // e.g. changes to the values of a sort key computed by a formula
+          return (iChange.changes || []).some(function (iDependentChange) {
+            return (!iDependentChange.dataContext || (iDependentChange.dataContext === dataContext)) &&
+                    (iDependentChange.attributeIDs || []).some(isSortKey);
+          });
+      }
+      return false;
+    },
+
+    /**
+     * Removes the keys of the sort specifications whose attributes no longer belong to
+     * their collections, e.g. because they have been deleted, and notifies clients.
+     */
+    pruneSortSpecs: function () {
+      var didPrune = false;
+      this.get('collections').forEach(function (iCollection) {
+        var sortSpec = iCollection.get('sortSpec'),
+            prunedSpec = sortSpec && sortSpec.filter(function (iKey) {
+              return !!iCollection.getAttributeByID(iKey.attrID);
+            });
+        if (prunedSpec && (prunedSpec.length !== sortSpec.length)) {
+          iCollection.set('sortSpec', prunedSpec);
+          didPrune = true;
+        }
+      });
+      if (didPrune) {
+        this.incrementProperty('sortChangeCount');
+        DG.dirtyCurrentDocument(this.get('model'));
+      }
+    },
+
+    /**
+     * The number of times the cases have been sorted. Clients such as case tables can
+     * observe this to be notified when the order of the cases or the sort specifications change.
+     * @property {Number}
+     */
+    sortChangeCount: 0,
+
+    /**
+     * Sorts the items according to the sort specifications of the collections. The cases
+     * of each collection are sorted among the children of the same parent; cases which
+     * compare equal (or collections without a sort specification) retain their order.
+     * Attributes of numeric type are compared by their numeric values.
+     * @return {[Number]|undefined} the original client index map of the data set, for use with undo
+     */
+    applySortSpecs: function () {
+      var dataSet = this.get('dataSet'),
+          collections = this.get('collections'),
+          sortSpecs = collections.map(function (iCollection) {
+            return (iCollection.get('sortSpec') || []).map(function (iKey) {
+              var attribute = DG.Attribute.getAttributeByID(iKey.attrID);
+              return SC.mixin({ isNumeric: attribute && attribute.get('type') === 'numeric' }, iKey);
+            });
+          }),
+          childCollectionID = collections.length && collections[collections.length - 1].get('id'),
+          originalClientMap;
+
+      function getValue(iCase, iKey) {
+        var numValue = iKey.isNumeric ? iCase.getForcedNumericValue(iKey.attrID) : null;
+        return SC.empty(numValue) ? iCase.getRawValue(iKey.attrID) : numValue;
+      }
+
+      function accessFunc(itemID) {
+        return DG.Case.findCase(childCollectionID, itemID);
+      }
+
+      // returns the case and its ancestors, parent-most first
+      function getLineage(iCase) {
+        var lineage = [];
+        for (var tCase = iCase; tCase; tCase = tCase.get('parent')) {
+          lineage.unshift(tCase);
+        }
+        return lineage;
+      }
+
+      function compareCases(caseA, caseB) {
+        var lineageA, lineageB, i, j, result;
+        if (!caseA || !caseB) return 0;
+        lineageA = getLineage(caseA);
+        lineageB = getLineage(caseB);
+        for (i = 0; i < collections.length; ++i) {
+          if (lineageA[i] !== lineageB[i]) {
+            if (!lineageA[i] || !lineageB[i]) return 0;
+            for (j = 0; j < sortSpecs[i].length; ++j) {
+              result = DG.DataUtilities.compareSortKeyValues(getValue(lineageA[i], sortSpecs[i][j]),
+                                                            getValue(lineageB[i], sortSpecs[i][j]),
+                                                            sortSpecs[i][j]);
+              if (result) return result;
+            }
+            return collections[i].caseIDToIndexMap[lineageA[i].get('id')] -
+                    collections[i].caseIDToIndexMap[lineageB[i].get('id')];
+          }
+        }
+        return 0;
+      }
+
+      if (!dataSet || !sortSpecs.some(function (iSortSpec) { return iSortSpec.length > 0; }))
+        return;
+      originalClientMap = dataSet.sortItems(null, accessFunc, compareCases);
+      // cases which are already sorted needn't be regenerated, which also ends re-sorting
+      // triggered by formulas which depend on the order of the cases
+      if (dataSet.getClientIndexMapCopy().some(function (iItemIndex, iIndex) {
+            return iItemIndex !== originalClientMap[iIndex];
+          }))
+        this.regenerateCollectionCases(null, 'moveCases');
+      this.incrementProperty('sortChangeCount');
+      return originalClientMap;
+    },
 
-      return rows.join(rowDelimiter);
+    /**
+     * Restores the order of the items and the sort specifications, e.g. for undo.
+     * @param iClientMap {[Number]} cf. applySortSpecs()
+     * @param iSortSpecs {Object} map from collection ID to sort specification
+     */
+    restoreSortOrder: function (iClientMap, iSortSpecs) {
+      this.get('collections').forEach(function (iCollection) {
+        iCollection.set('sortSpec', iSortSpecs[iCollection.get('id')] || null);
+      });
+      this.get('dataSet').setClientIndexMap(iClientMap);
+      this.regenerateCollectionCases(null, 'moveCases');
+      this.incrementProperty('sortChangeCount');
+      DG.dirtyCurrentDocument(this.get('model'));
     },
 
     /**
@@ -2652,6 +3231,41 @@ DG.DataContext = SC.Object.extend((function () // closure
       this.invalidateDependentsAndNotify(attrNodes);
     },
 
+    /**
+     * Called as the values of an attribute formula which is being evaluated in the
+     * background (cf. DG.FormulaWorker) arrive. Notifies clients with a 'dependentCases'
+     * notification for the cases whose values arrived so that the case table, graphs, etc.
+     * can update incrementally. Dependents of the attribute are invalidated once the
+     * evaluation is complete rather than as each batch of values arrives.
+     *
+     * @param iAttribute {DG.Attribute}
+     * @param iCases {[DG.Case]|null} the cases whose values arrived (null for all cases)
+     * @param iIsComplete {Boolean} true if the background evaluation is complete
+     */
+    formulaValuesDidChange: function (iAttribute, iCases, iIsComplete) {
+      var attrID = iAttribute.get('id'),
+          collection = this.getCollectionByID(iAttribute.getPath('collection.id'));
+      if (!collection) return;
+
+      if (!iCases || iCases.length) {
+        this.applyChange({
+          operation: 'dependentCases',
+          changes: [{
+            dataContext: this,
+            collection: collection,
+            attributeIDs: [attrID],
+            cases: iCases || []
+          }],
+          isComplete: true
+        });
+      }
+
+      if (iIsComplete) {
+        this.invalidateDependentsAndNotify(
+            [{type: DG.DEP_TYPE_ATTRIBUTE, id: attrID, name: iAttribute.get('name')}]);
+      }
+    },
+
     /**
      Applies the specified function to each collection managed by this data context.
      @param    iFunction {Function}        The function to apply to each collection
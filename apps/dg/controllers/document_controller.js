@@ -1599,6 +1599,135 @@ DG.DocumentController = SC.Object.extend(
         });
       },
 
+      /**
+       * Puts up a formula dialog in which the user can define a function stored in the
+       * document, e.g. bmi(w, h) = w / h^2. Entering the name of an existing function
+       * redefines it and clearing its formula deletes it.
+       * @param {String} iName - (optional) the name of an existing function to edit
+       */
+      defineFormulaFunction: function (iName) {
+        var tController = DG.formulaFunctionsController,
+            tExisting = tController.getFunctionByName(iName),
+            tDialog = null,
+            updateValidation,
+            tApplier = SC.Object.create({
+              applyFunction: function () {
+                var tHeader = tController.parseHeader(tDialog.get('attributeName')),
+                    tBody = tDialog.get('formula'),
+                    tFunction = tHeader && tController.getFunctionByName(tHeader.name),
+                    tNewDefinition = tHeader && !SC.empty(tBody)
+                                      ? { params: tHeader.params, body: tBody,
+                                          description: tFunction ? tFunction.get('description') : '' }
+                                      : null,
+                    tError = !tHeader
+                              ? 'DG.FormulaFunctions.invalidHeader'.loc()
+                              : tNewDefinition &&
+                                  tController.validateDefinition(SC.mixin({ name: tHeader.name }, tNewDefinition),
+                                                                  tFunction);
+                if (tError) {
+                  DG.AlertPane.show({ message: tError });
+                  return; // Return without closing the dialog
+                }
+                if (tFunction || tNewDefinition) {
+                  DG.UndoHistory.execute(DG.Command.create({
+                    name: 'formulaFunction.define',
+                    undoString: 'DG.Undo.formulaFunction.define',
+                    redoString: 'DG.Redo.formulaFunction.define',
+                    log: 'Define function: %@'.fmt(tNewDefinition
+                                                    ? '%@(%@) = %@'.fmt(tHeader.name, tHeader.params.join(', '), tBody)
+                                                    : tHeader.name),
+                    _oldDefinition: tFunction ? tFunction.toArchive() : null,
+                    _newDefinition: tNewDefinition,
+                    execute: function () {
+                      tController.defineFormulaFunction(tHeader.name, this._newDefinition);
+                    },
+                    undo: function () {
+                      tController.defineFormulaFunction(tHeader.name, this._oldDefinition);
+                    }
+                  }));
+                }
+                tDialog.close();
+              }
+            });
+
+        tDialog = DG.CreateAttributeFormulaView({
+          attrNamePrompt: 'DG.FormulaFunctions.headerPrompt',
+          attrNameValue: tExisting ? tExisting.get('header') : '',
+          attrNameHint: 'DG.FormulaFunctions.headerHint',
+          formulaValue: tExisting ? tExisting.get('body') : '',
+          formulaOperands: ['e', 'π'],
+          formulaHint: 'DG.FormulaFunctions.formulaHint',
+          applyTarget: tApplier,
+          applyAction: 'applyFunction',
+          applyTooltip: 'DG.FormulaFunctions.applyTooltip'
+        });
+
+        // the body can only reference the parameters, so validate it against the current header
+        updateValidation = function () {
+          var tHeader = tController.parseHeader(tDialog.get('attributeName'));
+          tDialog.setPath('contentView.formula.validationOptions',
+                          tHeader ? { names: tHeader.params, allowsAggregates: false }
+                                  : { allowsAggregates: false });
+        };
+        tDialog.addObserver('contentView.attrName.value', updateValidation);
+        updateValidation();
+      },
+
+      /**
+       * Puts up a dialog in which the user can set the document's random seed, which makes
+       * the random functions generate the same random numbers for everyone who opens the
+       * document. Entering "none" removes the seed.
+       */
+      setRandomSeed: function () {
+        var tDocument = this.get('content'),
+            tNone = 'DG.DocumentController.randomSeedNone'.loc(),
+            tOldSeed = tDocument && tDocument.get('randomSeed'),
+            tDialog = null,
+            applySeed = function () {
+              var tValue = (tDialog.get('value') || '').trim(),
+                  tNewSeed = tValue.toLowerCase() === tNone.toLowerCase()
+                              ? null : DG.RandomUtilities.normalizeSeed(tValue);
+              tDialog.close();
+              if (tNewSeed === tOldSeed) return;
+              DG.UndoHistory.execute(DG.Command.create({
+                name: 'document.randomSeed',
+                undoString: 'DG.Undo.document.randomSeed',
+                redoString: 'DG.Redo.document.randomSeed',
+                log: 'Set random seed: %@'.fmt(tNewSeed != null ? tNewSeed : tNone),
+                execute: function () {
+                  this._setRandomSeed(tNewSeed);
+                }.bind(this),
+                undo: function () {
+                  this._setRandomSeed(tOldSeed);
+                }.bind(this)
+              }));
+            }.bind(this);
+
+        if (!tDocument) return;
+        tDialog = DG.CreateSingleTextDialog({
+          prompt: 'DG.DocumentController.randomSeedPrompt'.loc(tNone),
+          textValue: tOldSeed != null ? String(tOldSeed) : tNone,
+          okTarget: null,
+          okAction: applySeed,
+          okTooltip: 'DG.DocumentController.randomSeedOKTip'
+        });
+      },
+
+      /**
+       * Sets the document's random seed and recomputes everything that depends on random numbers.
+       * @param {Number|null} iSeed
+       */
+      _setRandomSeed: function (iSeed) {
+        this.setPath('content.randomSeed', iSeed);
+        this.get('contexts').forEach(function (iContext) {
+          var tDependencyMgr = iContext.get('dependencyMgr'),
+              tRandomNode = tDependencyMgr &&
+                  tDependencyMgr.findNode({ type: DG.DEP_TYPE_SPECIAL, id: 'random' });
+          if (tRandomNode)
+            iContext.invalidateDependentsAndNotify([tRandomNode]);
+        });
+      },
+
       /**
        * If we have both a button and a menu pane, we can pass them to the guideController.
        */
@@ -1808,9 +1937,10 @@ DG.DocumentController = SC.Object.extend(
        * new document.
        */
       closeDocument: function () {
-        /** stop any animation and then destroy globals */
+        /** stop any animation and then destroy globals and user-defined functions */
         DG.globalsController.stopAnimation();
         DG.globalsController.reset();
+        DG.formulaFunctionsController.reset();
 
         // Close components
         DG.mainPage.closeAllComponents();
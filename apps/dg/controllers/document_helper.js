@@ -114,10 +114,12 @@ DG.DocumentHelper = SC.Object.extend(
           'changeCount',
           'components',
           'contexts',
+          'formulaFunctions',
           'globalValues',
           'guid',
           'metadata',
           'name',
+          'randomSeed',
           '_permissions',
           '_openedFromSharedDocument' // this is an annotation we may create in
                                       // CodapCommonStorage
@@ -0,0 +1,271 @@
+// ==========================================================================
+//                      DG.formulaFunctionsController
+//
+//  The controller for the user-defined formula functions in the document.
+//
+//  Copyright (c) 2021 by The Concord Consortium, Inc. All rights reserved.
+//
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing, software
+//  distributed under the License is distributed on an "AS IS" BASIS,
+//  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//  See the License for the specific language governing permissions and
+//  limitations under the License.
+// ==========================================================================
+
+sc_require('models/formula_function_model');
+
+/** @class
+
+  Maintains the document's library of user-defined functions (DG.FormulaFunction),
+  e.g. bmi(w, h) = w / h^2. Like global values, functions are identified by name
+  in formulas, so clients observe 'functionChanges' to recompile and recompute
+  the formulas that reference the affected functions.
+
+  @extends SC.Controller
+*/
+DG.formulaFunctionsController = SC.Controller.create( (function() {
+/** @scope DG.formulaFunctionsController.prototype */
+
+  // names which can't be used for functions or parameters
+  var kReservedNames = ['true', 'false'],
+      kConstantNames = ['e', 'pi', 'π'];
+
+  return {
+
+    /**
+      Array of strings representing the names of the changed functions,
+      including the names of any functions which call them.
+      @property   {Array of String}
+     */
+    functionChanges: null,
+
+    /**
+      @private
+      Maps from name to function.
+     */
+    _functionsMap: {},
+
+    /**
+     * Called when a document is closed so that all functions are destroyed.
+     */
+    reset: function() {
+      DG.ObjectMap.forEach( this._functionsMap, function( iKey, iValue){
+        this.destroyFormulaFunction( iValue);
+      }.bind(this));
+    },
+
+    /**
+      Utility function for determining whether the specified name is in use.
+      @param    {String}    iName -- The proposed name to search for
+      @returns  {Boolean}   True if the name is in use, false if it is available.
+     */
+    isNameInUse: function( iName) {
+      return !SC.none( this.getFunctionByName( iName));
+    },
+
+    /**
+      Return the function with the matching name.
+      @param    {String}              iName -- the name of the function to search for
+      @returns  {DG.FormulaFunction}  The matching function or undefined if not found
+     */
+    getFunctionByName: function( iName) {
+      return iName ? this._functionsMap[iName] : undefined;
+    },
+
+    getFunctionByID: function (iID) {
+      return DG.ObjectMap.values(this._functionsMap).find(function (fn) {return fn.id === Number(iID);});
+    },
+
+    /**
+      Returns an array of the names of the functions.
+      @returns    {Array of String}
+     */
+    getFunctionNames: function() {
+      return DG.ObjectMap.keys( this._functionsMap);
+    },
+
+    /**
+      Parses a function header of the form "name(param1, param2, ...)".
+      @param    {String}    iHeader -- the function header
+      @returns  {Object|null} { name: {String}, params: {String[]} } or null if not a function header
+     */
+    parseHeader: function( iHeader) {
+      var match = /^\s*([^\s(]+)\s*\(([^)]*)\)\s*$/.exec( iHeader || ''),
+          paramsStr = match && match[2].trim();
+      if( !match) return null;
+      return { name: match[1],
+                params: paramsStr ? paramsStr.split(',').map(function(iParam) { return iParam.trim(); }) : [] };
+    },
+
+    /**
+      Validates the specified function definition, returning a description of the
+      first problem found or null if the definition is valid.
+      @param    {Object}              iDefinition
+                {String}                .name -- the name of the function
+                {String[]}              .params -- the names of the parameters
+                {String}                .body -- the source of the function's expression
+      @param    {DG.FormulaFunction}  iFunction -- (optional) the function being redefined
+      @returns  {String|null}         the localized error message
+     */
+    validateDefinition: function( iDefinition, iFunction) {
+      var identifierRegExp = new RegExp('^' + DG.Formula.identifierRegExp.source + '$'),
+          name = iDefinition.name,
+          params = iDefinition.params || [],
+          existing = this.getFunctionByName( name),
+          i, param;
+
+      function isValidName( iName) {
+        return identifierRegExp.test( iName) && (kReservedNames.indexOf( iName) < 0);
+      }
+
+      if( !isValidName( name))
+        return 'DG.FormulaFunctions.invalidName'.loc( name);
+      if( DG.functionRegistry.getFunction( name) || DG.functionRegistry.isAggregate( name))
+        return 'DG.FormulaFunctions.builtInName'.loc( name);
+      if( existing && (existing !== iFunction))
+        return 'DG.FormulaFunctions.nameInUse'.loc( name);
+      for( i = 0; i < params.length; ++i) {
+        param = params[i];
+        if( !isValidName( param) || (kConstantNames.indexOf( param) >= 0))
+          return 'DG.FormulaFunctions.invalidParam'.loc( param);
+        if( params.indexOf( param) < i)
+          return 'DG.FormulaFunctions.duplicateParam'.loc( param);
+      }
+      try {
+        DG.formulaParser.parse( iDefinition.body || '');
+      }
+      catch( e) {
+        return e.found ? 'DG.Formula.SyntaxErrorMiddle'.loc( e.found)
+                        : 'DG.Formula.SyntaxErrorEnd'.loc();
+      }
+      return null;
+    },
+
+    /**
+      Create a function with the specified properties.
+      @param    {Object}    iProperties -- Properties passed to newly created function
+                            { name: , params: , body: , description: }
+      @returns  {DG.FormulaFunction}  The newly created function.
+     */
+    createFormulaFunction: function( iProperties) {
+      iProperties = iProperties || {};
+      if ( SC.empty(iProperties.document)) {
+        iProperties.document = DG.activeDocument;
+      }
+      var tFunction = DG.FormulaFunction.createFormulaFunction( iProperties);
+      this.registerFormulaFunction( tFunction);
+      return tFunction;
+    },
+
+    /**
+      Update the specified properties of the specified function.
+      @param    {DG.FormulaFunction}  iFunction -- The function to update
+      @param    {Object}              iProperties -- { name: , params: , body: , description: }
+     */
+    updateFormulaFunction: function( iFunction, iProperties) {
+      var oldName = iFunction.get('name'),
+          newName = iProperties.name || oldName;
+      iFunction.beginPropertyChanges();
+      ['params', 'body', 'description'].forEach(function( iProp) {
+        if( iProperties[iProp] !== undefined)
+          iFunction.set( iProp, iProperties[iProp]);
+      });
+      iFunction.set('name', newName);
+      iFunction.endPropertyChanges();
+      if( oldName !== newName) {
+        DG.ObjectMap.remove( this._functionsMap, oldName);
+        this._functionsMap[ newName] = iFunction;
+      }
+      this.functionsDidChange( oldName !== newName ? [oldName, newName] : [newName]);
+    },
+
+    /**
+      Destroy the specified function.
+      @param    {DG.FormulaFunction}  iFunction -- The function to destroy
+     */
+    destroyFormulaFunction: function( iFunction) {
+      var name = iFunction && iFunction.get('name');
+      delete this._functionsMap[ name];
+      DG.FormulaFunction.destroyFormulaFunction( iFunction);
+      this.functionsDidChange([ name]);
+    },
+
+    /**
+      Defines (creates or redefines) or deletes the function with the specified name.
+      Used for undo/redo, where the definitions are the before and after states.
+      @param    {String}    iName -- The name of the function
+      @param    {Object}    iDefinition -- { params: , body: , description: } or null to delete
+      @returns  {DG.FormulaFunction|null}  The function defined
+     */
+    defineFormulaFunction: function( iName, iDefinition) {
+      var tFunction = this.getFunctionByName( iName);
+      if( !iDefinition) {
+        if( tFunction) this.destroyFormulaFunction( tFunction);
+        return null;
+      }
+      if( tFunction) {
+        this.updateFormulaFunction( tFunction, iDefinition);
+        return tFunction;
+      }
+      return this.createFormulaFunction({ name: iName,
+                                          params: (iDefinition.params || []).slice(),
+                                          body: iDefinition.body || '',
+                                          description: iDefinition.description || '' });
+    },
+
+    /**
+      Register the function by adding it to the internal name map.
+      Also notifies that 'functionChanges' have occurred.
+      @param    {DG.FormulaFunction}  iFunction -- The function to register
+     */
+    registerFormulaFunction: function( iFunction) {
+      var name = iFunction && iFunction.get('name');
+      if( !SC.none(name) && !this._functionsMap[name]) {
+        this._functionsMap[name] = iFunction;
+        this.functionsDidChange([ name]);
+      }
+    },
+
+    /**
+      Called when the specified functions have been created, changed or destroyed.
+      Invalidates the functions which call them (directly or indirectly), updates
+      the function registry, and notifies that 'functionChanges' have occurred.
+      @param    {String[]}  iNames -- The names of the affected functions
+     */
+    functionsDidChange: function( iNames) {
+      var changes = iNames.slice(),
+          functions = DG.ObjectMap.values( this._functionsMap),
+          callers;
+
+      function isUnchangedCaller( iFunction) {
+        return (changes.indexOf( iFunction.get('name')) < 0) &&
+                iFunction.getReferencedFunctionNames().some(function( iName) {
+                  return changes.indexOf( iName) >= 0;
+                });
+      }
+
+      // add the callers of the changed functions until there are no more
+      do {
+        callers = functions.filter( isUnchangedCaller);
+        callers.forEach(function( iFunction) {
+          changes.push( iFunction.get('name'));
+        });
+      } while( callers.length);
+
+      changes.forEach(function( iName) {
+        var fn = this.getFunctionByName( iName);
+        if( fn) fn.invalidate();
+      }.bind(this));
+
+      DG.functionRegistry.setUserFunctions( functions);
+      this.set('functionChanges', changes);
+    }
+
+  }; // return from function closure
+}())); // function closure
@@ -52,6 +52,8 @@ SC.stringsFor("en", {
     "DG.AppController.optionMenuItems.reportProblem": "Send Feedback...",
     "DG.AppController.optionMenuItems.viewWebPage": "Display Web Page...",
     "DG.AppController.optionMenuItems.configureGuide": "Configure Guide...",
+    "DG.AppController.optionMenuItems.defineFunction": "Define Function...",
+    "DG.AppController.optionMenuItems.randomSeed": "Set Random Seed...",
     "DG.AppController.optionMenuItems.about": "About CODAP...",
     "DG.AppController.optionMenuItems.releaseNotes": "What's New?",
     "DG.AppController.optionMenuItems.help": "Help Pages and Videos...",
@@ -87,6 +89,14 @@ SC.stringsFor("en", {
     "DG.AppController.createDataSet.initialAttribute": "AttributeName",
     "DG.AppController.createDataSet.name": "New Dataset",
     "DG.AppController.createDataSet.collectionName": "Cases",
+    "DG.AppController.importTextFromUrl.error": "Unable to import %@: %@",
+    "DG.AppController.reshapeDataContext.name.unpivot": "%@ (long)",
+    "DG.AppController.reshapeDataContext.name.pivot": "%@ (wide)",
+    "DG.AppController.reshapeDataContext.duplicates": "%@ values were omitted because more than one case had the same values of the other attributes.",
+    "DG.AppController.refreshReshapedDataContext.noSource": "The dataset '%@' from which this dataset was created no longer exists.",
+    "DG.AppController.refreshReshapedDataContext.structureChanged": "This dataset can no longer be refreshed from '%@' because its collections have changed.",
+    "DG.AppController.joinDataContexts.name": "%@ joined with %@",
+    "DG.AppController.joinDataContexts.noMatches": "No cases of %@ matched cases of %@.",
     "DG.AppController.caseTableMenu.openCaseTableToolTip": "Open case table for this data set",
     "DG.AppController.caseTableMenu.newDataSet": "-- new --",
     "DG.AppController.caseTableMenu.newDataSetToolTip": "Create a new data set",
@@ -106,6 +116,9 @@ SC.stringsFor("en", {
     "DG.DocumentController.mapTitle": "Map",
     "DG.DocumentController.enterURLPrompt": "Enter the URL of a web page to display",
     "DG.DocumentController.enterViewWebPageOKTip": "Displays the web page given by the URL",
+    "DG.DocumentController.randomSeedPrompt": "Enter a seed to make random numbers the same for everyone, or \"%@\"",
+    "DG.DocumentController.randomSeedNone": "none",
+    "DG.DocumentController.randomSeedOKTip": "Use this seed to generate random numbers",
     "DG.DocumentController.toggleToCaseCard": "Switch to case card view of the data",
     "DG.DocumentController.toggleToCaseTable": "Switch to case table view of the data",
 
@@ -208,6 +221,8 @@ SC.stringsFor("en", {
     "DG.Redo.caseTable.editCellValue": "Redo editing case table cell value",
     "DG.Undo.caseTable.sortCases": "Undo sorting cases",
     "DG.Redo.caseTable.sortCases": "Redo sorting cases",
+    "DG.Undo.caseTable.clearSort": "Undo clearing the sort",
+    "DG.Redo.caseTable.clearSort": "Redo clearing the sort",
     "DG.Undo.caseTable.hideAttribute": "Undo hiding attribute",
     "DG.Redo.caseTable.hideAttribute": "Redo hiding attribute",
     "DG.Undo.caseTable.deleteAttribute": "Undo deleting case table attribute",
@@ -372,6 +387,10 @@ SC.stringsFor("en", {
     "DG.Redo.guide.show": "Redo showing the guide",
     "DG.Undo.guide.navigate": "Undo changing the guide page",
     "DG.Redo.guide.navigate": "Redo changing the guide page",
+    "DG.Undo.formulaFunction.define": "Undo defining a function",
+    "DG.Redo.formulaFunction.define": "Redo defining a function",
+    "DG.Undo.document.randomSeed": "Undo changing the random seed",
+    "DG.Redo.document.randomSeed": "Redo changing the random seed",
     "DG.Undo.hideSelectedCases": "Undo hiding selected cases",
     "DG.Redo.hideSelectedCases": "Redo hiding selected cases",
     "DG.Undo.hideUnselectedCases": "Undo hiding unselected cases",
@@ -384,6 +403,10 @@ SC.stringsFor("en", {
     "DG.Redo.enableMeasuresForSelection": "Redo Show Measures For Selection",
     "DG.Undo.disableMeasuresForSelection": "Undo Hide Measures For Selection",
     "DG.Redo.disableMeasuresForSelection": "Redo Hide Measures For Selection",
+    "DG.Undo.applyFilter": "Undo applying a filter",
+    "DG.Redo.applyFilter": "Redo applying a filter",
+    "DG.Undo.removeFilter": "Undo removing a filter from the graph",
+    "DG.Redo.removeFilter": "Redo removing a filter from the graph",
     "DG.Undo.interactiveUndoableAction": "Undo an action in the interactive",
     "DG.Redo.interactiveUndoableAction": "Redo an action in the interactive",
     "DG.Undo.showAllCases": "Undo showing all cases",
@@ -442,6 +465,10 @@ SC.stringsFor("en", {
     "DG.Redo.component.minimize": "Redo minimizing component",
     "DG.Undo.dataContext.moveAttribute": "Undo moving case table attribute",
     "DG.Redo.dataContext.moveAttribute": "Redo moving case table attribute",
+    "DG.Undo.dataContext.refreshReshaped": "Undo refreshing a reshaped data set",
+    "DG.Redo.dataContext.refreshReshaped": "Redo refreshing a reshaped data set",
+    "DG.Undo.dataContext.changeFilters": "Undo changing the filters of a data set",
+    "DG.Redo.dataContext.changeFilters": "Redo changing the filters of a data set",
     "DG.Undo.component.toggleTableToCard": "Undo changing case table to case card",
     "DG.Redo.component.toggleTableToCard": "Redo changing case table to case card",
     "DG.Undo.component.toggleCardToTable": "Undo changing case card to case table",
@@ -468,12 +495,14 @@ SC.stringsFor("en", {
     "DG.Formula.FuncCategoryArithmetic": "Arithmetic Functions",
     "DG.Formula.FuncCategoryConversion": "Other Functions", // put into "Other" for now
     "DG.Formula.FuncCategoryDateTime": "Date/Time Functions",
+    "DG.Formula.FuncCategoryDistribution": "Distribution Functions",
     "DG.Formula.FuncCategoryLookup": "Lookup Functions",
     "DG.Formula.FuncCategoryOther": "Other Functions",
     "DG.Formula.FuncCategoryRandom": "Other Functions", // put into "Other" for now
     "DG.Formula.FuncCategoryStatistical": "Statistical Functions",
     "DG.Formula.FuncCategoryString": "String Functions",
     "DG.Formula.FuncCategoryTrigonometric": "Trigonometric Functions",
+    "DG.Formula.FuncCategoryUser": "User-Defined Functions",
 
     "DG.Formula.DateLongMonthJanuary": "January",
     "DG.Formula.DateLongMonthFebruary": "February",
@@ -529,6 +558,12 @@ SC.stringsFor("en", {
     "DG.Formula.SyntaxErrorMiddle": "Syntax error: '%@'",
     "DG.Formula.SyntaxErrorEnd": "Incomplete expression",
     "DG.Formula.SyntaxErrorInvalidOperator": "invalid operator '%@'",
+    "DG.Formula.Syntax.decimalSeparator": ".", // if "," then the argument separator must be ";"
+    "DG.Formula.Syntax.argumentSeparator": ",",
+    "DG.Formula.Syntax.true": "true",
+    "DG.Formula.Syntax.false": "false",
+    "DG.FormulaValidator.numberExpected": "'%@()' expects a number for '%@'",
+    "DG.FormulaValidator.aggregateNotAllowed": "'%@()' can't be used in this formula",
     "DG.Formula.TypeError.name": "❌",
     "DG.Formula.TypeError.message": "invalid type(s) for '%@'",
     "DG.Formula.TypeError.description": "invalid type(s) for '%@'",
@@ -548,6 +583,9 @@ SC.stringsFor("en", {
     "DG.Formula.FuncArgsErrorPlural.description": "The '%@()' function expects %@ arguments",
     "DG.Formula.FuncArgsErrorRange.message": "'%@()' expects %@-%@ arguments",
     "DG.Formula.FuncArgsErrorRange.description": "The '%@()' function expects %@-%@ arguments",
+    "DG.Formula.FuncRecursionError.name": "❌",
+    "DG.Formula.FuncRecursionError.message": "'%@()' calls itself",
+    "DG.Formula.FuncRecursionError.description": "The user-defined function '%@()' calls itself, directly or indirectly",
     "DG.Formula.PendingRequest.name": "⌛",
     "DG.Formula.PendingRequest.message": "request pending...",
     "DG.Formula.PendingRequest.description": "request pending...",
@@ -564,6 +602,12 @@ SC.stringsFor("en", {
     "DG.Formula.LookupDataSetError.description": "Data set '%@' is unrecognized",
     "DG.Formula.LookupAttrError.message": "'%@' not found in data set '%@'",
     "DG.Formula.LookupAttrError.description": "Attribute '%@' not found in data set '%@'",
+    "DG.Formula.RegExpPatternError.name": "❌",
+    "DG.Formula.RegExpPatternError.message": "invalid regular expression '%@'",
+    "DG.Formula.RegExpPatternError.description": "'%@' is not a valid regular expression",
+    "DG.Formula.TimeZoneSupportError.name": "❌",
+    "DG.Formula.TimeZoneSupportError.message": "time zone '%@' is not supported by this browser",
+    "DG.Formula.TimeZoneSupportError.description": "This browser can only convert times between UTC and local time, not to or from '%@'",
 
     // DG.TableController
     "DG.TableController.headerMenuItems.editAttribute": "Edit Attribute Properties...",
@@ -573,6 +617,11 @@ SC.stringsFor("en", {
     "DG.TableController.headerMenuItems.randomizeAttribute": "Rerandomize",
     "DG.TableController.headerMenuItems.sortAscending": "Sort Ascending (A→Z, 0→9)",
     "DG.TableController.headerMenuItems.sortDescending": "Sort Descending (9→0, Z→A)",
+    "DG.TableController.headerMenuItems.thenSortAscending": "Then Sort Ascending (A→Z, 0→9)",
+    "DG.TableController.headerMenuItems.thenSortDescending": "Then Sort Descending (9→0, Z→A)",
+    "DG.TableController.headerMenuItems.emptyFirst": "Sort Empty Values First",
+    "DG.TableController.headerMenuItems.emptyLast": "Sort Empty Values Last",
+    "DG.TableController.headerMenuItems.clearSort": "Clear Sort",
     "DG.TableController.headerMenuItems.hideAttribute": "Hide Attribute",
     "DG.TableController.headerMenuItems.deleteAttribute": "Delete Attribute",
     "DG.TableController.headerMenuItems.renameAttribute": "Rename",
@@ -631,6 +680,7 @@ SC.stringsFor("en", {
     "DG.CaseTable.indexMenu.insertCases": "Insert Cases...",
     "DG.CaseTable.indexMenu.deleteCase": "Delete Case",
     "DG.CaseTable.indexMenu.deleteCases": "Delete Cases",
+    "DG.CaseTable.cellMenu.explainValue": "Explain This Value...",
     "DG.CaseTable.attribute.type.none": "",
     "DG.CaseTable.attribute.type.nominal": "categorical",
     "DG.CaseTable.attribute.type.categorical": "categorical",
@@ -691,6 +741,190 @@ SC.stringsFor("en", {
     "DG.AttrFormView.cancelBtnTitle": "Cancel",
     "DG.AttrFormView.cancelBtnTooltip": "Dismiss the dialog without making any changes",
 
+    // DG.FormulaExplainerView
+    "DG.FormulaExplainer.title": "%@ in case %@ is %@",
+    "DG.FormulaExplainer.stepOf": "Step %@ of %@",
+    "DG.FormulaExplainer.stepCount": "%@ steps",
+    "DG.FormulaExplainer.prevStep": "Previous",
+    "DG.FormulaExplainer.prevStepTooltip": "Highlight the previous step of the evaluation",
+    "DG.FormulaExplainer.nextStep": "Next",
+    "DG.FormulaExplainer.nextStepTooltip": "Highlight the next step of the evaluation",
+    "DG.FormulaExplainer.close": "Close",
+    "DG.FormulaExplainer.emptyValue": "(empty)",
+    "DG.FormulaExplainer.notEvaluated": "(not evaluated)",
+    "DG.FormulaExplainer.userFunction": "user function",
+    "DG.FormulaExplainer.aggregateCases": "Used %@ of %@ cases in %@",
+    "DG.FormulaExplainer.consumedCases": "Cases used: %@",
+    "DG.FormulaExplainer.filteredCases": "Cases excluded by the filter: %@",
+    "DG.FormulaExplainer.randomNote": "This formula uses random numbers. Set a random seed to make its values reproducible.",
+    "DG.FormulaExplainer.dependencies": "Depends on:",
+    "DG.FormulaExplainer.noDependencies": "Nothing",
+    "DG.FormulaExplainer.dependency.attribute": "attribute %@",
+    "DG.FormulaExplainer.dependency.global": "global value %@",
+    "DG.FormulaExplainer.dependency.special": "%@",
+    "DG.FormulaExplainer.dependency.function": "function %@",
+    "DG.FormulaExplainer.dependency.undefined": "undefined %@",
+    "DG.FormulaExplainer.dependency.simple": "value",
+    "DG.FormulaExplainer.dependency.aggregate": "aggregate",
+    "DG.FormulaExplainer.dependency.both": "value and aggregate",
+
+    // DG.TextImportDialog
+    "DG.TextImportDialog.datasetName": "Dataset name:",
+    "DG.TextImportDialog.delimiter": "Delimiter:",
+    "DG.TextImportDialog.delimiter.comma": "Comma",
+    "DG.TextImportDialog.delimiter.tab": "Tab",
+    "DG.TextImportDialog.delimiter.semicolon": "Semicolon",
+    "DG.TextImportDialog.delimiter.pipe": "Vertical bar",
+    "DG.TextImportDialog.encoding": "Encoding:",
+    "DG.TextImportDialog.unsupportedEncoding": "This browser cannot decode %@ text. The file has been decoded as UTF-8 instead.",
+    "DG.TextImportDialog.hasHeaderRow": "First row has names",
+    "DG.TextImportDialog.column": "Column:",
+    "DG.TextImportDialog.columnTitle": "Column %@",
+    "DG.TextImportDialog.defaultColumnName": "attr%@",
+    "DG.TextImportDialog.include": "Import",
+    "DG.TextImportDialog.attributeName": "attribute name",
+    "DG.TextImportDialog.type": "Type:",
+    "DG.TextImportDialog.type.categorical": "categorical",
+    "DG.TextImportDialog.type.numeric": "numeric",
+    "DG.TextImportDialog.type.date": "date",
+    "DG.TextImportDialog.type.boolean": "true/false",
+    "DG.TextImportDialog.type.boundary": "boundary",
+    "DG.TextImportDialog.precisionHint": "Number of decimal places or date precision",
+    "DG.TextImportDialog.dateFormatHint": "Format of the dates in this column",
+    "DG.TextImportDialog.unit": "Unit:",
+    "DG.TextImportDialog.import": "Import",
+    "DG.TextImportDialog.cancel": "Cancel",
+    "DG.TextImportDialog.noDatasetName": "Please enter a name for the dataset.",
+    "DG.TextImportDialog.noColumns": "Please choose at least one column to import.",
+    "DG.TextImportDialog.duplicateName": "Please enter a unique name for each imported column. %@ is used more than once.",
+
+    // DG.SpreadsheetImportDialog
+    "DG.SpreadsheetImportDialog.prompt": "Choose the sheets to import from %@:",
+    "DG.SpreadsheetImportDialog.sheetSummary": "(%@ attributes, %@ cases)",
+    "DG.SpreadsheetImportDialog.childOf": "child of %@ by %@",
+    "DG.SpreadsheetImportDialog.combineLinkedSheets": "Combine sheets linked by key columns as parent and child collections",
+    "DG.SpreadsheetImportDialog.import": "Import",
+    "DG.SpreadsheetImportDialog.cancel": "Cancel",
+    "DG.SpreadsheetImport.invalidFile": "This file is not an Excel (.xlsx) or OpenDocument (.ods) spreadsheet",
+    "DG.SpreadsheetImport.noData": "%@ does not contain any data",
+
+    // DG.JSONImportDialog
+    "DG.JSONImportDialog.prompt": "Choose the arrays of %@ to import as child collections:",
+    "DG.JSONImportDialog.records": "Records (%@)",
+    "DG.JSONImportDialog.arraySummary": "(%@ values)",
+    "DG.JSONImportDialog.collections": "Collections: %@",
+    "DG.JSONImportDialog.caseCount": "%@ cases in the last collection",
+    "DG.JSONImportDialog.import": "Import",
+    "DG.JSONImportDialog.cancel": "Cancel",
+    "DG.JSONImport.parseError": "Line %@ is not valid JSON: %@",
+    "DG.JSONImport.noData": "%@ does not contain any records",
+
+    // DG.ReshapeDialog
+    "DG.ReshapeDialog.prompt.unpivot": "Choose the attributes of %@ to unpivot into cases:",
+    "DG.ReshapeDialog.prompt.pivot": "Choose the attributes of %@ to pivot by:",
+    "DG.ReshapeDialog.namesTo": "Attribute for names:",
+    "DG.ReshapeDialog.valuesTo": "Attribute for values:",
+    "DG.ReshapeDialog.namesToDefault": "name",
+    "DG.ReshapeDialog.valuesToDefault": "value",
+    "DG.ReshapeDialog.dropEmpty": "Omit empty values",
+    "DG.ReshapeDialog.namesFrom": "New attributes from:",
+    "DG.ReshapeDialog.valuesFrom": "Values from:",
+    "DG.ReshapeDialog.unpivot.childName": "Values",
+    "DG.ReshapeDialog.error.chooseAttributes": "Choose the attributes to reshape.",
+    "DG.ReshapeDialog.error.sameAttribute": "Choose different attributes for the names and the values.",
+    "DG.ReshapeDialog.error.emptyName": "Enter names for the new attributes.",
+    "DG.ReshapeDialog.error.duplicateName": "The names of the new attributes must differ from each other and from the remaining attributes.",
+    "DG.ReshapeDialog.reshape": "Create",
+    "DG.ReshapeDialog.cancel": "Cancel",
+
+    // DG.JoinDialog
+    "DG.JoinDialog.dataset": "Join with:",
+    "DG.JoinDialog.joinType": "Cases:",
+    "DG.JoinDialog.joinType.inner": "Only cases that match (inner join)",
+    "DG.JoinDialog.joinType.left": "All cases of this dataset (left join)",
+    "DG.JoinDialog.joinType.full": "All cases of both datasets (full join)",
+    "DG.JoinDialog.keys": "Match the values of these attributes of %@ and the other dataset:",
+    "DG.JoinDialog.noKey": "(none)",
+    "DG.JoinDialog.prefix": "Prefix for other attributes of %@:",
+    "DG.JoinDialog.hierarchy": "Make the matching cases of %@ child cases",
+    "DG.JoinDialog.error.noDataset": "There is no other dataset to join with.",
+    "DG.JoinDialog.error.incompleteKeys": "Choose an attribute of each dataset for each key.",
+    "DG.JoinDialog.error.duplicateKeys": "Choose a different attribute for each key.",
+    "DG.JoinDialog.join": "Join",
+    "DG.JoinDialog.cancel": "Cancel",
+
+    // DG.CaseDataExportDialog
+    "DG.CaseDataExportDialog.collection": "Collection:",
+    "DG.CaseDataExportDialog.format": "Format:",
+    "DG.CaseDataExportDialog.format.csv": "CSV (comma-separated values)",
+    "DG.CaseDataExportDialog.format.tsv": "TSV (tab-separated values)",
+    "DG.CaseDataExportDialog.format.json": "JSON (nested by collection)",
+    "DG.CaseDataExportDialog.format.ndjson": "JSON Lines",
+    "DG.CaseDataExportDialog.format.geojson": "GeoJSON",
+    "DG.CaseDataExportDialog.cases": "Cases:",
+    "DG.CaseDataExportDialog.cases.all": "All cases",
+    "DG.CaseDataExportDialog.cases.selected": "Selected cases",
+    "DG.CaseDataExportDialog.cases.filtered": "Cases passing the active filters",
+    "DG.CaseDataExportDialog.includeParents": "Include the attributes of parent collections",
+    "DG.CaseDataExportDialog.includeHidden": "Include hidden attributes",
+    "DG.CaseDataExportDialog.includeMetadata": "Include attribute metadata (units, descriptions, formulas)",
+
+    // DG.CaseSearchView
+    "DG.CaseSearchView.title": "Find Cases",
+    "DG.CaseSearchView.hint": "e.g. height > 150 and name startsWith A",
+    "DG.CaseSearchView.help": "Combine comparisons such as x >= 1 with and, or, not and parentheses. Other tests are contains, startsWith, endsWith, matches, between ... and ..., is empty and is null.",
+    "DG.CaseSearchView.matches": "%@ matching cases selected",
+    "DG.CaseSearchView.select": "Select",
+    "DG.CaseSearchView.selectTooltip": "Select the cases which match the query",
+    "DG.CaseSearchView.close": "Close",
+
+    // DG.SearchQueryUtilities
+    "DG.SearchQuery.error.name": "Invalid search query",
+    "DG.SearchQuery.error.empty": "The search query is empty",
+    "DG.SearchQuery.error.unterminated": "The quotation at position %@ is not closed",
+    "DG.SearchQuery.error.invalidCharacter": "Unexpected '%@' at position %@",
+    "DG.SearchQuery.error.unexpected": "Expected %@ instead of '%@' at position %@",
+    "DG.SearchQuery.error.unexpectedEnd": "Expected %@ at the end of the query",
+    "DG.SearchQuery.error.unknownAttribute": "There is no attribute named '%@'",
+    "DG.SearchQuery.error.noAttribute": "The test of '%@' does not refer to an attribute",
+    "DG.SearchQuery.error.invalidPattern": "'%@' is not a valid regular expression",
+    "DG.SearchQuery.expected.operand": "an attribute name or a value",
+    "DG.SearchQuery.expected.test": "a comparison or test",
+    "DG.SearchQuery.expected.emptyOrNull": "'empty' or 'null'",
+    "DG.SearchQuery.expected.and": "'and'",
+    "DG.SearchQuery.expected.closeParen": "')'",
+    "DG.SearchQuery.expected.end": "'and', 'or' or the end of the query",
+
+    // DG.DataContext filters
+    "DG.DataContext.filter.emptyFormula": "Please enter a formula for the filter",
+
+    // DG.DatasetMetadataView
+    "DG.DatasetMetadataView.filters": "Filters",
+    "DG.DatasetMetadataView.noFilters": "No filters. Name a filter and enter a formula, or use the selected cases.",
+    "DG.DatasetMetadataView.selectionFilter": "(%@ selected cases)",
+    "DG.DatasetMetadataView.editFilterTooltip": "Click to edit; click the box to turn the filter on or off",
+    "DG.DatasetMetadataView.filterName": "filter name",
+    "DG.DatasetMetadataView.filterFormula": "formula",
+    "DG.DatasetMetadataView.filterFormulaHint": "e.g. Height > 150",
+    "DG.DatasetMetadataView.filterNameRequired": "Please enter a name for the filter",
+    "DG.DatasetMetadataView.noSelection": "No cases are selected",
+    "DG.DatasetMetadataView.saveFilter": "Save Filter",
+    "DG.DatasetMetadataView.saveFilterTooltip": "Add the filter, or change the formula of the filter with this name",
+    "DG.DatasetMetadataView.addSelectionFilter": "From Selection",
+    "DG.DatasetMetadataView.addSelectionFilterTooltip": "Make a filter of the selected cases",
+
+    // DG.formulaFunctionsController
+    "DG.FormulaFunctions.headerPrompt": "Function:",
+    "DG.FormulaFunctions.headerHint": "Enter the function name and parameters, e.g. bmi(w, h)",
+    "DG.FormulaFunctions.formulaHint": "Type a formula using the parameters or clear it to delete the function",
+    "DG.FormulaFunctions.applyTooltip": "Define the function using the name, parameters and formula",
+    "DG.FormulaFunctions.invalidHeader": "Please enter the function name and parameters, e.g. bmi(w, h)",
+    "DG.FormulaFunctions.invalidName": "'%@' is not a valid function name",
+    "DG.FormulaFunctions.builtInName": "'%@' is the name of a built-in function",
+    "DG.FormulaFunctions.nameInUse": "A function named '%@' already exists",
+    "DG.FormulaFunctions.invalidParam": "'%@' is not a valid parameter name",
+    "DG.FormulaFunctions.duplicateParam": "The parameter '%@' is specified more than once",
+
     // DG.GuideConfigurationView
     "DG.GuideConfigView.titlePrompt": "Guide Title",
     "DG.GuideConfigView.titleHint": "Activity Name",
@@ -813,6 +1047,8 @@ SC.stringsFor("en", {
     "DG.DataDisplayMenu.disableNumberToggle": "Hide Parent Visibility Toggles",
     "DG.DataDisplayMenu.enableMeasuresForSelection": "Show Measures for Selection",
     "DG.DataDisplayMenu.disableMeasuresForSelection": "Hide Measures for Selection",
+    "DG.DataDisplayMenu.applyFilter": "Apply Filter '%@'",
+    "DG.DataDisplayMenu.removeFilter": "Stop Applying Filter '%@'",
     "DG.DataDisplayMenu.showAll": "Show All Cases",
     "DG.DataDisplayMenu.displayOnlySelected": "Display Only Selected Cases",
     "DG.DataDisplayMenu.displayingOnlySelected": "Displaying Only Selected Cases",
@@ -894,6 +1130,7 @@ SC.stringsFor("en", {
     "DG.Inspector.rescale.toolTip": "Rescale display to show all the data",
     "DG.Inspector.mixUp.toolTip": "Mixup all the points",
     "DG.Inspector.hideShow.toolTip": "Show all cases or hide selected/unselected cases",
+    "DG.Inspector.search.toolTip": "Find and select cases which match a search query",
     "DG.Inspector.delete.toolTip": "Delete selected or unselected cases",
     "DG.Inspector.sliderValues.toolTip": "Set slider animation direction, speed, …",
     "DG.Inspector.webViewEditURL.toolTip": "Edit the URL of the displayed web page",
@@ -966,6 +1203,10 @@ SC.stringsFor("en", {
     "DG.Inspector.exportCaseData": "Export Case Data...",
     "DG.Inspector.copyCaseDataToClipboard": "Copy to Clipboard...",
     "DG.Inspector.getCaseDataFromClipboard": "Import Case Data from Clipboard...",
+    "DG.Inspector.unpivotAttributes": "Unpivot Attributes...",
+    "DG.Inspector.pivotByAttribute": "Pivot by Attribute...",
+    "DG.Inspector.refreshReshapedData": "Refresh from '%@'",
+    "DG.Inspector.joinWithDataset": "Join with Dataset...",
     "DG.Inspector.caseTable.exportCaseDialog.copyFrom": "Copy case data from:",
     "DG.Inspector.caseTable.exportCaseDialog.copy": "Copy",
     "DG.Inspector.caseTable.exportCaseDialog.copyTooltip": "Copy data to clipboard",
@@ -33,6 +33,15 @@ DG.AggregateFunction = SC.Object.extend({
    */
   requiredArgs: { min: 0, max: 999 },
 
+  /**
+    Whether the filter argument may be specified by name, i.e. as a trailing argument
+    of the form filter(condition), cf. DG.AggregateFunction.NAMED_FILTER_NAME. Functions
+    with a variable number of arguments require it, since the argument count can't
+    distinguish a filter argument from the other arguments.
+    @property   {Boolean}
+   */
+  acceptsNamedFilter: false,
+
   /**
     By default, aggregate functions are not caseIndex-dependent.
     @param {Array of function arguments}  iArgs
@@ -41,6 +50,19 @@ DG.AggregateFunction = SC.Object.extend({
   isCaseIndexDependent: function(iArgs) {
     return false;
   },
+
+  /**
+    Returns the cases of the formula's collection whose results are affected by changes
+    to the values of the specified cases, or null if all cases may be affected.
+    By default, changes to any case affect the results for all cases.
+    @param  {DG.FormulaContext}   iContext
+    @param  {Object}              iInstance -- The aggregate function instance from the context.
+    @param  {DG.Case[]}           iCases -- The cases whose values changed.
+    @returns  {DG.Case[]|null}
+   */
+  getAffectedCases: function( iContext, iInstance, iCases) {
+    return null;
+  },
   
   /**
     Returns a computed result from the cache.
@@ -63,6 +85,13 @@ DG.AggregateFunction = SC.Object.extend({
 
 });
 
+/**
+  The name of the pseudo-function which marks a named filter argument,
+  e.g. mlrRSquared(price, size, age, filter(region = "North")).
+  @type {String}
+ */
+DG.AggregateFunction.NAMED_FILTER_NAME = 'filter';
+
 
 /** @class DG.IteratingAggregate
 
@@ -152,6 +181,17 @@ DG.IteratingAggregate = DG.AggregateFunction.extend({
   evalCase: function( iContext, iEvalContext, iInstance, iCacheID) {
   },
   
+  /**
+    Perform any per-case caching for a case which doesn't pass the filter.
+    Base class method does nothing. Derived classes may override as appropriate.
+    @param  {DG.FormulaContext}   iContext
+    @param  {Object}              iEvalContext -- { _case_: , _id_: }
+    @param  {Object}              iInstance -- The aggregate function instance from the context.
+    @param  {Number|null}         iCacheID -- The cache ID to use for cache lookups for this case.
+   */
+  evalFilteredCase: function( iContext, iEvalContext, iInstance, iCacheID) {
+  },
+  
   /**
     Complete the computation for a given case.
     Base class implementation assumes that the evaluate method has already filled
@@ -293,6 +333,8 @@ DG.ParentCaseAggregate = DG.IteratingAggregate.extend({
           cacheID = this.getGroupID(iContext, tEvalContext);
       if (this.filterCase( iContext, tEvalContext, iInstance))
         this.evalCase( iContext, tEvalContext, iInstance, cacheID);
+      else
+        this.evalFilteredCase( iContext, tEvalContext, iInstance, cacheID);
     }
     
     return this.computeResults( iContext, iEvalContext, iInstance);
@@ -336,9 +378,10 @@ DG.CachedValuesParentCaseAggregate = DG.ParentCaseAggregate.extend({
   /**
     Compute the final value from the specified cache.
     @param  {Object}              iCache -- contents of the appropriate cache
+    @param  {Object}              iInstance -- The aggregate function instance from the context.
     @returns  {Number|String|...}
    */
-  computeResultFromCache: function(iCache) {
+  computeResultFromCache: function(iCache, iInstance) {
     // derived classes must override
   },
 
@@ -356,7 +399,7 @@ DG.CachedValuesParentCaseAggregate = DG.ParentCaseAggregate.extend({
     DG.ObjectMap.forEach(
         iInstance.caches,
         function(iKey, iCache) {
-          iInstance.results[iKey] = this.computeResultFromCache(iCache);
+          iInstance.results[iKey] = this.computeResultFromCache(iCache, iInstance);
         }.bind(this));
     return this.queryCache(iContext, iEvalContext, iInstance);
   },
@@ -548,16 +591,28 @@ DG.BivariateSemiAggregateFn = DG.BivariateStatsFn.extend({
     }
 
     // Each cache now contains an array of coordinate pairs for its group.
-    // We want to replace this array with the slope and intercept the lsrl
+    // We want to replace this array with the model (by default, the lsrl)
     DG.ObjectMap.forEach(iInstance.caches,
         function (iKey, iCache) {
-          var tBiStats = DG.MathUtilities.computeBivariateStats( iCache),
-              tSlope = tBiStats.sumOfProductDiffs / tBiStats.xSumSquaredDeviations;
-          iInstance.caches[iKey] = {
-            slope: tSlope,
-            intercept: tBiStats.yMean - tSlope * tBiStats.xMean
-          };
-        });
+          iInstance.caches[iKey] = this.computeModel( iCache, iInstance);
+        }.bind(this));
+  },
+
+  /**
+   Computes the model used in the second pass from the coordinate pairs of a group.
+   By default, computes the slope and intercept of the least squares regression line.
+   Derived classes may override to fit other models.
+   @param  {Object[]}  iCoordPairs -- [{x: {Number}, y: {Number}}]
+   @param  {Object}    iInstance -- The aggregate function instance from the context.
+   @returns  {Object}  the model to be cached for the group
+   */
+  computeModel: function( iCoordPairs, iInstance) {
+    var tBiStats = DG.MathUtilities.computeBivariateStats( iCoordPairs),
+        tSlope = tBiStats.sumOfProductDiffs / tBiStats.xSumSquaredDeviations;
+    return {
+      slope: tSlope,
+      intercept: tBiStats.yMean - tSlope * tBiStats.xMean
+    };
   },
 
   /**
@@ -597,3 +652,119 @@ DG.BivariateSemiAggregateFn = DG.BivariateStatsFn.extend({
 
 });
 
+
+/** @class DG.MultivariateFnMixin
+
+  The DG.MultivariateFnMixin provides the argument handling for aggregate functions of a
+  response and a variable number of predictors, e.g. mlrCoefficient(y, x1, x2, ..., index).
+  The first argument is the response, followed by the predictors, followed by the number
+  of parameter arguments specified by the parameterArgCount property. The role of each
+  argument is determined by the number of arguments alone. Since the number of predictors
+  varies, the filter argument must be named, e.g. mlrRSquared(price, size, age, filter(region="North")).
+  Boolean predictors are treated as 0 or 1.
+ */
+DG.MultivariateFnMixin = {
+
+  requiredArgs: {min: 2, max: 999},
+
+  acceptsNamedFilter: true,
+
+  /**
+    The number of parameter arguments (e.g. a coefficient index) following the predictors.
+    @property   {Number}
+   */
+  parameterArgCount: 0,
+
+  /**
+    Returns the number of predictor arguments.
+    @param  {Object}  iInstance -- The aggregate function instance from the context.
+    @returns  {Number}
+   */
+  getPredictorCount: function( iInstance) {
+    return iInstance.argFns.length - 1 - this.get('parameterArgCount');
+  },
+
+  /**
+    Returns the parameter argument function at the specified index (relative to the
+    first parameter argument).
+    @param  {Object}  iInstance -- The aggregate function instance from the context.
+    @param  {Number}  iIndex
+    @returns  {Function|undefined}
+   */
+  getParameterFn: function( iInstance, iIndex) {
+    return iInstance.argFns[1 + this.getPredictorCount( iInstance) + iIndex];
+  },
+
+  /**
+   Returns an object { x, y } where x is the array of numeric predictor values and y is
+   the numeric response. If any of the predictors is not numeric, x is null.
+   */
+  getCoordValue: function( iContext, iEvalContext, iInstance) {
+    var yFn = iInstance.argFns[0],
+        predictorCount = this.getPredictorCount( iInstance),
+        x = [], i, tValue;
+    for( i = 1; i <= predictorCount; ++i) {
+      tValue = DG.getNumeric( iInstance.argFns[i]( iContext, iEvalContext));
+      if (tValue == null) {
+        x = null;
+        break;
+      }
+      x.push( tValue);
+    }
+    return { x: x, y: yFn && DG.getNumeric(yFn( iContext, iEvalContext)) };
+  }
+};
+
+/** @class DG.MultivariateStatsFn
+
+  The DG.MultivariateStatsFn "class" is the base "class" for multivariate aggregate function
+  implementation classes which must iterate through all of the cases to store the valid
+  predictor/response values.
+
+  @extends SC.BivariateStatsFn
+ */
+DG.MultivariateStatsFn = DG.BivariateStatsFn.extend(DG.MultivariateFnMixin);
+
+/** @class DG.MultivariateSemiAggregateFn
+
+  The DG.MultivariateSemiAggregateFn "class" is the base "class" for multivariate
+  semi-aggregate function implementation classes which must make two passes through the
+  data, first to fit the multiple regression model and the second to compute something
+  for each case from the model.
+
+  @extends SC.BivariateSemiAggregateFn
+ */
+DG.MultivariateSemiAggregateFn = DG.BivariateSemiAggregateFn.extend(DG.MultivariateFnMixin, {
+
+  // For multivariate functions the response and all of the predictors must be numeric
+  filterCase: function(iContext, iEvalContext, iInstance) {
+    if (!iContext.filterCase( iEvalContext) ||
+        (iInstance.filterFn && !iInstance.filterFn( iContext, iEvalContext)))
+      return false;
+    var tCoord = this.getCoordValue( iContext, iEvalContext, iInstance);
+    return (tCoord.x != null) && (tCoord.y != null);
+  },
+
+  /**
+   Computes the multiple linear regression model from the values of a group.
+   @param  {Object[]}  iCoords -- [{x: {Number[]}, y: {Number}}]
+   @param  {Object}    iInstance -- The aggregate function instance from the context.
+   @returns  {Object|null}  { coefficients: {Number[]}, rSquared: {Number} }
+   */
+  computeModel: function( iCoords, iInstance) {
+    return DG.MathUtilities.multipleLinearRegression( iCoords);
+  },
+
+  /**
+   Returns the value predicted by the group's model for the specified case.
+   */
+  predictedValue: function( iContext, iEvalContext, iInstance, iCacheID) {
+    var tModel = iInstance.caches[iCacheID],
+        tCoord = this.getCoordValue( iContext, iEvalContext, iInstance);
+    if (!tModel) return NaN;
+    return tCoord.x.reduce(function(iSum, iValue, i) {
+                            return iSum + iValue * tModel.coefficients[i + 1];
+                          }, tModel.coefficients[0]);
+  }
+
+});
@@ -19,6 +19,8 @@
 // ==========================================================================
 /*global RandVarGen:true */
 sc_require('formula/function_registry');
+sc_require('utilities/geojson_utils');
+sc_require('utilities/random_utilities');
 
 /**
   Implements the basic builtin functions and registers them with the FunctionRegistry.
@@ -30,8 +32,6 @@ DG.functionRegistry.registerFunctions((function() {
         (x < 0 ? Math.ceil(x) : Math.floor(x));
   }
 
-  var savedRandomGaussian = 0;  // The routine for generating random numbers drawn from a gaussian
-                                // distribution generates two such numbers. We save one for next call
   var rvg;
 
   return {
@@ -250,11 +250,11 @@ DG.functionRegistry.registerFunctions((function() {
       minArgs:0, maxArgs:2, isRandom: true, category: 'DG.Formula.FuncCategoryRandom',
       evalFn: function(x1,x2) {
         // random()
-        if( SC.empty(x1)) return Math.random();
+        if( SC.empty(x1)) return DG.RandomUtilities.random();
         // random(max)
-        if( SC.empty(x2)) return x1 * Math.random();
+        if( SC.empty(x2)) return x1 * DG.RandomUtilities.random();
         // random(min,max)
-        return x1 + (x2 - x1) * Math.random();
+        return x1 + (x2 - x1) * DG.RandomUtilities.random();
       }
     },
 
@@ -270,23 +270,9 @@ DG.functionRegistry.registerFunctions((function() {
     'randomNormal': {
       minArgs:0, maxArgs:2, isRandom: true, category: 'DG.Formula.FuncCategoryRandom',
       evalFn: function(mu,sigma) {
-        var	fac, rsq, v1, v2;
         mu = mu || 0;
         sigma = SC.empty(sigma) ? 1 : sigma;
-
-        if (savedRandomGaussian !== 0) {		// Is there one left?
-          v1 = savedRandomGaussian;
-          savedRandomGaussian = 0;
-          return sigma*v1 + mu;
-        }
-        do {
-          v1 = 2 * Math.random() - 1;
-          v2 = 2 * Math.random() - 1;
-          rsq = v1*v1 + v2*v2;
-        } while (rsq >= 1);
-        fac = Math.sqrt(-2.0*Math.log(rsq)/rsq);
-        savedRandomGaussian = fac*v2;					// Save the first N(0,1) as double
-        return sigma*fac*v1 + mu;	// and return the second.
+        return sigma * DG.RandomUtilities.randomNormal() + mu;
       }
     },
 
@@ -303,7 +289,7 @@ DG.functionRegistry.registerFunctions((function() {
           return '';
         else {
           if( !rvg)
-            rvg = new RandVarGen.RandVarGen();
+            rvg = new RandVarGen.RandVarGen({ customRandNumGen: DG.RandomUtilities.uniformIterator });
           return rvg.binomial( p, n);
         }
       }
@@ -317,11 +303,23 @@ DG.functionRegistry.registerFunctions((function() {
     'randomPick': {
       minArgs:2, maxArgs:1000, isRandom: true, category: 'DG.Formula.FuncCategoryRandom',
       evalFn: function() {
-        var tChosen = Math.floor(arguments.length * Math.random());
+        var tChosen = Math.floor(arguments.length * DG.RandomUtilities.random());
         return arguments[tChosen];
       }
     },
 
+    /**
+      Returns the document's random seed, which makes the random functions reproducible.
+      @returns  {Number}  The seed or empty if random numbers are not seeded
+     */
+    'randomSeed': {
+      minArgs:0, maxArgs:0, isRandom: true, category: 'DG.Formula.FuncCategoryRandom',
+      evalFn: function() {
+        var seed = DG.RandomUtilities.getSeed();
+        return seed != null ? seed : '';
+      }
+    },
+
     /**
       Rounds a number to the nearest integer or specified decimal place.
       @param    {Number}  x -- The number to be rounded
@@ -372,12 +370,7 @@ DG.functionRegistry.registerFunctions((function() {
       minArgs:4, maxArgs:4, category: 'DG.Formula.FuncCategoryOther',
       evalFn: function(lat1, long1, lat2, long2) {
         if( DG.isNumeric(lat1) && DG.isNumeric(lat2) && DG.isNumeric(long1) && DG.isNumeric(long2)) {
-          var deltaLat = lat2 - lat1,
-              deltaLong = long2 - long1,
-              a = Math.pow(Math.sin((Math.PI / 180) * deltaLat / 2), 2) +
-                  Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-                  Math.pow(Math.sin((Math.PI / 180) * deltaLong / 2), 2);
-          return 2 * 6371 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+          return DG.GeojsonUtils.greatCircleDistance(Number(lat1), Number(long1), Number(lat2), Number(long2));
         }
         else {
           return '';
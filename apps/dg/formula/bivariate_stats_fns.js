@@ -24,10 +24,201 @@ sc_require('formula/function_registry');
 /** @class DG.BivariateStatsFns
  The DG.BivariateStatsFns object implements aggregate functions that
  perform bivariate statistical computations such as correlation, covariance,
- linRegrIntercept, linRegrPredicted, etc.
+ linRegrIntercept, linRegrPredicted, etc., as well as nonlinear regression models
+ such as regrCoefficient(x, y, "quadratic", 2), and multiple linear regression
+ functions such as mlrCoefficient(y, x1, x2, 1).
  */
 DG.functionRegistry.registerAggregates((function () {
 
+  /**
+    Fits a polynomial of the specified degree to the coordinate pairs by least squares.
+    The fit is computed for x values centered on their mean for numerical stability.
+    @param  {Object[]}  iCoords -- [{x: {Number}, y: {Number}}]
+    @param  {Number}    iDegree -- the degree of the polynomial
+    @returns  {Object|null} { coefficients: {Number[]}, rSquared: {Number}, predict: {Function} }
+   */
+  function fitPolynomial(iCoords, iDegree) {
+    var count = iCoords.length;
+    if (count <= iDegree) return null;
+
+    var xMean = iCoords.reduce(function(iSum, iPair) { return iSum + iPair.x; }, 0) / count,
+        yMean = iCoords.reduce(function(iSum, iPair) { return iSum + iPair.y; }, 0) / count,
+        rows = iCoords.map(function(iPair) {
+                  var row = [1], k;
+                  for (k = 1; k <= iDegree; ++k) {
+                    row.push(row[k - 1] * (iPair.x - xMean));
+                  }
+                  return row;
+                }),
+        centeredCoefs = DG.MathUtilities.leastSquaresSolution(rows,
+                                          iCoords.map(function(iPair) { return iPair.y; })),
+        coefficients = [],
+        ssResiduals = 0,
+        ssTotal = 0,
+        binomial, j, k;
+    if (!centeredCoefs) return null;
+
+    function predict(x) {
+      var t = x - xMean,
+          result = 0;
+      for (var k = iDegree; k >= 0; --k) {
+        result = result * t + centeredCoefs[k];
+      }
+      return result;
+    }
+
+    // expand the centered polynomial to obtain the coefficients in terms of x
+    for (j = 0; j <= iDegree; ++j) {
+      coefficients[j] = 0;
+      binomial = 1;   // C(k, j) for k === j
+      for (k = j; k <= iDegree; ++k) {
+        coefficients[j] += centeredCoefs[k] * binomial * Math.pow(-xMean, k - j);
+        binomial = binomial * (k + 1) / (k + 1 - j);
+      }
+    }
+
+    iCoords.forEach(function(iPair) {
+      var residual = iPair.y - predict(iPair.x),
+          deviation = iPair.y - yMean;
+      ssResiduals += residual * residual;
+      ssTotal += deviation * deviation;
+    });
+
+    return { coefficients: coefficients, rSquared: 1 - ssResiduals / ssTotal, predict: predict };
+  }
+
+  /**
+    Fits a model which is linear after transformation of x and/or y, e.g. an exponential
+    model is fit as a linear regression of ln(y) against x. As is conventional for such
+    models, the returned rSquared is that of the linearized fit.
+    @param  {Object[]}  iCoords -- [{x: {Number}, y: {Number}}]
+    @param  {Function}  iXTransform -- transformation applied to x values
+    @param  {Function}  iYTransform -- transformation applied to y values
+    @param  {Function}  iCoefficients -- returns the model coefficients from the slope and intercept
+    @param  {Function}  iPredict -- returns the predicted value for x given the model coefficients
+    @returns  {Object|null} { coefficients: {Number[]}, rSquared: {Number}, predict: {Function} }
+   */
+  function fitTransformedLinear(iCoords, iXTransform, iYTransform, iCoefficients, iPredict) {
+    var transformed = [];
+    iCoords.forEach(function(iPair) {
+      var x = iXTransform(iPair.x),
+          y = iYTransform(iPair.y);
+      if (isFinite(x) && isFinite(y))
+        transformed.push({ x: x, y: y });
+    });
+    var lsrl = DG.MathUtilities.leastSquaresLinearRegression(transformed);
+    if ((lsrl.slope == null) || !isFinite(lsrl.slope)) return null;
+
+    var coefficients = iCoefficients(lsrl.slope, lsrl.intercept);
+    return {
+      coefficients: coefficients,
+      rSquared: lsrl.rSquared,
+      predict: function(x) { return iPredict(x, coefficients); }
+    };
+  }
+
+  function identity(x) { return x; }
+
+  /**
+    Fits the specified regression model to the coordinate pairs.
+    Supported models (coefficients listed in index order) are:
+      'linear'      -- y = a + b·x
+      'quadratic'   -- y = a + b·x + c·x²
+      'cubic'       -- y = a + b·x + c·x² + d·x³
+      'exponential' -- y = a·e^(b·x)
+      'power'       -- y = a·x^b
+      'logarithmic' -- y = a + b·ln(x)
+    @param  {String}    iModel -- the name of the model
+    @param  {Object[]}  iCoords -- [{x: {Number}, y: {Number}}]
+    @returns  {Object|null} { coefficients: {Number[]}, rSquared: {Number}, predict: {Function} }
+   */
+  function fitRegressionModel(iModel, iCoords) {
+    function expCoefficients(iSlope, iIntercept) { return [Math.exp(iIntercept), iSlope]; }
+    function linCoefficients(iSlope, iIntercept) { return [iIntercept, iSlope]; }
+
+    switch (iModel && String(iModel).toLowerCase()) {
+      case 'linear':
+        return fitPolynomial(iCoords, 1);
+      case 'quadratic':
+        return fitPolynomial(iCoords, 2);
+      case 'cubic':
+        return fitPolynomial(iCoords, 3);
+      case 'exponential':
+        return fitTransformedLinear(iCoords, identity, Math.log, expCoefficients,
+                                    function(x, c) { return c[0] * Math.exp(c[1] * x); });
+      case 'power':
+        return fitTransformedLinear(iCoords, Math.log, Math.log, expCoefficients,
+                                    function(x, c) { return c[0] * Math.pow(x, c[1]); });
+      case 'logarithmic':
+        return fitTransformedLinear(iCoords, Math.log, identity, linCoefficients,
+                                    function(x, c) { return c[0] + c[1] * Math.log(x); });
+    }
+    return null;
+  }
+
+  /**
+    Evaluates the model name argument, which is the third argument of each of
+    the regression model functions.
+   */
+  function evalModelName(iContext, iEvalContext, iInstance) {
+    var modelFn = iInstance.argFns[2];
+    return modelFn ? modelFn(iContext, iEvalContext) : null;
+  }
+
+  /**
+    Base object for regression model functions which return a single value for each group.
+   */
+  var RegressionModelStatsFn = DG.BivariateStatsFn.extend({
+
+    requiredArgs: {min: 3, max: 3},
+
+    preEvaluate: function (iContext, iEvalContext, iInstance) {
+      sc_super();
+      iInstance.model = evalModelName(iContext, iEvalContext, iInstance);
+    },
+
+    computeResults: function (iContext, iEvalContext, iInstance) {
+      DG.ObjectMap.forEach(iInstance.caches,
+          function (iKey, iCache) {
+            var tModel = fitRegressionModel(iInstance.model, iCache);
+            iInstance.results[iKey] = tModel ? this.extractResult(tModel, iInstance) : NaN;
+          }.bind(this));
+      return this.queryCache(iContext, iEvalContext, iInstance);
+    },
+
+    /**
+      Derived classes must override to return the appropriate result from the fitted model.
+     */
+    extractResult: function (iModel, iInstance) {
+    }
+  });
+
+  /**
+    Base object for regression model functions which return a separate value for each case.
+   */
+  var RegressionModelSemiAggregateFn = DG.BivariateSemiAggregateFn.extend({
+
+    requiredArgs: {min: 3, max: 3},
+
+    preEvaluate: function (iContext, iEvalContext, iInstance) {
+      iInstance.model = evalModelName(iContext, iEvalContext, iInstance);
+      sc_super();
+    },
+
+    computeModel: function (iCoordPairs, iInstance) {
+      return fitRegressionModel(iInstance.model, iCoordPairs);
+    },
+
+    /**
+      Returns the value predicted by the group's model for the specified case.
+     */
+    predictedValue: function (iContext, iEvalContext, iInstance, iCacheID) {
+      var xFn = iInstance.argFns[0],
+          tModel = iInstance.caches[iCacheID];
+      return tModel ? tModel.predict(DG.getNumeric(xFn(iContext, iEvalContext))) : NaN;
+    }
+  });
+
   return {
 
     correlation: DG.BivariateStatsFn.create({
@@ -96,8 +287,97 @@ DG.functionRegistry.registerAggregates((function () {
             tCaseID = iEvalContext._id_;
         iInstance.results[tCaseID] = (tSlope * DG.getNumeric(xFn(iContext, iEvalContext)) + tIntercept);
       }
-    })
+    }),
+
+    regrCoefficient: RegressionModelStatsFn.create({
+
+      requiredArgs: {min: 4, max: 4},
+
+      preEvaluate: function (iContext, iEvalContext, iInstance) {
+        sc_super();
+        var indexFn = iInstance.argFns[3];
+        iInstance.coefficientIndex = indexFn ? DG.getNumeric(indexFn(iContext, iEvalContext)) : null;
+      },
+
+      extractResult: function (iModel, iInstance) {
+        var tCoefficient = iModel.coefficients[iInstance.coefficientIndex];
+        return tCoefficient != null ? tCoefficient : NaN;
+      }
+    }),
+
+    regrRSquared: RegressionModelStatsFn.create({
+
+      extractResult: function (iModel, iInstance) {
+        return iModel.rSquared;
+      }
+    }),
+
+    regrResidual: RegressionModelSemiAggregateFn.create({
+
+      secondPassEvalCase: function (iContext, iEvalContext, iInstance, iCacheID) {
+        var yFn = iInstance.argFns[1];
+        iInstance.results[iEvalContext._id_] = DG.getNumeric(yFn(iContext, iEvalContext)) -
+            this.predictedValue(iContext, iEvalContext, iInstance, iCacheID);
+      }
+    }),
+
+    regrPredicted: RegressionModelSemiAggregateFn.create({
+
+      secondPassEvalCase: function (iContext, iEvalContext, iInstance, iCacheID) {
+        iInstance.results[iEvalContext._id_] = this.predictedValue(iContext, iEvalContext, iInstance, iCacheID);
+      }
+    }),
+
+    mlrCoefficient: DG.MultivariateStatsFn.create({
+
+      requiredArgs: {min: 3, max: 999},
+
+      parameterArgCount: 1,
+
+      preEvaluate: function (iContext, iEvalContext, iInstance) {
+        sc_super();
+        var indexFn = this.getParameterFn(iInstance, 0);
+        iInstance.coefficientIndex = indexFn ? DG.getNumeric(indexFn(iContext, iEvalContext)) : null;
+      },
+
+      computeResults: function (iContext, iEvalContext, iInstance) {
+        DG.ObjectMap.forEach(iInstance.caches,
+            function (iKey, iCache) {
+              var tModel = DG.MathUtilities.multipleLinearRegression(iCache),
+                  tCoefficient = tModel && tModel.coefficients[iInstance.coefficientIndex];
+              iInstance.results[iKey] = tCoefficient != null ? tCoefficient : NaN;
+            });
+        return this.queryCache(iContext, iEvalContext, iInstance);
+      }
+    }),
+
+    mlrRSquared: DG.MultivariateStatsFn.create({
+
+      computeResults: function (iContext, iEvalContext, iInstance) {
+        DG.ObjectMap.forEach(iInstance.caches,
+            function (iKey, iCache) {
+              var tModel = DG.MathUtilities.multipleLinearRegression(iCache);
+              iInstance.results[iKey] = tModel ? tModel.rSquared : NaN;
+            });
+        return this.queryCache(iContext, iEvalContext, iInstance);
+      }
+    }),
 
+    mlrResidual: DG.MultivariateSemiAggregateFn.create({
+
+      secondPassEvalCase: function (iContext, iEvalContext, iInstance, iCacheID) {
+        var yFn = iInstance.argFns[0];
+        iInstance.results[iEvalContext._id_] = DG.getNumeric(yFn(iContext, iEvalContext)) -
+            this.predictedValue(iContext, iEvalContext, iInstance, iCacheID);
+      }
+    }),
+
+    mlrPredicted: DG.MultivariateSemiAggregateFn.create({
+
+      secondPassEvalCase: function (iContext, iEvalContext, iInstance, iCacheID) {
+        iInstance.results[iEvalContext._id_] = this.predictedValue(iContext, iEvalContext, iInstance, iCacheID);
+      }
+    })
 
   };
 
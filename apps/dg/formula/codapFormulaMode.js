@@ -3,6 +3,7 @@
  */
 
 sc_require('formula/formula');
+sc_require('utilities/string_utilities');
 
 /* global CodeMirror */
 CodeMirror.defineSimpleMode("codapFormula", {
@@ -10,18 +11,29 @@ CodeMirror.defineSimpleMode("codapFormula", {
   start: [
     // The regex matches the token, the token property contains the type
     {regex: /(?:"(?:[^\\]|\\.)*?(?:"|$))|(?:'(?:[^\\]|\\.)*?(?:'|$))/, token: "string"},
-    {regex: /true|false/, token: "atom"},
+    {regex: /\/\/.*/, token: "comment"},
+    {regex: /\/\*/, token: "comment", next: "comment"},
+    // localized boolean keywords (cf. DG.FormulaLocalizer) are highlighted as well
+    {regex: new RegExp(['true', 'false', 'DG.Formula.Syntax.true'.loc(), 'DG.Formula.Syntax.false'.loc()]
+                          .map(DG.StringUtilities.escapeRegExp).join('|')), token: "atom"},
+    {regex: /(?:let|switch|case|default)\b/, token: "keyword"},
     {regex: /0x[a-f\d]+|[-+]?(?:\.\d+|\d+\.?\d*)(?:e[-+]?\d+)?/i, token: "number"},
     {regex: /[-+\/*=<>!^]+/, token: "operator"},
     {regex: DG.Formula.functionRegExp, token: "function"},
     {regex: DG.Formula.identifierRegExp, token: "variable"},
     {regex: /(?:`(?:[^\\]|\\.)*?(?:`|$))/, token: "variable"}
   ],
+  // The comment state is used within multi-line comments
+  comment: [
+    {regex: /.*?\*\//, token: "comment", next: "start"},
+    {regex: /.*/, token: "comment"}
+  ],
   // The meta property contains global information about the mode. It
   // can contain properties like lineComment, which are supported by
   // all modes, and also directives like dontIndentStates, which are
   // specific to simple modes.
   meta: {
-    dontIndentStates: ["start"]
+    dontIndentStates: ["start", "comment"],
+    lineComment: "//"
   }
 });
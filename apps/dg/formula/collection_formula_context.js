@@ -18,6 +18,7 @@
 //  limitations under the License.
 // ==========================================================================
 
+sc_require('formula/formula_worker');
 sc_require('formula/global_formula_context');
 
 /** @class DG.CollectionFormulaContext
@@ -117,6 +118,7 @@ DG.CollectionFormulaContext = DG.GlobalFormulaContext.extend((function() {
     this.collectionAttrRefCounts = {};
     this.aggFnInstances = [];
     this.aggFnCount = 0;
+    this.namedFilterArgs = [];
   }.observes('collection'),
 
   /**
@@ -274,31 +276,85 @@ DG.CollectionFormulaContext = DG.GlobalFormulaContext.extend((function() {
     @param {DG.Case[]}  iCases - array of cases affected
                                  if no cases specified, all cases are affected
     @param {boolean}    iForceAggregate - treat the dependency as an aggregate dependency
+    @returns {DG.Case[]|null} the affected cases of the dependent, or null if all cases are affected
    */
   invalidateDependent: function(ioResult, iDependent, iDependency, iCases, iForceAggregate) {
     var attributeID = iDependent && iDependent.id,
-        attribute = attributeID && DG.Attribute.getAttributeByID(attributeID);
-
-    // invalidate specific cases when there's a simple dependency
-    if (attribute && !iForceAggregate && iDependency.simpleDependency) {
-      attribute.invalidateCases(iCases);
-      ioResult.simpleDependencies.push(iDependent);
+        attribute = attributeID && DG.Attribute.getAttributeByID(attributeID),
+        affectedCases = !iForceAggregate && this.getAffectedCases(iDependency, iCases);
+
+    // invalidate only the affected cases when they can be determined
+    if (attribute && affectedCases) {
+      if (affectedCases.length) {
+        attribute.invalidateCases(affectedCases);
+        // the dependent may be reached again with additional affected cases
+        if (ioResult.simpleDependencies.indexOf(iDependent) < 0)
+          ioResult.simpleDependencies.push(iDependent);
+      }
     }
-    // Invalidate all cases when there's an aggregate dependency
-    // or if we're forcing all dependencies to be treated as aggregate.
-    // The latter happens when we're processing simple dependencies among
-    // aggregate function arguments.
-    if (attribute && (iForceAggregate || iDependency.aggFnIndices.length)) {
-      attribute.invalidateCases(null, iDependency.aggFnIndices);
-      ioResult.aggregateDependencies.push(iDependent);
+    else {
+      affectedCases = null;
+      // invalidate all cases when the affected cases can't be determined
+      if (attribute && !iForceAggregate && iDependency.simpleDependency) {
+        attribute.invalidateCases(null);
+        if (ioResult.simpleDependencies.indexOf(iDependent) < 0)
+          ioResult.simpleDependencies.push(iDependent);
+      }
+      // Invalidate all cases when there's an aggregate dependency
+      // or if we're forcing all dependencies to be treated as aggregate.
+      // The latter happens when we're processing simple dependencies among
+      // aggregate function arguments.
+      if (attribute && (iForceAggregate || iDependency.aggFnIndices.length)) {
+        attribute.invalidateCases(null, iDependency.aggFnIndices);
+        ioResult.aggregateDependencies.push(iDependent);
+      }
     }
 
     // If we're invalidating a lookup...() function as a result of an invalidation
     // cascade in the source context, start an invalidation cascade locally.
     var dependencyMgr = this.get('dependencyMgr');
     if (iDependency.srcDependencyMgr && (dependencyMgr !== iDependency.srcDependencyMgr)) {
-      dependencyMgr.invalidateDependentsOf([iDependent]);
+      dependencyMgr.invalidateDependentsOf([iDependent], affectedCases);
     }
+    return affectedCases;
+  },
+
+  /**
+    Returns the cases of the formula's collection whose values are affected by changes
+    to the values of the specified cases via the specified dependency, or null if all
+    cases are (or may be) affected. Row-local references affect only the changed cases
+    themselves, while aggregate functions can map the changed cases to the affected cases
+    (e.g. prev(), next() and lookupByIndex()) or affect all cases (e.g. mean()).
+    @param {object}     iDependency
+    @param {DG.Case[]}  iCases - array of cases whose values changed
+    @returns {DG.Case[]|null}
+   */
+  getAffectedCases: function(iDependency, iCases) {
+    var collectionID = this.getPath('collection.id'),
+        aggFnIndices = iDependency.aggFnIndices,
+        result = [];
+    if (!iCases || !iCases.length || !this.get('collection')) return null;
+
+    if (iDependency.simpleDependency) {
+      // references to other collections affect all cases
+      if (!iCases.every(function(iCase) { return iCase.getPath('collection.id') === collectionID; }))
+        return null;
+      result = iCases.slice();
+    }
+
+    if (aggFnIndices.length) {
+      var isMappable = aggFnIndices.every(function(iAggFnIndex) {
+            var instance = this.aggFnInstances[iAggFnIndex],
+                aggregateFn = instance && DG.functionRegistry.getAggregate(instance.name),
+                // nested aggregate functions affect all cases
+                cases = aggregateFn && !(instance.aggFnIndices && (instance.aggFnIndices.length > 1)) &&
+                          aggregateFn.getAffectedCases(this, instance, iCases);
+            if (cases) result = result.concat(cases);
+            return !!cases;
+          }.bind(this));
+      if (!isMappable) return null;
+    }
+    return result;
   },
 
   /**
@@ -393,6 +449,83 @@ DG.CollectionFormulaContext = DG.GlobalFormulaContext.extend((function() {
     return sc_super();
   },
 
+  /**
+    Returns the values referenced by the formula for the specified cases in the columnar
+    form evaluated by DG.FormulaWorker, i.e. a column of values for each attribute (and
+    'caseIndex') referenced and a constant value for each global value referenced.
+    Variables are bound as in compileVariable(). Cases with values that can't be passed
+    to the worker (e.g. dates) are deferred to the main thread.
+    @param    {Object}      iParseTree -- the parse tree of the formula
+    @param    {DG.Case[]}   iCases -- the cases for which the formula is to be evaluated
+    @returns  {Object|null} { columns, constants, deferredCases } or null if the formula
+                            can't be evaluated by the worker, e.g. if it references
+                            aggregate functions, child attributes or other formula attributes
+   */
+  createColumnarSnapshot: function( iParseTree, iCases) {
+    var names = DG.FormulaWorker.getVariableNames( iParseTree),
+        formulaCollection = this.get('collection'),
+        snapshot = { columns: {}, constants: {}, deferredCases: [] },
+        isDeferred = {};
+
+    function isTransferable( iValue) {
+      return (iValue == null) || (typeof iValue !== 'object');
+    }
+
+    function bindVariable( iName) {
+      var attribute, collection, attrID, globalValue, value;
+
+      if( iName === 'caseIndex') {
+        snapshot.columns[ iName] = iCases.map( function( iCase) {
+                                      return this.getCaseIndex( iCase);
+                                    }.bind( this));
+        return true;
+      }
+
+      attribute = this.getAttributeByName( iName);
+      if( attribute) {
+        collection = this.getCollectionForAttribute( attribute);
+        // references to formula attributes would be evaluated synchronously
+        if( attribute.get('hasFormula') || !collection ||
+            collection.isDescendantOf( formulaCollection))
+          return false;
+        attrID = attribute.get('id');
+        snapshot.columns[ iName] = iCases.map( function( iCase, iIndex) {
+                                      var tValue = iCase.getTypedValue( attrID);
+                                      if( isTransferable( tValue)) return tValue;
+                                      isDeferred[ iIndex] = true;
+                                      return null;
+                                    });
+        return true;
+      }
+
+      globalValue = DG.globalsController.getGlobalValueByName( iName);
+      if( globalValue) {
+        value = globalValue.get('value');
+        snapshot.constants[ iName] = value;
+        return isTransferable( value);
+      }
+
+      switch( iName) {
+      case 'pi':
+      case 'π':
+        snapshot.constants[ iName] = Math.PI;
+        return true;
+      case 'e':
+        snapshot.constants[ iName] = Math.E;
+        return true;
+      }
+      return false;
+    }
+
+    if( !names || !names.every( bindVariable.bind( this)))
+      return null;
+
+    DG.ObjectMap.forEach( isDeferred, function( iIndex) {
+      snapshot.deferredCases.push( Number( iIndex));
+    });
+    return snapshot;
+  },
+
   /**
     Direct evaluation of the expression without an intervening compilation.
     This is unlikely to be used for case attribute formulas, where the formula
@@ -409,6 +542,11 @@ DG.CollectionFormulaContext = DG.GlobalFormulaContext.extend((function() {
     // which requires the caseIDToIndexMap, which is built on demand.
     if( iName === 'caseIndex') return this.getCaseIndex( iEvalContext._id_);
 
+    // If the formula has been compiled, the compiled accessor also handles
+    // references to attributes of parent and child collections.
+    var attrFn = this.attrFns && this.attrFns[ iName];
+    if( typeof attrFn === 'function') return attrFn( iEvalContext);
+
     // Client is responsible for putting '_case_' into evaluation context.
     // This context's getAttrValue() method provides the implementation.
     var collection = this.get('collection'),
@@ -469,8 +607,11 @@ DG.CollectionFormulaContext = DG.GlobalFormulaContext.extend((function() {
       iInstance.argFns.push( DG.FormulaContext.createContextFunction( iInstance.args[i]));
     }
 
+    // a named filter argument, e.g. filter(x > 0), is separated at compile time
+    if (iInstance.filterArg)
+      iInstance.filterFn = DG.FormulaContext.createContextFunction( iInstance.filterArg);
     // if an extra argument was specified, assume it's a filter argument
-    if (argCount >= argCountWithFilter)
+    else if (argCount >= argCountWithFilter)
       iInstance.filterFn = DG.FormulaContext.createContextFunction( iInstance.args[argCountWithFilter-1]);
   },
 
@@ -565,10 +706,36 @@ DG.CollectionFormulaContext = DG.GlobalFormulaContext.extend((function() {
                                       names that are not recognized.
    */
   compileFunction: function( iName, iArgs, iAggFnIndices) {
+    var filterArg;
+
+    // A named filter argument, e.g. filter(x > 0), is compiled into a placeholder
+    // which the enclosing aggregate function replaces with its filter argument.
+    if (iName === DG.AggregateFunction.NAMED_FILTER_NAME) {
+      var stackSize = this._functionContextStack.length,
+          fnContext = stackSize ? this._functionContextStack[stackSize - 1] : null,
+          enclosingFn = fnContext && fnContext.isAggregate && DG.functionRegistry.getAggregate(fnContext.name);
+      if (enclosingFn && enclosingFn.get('acceptsNamedFilter')) {
+        if (iArgs.length !== 1)
+          throw new DG.FuncArgsError(iName, { min: 1, max: 1 });
+        this.namedFilterArgs.push(iArgs[0]);
+        return 'c.namedFilterArg(' + (this.namedFilterArgs.length - 1) + ')';
+      }
+    }
 
     // If this is an aggregate function reference, dispatch it as such.
     if( this.isAggregate( iName)) {
 
+      // the named filter must be the last argument
+      iArgs.forEach(function(iArg, iIndex) {
+        var match = /^c\.namedFilterArg\((\d+)\)$/.exec(iArg);
+        if (match && (iIndex === iArgs.length - 1))
+          filterArg = this.namedFilterArgs[Number(match[1])];
+        else if (/c\.namedFilterArg\(/.test(iArg))
+          throw new DG.FuncReferenceError(DG.AggregateFunction.NAMED_FILTER_NAME);
+      }.bind(this));
+      if (filterArg)
+        iArgs = iArgs.slice(0, -1);
+
       // Some functions (e.g. count()) have an implicit dependency on 'caseIndex'
       var _fn = DG.functionRegistry.getAggregate(iName);
       if (_fn && _fn.isCaseIndexDependent(iArgs)) {
@@ -589,7 +756,7 @@ DG.CollectionFormulaContext = DG.GlobalFormulaContext.extend((function() {
       // We push the name and arguments into the instance rather than marshaling
       // them into JavaScript text for the JavaScript interpreter.
       this.aggFnInstances.push({ index: aggFnIndex, name: iName, args: iArgs,
-                                  aggFnIndices: iAggFnIndices });
+                                  filterArg: filterArg, aggFnIndices: iAggFnIndices });
 
       // The JavaScript code simply passes in the instance index.
       // At evaluation-time, evalAggregate() can extract the contents of the instance.
@@ -178,8 +178,49 @@ DG.functionRegistry.registerAggregates((function() {
                     binding.collection.getPath('casesController.arrangedObjects'),
           caseIndexFn = iInstance.argFns[2],
           reqCaseIndex = caseIndexFn && caseIndexFn(iContext, iEvalContext),
-          tCase = cases && cases.objectAt(reqCaseIndex-1);
+          tCase = cases && cases.objectAt(reqCaseIndex-1),
+          requests = iInstance.caches.requests || (iInstance.caches.requests = {}),
+          requestingCases = requests[reqCaseIndex] || (requests[reqCaseIndex] = {});
+      // track the cases which look up each case index (cf. getAffectedCases())
+      if (iEvalContext._case_)
+        requestingCases[iEvalContext._id_] = iEvalContext._case_;
       return (tCase && binding.attributeID && tCase.getValue(binding.attributeID)) || '';
+    },
+
+    /**
+      The result of lookupByIndex() changes for the cases which looked up a changed case
+      in the source collection, and for the changed cases of the formula's collection,
+      whose case index argument may have changed.
+      @param  {DG.FormulaContext}   iContext
+      @param  {Object}              iInstance -- The aggregate function instance from the context.
+      @param  {DG.Case[]}           iCases -- The cases whose values changed.
+      @returns  {DG.Case[]|null}
+     */
+    getAffectedCases: function( iContext, iInstance, iCases) {
+      var binding = iInstance.caches && iInstance.caches.binding,
+          requests = iInstance.caches && iInstance.caches.requests,
+          srcCollection = binding && binding.collection,
+          srcCollectionID = srcCollection && srcCollection.get('id'),
+          srcCases = srcCollection && srcCollection.getPath('casesController.arrangedObjects'),
+          collectionID = iContext.getPath('collection.id'),
+          result = [];
+      if (!srcCases || !requests) return null;
+      return iCases.every(function( iCase) {
+        var caseCollectionID = iCase.getPath('collection.id'),
+            isAffected = false;
+        if (caseCollectionID === srcCollectionID) {
+          DG.ObjectMap.forEach(requests[srcCases.indexOf(iCase) + 1], function( iCaseID, iRequestingCase) {
+            if (!iRequestingCase.get('isDestroyed'))
+              result.push( iRequestingCase);
+          });
+          isAffected = true;
+        }
+        if (caseCollectionID === collectionID) {
+          result.push( iCase);
+          isAffected = true;
+        }
+        return isAffected;
+      }) ? result : null;
     }
 
   }),
@@ -19,12 +19,35 @@
 // ==========================================================================
 
 sc_require('formula/function_registry');
+sc_require('utilities/date_utilities');
 
 /**
   Implements the basic builtin functions and registers them with the FunctionRegistry.
  */
 DG.functionRegistry.registerFunctions((function() {
 
+  /** @class DG.TimeZoneSupportError
+
+    Error class for time zones which can't be converted because the browser doesn't
+    support the Intl time zone APIs.
+
+    @extends Error
+  */
+  var TimeZoneSupportError = function(iTimeZone) {
+    this.name = 'DG.Formula.TimeZoneSupportError.name'.loc();
+    this.message = 'DG.Formula.TimeZoneSupportError.message'.loc(iTimeZone);
+    this.description = 'DG.Formula.TimeZoneSupportError.description'.loc(iTimeZone);
+    this.reference = iTimeZone;
+  };
+  TimeZoneSupportError.prototype = new Error();
+  TimeZoneSupportError.prototype.constructor = TimeZoneSupportError;
+
+  /**
+    Whether the browser can convert times to arbitrary IANA time zones.
+   */
+  var kHasIntlTimeZones = (typeof Intl !== 'undefined') && !!Intl.DateTimeFormat &&
+                          !!Intl.DateTimeFormat.prototype.formatToParts;
+
   /**
     Utility function for converting to a Date object.
    */
@@ -33,8 +56,158 @@ DG.functionRegistry.registerFunctions((function() {
     return DG.createDate(x); // strings are subject to browser inconsistencies
   }
 
+  /**
+    Utility function for creating a DG date object from milliseconds since 1/1/1970.
+    (DG.createDate() interprets small numbers as years rather than as a time.)
+   */
+  function dateFromMilliseconds(iMilliseconds) {
+    var date = DG.createDate();
+    date.setTime(iMilliseconds);
+    return date;
+  }
+
+  /**
+    Utility function for converting a date argument to a Date object.
+    Returns null for empty or invalid dates.
+   */
+  function dateArgument(x) {
+    if (SC.empty(x)) return null;
+    var date = convertToDate(x);
+    return date && !isNaN(date.getTime()) ? date : null;
+  }
+
+  var kUnitMilliseconds = {
+        millisecond: 1,
+        second: DG.DateUtilities.kSecond,
+        minute: DG.DateUtilities.kMinute,
+        hour: DG.DateUtilities.kHour,
+        day: DG.DateUtilities.kDay,
+        week: 7 * DG.DateUtilities.kDay
+      },
+      kUnitMonths = { month: 1, quarter: 3, year: 12 };
+
+  /**
+    Utility function for normalizing a unit argument, e.g. "Days" => "day".
+    Returns null for unrecognized units.
+   */
+  function normalizeUnit(iUnit) {
+    var unit = DG.DataUtilities.toString(iUnit).trim().toLowerCase().replace(/s$/, '');
+    return (kUnitMilliseconds[unit] || kUnitMonths[unit]) ? unit : null;
+  }
+
+  /**
+    Returns the date the specified number of months after the specified date.
+    If the day of the month doesn't exist in the resulting month, the last day
+    of the month is used, e.g. January 31 + 1 month => February 28 (or 29).
+   */
+  function addMonths(iDate, iMonths) {
+    var date = DG.createDate(),
+        targetMonth = iDate.getMonth() + iMonths,
+        daysInMonth = new Date(iDate.getFullYear(), targetMonth + 1, 0).getDate();
+    date.setTime(iDate.getTime());
+    date.setDate(1);
+    date.setMonth(targetMonth);
+    date.setDate(Math.min(iDate.getDate(), daysInMonth));
+    return date;
+  }
+
+  /**
+    Returns the (fractional) number of months from iDate1 to iDate2.
+   */
+  function monthsBetween(iDate1, iDate2) {
+    if (iDate2.getTime() < iDate1.getTime()) return -monthsBetween(iDate2, iDate1);
+    var months = 12 * (iDate2.getFullYear() - iDate1.getFullYear()) +
+                  iDate2.getMonth() - iDate1.getMonth(),
+        anchor = addMonths(iDate1, months),
+        next;
+    if (anchor.getTime() > iDate2.getTime()) {
+      anchor = addMonths(iDate1, --months);
+    }
+    next = addMonths(iDate1, months + 1);
+    return months + (iDate2.getTime() - anchor.getTime()) / (next.getTime() - anchor.getTime());
+  }
+
+  /**
+    Returns the milliseconds since 1/1/1970 local time, i.e. adjusted for the time zone
+    offset, so that differences in days aren't affected by daylight saving time changes.
+   */
+  function localMilliseconds(iDate) {
+    return iDate.getTime() - iDate.getTimezoneOffset() * DG.DateUtilities.kMinute;
+  }
+
+  /**
+    Returns the wall-clock time in the specified time zone at the specified time as
+    milliseconds since 1/1/1970 UTC, i.e. the time in UTC with the same wall-clock time.
+    'local' refers to the browser's time zone. Throws a RangeError for invalid time zones
+    and a TimeZoneSupportError for time zones other than 'local' and 'UTC' in browsers
+    without the Intl time zone APIs.
+   */
+  function wallClockMilliseconds(iMilliseconds, iTimeZone) {
+    if (iTimeZone === 'local')
+      return localMilliseconds(new Date(iMilliseconds));
+    if (iTimeZone.toUpperCase() === 'UTC')
+      return iMilliseconds;
+    if (!kHasIntlTimeZones)
+      throw new TimeZoneSupportError(iTimeZone);
+    var formatter = new Intl.DateTimeFormat('en-US', {
+                      timeZone: iTimeZone, hourCycle: 'h23',
+                      year: 'numeric', month: 'numeric', day: 'numeric',
+                      hour: 'numeric', minute: 'numeric', second: 'numeric'
+                    }),
+        parts = {};
+    formatter.formatToParts(new Date(iMilliseconds)).forEach(function(iPart) {
+      parts[iPart.type] = Number(iPart.value);
+    });
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute,
+                    parts.second, ((iMilliseconds % 1000) + 1000) % 1000);
+  }
+
+  /**
+    Returns the time (milliseconds since 1/1/1970 UTC) at which the wall-clock time in the
+    specified time zone is the specified wall-clock time (expressed as UTC milliseconds).
+   */
+  function millisecondsFromWallClock(iWallClock, iTimeZone) {
+    var offset = wallClockMilliseconds(iWallClock, iTimeZone) - iWallClock,
+        result = iWallClock - offset,
+        resultOffset = wallClockMilliseconds(result, iTimeZone) - result;
+    // adjust if the offset changes between the estimate and the result (e.g. DST)
+    return resultOffset === offset ? result : iWallClock - resultOffset;
+  }
+
   return {
 
+    /**
+      Converts a date from the wall-clock time in one time zone to the wall-clock time in
+      another, e.g. to convert UTC timestamps to local times. Dates are displayed in the
+      browser's time zone, so the result is the date whose displayed time is the wall-clock
+      time in the target time zone.
+      @param    {Date|Number|String} iDate - the date to convert
+      @param    {String}  iFromTimeZone - the IANA time zone (e.g. 'UTC' or 'America/New_York')
+                            of the date's wall-clock time or 'local' for the browser's time zone
+      @param    {String}  [iToTimeZone] - the IANA time zone to convert to (default: 'local')
+      @returns  {Date}    the converted date
+     */
+    'convertTimeZone': {
+      minArgs:2, maxArgs:3, category: 'DG.Formula.FuncCategoryDateTime',
+      evalFn: function(iDate, iFromTimeZone, iToTimeZone) {
+        var date = dateArgument(iDate),
+            fromZone = DG.DataUtilities.toString(iFromTimeZone) || 'local',
+            toZone = DG.DataUtilities.toString(iToTimeZone) || 'local',
+            milliseconds;
+        if (!date) return '';
+        try {
+          milliseconds = millisecondsFromWallClock(localMilliseconds(date), fromZone);
+          return dateFromMilliseconds(
+                  millisecondsFromWallClock(wallClockMilliseconds(milliseconds, toZone), 'local'));
+        }
+        catch (e) {
+          if (e instanceof TimeZoneSupportError) throw e;
+          // unrecognized time zone
+          return '';
+        }
+      }
+    },
+
     /**
       Returns a new date created from its arguments. If a single large argument,
       it is treated as
@@ -95,6 +268,67 @@ DG.functionRegistry.registerFunctions((function() {
       }
     },
 
+    /**
+      Returns the date which is the specified number of units after the specified date.
+      Years, quarters and months are added to the calendar date, e.g. January 31 + 1 month
+      is the last day of February, and days and weeks preserve the time of day across
+      daylight saving time changes. Years, quarters and months must amount to a whole
+      number of months, e.g. 1.5 years; otherwise the result is empty.
+      @param    {Date|Number|String} iDate - the date to add to
+      @param    {Number}  iCount - the number of units to add (may be negative)
+      @param    {String}  iUnit - the unit: 'year', 'quarter', 'month', 'week', 'day',
+                                  'hour', 'minute', 'second' or 'millisecond'
+      @returns  {Date}    the resulting date
+     */
+    'dateAdd': {
+      minArgs:3, maxArgs:3, category: 'DG.Formula.FuncCategoryDateTime',
+      evalFn: function(iDate, iCount, iUnit) {
+        var date = dateArgument(iDate),
+            count = DG.getNumeric(iCount),
+            unit = normalizeUnit(iUnit),
+            result, months, wholeDays;
+        if (!date || (count == null) || !unit) return '';
+        if (kUnitMonths[unit]) {
+          // fractional months are ambiguous, so they're rejected rather than truncated
+          months = count * kUnitMonths[unit];
+          if (Math.abs(months - Math.round(months)) > 1e-9) return '';
+          return addMonths(date, Math.round(months));
+        }
+        if ((unit === 'day') || (unit === 'week')) {
+          count *= kUnitMilliseconds[unit] / DG.DateUtilities.kDay;
+          wholeDays = Math.trunc(count);
+          result = dateFromMilliseconds(date.getTime());
+          result.setDate(result.getDate() + wholeDays);
+          return dateFromMilliseconds(result.getTime() + (count - wholeDays) * DG.DateUtilities.kDay);
+        }
+        return dateFromMilliseconds(date.getTime() + count * kUnitMilliseconds[unit]);
+      }
+    },
+
+    /**
+      Returns the (possibly fractional) number of units from the first date to the second,
+      i.e. the result is positive if the second date is later than the first.
+      @param    {Date|Number|String} iDate1 - the starting date
+      @param    {Date|Number|String} iDate2 - the ending date
+      @param    {String}  iUnit - the unit: 'year', 'quarter', 'month', 'week', 'day',
+                                  'hour', 'minute', 'second' or 'millisecond'
+      @returns  {Number}  the number of units
+     */
+    'dateDiff': {
+      minArgs:3, maxArgs:3, category: 'DG.Formula.FuncCategoryDateTime',
+      evalFn: function(iDate1, iDate2, iUnit) {
+        var date1 = dateArgument(iDate1),
+            date2 = dateArgument(iDate2),
+            unit = normalizeUnit(iUnit);
+        if (!date1 || !date2 || !unit) return '';
+        if (kUnitMonths[unit])
+          return monthsBetween(date1, date2) / kUnitMonths[unit];
+        if ((unit === 'day') || (unit === 'week'))
+          return (localMilliseconds(date2) - localMilliseconds(date1)) / kUnitMilliseconds[unit];
+        return (date2.getTime() - date1.getTime()) / kUnitMilliseconds[unit];
+      }
+    },
+
     /**
       Returns the day of the month corresponding to the given date.
       @param    {Date|Number|String} A date object or value convertible to a date object
@@ -144,6 +378,26 @@ DG.functionRegistry.registerFunctions((function() {
       }
     },
 
+    /**
+      Returns the date formatted according to the specified pattern, e.g. 'YYYY-MM-DD'.
+      Patterns use the dayjs format tokens, e.g. YYYY (year), MM (month), DD (day),
+      HH (hour), mm (minute), ss (second), ddd (short day name). Text in square brackets
+      is included literally. If no pattern is specified, the default date format is used.
+      @param    {Date|Number|String} iDate - the date to format
+      @param    {String}  [iPattern] - the format pattern
+      @returns  {String}  the formatted date
+     */
+    'formatDate': {
+      minArgs:1, maxArgs:2, category: 'DG.Formula.FuncCategoryDateTime',
+      evalFn: function(iDate, iPattern) {
+        /* global dayjs */
+        var date = dateArgument(iDate),
+            pattern = DG.DataUtilities.toString(iPattern);
+        if (!date) return '';
+        return pattern ? dayjs(date.getTime()).format(pattern) : DG.formatDate(date);
+      }
+    },
+
     /**
       Returns the hour of the day corresponding to the given date.
       @param    {Date|Number|String} A date object or value convertible to a date object
@@ -207,6 +461,19 @@ DG.functionRegistry.registerFunctions((function() {
     },
 //@endif
 
+    /**
+      Returns the quarter of the year (1-4) corresponding to the given date.
+      @param    {Date|Number|String} A date object or value convertible to a date object
+      @returns  {Number}      The quarter of the year for the given date
+     */
+    'quarter': {
+      minArgs:1, maxArgs:1, category: 'DG.Formula.FuncCategoryDateTime',
+      evalFn: function(x) {
+        var date = convertToDate(x);
+        return date && (Math.floor(date.getMonth() / 3) + 1);
+      }
+    },
+
     /**
       Returns the seconds of the minute corresponding to the given date.
       @param    {Date|Number|String} A date object or value convertible to a date object
@@ -220,6 +487,57 @@ DG.functionRegistry.registerFunctions((function() {
       }
     },
 
+    /**
+      Returns the start of the unit of time containing the given date, e.g.
+      startOf(date, 'month') returns midnight on the first day of the date's month.
+      Weeks start on Monday, consistent with the ISO weeks of weekOfYear().
+      @param    {Date|Number|String} iDate - the date
+      @param    {String}  iUnit - the unit: 'year', 'quarter', 'month', 'week', 'day',
+                                  'hour', 'minute' or 'second'
+      @returns  {Date}    the start of the unit
+     */
+    'startOf': {
+      minArgs:2, maxArgs:2, category: 'DG.Formula.FuncCategoryDateTime',
+      evalFn: function(iDate, iUnit) {
+        var date = dateArgument(iDate),
+            unit = normalizeUnit(iUnit),
+            result;
+        if (!date || !unit || (unit === 'millisecond')) return '';
+        result = dateFromMilliseconds(date.getTime());
+        switch (unit) {
+          case 'year':
+            result.setMonth(0, 1);
+            result.setHours(0, 0, 0, 0);
+            break;
+          case 'quarter':
+            result.setMonth(3 * Math.floor(result.getMonth() / 3), 1);
+            result.setHours(0, 0, 0, 0);
+            break;
+          case 'month':
+            result.setDate(1);
+            result.setHours(0, 0, 0, 0);
+            break;
+          case 'week':
+            result.setDate(result.getDate() - (result.getDay() + 6) % 7);
+            result.setHours(0, 0, 0, 0);
+            break;
+          case 'day':
+            result.setHours(0, 0, 0, 0);
+            break;
+          case 'hour':
+            result.setMinutes(0, 0, 0);
+            break;
+          case 'minute':
+            result.setSeconds(0, 0);
+            break;
+          case 'second':
+            result.setMilliseconds(0);
+            break;
+        }
+        return result;
+      }
+    },
+
     /**
       Returns a date object corresponding to the current date with no time (i.e. midnight)
       @returns  {Date}    the corresponding date object
@@ -233,6 +551,27 @@ DG.functionRegistry.registerFunctions((function() {
       }
     },
 
+    /**
+      Returns the ISO 8601 week of the year corresponding to the given date. ISO weeks
+      start on Monday and week 1 is the week containing the first Thursday of the year,
+      so dates near the start or end of a year may be in a week of the adjacent year.
+      @param    {Date|Number|String} A date object or value convertible to a date object
+      @returns  {Number}      The week of the year for the given date
+     */
+    'weekOfYear': {
+      minArgs:1, maxArgs:1, category: 'DG.Formula.FuncCategoryDateTime',
+      evalFn: function(x) {
+        var date = convertToDate(x);
+        if (!date) return date;
+        // the Thursday of the date's week determines the year of the week
+        var thursday = new Date(date.getFullYear(), date.getMonth(),
+                                date.getDate() + 3 - (date.getDay() + 6) % 7),
+            firstOfYear = new Date(thursday.getFullYear(), 0, 1);
+        return Math.floor((localMilliseconds(thursday) - localMilliseconds(firstOfYear)) /
+                            (7 * DG.DateUtilities.kDay)) + 1;
+      }
+    },
+
     /**
       Returns the year corresponding to the given date
       @param    {Date|Number|String} A date object or value convertible to a date object
@@ -11,7 +11,9 @@
 //  The dependency graph must be kept up to date with any changes to
 //  formulas, etc., at which point the invalidateDependentsOf() method can
 //  be called to invalidate the relevant attribute values and return a
-//  list of affected attributes in each affected collection.
+//  list of affected attributes in each affected collection. When the
+//  cases whose values changed are known, dependents are invalidated at
+//  case granularity where possible rather than for all of their cases.
 //
 //  Copyright (c) 2016 by The Concord Consortium, Inc. All rights reserved.
 //
@@ -38,6 +40,7 @@ DG.depMgrLog = function() {};
   Node type constants
  */
 DG.DEP_TYPE_ATTRIBUTE = 'attribute';
+DG.DEP_TYPE_FUNCTION = 'function';
 DG.DEP_TYPE_GLOBAL = 'global';
 DG.DEP_TYPE_PLOT = 'plot';
 DG.DEP_TYPE_SPECIAL = 'special';
@@ -60,51 +63,123 @@ DG.DependencyMgr = SC.Object.extend((function() {
   }
 
   /**
-    Recursive function to invalidate a single dependency and all of the downstream
-    dependents that are affected by it.
+    Records the cases of the specified node that have been invalidated during the current
+    invalidation and returns those which hadn't already been invalidated, so that nodes
+    which are reached along several paths are only invalidated once for each case.
+    @param  {object}  ioResult - affected cases are accumulated in ioResult.affectedCases
+    @param  {object}  iDepMgr - the dependency manager
+    @param  {object}  iNode - the invalidated node
+    @param  {DG.Case[]|null} iCases - the invalidated cases (null for all cases)
+    @returns {DG.Case[]|null} the newly invalidated cases (null for all cases)
+   */
+  function _trackAffectedCases(ioResult, iDepMgr, iNode, iCases) {
+    var key = iDepMgr.createKey(iNode),
+        caseIDs = iNode.invalidatedCaseIDs,
+        affectedCases;
+    if (!iCases || !caseIDs) {
+      iNode.invalidatedCaseIDs = null;
+      delete ioResult.affectedCases[key];
+      return null;
+    }
+    // accumulate in place, since a node may be reached once for each of its cases
+    affectedCases = ioResult.affectedCases[key] || (ioResult.affectedCases[key] = []);
+    return iCases.filter(function(iCase) {
+              var caseID = iCase.get('id');
+              if (caseIDs[caseID]) return false;
+              caseIDs[caseID] = true;
+              affectedCases.push(iCase);
+              return true;
+            });
+  }
+
+  /**
+    Invalidates a single dependency and queues the downstream dependents that are
+    affected by it for invalidation by _invalidateQueuedDependents().
     @param  {object}  ioResult - dependencies are accumulated and returned in this object
     @param  {object}  iDepMgr - the dependency manager
     @param  {object}  iDependent - the dependent node
     @param  {object}  iDependency - the dependency to be invalidated
     @param  {boolean} iForceAggregate - true if the dependency should be treated as aggregate
+    @param  {DG.Case[]} iCases - the cases of the independent node whose values changed
+                                 if no cases specified, all cases are affected
+    @param  {object[]}  ioQueue - the nodes whose dependents remain to be invalidated
    */
-  function _invalidateDependency(ioResult, iDepMgr, iDependent, iDependency, iForceAggregate) {
-    if (iDependent)
+  function _invalidateDependency(ioResult, iDepMgr, iDependent, iDependency, iForceAggregate, iCases, ioQueue) {
+    var affectedCases = null;
+
+    if (iDependent && (iDependent.lastInvalidation < iDepMgr._currentInvalidation)) {
       iDependent.lastInvalidation = iDepMgr._currentInvalidation;
+      iDependent.invalidatedCaseIDs = {};
+    }
 
     if (iDependency && iDependency.dependentContext) {
-      iDependency.dependentContext
-        .invalidateDependent(ioResult, iDependent, iDependency, [], iForceAggregate);
+      // the formula context returns the affected cases of the dependent (if known)
+      affectedCases = iDependency.dependentContext
+        .invalidateDependent(ioResult, iDependent, iDependency, iCases || [], iForceAggregate) || null;
     }
     DG.depMgrLog("DG.DependencyMgr[%@]._invalidateDependency: Invalidating %@ '%@'",
                   iDepMgr.getPath('dataContext.name'), iDependent.type, iDependent.name);
     if (iDependent && iDependency) {
-      // recursively invalidate additional affected nodes
-      _invalidateDependents(ioResult, iDepMgr, iDependent,
-                            iForceAggregate || (iDependency.aggFnIndices.length > 0));
+      affectedCases = _trackAffectedCases(ioResult, iDepMgr, iDependent, affectedCases);
+      // no need to continue if all of the affected cases were already invalidated
+      if (affectedCases && !affectedCases.length) return;
+      // queue the additional affected nodes
+      ioQueue.push({ node: iDependent,
+                      forceAggregate: iForceAggregate ||
+                                      (!affectedCases && (iDependency.aggFnIndices.length > 0)),
+                      cases: affectedCases });
     }
   }
 
   /**
-    Recursive function to invalidate all dependents of a single nod and all of
-    the downstream dependents that are affected by them.
-    @param  {object}  ioResult - dependencies are accumulated and returned in this object
-    @param  {object}  iDepMgr - the dependency manager
-    @param  {object}  iIndNode - the independent node
-    @param  {boolean} iForceAggregate - true if the dependency should be treated as aggregate
+    Invalidates the dependents of each queued node and all of the downstream dependents
+    that are affected by them. Nodes are processed iteratively rather than recursively,
+    since a node which depends on itself, e.g. via prev() or next(), is queued again for
+    each successive affected case, i.e. once for each case of its collection.
+    @param  {object}    ioResult - dependencies are accumulated and returned in this object
+    @param  {object}    iDepMgr - the dependency manager
+    @param  {object[]}  ioQueue - the nodes whose dependents are to be invalidated
+                          {object}    .node - the independent node
+                          {boolean}   .forceAggregate - true if the dependencies should be treated as aggregate
+                          {DG.Case[]} .cases - the cases of the node whose values changed
+                                               if no cases specified, all cases are affected
    */
-  function _invalidateDependents(ioResult, iDepMgr, iIndNode, iForceAggregate) {
+  function _invalidateQueuedDependents(ioResult, iDepMgr, ioQueue) {
+    var i, entry;
 
-    iIndNode.dependents.forEach(function(iDependent) {
-
-      // if we've already invalidated this node, we don't need to do so again
-      if (iDependent.lastInvalidation >= iDepMgr._currentInvalidation) return;
+    function invalidateDependent(iDependent) {
+      // if we've already invalidated all cases of this node, we don't need to do so again
+      if ((iDependent.lastInvalidation >= iDepMgr._currentInvalidation) &&
+          !iDependent.invalidatedCaseIDs) return;
 
       // Call the specified invalidation function
-      var dependency = iDepMgr._findDependency(iDependent, iIndNode);
+      var dependency = iDepMgr._findDependency(iDependent, entry.node);
       if (dependency)
-        _invalidateDependency(ioResult, iDepMgr, iDependent, dependency, iForceAggregate);
-    });
+        _invalidateDependency(ioResult, iDepMgr, iDependent, dependency,
+                              entry.forceAggregate, entry.cases, ioQueue);
+    }
+
+    for (i = 0; i < ioQueue.length; ++i) {
+      entry = ioQueue[i];
+      // release processed entries, which may be as many as the cases of a collection
+      ioQueue[i] = null;
+      entry.node.dependents.forEach(invalidateDependent);
+    }
+  }
+
+  /**
+    Invalidates all dependents of a single node and all of the downstream
+    dependents that are affected by them.
+    @param  {object}  ioResult - dependencies are accumulated and returned in this object
+    @param  {object}  iDepMgr - the dependency manager
+    @param  {object}  iIndNode - the independent node
+    @param  {boolean} iForceAggregate - true if the dependency should be treated as aggregate
+    @param  {DG.Case[]} iCases - the cases of the independent node whose values changed
+                                 if no cases specified, all cases are affected
+   */
+  function _invalidateDependents(ioResult, iDepMgr, iIndNode, iForceAggregate, iCases) {
+    _invalidateQueuedDependents(ioResult, iDepMgr,
+                                [{ node: iIndNode, forceAggregate: iForceAggregate, cases: iCases }]);
   }
 
   return {
@@ -210,6 +285,23 @@ DG.DependencyMgr = SC.Object.extend((function() {
     return result;
   },
 
+  /**
+    Returns descriptions of the dependencies of the specified node, i.e. the nodes
+    that the node's formula references.
+    @param    {object}  iNodeSpec - the node specification
+    @returns  {object[]} array of { type, id, name, simpleDependency, aggFnIndices }
+   */
+  getDependencies: function(iNodeSpec) {
+    var node = this.findNode(iNodeSpec);
+    return (node && node.dependencies || []).map(function(iDependency) {
+      return { type: iDependency.node.type,
+                id: iDependency.node.id,
+                name: iDependency.node.name,
+                simpleDependency: iDependency.simpleDependency,
+                aggFnIndices: iDependency.aggFnIndices.slice() };
+    });
+  },
+
   /**
     Adds the specified node to the dependency map if it's not already present
     @param  {object}  iNodeSpec - the node specification
@@ -479,9 +571,11 @@ DG.DependencyMgr = SC.Object.extend((function() {
     @returns {object}   result
                         .simpleDependencies[]
                         .aggregateDependencies[]
+                        .affectedCases{} - map from node key to affected cases
+                                          for nodes for which not all cases are affected
    */
   invalidateNames: function(iNames) {
-    var i, result = { simpleDependencies: [], aggregateDependencies: [] };
+    var i, result = { simpleDependencies: [], aggregateDependencies: [], affectedCases: {} };
 
     // increment our invalidation counter
     ++this._currentInvalidation;
@@ -504,30 +598,41 @@ DG.DependencyMgr = SC.Object.extend((function() {
     @returns {object}   result
                         .simpleDependencies[]
                         .aggregateDependencies[]
+                        .affectedCases{} - map from node key to affected cases
+                                          for nodes for which not all cases are affected
    */
   invalidateDependency: function(iDependentSpec, iIndependentSpec, iForceAggregate) {
     var dependentNode = this.findNode(iDependentSpec),
         dependency = this.findDependency(iDependentSpec, iIndependentSpec),
-        result = { simpleDependencies: [], aggregateDependencies: [] };
+        result = { simpleDependencies: [], aggregateDependencies: [], affectedCases: {} },
+        queue = [];
     if (dependency) {
       // increment our invalidation counter
       ++this._currentInvalidation;
-      // invalidate the specified dependency
-      _invalidateDependency(result, this, dependentNode, dependency, iForceAggregate);
+      // invalidate the specified dependency and its downstream dependents
+      _invalidateDependency(result, this, dependentNode, dependency, iForceAggregate, null, queue);
+      _invalidateQueuedDependents(result, this, queue);
     }
     return result;
   },
 
   /**
     Invalidate the specified nodes; returns an object indicating the affected nodes.
+    When the cases whose values changed are specified, dependents are invalidated at
+    case granularity where possible, e.g. for row-local references and for prev(),
+    next() and lookupByIndex(), and otherwise all of their cases are invalidated.
     @param {object[]}   iNodeSpecs
+    @param {DG.Case[]}  iCases - [optional] the cases whose values changed
+                                 if no cases specified, all cases are affected
     @returns {object}   result
                         .simpleDependencies[]
                         .aggregateDependencies[]
+                        .affectedCases{} - map from node key to affected cases
+                                          for nodes for which not all cases are affected
    */
-  invalidateDependentsOf: function(iNodeSpecs) {
+  invalidateDependentsOf: function(iNodeSpecs, iCases) {
     var i, nodeSpecCount = iNodeSpecs.length,
-        result = { simpleDependencies: [], aggregateDependencies: [] };
+        result = { simpleDependencies: [], aggregateDependencies: [], affectedCases: {} };
 
     // increment our invalidation counter
     ++this._currentInvalidation;
@@ -537,7 +642,7 @@ DG.DependencyMgr = SC.Object.extend((function() {
       var indNode = this.findNode(iNodeSpecs[i]);
       if (indNode) {
         // invalidate dependents of each node
-        _invalidateDependents(result, this, indNode);
+        _invalidateDependents(result, this, indNode, false, iCases);
       }
     }
 
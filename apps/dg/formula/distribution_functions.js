@@ -0,0 +1,205 @@
+// ==========================================================================
+//                    Probability Distribution Functions
+//
+//  Copyright (c) 2021 by The Concord Consortium, Inc. All rights reserved.
+//
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing, software
+//  distributed under the License is distributed on an "AS IS" BASIS,
+//  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//  See the License for the specific language governing permissions and
+//  limitations under the License.
+// ==========================================================================
+
+sc_require('formula/function_registry');
+sc_require('utilities/distribution_utilities');
+
+/**
+  Implements the probability distribution (density, cumulative and inverse)
+  functions and registers them with the FunctionRegistry.
+ */
+DG.functionRegistry.registerFunctions((function() {
+
+  /**
+    Returns a function which converts its arguments to numbers and passes them
+    to the specified DG.DistributionUtilities function. Empty or non-numeric
+    required arguments and invalid results (NaN) produce an empty result.
+    @param  {Function}  iDistributionFn - the DG.DistributionUtilities function
+    @param  {Number}    iRequiredArgs - the number of required arguments
+    @param  {Number[]}  [iDefaults] - default values for the optional arguments
+   */
+  function distributionEvalFn(iDistributionFn, iRequiredArgs, iDefaults) {
+    return function() {
+      var args = [], i, arg, result;
+      for (i = 0; i < iRequiredArgs + (iDefaults ? iDefaults.length : 0); ++i) {
+        arg = arguments[i];
+        if (SC.empty(arg)) {
+          if (i < iRequiredArgs) return '';
+          arg = iDefaults[i - iRequiredArgs];
+        }
+        if (!DG.isNumeric(arg)) return '';
+        args.push(Number(arg));
+      }
+      result = iDistributionFn.apply(null, args);
+      return isNaN(result) ? '' : result;
+    };
+  }
+
+  var DU = DG.DistributionUtilities;
+
+  return {
+
+    /**
+      Returns the probability density of the normal distribution at x.
+      @param    {Number}  x -- the value at which to evaluate the density
+      @param    {Number}  mean -- {optional} the mean of the distribution (default 0)
+      @param    {Number}  sd -- {optional} the standard deviation of the distribution (default 1)
+      @returns  {Number}  the probability density
+     */
+    'normalPDF': {
+      minArgs:1, maxArgs:3, category: 'DG.Formula.FuncCategoryDistribution',
+      evalFn: distributionEvalFn(DU.normalPDF, 1, [0, 1])
+    },
+
+    /**
+      Returns the probability that a value drawn from the normal distribution is at most x.
+      @param    {Number}  x -- the upper limit of the values considered
+      @param    {Number}  mean -- {optional} the mean of the distribution (default 0)
+      @param    {Number}  sd -- {optional} the standard deviation of the distribution (default 1)
+      @returns  {Number}  the cumulative probability
+     */
+    'normalCDF': {
+      minArgs:1, maxArgs:3, category: 'DG.Formula.FuncCategoryDistribution',
+      evalFn: distributionEvalFn(DU.normalCDF, 1, [0, 1])
+    },
+
+    /**
+      Returns the value below which the specified proportion of the normal distribution lies.
+      @param    {Number}  p -- the cumulative probability (0 < p < 1)
+      @param    {Number}  mean -- {optional} the mean of the distribution (default 0)
+      @param    {Number}  sd -- {optional} the standard deviation of the distribution (default 1)
+      @returns  {Number}  the quantile
+     */
+    'invNorm': {
+      minArgs:1, maxArgs:3, category: 'DG.Formula.FuncCategoryDistribution',
+      evalFn: distributionEvalFn(DU.invNorm, 1, [0, 1])
+    },
+
+    /**
+      Returns the probability density of Student's t distribution at x.
+      @param    {Number}  x -- the value at which to evaluate the density
+      @param    {Number}  df -- the degrees of freedom
+      @returns  {Number}  the probability density
+     */
+    'tPDF': {
+      minArgs:2, maxArgs:2, category: 'DG.Formula.FuncCategoryDistribution',
+      evalFn: distributionEvalFn(DU.tPDF, 2)
+    },
+
+    /**
+      Returns the probability that a value drawn from Student's t distribution is at most x.
+      @param    {Number}  x -- the upper limit of the values considered
+      @param    {Number}  df -- the degrees of freedom
+      @returns  {Number}  the cumulative probability
+     */
+    'tCDF': {
+      minArgs:2, maxArgs:2, category: 'DG.Formula.FuncCategoryDistribution',
+      evalFn: distributionEvalFn(DU.tCDF, 2)
+    },
+
+    /**
+      Returns the value below which the specified proportion of Student's t distribution lies.
+      @param    {Number}  p -- the cumulative probability (0 < p < 1)
+      @param    {Number}  df -- the degrees of freedom
+      @returns  {Number}  the quantile
+     */
+    'invT': {
+      minArgs:2, maxArgs:2, category: 'DG.Formula.FuncCategoryDistribution',
+      evalFn: distributionEvalFn(DU.invT, 2)
+    },
+
+    /**
+      Returns the probability density of the chi-square distribution at x.
+      @param    {Number}  x -- the value at which to evaluate the density
+      @param    {Number}  df -- the degrees of freedom
+      @returns  {Number}  the probability density
+     */
+    'chiSquarePDF': {
+      minArgs:2, maxArgs:2, category: 'DG.Formula.FuncCategoryDistribution',
+      evalFn: distributionEvalFn(DU.chiSquarePDF, 2)
+    },
+
+    /**
+      Returns the probability that a value drawn from the chi-square distribution is at most x.
+      @param    {Number}  x -- the upper limit of the values considered
+      @param    {Number}  df -- the degrees of freedom
+      @returns  {Number}  the cumulative probability
+     */
+    'chiSquareCDF': {
+      minArgs:2, maxArgs:2, category: 'DG.Formula.FuncCategoryDistribution',
+      evalFn: distributionEvalFn(DU.chiSquareCDF, 2)
+    },
+
+    /**
+      Returns the value below which the specified proportion of the chi-square distribution lies.
+      @param    {Number}  p -- the cumulative probability (0 < p < 1)
+      @param    {Number}  df -- the degrees of freedom
+      @returns  {Number}  the quantile
+     */
+    'invChiSquare': {
+      minArgs:2, maxArgs:2, category: 'DG.Formula.FuncCategoryDistribution',
+      evalFn: distributionEvalFn(DU.invChiSquare, 2)
+    },
+
+    /**
+      Returns the probability of exactly k successes in n trials.
+      @param    {Number}  k -- the number of successes
+      @param    {Number}  n -- the number of trials
+      @param    {Number}  p -- the probability of success on each trial
+      @returns  {Number}  the probability
+     */
+    'binomialPDF': {
+      minArgs:3, maxArgs:3, category: 'DG.Formula.FuncCategoryDistribution',
+      evalFn: distributionEvalFn(DU.binomialPDF, 3)
+    },
+
+    /**
+      Returns the probability of at most k successes in n trials.
+      @param    {Number}  k -- the number of successes
+      @param    {Number}  n -- the number of trials
+      @param    {Number}  p -- the probability of success on each trial
+      @returns  {Number}  the cumulative probability
+     */
+    'binomialCDF': {
+      minArgs:3, maxArgs:3, category: 'DG.Formula.FuncCategoryDistribution',
+      evalFn: distributionEvalFn(DU.binomialCDF, 3)
+    },
+
+    /**
+      Returns the probability of exactly k events when the mean number of events is lambda.
+      @param    {Number}  k -- the number of events
+      @param    {Number}  lambda -- the mean number of events
+      @returns  {Number}  the probability
+     */
+    'poissonPDF': {
+      minArgs:2, maxArgs:2, category: 'DG.Formula.FuncCategoryDistribution',
+      evalFn: distributionEvalFn(DU.poissonPDF, 2)
+    },
+
+    /**
+      Returns the probability of at most k events when the mean number of events is lambda.
+      @param    {Number}  k -- the number of events
+      @param    {Number}  lambda -- the mean number of events
+      @returns  {Number}  the cumulative probability
+     */
+    'poissonCDF': {
+      minArgs:2, maxArgs:2, category: 'DG.Formula.FuncCategoryDistribution',
+      evalFn: distributionEvalFn(DU.poissonCDF, 2)
+    }
+  };
+})());
@@ -118,11 +118,7 @@ return {
       result = source && DG.formulaParser.parse( source);
     }
     catch( err) {
-      // Replace the PEG.js-generated SyntaxError message with our own
-      err.originalMessage = err.message;
-      err.message = err.found ? 'DG.Formula.SyntaxErrorMiddle'.loc( err.found)
-                              : 'DG.Formula.SyntaxErrorEnd'.loc();
-      throw err;
+      throw DG.Formula.localizeSyntaxError( err);
     }
     return result;
   }.property('source').cacheable(),
@@ -253,6 +249,19 @@ return {
 
 }()));
 
+/**
+  Replaces the message of a PEG.js-generated SyntaxError with our own.
+  The error's offset property indicates the location of the error in the source.
+  @param    {Error}   ioError -- the error thrown by DG.formulaParser.parse()
+  @returns  {Error}   the error
+ */
+DG.Formula.localizeSyntaxError = function( ioError) {
+  ioError.originalMessage = ioError.message;
+  ioError.message = ioError.found ? 'DG.Formula.SyntaxErrorMiddle'.loc( ioError.found)
+                                  : 'DG.Formula.SyntaxErrorEnd'.loc();
+  return ioError;
+};
+
 /*
  * Regular expression for matching an identifier in a CODAP formula which handles Unicode chars u0000-u02FF.
  * Subset of https://github.com/mathiasbynens/unicode-data/blob/master/8.0.0/properties/Alphabetic-regex.js.
@@ -504,13 +513,34 @@ DG.Formula.binaryOperator = function(iOperator, iOperand1, iOperand2) {
   This function walks the parse tree, converting each node to its JavaScript
   equivalent and then combining the nodes appropriately so that the result
   is a single JavaScript expression.
+  Let-bindings and switch discriminants are compiled to parameters of immediately
+  invoked functions so that they are evaluated once per evaluation of the formula.
+  The arguments of aggregate functions are compiled separately and evaluated for
+  each case being aggregated, however, so references to bindings from outside an
+  aggregate function's arguments are compiled in place, which also registers the
+  binding's dependencies with the appropriate aggregate function.
   @param    {Object}            The parse tree results from PEG.js
   @param    {DG.FormulaContext} The context object used for variable/function references
   @returns  {String}            A JavaScript expression suitable for evaluation
  */
 DG.Formula.compileToJavaScript = function( iParseTree, iContext) {
 
-  var fnMap;
+  var fnMap,
+      // innermost let-binding: { name, jsName, value, aggDepth, parent }
+      bindings = null,
+      // used to generate unique JavaScript parameter names
+      paramCount = 0;
+
+  function aggregateDepth() {
+    return iContext.getAggregateFunctionIndices().length;
+  }
+
+  function findBinding( iName) {
+    var binding = bindings;
+    while( binding && (binding.name !== iName))
+      binding = binding.parent;
+    return binding;
+  }
 
   /**
     Call the appropriate visit function based on the node type.
@@ -529,6 +559,18 @@ DG.Formula.compileToJavaScript = function( iParseTree, iContext) {
   }
 
   function visitVariable( iNode) {
+    var binding = findBinding( iNode.name),
+        savedBindings, expr;
+    if( binding) {
+      if( binding.aggDepth === aggregateDepth())
+        return binding.jsName;
+      // compile the bound expression in place within the aggregate function's arguments
+      savedBindings = bindings;
+      bindings = binding.parent;
+      expr = '(' + visit( binding.value) + ')';
+      bindings = savedBindings;
+      return expr;
+    }
     // Pass variable references to the context
     return iContext.compileVariable( iNode.name, iContext.getAggregateFunctionIndices());
   }
@@ -592,6 +634,28 @@ DG.Formula.compileToJavaScript = function( iParseTree, iContext) {
             ':' + visitTerm( iNode.falseExpression) + ')';
   }
 
+  function visitLetExpression( iNode) {
+    var value = visit( iNode.value),
+        jsName = '_let' + paramCount++,
+        body;
+    bindings = { name: iNode.name, jsName: jsName, value: iNode.value,
+                  aggDepth: aggregateDepth(), parent: bindings };
+    body = visit( iNode.body);
+    bindings = bindings.parent;
+    return '(function(' + jsName + '){return ' + body + ';})(' + value + ')';
+  }
+
+  function visitSwitchExpression( iNode) {
+    var discriminant = visit( iNode.discriminant),
+        jsName = '_switch' + paramCount++,
+        expr = '';
+    iNode.cases.forEach(function( iCase) {
+      expr += jsName + '==' + visitTerm( iCase.test) + '?' + visitTerm( iCase.result) + ':';
+    });
+    expr += iNode.defaultResult ? visitTerm( iNode.defaultResult) : '""';
+    return '(function(' + jsName + '){return ' + expr + ';})(' + discriminant + ')';
+  }
+
   fnMap = {
     'BooleanLiteral': visitLiteral,
     'NumericLiteral': visitLiteral,
@@ -600,7 +664,9 @@ DG.Formula.compileToJavaScript = function( iParseTree, iContext) {
     'FunctionCall': visitFunctionCall,
     'UnaryExpression': visitUnaryExpression,
     'BinaryExpression': visitBinaryExpression,
-    'ConditionalExpression': visitConditionalExpression
+    'ConditionalExpression': visitConditionalExpression,
+    'LetExpression': visitLetExpression,
+    'SwitchExpression': visitSwitchExpression
   };
 
   // Recursively visit every node in the parse tree
@@ -611,16 +677,28 @@ DG.Formula.compileToJavaScript = function( iParseTree, iContext) {
   Evaluates the specified parse tree by walking the tree and evaluating nodes
   recursively. This function walks the parse tree, evaluating each node and then
   combining the nodes appropriately to come up with the final result.
+  Operators short-circuit and compare values as the JavaScript generated by
+  compileToJavaScript() does, so that both forms of evaluation agree.
+  An optional observer can monitor (or replace) the evaluation of each node, e.g.
+  DG.FormulaExplainer uses it to record the value of each sub-expression.
   @param    {Object}            The parse tree results from PEG.js
   @param    {DG.FormulaContext} The context object used for variable/function references
+  @param    {Object}            The evaluation context, e.g. { _case_: , _id_: }
+  @param    {Function}          (optional) function(iNode, iEvaluate) called for each node
+                                evaluated, which must return the value of the node, e.g.
+                                by calling iEvaluate(), which evaluates the node
   @returns  {Object}            The result of evaluation
  */
-DG.Formula.evaluateParseTree = function( iParseTree, iContext, iEvalContext) {
+DG.Formula.evaluateParseTree = function( iParseTree, iContext, iEvalContext, iObserver) {
 
-  var fnMap;
+  var fnMap,
+      // innermost let-binding: { name, value, parent }
+      bindings = null;
 
   function visit( iNode) {
     var fn = fnMap[ iNode.type];
+    if( iObserver)
+      return iObserver( iNode, function() { return fn && fn( iNode); });
     return fn && fn( iNode);
   }
 
@@ -629,6 +707,11 @@ DG.Formula.evaluateParseTree = function( iParseTree, iContext, iEvalContext) {
   }
 
   function visitVariable( iNode) {
+    var binding = bindings;
+    while( binding) {
+      if( binding.name === iNode.name) return binding.value;
+      binding = binding.parent;
+    }
     // Pass variable references to the context
     return iContext.evaluateVariable( iNode.name, iEvalContext);
   }
@@ -657,7 +740,12 @@ DG.Formula.evaluateParseTree = function( iParseTree, iContext, iEvalContext) {
 
   function visitBinaryExpression( iNode) {
     var left = visit( iNode.left),
-        right = visit( iNode.right);
+        right;
+
+    // logical operators short-circuit, as in the compiled JavaScript
+    if( ((iNode.operator === '&&') && !left) || ((iNode.operator === '||') && left))
+      return left;
+    right = visit( iNode.right);
 
     switch (iNode.operator) {
       case '^':
@@ -680,16 +768,18 @@ DG.Formula.evaluateParseTree = function( iParseTree, iContext, iEvalContext) {
         return DG.Formula.lessThanOrEqual(left, right);
       case '>=':
         return DG.Formula.lessThanOrEqual(right, left);
+      // the compiled JavaScript uses loose equality
       case '==':
+        return left == right;  // eslint-disable-line eqeqeq
+      case '!=':
+        return left != right;  // eslint-disable-line eqeqeq
       case '===':
         return left === right;
-      case '!=':
       case '!==':
         return left !== right;
       case '&&':
-        return left && right;
       case '||':
-        return left || right;
+        return right;
       default:
     }
 
@@ -702,6 +792,28 @@ DG.Formula.evaluateParseTree = function( iParseTree, iContext, iEvalContext) {
                                    : visit( iNode.falseExpression);
   }
 
+  function visitLetExpression( iNode) {
+    var savedBindings = bindings;
+    bindings = { name: iNode.name, value: visit( iNode.value), parent: savedBindings };
+    try {
+      return visit( iNode.body);
+    }
+    finally {
+      bindings = savedBindings;
+    }
+  }
+
+  function visitSwitchExpression( iNode) {
+    var discriminant = visit( iNode.discriminant),
+        i, len = iNode.cases.length;
+    for( i = 0; i < len; ++i) {
+      // the compiled JavaScript uses loose equality
+      if( discriminant == visit( iNode.cases[i].test))  // eslint-disable-line eqeqeq
+        return visit( iNode.cases[i].result);
+    }
+    return iNode.defaultResult ? visit( iNode.defaultResult) : '';
+  }
+
   fnMap = {
     'BooleanLiteral': visitLiteral,
     'NumericLiteral': visitLiteral,
@@ -710,7 +822,9 @@ DG.Formula.evaluateParseTree = function( iParseTree, iContext, iEvalContext) {
     'FunctionCall': visitFunctionCall,
     'UnaryExpression': visitUnaryExpression,
     'BinaryExpression': visitBinaryExpression,
-    'ConditionalExpression': visitConditionalExpression
+    'ConditionalExpression': visitConditionalExpression,
+    'LetExpression': visitLetExpression,
+    'SwitchExpression': visitSwitchExpression
   };
 
   return visit( iParseTree);
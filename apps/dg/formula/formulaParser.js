@@ -42,6 +42,9 @@ DG.formulaParser = (function(){
         "WhiteSpace": parse_WhiteSpace,
         "LineTerminator": parse_LineTerminator,
         "LineTerminatorSequence": parse_LineTerminatorSequence,
+        "Comment": parse_Comment,
+        "MultiLineComment": parse_MultiLineComment,
+        "SingleLineComment": parse_SingleLineComment,
         "Identifier": parse_Identifier,
         "IdentifierName": parse_IdentifierName,
         "IdentifierStart": parse_IdentifierStart,
@@ -78,6 +81,10 @@ DG.formulaParser = (function(){
         "OrToken": parse_OrToken,
         "FalseToken": parse_FalseToken,
         "TrueToken": parse_TrueToken,
+        "CaseToken": parse_CaseToken,
+        "DefaultToken": parse_DefaultToken,
+        "LetToken": parse_LetToken,
+        "SwitchToken": parse_SwitchToken,
         "Ll": parse_Ll,
         "Lm": parse_Lm,
         "Lo": parse_Lo,
@@ -113,7 +120,13 @@ DG.formulaParser = (function(){
         "LogicalANDOperator": parse_LogicalANDOperator,
         "LogicalORExpression": parse_LogicalORExpression,
         "LogicalOROperator": parse_LogicalOROperator,
-        "ConditionalExpression": parse_ConditionalExpression
+        "ConditionalExpression": parse_ConditionalExpression,
+        "SwitchExpression": parse_SwitchExpression,
+        "SwitchCase": parse_SwitchCase,
+        "SwitchDefault": parse_SwitchDefault,
+        "LetExpression": parse_LetExpression,
+        "LetBinding": parse_LetBinding,
+        "Expression": parse_Expression
       };
       
       if (startRule !== undefined) {
@@ -185,7 +198,7 @@ DG.formulaParser = (function(){
         pos1 = pos;
         result0 = parse___();
         if (result0 !== null) {
-          result1 = parse_ConditionalExpression();
+          result1 = parse_Expression();
           if (result1 !== null) {
             result2 = parse___();
             if (result2 !== null) {
@@ -359,6 +372,243 @@ DG.formulaParser = (function(){
         return result0;
       }
       
+      function parse_Comment() {
+        var cacheKey = "Comment@" + pos;
+        var cachedResult = cache[cacheKey];
+        if (cachedResult) {
+          pos = cachedResult.nextPos;
+          return cachedResult.result;
+        }
+        
+        var result0;
+        
+        reportFailures++;
+        result0 = parse_MultiLineComment();
+        if (result0 === null) {
+          result0 = parse_SingleLineComment();
+        }
+        reportFailures--;
+        if (reportFailures === 0 && result0 === null) {
+          matchFailed("comment");
+        }
+        
+        cache[cacheKey] = {
+          nextPos: pos,
+          result:  result0
+        };
+        return result0;
+      }
+      
+      function parse_MultiLineComment() {
+        var cacheKey = "MultiLineComment@" + pos;
+        var cachedResult = cache[cacheKey];
+        if (cachedResult) {
+          pos = cachedResult.nextPos;
+          return cachedResult.result;
+        }
+        
+        var result0, result1, result2, result3;
+        var pos0, pos1, pos2;
+        
+        pos0 = pos;
+        if (input.substr(pos, 2) === "/*") {
+          result0 = "/*";
+          pos += 2;
+        } else {
+          result0 = null;
+          if (reportFailures === 0) {
+            matchFailed("\"/*\"");
+          }
+        }
+        if (result0 !== null) {
+          result1 = [];
+          pos1 = pos;
+          pos2 = pos;
+          reportFailures++;
+          if (input.substr(pos, 2) === "*/") {
+            result2 = "*/";
+            pos += 2;
+          } else {
+            result2 = null;
+            if (reportFailures === 0) {
+              matchFailed("\"*/\"");
+            }
+          }
+          reportFailures--;
+          if (result2 === null) {
+            result2 = "";
+          } else {
+            result2 = null;
+            pos = pos2;
+          }
+          if (result2 !== null) {
+            result3 = parse_SourceCharacter();
+            if (result3 !== null) {
+              result2 = [result2, result3];
+            } else {
+              result2 = null;
+              pos = pos1;
+            }
+          } else {
+            result2 = null;
+            pos = pos1;
+          }
+          while (result2 !== null) {
+            result1.push(result2);
+            pos1 = pos;
+            pos2 = pos;
+            reportFailures++;
+            if (input.substr(pos, 2) === "*/") {
+              result2 = "*/";
+              pos += 2;
+            } else {
+              result2 = null;
+              if (reportFailures === 0) {
+                matchFailed("\"*/\"");
+              }
+            }
+            reportFailures--;
+            if (result2 === null) {
+              result2 = "";
+            } else {
+              result2 = null;
+              pos = pos2;
+            }
+            if (result2 !== null) {
+              result3 = parse_SourceCharacter();
+              if (result3 !== null) {
+                result2 = [result2, result3];
+              } else {
+                result2 = null;
+                pos = pos1;
+              }
+            } else {
+              result2 = null;
+              pos = pos1;
+            }
+          }
+          if (result1 !== null) {
+            if (input.substr(pos, 2) === "*/") {
+              result2 = "*/";
+              pos += 2;
+            } else {
+              result2 = null;
+              if (reportFailures === 0) {
+                matchFailed("\"*/\"");
+              }
+            }
+            if (result2 !== null) {
+              result0 = [result0, result1, result2];
+            } else {
+              result0 = null;
+              pos = pos0;
+            }
+          } else {
+            result0 = null;
+            pos = pos0;
+          }
+        } else {
+          result0 = null;
+          pos = pos0;
+        }
+        
+        cache[cacheKey] = {
+          nextPos: pos,
+          result:  result0
+        };
+        return result0;
+      }
+      
+      function parse_SingleLineComment() {
+        var cacheKey = "SingleLineComment@" + pos;
+        var cachedResult = cache[cacheKey];
+        if (cachedResult) {
+          pos = cachedResult.nextPos;
+          return cachedResult.result;
+        }
+        
+        var result0, result1, result2, result3;
+        var pos0, pos1, pos2;
+        
+        pos0 = pos;
+        if (input.substr(pos, 2) === "//") {
+          result0 = "//";
+          pos += 2;
+        } else {
+          result0 = null;
+          if (reportFailures === 0) {
+            matchFailed("\"//\"");
+          }
+        }
+        if (result0 !== null) {
+          result1 = [];
+          pos1 = pos;
+          pos2 = pos;
+          reportFailures++;
+          result2 = parse_LineTerminator();
+          reportFailures--;
+          if (result2 === null) {
+            result2 = "";
+          } else {
+            result2 = null;
+            pos = pos2;
+          }
+          if (result2 !== null) {
+            result3 = parse_SourceCharacter();
+            if (result3 !== null) {
+              result2 = [result2, result3];
+            } else {
+              result2 = null;
+              pos = pos1;
+            }
+          } else {
+            result2 = null;
+            pos = pos1;
+          }
+          while (result2 !== null) {
+            result1.push(result2);
+            pos1 = pos;
+            pos2 = pos;
+            reportFailures++;
+            result2 = parse_LineTerminator();
+            reportFailures--;
+            if (result2 === null) {
+              result2 = "";
+            } else {
+              result2 = null;
+              pos = pos2;
+            }
+            if (result2 !== null) {
+              result3 = parse_SourceCharacter();
+              if (result3 !== null) {
+                result2 = [result2, result3];
+              } else {
+                result2 = null;
+                pos = pos1;
+              }
+            } else {
+              result2 = null;
+              pos = pos1;
+            }
+          }
+          if (result1 !== null) {
+            result0 = [result0, result1];
+          } else {
+            result0 = null;
+            pos = pos0;
+          }
+        } else {
+          result0 = null;
+          pos = pos0;
+        }
+        
+        cache[cacheKey] = {
+          nextPos: pos,
+          result:  result0
+        };
+        return result0;
+      }
+      
       function parse_Identifier() {
         var cacheKey = "Identifier@" + pos;
         var cachedResult = cache[cacheKey];
@@ -763,8 +1013,9 @@ DG.formulaParser = (function(){
           if (result0 !== null) {
             result0 = (function(offset, value) {
                 return {
-                  type:  "NumericLiteral",
-                  value: value
+                  type:     "NumericLiteral",
+                  value:    value,
+                  location: location(offset)
                 };
               })(pos0, result0);
           }
@@ -777,8 +1028,9 @@ DG.formulaParser = (function(){
             if (result0 !== null) {
               result0 = (function(offset, value) {
                   return {
-                    type:  "StringLiteral",
-                    value: value
+                    type:     "StringLiteral",
+                    value:    value,
+                    location: location(offset)
                   };
                 })(pos0, result0);
             }
@@ -809,7 +1061,7 @@ DG.formulaParser = (function(){
         pos0 = pos;
         result0 = parse_TrueToken();
         if (result0 !== null) {
-          result0 = (function(offset) { return { type: "BooleanLiteral", value: true  }; })(pos0);
+          result0 = (function(offset) { return { type: "BooleanLiteral", value: true, location: location(offset) }; })(pos0);
         }
         if (result0 === null) {
           pos = pos0;
@@ -818,7 +1070,7 @@ DG.formulaParser = (function(){
           pos0 = pos;
           result0 = parse_FalseToken();
           if (result0 !== null) {
-            result0 = (function(offset) { return { type: "BooleanLiteral", value: false }; })(pos0);
+            result0 = (function(offset) { return { type: "BooleanLiteral", value: false, location: location(offset) }; })(pos0);
           }
           if (result0 === null) {
             pos = pos0;
@@ -2294,24 +2546,47 @@ DG.formulaParser = (function(){
         return result0;
       }
       
-      function parse_Ll() {
-        var cacheKey = "Ll@" + pos;
+      function parse_CaseToken() {
+        var cacheKey = "CaseToken@" + pos;
         var cachedResult = cache[cacheKey];
         if (cachedResult) {
           pos = cachedResult.nextPos;
           return cachedResult.result;
         }
         
-        var result0;
+        var result0, result1;
+        var pos0, pos1;
         
-        if (/^[a-z|\u03B1-\u03C9]/.test(input.charAt(pos))) {
-          result0 = input.charAt(pos);
-          pos++;
+        pos0 = pos;
+        if (input.substr(pos, 4) === "case") {
+          result0 = "case";
+          pos += 4;
         } else {
           result0 = null;
           if (reportFailures === 0) {
-            matchFailed("[a-z|\\u03B1-\\u03C9]");
+            matchFailed("\"case\"");
+          }
+        }
+        if (result0 !== null) {
+          pos1 = pos;
+          reportFailures++;
+          result1 = parse_IdentifierPart();
+          reportFailures--;
+          if (result1 === null) {
+            result1 = "";
+          } else {
+            result1 = null;
+            pos = pos1;
           }
+          if (result1 !== null) {
+            result0 = [result0, result1];
+          } else {
+            result0 = null;
+            pos = pos0;
+          }
+        } else {
+          result0 = null;
+          pos = pos0;
         }
         
         cache[cacheKey] = {
@@ -2321,38 +2596,215 @@ DG.formulaParser = (function(){
         return result0;
       }
       
-      function parse_Lm() {
-        var cacheKey = "Lm@" + pos;
+      function parse_DefaultToken() {
+        var cacheKey = "DefaultToken@" + pos;
         var cachedResult = cache[cacheKey];
         if (cachedResult) {
           pos = cachedResult.nextPos;
           return cachedResult.result;
         }
         
-        var result0;
+        var result0, result1;
+        var pos0, pos1;
         
-        if (/^(?!)/.test(input.charAt(pos))) {
-          result0 = input.charAt(pos);
-          pos++;
+        pos0 = pos;
+        if (input.substr(pos, 7) === "default") {
+          result0 = "default";
+          pos += 7;
         } else {
           result0 = null;
           if (reportFailures === 0) {
-            matchFailed("[]");
+            matchFailed("\"default\"");
           }
         }
-        
-        cache[cacheKey] = {
-          nextPos: pos,
-          result:  result0
-        };
-        return result0;
-      }
-      
-      function parse_Lo() {
-        var cacheKey = "Lo@" + pos;
-        var cachedResult = cache[cacheKey];
-        if (cachedResult) {
-          pos = cachedResult.nextPos;
+        if (result0 !== null) {
+          pos1 = pos;
+          reportFailures++;
+          result1 = parse_IdentifierPart();
+          reportFailures--;
+          if (result1 === null) {
+            result1 = "";
+          } else {
+            result1 = null;
+            pos = pos1;
+          }
+          if (result1 !== null) {
+            result0 = [result0, result1];
+          } else {
+            result0 = null;
+            pos = pos0;
+          }
+        } else {
+          result0 = null;
+          pos = pos0;
+        }
+        
+        cache[cacheKey] = {
+          nextPos: pos,
+          result:  result0
+        };
+        return result0;
+      }
+      
+      function parse_LetToken() {
+        var cacheKey = "LetToken@" + pos;
+        var cachedResult = cache[cacheKey];
+        if (cachedResult) {
+          pos = cachedResult.nextPos;
+          return cachedResult.result;
+        }
+        
+        var result0, result1;
+        var pos0, pos1;
+        
+        pos0 = pos;
+        if (input.substr(pos, 3) === "let") {
+          result0 = "let";
+          pos += 3;
+        } else {
+          result0 = null;
+          if (reportFailures === 0) {
+            matchFailed("\"let\"");
+          }
+        }
+        if (result0 !== null) {
+          pos1 = pos;
+          reportFailures++;
+          result1 = parse_IdentifierPart();
+          reportFailures--;
+          if (result1 === null) {
+            result1 = "";
+          } else {
+            result1 = null;
+            pos = pos1;
+          }
+          if (result1 !== null) {
+            result0 = [result0, result1];
+          } else {
+            result0 = null;
+            pos = pos0;
+          }
+        } else {
+          result0 = null;
+          pos = pos0;
+        }
+        
+        cache[cacheKey] = {
+          nextPos: pos,
+          result:  result0
+        };
+        return result0;
+      }
+      
+      function parse_SwitchToken() {
+        var cacheKey = "SwitchToken@" + pos;
+        var cachedResult = cache[cacheKey];
+        if (cachedResult) {
+          pos = cachedResult.nextPos;
+          return cachedResult.result;
+        }
+        
+        var result0, result1;
+        var pos0, pos1;
+        
+        pos0 = pos;
+        if (input.substr(pos, 6) === "switch") {
+          result0 = "switch";
+          pos += 6;
+        } else {
+          result0 = null;
+          if (reportFailures === 0) {
+            matchFailed("\"switch\"");
+          }
+        }
+        if (result0 !== null) {
+          pos1 = pos;
+          reportFailures++;
+          result1 = parse_IdentifierPart();
+          reportFailures--;
+          if (result1 === null) {
+            result1 = "";
+          } else {
+            result1 = null;
+            pos = pos1;
+          }
+          if (result1 !== null) {
+            result0 = [result0, result1];
+          } else {
+            result0 = null;
+            pos = pos0;
+          }
+        } else {
+          result0 = null;
+          pos = pos0;
+        }
+        
+        cache[cacheKey] = {
+          nextPos: pos,
+          result:  result0
+        };
+        return result0;
+      }
+      
+      function parse_Ll() {
+        var cacheKey = "Ll@" + pos;
+        var cachedResult = cache[cacheKey];
+        if (cachedResult) {
+          pos = cachedResult.nextPos;
+          return cachedResult.result;
+        }
+        
+        var result0;
+        
+        if (/^[a-z|\u03B1-\u03C9]/.test(input.charAt(pos))) {
+          result0 = input.charAt(pos);
+          pos++;
+        } else {
+          result0 = null;
+          if (reportFailures === 0) {
+            matchFailed("[a-z|\\u03B1-\\u03C9]");
+          }
+        }
+        
+        cache[cacheKey] = {
+          nextPos: pos,
+          result:  result0
+        };
+        return result0;
+      }
+      
+      function parse_Lm() {
+        var cacheKey = "Lm@" + pos;
+        var cachedResult = cache[cacheKey];
+        if (cachedResult) {
+          pos = cachedResult.nextPos;
+          return cachedResult.result;
+        }
+        
+        var result0;
+        
+        if (/^(?!)/.test(input.charAt(pos))) {
+          result0 = input.charAt(pos);
+          pos++;
+        } else {
+          result0 = null;
+          if (reportFailures === 0) {
+            matchFailed("[]");
+          }
+        }
+        
+        cache[cacheKey] = {
+          nextPos: pos,
+          result:  result0
+        };
+        return result0;
+      }
+      
+      function parse_Lo() {
+        var cacheKey = "Lo@" + pos;
+        var cachedResult = cache[cacheKey];
+        if (cachedResult) {
+          pos = cachedResult.nextPos;
           return cachedResult.result;
         }
         
@@ -2629,12 +3081,18 @@ DG.formulaParser = (function(){
         result1 = parse_WhiteSpace();
         if (result1 === null) {
           result1 = parse_LineTerminatorSequence();
+          if (result1 === null) {
+            result1 = parse_Comment();
+          }
         }
         while (result1 !== null) {
           result0.push(result1);
           result1 = parse_WhiteSpace();
           if (result1 === null) {
             result1 = parse_LineTerminatorSequence();
+            if (result1 === null) {
+              result1 = parse_Comment();
+            }
           }
         }
         
@@ -2656,46 +3114,52 @@ DG.formulaParser = (function(){
         var result0, result1, result2, result3, result4;
         var pos0, pos1;
         
-        pos0 = pos;
-        result0 = parse_Identifier();
-        if (result0 !== null) {
-          result0 = (function(offset, name) { return { type: "Variable", name: name }; })(pos0, result0);
-        }
-        if (result0 === null) {
-          pos = pos0;
-        }
+        result0 = parse_SwitchExpression();
         if (result0 === null) {
-          result0 = parse_Literal();
+          pos0 = pos;
+          result0 = parse_Identifier();
+          if (result0 !== null) {
+            result0 = (function(offset, name) { return { type: "Variable", name: name, location: location(offset) }; })(pos0, result0);
+          }
           if (result0 === null) {
-            pos0 = pos;
-            pos1 = pos;
-            if (input.charCodeAt(pos) === 40) {
-              result0 = "(";
-              pos++;
-            } else {
-              result0 = null;
-              if (reportFailures === 0) {
-                matchFailed("\"(\"");
+            pos = pos0;
+          }
+          if (result0 === null) {
+            result0 = parse_Literal();
+            if (result0 === null) {
+              pos0 = pos;
+              pos1 = pos;
+              if (input.charCodeAt(pos) === 40) {
+                result0 = "(";
+                pos++;
+              } else {
+                result0 = null;
+                if (reportFailures === 0) {
+                  matchFailed("\"(\"");
+                }
               }
-            }
-            if (result0 !== null) {
-              result1 = parse___();
-              if (result1 !== null) {
-                result2 = parse_ConditionalExpression();
-                if (result2 !== null) {
-                  result3 = parse___();
-                  if (result3 !== null) {
-                    if (input.charCodeAt(pos) === 41) {
-                      result4 = ")";
-                      pos++;
-                    } else {
-                      result4 = null;
-                      if (reportFailures === 0) {
-                        matchFailed("\")\"");
+              if (result0 !== null) {
+                result1 = parse___();
+                if (result1 !== null) {
+                  result2 = parse_Expression();
+                  if (result2 !== null) {
+                    result3 = parse___();
+                    if (result3 !== null) {
+                      if (input.charCodeAt(pos) === 41) {
+                        result4 = ")";
+                        pos++;
+                      } else {
+                        result4 = null;
+                        if (reportFailures === 0) {
+                          matchFailed("\")\"");
+                        }
+                      }
+                      if (result4 !== null) {
+                        result0 = [result0, result1, result2, result3, result4];
+                      } else {
+                        result0 = null;
+                        pos = pos1;
                       }
-                    }
-                    if (result4 !== null) {
-                      result0 = [result0, result1, result2, result3, result4];
                     } else {
                       result0 = null;
                       pos = pos1;
@@ -2712,15 +3176,20 @@ DG.formulaParser = (function(){
                 result0 = null;
                 pos = pos1;
               }
-            } else {
-              result0 = null;
-              pos = pos1;
-            }
-            if (result0 !== null) {
-              result0 = (function(offset, expression) { return expression; })(pos0, result0[2]);
-            }
-            if (result0 === null) {
-              pos = pos0;
+              if (result0 !== null) {
+                result0 = (function(offset, expression) {
+                    // the location of a parenthesized expression includes the parentheses
+                    var result = {};
+                    for (var key in expression) {
+                      result[key] = expression[key];
+                    }
+                    result.location = location(offset);
+                    return result;
+                  })(pos0, result0[2]);
+              }
+              if (result0 === null) {
+                pos = pos0;
+              }
             }
           }
         }
@@ -2790,7 +3259,8 @@ DG.formulaParser = (function(){
                 return {
                   type:      "FunctionCall",
                   name:      name,
-                  args:      args
+                  args:      args,
+                  location:  { start: name.location.start, end: pos }
                 };
               })(pos2, result0[0], result0[2]);
         }
@@ -2818,7 +3288,8 @@ DG.formulaParser = (function(){
             result2 = (function(offset, args) {
                     return {
                       type:      "FunctionCallArguments",
-                      args:      args
+                      args:      args,
+                      end:       pos
                     };
                   })(pos2, result2[1]);
           }
@@ -2846,7 +3317,8 @@ DG.formulaParser = (function(){
               result2 = (function(offset, args) {
                       return {
                         type:      "FunctionCallArguments",
-                        args:      args
+                        args:      args,
+                        end:       pos
                       };
                     })(pos2, result2[1]);
             }
@@ -2873,7 +3345,8 @@ DG.formulaParser = (function(){
                     result = {
                       type:      "FunctionCall",
                       name:      result,
-                      args:      argumentsOrAccessors[i].args
+                      args:      argumentsOrAccessors[i].args,
+                      location:  { start: result.location.start, end: argumentsOrAccessors[i].end }
                     };
                     break;
                   default:
@@ -2986,7 +3459,7 @@ DG.formulaParser = (function(){
         
         pos0 = pos;
         pos1 = pos;
-        result0 = parse_ConditionalExpression();
+        result0 = parse_Expression();
         if (result0 !== null) {
           result1 = [];
           pos2 = pos;
@@ -3004,7 +3477,7 @@ DG.formulaParser = (function(){
             if (result3 !== null) {
               result4 = parse___();
               if (result4 !== null) {
-                result5 = parse_ConditionalExpression();
+                result5 = parse_Expression();
                 if (result5 !== null) {
                   result2 = [result2, result3, result4, result5];
                 } else {
@@ -3040,7 +3513,7 @@ DG.formulaParser = (function(){
               if (result3 !== null) {
                 result4 = parse___();
                 if (result4 !== null) {
-                  result5 = parse_ConditionalExpression();
+                  result5 = parse_Expression();
                   if (result5 !== null) {
                     result2 = [result2, result3, result4, result5];
                   } else {
@@ -3151,7 +3624,8 @@ DG.formulaParser = (function(){
                 return {
                   type:       "UnaryExpression",
                   operator:   operator,
-                  expression: expression
+                  expression: expression,
+                  location:   location(offset)
                 };
               })(pos0, result0[0], result0[2]);
           }
@@ -3250,13 +3724,13 @@ DG.formulaParser = (function(){
         pos1 = pos;
         result0 = [];
         pos2 = pos;
-        result1 = parse___();
+        result1 = parse_UnaryExpression();
         if (result1 !== null) {
-          result2 = parse_UnaryExpression();
+          result2 = parse___();
           if (result2 !== null) {
-            result3 = parse___();
+            result3 = parse_PowerOperator();
             if (result3 !== null) {
-              result4 = parse_PowerOperator();
+              result4 = parse___();
               if (result4 !== null) {
                 result1 = [result1, result2, result3, result4];
               } else {
@@ -3278,13 +3752,13 @@ DG.formulaParser = (function(){
         while (result1 !== null) {
           result0.push(result1);
           pos2 = pos;
-          result1 = parse___();
+          result1 = parse_UnaryExpression();
           if (result1 !== null) {
-            result2 = parse_UnaryExpression();
+            result2 = parse___();
             if (result2 !== null) {
-              result3 = parse___();
+              result3 = parse_PowerOperator();
               if (result3 !== null) {
-                result4 = parse_PowerOperator();
+                result4 = parse___();
                 if (result4 !== null) {
                   result1 = [result1, result2, result3, result4];
                 } else {
@@ -3320,12 +3794,7 @@ DG.formulaParser = (function(){
           result0 = (function(offset, head, tail) {
               var result = tail;
               for (var i = head.length - 1; i >= 0; i--) {
-                result = {
-                  type:     "BinaryExpression",
-                  operator: "^",
-                  left:     head[i][1],
-                  right:    result
-                };
+                result = binaryExpression("^", head[i][0], result);
               }
               return result;
             })(pos0, result0[0], result0[1]);
@@ -3453,12 +3922,7 @@ DG.formulaParser = (function(){
           result0 = (function(offset, head, tail) {
               var result = head;
               for (var i = 0; i < tail.length; i++) {
-                result = {
-                  type:     "BinaryExpression",
-                  operator: tail[i][1],
-                  left:     result,
-                  right:    tail[i][3]
-                };
+                result = binaryExpression(tail[i][1], result, tail[i][3]);
               }
               return result;
             })(pos0, result0[0], result0[1]);
@@ -3790,12 +4254,7 @@ DG.formulaParser = (function(){
           result0 = (function(offset, head, tail) {
               var result = head;
               for (var i = 0; i < tail.length; i++) {
-                result = {
-                  type:     "BinaryExpression",
-                  operator: tail[i][1],
-                  left:     result,
-                  right:    tail[i][3]
-                };
+                result = binaryExpression(tail[i][1], result, tail[i][3]);
               }
               return result;
             })(pos0, result0[0], result0[1]);
@@ -4090,12 +4549,7 @@ DG.formulaParser = (function(){
           result0 = (function(offset, head, tail) {
               var result = head;
               for (var i = 0; i < tail.length; i++) {
-                result = {
-                  type:     "BinaryExpression",
-                  operator: tail[i][1],
-                  left:     result,
-                  right:    tail[i][3]
-                };
+                result = binaryExpression(tail[i][1], result, tail[i][3]);
               }
               return result;
             })(pos0, result0[0], result0[1]);
@@ -4293,12 +4747,7 @@ DG.formulaParser = (function(){
           result0 = (function(offset, head, tail) {
               var result = head;
               for (var i = 0; i < tail.length; i++) {
-                result = {
-                  type:     "BinaryExpression",
-                  operator: tail[i][1],
-                  left:     result,
-                  right:    tail[i][3]
-                };
+                result = binaryExpression(tail[i][1], result, tail[i][3]);
               }
               return result;
             })(pos0, result0[0], result0[1]);
@@ -4470,12 +4919,7 @@ DG.formulaParser = (function(){
           result0 = (function(offset, head, tail) {
               var result = head;
               for (var i = 0; i < tail.length; i++) {
-                result = {
-                  type:     "BinaryExpression",
-                  operator: tail[i][1],
-                  left:     result,
-                  right:    tail[i][3]
-                };
+                result = binaryExpression(tail[i][1], result, tail[i][3]);
               }
               return result;
             })(pos0, result0[0], result0[1]);
@@ -4644,12 +5088,7 @@ DG.formulaParser = (function(){
           result0 = (function(offset, head, tail) {
               var result = head;
               for (var i = 0; i < tail.length; i++) {
-                result = {
-                  type:     "BinaryExpression",
-                  operator: tail[i][1],
-                  left:     result,
-                  right:    tail[i][3]
-                };
+                result = binaryExpression(tail[i][1], result, tail[i][3]);
               }
               return result;
             })(pos0, result0[0], result0[1]);
@@ -4762,7 +5201,7 @@ DG.formulaParser = (function(){
             if (result2 !== null) {
               result3 = parse___();
               if (result3 !== null) {
-                result4 = parse_ConditionalExpression();
+                result4 = parse_Expression();
                 if (result4 !== null) {
                   result5 = parse___();
                   if (result5 !== null) {
@@ -4778,7 +5217,7 @@ DG.formulaParser = (function(){
                     if (result6 !== null) {
                       result7 = parse___();
                       if (result7 !== null) {
-                        result8 = parse_ConditionalExpression();
+                        result8 = parse_Expression();
                         if (result8 !== null) {
                           result0 = [result0, result1, result2, result3, result4, result5, result6, result7, result8];
                         } else {
@@ -4823,7 +5262,8 @@ DG.formulaParser = (function(){
                 type:            "ConditionalExpression",
                 condition:       condition,
                 trueExpression:  trueExpression,
-                falseExpression: falseExpression
+                falseExpression: falseExpression,
+                location:        spanLocation(condition, falseExpression)
               };
             })(pos0, result0[0], result0[4], result0[8]);
         }
@@ -4841,7 +5281,572 @@ DG.formulaParser = (function(){
         return result0;
       }
       
-      
+      function parse_SwitchExpression() {
+        var cacheKey = "SwitchExpression@" + pos;
+        var cachedResult = cache[cacheKey];
+        if (cachedResult) {
+          pos = cachedResult.nextPos;
+          return cachedResult.result;
+        }
+        
+        var result0, result1, result2, result3, result4, result5, result6, result7, result8, result9, result10, result11, result12;
+        var pos0, pos1, pos2;
+        
+        pos0 = pos;
+        pos1 = pos;
+        result0 = parse_SwitchToken();
+        if (result0 !== null) {
+          result1 = parse___();
+          if (result1 !== null) {
+            if (input.charCodeAt(pos) === 40) {
+              result2 = "(";
+              pos++;
+            } else {
+              result2 = null;
+              if (reportFailures === 0) {
+                matchFailed("\"(\"");
+              }
+            }
+            if (result2 !== null) {
+              result3 = parse___();
+              if (result3 !== null) {
+                result4 = parse_Expression();
+                if (result4 !== null) {
+                  result5 = parse___();
+                  if (result5 !== null) {
+                    if (input.charCodeAt(pos) === 41) {
+                      result6 = ")";
+                      pos++;
+                    } else {
+                      result6 = null;
+                      if (reportFailures === 0) {
+                        matchFailed("\")\"");
+                      }
+                    }
+                    if (result6 !== null) {
+                      result7 = parse___();
+                      if (result7 !== null) {
+                        if (input.charCodeAt(pos) === 123) {
+                          result8 = "{";
+                          pos++;
+                        } else {
+                          result8 = null;
+                          if (reportFailures === 0) {
+                            matchFailed("\"{\"");
+                          }
+                        }
+                        if (result8 !== null) {
+                          result9 = parse___();
+                          if (result9 !== null) {
+                            result10 = [];
+                            pos2 = pos;
+                            result11 = parse_SwitchCase();
+                            if (result11 !== null) {
+                              result12 = parse___();
+                              if (result12 !== null) {
+                                result11 = [result11, result12];
+                              } else {
+                                result11 = null;
+                                pos = pos2;
+                              }
+                            } else {
+                              result11 = null;
+                              pos = pos2;
+                            }
+                            while (result11 !== null) {
+                              result10.push(result11);
+                              pos2 = pos;
+                              result11 = parse_SwitchCase();
+                              if (result11 !== null) {
+                                result12 = parse___();
+                                if (result12 !== null) {
+                                  result11 = [result11, result12];
+                                } else {
+                                  result11 = null;
+                                  pos = pos2;
+                                }
+                              } else {
+                                result11 = null;
+                                pos = pos2;
+                              }
+                            }
+                            if (result10 !== null) {
+                              pos2 = pos;
+                              result11 = parse_SwitchDefault();
+                              if (result11 !== null) {
+                                result12 = parse___();
+                                if (result12 !== null) {
+                                  result11 = [result11, result12];
+                                } else {
+                                  result11 = null;
+                                  pos = pos2;
+                                }
+                              } else {
+                                result11 = null;
+                                pos = pos2;
+                              }
+                              result11 = result11 !== null ? result11 : "";
+                              if (result11 !== null) {
+                                if (input.charCodeAt(pos) === 125) {
+                                  result12 = "}";
+                                  pos++;
+                                } else {
+                                  result12 = null;
+                                  if (reportFailures === 0) {
+                                    matchFailed("\"}\"");
+                                  }
+                                }
+                                if (result12 !== null) {
+                                  result0 = [result0, result1, result2, result3, result4, result5, result6, result7, result8, result9, result10, result11, result12];
+                                } else {
+                                  result0 = null;
+                                  pos = pos1;
+                                }
+                              } else {
+                                result0 = null;
+                                pos = pos1;
+                              }
+                            } else {
+                              result0 = null;
+                              pos = pos1;
+                            }
+                          } else {
+                            result0 = null;
+                            pos = pos1;
+                          }
+                        } else {
+                          result0 = null;
+                          pos = pos1;
+                        }
+                      } else {
+                        result0 = null;
+                        pos = pos1;
+                      }
+                    } else {
+                      result0 = null;
+                      pos = pos1;
+                    }
+                  } else {
+                    result0 = null;
+                    pos = pos1;
+                  }
+                } else {
+                  result0 = null;
+                  pos = pos1;
+                }
+              } else {
+                result0 = null;
+                pos = pos1;
+              }
+            } else {
+              result0 = null;
+              pos = pos1;
+            }
+          } else {
+            result0 = null;
+            pos = pos1;
+          }
+        } else {
+          result0 = null;
+          pos = pos1;
+        }
+        if (result0 !== null) {
+          result0 = (function(offset, discriminant, cases, defaultResult) {
+              var result = {
+                type:           "SwitchExpression",
+                discriminant:   discriminant,
+                cases:          [],
+                defaultResult:  defaultResult !== "" ? defaultResult[0] : null,
+                location:       location(offset)
+              };
+              for (var i = 0; i < cases.length; i++) {
+                result.cases.push(cases[i][0]);
+              }
+              return result;
+            })(pos0, result0[4], result0[10], result0[11]);
+        }
+        if (result0 === null) {
+          pos = pos0;
+        }
+        
+        cache[cacheKey] = {
+          nextPos: pos,
+          result:  result0
+        };
+        return result0;
+      }
+      
+      function parse_SwitchCase() {
+        var cacheKey = "SwitchCase@" + pos;
+        var cachedResult = cache[cacheKey];
+        if (cachedResult) {
+          pos = cachedResult.nextPos;
+          return cachedResult.result;
+        }
+        
+        var result0, result1, result2, result3, result4, result5, result6, result7, result8;
+        var pos0, pos1, pos2;
+        
+        pos0 = pos;
+        pos1 = pos;
+        result0 = parse_CaseToken();
+        if (result0 !== null) {
+          result1 = parse___();
+          if (result1 !== null) {
+            result2 = parse_Expression();
+            if (result2 !== null) {
+              result3 = parse___();
+              if (result3 !== null) {
+                if (input.charCodeAt(pos) === 58) {
+                  result4 = ":";
+                  pos++;
+                } else {
+                  result4 = null;
+                  if (reportFailures === 0) {
+                    matchFailed("\":\"");
+                  }
+                }
+                if (result4 !== null) {
+                  result5 = parse___();
+                  if (result5 !== null) {
+                    result6 = parse_Expression();
+                    if (result6 !== null) {
+                      pos2 = pos;
+                      result7 = parse___();
+                      if (result7 !== null) {
+                        if (input.charCodeAt(pos) === 59) {
+                          result8 = ";";
+                          pos++;
+                        } else {
+                          result8 = null;
+                          if (reportFailures === 0) {
+                            matchFailed("\";\"");
+                          }
+                        }
+                        if (result8 !== null) {
+                          result7 = [result7, result8];
+                        } else {
+                          result7 = null;
+                          pos = pos2;
+                        }
+                      } else {
+                        result7 = null;
+                        pos = pos2;
+                      }
+                      result7 = result7 !== null ? result7 : "";
+                      if (result7 !== null) {
+                        result0 = [result0, result1, result2, result3, result4, result5, result6, result7];
+                      } else {
+                        result0 = null;
+                        pos = pos1;
+                      }
+                    } else {
+                      result0 = null;
+                      pos = pos1;
+                    }
+                  } else {
+                    result0 = null;
+                    pos = pos1;
+                  }
+                } else {
+                  result0 = null;
+                  pos = pos1;
+                }
+              } else {
+                result0 = null;
+                pos = pos1;
+              }
+            } else {
+              result0 = null;
+              pos = pos1;
+            }
+          } else {
+            result0 = null;
+            pos = pos1;
+          }
+        } else {
+          result0 = null;
+          pos = pos1;
+        }
+        if (result0 !== null) {
+          result0 = (function(offset, test, result) {
+              return { test: test, result: result };
+            })(pos0, result0[2], result0[6]);
+        }
+        if (result0 === null) {
+          pos = pos0;
+        }
+        
+        cache[cacheKey] = {
+          nextPos: pos,
+          result:  result0
+        };
+        return result0;
+      }
+      
+      function parse_SwitchDefault() {
+        var cacheKey = "SwitchDefault@" + pos;
+        var cachedResult = cache[cacheKey];
+        if (cachedResult) {
+          pos = cachedResult.nextPos;
+          return cachedResult.result;
+        }
+        
+        var result0, result1, result2, result3, result4, result5, result6;
+        var pos0, pos1, pos2;
+        
+        pos0 = pos;
+        pos1 = pos;
+        result0 = parse_DefaultToken();
+        if (result0 !== null) {
+          result1 = parse___();
+          if (result1 !== null) {
+            if (input.charCodeAt(pos) === 58) {
+              result2 = ":";
+              pos++;
+            } else {
+              result2 = null;
+              if (reportFailures === 0) {
+                matchFailed("\":\"");
+              }
+            }
+            if (result2 !== null) {
+              result3 = parse___();
+              if (result3 !== null) {
+                result4 = parse_Expression();
+                if (result4 !== null) {
+                  pos2 = pos;
+                  result5 = parse___();
+                  if (result5 !== null) {
+                    if (input.charCodeAt(pos) === 59) {
+                      result6 = ";";
+                      pos++;
+                    } else {
+                      result6 = null;
+                      if (reportFailures === 0) {
+                        matchFailed("\";\"");
+                      }
+                    }
+                    if (result6 !== null) {
+                      result5 = [result5, result6];
+                    } else {
+                      result5 = null;
+                      pos = pos2;
+                    }
+                  } else {
+                    result5 = null;
+                    pos = pos2;
+                  }
+                  result5 = result5 !== null ? result5 : "";
+                  if (result5 !== null) {
+                    result0 = [result0, result1, result2, result3, result4, result5];
+                  } else {
+                    result0 = null;
+                    pos = pos1;
+                  }
+                } else {
+                  result0 = null;
+                  pos = pos1;
+                }
+              } else {
+                result0 = null;
+                pos = pos1;
+              }
+            } else {
+              result0 = null;
+              pos = pos1;
+            }
+          } else {
+            result0 = null;
+            pos = pos1;
+          }
+        } else {
+          result0 = null;
+          pos = pos1;
+        }
+        if (result0 !== null) {
+          result0 = (function(offset, result) { return result; })(pos0, result0[4]);
+        }
+        if (result0 === null) {
+          pos = pos0;
+        }
+        
+        cache[cacheKey] = {
+          nextPos: pos,
+          result:  result0
+        };
+        return result0;
+      }
+      
+      function parse_LetExpression() {
+        var cacheKey = "LetExpression@" + pos;
+        var cachedResult = cache[cacheKey];
+        if (cachedResult) {
+          pos = cachedResult.nextPos;
+          return cachedResult.result;
+        }
+        
+        var result0, result1, result2, result3, result4, result5, result6, result7, result8, result9, result10;
+        var pos0, pos1;
+        
+        pos0 = pos;
+        pos1 = pos;
+        result0 = parse_LetToken();
+        if (result0 !== null) {
+          result1 = parse___();
+          if (result1 !== null) {
+            result2 = parse_LetBinding();
+            if (result2 !== null) {
+              result3 = parse___();
+              if (result3 !== null) {
+                if (input.charCodeAt(pos) === 61) {
+                  result4 = "=";
+                  pos++;
+                } else {
+                  result4 = null;
+                  if (reportFailures === 0) {
+                    matchFailed("\"=\"");
+                  }
+                }
+                if (result4 !== null) {
+                  result5 = parse___();
+                  if (result5 !== null) {
+                    result6 = parse_Expression();
+                    if (result6 !== null) {
+                      result7 = parse___();
+                      if (result7 !== null) {
+                        if (input.charCodeAt(pos) === 59) {
+                          result8 = ";";
+                          pos++;
+                        } else {
+                          result8 = null;
+                          if (reportFailures === 0) {
+                            matchFailed("\";\"");
+                          }
+                        }
+                        if (result8 !== null) {
+                          result9 = parse___();
+                          if (result9 !== null) {
+                            result10 = parse_Expression();
+                            if (result10 !== null) {
+                              result0 = [result0, result1, result2, result3, result4, result5, result6, result7, result8, result9, result10];
+                            } else {
+                              result0 = null;
+                              pos = pos1;
+                            }
+                          } else {
+                            result0 = null;
+                            pos = pos1;
+                          }
+                        } else {
+                          result0 = null;
+                          pos = pos1;
+                        }
+                      } else {
+                        result0 = null;
+                        pos = pos1;
+                      }
+                    } else {
+                      result0 = null;
+                      pos = pos1;
+                    }
+                  } else {
+                    result0 = null;
+                    pos = pos1;
+                  }
+                } else {
+                  result0 = null;
+                  pos = pos1;
+                }
+              } else {
+                result0 = null;
+                pos = pos1;
+              }
+            } else {
+              result0 = null;
+              pos = pos1;
+            }
+          } else {
+            result0 = null;
+            pos = pos1;
+          }
+        } else {
+          result0 = null;
+          pos = pos1;
+        }
+        if (result0 !== null) {
+          result0 = (function(offset, binding, value, body) {
+              return {
+                type:         "LetExpression",
+                name:         binding.name,
+                nameLocation: binding.location,
+                value:        value,
+                body:         body,
+                location:     location(offset)
+              };
+            })(pos0, result0[2], result0[6], result0[10]);
+        }
+        if (result0 === null) {
+          pos = pos0;
+        }
+        
+        cache[cacheKey] = {
+          nextPos: pos,
+          result:  result0
+        };
+        return result0;
+      }
+      
+      function parse_LetBinding() {
+        var cacheKey = "LetBinding@" + pos;
+        var cachedResult = cache[cacheKey];
+        if (cachedResult) {
+          pos = cachedResult.nextPos;
+          return cachedResult.result;
+        }
+        
+        var result0;
+        var pos0;
+        
+        pos0 = pos;
+        result0 = parse_Identifier();
+        if (result0 !== null) {
+          result0 = (function(offset, name) { return { name: name, location: location(offset) }; })(pos0, result0);
+        }
+        if (result0 === null) {
+          pos = pos0;
+        }
+        
+        cache[cacheKey] = {
+          nextPos: pos,
+          result:  result0
+        };
+        return result0;
+      }
+      
+      function parse_Expression() {
+        var cacheKey = "Expression@" + pos;
+        var cachedResult = cache[cacheKey];
+        if (cachedResult) {
+          pos = cachedResult.nextPos;
+          return cachedResult.result;
+        }
+        
+        var result0;
+        
+        result0 = parse_LetExpression();
+        if (result0 === null) {
+          result0 = parse_ConditionalExpression();
+        }
+        
+        cache[cacheKey] = {
+          nextPos: pos,
+          result:  result0
+        };
+        return result0;
+      }
+      
+      
       function cleanupExpected(expected) {
         expected.sort();
         
@@ -4888,6 +5893,30 @@ DG.formulaParser = (function(){
       }
       
       
+        /*
+          Every node of the parse tree has a location property which specifies the range
+          of the source from which it was parsed, e.g. for reporting errors to the user.
+          Actions are called when the rule has matched, so the current position is the end.
+         */
+        function location(iStart) {
+          return { start: iStart, end: pos };
+        }
+      
+        function spanLocation(iFirst, iLast) {
+          return { start: iFirst.location.start, end: iLast.location.end };
+        }
+      
+        function binaryExpression(iOperator, iLeft, iRight) {
+          return {
+            type:     "BinaryExpression",
+            operator: iOperator,
+            left:     iLeft,
+            right:    iRight,
+            location: spanLocation(iLeft, iRight)
+          };
+        }
+      
+      
       var result = parseFunctions[startRule]();
       
       /*
@@ -1,6 +1,7 @@
 // ==========================================================================
 //              DG.VarReferenceError, DG.FuncReferenceError
 //                DG.HierReferenceError,DG.FuncArgsError
+//                DG.FuncRecursionError
 //
 //  Author:   Kirk Swenson
 //
@@ -171,3 +172,18 @@ DG.FuncArgsError = function( iName, iRequiredArgs) {
 DG.FuncArgsError.prototype = new Error();
 DG.FuncArgsError.prototype.constructor = DG.FuncArgsError;
 
+/** @class DG.FuncRecursionError
+
+  Error class for user-defined functions which call themselves.
+
+  @extends Error
+*/
+DG.FuncRecursionError = function( iName) {
+  this.name = 'DG.Formula.FuncRecursionError.name'.loc();
+  this.message = 'DG.Formula.FuncRecursionError.message'.loc( iName);
+  this.description = 'DG.Formula.FuncRecursionError.description'.loc( iName);
+  this.reference = iName;
+};
+DG.FuncRecursionError.prototype = new Error();
+DG.FuncRecursionError.prototype.constructor = DG.FuncRecursionError;
+
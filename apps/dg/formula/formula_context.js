@@ -44,6 +44,18 @@ DG.FormulaContext = SC.Object.extend( (function() {
       throw new DG.FuncArgsError( iName, fArgs);
   }
 
+  /**
+    Utility function for checking the argument count of a user-defined function,
+    which requires exactly one argument per parameter.
+    @param    {DG.FormulaFunction}  iUserFn -- The user-defined function
+    @param    {Array}               iArgs -- The arguments to the function
+   */
+  function checkUserFnArgs( iUserFn, iArgs) {
+    var paramCount = iUserFn.get('params').length;
+    if( iArgs.length !== paramCount)
+      throw new DG.FuncArgsError( iUserFn.get('name'), { min: paramCount, max: paramCount });
+  }
+
   return {
 
   /**
@@ -140,8 +152,10 @@ DG.FormulaContext = SC.Object.extend( (function() {
     @param {DG.Case[]}  iCases - array of cases affected
                                  if no cases specified, all cases are affected
     @param {boolean}    iForceAggregate - treat the dependency as an aggregate dependency
+    @returns {DG.Case[]|null} the affected cases of the dependent, or null if all cases are affected
    */
   invalidateDependent: function(ioResult, iDependent, iDependency, iCases, iForceAggregate) {
+    return null;
   },
 
   /**
@@ -302,6 +316,42 @@ DG.FormulaContext = SC.Object.extend( (function() {
       return 'c.fns.' + iName + '(' + iArgs + ')';
     }
 
+    // User-defined functions stored in the document
+    var userFn = this.getUserFunction(iName);
+    if (userFn) {
+      this.registerDependency({ independentSpec: {
+                                  type: DG.DEP_TYPE_FUNCTION,
+                                  id: userFn.get('id'),
+                                  name: iName
+                                },
+                                aggFnIndices: iAggFnIndices
+                              });
+      checkUserFnArgs(userFn, iArgs);
+      if (userFn.isRandom()) {
+        // register the 'random' dependency for invalidation
+        this.registerDependency({ independentSpec: {
+                                    type: DG.DEP_TYPE_SPECIAL,
+                                    id: 'random',
+                                    name: 'random'
+                                  },
+                                  aggFnIndices: iAggFnIndices
+                                });
+      }
+      // Like global values, the function is attached to a map in the context
+      // from which it is dereferenced by the generated code.
+      if (!this.userFns) this.userFns = {};
+      this.userFns[iName] = userFn;
+      return 'c.userFns["' + iName + '"].evaluate([' + iArgs + '])';
+    }
+
+    // register the dependency so that defining the function triggers recompilation
+    this.registerDependency({ independentSpec: {
+                                type: DG.DEP_TYPE_UNDEFINED,
+                                id: iName,
+                                name: iName
+                              },
+                              aggFnIndices: iAggFnIndices
+                            });
     return '(function(){throw new DG.FuncReferenceError(\'' + iName + '\');})()';
   },
 
@@ -334,7 +384,25 @@ DG.FormulaContext = SC.Object.extend( (function() {
       return fns[iName].apply( fns, iArgs);
     }
 
+    // User-defined functions stored in the document
+    var userFn = this.getUserFunction(iName);
+    if (userFn) {
+      checkUserFnArgs(userFn, iArgs);
+      return userFn.evaluate(iArgs);
+    }
+
     throw new DG.FuncReferenceError( iName);
+  },
+
+  /**
+    Returns the user-defined function with the specified name, if any.
+    @param    {String}    iName -- The name of the function
+    @returns  {DG.FormulaFunction|null}
+   */
+  getUserFunction: function( iName) {
+    return DG.formulaFunctionsController
+            ? DG.formulaFunctionsController.getFunctionByName( iName)
+            : null;
   }
 
   }; // end of closure return statement
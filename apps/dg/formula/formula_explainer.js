@@ -0,0 +1,347 @@
+// ==========================================================================
+//                          DG.FormulaExplainer
+//
+//  Copyright (c) 2021 by The Concord Consortium, Inc. All rights reserved.
+//
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing, software
+//  distributed under the License is distributed on an "AS IS" BASIS,
+//  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//  See the License for the specific language governing permissions and
+//  limitations under the License.
+// ==========================================================================
+
+sc_require('formula/formula');
+sc_require('formula/aggregate_function');
+sc_require('formula/formula_localizer');
+
+/**
+  Utilities for explaining how a formula arrives at its value, e.g. for a case table cell.
+
+  An explanation node describes a single sub-expression of the formula:
+    {String}    type -- the parse tree node type, e.g. 'BinaryExpression'
+    {String}    source -- the source of the sub-expression, e.g. 'mean(x) + 1'
+    {Boolean}   isEvaluated -- false for sub-expressions which weren't evaluated for the case,
+                               e.g. the arguments of aggregate functions or short-circuited operands
+    {Number}    step -- the (1-based) order in which the sub-expression was evaluated
+    {Object}    value -- the value of the sub-expression
+    {Error}     error -- the error thrown by the sub-expression, if any
+    {Object[]}  children -- the explanations of the operands/arguments
+    {Object}    aggregate -- for aggregate functions, the cases consumed (see findAggregateCases())
+    {Boolean}   isUserFunction -- true for calls to user-defined functions
+ */
+DG.FormulaExplainer = {
+
+  /**
+    Returns the formula source corresponding to the specified parse tree.
+    The result is normalized, e.g. only necessary parentheses are included.
+    @param    {Object}  iNode -- the parse tree (node) from DG.formulaParser
+    @returns  {String}
+   */
+  nodeToSource: function(iNode) {
+    var kPrecedence = { '||': 2, '&&': 3, '==': 4, '!=': 4,
+                        '<': 5, '>': 5, '<=': 5, '>=': 5,
+                        '+': 6, '-': 6, '*': 7, '/': 7, '%': 7, '^': 8 },
+        kOperatorSource = { '&&': 'and', '||': 'or', '==': '=' },
+        identifierRegExp = DG.FormulaLocalizer.canonicalNameRegExp;
+
+    function precedence(iNode) {
+      switch (iNode.type) {
+        // the body of a let-binding extends as far as possible
+        case 'LetExpression': return 0;
+        case 'ConditionalExpression': return 1;
+        case 'BinaryExpression': return kPrecedence[iNode.operator];
+        case 'UnaryExpression': return 9;
+      }
+      return 10;
+    }
+
+    function wrap(iNode, iNeedsParens) {
+      var source = toSource(iNode);
+      return iNeedsParens ? '(' + source + ')' : source;
+    }
+
+    function nameSource(iName) {
+      return identifierRegExp.test(iName) && (['true', 'false'].indexOf(iName) < 0)
+              ? iName
+              : '`' + iName.replace(/([`\\])/g, '\\$1') + '`';
+    }
+
+    function toSource(iNode) {
+      var prec = precedence(iNode),
+          isRightAssoc = iNode.operator === '^',
+          op;
+      switch (iNode.type) {
+        case 'BooleanLiteral':
+          return String(iNode.value);
+        case 'NumericLiteral':
+          return String(iNode.value);
+        case 'StringLiteral':
+          return '"' + iNode.value.replace(/(["\\])/g, '\\$1') + '"';
+        case 'Variable':
+          return nameSource(iNode.name);
+        case 'FunctionCall':
+          return toSource(iNode.name) + '(' + (iNode.args || []).map(toSource).join(', ') + ')';
+        case 'UnaryExpression':
+          return iNode.operator + wrap(iNode.expression, precedence(iNode.expression) < prec);
+        case 'BinaryExpression':
+          op = kOperatorSource[iNode.operator] || iNode.operator;
+          return wrap(iNode.left, isRightAssoc ? precedence(iNode.left) <= prec : precedence(iNode.left) < prec) +
+                  (op === '^' ? op : ' ' + op + ' ') +
+                  wrap(iNode.right, isRightAssoc ? precedence(iNode.right) < prec : precedence(iNode.right) <= prec);
+        case 'ConditionalExpression':
+          return wrap(iNode.condition, precedence(iNode.condition) <= prec) + ' ? ' +
+                  toSource(iNode.trueExpression) + ' : ' + toSource(iNode.falseExpression);
+        case 'LetExpression':
+          return 'let ' + nameSource(iNode.name) + ' = ' +
+                  wrap(iNode.value, precedence(iNode.value) <= prec) + '; ' + toSource(iNode.body);
+        case 'SwitchExpression':
+          return 'switch (' + toSource(iNode.discriminant) + ') { ' +
+                  iNode.cases.map(function(iCase) {
+                    return 'case ' + toSource(iCase.test) + ': ' + toSource(iCase.result) + '; ';
+                  }).join('') +
+                  (iNode.defaultResult ? 'default: ' + toSource(iNode.defaultResult) + ' ' : '') + '}';
+      }
+      return '';
+    }
+
+    return iNode ? toSource(iNode) : '';
+  },
+
+  /**
+    Evaluates the specified parse tree, recording the value of each sub-expression.
+    The parse tree is evaluated by DG.Formula.evaluateParseTree(), which observes the
+    evaluation of each node, except that aggregate functions are evaluated by the context,
+    so the context must already have compiled the formula, e.g. so that the aggregate
+    function instances are available.
+    @param    {Object}            iParseTree -- the parse tree from DG.formulaParser
+    @param    {DG.FormulaContext} iContext -- the context which compiled the formula
+    @param    {Object}            iEvalContext -- the evaluation context, e.g. { _case_: , _id_: }
+    @returns  {Object}            { root: {Object}, steps: {Object[]} } where root is the
+                                  explanation of the entire formula and steps are the
+                                  explanations of the evaluated sub-expressions in order
+   */
+  explainParseTree: function(iParseTree, iContext, iEvalContext) {
+    var aggregateNodes = [],
+        steps = [],
+        // the explanations of the nodes being evaluated: [{ entry, nodes }]
+        stack = [],
+        root = null;
+
+    function fnName(iNode) {
+      return iNode.name && iNode.name.name;
+    }
+
+    function childNodes(iNode) {
+      switch (iNode.type) {
+        case 'FunctionCall': return iNode.args || [];
+        case 'UnaryExpression': return [iNode.expression];
+        case 'BinaryExpression': return [iNode.left, iNode.right];
+        case 'ConditionalExpression':
+          return [iNode.condition, iNode.trueExpression, iNode.falseExpression];
+        case 'LetExpression': return [iNode.value, iNode.body];
+        case 'SwitchExpression':
+          return iNode.cases.reduce(function(iNodes, iCase) {
+                                      return iNodes.concat([iCase.test, iCase.result]);
+                                    }, [iNode.discriminant])
+                            .concat(iNode.defaultResult ? [iNode.defaultResult] : []);
+      }
+      return [];
+    }
+
+    // aggregate function instances are indexed in the order in which they're compiled,
+    // including references to let-bindings which are compiled in place within the
+    // arguments of aggregate functions (cf. DG.Formula.compileToJavaScript())
+    function findAggregates(iNode, iBindings, iAggDepth) {
+      var isAggregate = (iNode.type === 'FunctionCall') && iContext.isAggregate(fnName(iNode)),
+          binding = iBindings;
+      switch (iNode.type) {
+        case 'LetExpression':
+          findAggregates(iNode.value, iBindings, iAggDepth);
+          findAggregates(iNode.body, { name: iNode.name, value: iNode.value,
+                                        aggDepth: iAggDepth, parent: iBindings }, iAggDepth);
+          return;
+        case 'Variable':
+          while (binding && (binding.name !== iNode.name))
+            binding = binding.parent;
+          if (binding && (binding.aggDepth !== iAggDepth))
+            findAggregates(binding.value, binding.parent, iAggDepth);
+          return;
+      }
+      childNodes(iNode).forEach(function(iChild) {
+        findAggregates(iChild, iBindings, isAggregate ? iAggDepth + 1 : iAggDepth);
+      });
+      if (isAggregate)
+        aggregateNodes.push(iNode);
+    }
+
+    // explanation of a sub-expression which isn't evaluated
+    function skip(iNode) {
+      return { type: iNode.type, source: DG.FormulaExplainer.nodeToSource(iNode),
+                isEvaluated: false, children: childNodes(iNode).map(skip) };
+    }
+
+    // called by DG.Formula.evaluateParseTree() to evaluate each node
+    function explain(iNode, iEvaluate) {
+      var entry = { type: iNode.type, source: DG.FormulaExplainer.nodeToSource(iNode),
+                    isEvaluated: true, children: [] },
+          nodes = childNodes(iNode),
+          parent = stack[stack.length - 1],
+          aggFnIndex = aggregateNodes.indexOf(iNode);
+      if (parent)
+        parent.entry.children[parent.nodes.indexOf(iNode)] = entry;
+      else
+        root = entry;
+      stack.push({ entry: entry, nodes: nodes });
+      try {
+        if (aggFnIndex >= 0) {
+          // arguments of aggregate functions are evaluated for many cases, not just this one
+          entry.value = iContext.evalAggregate(iEvalContext, aggFnIndex);
+          entry.aggregate = DG.FormulaExplainer.findAggregateCases(iContext, iEvalContext, aggFnIndex);
+        }
+        else {
+          entry.value = iEvaluate();
+          if ((iNode.type === 'FunctionCall') && iContext.getUserFunction(fnName(iNode)))
+            entry.isUserFunction = true;
+        }
+        return entry.value;
+      }
+      catch (e) {
+        entry.value = entry.error = e;
+        throw e;
+      }
+      finally {
+        stack.pop();
+        // operands which weren't evaluated, e.g. because they were short-circuited
+        nodes.forEach(function(iChild, iIndex) {
+          if (!entry.children[iIndex])
+            entry.children[iIndex] = skip(iChild);
+        });
+        steps.push(entry);
+        entry.step = steps.length;
+      }
+    }
+
+    if (!iParseTree) return { root: null, steps: [] };
+    findAggregates(iParseTree, null, 0);
+    try {
+      DG.Formula.evaluateParseTree(iParseTree, iContext, iEvalContext, explain);
+    }
+    catch (e) {
+      // the error is recorded in the explanations of the nodes which threw it
+    }
+    return { root: root, steps: steps };
+  },
+
+  /**
+    Returns the cases consumed by the specified aggregate function instance when evaluated
+    for the specified case, i.e. the cases in the same group which pass its filter.
+    @param    {DG.CollectionFormulaContext} iContext
+    @param    {Object}    iEvalContext -- { _case_: , _id_: , _collectionID_: }
+    @param    {Number}    iAggFnIndex -- the index of the aggregate function instance
+    @returns  {Object|null}  { name: {String}, collectionName: {String}, hasFilter: {Boolean},
+                              consumedCases: {DG.Case[]}, filteredCases: {DG.Case[]} }
+                              or null for aggregate functions which don't iterate over cases
+   */
+  findAggregateCases: function(iContext, iEvalContext, iAggFnIndex) {
+    var instance = iContext.aggFnInstances && iContext.aggFnInstances[iAggFnIndex],
+        aggregateFn = instance && DG.functionRegistry.getAggregate(instance.name),
+        isGrouped = aggregateFn instanceof DG.ParentCaseAggregate,
+        collection, cases, caseCount, groupID, result, i, tCase, tEvalContext;
+    if (!(aggregateFn instanceof DG.IteratingAggregate)) return null;
+
+    collection = iContext.getCollectionToIterate();
+    cases = collection && collection.get('cases');
+    caseCount = cases ? cases.get('length') : 0;
+    groupID = isGrouped ? aggregateFn.getGroupID(iContext, iEvalContext) : null;
+    result = { name: instance.name, collectionName: collection && collection.get('name'),
+                hasFilter: !!instance.filterFn, consumedCases: [], filteredCases: [] };
+
+    for (i = 0; i < caseCount; ++i) {
+      tCase = cases.objectAt(i);
+      tEvalContext = isGrouped
+                      ? $.extend({}, iEvalContext, { _case_: tCase, _id_: tCase && tCase.get('id') })
+                      : { _case_: tCase, _id_: tCase && tCase.get('id') };
+      if (!isGrouped || (aggregateFn.getGroupID(iContext, tEvalContext) === groupID)) {
+        (this._passesFilter(aggregateFn, iContext, tEvalContext, instance)
+          ? result.consumedCases : result.filteredCases).push(tCase);
+      }
+    }
+    return result;
+  },
+
+  /**
+    Returns true if the specified case passes the aggregate function's filter.
+    Cases for which the filter throws an error don't contribute to the result.
+    @private
+   */
+  _passesFilter: function(iAggregateFn, iContext, iEvalContext, iInstance) {
+    try {
+      return !!iAggregateFn.filterCase(iContext, iEvalContext, iInstance);
+    }
+    catch (e) {
+      return false;
+    }
+  },
+
+  /**
+    Explains the value of the specified attribute's formula for the specified case.
+    @param    {DG.Attribute}  iAttribute -- an attribute with a formula
+    @param    {DG.Case}       iCase -- the case whose value is to be explained
+    @returns  {Object}        { attributeName: {String}, formula: {String}, case: {DG.Case},
+                                caseIndex: {Number}, value: {Object}, syntaxError: {String},
+                                root: {Object}, steps: {Object[]}, dependencies: {Object[]},
+                                isRandom: {Boolean} }
+                              where value is the value displayed for the case, root and steps
+                              are as returned by explainParseTree(), and dependencies are
+                              as returned by DG.DependencyMgr.getDependencies().
+   */
+  explainAttributeValue: function(iAttribute, iCase) {
+    var formula = iAttribute && iAttribute._dgFormula,
+        context = formula && formula.get('context'),
+        dependencyMgr = context && context.get('dependencyMgr'),
+        caseID = iCase && iCase.get('id'),
+        evalContext = { _case_: iCase, _id_: caseID,
+                        _collectionID_: iAttribute && iAttribute.getPath('collection.id') },
+        result = { attributeName: iAttribute && iAttribute.get('name'),
+                    formula: iAttribute && iAttribute.get('formula'),
+                    'case': iCase,
+                    caseIndex: context && context.getCaseIndex ? context.getCaseIndex(iCase) : null,
+                    root: null, steps: [], dependencies: [] },
+        parsed, explanation, randomState;
+
+    if (!formula) return result;
+
+    // the value displayed, which also makes sure that the formula has been compiled
+    result.value = iAttribute.evalFormula(iCase);
+    try {
+      parsed = formula.get('parsed');
+    }
+    catch (e) {
+      result.syntaxError = e.message;
+      return result;
+    }
+
+    result.dependencies = dependencyMgr ? dependencyMgr.getDependencies(context.get('ownerSpec')) : [];
+    result.isRandom = result.dependencies.some(function(iDependency) {
+                        return (iDependency.type === DG.DEP_TYPE_SPECIAL) && (iDependency.id === 'random');
+                      });
+
+    // use the same random numbers as the attribute when random numbers are seeded
+    randomState = DG.RandomUtilities.beginStream([iAttribute.get('id'), iAttribute.get('randomizeCount'), caseID]);
+    try {
+      explanation = this.explainParseTree(parsed, context, evalContext);
+    }
+    finally {
+      DG.RandomUtilities.endStream(randomState);
+    }
+    result.root = explanation.root;
+    result.steps = explanation.steps;
+    return result;
+  }
+};
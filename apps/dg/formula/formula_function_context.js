@@ -0,0 +1,77 @@
+// ==========================================================================
+//                      DG.FormulaFunctionContext
+//
+//  Copyright (c) 2021 by The Concord Consortium, Inc. All rights reserved.
+//
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing, software
+//  distributed under the License is distributed on an "AS IS" BASIS,
+//  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//  See the License for the specific language governing permissions and
+//  limitations under the License.
+// ==========================================================================
+
+sc_require('formula/formula_context');
+
+/** @class DG.FormulaFunctionContext
+
+  The DG.FormulaFunctionContext is the formula context for the body of a
+  user-defined function (DG.FormulaFunction). The function's parameters are
+  bound as evaluation-time variables, so the body can reference its parameters,
+  constants, built-in (non-aggregate) functions and other user-defined functions.
+  Rather than registering dependencies with a dependency manager, the context
+  simply keeps track of the nodes referenced by the body so that changes to the
+  functions it calls can be propagated to the clients of this function.
+
+  @extends DG.FormulaContext
+*/
+DG.FormulaFunctionContext = DG.FormulaContext.extend({
+
+  /**
+    Map of parameter names to true, i.e. the evaluation-time variables.
+    @property {Object}
+   */
+  eVars: null,
+
+  /**
+    Map of '[type]:[name]' keys to the independent node specs referenced by the body.
+    Rebuilt each time the body is compiled.
+    @property {Object}
+   */
+  references: null,
+
+  init: function() {
+    sc_super();
+    this.references = {};
+  },
+
+  willCompile: function() {
+    sc_super();
+    this.references = {};
+  },
+
+  registerDependency: function(iDependency) {
+    var spec = iDependency && iDependency.independentSpec;
+    if (spec)
+      this.references[spec.type + ':' + spec.name] = spec;
+  },
+
+  /**
+    Returns the names of the referenced nodes of the specified type.
+    @param    {String}    iType -- the node type, e.g. DG.DEP_TYPE_FUNCTION
+    @returns  {String[]}
+   */
+  getReferencedNames: function(iType) {
+    var names = [];
+    DG.ObjectMap.forEach(this.references, function(iKey, iSpec) {
+      if (iSpec.type === iType)
+        names.push(iSpec.name);
+    });
+    return names;
+  }
+});
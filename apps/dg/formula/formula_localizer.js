@@ -0,0 +1,322 @@
+// ==========================================================================
+//                          DG.FormulaLocalizer
+//
+//  Copyright (c) 2021 by The Concord Consortium, Inc. All rights reserved.
+//
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing, software
+//  distributed under the License is distributed on an "AS IS" BASIS,
+//  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//  See the License for the specific language governing permissions and
+//  limitations under the License.
+// ==========================================================================
+
+sc_require('formula/formula');
+sc_require('formula/function_registry');
+sc_require('utilities/string_utilities');
+
+/**
+  Conversion of formulas between the canonical syntax, which is stored in documents and
+  parsed by DG.formulaParser, and the localized syntax which users read and type, so that
+  documents round-trip across locales. The localized syntax differs in its
+    -- function names, e.g. the display names of the localized function strings
+    -- decimal separator for number literals, e.g. '1,5' rather than '1.5'
+    -- argument separator, e.g. 'round(x; 2)' when the decimal separator is a comma
+    -- boolean keywords, e.g. 'wahr' and 'falsch'
+    -- names, which don't require backticks for letters the canonical syntax doesn't support
+
+  Conversion is lexical rather than grammatical, so that partial formulas and formulas
+  with syntax errors are converted as faithfully as possible while they're being edited.
+
+  A syntax describes the properties of a localized syntax:
+    {String}    decimalSeparator -- '.' or ','
+    {String}    argumentSeparator -- ',' or ';'
+    {String}    trueKeyword -- e.g. 'true'
+    {String}    falseKeyword -- e.g. 'false'
+    {Function}  functionDisplayName -- maps canonical function names to localized names
+    {Function}  canonicalFunctionName -- maps localized function names to canonical names
+ */
+DG.FormulaLocalizer = {
+
+  /**
+    The canonical syntax, i.e. that of DG.formulaParser.
+    @type {Object}
+   */
+  canonicalSyntax: {
+    decimalSeparator: '.',
+    argumentSeparator: ',',
+    trueKeyword: 'true',
+    falseKeyword: 'false',
+    functionDisplayName: function(iName) { return iName; },
+    canonicalFunctionName: function(iName) { return iName; }
+  },
+
+  /**
+    Keywords of the canonical syntax which aren't localized.
+    @type {String[]}
+   */
+  keywords: ['let', 'switch', 'case', 'default'],
+
+  /**
+    Matches names which can be used without backticks in the canonical syntax.
+    @type {RegExp}
+   */
+  canonicalNameRegExp: /^[A-Za-z_\u0391-\u03A9\u03B1-\u03C9][0-9A-Za-z_\u0391-\u03A9\u03B1-\u03C9]*$/,
+
+  /**
+    Matches names at the start of a string in the localized syntax, i.e. including
+    letters from other scripts, e.g. accented Latin letters, Cyrillic, CJK, etc.
+    @type {RegExp}
+   */
+  localizedNameRegExp: (function() {
+    var letters = DG.Formula.identifierRegExpFirstCharSet +
+                  '\\u0370-\\u03FF\\u0400-\\u04FF\\u05D0-\\u05EA\\u0620-\\u064A' +
+                  '\\u0E01-\\u0E30\\u3041-\\u30FF\\u3400-\\u4DBF\\u4E00-\\u9FFF\\uAC00-\\uD7AF';
+    return new RegExp('^[%@][0-9%@]*'.fmt(letters, letters));
+  }()),
+
+  /**
+    Returns the syntax of the current locale, as specified by the localized strings
+    and the display names of the localized function strings.
+    @returns  {Object}  the syntax
+   */
+  getSyntax: function() {
+    var canonical = this.canonicalSyntax,
+        decimalSeparator = 'DG.Formula.Syntax.decimalSeparator'.loc(),
+        argumentSeparator = 'DG.Formula.Syntax.argumentSeparator'.loc(),
+        registry = DG.functionRegistry;
+    // separators which would be ambiguous revert to the canonical separators
+    if (([',', '.'].indexOf(decimalSeparator) < 0) || ([',', ';'].indexOf(argumentSeparator) < 0) ||
+        (decimalSeparator === argumentSeparator)) {
+      decimalSeparator = canonical.decimalSeparator;
+      argumentSeparator = canonical.argumentSeparator;
+    }
+    return {
+      decimalSeparator: decimalSeparator,
+      argumentSeparator: argumentSeparator,
+      trueKeyword: 'DG.Formula.Syntax.true'.loc(),
+      falseKeyword: 'DG.Formula.Syntax.false'.loc(),
+      functionDisplayName: function(iName) { return registry.getFunctionDisplayName(iName); },
+      canonicalFunctionName: function(iName) { return registry.getFunctionNameForDisplayName(iName); }
+    };
+  },
+
+  /**
+    Converts a canonical formula to the localized syntax.
+    @param    {String}  iCanonical -- the canonical formula source
+    @param    {Object}  iSyntax -- the localized syntax (defaults to that of the current locale)
+    @returns  {String}  the localized formula source
+   */
+  toLocalized: function(iCanonical, iSyntax) {
+    return this.convert(iCanonical, false, iSyntax).source;
+  },
+
+  /**
+    Converts a localized formula to the canonical syntax.
+    @param    {String}  iLocalized -- the localized formula source
+    @param    {Object}  iSyntax -- the localized syntax (defaults to that of the current locale)
+    @returns  {String}  the canonical formula source
+   */
+  toCanonical: function(iLocalized, iSyntax) {
+    return this.convert(iLocalized, true, iSyntax).source;
+  },
+
+  /**
+    Converts a localized formula to the canonical syntax, along with a function which maps
+    offsets in the canonical source back to the localized source, e.g. for reporting
+    problems found in the canonical formula at the appropriate place in the localized one.
+    @param    {String}  iLocalized -- the localized formula source
+    @param    {Object}  iSyntax -- the localized syntax (defaults to that of the current locale)
+    @returns  {Object}  { source: {String}, toLocalizedOffset: {Function} }
+   */
+  canonicalize: function(iLocalized, iSyntax) {
+    var result = this.convert(iLocalized, true, iSyntax),
+        segments = result.segments;
+    return {
+      source: result.source,
+      toLocalizedOffset: function(iOffset) {
+        var i, segment;
+        for (i = segments.length - 1; i >= 0; --i) {
+          segment = segments[i];
+          if (segment.toStart <= iOffset)
+            return Math.min(segment.fromStart + iOffset - segment.toStart, segment.fromEnd);
+        }
+        return 0;
+      }
+    };
+  },
+
+  /**
+    Splits the formula source into tokens, each of which is converted as a unit.
+    @param    {String}  iSource -- the formula source
+    @param    {String}  iDecimalSeparator -- the decimal separator of number literals
+    @returns  {Object[]}  tokens { type: {String}, text: {String}, start: {Number} }, where
+                          type is 'space', 'comment', 'string', 'quoted' (backtick name),
+                          'number', 'name' or 'punctuation'
+   */
+  tokenize: function(iSource, iDecimalSeparator) {
+    // a leading decimal separator is only allowed when it can't be an argument separator
+    var numberRegExp = iDecimalSeparator === '.'
+                          ? /^(?:\d+(?:\.\d*)?|\.\d+)(?:[eE][-+]?\d+)?/
+                          : new RegExp('^\\d+(?:' + DG.StringUtilities.escapeRegExp(iDecimalSeparator) +
+                                        '\\d+)?(?:[eE][-+]?\\d+)?'),
+        patterns = [
+          { type: 'space', regExp: /^\s+/ },
+          { type: 'comment', regExp: /^(?:\/\/[^\n\r]*|\/\*[\s\S]*?(?:\*\/|$))/ },
+          { type: 'string', regExp: /^(?:"(?:[^"\\\n\r]|\\.)*"?|'(?:[^'\\\n\r]|\\.)*'?)/ },
+          { type: 'quoted', regExp: /^`(?:[^`\\\n\r]|\\.)*`?/ },
+          { type: 'number', regExp: numberRegExp },
+          { type: 'name', regExp: this.localizedNameRegExp }
+        ],
+        tokens = [],
+        start = 0,
+        rest, match, i;
+    while (start < iSource.length) {
+      rest = iSource.slice(start);
+      match = null;
+      for (i = 0; !match && (i < patterns.length); ++i) {
+        match = patterns[i].regExp.exec(rest);
+        if (match)
+          tokens.push({ type: patterns[i].type, text: match[0], start: start });
+      }
+      if (!match)
+        tokens.push({ type: 'punctuation', text: rest.charAt(0), start: start });
+      start += tokens[tokens.length - 1].text.length;
+    }
+    return tokens;
+  },
+
+  /**
+    Converts between the canonical syntax and a localized syntax.
+    @param    {String}  iSource -- the formula source
+    @param    {Boolean} iToCanonical -- true to convert to the canonical syntax, false to localize
+    @param    {Object}  iSyntax -- the localized syntax (defaults to that of the current locale)
+    @returns  {Object}  { source: {String}, segments: {Object[]} } where each segment maps a token's
+                        range { fromStart, fromEnd } to its converted range { toStart, toEnd }
+   */
+  convert: function(iSource, iToCanonical, iSyntax) {
+    var localized = iSyntax || this.getSyntax(),
+        from = iToCanonical ? localized : this.canonicalSyntax,
+        to = iToCanonical ? this.canonicalSyntax : localized,
+        keywords = this.keywords,
+        canonicalNameRegExp = this.canonicalNameRegExp,
+        localizedNameRegExp = this.localizedNameRegExp,
+        tokens = this.tokenize(iSource || '', from.decimalSeparator),
+        // one frame per level of nested parentheses/braces; within the parentheses of a
+        // function call, separators which don't terminate let-bindings separate arguments
+        frames = [{ isCall: false, pendingLets: 0 }],
+        output = '',
+        segments = [],
+        previous = null;
+
+    function isSignificant(iToken) {
+      return (iToken.type !== 'space') && (iToken.type !== 'comment');
+    }
+
+    function nextSignificant(iIndex) {
+      var i;
+      for (i = iIndex + 1; i < tokens.length; ++i) {
+        if (isSignificant(tokens[i])) return tokens[i];
+      }
+      return null;
+    }
+
+    function isKeywordName(iName) {
+      return [localized.trueKeyword, localized.falseKeyword, 'true', 'false'].indexOf(iName) >= 0 ||
+              keywords.indexOf(iName) >= 0;
+    }
+
+    function isCallee(iToken) {
+      return iToken && (((iToken.type === 'name') && (keywords.indexOf(iToken.text) < 0)) ||
+                        (iToken.type === 'quoted') || (iToken.text === ')'));
+    }
+
+    function quote(iName) {
+      return '`' + iName + '`';
+    }
+
+    function convertName(iToken, iNext) {
+      var text = iToken.text;
+      if (iNext && (iNext.text === '(') && (keywords.indexOf(text) < 0)) {
+        text = iToCanonical ? localized.canonicalFunctionName(text) : localized.functionDisplayName(text);
+      }
+      else if (text === from.trueKeyword) {
+        return to.trueKeyword;
+      }
+      else if (text === from.falseKeyword) {
+        return to.falseKeyword;
+      }
+      else {
+        if ((text === 'let') && iNext && ((iNext.type === 'name') || (iNext.type === 'quoted')))
+          ++frames[frames.length - 1].pendingLets;
+        // names which would be interpreted as localized keywords must be quoted
+        if (!iToCanonical && ((text === to.trueKeyword) || (text === to.falseKeyword)))
+          return quote(text);
+      }
+      return iToCanonical && !canonicalNameRegExp.test(text) ? quote(text) : text;
+    }
+
+    function convertQuoted(iToken) {
+      var name = iToken.text.slice(1, -1),
+          match = localizedNameRegExp.exec(name);
+      // quotes are only necessary in the localized syntax for names which aren't identifiers
+      return !iToCanonical && match && (match[0] === name) && !isKeywordName(name) ? name : iToken.text;
+    }
+
+    function convertPunctuation(iToken) {
+      var text = iToken.text,
+          frame = frames[frames.length - 1];
+      switch (text) {
+        case '(':
+          frames.push({ isCall: isCallee(previous), pendingLets: 0 });
+          break;
+        case '{':
+          frames.push({ isCall: false, pendingLets: 0 });
+          break;
+        case ')':
+        case '}':
+          if (frames.length > 1) frames.pop();
+          break;
+        default:
+          if ((text === ';') && frame.pendingLets)
+            --frame.pendingLets;
+          else if ((text === from.argumentSeparator) && frame.isCall)
+            text = to.argumentSeparator;
+      }
+      return text;
+    }
+
+    tokens.forEach(function(iToken, iIndex) {
+      var text = iToken.text;
+      switch (iToken.type) {
+        case 'number':
+          // localized number literals require digits on both sides of the decimal separator
+          if (!iToCanonical && (to.decimalSeparator !== '.'))
+            text = text.replace(/^\./, '0.').replace(/\.(?!\d)/, '');
+          text = text.replace(from.decimalSeparator, to.decimalSeparator);
+          break;
+        case 'name':
+          text = convertName(iToken, nextSignificant(iIndex));
+          break;
+        case 'quoted':
+          text = convertQuoted(iToken);
+          break;
+        case 'punctuation':
+          text = convertPunctuation(iToken);
+          break;
+      }
+      segments.push({ fromStart: iToken.start, fromEnd: iToken.start + iToken.text.length,
+                      toStart: output.length, toEnd: output.length + text.length });
+      output += text;
+      if (isSignificant(iToken))
+        previous = iToken;
+    });
+
+    return { source: output, segments: segments };
+  }
+};
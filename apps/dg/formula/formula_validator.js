@@ -0,0 +1,276 @@
+// ==========================================================================
+//                          DG.FormulaValidator
+//
+//  Copyright (c) 2021 by The Concord Consortium, Inc. All rights reserved.
+//
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing, software
+//  distributed under the License is distributed on an "AS IS" BASIS,
+//  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//  See the License for the specific language governing permissions and
+//  limitations under the License.
+// ==========================================================================
+
+sc_require('formula/formula');
+sc_require('formula/formula_common');
+sc_require('formula/function_registry');
+
+/**
+  Static validation of formulas, e.g. for reporting problems to the user while a
+  formula is being edited rather than after it has been evaluated.
+
+  A diagnostic describes a single problem:
+    {Number}  start -- the offset in the source at which the problem starts
+    {Number}  end -- the offset in the source at which the problem ends
+    {String}  message -- the localized description of the problem
+ */
+DG.FormulaValidator = {
+
+  /**
+    Names which are valid in any formula.
+    @type {String[]}
+   */
+  constantNames: ['e', 'pi', 'π'],
+
+  /**
+    Validates the specified formula source.
+    @param    {String}    iSource -- the formula source
+    @param    {Object}    iOptions
+                {String[]}  names -- valid variable names, e.g. attributes and global values;
+                                     if not specified, variable names aren't validated
+                {String[]}  childNames -- names which may only be referenced within the
+                                          arguments of aggregate functions, e.g. child attributes
+                {Boolean}   allowsAggregates -- whether aggregate functions may be used (default true)
+    @returns  {Object[]}  the diagnostics, ordered by location
+   */
+  validate: function(iSource, iOptions) {
+    var options = iOptions || {},
+        names = options.names && this.constantNames.concat(options.names),
+        childNames = options.childNames || [],
+        allowsAggregates = options.allowsAggregates !== false,
+        registry = DG.functionRegistry,
+        diagnostics = [],
+        parsed;
+
+    function report(iLocation, iMessage) {
+      diagnostics.push({ start: iLocation.start, end: iLocation.end, message: iMessage });
+    }
+
+    // strings which can't be interpreted as numbers (or dates) in arithmetic
+    function isNonNumericString(iValue) {
+      return (typeof iValue === 'string') && !DG.Formula.whiteSpaceRegExp.test(iValue) &&
+              isNaN(Number(iValue)) && !DG.isDateString(iValue);
+    }
+
+    // Returns the static type of the node ('number', 'string', 'boolean') or null if unknown.
+    function staticType(iNode) {
+      var leftType, rightType, trueType;
+      switch (iNode.type) {
+        case 'BooleanLiteral':
+          return 'boolean';
+        case 'NumericLiteral':
+          return 'number';
+        case 'StringLiteral':
+          return isNonNumericString(iNode.value) ? 'string' : null;
+        case 'UnaryExpression':
+          return iNode.operator === '!' ? 'boolean' : 'number';
+        case 'BinaryExpression':
+          switch (iNode.operator) {
+            case '+':
+              // non-numeric strings are concatenated
+              leftType = staticType(iNode.left);
+              rightType = staticType(iNode.right);
+              if ((leftType === 'string') || (rightType === 'string')) return 'string';
+              return (leftType === 'number') && (rightType === 'number') ? 'number' : null;
+            case '-': case '*': case '/': case '%': case '^':
+              return 'number';
+            case '&&': case '||':
+              return null;
+          }
+          return 'boolean';
+        case 'ConditionalExpression':
+          trueType = staticType(iNode.trueExpression);
+          return trueType === staticType(iNode.falseExpression) ? trueType : null;
+        case 'LetExpression':
+          return staticType(iNode.body);
+      }
+      return null;
+    }
+
+    // Reports operands which can't be converted to numbers, e.g. "a" * 2
+    function checkNumericOperand(iNode, iOperator) {
+      if (staticType(iNode) === 'string')
+        report(iNode.location, new DG.TypeError(iOperator).message);
+    }
+
+    // iArgCount defaults to the number of arguments of the node
+    function checkArgCount(iNode, iName, iMinArgs, iMaxArgs, iArgCount) {
+      var argCount = SC.none(iArgCount) ? iNode.args.length : iArgCount;
+      if ((argCount < iMinArgs) || (!SC.none(iMaxArgs) && (argCount > iMaxArgs)))
+        report(iNode.location, new DG.FuncArgsError(iName, { min: iMinArgs, max: iMaxArgs }).message);
+    }
+
+    // Reports non-numeric arguments to parameters documented as numeric
+    function checkArgTypes(iNode, iName) {
+      var info = registry.getFunctionInfo(iName),
+          argInfos = info && info.args;
+      if (!argInfos) return;
+      iNode.args.forEach(function(iArg, iIndex) {
+        var argInfo = argInfos[iIndex];
+        if (argInfo && (argInfo.type === 'number') && (staticType(iArg) === 'string'))
+          report(iArg.location, 'DG.FormulaValidator.numberExpected'.loc(iName, argInfo.name));
+      });
+    }
+
+    // Returns the named filter argument, e.g. filter(x > 0), of a call to an aggregate function
+    function namedFilterArg(iNode, iAggregateFn) {
+      var lastArg = iNode.args[iNode.args.length - 1];
+      return iAggregateFn.get('acceptsNamedFilter') && lastArg && (lastArg.type === 'FunctionCall') &&
+              (lastArg.name.type === 'Variable') && (lastArg.name.name === DG.AggregateFunction.NAMED_FILTER_NAME)
+                ? lastArg : null;
+    }
+
+    // iBoundNames are the names bound by enclosing let-bindings
+    function visit(iNode, iAggDepth, iBoundNames) {
+      var name, aggregateFn, userFn, fn, filterArg, argDepth = iAggDepth;
+      switch (iNode.type) {
+        case 'Variable':
+          name = iNode.name;
+          // the bound expression has already been validated
+          if (iBoundNames.indexOf(name) >= 0) break;
+          if (childNames.indexOf(name) >= 0) {
+            if (!iAggDepth)
+              report(iNode.location, new DG.HierReferenceError(name).message);
+          }
+          else if (names && (names.indexOf(name) < 0)) {
+            report(iNode.location, new DG.VarReferenceError(name).message);
+          }
+          break;
+        case 'FunctionCall':
+          name = iNode.name.type === 'Variable' ? iNode.name.name : null;
+          aggregateFn = name && registry.getAggregate(name);
+          userFn = name && DG.formulaFunctionsController &&
+                    DG.formulaFunctionsController.getFunctionByName(name);
+          fn = name && registry.getFunction(name);
+          if (aggregateFn) {
+            if (!allowsAggregates)
+              report(iNode.name.location, 'DG.FormulaValidator.aggregateNotAllowed'.loc(name));
+            filterArg = namedFilterArg(iNode, aggregateFn);
+            if (filterArg) {
+              checkArgCount(filterArg, DG.AggregateFunction.NAMED_FILTER_NAME, 1, 1);
+              checkArgCount(iNode, name, aggregateFn.get('requiredArgs').min,
+                            aggregateFn.get('requiredArgs').max, iNode.args.length - 1);
+            }
+            else {
+              // an extra argument is interpreted as a filter
+              checkArgCount(iNode, name, aggregateFn.get('requiredArgs').min,
+                            aggregateFn.get('requiredArgs').max + 1);
+            }
+            ++argDepth;
+          }
+          else if (fn) {
+            checkArgCount(iNode, name, fn.minArgs, fn.maxArgs);
+            checkArgTypes(iNode, name);
+          }
+          else if (userFn) {
+            checkArgCount(iNode, name, userFn.get('params').length, userFn.get('params').length);
+          }
+          else {
+            report(iNode.name.location, new DG.FuncReferenceError(name ||
+                    iSource.slice(iNode.name.location.start, iNode.name.location.end)).message);
+          }
+          iNode.args.forEach(function(iArg) {
+            // the arguments of a named filter are arguments of the aggregate function
+            if (iArg === filterArg) {
+              iArg.args.forEach(function(iFilterArg) {
+                visit(iFilterArg, argDepth, iBoundNames);
+              });
+            }
+            else
+              visit(iArg, argDepth, iBoundNames);
+          });
+          // the name of a function isn't a variable reference
+          if (iNode.name.type !== 'Variable')
+            visit(iNode.name, iAggDepth, iBoundNames);
+          break;
+        case 'UnaryExpression':
+          if (iNode.operator === '-')
+            checkNumericOperand(iNode.expression, iNode.operator);
+          visit(iNode.expression, iAggDepth, iBoundNames);
+          break;
+        case 'BinaryExpression':
+          if (['-', '*', '/', '%', '^'].indexOf(iNode.operator) >= 0) {
+            checkNumericOperand(iNode.left, iNode.operator);
+            checkNumericOperand(iNode.right, iNode.operator);
+          }
+          visit(iNode.left, iAggDepth, iBoundNames);
+          visit(iNode.right, iAggDepth, iBoundNames);
+          break;
+        case 'ConditionalExpression':
+          visit(iNode.condition, iAggDepth, iBoundNames);
+          visit(iNode.trueExpression, iAggDepth, iBoundNames);
+          visit(iNode.falseExpression, iAggDepth, iBoundNames);
+          break;
+        case 'LetExpression':
+          visit(iNode.value, iAggDepth, iBoundNames);
+          visit(iNode.body, iAggDepth, iBoundNames.concat(iNode.name));
+          break;
+        case 'SwitchExpression':
+          visit(iNode.discriminant, iAggDepth, iBoundNames);
+          iNode.cases.forEach(function(iCase) {
+            visit(iCase.test, iAggDepth, iBoundNames);
+            visit(iCase.result, iAggDepth, iBoundNames);
+          });
+          if (iNode.defaultResult)
+            visit(iNode.defaultResult, iAggDepth, iBoundNames);
+          break;
+      }
+    }
+
+    if (!iSource || !iSource.trim()) return diagnostics;
+
+    try {
+      parsed = DG.formulaParser.parse(iSource);
+    }
+    catch (e) {
+      DG.Formula.localizeSyntaxError(e);
+      // underline the unexpected text or the last character if the formula is incomplete
+      report(e.found
+              ? { start: e.offset, end: e.offset + e.found.length }
+              : { start: Math.max(0, iSource.length - 1), end: iSource.length },
+              e.message);
+      return diagnostics;
+    }
+
+    visit(parsed, 0, []);
+    return diagnostics.sort(function(iDiag1, iDiag2) {
+                            return iDiag1.start - iDiag2.start;
+                          });
+  },
+
+  /**
+    Returns the validation options for formulas of attributes in the specified collection,
+    i.e. attribute names from the collection's data context, global value names, etc.
+    @param    {DG.CollectionClient|DG.Collection} iCollection
+    @returns  {Object}  options for validate()
+   */
+  optionsForCollection: function(iCollection) {
+    var collection = iCollection instanceof DG.CollectionClient
+                        ? iCollection.get('collection') : iCollection,
+        collections = collection && collection.getPath('context.collections'),
+        names = ['caseIndex'].concat(DG.globalsController.getGlobalValueNames()),
+        childNames = [];
+    DG.ObjectMap.forEach(collections, function(iID, iOtherCollection) {
+      var isChild = iOtherCollection.isDescendantOf(collection);
+      iOtherCollection.get('attrs').forEach(function(iAttr) {
+        (isChild ? childNames : names).push(iAttr.get('name'));
+      });
+    });
+    return { names: names, childNames: childNames };
+  }
+};
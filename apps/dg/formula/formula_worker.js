@@ -0,0 +1,500 @@
+// ==========================================================================
+//                          DG.FormulaWorker
+//
+//  Copyright (c) 2021 by The Concord Consortium, Inc. All rights reserved.
+//
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing, software
+//  distributed under the License is distributed on an "AS IS" BASIS,
+//  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//  See the License for the specific language governing permissions and
+//  limitations under the License.
+// ==========================================================================
+
+sc_require('formula/basic_functions');
+sc_require('formula/formula');
+sc_require('formula/formula_common');
+sc_require('formula/formula_context');
+sc_require('utilities/object_map');
+
+/**
+  Evaluation of attribute formulas in a Web Worker so that the formulas of large
+  collections can be recalculated without blocking the user interface.
+
+  The worker can't access the data set, the function registry or anything else in
+  the main thread, so the client provides a columnar snapshot of the values the
+  formula references: a column of values (one per case) for each attribute or other
+  case-specific value and a constant value for each global value. The formula is compiled
+  in the main thread and the worker evaluates it for each case and posts the results back
+  in batches along with the progress of the evaluation.
+
+  Only a subset of formulas can be evaluated by the worker, i.e. those which use
+  operators, let-bindings, switch expressions and the functions supported by the
+  worker (cf. functionNames). Aggregate functions, lookup functions, random numbers,
+  user-defined functions, etc. require the main thread. Since dates are only supported
+  by the main thread, the evaluation of any case which encounters a value that might
+  be a date is deferred to the main thread as well.
+ */
+DG.FormulaWorker = (function() {
+
+  /**
+    The names of the functions which can be evaluated by the worker. Their definitions
+    (cf. basic_functions.js) are passed to the worker along with those of the DG.Formula
+    operators, so they mustn't refer to anything but SC.empty(), trunc() and the DG
+    functions provided by the worker (cf. formulaWorkerMain()).
+   */
+  var kFunctionNames = ['abs', 'acos', 'asin', 'atan', 'atan2', 'boolean', 'ceil', 'cos', 'exp',
+                        'floor', 'frac', 'if', 'ln', 'log', 'pow', 'round', 'sin', 'sqrt', 'string',
+                        'tan', 'trunc'],
+      // the DG.Formula properties referenced by formulas compiled for the worker
+      kFormulaNames = ['whiteSpaceRegExp', 'arithmeticStarter', 'arithmeticFinisher', 'stringFinisher',
+                        'add', 'subtract', 'lessThan', 'lessThanOrEqual', 'binaryOperator'];
+
+  /**
+    The code which runs in the worker. It must be self-contained, since it is converted
+    to source for the worker. The formulas it evaluates are compiled in the main thread
+    (cf. compile()) and the operators and functions they call are defined from the source
+    of the main thread's definitions, so the worker and the main thread agree.
+    When run in the worker, the global scope is passed in and the worker responds to
+    messages. When run in the main thread (e.g. for testing), an object can be passed
+    in instead, to which the evaluation functions are attached.
+    @param  {Object}  iGlobal -- the worker's global scope
+    @param  {Object}  iSources -- { formula: { name: source }, functions: { name: source } }
+   */
+  function formulaWorkerMain(iGlobal, iSources) {
+    var // thrown when the evaluation of a case must be deferred to the main thread
+        kDeferred = { deferred: true },
+        jobs = {},
+        jobOrder = [],
+        isScheduled = false,
+        SC = { empty: isEmpty },
+        // dates are only supported by the main thread
+        DG = {
+          Formula: {},
+          isDate: function(iValue) {
+            if (iValue instanceof Date) throw kDeferred;
+            return false;
+          },
+          // non-numeric strings with digits might be dates
+          isDateString: function(iValue) {
+            if ((typeof iValue === 'string') && isNaN(iValue) && /\d/.test(iValue))
+              throw kDeferred;
+            return false;
+          },
+          // only called for strings which can't be dates
+          createDate: function() {
+            return undefined;
+          },
+          TypeError: OperatorError
+        },
+        fns = {},
+        trunc;
+
+    function OperatorError(iOperator) {
+      this.operator = iOperator;
+    }
+
+    function isEmpty(iValue) {
+      return (iValue == null) || (iValue === '');
+    }
+
+    // defines a function (or other value) from its main thread source
+    function define(iSource) {
+      return new Function('DG', 'SC', 'trunc', 'return (' + iSource + ');')(DG, SC, trunc);
+    }
+
+    Object.keys(iSources.formula).forEach(function(iName) {
+      DG.Formula[iName] = define(iSources.formula[iName]);
+    });
+    trunc = define(iSources.functions.trunc);
+    Object.keys(iSources.functions).forEach(function(iName) {
+      fns[iName] = { evalFn: define(iSources.functions[iName]) };
+    });
+
+    // prepares the job's compiled formula for evaluation
+    function prepareJob(iJob) {
+      iJob.evaluate = new Function('DG', 'SC', 'c', 'e', 'return ' + iJob.source + ';');
+      iJob.context = {
+        _fns: fns,
+        // the value of the named variable for the case with the specified index
+        v: function(iName, iIndex) {
+          var column = iJob.columns[iName];
+          return column ? column[iIndex] : iJob.constants[iName];
+        }
+      };
+    }
+
+    /**
+      Evaluates the formula for the cases in the specified range.
+      @param    {Object}  iJob -- { source, columns, constants, deferredCases }
+      @param    {Number}  iStart -- the index of the first case to evaluate
+      @param    {Number}  iEnd -- the index after the last case to evaluate
+      @returns  {Object}  { start, values, errors: { index: operator }, deferred: [index] }
+     */
+    function evaluateRange(iJob, iStart, iEnd) {
+      var results = { start: iStart, values: [], errors: {}, deferred: [] },
+          i, value;
+      if (!iJob.evaluate) prepareJob(iJob);
+      for (i = iStart; i < iEnd; ++i) {
+        value = undefined;
+        if (iJob.deferredCases && iJob.deferredCases[i]) {
+          results.deferred.push(i);
+        }
+        else {
+          try {
+            value = iJob.evaluate(DG, SC, iJob.context, i);
+          }
+          catch (e) {
+            if (e instanceof OperatorError)
+              results.errors[i] = e.operator;
+            else
+              results.deferred.push(i);
+          }
+        }
+        results.values.push(value);
+      }
+      return results;
+    }
+
+    // Evaluates the next job for up to the progress interval and posts the results.
+    function processJobs() {
+      var jobID = jobOrder[0],
+          job = jobs[jobID],
+          start, end, endTime;
+      isScheduled = false;
+      if (!job) {
+        jobOrder.shift();
+      }
+      else {
+        start = end = job.next;
+        endTime = Date.now() + job.progressInterval;
+        while ((end < job.caseCount) && (Date.now() < endTime)) {
+          end = Math.min(end + job.batchSize, job.caseCount);
+        }
+        job.next = end;
+        iGlobal.postMessage({ type: 'progress', jobID: jobID,
+                              results: evaluateRange(job, start, end) });
+        if (end >= job.caseCount) {
+          iGlobal.postMessage({ type: 'complete', jobID: jobID });
+          delete jobs[jobID];
+          jobOrder.shift();
+        }
+      }
+      scheduleJobs();
+    }
+
+    // Yields between batches so that cancellations and new jobs are received.
+    function scheduleJobs() {
+      if (!isScheduled && jobOrder.length) {
+        isScheduled = true;
+        setTimeout(processJobs, 0);
+      }
+    }
+
+    iGlobal.evaluateRange = evaluateRange;
+    iGlobal.onmessage = function(iEvent) {
+      var message = iEvent.data,
+          job = message.job;
+      switch (message.type) {
+        case 'evaluate':
+          job.next = 0;
+          job.deferredCases = {};
+          (message.deferredCases || []).forEach(function(iIndex) {
+            job.deferredCases[iIndex] = true;
+          });
+          jobs[message.jobID] = job;
+          jobOrder.push(message.jobID);
+          scheduleJobs();
+          break;
+        case 'cancel':
+          delete jobs[message.jobID];
+          break;
+      }
+    };
+  }
+
+  /**
+    Returns the source of the main thread's definitions of the operators and functions
+    which are evaluated by the worker.
+    @returns  {Object}  { formula: { name: source }, functions: { name: source } }
+   */
+  function getSources() {
+    var sources = { formula: {}, functions: {} },
+        fns = DG.functionRegistry.get('functions');
+    kFormulaNames.forEach(function(iName) {
+      sources.formula[iName] = DG.Formula[iName].toString();
+    });
+    kFunctionNames.forEach(function(iName) {
+      sources.functions[iName] = fns[iName].evalFn.toString();
+    });
+    return sources;
+  }
+
+  var runtime = null;
+
+  return {
+
+    /**
+      Whether formulas of large collections are evaluated in the worker.
+      @type {Boolean}
+     */
+    isEnabled: true,
+
+    /**
+      The minimum number of cases for which a formula is evaluated in the worker.
+      Below this, the overhead of the worker exceeds the benefit.
+      @type {Number}
+     */
+    minCaseCount: 5000,
+
+    /**
+      The approximate interval in milliseconds at which results are posted by the worker.
+      @type {Number}
+     */
+    progressInterval: 200,
+
+    /**
+      The number of cases evaluated between checks of the progress interval.
+      @type {Number}
+     */
+    batchSize: 500,
+
+    /**
+      The names of the functions which can be evaluated by the worker.
+      @type {String[]}
+     */
+    functionNames: kFunctionNames,
+
+    _worker: null,
+    _workerFailed: false,
+    _jobs: {},
+    _nextJobID: 1,
+
+    /**
+      Returns the evaluation functions of the worker run in the main thread, e.g. for testing.
+      @returns  {Object}  { evaluateRange: {Function} }
+     */
+    getRuntime: function() {
+      if (!runtime) {
+        runtime = {};
+        formulaWorkerMain(runtime, getSources());
+      }
+      return runtime;
+    },
+
+    /**
+      Compiles the specified parse tree into the JavaScript evaluated by the worker,
+      in which variables are bound to the values of the job's snapshot.
+      @param    {Object}    iParseTree -- the parse tree of the formula
+      @returns  {String}    the JavaScript expression
+     */
+    compile: function(iParseTree) {
+      var context = DG.FormulaContext.create({
+            compileVariable: function(iName) {
+              return 'c.v(' + JSON.stringify(iName) + ',e)';
+            }
+          });
+      return DG.Formula.compileToJavaScript(iParseTree, context);
+    },
+
+    /**
+      Returns true if the worker is enabled and supported by the browser.
+      @returns {Boolean}
+     */
+    isAvailable: function() {
+      return this.isEnabled && !this._workerFailed && (typeof Worker !== 'undefined') &&
+              (typeof Blob !== 'undefined') && !!(window.URL && window.URL.createObjectURL);
+    },
+
+    /**
+      Returns the names of the variables referenced by the specified parse tree,
+      excluding let-bound names, or null if the formula can't be evaluated by the worker.
+      @param    {Object}    iParseTree -- the parse tree of the formula
+      @returns  {String[]|null}
+     */
+    getVariableNames: function(iParseTree) {
+      var names = [],
+          functionNames = this.functionNames,
+          isEvaluable = true;
+
+      function visit(iNode, iBoundNames) {
+        if (!iNode || !isEvaluable) return;
+        switch (iNode.type) {
+          case 'Variable':
+            if ((iBoundNames.indexOf(iNode.name) < 0) && (names.indexOf(iNode.name) < 0))
+              names.push(iNode.name);
+            break;
+          case 'FunctionCall':
+            if (functionNames.indexOf(iNode.name.name) < 0)
+              isEvaluable = false;
+            (iNode.args || []).forEach(function(iArg) { visit(iArg, iBoundNames); });
+            break;
+          case 'UnaryExpression':
+            visit(iNode.expression, iBoundNames);
+            break;
+          case 'BinaryExpression':
+            visit(iNode.left, iBoundNames);
+            visit(iNode.right, iBoundNames);
+            break;
+          case 'ConditionalExpression':
+            visit(iNode.condition, iBoundNames);
+            visit(iNode.trueExpression, iBoundNames);
+            visit(iNode.falseExpression, iBoundNames);
+            break;
+          case 'LetExpression':
+            visit(iNode.value, iBoundNames);
+            visit(iNode.body, iBoundNames.concat(iNode.name));
+            break;
+          case 'SwitchExpression':
+            visit(iNode.discriminant, iBoundNames);
+            iNode.cases.forEach(function(iCase) {
+              visit(iCase.test, iBoundNames);
+              visit(iCase.result, iBoundNames);
+            });
+            visit(iNode.defaultResult, iBoundNames);
+            break;
+        }
+      }
+
+      visit(iParseTree, []);
+      return isEvaluable ? names : null;
+    },
+
+    /**
+      Evaluates the formula for each case of the snapshot in the worker.
+      Callbacks are invoked within a run loop.
+      @param    {Object}    iSpec
+                  {Object}    parseTree -- the parse tree of the formula
+                  {Number}    caseCount -- the number of cases to evaluate
+                  {Object}    columns -- map from variable name to an array of values, one per case
+                  {Object}    constants -- map from variable name to value
+                  {Number[]}  deferredCases -- indices of cases which must be evaluated in the main thread
+                  {Function}  onProgress -- called with the results of each batch of cases
+                                ({ start, values, isDeferred: { index: true } }) and the progress (0-1)
+                  {Function}  onComplete -- called when all cases have been evaluated
+                  {Function}  onError -- called if the worker fails
+      @returns  {Object}    the job, whose cancel() method stops the evaluation
+     */
+    evaluate: function(iSpec) {
+      var jobID = this._nextJobID++,
+          job = {
+            spec: iSpec,
+            cancel: function() {
+              if (this._jobs[jobID]) {
+                delete this._jobs[jobID];
+                if (this._worker)
+                  this._worker.postMessage({ type: 'cancel', jobID: jobID });
+              }
+            }.bind(this)
+          },
+          worker = this.getWorker();
+      if (!worker) {
+        this.invokeLater(iSpec.onError);
+        return job;
+      }
+      this._jobs[jobID] = job;
+      worker.postMessage({
+        type: 'evaluate',
+        jobID: jobID,
+        job: {
+          source: this.compile(iSpec.parseTree),
+          caseCount: iSpec.caseCount,
+          columns: iSpec.columns || {},
+          constants: iSpec.constants || {},
+          progressInterval: this.progressInterval,
+          batchSize: this.batchSize
+        },
+        deferredCases: iSpec.deferredCases
+      });
+      return job;
+    },
+
+    /**
+      Returns the worker, creating it if necessary, or null if it can't be created.
+      @returns  {Worker|null}
+     */
+    getWorker: function() {
+      if (!this._worker && !this._workerFailed) {
+        try {
+          var source = '(' + formulaWorkerMain.toString() + ')(self, ' + JSON.stringify(getSources()) + ');',
+              url = window.URL.createObjectURL(new Blob([source], { type: 'application/javascript' }));
+          this._worker = new Worker(url);
+          this._worker.onmessage = this.workerDidPostMessage.bind(this);
+          this._worker.onerror = this.workerDidFail.bind(this);
+        }
+        catch (e) {
+          DG.logWarn("DG.FormulaWorker: unable to create worker: " + e);
+          this._workerFailed = true;
+        }
+      }
+      return this._worker;
+    },
+
+    /**
+      Handler for messages posted by the worker.
+      @param  {MessageEvent}  iEvent
+     */
+    workerDidPostMessage: function(iEvent) {
+      var message = iEvent.data,
+          job = this._jobs[message.jobID],
+          spec = job && job.spec;
+      // ignore messages for cancelled jobs
+      if (!spec) return;
+      SC.run(function() {
+        switch (message.type) {
+          case 'progress':
+            var results = message.results,
+                isDeferred = {};
+            results.deferred.forEach(function(iIndex) {
+              isDeferred[iIndex] = true;
+            });
+            DG.ObjectMap.forEach(results.errors, function(iIndex, iOperator) {
+              results.values[iIndex - results.start] = new DG.TypeError(iOperator);
+            });
+            spec.onProgress({ start: results.start, values: results.values, isDeferred: isDeferred },
+                            (results.start + results.values.length) / spec.caseCount);
+            break;
+          case 'complete':
+            delete this._jobs[message.jobID];
+            spec.onComplete();
+            break;
+        }
+      }.bind(this));
+    },
+
+    /**
+      Handler for errors in the worker, in which case the worker is no longer used
+      and any jobs in progress fail.
+      @param  {ErrorEvent}  iEvent
+     */
+    workerDidFail: function(iEvent) {
+      var jobs = this._jobs;
+      DG.logWarn("DG.FormulaWorker: worker failed: " + (iEvent && iEvent.message));
+      this._worker.terminate();
+      this._worker = null;
+      this._workerFailed = true;
+      this._jobs = {};
+      SC.run(function() {
+        DG.ObjectMap.forEach(jobs, function(iJobID, iJob) {
+          iJob.spec.onError();
+        });
+      });
+    },
+
+    /**
+      Invokes the specified function asynchronously within a run loop.
+      @param  {Function}  iFunction
+     */
+    invokeLater: function(iFunction) {
+      setTimeout(function() {
+        SC.run(iFunction);
+      }, 0);
+    }
+  };
+
+}());
@@ -19,12 +19,12 @@
 sc_require('utilities/object_map');
 
 /*
- * For full localization, we will need to allow localization of function names.
- * In preparation for that eventuality, localized function string resources
- * contain a displayName field. Until the code is prepared to actually use
- * the displayName field appropriately, however, this flag prevents its use.
+ * Localized function string resources contain a displayName field, which is the
+ * name users read and type in formulas (cf. DG.FormulaLocalizer). Formulas are
+ * stored with the canonical (English) function names, however. This flag can be
+ * cleared to display the canonical function names regardless of locale.
  */
-DG.useFunctionDisplayNames = false;
+DG.useFunctionDisplayNames = true;
 
 /** @class DG.FunctionRegistry
  *
@@ -44,6 +44,8 @@ DG.FunctionRegistry = SC.Object.extend((function() // closure
       fnNamesSorted = true,
       // localized strings to be loaded from resources
       fnStringsMap = null,
+      // map of user-defined function names -> function info objects
+      userFnInfoMap = {},
       // simple functions
       fns = {},
       // aggregate functions
@@ -163,7 +165,12 @@ DG.FunctionRegistry = SC.Object.extend((function() // closure
      */
     categorizedFunctionInfo: function() {
       prepareFunctionInfo();
-      return fnInfoMap;
+      if (!DG.ObjectMap.length(userFnInfoMap)) return fnInfoMap;
+
+      var result = {};
+      DG.ObjectMap.copy(result, fnInfoMap);
+      result['DG.Formula.FuncCategoryUser'.loc()] = userFnInfoMap;
+      return result;
     }.property(),
 
     /**
@@ -172,7 +179,8 @@ DG.FunctionRegistry = SC.Object.extend((function() // closure
      */
     namesArray: function() {
       prepareFunctionInfo();
-      return fnNamesArray;
+      var userFnNames = DG.ObjectMap.keys(userFnInfoMap);
+      return userFnNames.length ? fnNamesArray.concat(userFnNames).sort() : fnNamesArray;
     }.property(),
 
     /**
@@ -186,6 +194,17 @@ DG.FunctionRegistry = SC.Object.extend((function() // closure
                     });
     }.property(),
 
+    /**
+      Returns a flat array of function display names with parentheses added.
+      @type {string[]}
+     */
+    displayNamesWithParentheses: function() {
+      var fns = this.get('namesArray');
+      return fns.map(function(iName) {
+                      return this.getFunctionDisplayName(iName) + "()";
+                    }.bind(this));
+    }.property(),
+
     /**
       Returns the internal non-aggregate function objects map (currently
       still required by DG.FormulaContext for compiled evaluation).
@@ -213,6 +232,76 @@ DG.FunctionRegistry = SC.Object.extend((function() // closure
       DG.ObjectMap.copy(aggFns, iFunctions);
     },
 
+    /**
+      Replaces the user-defined functions (cf. DG.formulaFunctionsController), which are
+      listed in the function browser and completions along with the built-in functions.
+      Note that user-defined functions are not evaluated via the registry.
+      @param    {DG.FormulaFunction[]}  iFunctions - the user-defined functions
+     */
+    setUserFunctions: function(iFunctions) {
+      var category = 'DG.Formula.FuncCategoryUser'.loc();
+      userFnInfoMap = {};
+      (iFunctions || []).forEach(function(iFunction) {
+        var name = iFunction.get('name'),
+            params = iFunction.get('params'),
+            description = iFunction.get('description'),
+            definition = iFunction.get('definition');
+        userFnInfoMap[name] = {
+          name: name,
+          displayName: name,
+          category: category,
+          description: description || definition,
+          minArgs: params.length,
+          maxArgs: params.length,
+          args: params.map(function(iParam) {
+                  return { name: iParam, type: 'any', required: true };
+                }),
+          examples: description ? [definition] : []
+        };
+      });
+      this.notifyPropertyChange('categorizedFunctionInfo');
+    },
+
+    /**
+      Returns the documentation info for the specified function name, e.g. the
+      names and types of its arguments, including user-defined functions.
+      @param    {string}  iFnName - the name of the function
+      @returns  {object}  the function info object or undefined if not found
+     */
+    getFunctionInfo: function(iFnName) {
+      var categoryFns = DG.ObjectMap.values(this.get('categorizedFunctionInfo')),
+          i;
+      for (i = 0; i < categoryFns.length; ++i) {
+        if (categoryFns[i][iFnName]) return categoryFns[i][iFnName];
+      }
+    },
+
+    /**
+      Returns the localized name of the specified function, i.e. its display name.
+      @param    {string}  iFnName - the (canonical) name of the function
+      @returns  {string}  the display name or the name itself if not found
+     */
+    getFunctionDisplayName: function(iFnName) {
+      var info = this.getFunctionInfo(iFnName);
+      return (info && info.displayName) || iFnName;
+    },
+
+    /**
+      Returns the (canonical) name of the function with the specified display name.
+      @param    {string}  iDisplayName - the localized name of the function
+      @returns  {string}  the name of the function or the display name itself if not found
+     */
+    getFunctionNameForDisplayName: function(iDisplayName) {
+      var result = iDisplayName;
+      DG.ObjectMap.forEach(this.get('categorizedFunctionInfo'), function(iCategory, iFnInfos) {
+        DG.ObjectMap.forEach(iFnInfos, function(iName, iInfo) {
+          if (iInfo.displayName === iDisplayName)
+            result = iName;
+        });
+      });
+      return result;
+    },
+
     /**
       Return the function object for the specified function name.
       @param    {string}  iFnName - the name of the function
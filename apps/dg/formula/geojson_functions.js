@@ -26,6 +26,29 @@ sc_require('utilities/geojson_utils');
  */
 DG.functionRegistry.registerFunctions((function() {
 
+  /**
+    Utility function for converting a boundary argument, e.g. the result of lookupBoundary()
+    or a GeoJSON string, to its geometry. Returns null for empty or invalid boundaries.
+   */
+  function boundaryGeometry(iBoundary) {
+    if (iBoundary instanceof Error) throw iBoundary;
+    if (SC.empty(iBoundary)) return null;
+    if (iBoundary instanceof DG.BoundaryMap) throw new DG.TypeError();
+    return DG.GeojsonUtils.boundaryGeometryFromBoundaryValue(iBoundary);
+  }
+
+  /**
+    Utility function for converting latitude/longitude arguments to numbers.
+    Returns null if either is not a valid coordinate.
+   */
+  function coordinates(iLat, iLong) {
+    var lat = DG.getNumeric(iLat),
+        lng = DG.getNumeric(iLong);
+    return (lat != null) && (lng != null) && (Math.abs(lat) <= 90)
+              ? { lat: lat, lng: lng }
+              : null;
+  }
+
   return {
     /**
       Returns true if the specified string contains the specified target string
@@ -43,6 +66,114 @@ DG.functionRegistry.registerFunctions((function() {
         if (!(iBoundaryMap instanceof DG.BoundaryMap)) throw new DG.TypeError();
         return iBoundaryMap.map[iBoundaryName.toString().toLowerCase()] || '';
       }
+    },
+
+    /**
+      Returns true if the specified point is inside the specified boundary.
+      @param    {Number}  iLat - the latitude of the point in degrees
+      @param    {Number}  iLong - the longitude of the point in degrees
+      @param    {Object}  iBoundary - the boundary, e.g. as returned by lookupBoundary()
+      @returns  {Boolean} true if the point is inside the boundary
+     */
+    'pointInBoundary': {
+      minArgs:3, maxArgs:3, category: 'DG.Formula.FuncCategoryOther',
+      evalFn: function(iLat, iLong, iBoundary) {
+        var geometry = boundaryGeometry(iBoundary),
+            point = coordinates(iLat, iLong);
+        if (!geometry || !point) return '';
+        return DG.GeojsonUtils.isPointInBoundaryGeometry(point.lat, point.lng, geometry);
+      }
+    },
+
+    /**
+      Returns the area of the specified boundary in square kilometers.
+      @param    {Object}  iBoundary - the boundary, e.g. as returned by lookupBoundary()
+      @returns  {Number}  the area of the boundary
+     */
+    'boundaryArea': {
+      minArgs:1, maxArgs:1, category: 'DG.Formula.FuncCategoryOther',
+      evalFn: function(iBoundary) {
+        var geometry = boundaryGeometry(iBoundary);
+        return geometry ? DG.GeojsonUtils.boundaryGeometryArea(geometry) : '';
+      }
+    },
+
+    /**
+      Returns the latitude of the centroid of the specified boundary.
+      @param    {Object}  iBoundary - the boundary, e.g. as returned by lookupBoundary()
+      @returns  {Number}  the latitude of the centroid in degrees
+     */
+    'boundaryCentroidLat': {
+      minArgs:1, maxArgs:1, category: 'DG.Formula.FuncCategoryOther',
+      evalFn: function(iBoundary) {
+        var geometry = boundaryGeometry(iBoundary),
+            centroid = geometry && DG.GeojsonUtils.boundaryGeometryCentroid(geometry);
+        return centroid ? centroid.lat : '';
+      }
+    },
+
+    /**
+      Returns the longitude of the centroid of the specified boundary.
+      @param    {Object}  iBoundary - the boundary, e.g. as returned by lookupBoundary()
+      @returns  {Number}  the longitude of the centroid in degrees
+     */
+    'boundaryCentroidLong': {
+      minArgs:1, maxArgs:1, category: 'DG.Formula.FuncCategoryOther',
+      evalFn: function(iBoundary) {
+        var geometry = boundaryGeometry(iBoundary),
+            centroid = geometry && DG.GeojsonUtils.boundaryGeometryCentroid(geometry);
+        return centroid ? centroid.lng : '';
+      }
+    },
+
+    /**
+      Returns the perimeter of the specified boundary in kilometers.
+      @param    {Object}  iBoundary - the boundary, e.g. as returned by lookupBoundary()
+      @returns  {Number}  the perimeter of the boundary
+     */
+    'boundaryPerimeter': {
+      minArgs:1, maxArgs:1, category: 'DG.Formula.FuncCategoryOther',
+      evalFn: function(iBoundary) {
+        var geometry = boundaryGeometry(iBoundary);
+        return geometry ? DG.GeojsonUtils.boundaryGeometryPerimeter(geometry) : '';
+      }
+    },
+
+    /**
+      Returns the name of the boundary in the specified set of boundaries which contains
+      the specified point or, if no boundary contains the point, the name of the closest one.
+      @param    {Number}  iLat - the latitude of the point in degrees
+      @param    {Number}  iLong - the longitude of the point in degrees
+      @param    {DG.BoundaryMap}  iBoundaryMap - the set of boundaries, e.g. US_state_boundaries
+      @param    {Number}  [iMaxDistance] - the maximum distance in kilometers of the boundary from
+                                          the point; if there is no such boundary the result is empty
+      @returns  {String}  the name of the boundary
+     */
+    'nearestBoundary': {
+      minArgs:3, maxArgs:4, category: 'DG.Formula.FuncCategoryLookup',
+      evalFn: function(iLat, iLong, iBoundaryMap, iMaxDistance) {
+        if (iBoundaryMap instanceof Error) throw iBoundaryMap;
+        var point = coordinates(iLat, iLong),
+            maxDistance = DG.getNumeric(iMaxDistance),
+            bestDistance = Infinity,
+            bestName = '';
+        if (!iBoundaryMap || !point) return '';
+        if (!(iBoundaryMap instanceof DG.BoundaryMap)) throw new DG.TypeError();
+        DG.GeojsonUtils.boundaryGeometriesFromBoundaryMap(iBoundaryMap).some(function(iEntry) {
+          var geometry = iEntry.geometry,
+              distance;
+          if (DG.GeojsonUtils.distanceToBoundaryBounds(point.lat, point.lng, geometry.bounds) > bestDistance)
+            return false;
+          distance = DG.GeojsonUtils.distanceToBoundaryGeometry(point.lat, point.lng, geometry);
+          if (distance < bestDistance) {
+            bestDistance = distance;
+            bestName = iEntry.name;
+          }
+          // a boundary which contains the point can't be beaten
+          return distance === 0;
+        });
+        return (maxDistance == null) || (bestDistance <= maxDistance) ? bestName : '';
+      }
     }
 
   };
@@ -87,7 +87,9 @@ DG.GlobalFormulaContext = DG.FormulaContext.extend({
     // Check for a match with any global variables (e.g. sliders)
     var globalValue = DG.globalsController.findGlobalByName( iName);
     if( globalValue) {
-      this.g[ iName] = true;  // add entry in map for dependency tracking
+      // add entry in map for dependency tracking without replacing a compiled accessor
+      if( !this.g) this.g = {};
+      if( !this.g[ iName]) this.g[ iName] = true;
       return globalValue.get('value');
     }
 
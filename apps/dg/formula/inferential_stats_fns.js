@@ -0,0 +1,318 @@
+// ==========================================================================
+//               Inferential Stats Aggregate Functions
+//
+//  Copyright (c) 2021 by The Concord Consortium, Inc. All rights reserved.
+//
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing, software
+//  distributed under the License is distributed on an "AS IS" BASIS,
+//  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//  See the License for the specific language governing permissions and
+//  limitations under the License.
+// ==========================================================================
+
+sc_require('formula/aggregate_function');
+sc_require('formula/function_registry');
+sc_require('utilities/distribution_utilities');
+
+/** @class DG.InferentialStatsFns
+
+  The DG.InferentialStatsFns object implements aggregate functions that
+  perform hypothesis tests and compute confidence intervals, e.g. tTestPValue(),
+  tInterval(), propZTest(), etc. Like the descriptive statistics functions, they
+  support a trailing filter argument and are computed separately for each parent case.
+ */
+DG.functionRegistry.registerAggregates((function() {
+
+  /**
+    Evaluates a parameter argument (e.g. the hypothesized mean or the confidence level)
+    for the aggregate evaluation. As with percentile(), the value is evaluated for the
+    case being evaluated when the aggregate is (re)computed.
+    @param  {DG.FormulaContext}   iContext
+    @param  {Object}              iEvalContext -- { _case_: , _id_: }
+    @param  {Object}              iInstance -- The aggregate function instance from the context.
+    @param  {Number}              iArgIndex -- The index of the parameter argument
+    @returns  {Number|null}
+   */
+  function evalParameter(iContext, iEvalContext, iInstance, iArgIndex) {
+    var paramFn = iInstance.argFns[iArgIndex];
+    return paramFn ? DG.getNumeric(paramFn(iContext, iEvalContext)) : null;
+  }
+
+  /**
+    Returns the two-sided p-value for the specified t statistic.
+   */
+  function tTwoSidedPValue(t, df) {
+    return 2 * DG.DistributionUtilities.tCDF(-Math.abs(t), df);
+  }
+
+  /**
+    Returns the margin of error of the t interval for the mean of the cached values.
+    @param  {Object}  iCache -- { sum: , values: } as cached by DG.CachedValuesParentCaseAggregate
+    @param  {Number}  iLevel -- the confidence level (0 < level < 1)
+    @param  {Object}  iAggregateFn -- the aggregate function, which computes the variance
+    @returns  {Number}
+   */
+  function tIntervalMargin(iCache, iLevel, iAggregateFn) {
+    var count = iCache.values.length,
+        stdErr = Math.sqrt(iAggregateFn.computeVarianceFromCache(iCache) / count);
+    return DG.DistributionUtilities.invT((1 + iLevel) / 2, count - 1) * stdErr;
+  }
+
+  /**
+    Returns the success/failure status of a value for the purposes of proportion tests.
+    Boolean values and their string equivalents are treated as such, and numeric values
+    are successes if non-zero. All other values are ignored.
+    @param    {Object}  iValue
+    @returns  {Boolean|null} true for success, false for failure, null if not applicable
+   */
+  function proportionOutcome(iValue) {
+    if ((iValue === true) || (iValue === false)) return iValue;
+    if (DG.isNumeric(iValue)) return Number(iValue) !== 0;
+    if (typeof iValue === 'string') {
+      var lcValue = iValue.toLowerCase();
+      if (lcValue === 'true') return true;
+      if (lcValue === 'false') return false;
+    }
+    return null;
+  }
+
+  /**
+    Base object for functions which compute a t interval for the mean.
+   */
+  var TIntervalFn = DG.CachedValuesParentCaseAggregate.extend({
+
+    requiredArgs: { min: 1, max: 2 },
+
+    preEvaluate: function(iContext, iEvalContext, iInstance) {
+      sc_super();
+      var level = evalParameter(iContext, iEvalContext, iInstance, 1);
+      iInstance.level = level != null ? level : 0.95;
+    },
+
+    computeResultFromCache: function(iCache, iInstance) {
+      var margin = tIntervalMargin(iCache, iInstance.level, this);
+      return this.computeIntervalResult(iCache.sum / iCache.values.length, margin);
+    },
+
+    /**
+      Derived classes must override to return the appropriate result.
+      @param  {Number}  iMean -- the sample mean
+      @param  {Number}  iMargin -- the margin of error
+     */
+    computeIntervalResult: function(iMean, iMargin) {
+    }
+  });
+
+return {
+
+  /**
+    tTestPValue(expr, mu0, filter)
+    Returns the two-sided p-value of a one-sample t test of the hypothesis
+    that the mean of the population from which expr is sampled is mu0.
+   */
+  tTestPValue: DG.CachedValuesParentCaseAggregate.create({
+
+    requiredArgs: { min: 2, max: 2 },
+
+    preEvaluate: function(iContext, iEvalContext, iInstance) {
+      sc_super();
+      iInstance.mu0 = evalParameter(iContext, iEvalContext, iInstance, 1);
+    },
+
+    computeResultFromCache: function(iCache, iInstance) {
+      var count = iCache.values.length,
+          stdErr = Math.sqrt(this.computeVarianceFromCache(iCache) / count);
+      if (iInstance.mu0 == null) return NaN;
+      return tTwoSidedPValue((iCache.sum / count - iInstance.mu0) / stdErr, count - 1);
+    }
+  }),
+
+  /**
+    tInterval(expr, level, filter)
+    Returns the margin of error of the t confidence interval for the mean of expr,
+    i.e. the interval is mean(expr) ± tInterval(expr, level). The level defaults to 0.95.
+   */
+  tInterval: TIntervalFn.create({
+
+    computeIntervalResult: function(iMean, iMargin) {
+      return iMargin;
+    }
+  }),
+
+  /**
+    tIntervalLower(expr, level, filter)
+    Returns the lower bound of the t confidence interval for the mean of expr.
+   */
+  tIntervalLower: TIntervalFn.create({
+
+    computeIntervalResult: function(iMean, iMargin) {
+      return iMean - iMargin;
+    }
+  }),
+
+  /**
+    tIntervalUpper(expr, level, filter)
+    Returns the upper bound of the t confidence interval for the mean of expr.
+   */
+  tIntervalUpper: TIntervalFn.create({
+
+    computeIntervalResult: function(iMean, iMargin) {
+      return iMean + iMargin;
+    }
+  }),
+
+  /**
+    twoSampleT(expr, groupExpr, filter)
+    Returns the two-sided p-value of a two-sample (Welch) t test of the hypothesis that
+    the means of expr are the same for the two groups identified by groupExpr.
+    groupExpr must have exactly two distinct values within each parent case.
+   */
+  twoSampleT: DG.CachedValuesParentCaseAggregate.create({
+
+    requiredArgs: { min: 2, max: 2 },
+
+    evalCase: function( iContext, iEvalContext, iInstance, iCacheID) {
+      var value = this.getNumericValue( iContext, iEvalContext, iInstance),
+          groupFn = iInstance.argFns[1],
+          group = groupFn && groupFn( iContext, iEvalContext);
+      if( (value != null) && !SC.empty(group)) {
+        var cache = iInstance.caches[ iCacheID] ||
+                      (iInstance.caches[ iCacheID] = {}),
+            groupCache = cache[ group];
+        if( groupCache) {
+          groupCache.sum += value;
+          groupCache.values.push(value);
+        }
+        else
+          cache[ group] = { sum: value, values: [value] };
+      }
+    },
+
+    computeResults: function( iContext, iEvalContext, iInstance) {
+      DG.ObjectMap.forEach( iInstance.caches,
+                            function( iKey, iCache) {
+                              var groups = DG.ObjectMap.values(iCache);
+                              iInstance.results[ iKey] = groups.length === 2
+                                                            ? this.computeWelchPValue(groups[0], groups[1])
+                                                            : NaN;
+                            }.bind(this));
+      return this.queryCache( iContext, iEvalContext, iInstance);
+    },
+
+    computeWelchPValue: function(iGroup1, iGroup2) {
+      var n1 = iGroup1.values.length,
+          n2 = iGroup2.values.length,
+          v1 = this.computeVarianceFromCache(iGroup1) / n1,
+          v2 = this.computeVarianceFromCache(iGroup2) / n2,
+          t = (iGroup1.sum / n1 - iGroup2.sum / n2) / Math.sqrt(v1 + v2),
+          df = (v1 + v2) * (v1 + v2) / (v1 * v1 / (n1 - 1) + v2 * v2 / (n2 - 1));
+      return tTwoSidedPValue(t, df);
+    }
+  }),
+
+  /**
+    propZTest(expr, p0, filter)
+    Returns the two-sided p-value of a one-proportion z test of the hypothesis that
+    the proportion of successes (cases for which expr is true) is p0.
+   */
+  propZTest: DG.ParentCaseAggregate.create({
+
+    requiredArgs: { min: 2, max: 2 },
+
+    preEvaluate: function(iContext, iEvalContext, iInstance) {
+      sc_super();
+      iInstance.p0 = evalParameter(iContext, iEvalContext, iInstance, 1);
+    },
+
+    evalCase: function( iContext, iEvalContext, iInstance, iCacheID) {
+      var outcome = proportionOutcome(this.getValue( iContext, iEvalContext, iInstance));
+      if( outcome != null) {
+        var cache = iInstance.caches[ iCacheID];
+        if( cache) {
+          cache.count += 1;
+          if (outcome) cache.successes += 1;
+        }
+        else
+          iInstance.caches[ iCacheID] = { count: 1, successes: outcome ? 1 : 0 };
+      }
+    },
+
+    computeResults: function( iContext, iEvalContext, iInstance) {
+      var p0 = iInstance.p0,
+          isValidP0 = (p0 != null) && (p0 > 0) && (p0 < 1);
+      DG.ObjectMap.forEach( iInstance.caches,
+                            function( iKey, iCache) {
+                              var z = isValidP0
+                                        ? (iCache.successes / iCache.count - p0) /
+                                            Math.sqrt(p0 * (1 - p0) / iCache.count)
+                                        : NaN;
+                              iInstance.results[ iKey] = 2 * DG.DistributionUtilities.normalCDF(-Math.abs(z), 0, 1);
+                            });
+      return this.queryCache( iContext, iEvalContext, iInstance);
+    }
+  }),
+
+  /**
+    chiSquareGOF(expr, expectedProportion, filter)
+    Returns the p-value of a chi-square goodness-of-fit test of the observed counts
+    of the categories of expr. The expectedProportion expression is evaluated for
+    each case and gives the expected proportion for that case's category; proportions
+    are normalized so they needn't sum to one. If no expected proportions are specified,
+    all categories are considered equally likely.
+   */
+  chiSquareGOF: DG.ParentCaseAggregate.create({
+
+    requiredArgs: { min: 1, max: 2 },
+
+    evalCase: function( iContext, iEvalContext, iInstance, iCacheID) {
+      var category = this.getValue( iContext, iEvalContext, iInstance),
+          expectedFn = iInstance.argFns[1],
+          expected = expectedFn && DG.getNumeric(expectedFn( iContext, iEvalContext));
+      if( !SC.empty(category)) {
+        var cache = iInstance.caches[ iCacheID] ||
+                      (iInstance.caches[ iCacheID] = { total: 0, counts: {}, expected: {} });
+        cache.counts[ category] = (cache.counts[ category] || 0) + 1;
+        ++cache.total;
+        if ((expected != null) && (cache.expected[ category] == null))
+          cache.expected[ category] = expected;
+      }
+    },
+
+    computeResults: function( iContext, iEvalContext, iInstance) {
+      DG.ObjectMap.forEach( iInstance.caches,
+                            function( iKey, iCache) {
+                              iInstance.results[ iKey] = this.computeGOFPValue(iCache);
+                            }.bind(this));
+      return this.queryCache( iContext, iEvalContext, iInstance);
+    },
+
+    computeGOFPValue: function(iCache) {
+      var categories = DG.ObjectMap.keys(iCache.counts),
+          categoryCount = categories.length,
+          hasExpected = DG.ObjectMap.length(iCache.expected) > 0,
+          expectedSum = 0,
+          chiSquare = 0;
+      if (categoryCount < 2) return NaN;
+      if (hasExpected) {
+        categories.forEach(function(iCategory) {
+          expectedSum += iCache.expected[iCategory] != null ? iCache.expected[iCategory] : NaN;
+        });
+      }
+      categories.forEach(function(iCategory) {
+        var proportion = hasExpected ? iCache.expected[iCategory] / expectedSum : 1 / categoryCount,
+            expectedCount = iCache.total * proportion,
+            diff = iCache.counts[iCategory] - expectedCount;
+        chiSquare += diff * diff / expectedCount;
+      });
+      return DG.DistributionUtilities.upperRegularizedGamma((categoryCount - 1) / 2, chiSquare / 2);
+    }
+  })
+};
+
+}()));
@@ -188,6 +188,29 @@ DG.functionRegistry.registerAggregates({
       return true;
     },
 
+    /**
+      The result of next() changes for the case preceding each changed case
+      (and the changed cases themselves when there's a default argument).
+      Filtered next() references may skip any number of cases, so all cases are affected.
+     */
+    getAffectedCases: function( iContext, iInstance, iCases) {
+      var collectionID = iContext.getPath('collection.id'),
+          argCount = iInstance.args.length,
+          result = [];
+      if (argCount > 2) return null;
+      return iCases.every(function( iCase) {
+        var parentCase = iCase.get('parent'),
+            siblings = parentCase ? parentCase.get('children')
+                                  : iContext.getPath('collection.cases'),
+            caseIndex = iContext.getCaseIndex( iCase),  // 1-based index
+            affectedCase = siblings && caseIndex && siblings.objectAt( caseIndex - 2);  // 0-based index
+        if (!caseIndex || (iCase.getPath('collection.id') !== collectionID)) return false;
+        if (affectedCase) result.push( affectedCase);
+        if (argCount > 1) result.push( iCase);
+        return true;
+      }) ? result : null;
+    },
+
     evaluate: function( iContext, iEvalContext, iInstance) {
       var valueFn = iInstance.argFns[0],
           defaultFn = iInstance.argFns[1],
@@ -258,6 +281,29 @@ DG.functionRegistry.registerAggregates({
       return true;
     },
 
+    /**
+      The result of prev() changes for the case following each changed case
+      (and the changed cases themselves when there's a default argument).
+      Filtered prev() references may skip any number of cases, so all cases are affected.
+     */
+    getAffectedCases: function( iContext, iInstance, iCases) {
+      var collectionID = iContext.getPath('collection.id'),
+          argCount = iInstance.args.length,
+          result = [];
+      if (argCount > 2) return null;
+      return iCases.every(function( iCase) {
+        var parentCase = iCase.get('parent'),
+            siblings = parentCase ? parentCase.get('children')
+                                  : iContext.getPath('collection.cases'),
+            caseIndex = iContext.getCaseIndex( iCase),  // 1-based index
+            affectedCase = siblings && caseIndex && siblings.objectAt( caseIndex);  // 0-based index
+        if (!caseIndex || (iCase.getPath('collection.id') !== collectionID)) return false;
+        if (affectedCase) result.push( affectedCase);
+        if (argCount > 1) result.push( iCase);
+        return true;
+      }) ? result : null;
+    },
+
     evaluate: function( iContext, iEvalContext, iInstance) {
       var valueFn = iInstance.argFns[0],
           defaultFn = iInstance.argFns[1],
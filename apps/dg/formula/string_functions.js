@@ -27,6 +27,36 @@ sc_require('utilities/data_utilities');
 DG.functionRegistry.registerFunctions((function() {
   var kDefaultSortItemsDelimiter = ',';
 
+  /** @class DG.RegExpPatternError
+
+    Error class for invalid regular expression patterns or flags.
+
+    @extends Error
+  */
+  var RegExpPatternError = function(iPattern) {
+    this.name = 'DG.Formula.RegExpPatternError.name'.loc();
+    this.message = 'DG.Formula.RegExpPatternError.message'.loc(iPattern);
+    this.description = 'DG.Formula.RegExpPatternError.description'.loc(iPattern);
+    this.reference = iPattern;
+  };
+  RegExpPatternError.prototype = new Error();
+  RegExpPatternError.prototype.constructor = RegExpPatternError;
+
+  /*
+    Utility function for creating the regular expression for the regex functions.
+    The 'g' flag is controlled by the function rather than by the user, so it is
+    removed from the user-specified flags.
+   */
+  function createRegExp(iPattern, iFlags, iIsGlobal) {
+    var flags = DG.DataUtilities.toString(iFlags).replace(/g/g, '');
+    try {
+      return new RegExp(iPattern, iIsGlobal ? flags + 'g' : flags);
+    }
+    catch (e) {
+      throw new RegExpPatternError(flags ? '/' + iPattern + '/' + flags : iPattern);
+    }
+  }
+
   return {
     /**
       Returns true if the specified string contains the specified target string
@@ -137,6 +167,113 @@ DG.functionRegistry.registerFunctions((function() {
       }
     },
 
+    /**
+      Returns the portion of the string matched by the specified regular expression
+      or by one of its capture groups. Returns an empty string if there is no match.
+      @param    {String}  iString - the string to search within
+      @param    {String}  iPattern - the regular expression to search for
+      @param    {Number|String}  iGroup - (optional) the number or name of the capture group
+                                  to return; 0 (the default) returns the entire match. Named
+                                  groups are only available in browsers whose regular expressions
+                                  support them; elsewhere such patterns are reported as invalid.
+      @param    {String}  iFlags - (optional) regular expression flags, e.g. 'i' to ignore case
+      @returns  {String}  the matched text
+     */
+    'regexExtract': {
+      minArgs:2, maxArgs:4, category: 'DG.Formula.FuncCategoryString',
+      evalFn: function(iString, iPattern, iGroup, iFlags) {
+        var string = DG.DataUtilities.toString(iString),
+            pattern = DG.DataUtilities.toString(iPattern),
+            group = SC.empty(iGroup) ? 0 : iGroup;
+        if (!pattern) return '';
+        var match = string.match(createRegExp(pattern, iFlags)),
+            result = !match
+                      ? null
+                      : DG.isNumeric(group)
+                          ? match[Number(group)]
+                          // match.groups is undefined in engines without named groups
+                          : match.groups && match.groups[group];
+        return result != null ? result : '';
+      }
+    },
+
+    /**
+      Replaces all matches of the specified regular expression with the replacement string.
+      The replacement string can refer to capture groups, e.g. '$1' or, in browsers
+      which support named groups, '$<name>'.
+      @param    {String}  iString - the string to search within
+      @param    {String}  iPattern - the regular expression to search for
+      @param    {String}  iReplacement - the replacement string
+      @param    {String}  iFlags - (optional) regular expression flags, e.g. 'i' to ignore case
+      @returns  {String}  the resulting string
+     */
+    'regexReplace': {
+      minArgs:3, maxArgs:4, category: 'DG.Formula.FuncCategoryString',
+      evalFn: function(iString, iPattern, iReplacement, iFlags) {
+        var string = DG.DataUtilities.toString(iString),
+            pattern = DG.DataUtilities.toString(iPattern);
+        if (!pattern) return string;
+        return string.replace(createRegExp(pattern, iFlags, true),
+                              DG.DataUtilities.toString(iReplacement));
+      }
+    },
+
+    /**
+      Returns the number of (non-overlapping) matches of the specified regular expression.
+      As with regexSplitPart(), empty matches aren't counted.
+      @param    {String}  iString - the string to search within
+      @param    {String}  iPattern - the regular expression to search for
+      @param    {String}  iFlags - (optional) regular expression flags, e.g. 'i' to ignore case
+      @returns  {Number}  the number of matches found
+     */
+    'regexCount': {
+      minArgs:2, maxArgs:3, category: 'DG.Formula.FuncCategoryString',
+      evalFn: function(iString, iPattern, iFlags) {
+        var string = DG.DataUtilities.toString(iString),
+            pattern = DG.DataUtilities.toString(iPattern);
+        if (!pattern || !string) return 0;
+        var result = string.match(createRegExp(pattern, iFlags, true));
+        return !result ? 0 : result.filter(function(iMatch) { return iMatch.length > 0; }).length;
+      }
+    },
+
+    /**
+      Splits the string at each match of the specified regular expression
+      and returns the part with the specified (1-based) index.
+      As with regexCount(), empty matches are ignored.
+      @param    {String}  iString - the string to split
+      @param    {String}  iPattern - the regular expression that separates the parts
+      @param    {Number}  iIndex - the index of the part to return (negative values count from the end)
+      @param    {String}  iFlags - (optional) regular expression flags, e.g. 'i' to ignore case
+      @returns  {String}  the specified part or an empty string if there is no such part
+     */
+    'regexSplitPart': {
+      minArgs:3, maxArgs:4, category: 'DG.Formula.FuncCategoryString',
+      evalFn: function(iString, iPattern, iIndex, iFlags) {
+        var string = DG.DataUtilities.toString(iString),
+            pattern = DG.DataUtilities.toString(iPattern),
+            index = DG.getNumeric(iIndex);
+        if (index == null) return '';
+        var parts = [], start = 0, re, match;
+        if (pattern) {
+          // unlike String.split(), capture groups aren't included in the parts
+          // and empty matches don't split the string
+          re = createRegExp(pattern, iFlags, true);
+          while ((match = re.exec(string)) != null) {
+            if (!match[0].length) {
+              ++re.lastIndex;
+              continue;
+            }
+            parts.push(string.substring(start, match.index));
+            start = re.lastIndex;
+          }
+        }
+        parts.push(string.substring(start));
+        if (index < 0) index += parts.length + 1;
+        return (index >= 1) && (index <= parts.length) ? parts[index - 1] : '';
+      }
+    },
+
     /**
       Returns true if the string first argument contains the second string argument.
       @param    {String}  iString - the string to search within
@@ -0,0 +1,254 @@
+// ==========================================================================
+//                    Window Aggregate Functions
+//
+//  Copyright (c) 2021 by The Concord Consortium, Inc. All rights reserved.
+//
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing, software
+//  distributed under the License is distributed on an "AS IS" BASIS,
+//  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//  See the License for the specific language governing permissions and
+//  limitations under the License.
+// ==========================================================================
+
+sc_require('formula/aggregate_function');
+sc_require('formula/function_registry');
+
+/** @class DG.WindowAggFns
+
+  The DG.WindowAggFns object implements semi-aggregate functions whose result for
+  each case depends on the position of the case among the other cases with the same
+  parent, e.g. rank(), cumulativeSum() and lag(). Cases are ordered by their case
+  index unless a sort expression is specified, so these functions are case-index
+  dependent and are recomputed when cases are sorted or moved. Cases which don't pass
+  the (optional) trailing filter argument are ignored and have an empty result.
+ */
+DG.functionRegistry.registerAggregates((function() {
+
+  /**
+    Base object for the window functions. Caches an entry for each case in each group
+    and then computes the results for all of the entries of each group at once.
+   */
+  var WindowFn = DG.ParentCaseAggregate.extend({
+
+    /**
+      The index of the optional sort expression argument, if any.
+      @property   {Number|null}
+     */
+    sortArgIndex: null,
+
+    isCaseIndexDependent: function() {
+      return true;
+    },
+
+    // filtered cases have an empty result so they needn't be recomputed
+    evalFilteredCase: function( iContext, iEvalContext, iInstance, iCacheID) {
+      iInstance.results[ iEvalContext._id_] = '';
+    },
+
+    evalCase: function( iContext, iEvalContext, iInstance, iCacheID) {
+      var sortIndex = this.get('sortArgIndex'),
+          sortFn = (sortIndex != null) && iInstance.argFns[ sortIndex],
+          cache = iInstance.caches[ iCacheID] || (iInstance.caches[ iCacheID] = []);
+      cache.push({ id: iEvalContext._id_,
+                    value: this.getValue( iContext, iEvalContext, iInstance),
+                    sortKey: sortFn ? sortFn( iContext, iEvalContext) : null,
+                    index: cache.length });
+    },
+
+    computeResults: function( iContext, iEvalContext, iInstance) {
+      var sortIndex = this.get('sortArgIndex'),
+          hasSortFn = (sortIndex != null) && !!iInstance.argFns[ sortIndex];
+      DG.ObjectMap.forEach( iInstance.caches,
+                            function( iKey, iEntries) {
+                              if (hasSortFn) {
+                                iEntries.sort(function( iEntry1, iEntry2) {
+                                  return DG.DataUtilities.compareAscending( iEntry1.sortKey, iEntry2.sortKey) ||
+                                          (iEntry1.index - iEntry2.index);
+                                });
+                              }
+                              this.computeWindowResults( iEntries, iInstance);
+                            }.bind( this));
+      return this.queryCache( iContext, iEvalContext, iInstance);
+    },
+
+    /**
+      Derived classes must override to set iInstance.results[entry.id] for each entry.
+      @param  {Object[]}  iEntries -- [{ id:, value:, sortKey:, index: }] in window order
+      @param  {Object}    iInstance -- The aggregate function instance from the context.
+     */
+    computeWindowResults: function( iEntries, iInstance) {
+    }
+  });
+
+  /**
+    Base object for rank() and percentRank(), which rank the numeric values of each group.
+    Tied values share the lowest rank, e.g. 1, 2, 2, 4.
+   */
+  var RankFn = WindowFn.extend({
+
+    requiredArgs: { min: 1, max: 1 },
+
+    computeWindowResults: function( iEntries, iInstance) {
+      var values = [];
+      iEntries.forEach(function( iEntry) {
+        var value = DG.getNumeric( iEntry.value);
+        if (value != null)
+          values.push( value);
+        else
+          iInstance.results[ iEntry.id] = '';
+      });
+      values.sort(function( v1, v2) { return v1 - v2; });
+      iEntries.forEach(function( iEntry) {
+        var value = DG.getNumeric( iEntry.value),
+            lo = 0, hi = values.length, mid;
+        if (value == null) return;
+        // binary search for the first occurrence of the value
+        while (lo < hi) {
+          mid = Math.floor((lo + hi) / 2);
+          if (values[mid] < value) lo = mid + 1;
+          else hi = mid;
+        }
+        iInstance.results[ iEntry.id] = this.computeRankResult( lo + 1, values.length);
+      }.bind( this));
+    },
+
+    /**
+      Derived classes must override to return the appropriate result.
+      @param  {Number}  iRank -- the 1-based rank of the value
+      @param  {Number}  iCount -- the number of ranked values
+     */
+    computeRankResult: function( iRank, iCount) {
+    }
+  });
+
+  /**
+    Base object for lag() and lead(), which return the value of the expression
+    for the case the specified number of cases before or after each case.
+   */
+  var OffsetFn = WindowFn.extend({
+
+    category: 'DG.Formula.FuncCategoryLookup',
+
+    requiredArgs: { min: 1, max: 3 },
+
+    sortArgIndex: 2,
+
+    /**
+      The direction of the offset: -1 for lag(), 1 for lead().
+      @property   {Number}
+     */
+    direction: 0,
+
+    preEvaluate: function( iContext, iEvalContext, iInstance) {
+      sc_super();
+      var offsetFn = iInstance.argFns[1],
+          offset = offsetFn ? DG.getNumeric( offsetFn( iContext, iEvalContext)) : 1;
+      iInstance.offset = offset != null ? Math.round( offset) : null;
+    },
+
+    computeWindowResults: function( iEntries, iInstance) {
+      var offset = iInstance.offset != null ? this.get('direction') * iInstance.offset : null;
+      iEntries.forEach(function( iEntry, iIndex) {
+        var other = offset != null ? iEntries[ iIndex + offset] : null,
+            value = other && other.value;
+        iInstance.results[ iEntry.id] = value != null ? value : '';
+      });
+    }
+  });
+
+  return {
+
+    /**
+      rank(expr, filter)
+      Returns the rank (1 for the smallest) of the value of expr among the cases
+      with the same parent. Tied values share the lowest rank.
+     */
+    rank: RankFn.create({
+
+      computeRankResult: function( iRank, iCount) {
+        return iRank;
+      }
+    }),
+
+    /**
+      percentRank(expr, filter)
+      Returns the relative rank of the value of expr among the cases with the same
+      parent as a proportion from 0 (the smallest) to 1 (the largest), i.e. (rank-1)/(count-1).
+     */
+    percentRank: RankFn.create({
+
+      computeRankResult: function( iRank, iCount) {
+        return iCount > 1 ? (iRank - 1) / (iCount - 1) : 0;
+      }
+    }),
+
+    /**
+      cumulativeSum(expr, sortExpr, filter)
+      Returns the sum of the numeric values of expr for the cases with the same parent
+      up to and including each case, in case order or in the order of sortExpr.
+     */
+    cumulativeSum: WindowFn.create({
+
+      requiredArgs: { min: 1, max: 2 },
+
+      sortArgIndex: 1,
+
+      computeWindowResults: function( iEntries, iInstance) {
+        var sum = 0;
+        iEntries.forEach(function( iEntry) {
+          var value = DG.getNumeric( iEntry.value);
+          if (value != null) sum += value;
+          iInstance.results[ iEntry.id] = sum;
+        });
+      }
+    }),
+
+    /**
+      cumulativeCount(expr, sortExpr, filter)
+      Returns the count of the values of expr for the cases with the same parent up to
+      and including each case, in case order or in the order of sortExpr. As with count(),
+      all non-empty values except boolean false are counted.
+     */
+    cumulativeCount: WindowFn.create({
+
+      requiredArgs: { min: 1, max: 2 },
+
+      sortArgIndex: 1,
+
+      computeWindowResults: function( iEntries, iInstance) {
+        var count = 0;
+        iEntries.forEach(function( iEntry) {
+          if (!SC.empty( iEntry.value) && (iEntry.value !== false)) ++count;
+          iInstance.results[ iEntry.id] = count;
+        });
+      }
+    }),
+
+    /**
+      lag(expr, n, sortExpr, filter)
+      Returns the value of expr for the case n cases (default 1) before each case
+      among the cases with the same parent, in case order or in the order of sortExpr.
+     */
+    lag: OffsetFn.create({
+
+      direction: -1
+    }),
+
+    /**
+      lead(expr, n, sortExpr, filter)
+      Returns the value of expr for the case n cases (default 1) after each case
+      among the cases with the same parent, in case order or in the order of sortExpr.
+     */
+    lead: OffsetFn.create({
+
+      direction: 1
+    })
+  };
+
+}()));
@@ -167,6 +167,15 @@ DG.Attribute = DG.BaseModel.extend(
        */
       deleteable: true,
 
+      /**
+       * The number of times the attribute's formula has been rerandomized.
+       * When random numbers are seeded, determines (along with the seed) the
+       * random numbers generated by the formula, so that rerandomizing
+       * produces reproducible results.
+       * @property {Number}
+       */
+      randomizeCount: 0,
+
       /**
        @private
        The DG.Formula for evaluation.
@@ -181,6 +190,36 @@ DG.Attribute = DG.BaseModel.extend(
        */
       _cachedValues: null,
 
+      /**
+       @private
+       True when none of the cached values are valid, e.g. when the formula changes,
+       in which case the formula may be evaluated in the background (cf. beginFormulaJob()).
+       @property   {Boolean}
+       */
+      _needsFullEvaluation: true,
+
+      /**
+       @private
+       The background evaluation of the formula (cf. DG.FormulaWorker), if any.
+       @property   {Object}
+       */
+      _formulaJob: null,
+
+      /**
+       @private
+       The IDs of the cases whose values are pending from the background evaluation.
+       Cases which change during the background evaluation are evaluated synchronously.
+       @property   {Object}  map from case ID to true
+       */
+      _formulaJobPendingCases: null,
+
+      /**
+       * The progress (0-1) of the background evaluation of the formula,
+       * or null if the formula isn't being evaluated in the background.
+       * @property {Number}
+       */
+      formulaProgress: null,
+
       /**
        Initialization function.
        */
@@ -299,7 +338,9 @@ DG.Attribute = DG.BaseModel.extend(
        */
       collectionDidChange: function () {
         if (this.hasFormula()) {
+          this.cancelFormulaJob();
           this._cachedValues = {};
+          this._needsFullEvaluation = true;
           this.setPath('_dgFormula.context.collection', this.get('collection'));
           this._dgFormula.invalidate();
         }
@@ -310,6 +351,7 @@ DG.Attribute = DG.BaseModel.extend(
        and cleanup up the necessary observers.
        */
       destroyDGFormula: function () {
+        this.cancelFormulaJob();
         this._dgFormula.removeObserver('dependentChange', this, 'dependentDidChange');
         this._dgFormula.removeObserver('namespaceChange', this, 'namespaceDidChange');
         this._dgFormula.destroy();
@@ -341,12 +383,21 @@ DG.Attribute = DG.BaseModel.extend(
         var tFormula = this._dgFormula,
             tReturnValue = NaN,
             tCaseID = iCase && iCase.get('id'),
-            cacheEntry = this._cachedValues[tCaseID];
+            cacheEntry = this._cachedValues[tCaseID],
+            tRandomState;
 
         // if we have a valid cache entry, use it
         if (cacheEntry && cacheEntry.isValid)
           return cacheEntry.value;
 
+        // values are pending while the formula is evaluated in the background
+        if (!this._formulaJob && this._needsFullEvaluation)
+          this.beginFormulaJob();
+        if (this._formulaJob && this._formulaJobPendingCases[tCaseID])
+          return '';
+
+        // when seeded, each case's random numbers are independent of evaluation order
+        tRandomState = DG.RandomUtilities.beginStream([this.get('id'), this.get('randomizeCount'), tCaseID]);
         try {
           // Client is responsible for passing _case_ and _id_
           tReturnValue = tFormula.evaluate({
@@ -368,6 +419,9 @@ DG.Attribute = DG.BaseModel.extend(
           // Return error objects as attribute values.
           tReturnValue = e;
         }
+        finally {
+          DG.RandomUtilities.endStream(tRandomState);
+        }
 
         return tReturnValue;
       },
@@ -389,13 +443,15 @@ DG.Attribute = DG.BaseModel.extend(
                 cachedValue = this._cachedValues[caseID];
             if (cachedValue)
               cachedValue.isValid = false;
+            // the background evaluation's snapshot of the case is out of date,
+            // so it's evaluated synchronously when requested
+            if (this._formulaJobPendingCases)
+              delete this._formulaJobPendingCases[caseID];
           }.bind(this));
         }
         else {
           // invalidate all cases
-          DG.ObjectMap.forEach(this._cachedValues, function (iCaseID, iCachedValue) {
-            iCachedValue.isValid = false;
-          });
+          this.invalidateAllCachedValues();
         }
 
         // invalidate specified aggregate function caches
@@ -428,10 +484,7 @@ DG.Attribute = DG.BaseModel.extend(
           this._dgFormula.set('source', tSource);
 
           // mark all cached values as invalid
-          DG.ObjectMap.forEach(this._cachedValues,
-              function (id, iCachedValue) {
-                iCachedValue.isValid = false;
-              });
+          this.invalidateAllCachedValues();
         }
 
         // empty formula string -- no need for a DG.Formula
@@ -439,6 +492,7 @@ DG.Attribute = DG.BaseModel.extend(
           if (this._dgFormula)
             this.destroyDGFormula();
           this._cachedValues = {};
+          this._needsFullEvaluation = true;
         }
 
         // Discard old deleted formula waiting for recovery.
@@ -447,10 +501,132 @@ DG.Attribute = DG.BaseModel.extend(
 
       namespaceDidChange: function () {
         // mark all cached values as invalid
+        this.invalidateAllCachedValues();
+      },
+
+      /**
+       Marks all cached values as invalid, cancelling any background evaluation,
+       which is begun again when values are next requested.
+       */
+      invalidateAllCachedValues: function () {
+        this.cancelFormulaJob();
         DG.ObjectMap.forEach(this._cachedValues,
             function (id, iCachedValue) {
               iCachedValue.isValid = false;
             });
+        this._needsFullEvaluation = true;
+      },
+
+      /**
+       Begins evaluating the formula for all cases of the collection in the background
+       (cf. DG.FormulaWorker), if the collection is large enough to warrant it and the
+       formula can be evaluated by the worker. Values are cached as they arrive and the
+       data context is notified so that the case table, graphs, etc. are updated.
+       Cases which change in the meantime are evaluated synchronously (cf. invalidateCases()).
+       @returns {Boolean} true if the background evaluation was begun
+       */
+      beginFormulaJob: function () {
+        var formula = this._dgFormula,
+            cases = this.getPath('collection.cases'),
+            deferredCases = [],
+            pendingCases = {},
+            parsed, snapshot, job;
+
+        // whether or not the formula is evaluated in the background, it only needs to be checked once
+        this._needsFullEvaluation = false;
+        if (!formula || !cases || (cases.length < DG.FormulaWorker.minCaseCount) ||
+            !DG.FormulaWorker.isAvailable())
+          return false;
+
+        try {
+          // compilation registers the formula's dependencies
+          formula.get('compiled');
+          parsed = formula.get('parsed');
+          cases = cases.slice();
+          snapshot = formula.get('context').createColumnarSnapshot(parsed, cases);
+        }
+        catch (e) {
+          // errors are reported by synchronous evaluation
+          snapshot = null;
+        }
+        if (!snapshot) return false;
+
+        cases.forEach(function (iCase) {
+          pendingCases[iCase.get('id')] = true;
+        });
+        job = DG.FormulaWorker.evaluate({
+          parseTree: parsed,
+          caseCount: cases.length,
+          columns: snapshot.columns,
+          constants: snapshot.constants,
+          deferredCases: snapshot.deferredCases,
+          onProgress: function (iResults, iProgress) {
+            if (job !== this._formulaJob) return;
+            var updatedCases = [];
+            iResults.values.forEach(function (iValue, iIndex) {
+              var caseIndex = iResults.start + iIndex,
+                  tCase = cases[caseIndex],
+                  caseID = tCase.get('id');
+              // cases which changed since the snapshot are evaluated synchronously
+              if (!pendingCases[caseID]) return;
+              delete pendingCases[caseID];
+              if (tCase.get('isDestroyed')) return;
+              // deferred cases are evaluated synchronously when requested
+              if (iResults.isDeferred[caseIndex]) {
+                deferredCases.push(tCase);
+                return;
+              }
+              this._cachedValues[caseID] = {isValid: true, value: iValue};
+              updatedCases.push(tCase);
+            }.bind(this));
+            this.set('formulaProgress', iProgress);
+            this.notifyFormulaValues(updatedCases, false);
+          }.bind(this),
+          onComplete: function () {
+            if (job !== this._formulaJob) return;
+            this._formulaJob = null;
+            this._formulaJobPendingCases = null;
+            this.set('formulaProgress', null);
+            // deferred cases are evaluated once they are requested again
+            this.notifyFormulaValues(deferredCases, true);
+          }.bind(this),
+          onError: function () {
+            if (job !== this._formulaJob) return;
+            // remaining values are evaluated synchronously when requested
+            this._formulaJob = null;
+            this._formulaJobPendingCases = null;
+            this.set('formulaProgress', null);
+            this.notifyFormulaValues(null, true);
+          }.bind(this)
+        });
+        this._formulaJob = job;
+        this._formulaJobPendingCases = pendingCases;
+        this.set('formulaProgress', 0);
+        return true;
+      },
+
+      /**
+       Cancels the background evaluation of the formula, if any.
+       */
+      cancelFormulaJob: function () {
+        if (this._formulaJob) {
+          this._formulaJob.cancel();
+          this._formulaJob = null;
+          this._formulaJobPendingCases = null;
+          this.set('formulaProgress', null);
+        }
+      },
+
+      /**
+       Notifies the data context of values computed by the background evaluation.
+       @param {DG.Case[]|null} iCases - the cases whose values were computed (null for all cases)
+       @param {Boolean}        iIsComplete - true if the background evaluation is complete
+       */
+      notifyFormulaValues: function (iCases, iIsComplete) {
+        var contextID = this.getPath('collection.context.id'),
+            dataContext = contextID && DG.currDocumentController().getContextByID(contextID);
+        if (dataContext)
+          dataContext.formulaValuesDidChange(this, iCases, iIsComplete);
       },
 
       /**
@@ -578,7 +754,8 @@ DG.Attribute = DG.BaseModel.extend(
           guid: this.id,
           id: this.id,
           precision: this.precision,
-          unit: this.unit
+          unit: this.unit,
+          randomizeCount: this.randomizeCount || undefined
         };
       }
     });
@@ -114,6 +114,15 @@ DG.Collection = DG.BaseModel.extend( (function() // closure
      */
     caseIDToGroupedIndexMap: null,
 
+    /**
+     * The keys by which the cases of this collection are kept sorted, most significant
+     * first, cf. DG.DataContext.applySortSpecs().
+     * Each key is { attrID: {Number}, isDescending: {Boolean}, emptyFirst: {Boolean} }.
+     *
+     * @property {[Object]}
+     */
+    sortSpec: null,
+
     /**
      * Indicates whether parent/child links are configured correctly.
      * Games using the revised API (Aug 2011) should set this to true.
@@ -828,6 +837,7 @@ DG.Collection = DG.BaseModel.extend( (function() // closure
         labels: this.labels,
         name: this.get('name'),
         parent: parentID,
+        sortSpec: this.sortSpec && this.sortSpec.length ? this.sortSpec : undefined,
         title: this.get('title'),
         type: 'DG.Collection'
       };
@@ -112,6 +112,19 @@ DG.DataContextRecord = DG.BaseModel.extend(/** @scope DG.DataContextRecord.proto
    */
   contextStorage: null,
 
+  /**
+   * Named, persistent subsets of the cases, cf. DG.DataContext.getFilters().
+   * @property {[Object]}
+   */
+  filters: null,
+
+  /**
+   * For data contexts created by reshaping another data context, the source data
+   * context and the reshape options, so that the data can be refreshed from the source.
+   * @property {Object} { operation, sourceContextID, sourceName, options }
+   */
+  provenance: null,
+
   _savedShadowCopy: null,
 
   init: function () {
@@ -191,7 +204,9 @@ DG.DataContextRecord = DG.BaseModel.extend(/** @scope DG.DataContextRecord.proto
         metadata: this.metadata,
         preventReorg: this.preventReorg,
         setAsideItems: this.get('dataSet').archiveSetAsideItems(),
-        contextStorage: this.contextStorage
+        contextStorage: this.contextStorage,
+        filters: this.filters && this.filters.length ? this.filters : undefined,
+        provenance: this.provenance || undefined
       };
 
       DG.ObjectMap.values(this.collections).some(function (collection){
@@ -18,6 +18,7 @@
 
 
 sc_require('models/data_item');
+sc_require('utilities/search_query_utilities');
 
 /** @class DataSet
  *
@@ -394,83 +395,40 @@ DG.DataSet = SC.Object.extend((function() // closure
       return this.dataItems.find(function(item) { return item.id === itemID; });
     },
 
+    /**
+     * Parses the specified search query, cf. DG.SearchQueryUtilities.
+     * @param {String} queryString
+     * @return {Object} the parsed query
+     * @throws {DG.SearchQueryError} if the query is invalid
+     */
     parseSearchQuery: function (queryString) {
-      if (queryString === '*') {
-        return {
-          valid: true,
-          op: '*'
-        };
-      }
-      // for now this is a simple single expression of "left op right" where op is a comparison operator
-      // this could be expanded (along with the testCaseAgainstQuery method below) using the shunting yard algorithm
-      var matches = queryString.match(/([^=!<>]+)(==|!=|<=|<|>=|>)([^=!<>]+)/),
-          trim = function (s) { return s.replace(/^\s+|\s+$/, ''); },
-          parsedQuery = {
-            valid: !!matches,
-            left: matches && trim(matches[1]),
-            op: matches && matches[2],
-            right: matches && trim(matches[3])
-          },
-          attrs = this.attrs,
-          parseOperand = function (value) {
-            var numberValue = Number(value),
-                parsedValue = value === 'true' ? true :
-                    (value === 'false' ? false :
-                    (isNaN(numberValue) ? value : numberValue));
-            return {
-              value: parsedValue,
-              attr: attrs.find(function (attr) {return attr.name === value;}),
-              name: value
-            };
-          };
-
-      parsedQuery.left = parseOperand(parsedQuery.left);
-      parsedQuery.right = parseOperand(parsedQuery.right);
-
-      // valid queries must have at least one side with a defined attribute
-      parsedQuery.valid = !!(parsedQuery.valid && (parsedQuery.left.attr || parsedQuery.right.attr));
-
-      return parsedQuery;
+      return DG.SearchQueryUtilities.parse(queryString, this.attrs);
     },
 
+    /**
+     * Returns whether the specified item matches the specified parsed query.
+     * @param {DG.DataItem} iItem
+     * @param {Object} parsedQuery
+     * @return {boolean}
+     */
     testItemAgainstQuery: function (iItem, parsedQuery) {
-      var getValue = function (token) {
-            return token.attr ? iItem.getValue(token.attr.id) : token.value;
-          },
-          leftValue = parsedQuery.left && getValue(parsedQuery.left),
-          rightValue = parsedQuery.right && getValue(parsedQuery.right);
-
-      if (!parsedQuery.valid) {
-        return false;
-      }
-
-      switch (parsedQuery.op) {
-        case '*': return true;
-// eslint-disable-next-line eqeqeq
-        case '==': return leftValue == rightValue; // jshint ignore:line
-// eslint-disable-next-line eqeqeq
-        case '!=': return leftValue != rightValue; // jshint ignore:line
-        case '<':  return leftValue <   rightValue;
-        case '<=': return leftValue <=  rightValue;
-        case '>=': return leftValue >=  rightValue;
-        case '>':  return leftValue >   rightValue;
-        default:   return false;
-      }
+      return DG.SearchQueryUtilities.evaluate(parsedQuery, function (iAttr) {
+        return iItem.getValue(iAttr.id);
+      });
     },
 
+    /**
+     * Returns the items which match the specified search query.
+     * @param {String} queryString
+     * @return {[DG.DataItem]}
+     * @throws {DG.SearchQueryError} if the query is invalid
+     */
     getItemsBySearch: function (queryString) {
       var parsedQuery = this.parseSearchQuery(queryString);
 
-      // return null to signal an invalid query
-      if (!parsedQuery.valid) {
-        return null;
-      }
-
       return this.dataItems.filter(function (iItem) {
-
         return (!iItem.deleted) && this.testItemAgainstQuery(iItem, parsedQuery);
       }.bind(this));
-
     },
 
     /**
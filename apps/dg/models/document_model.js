@@ -42,13 +42,25 @@ DG.Document = DG.BaseModel.extend(
     components: null,
     contexts: null,
     globalValues: null,
+    formulaFunctions: null,
+    /**
+     * Seed for the random functions, which makes random numbers reproducible.
+     * Null if random numbers are not seeded.
+     * @property {Number|null}
+     */
+    randomSeed: null,
 
     init: function () {
       this.components = {};
       this.contexts = {};
       this.globalValues = {};
+      this.formulaFunctions = {};
       sc_super();
+      this.randomSeedDidChange();
     },
+    randomSeedDidChange: function () {
+      DG.RandomUtilities.setSeed(this.get('randomSeed'));
+    }.observes('randomSeed'),
     verify: function () {
       if (SC.empty(this.name)) {
         DG.logWarn('Unnamed document: ' + this.id);
@@ -95,6 +107,15 @@ DG.Document = DG.BaseModel.extend(
         if (globalValue.get('archivable'))
           obj.globalValues.push(globalValue.toArchive());
       }.bind(this));
+      // only documents with user-defined functions have the formulaFunctions property
+      DG.ObjectMap.forEach(this.formulaFunctions, function (fnKey, fn) {
+        if (fn.get('archivable')) {
+          if (!obj.formulaFunctions) obj.formulaFunctions = [];
+          obj.formulaFunctions.push(fn.toArchive());
+        }
+      });
+      if (this.randomSeed != null)
+        obj.randomSeed = this.randomSeed;
       DG.ObjectMap.forEach(this.components, function (componentKey) {
         obj.components.push(this.components[componentKey].toArchive());
       }.bind(this));
@@ -124,6 +145,12 @@ DG.Document.createDocument = function( iProperties) {
       DG.GlobalValue.createGlobalValue(gv);
     });
   }
+  if (tProperties.formulaFunctions) {
+    tProperties.formulaFunctions.forEach( function (fn) {
+      fn.document = tDocument;
+      DG.formulaFunctionsController.registerFormulaFunction(DG.FormulaFunction.createFormulaFunction(fn));
+    });
+  }
   if (tProperties.components) {
     tProperties.components.forEach(function (component) {
       component.document = tDocument;
@@ -0,0 +1,241 @@
+// ==========================================================================
+//                          DG.FormulaFunction
+//
+//  Copyright (c) 2021 by The Concord Consortium, Inc. All rights reserved.
+//
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing, software
+//  distributed under the License is distributed on an "AS IS" BASIS,
+//  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//  See the License for the specific language governing permissions and
+//  limitations under the License.
+// ==========================================================================
+
+sc_require('models/base_model');
+sc_require('formula/formula_function_context');
+
+/**
+ * @class
+ *
+ * A FormulaFunction is a named, parameterized, user-defined function stored in the
+ * document, e.g. bmi(w, h) = w / h^2, which can be called from any formula.
+ *
+ * @extends DG.BaseModel
+ */
+DG.FormulaFunction = DG.BaseModel.extend(/** @scope DG.FormulaFunction.prototype */ {
+
+  /**
+   * The name of the function
+   * @property {String}
+   */
+  name: '',
+
+  /**
+   * The names of the function's parameters
+   * @property {String[]}
+   */
+  params: null,
+
+  /**
+   * The source of the expression which computes the function's result
+   * @property {String}
+   */
+  body: '',
+
+  /**
+   * Optional user-provided description for the function browser
+   * @property {String}
+   */
+  description: '',
+
+  /**
+   * A relational link back to the document.
+   * @property {DG.Document}
+   */
+  document: null,
+
+  /**
+   * The formula for the function's body. Created on demand.
+   * @property {DG.Formula}
+   */
+  _formula: null,
+
+  /**
+   * True while the function is being evaluated, for detecting recursion.
+   * @property {Boolean}
+   */
+  _isEvaluating: false,
+
+  init: function() {
+    sc_super();
+    if (!this.params) this.params = [];
+  },
+
+  destroy: function () {
+    this.invalidate();
+    if (this.document) {
+      delete this.document.formulaFunctions[this.id];
+    }
+    sc_super();
+  },
+
+  verify: function () {
+    if (SC.empty(this.document) && !this.get('allowDetached')) {
+      DG.logWarn('Unattached formula function: ' + this.id);
+    }
+    if (typeof this.document === 'number') {
+      DG.logWarn('Unresolved reference to document id, ' + this.document +
+        ', in formula function: ' + this.id);
+    }
+  },
+
+  /**
+   * The function's signature, e.g. "bmi(w, h)".
+   * @property {String}
+   */
+  header: function() {
+    return '%@(%@)'.fmt(this.get('name'), this.get('params').join(', '));
+  }.property('name', 'params'),
+
+  /**
+   * The function's definition, e.g. "bmi(w, h) = w / h^2".
+   * @property {String}
+   */
+  definition: function() {
+    return '%@ = %@'.fmt(this.get('header'), this.get('body'));
+  }.property('header', 'body'),
+
+  /**
+   * The formula for the function's body, whose parameters are evaluation-time variables.
+   * @property {DG.Formula}
+   */
+  formula: function() {
+    if (!this._formula) {
+      var eVars = {};
+      this.get('params').forEach(function(iParam) {
+        eVars[iParam] = true;
+      });
+      this._formula = DG.Formula.create({
+                        context: DG.FormulaFunctionContext.create({ eVars: eVars }),
+                        source: this.get('body')
+                      });
+    }
+    return this._formula;
+  }.property(),
+
+  /**
+   * Discards the compiled body so that it is recompiled on next evaluation,
+   * e.g. when the body, the parameters or the functions it calls change.
+   */
+  invalidate: function() {
+    if (this._formula) {
+      this._formula.destroy();
+      this._formula = null;
+    }
+    this.notifyPropertyChange('formula');
+  },
+
+  definitionDidChange: function() {
+    this.invalidate();
+  }.observes('params', 'body'),
+
+  /**
+   * Returns the context of the compiled body or null if the body can't be compiled.
+   * @returns {DG.FormulaFunctionContext|null}
+   */
+  _compiledContext: function() {
+    var formula = this.get('formula');
+    try {
+      formula.get('compiled');
+    }
+    catch(e) {
+      // bodies with syntax errors don't reference anything
+      return null;
+    }
+    return formula.get('context');
+  },
+
+  /**
+   * Returns the names of the functions referenced by the body, including the
+   * names of any undefined functions.
+   * @returns {String[]}
+   */
+  getReferencedFunctionNames: function() {
+    var context = this._compiledContext();
+    return context ? context.getReferencedNames(DG.DEP_TYPE_FUNCTION)
+                      .concat(context.getReferencedNames(DG.DEP_TYPE_UNDEFINED))
+                    : [];
+  },
+
+  /**
+   * Returns true if the body references random(), directly or via other functions,
+   * in which case clients must be rerandomized along with other random formulas.
+   * @param   {Object}  iVisited -- (optional) map of names of functions already checked
+   * @returns {Boolean}
+   */
+  isRandom: function(iVisited) {
+    var visited = iVisited || {},
+        context = this._compiledContext();
+    visited[this.get('name')] = true;
+    if (!context) return false;
+    if (context.getReferencedNames(DG.DEP_TYPE_SPECIAL).indexOf('random') >= 0)
+      return true;
+    return context.getReferencedNames(DG.DEP_TYPE_FUNCTION).some(function(iName) {
+              var fn = !visited[iName] && DG.formulaFunctionsController.getFunctionByName(iName);
+              return fn && fn.isRandom(visited);
+            });
+  },
+
+  /**
+   * Evaluates the function for the specified arguments.
+   * @param   {Array}   iArgs -- the argument values, one per parameter
+   * @returns {Object}  the result of the function
+   * @throws  {DG.FuncRecursionError} if the function calls itself
+   */
+  evaluate: function(iArgs) {
+    var evalContext = {},
+        formula = this.get('formula');
+    if (this._isEvaluating)
+      throw new DG.FuncRecursionError(this.get('name'));
+    this.get('params').forEach(function(iParam, iIndex) {
+      evalContext[iParam] = iArgs[iIndex];
+    });
+    this._isEvaluating = true;
+    try {
+      return formula.evaluate(evalContext);
+    }
+    finally {
+      this._isEvaluating = false;
+    }
+  },
+
+  archivable: true,
+
+  toArchive: function () {
+    return {
+      name: this.get('name'),
+      params: this.get('params').slice(),
+      body: this.get('body'),
+      description: this.get('description'),
+      guid: this.get('id')
+    };
+  }
+});
+
+DG.FormulaFunction.createFormulaFunction = function (iProperties) {
+  var tProperties = iProperties || {},
+    tFunction = DG.FormulaFunction.create(tProperties);
+  if (tProperties.document) {
+    tProperties.document.formulaFunctions[tFunction.get('id')] = tFunction;
+  }
+  return tFunction;
+};
+
+DG.FormulaFunction.destroyFormulaFunction = function (iFunction) {
+  iFunction.destroy();
+};
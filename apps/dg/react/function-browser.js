@@ -91,6 +91,8 @@ DG.React.ready(function () {
 
           functions.push({
             name: functionName,
+            // the localized name, which users type in formulas
+            displayName: definition.displayName || functionName,
             definition: definition,
             argList: argList.join(", ")
           });
@@ -146,7 +148,7 @@ DG.React.ready(function () {
 
             return li({key: fn.name},
               span({className: 'clickable', onClick: fnClicked, title: fn.definition.description},
-                fn.name,
+                fn.displayName,
                 italic({}, '(' + fn.argList + ')')
               ),
               hasInfo ? div({className: 'clickable', onClick: infoClicked, dangerouslySetInnerHTML: {__html:kInfoIconChar}}) : null
@@ -179,11 +181,11 @@ DG.React.ready(function () {
           };
 
       return div({},
-        this.renderHeader(category.name, fn.name, function () {
+        this.renderHeader(category.name, fn.displayName, function () {
           this.setState({fn: null});
         }.bind(this)),
         div({className: 'react-function-browser-function-info'},
-          h1({className: 'clickable', onClick: fnClicked }, fn.name, italic({}, '(' + fn.argList + ')')),
+          h1({className: 'clickable', onClick: fnClicked }, fn.displayName, italic({}, '(' + fn.argList + ')')),
           fn.definition.description ? div({}, fn.definition.description) : null,
           argItems ? div({},
             h2({}, 'Parameters'),
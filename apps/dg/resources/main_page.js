@@ -493,7 +493,7 @@ DG.mainPage.openCaseTablesForEachContext = function () {
 };
 
 DG.mainPage.openCaseTableForNewContext = function () {
-  DG.appController.importText('new', 'new_table');
+  DG.appController.showCaseDisplayFor(null);
 };
 
 DG.mainPage.addMap = function() {
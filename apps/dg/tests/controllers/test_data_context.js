@@ -116,3 +116,278 @@ test("test DG.DataContext", function () {
    type
    */
 });
+
+test("test case-level invalidation of formula dependents", function () {
+  var tDataContextRecord = DG.activeDocument.createContext({
+      document: DG.activeDocument
+    }),
+    tDataContext = DG.DataContext.factory({
+      type: tDataContextRecord.type,
+      model: tDataContextRecord
+    }),
+    tCollection = tDataContext.createCollection({ name: 'cA' }),
+    tCases;
+
+  function getValues(iName) {
+    var tAttrID = tDataContext.getAttributeByName(iName).get('id');
+    return tCases.map(function (iCase) { return iCase.getValue(tAttrID); });
+  }
+
+  function getValidity(iName) {
+    var tAttr = tDataContext.getAttributeByName(iName);
+    return tCases.map(function (iCase) {
+      var tCachedValue = tAttr._cachedValues[iCase.get('id')];
+      return !!(tCachedValue && tCachedValue.isValid);
+    });
+  }
+
+  tDataContext.doCreateAttributes({
+                  operation: 'createAttributes',
+                  collection: tCollection,
+                  attrPropsArray: [ {name: 'x'}, {name: 'double', formula: 'x * 2'},
+                                    {name: 'previous', formula: 'prev(double, 0)'},
+                                    {name: 'average', formula: 'mean(x)'} ]
+                });
+  tDataContext.doCreateCases({
+                  operation: 'createCases',
+                  collection: tCollection,
+                  values: [ [1], [2], [3], [4] ]
+                });
+  tCases = tCollection.getPath('collection.cases').slice();
+  same(getValues('previous'), [0, 2, 4, 6], 'Formulas are evaluated.');
+  getValues('average');
+
+  tDataContext.applyChange({
+                  operation: 'updateCases',
+                  collection: tCollection,
+                  cases: [ tCases[1] ],
+                  attributeIDs: [ tDataContext.getAttributeByName('x').get('id') ],
+                  values: [ [20] ]
+                });
+  same(getValidity('double'), [true, false, true, true], 'Row-local references invalidate the changed case.');
+  same(getValidity('previous'), [true, false, false, true],
+        'prev() invalidates the following case (and the changed case for its default).');
+  same(getValidity('average'), [false, false, false, false], 'Aggregates invalidate all cases.');
+  same(getValues('previous'), [0, 2, 40, 6], 'Affected cases are recomputed.');
+  same(getValues('average'), [7, 7, 7, 7], 'Aggregates are recomputed.');
+});
+
+test("test case-level invalidation of recursive formulas", function () {
+  var tDataContextRecord = DG.activeDocument.createContext({
+      document: DG.activeDocument
+    }),
+    tDataContext = DG.DataContext.factory({
+      type: tDataContextRecord.type,
+      model: tDataContextRecord
+    }),
+    tCollection = tDataContext.createCollection({ name: 'cA' }),
+    tCaseCount = 2000,
+    tValues = [],
+    tTotalID, tCases, tResult, i;
+
+  function getTotals() {
+    return tCases.map(function (iCase) { return iCase.getValue(tTotalID); });
+  }
+
+  for (i = 1; i <= tCaseCount; ++i)
+    tValues.push([1]);
+  tDataContext.doCreateAttributes({
+                  operation: 'createAttributes',
+                  collection: tCollection,
+                  attrPropsArray: [ {name: 'x'}, {name: 'total', formula: 'prev(total, 0) + x'} ]
+                });
+  tDataContext.doCreateCases({
+                  operation: 'createCases',
+                  collection: tCollection,
+                  values: tValues
+                });
+  tCases = tCollection.getPath('collection.cases').slice();
+  tTotalID = tDataContext.getAttributeByName('total').get('id');
+  equals(getTotals()[tCaseCount - 1], tCaseCount, 'Recursive formulas are evaluated.');
+
+  // each case of the recursive chain is invalidated without recursion
+  tResult = tDataContext.get('dependencyMgr').invalidateDependentsOf(
+                  [{ type: DG.DEP_TYPE_ATTRIBUTE, id: tDataContext.getAttributeByName('x').get('id') }],
+                  [ tCases[1] ]);
+  equals(tResult.affectedCases[tDataContext.get('dependencyMgr').createKey(
+                  { type: DG.DEP_TYPE_ATTRIBUTE, id: tTotalID })].length,
+        tCaseCount - 1, 'The changed case and all following cases are affected.');
+  equals(tResult.simpleDependencies.length, 1, 'The recursive attribute is reported once.');
+
+  tDataContext.applyChange({
+                  operation: 'updateCases',
+                  collection: tCollection,
+                  cases: [ tCases[1] ],
+                  attributeIDs: [ tDataContext.getAttributeByName('x').get('id') ],
+                  values: [ [11] ]
+                });
+  var tTotals = getTotals();
+  same([tTotals[0], tTotals[1], tTotals[2], tTotals[tCaseCount - 1]], [1, 12, 13, tCaseCount + 10],
+        'Affected cases are recomputed.');
+});
+
+test("test export tables", function () {
+  var tDataContextRecord = DG.activeDocument.createContext({
+      document: DG.activeDocument
+    }),
+    tDataContext = DG.DataContext.factory({
+      type: tDataContextRecord.type,
+      model: tDataContextRecord
+    }),
+    tCollection = tDataContext.createCollection({ name: 'cA' }),
+    tCases, tAttrID;
+
+  function getExportedValues(iOptions) {
+    return tDataContext.getExportTable('cA', iOptions).cases.map(function (iCase) { return iCase.values.x; });
+  }
+
+  tDataContext.doCreateAttributes({
+                  operation: 'createAttributes',
+                  collection: tCollection,
+                  attrPropsArray: [ {name: 'x'} ]
+                });
+  tDataContext.doCreateCases({
+                  operation: 'createCases',
+                  collection: tCollection,
+                  values: [ [1], [2], [3], [4] ]
+                });
+  tCases = tCollection.getPath('collection.cases').slice();
+  tAttrID = tDataContext.getAttributeByName('x').get('id');
+  tDataContext.applyChange({
+                  operation: 'selectCases',
+                  collection: tCollection,
+                  cases: [ tCases[0], tCases[3] ],
+                  select: true
+                });
+
+  same(getExportedValues(), [1, 2, 3, 4], 'All cases are exported by default.');
+  same(getExportedValues({ selectedOnly: true }), [1, 4], 'Exports can be restricted to the selected cases.');
+  same(getExportedValues({ caseFilter: function (iCase) { return iCase.getValue(tAttrID) > 2; } }), [3, 4],
+        'Exports can be restricted to the cases passing a filter.');
+});
+
+test("test filters", function () {
+  var tDataContextRecord = DG.activeDocument.createContext({
+      document: DG.activeDocument
+    }),
+    tDataContext = DG.DataContext.factory({
+      type: tDataContextRecord.type,
+      model: tDataContextRecord
+    }),
+    tCollection = tDataContext.createCollection({ name: 'cA' }),
+    tCases, tFilter, tCaseIDs;
+
+  function getMatches(iFilterIDs) {
+    return tCases.map(function (iCase) { return tDataContext.caseMatchesFilters(iCase, iFilterIDs); });
+  }
+
+  tDataContext.doCreateAttributes({
+                  operation: 'createAttributes',
+                  collection: tCollection,
+                  attrPropsArray: [ {name: 'x'} ]
+                });
+  tDataContext.doCreateCases({
+                  operation: 'createCases',
+                  collection: tCollection,
+                  values: [ [1], [2], [3], [4] ]
+                });
+  tCases = tCollection.getPath('collection.cases').slice();
+
+  ok(tDataContext.validateFilterFormula('x >'), 'Invalid formulas are reported.');
+  equals(tDataContext.validateFilterFormula('x > 2'), null, 'Valid formulas are accepted.');
+
+  tDataContext.setFilters([{ name: 'big', formula: 'x > 2' }]);
+  tFilter = tDataContext.getFilters()[0];
+  ok(tFilter.id && tFilter.isActive, 'Filters are given IDs and are active by default.');
+  equals(tDataContext.get('filtersChangeCount'), 1, 'Changes to filters are counted.');
+  same(getMatches(), [false, false, true, true], 'Formula filters are applied.');
+  same(getMatches([]), [true, true, true, true], 'Only the specified filters are applied.');
+
+  tCaseIDs = tDataContext.getFilteredCaseIDs(tFilter);
+  tDataContext.applyChange({
+                  operation: 'selectCases',
+                  collection: tCollection,
+                  cases: [ tCases[0] ],
+                  select: true
+                });
+  ok(tDataContext.getFilteredCaseIDs(tFilter) === tCaseIDs, 'Selection changes don\'t invalidate filter results.');
+  tDataContext.applyChange({
+                  operation: 'updateCases',
+                  collection: tCollection,
+                  cases: [ tCases[1] ],
+                  attributeIDs: [ tDataContext.getAttributeByName('x').get('id') ],
+                  values: [ [20] ]
+                });
+  same(getMatches(), [false, true, true, true], 'Value changes invalidate filter results.');
+  tDataContext.setFilters([{ id: tFilter.id, name: 'big', formula: 'x > 2', isActive: false },
+                            tDataContext.createFilterFromSelection('first')]);
+  same(tDataContext.getFilters()[1].itemIDs, [tCases[0].getPath('item.id')], 'Filters can be created from the selection.');
+  same(getMatches(), [true, false, false, false], 'Inactive filters are ignored.');
+  equals(tDataContextRecord.toArchive().filters.length, 2, 'Filters are archived.');
+});
+
+test("test sort specifications", function () {
+  var tDataContextRecord = DG.activeDocument.createContext({
+      document: DG.activeDocument
+    }),
+    tDataContext = DG.DataContext.factory({
+      type: tDataContextRecord.type,
+      model: tDataContextRecord
+    }),
+    tCollection = tDataContext.createCollection({ name: 'cA' }),
+    tNameID, tValueID, tOldClientMap, tOldSortSpecs;
+
+  function getSortedValues() {
+    return tCollection.getPath('collection.cases').map(function (iCase) {
+      return iCase.getValue(tNameID) + iCase.getValue(tValueID);
+    });
+  }
+
+  tDataContext.doCreateAttributes({
+                  operation: 'createAttributes',
+                  collection: tCollection,
+                  attrPropsArray: [ {name: 'name'}, {name: 'value', type: 'numeric'} ]
+                });
+  tDataContext.doCreateCases({
+                  operation: 'createCases',
+                  collection: tCollection,
+                  values: [ ['b', 2], ['a', ''], ['a', 10], ['c', 2], ['a', 9] ]
+                });
+  tNameID = tDataContext.getAttributeByName('name').get('id');
+  tValueID = tDataContext.getAttributeByName('value').get('id');
+
+  ok(!tDataContext.hasSortSpecs(), 'Collections are unsorted by default.');
+  tOldClientMap = tDataContext.get('dataSet').getClientIndexMapCopy();
+  tOldSortSpecs = {};
+  tOldSortSpecs[tCollection.get('id')] = null;
+
+  tDataContext.setSortSpec(tCollection, [{ attrID: tValueID }]);
+  same(tDataContext.getSortSpec(tCollection), [{ attrID: tValueID }], 'Sort specifications can be set.');
+  same(getSortedValues(), ['b2', 'c2', 'a9', 'a10', 'a'], 'Numeric keys are sorted numerically, empty last.');
+
+  tDataContext.setSortSpec(tCollection, [{ attrID: tValueID, isDescending: true, emptyFirst: true }]);
+  same(getSortedValues(), ['a', 'a10', 'a9', 'b2', 'c2'], 'Keys can be descending, empty first.');
+
+  tDataContext.setSortSpec(tCollection, [{ attrID: tNameID }, { attrID: tValueID, isDescending: true }]);
+  same(getSortedValues(), ['a10', 'a9', 'a', 'b2', 'c2'], 'Later keys order cases with equal earlier keys.');
+
+  ok(tDataContext.changeAffectsSortOrder({ operation: 'createCases' }), 'New cases are sorted.');
+  ok(tDataContext.changeAffectsSortOrder({ operation: 'updateAttributes', result: { attrIDs: [tValueID] } }),
+      'Changes to sort keys re-sort the cases.');
+  ok(tDataContext.changeAffectsSortOrder({ operation: 'dependentCases',
+                                            changes: [{ dataContext: tDataContext, attributeIDs: [tNameID] }] }),
+      'Changes to the values of sort keys computed by formulas re-sort the cases.');
+  ok(!tDataContext.changeAffectsSortOrder({ operation: 'selectCases' }), 'Other changes don\'t re-sort the cases.');
+
+  tDataContext.restoreSortOrder(tOldClientMap, tOldSortSpecs);
+  ok(!tDataContext.hasSortSpecs(), 'Sort specifications can be restored.');
+  same(getSortedValues(), ['b2', 'a', 'a10', 'c2', 'a9'], 'The order of the cases can be restored.');
+
+  tDataContext.setSortSpec(tCollection, [{ attrID: tNameID }, { attrID: tValueID }]);
+  tDataContext.applyChange({
+                  operation: 'deleteAttributes',
+                  collection: tCollection,
+                  attrs: [ { id: tValueID, attribute: tDataContext.getAttributeByName('value') } ]
+                });
+  same(tDataContext.getSortSpec(tCollection), [{ attrID: tNameID }], 'Keys of deleted attributes are removed.');
+});
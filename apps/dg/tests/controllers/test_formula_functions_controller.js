@@ -0,0 +1,91 @@
+// ==========================================================================
+//                  DG.formulaFunctionsController Unit Test
+//
+//  Copyright (c) 2021 by The Concord Consortium, Inc. All rights reserved.
+//
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing, software
+//  distributed under the License is distributed on an "AS IS" BASIS,
+//  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//  See the License for the specific language governing permissions and
+//  limitations under the License.
+// ==========================================================================
+
+module("DG.formulaFunctionsController", {
+  setup: function() {
+    DG.Document.createDocument({});
+  },
+  teardown: function() {
+    DG.formulaFunctionsController.reset();
+    DG.Document.destroyDocument(DG.activeDocument);
+  }
+});
+
+test("test DG.formulaFunctionsController", function() {
+
+  var controller = DG.formulaFunctionsController;
+
+  function evaluate(iSource) {
+    var formula = DG.Formula.create({ source: iSource });
+    try {
+      return formula.evaluate();
+    }
+    catch(e) {
+      return e;
+    }
+  }
+
+  same(controller.parseHeader("bmi(w, h)"), { name: 'bmi', params: ['w', 'h'] }, "parseHeader('bmi(w, h)')");
+  same(controller.parseHeader(" two () "), { name: 'two', params: [] }, "parseHeader(' two () ')");
+  equals(controller.parseHeader("bmi"), null, "parseHeader('bmi') fails");
+
+  ok(!controller.validateDefinition({ name: 'bmi', params: ['w', 'h'], body: 'w / h^2' }), "bmi(w, h) is valid");
+  ok(controller.validateDefinition({ name: 'mean', params: ['x'], body: 'x' }), "mean() is a built-in function");
+  ok(controller.validateDefinition({ name: 'round', params: ['x'], body: 'x' }), "round() is a built-in function");
+  ok(controller.validateDefinition({ name: '1st', params: ['x'], body: 'x' }), "1st is an invalid name");
+  ok(controller.validateDefinition({ name: 'f', params: ['x', 'x'], body: 'x' }), "duplicate parameters are invalid");
+  ok(controller.validateDefinition({ name: 'f', params: ['pi'], body: 'pi' }), "constants are invalid parameters");
+  ok(controller.validateDefinition({ name: 'f', params: ['x'], body: 'x +' }), "syntax errors are invalid");
+
+  var bmi = controller.createFormulaFunction({ name: 'bmi', params: ['w', 'h'], body: 'w / h^2' });
+  equals(bmi.get('definition'), "bmi(w, h) = w / h^2", "definition of bmi()");
+  equals(controller.isNameInUse('bmi'), true, "'bmi' is now in use");
+  equals(controller.getFunctionByName('bmi'), bmi, "getFunctionByName('bmi') should succeed");
+  same(controller.get('functionChanges'), ['bmi'], "functionChanges reflects creation of bmi()");
+  ok(controller.validateDefinition({ name: 'bmi', params: ['x'], body: 'x' }), "bmi() is already defined");
+  ok(!controller.validateDefinition({ name: 'bmi', params: ['x'], body: 'x' }, bmi), "bmi() can be redefined");
+  ok(DG.functionRegistry.get('namesArray').indexOf('bmi') >= 0, "bmi is in the function names");
+
+  equals(evaluate("bmi(80, 2)"), 20, "bmi(80, 2)");
+  equals(evaluate("round(bmi(70, 1.8), 1)"), 21.6, "round(bmi(70, 1.8), 1)");
+  ok(evaluate("bmi(80)") instanceof DG.FuncArgsError, "bmi(80) has too few arguments");
+
+  ok(evaluate("sq(3)") instanceof DG.FuncReferenceError, "sq() is not defined");
+  var sqBmi = controller.createFormulaFunction({ name: 'sqBmi', params: ['w', 'h'], body: 'sq(bmi(w, h))' });
+  ok(evaluate("sqBmi(80, 2)") instanceof DG.FuncReferenceError, "sqBmi() calls undefined sq()");
+  controller.createFormulaFunction({ name: 'sq', params: ['x'], body: 'x * x' });
+  ok(controller.get('functionChanges').indexOf('sqBmi') >= 0, "functionChanges includes callers of sq()");
+  equals(evaluate("sqBmi(80, 2)"), 400, "sqBmi(80, 2)");
+
+  controller.updateFormulaFunction(bmi, { body: '2 * w / h^2' });
+  same(controller.get('functionChanges').sort(), ['bmi', 'sqBmi'], "functionChanges reflects callers of bmi()");
+  equals(evaluate("sqBmi(80, 2)"), 1600, "sqBmi(80, 2) after redefining bmi()");
+
+  var loop = controller.createFormulaFunction({ name: 'loop', params: ['x'], body: 'loop(x)' });
+  ok(evaluate("loop(1)") instanceof DG.FuncRecursionError, "recursive functions fail");
+
+  var archive = DG.activeDocument.toArchive();
+  equals(archive.formulaFunctions.length, 4, "functions are archived with the document");
+
+  controller.destroyFormulaFunction(loop);
+  controller.destroyFormulaFunction(sqBmi);
+  equals(controller.isNameInUse('sqBmi'), false, "'sqBmi' is no longer in use");
+  ok(evaluate("sqBmi(80, 2)") instanceof DG.FuncReferenceError, "sqBmi() is no longer defined");
+  ok(DG.functionRegistry.get('namesArray').indexOf('sqBmi') < 0, "sqBmi is no longer in the function names");
+  same(controller.getFunctionNames().sort(), ['bmi', 'sq'], "getFunctionNames()");
+});
@@ -0,0 +1,101 @@
+// ==========================================================================
+//                      DG.FormulaExplainer Unit Test
+//
+//  Copyright (c) 2021 by The Concord Consortium, Inc. All rights reserved.
+//
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing, software
+//  distributed under the License is distributed on an "AS IS" BASIS,
+//  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//  See the License for the specific language governing permissions and
+//  limitations under the License.
+// ==========================================================================
+sc_require('formula/formula_explainer');
+
+module("DG.FormulaExplainer", {
+  setup: function() {
+  },
+  teardown: function() {
+  }
+});
+
+test("Tests nodeToSource", function() {
+  function toSource(iSource) {
+    return DG.FormulaExplainer.nodeToSource(DG.formulaParser.parse(iSource));
+  }
+
+  equals(toSource("1+2*3"), "1 + 2 * 3", "operators are spaced");
+  equals(toSource("(1+2)*3"), "(1 + 2) * 3", "necessary parentheses are preserved");
+  equals(toSource("((1*2))+3"), "1 * 2 + 3", "unnecessary parentheses are removed");
+  equals(toSource("1-(2-3)"), "1 - (2 - 3)", "right operands of the same precedence are parenthesized");
+  equals(toSource("2^3^2"), "2^3^2", "exponentiation is right-associative");
+  equals(toSource("(2^3)^2"), "(2^3)^2", "left operands of exponentiation are parenthesized");
+  equals(toSource("-(x+1)"), "-(x + 1)", "unary operands are parenthesized when necessary");
+  equals(toSource("a and (b or c)"), "a and (b or c)", "logical operators are spelled out");
+  equals(toSource("a = 'b'"), 'a = "b"', "strings use double quotes");
+  equals(toSource("x > 1 ? mean(y, z < 2) : 0"), "x > 1 ? mean(y, z < 2) : 0", "functions and conditionals");
+  equals(toSource("`my attr` + 1"), "`my attr` + 1", "names which aren't identifiers are quoted");
+  equals(toSource("let a=1;// comment\na*2"), "let a = 1; a * 2", "let-bindings without comments");
+  equals(toSource("1+(let a=1;a)"), "1 + (let a = 1; a)", "let-bindings are parenthesized within operands");
+  equals(toSource("switch(x){case 1:'a' default:'b'}"), 'switch (x) { case 1: "a"; default: "b" }',
+          "switch expressions");
+});
+
+test("Tests explainParseTree", function() {
+  var context = DG.FormulaContext.create({});
+
+  function explain(iSource) {
+    return DG.FormulaExplainer.explainParseTree(DG.formulaParser.parse(iSource), context, {});
+  }
+
+  var result = explain("1 + 2 * 3");
+  equals(result.root.value, 7, "the root has the value of the formula");
+  same(result.steps.map(function(iStep) { return iStep.source; }),
+        ["1", "2", "3", "2 * 3", "1 + 2 * 3"], "sub-expressions are evaluated in order");
+  equals(result.root.children[1].value, 6, "each sub-expression has its value");
+  equals(result.root.step, 5, "steps are numbered from 1");
+
+  result = explain("false and undefinedName");
+  equals(result.root.value, false, "logical operators short-circuit");
+  ok(!result.root.children[1].isEvaluated, "short-circuited operands aren't evaluated");
+  equals(result.steps.length, 2, "short-circuited operands aren't steps");
+
+  result = explain("1 < 2 ? 'yes' : 'no'");
+  equals(result.root.value, "yes", "conditionals evaluate the appropriate branch");
+  ok(!result.root.children[2].isEvaluated, "the other branch isn't evaluated");
+
+  result = explain("undefinedName + 1");
+  ok(result.root.error, "errors propagate to the root");
+  ok(result.root.children[0].error, "the sub-expression which threw has the error");
+  ok(!result.root.children[1].isEvaluated, "operands after an error aren't evaluated");
+
+  result = explain("let a = 2; a * a");
+  equals(result.root.value, 4, "let-bindings are evaluated");
+  same(result.steps.map(function(iStep) { return iStep.source; }),
+        ["2", "a", "a", "a * a", "let a = 2; a * a"], "let-bindings are evaluated once");
+
+  result = explain("switch (2) { case 1: 'one'; case 2: 'two'; case 3: 'three' }");
+  equals(result.root.value, "two", "switch expressions evaluate the matching case");
+  same(result.root.children.map(function(iChild) { return iChild.isEvaluated; }),
+        [true, true, false, true, true, false, false], "other cases aren't evaluated");
+
+  result = explain("switch ('2') { case 2: 'two'; default: 'other' }");
+  equals(result.root.value, "two", "values are compared as in compiled formulas");
+  equals(result.root.value, DG.Formula.evaluateParseTree(DG.formulaParser.parse("switch ('2') { case 2: 'two' }"), context, {}),
+          "explanations agree with direct evaluation");
+});
+
+test("Tests aggregate filters don't cache results", function() {
+  var context = DG.FormulaContext.create({}),
+      rank = DG.functionRegistry.getAggregate('rank'),
+      instance = { filterFn: function() { return false; }, caches: {}, results: {} };
+
+  ok(!DG.FormulaExplainer._passesFilter(rank, context, { _id_: 1 }, instance),
+      "cases which fail the filter don't pass");
+  same(instance.results, {}, "checking the filter doesn't affect the results");
+});
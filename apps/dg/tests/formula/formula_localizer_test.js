@@ -0,0 +1,67 @@
+// ==========================================================================
+//                      DG.FormulaLocalizer Unit Test
+//
+//  Copyright (c) 2021 by The Concord Consortium, Inc. All rights reserved.
+//
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing, software
+//  distributed under the License is distributed on an "AS IS" BASIS,
+//  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//  See the License for the specific language governing permissions and
+//  limitations under the License.
+// ==========================================================================
+sc_require('formula/formula_localizer');
+
+module("DG.FormulaLocalizer", {
+  setup: function() {
+  },
+  teardown: function() {
+  }
+});
+
+test("Tests conversion to and from a localized syntax", function() {
+  var kDisplayNames = { mean: 'mittelwert', round: 'runden' },
+      kSyntax = {
+        decimalSeparator: ',',
+        argumentSeparator: ';',
+        trueKeyword: 'wahr',
+        falseKeyword: 'falsch',
+        functionDisplayName: function(iName) {
+          return kDisplayNames[iName] || iName;
+        },
+        canonicalFunctionName: function(iName) {
+          return DG.ObjectMap.findValue(kDisplayNames, iName) || iName;
+        }
+      };
+
+  function roundTrip(iCanonical, iLocalized, iDescription) {
+    equals(DG.FormulaLocalizer.toLocalized(iCanonical, kSyntax), iLocalized, iDescription + " (localized)");
+    equals(DG.FormulaLocalizer.toCanonical(iLocalized, kSyntax), iCanonical, iDescription + " (canonical)");
+  }
+
+  roundTrip("round(mean(x), 1.5) * 2", "runden(mittelwert(x); 1,5) * 2",
+            "function names, number literals and argument separators");
+  roundTrip("x = true or y = false", "x = wahr or y = falsch", "boolean keywords");
+  roundTrip("concat('1.5, true', x)", "concat('1.5, true'; x)", "strings aren't converted");
+  roundTrip("f(let a = 1.5; a, 2)", "f(let a = 1,5; a; 2)", "let-bindings within arguments");
+  roundTrip("switch (x) { case 1.5: 'a'; default: 'b' }", "switch (x) { case 1,5: 'a'; default: 'b' }",
+            "switch expressions");
+  roundTrip("`größe` * 2 // runden(1.5)", "größe * 2 // runden(1.5)", "names and comments");
+  roundTrip("`wahr` + `my attr`", "`wahr` + `my attr`", "names which require quotes");
+  equals(DG.FormulaLocalizer.toLocalized(".5 + 1.", kSyntax), "0,5 + 1",
+          "localized number literals have digits on both sides of the separator");
+  equals(DG.FormulaLocalizer.toCanonical("round(1.5, 2)", kSyntax), "round(1.5, 2)",
+          "canonical separators are accepted");
+  equals(DG.FormulaLocalizer.toLocalized("round(mean(x), 1.5)", DG.FormulaLocalizer.canonicalSyntax),
+          "round(mean(x), 1.5)", "the canonical syntax is unchanged");
+
+  var canonical = DG.FormulaLocalizer.canonicalize("größe + foo(1,5)", kSyntax);
+  equals(canonical.source, "`größe` + foo(1.5)", "canonicalize returns the canonical source");
+  equals(canonical.toLocalizedOffset(canonical.source.indexOf("foo")), 8, "offsets are mapped");
+  equals(canonical.toLocalizedOffset(7), 5, "offsets at the ends of tokens are mapped");
+});
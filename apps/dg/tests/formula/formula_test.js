@@ -219,6 +219,16 @@ test("Basic tests with default compile and evaluation contexts", function() {
   floatEquals( buildAndEval("!((1=2)and(2=2)) ? atan2(pi,2) : cos(pi/2)"),
                 Math.atan2(Math.PI,2), "a more complicated formula");
   equals( buildAndEval("1-(1?2:3)"), -1, "conditional precedence test");
+  equals( buildAndEval("let a = 2; a * a"), 4, "let-binding");
+  equals( buildAndEval("let a = 2;\nlet b = a + 1;\na * b"), 6, "multiple let-bindings on multiple lines");
+  equals( buildAndEval("let a = 2; (let a = 3; a) + a"), 5, "inner let-bindings shadow outer ones");
+  equals( buildAndEval("1 + (let a = 2; a)"), 3, "parenthesized let-binding");
+  equals( buildAndEval("switch (2) { case 1: 'one'; case 2: 'two'; default: 'many' }"), "two", "switch expression");
+  equals( buildAndEval("switch (3) { case 1: 'one' case 2: 'two' default: 'many' }"), "many", "switch default");
+  equals( buildAndEval("switch (3) { case 1: 'one' }"), "", "switch without default");
+  equals( buildAndEval("let n = 1; switch (n + 1) { case n: 'n'; case n * 2: '2n' }"), "2n",
+          "switch with let-bound values");
+  equals( buildAndEval("// comment\n1 + /* another\ncomment */ 2 // trailing"), 3, "comments");
 
   var formulaContext = DG.FormulaContext.create({
                             fns: {
@@ -238,8 +248,38 @@ test("Basic tests with default compile and evaluation contexts", function() {
   equals( buildAndEval("zero()", formulaContext), 0, "compile context function");
   equals( buildAndEval("add(1,2)", formulaContext), 3, "compile context function with arguments");
   equals( buildAndEval("a", formulaContext), 0, "compile context variable");
+  equals( buildAndEval("let a = b + c; a * d", formulaContext), 9, "let-binding of context variables");
+  equals( buildAndEval("let let = 1; let + a", formulaContext), 1, "keywords aren't reserved");
 
   //console.profileEnd();
   //ok(false, "End-of-tests sentinel: All other tests processed to completion!");
 });
 
+test("Tests let-bindings within aggregate function arguments", function() {
+  var references = [],
+      context = DG.FormulaContext.create({
+        isAggregate: function(iName) {
+          return iName === 'agg';
+        },
+        getAggregateFunctionIndices: function() {
+          return this._functionContextStack
+                    .filter(function(iFnContext) { return iFnContext.isAggregate; })
+                    .map(function(iFnContext, iIndex) { return iIndex; });
+        },
+        compileVariable: function(iName, iAggFnIndices) {
+          references.push(iName + ':' + iAggFnIndices.length);
+          return 'c.vars.' + iName;
+        },
+        compileFunction: function(iName, iArgs) {
+          return iName + '(' + iArgs.join(',') + ')';
+        }
+      }),
+      output = DG.Formula.compileToJavaScript(
+                DG.formulaParser.parse("let m = x + 1; m + agg(m * y)"), context);
+
+  same(references, ["x:0", "x:1", "y:1"],
+        "bindings referenced within aggregate function arguments are compiled in place");
+  ok(/^\(function\(_let0\)\{return DG\.Formula\.add\(_let0,/.test(output),
+        "bindings outside of aggregate function arguments are evaluated once");
+});
+
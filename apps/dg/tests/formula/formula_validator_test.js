@@ -0,0 +1,80 @@
+// ==========================================================================
+//                      DG.FormulaValidator Unit Test
+//
+//  Copyright (c) 2021 by The Concord Consortium, Inc. All rights reserved.
+//
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing, software
+//  distributed under the License is distributed on an "AS IS" BASIS,
+//  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//  See the License for the specific language governing permissions and
+//  limitations under the License.
+// ==========================================================================
+sc_require('formula/formula_validator');
+
+module("DG.FormulaValidator", {
+  setup: function() {
+  },
+  teardown: function() {
+  }
+});
+
+test("Tests parse tree locations", function() {
+  var source = "mean(x, y > 2) + (1 - z)",
+      parsed = DG.formulaParser.parse(source);
+
+  function text(iNode) {
+    return source.slice(iNode.location.start, iNode.location.end);
+  }
+
+  equals(text(parsed), source, "the root spans the formula");
+  equals(text(parsed.left), "mean(x, y > 2)", "function calls include their arguments");
+  equals(text(parsed.left.name), "mean", "function names have locations");
+  equals(text(parsed.left.args[1]), "y > 2", "binary expressions span their operands");
+  equals(text(parsed.right), "(1 - z)", "parenthesized expressions include the parentheses");
+  equals(text(parsed.right.right), "z", "variables have locations");
+  equals(text(DG.formulaParser.parse("2 ^ 3").right), "3", "whitespace is allowed around '^'");
+});
+
+test("Tests validate", function() {
+  var options = { names: ['x', 'y'], childNames: ['child'] };
+
+  function problems(iSource, iOptions) {
+    return DG.FormulaValidator.validate(iSource, iOptions || options).map(function(iDiagnostic) {
+      return iSource.slice(iDiagnostic.start, iDiagnostic.end);
+    });
+  }
+
+  same(problems("x + y * pi"), [], "valid formulas have no diagnostics");
+  same(problems(""), [], "empty formulas have no diagnostics");
+  same(problems("x + z"), ["z"], "unknown names are reported");
+  same(problems("x + z", {}), [], "names aren't validated without a list of names");
+  same(problems("x +"), ["+"], "incomplete formulas are reported at the end");
+  same(problems("x + )"), [")"], "syntax errors are reported where they occur");
+  same(problems("foo(x)"), ["foo"], "unknown functions are reported");
+  same(problems("sqrt()"), ["sqrt()"], "too few arguments are reported");
+  same(problems("round(x, 1, 2)"), ["round(x, 1, 2)"], "too many arguments are reported");
+  same(problems("mean(x, x > 1)"), [], "aggregate functions accept a filter argument");
+  same(problems("mean(x, x > 1, 2)"), ["mean(x, x > 1, 2)"], "aggregate functions accept only one filter");
+  same(problems("mlrRSquared(x, y, filter(x > 1))"), [], "regression functions accept a named filter");
+  same(problems("mlrRSquared(x, y, filter(z > 1))"), ["z"], "named filters are validated");
+  same(problems("mlrRSquared(x, y, filter(x > 1, 2))"), ["filter(x > 1, 2)"], "named filters have one argument");
+  same(problems("'a' * 2"), ["'a'"], "non-numeric operands are reported");
+  same(problems("'a' + 2"), [], "strings can be concatenated");
+  same(problems("'2' * 2"), [], "numeric strings are numbers");
+  same(problems("mean(child) + child"), ["child"], "child attributes can only be referenced in aggregates");
+  same(problems("mean(x)", { allowsAggregates: false }), ["mean"], "aggregates can be disallowed");
+  same(problems("z * 'a'"), ["z", "'a'"], "diagnostics are ordered by location");
+  same(problems("let a = x; a * y"), [], "let-bound names are valid");
+  same(problems("let a = x; z + a"), ["z"], "let-bindings don't hide other unknown names");
+  same(problems("(let a = x; a) + a"), ["a"], "let-bound names are only valid within the binding");
+  same(problems("switch (x) { case 1: z; default: 'a' * 2 }"), ["z", "'a'"], "switch expressions are validated");
+  same(problems("x // comment"), [], "comments are valid");
+  equals(DG.FormulaValidator.validate("z", options)[0].message,
+          new DG.VarReferenceError('z').message, "diagnostics have messages");
+});
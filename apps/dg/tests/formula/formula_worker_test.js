@@ -0,0 +1,97 @@
+// ==========================================================================
+//                      DG.FormulaWorker Unit Test
+//
+//  Copyright (c) 2021 by The Concord Consortium, Inc. All rights reserved.
+//
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing, software
+//  distributed under the License is distributed on an "AS IS" BASIS,
+//  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//  See the License for the specific language governing permissions and
+//  limitations under the License.
+// ==========================================================================
+sc_require('formula/formula_worker');
+
+module("DG.FormulaWorker", {
+  setup: function() {
+  },
+  teardown: function() {
+  }
+});
+
+test("Tests getVariableNames", function() {
+  function names(iSource) {
+    return DG.FormulaWorker.getVariableNames(DG.formulaParser.parse(iSource));
+  }
+
+  same(names("x + y * x"), ['x', 'y'], "variables are listed once");
+  same(names("let a = x; round(a, 1) + pi"), ['x', 'pi'], "let-bound names aren't listed");
+  same(names("switch (x) { case 1: y; default: z }"), ['x', 'y', 'z'], "switch expressions are traversed");
+  equals(names("mean(x)"), null, "aggregate functions require the main thread");
+  equals(names("random() + x"), null, "random numbers require the main thread");
+  equals(names("lookupByIndex('c', 'x', 1)"), null, "lookup functions require the main thread");
+});
+
+test("Tests worker evaluation against compiled evaluation", function() {
+  var xValues = [1, 2.5, '', '3', true, 'abc', ' ', null],
+      yValues = [2, '', 1, 4, 0, 'def', 3, 5],
+      job = { columns: { x: xValues, y: yValues }, constants: { g: 10, pi: Math.PI } },
+      sources = [
+        "x + y", "x - y", "x * y", "x / g", "x < y", "x >= y", "x = y", "x != 3",
+        "x > 1 and y < 3", "x or y", "-x", "!x",
+        "round(x * pi, 2)", "abs(x - y)", "if(x > y, 'big', 'small')", "x > y ? x : y",
+        "let d = x - y; d * d", "switch (x) { case 1: 'one'; case '3': 'three'; default: y }",
+        "string(x) + '!'", "trunc(x * 10) / 10"
+      ];
+
+  function isEquivalent(iValue1, iValue2) {
+    if ((typeof iValue1 === 'number') && (typeof iValue2 === 'number'))
+      return (iValue1 === iValue2) || (isNaN(iValue1) && isNaN(iValue2));
+    return iValue1 === iValue2;
+  }
+
+  sources.forEach(function(iSource) {
+    var tree = DG.formulaParser.parse(iSource),
+        results = DG.FormulaWorker.getRuntime().evaluateRange(
+                    $.extend({ source: DG.FormulaWorker.compile(tree) }, job), 0, xValues.length);
+    equals(results.deferred.length, 0, "'%@' is evaluated by the worker".fmt(iSource));
+    xValues.forEach(function(iX, iIndex) {
+      var context = DG.FormulaContext.create({ vars: { x: iX, y: yValues[iIndex], g: 10 } }),
+          formula = DG.Formula.create({ source: iSource, context: context }),
+          expected, isError = false;
+      try {
+        expected = formula.evaluate({});
+      }
+      catch (e) {
+        isError = true;
+      }
+      if (isError)
+        ok(results.errors[iIndex] != null, "'%@' is an error for case %@".fmt(iSource, iIndex));
+      else
+        ok(isEquivalent(results.values[iIndex], expected),
+            "'%@' for case %@: %@ === %@".fmt(iSource, iIndex, results.values[iIndex], expected));
+    });
+  });
+});
+
+test("Tests deferral to the main thread", function() {
+  function evaluateRange(iSource, iStart, iEnd) {
+    var job = { source: DG.FormulaWorker.compile(DG.formulaParser.parse(iSource)),
+                columns: { x: [1, '2020-01-01', 'abc', 4] }, constants: {},
+                deferredCases: { 3: true } };
+    return DG.FormulaWorker.getRuntime().evaluateRange(job, iStart, iEnd);
+  }
+
+  var results = evaluateRange("x + 1", 0, 4);
+  same(results.deferred, [1, 3], "possible dates and deferred cases are deferred");
+  same(results.values.slice(0, 3), [2, undefined, "abc1"], "other cases are evaluated");
+
+  results = evaluateRange("x * 2", 2, 3);
+  equals(results.start, 2, "ranges can start anywhere");
+  equals(results.errors[2], '*', "errors are reported by operator");
+});
@@ -151,6 +151,116 @@ test("Basic tests with default compile and evaluation contexts", function() {
   equals(buildAndEval("seconds(d99)", c), 56, "seconds(d99)");
   dateEquals(buildAndEval("date(1999, 12, 31, 12, 34, 55)+1"), d99, "date(1999, 12, 31, 12, 34, 55)+1");
   dateEquals(buildAndEval("date(1999, 12, 31, 12, 34, 57)-1"), d99, "date(1999, 12, 31, 12, 34, 57)-1");
+  dateEquals(buildAndEval("dateAdd(date(2021, 1, 31), 1, 'month')"), new Date(2021, 1, 28), "dateAdd(date(2021, 1, 31), 1, 'month')");
+  dateEquals(buildAndEval("dateAdd(date(2020, 1, 31), 1, 'months')"), new Date(2020, 1, 29), "dateAdd(date(2020, 1, 31), 1, 'months')");
+  dateEquals(buildAndEval("dateAdd(d99, -1, 'year')", c), new Date(1998, 11, 31, 12, 34, 56), "dateAdd(d99, -1, 'year')");
+  dateEquals(buildAndEval("dateAdd(d99, 2, 'weeks')", c), new Date(2000, 0, 14, 12, 34, 56), "dateAdd(d99, 2, 'weeks')");
+  dateEquals(buildAndEval("dateAdd(d99, 90, 'minutes')", c), new Date(1999, 11, 31, 14, 4, 56), "dateAdd(d99, 90, 'minutes')");
+  equals(buildAndEval("dateAdd(d99, 1, 'fortnight')", c), '', "dateAdd(d99, 1, 'fortnight') -- invalid unit");
+  dateEquals(buildAndEval("dateAdd(d99, 1.5, 'years')", c), new Date(2001, 5, 30, 12, 34, 56), "dateAdd(d99, 1.5, 'years')");
+  equals(buildAndEval("dateAdd(d99, 1.5, 'months')", c), '', "dateAdd(d99, 1.5, 'months') -- fractional months");
+  equals(buildAndEval("dateDiff(date(2021, 1, 1), date(2021, 3, 1), 'days')"), 59, "dateDiff(date(2021, 1, 1), date(2021, 3, 1), 'days')");
+  equals(buildAndEval("dateDiff(date(2021, 3, 1), date(2021, 1, 1), 'day')"), -59, "dateDiff(date(2021, 3, 1), date(2021, 1, 1), 'day')");
+  equals(buildAndEval("dateDiff(date(2021, 1, 31), date(2021, 2, 28), 'month')"), 1, "dateDiff(date(2021, 1, 31), date(2021, 2, 28), 'month')");
+  equals(buildAndEval("dateDiff(d99, date(2021, 12, 31, 12, 34, 56), 'years')", c), 22, "dateDiff(d99, date(2021, 12, 31, 12, 34, 56), 'years')");
+  equals(buildAndEval("dateDiff(date(2021, 1, 1, 9), date(2021, 1, 1, 10, 30), 'hours')"), 1.5, "dateDiff(date(2021, 1, 1, 9), date(2021, 1, 1, 10, 30), 'hours')");
+  equals(buildAndEval("formatDate(d99, 'YYYY-MM-DD HH:mm:ss')", c), "1999-12-31 12:34:56", "formatDate(d99, 'YYYY-MM-DD HH:mm:ss')");
+  equals(buildAndEval("formatDate(date(2021, 7, 4, 15, 30), 'ddd, MMM D [at] h:mm A')"), "Sun, Jul 4 at 3:30 PM", "formatDate(date(2021, 7, 4, 15, 30), 'ddd, MMM D [at] h:mm A')");
+  equals(buildAndEval("quarter(d99)", c), 4, "quarter(d99)");
+  equals(buildAndEval("quarter(date(2000, 1, 1))"), 1, "quarter(date(2000, 1, 1))");
+  equals(buildAndEval("weekOfYear(date(2021, 1, 4))"), 1, "weekOfYear(date(2021, 1, 4))");
+  equals(buildAndEval("weekOfYear(date(2021, 1, 1))"), 53, "weekOfYear(date(2021, 1, 1))");
+  equals(buildAndEval("weekOfYear(d99)", c), 52, "weekOfYear(d99)");
+  dateEquals(buildAndEval("startOf(d99, 'year')", c), new Date(1999, 0, 1), "startOf(d99, 'year')");
+  dateEquals(buildAndEval("startOf(d99, 'quarter')", c), new Date(1999, 9, 1), "startOf(d99, 'quarter')");
+  dateEquals(buildAndEval("startOf(d99, 'week')", c), new Date(1999, 11, 27), "startOf(d99, 'week')");
+  dateEquals(buildAndEval("startOf(date(2021, 1, 3), 'week')"), new Date(2020, 11, 28), "startOf(date(2021, 1, 3), 'week') -- weeks start on Monday");
+  dateEquals(buildAndEval("startOf(d99, 'hour')", c), new Date(1999, 11, 31, 12), "startOf(d99, 'hour')");
+  dateEquals(buildAndEval("convertTimeZone(d99, 'local', 'local')", c), d99, "convertTimeZone(d99, 'local', 'local')");
+  dateEquals(buildAndEval("convertTimeZone(convertTimeZone(d99, 'local', 'UTC'), 'UTC', 'local')", c), d99, "convertTimeZone(convertTimeZone(d99, 'local', 'UTC'), 'UTC', 'local')");
+  equals(buildAndEval("minutes(convertTimeZone(date(2021, 1, 4, 12, 15), 'UTC', 'UTC'))"), 15, "minutes(convertTimeZone(date(2021, 1, 4, 12, 15), 'UTC', 'UTC'))");
+  // other time zones require the Intl time zone APIs
+  if ((typeof Intl !== 'undefined') && Intl.DateTimeFormat && Intl.DateTimeFormat.prototype.formatToParts) {
+    equals(buildAndEval("hours(convertTimeZone(date(2021, 1, 4, 12), 'UTC', 'Asia/Kolkata'))"), 17, "hours(convertTimeZone(date(2021, 1, 4, 12), 'UTC', 'Asia/Kolkata'))");
+    equals(buildAndEval("minutes(convertTimeZone(date(2021, 1, 4, 12), 'UTC', 'Asia/Kolkata'))"), 30, "minutes(convertTimeZone(date(2021, 1, 4, 12), 'UTC', 'Asia/Kolkata'))");
+    equals(buildAndEval("convertTimeZone(d99, 'Mars/Olympus')", c), '', "convertTimeZone(d99, 'Mars/Olympus') -- invalid time zone");
+  }
+  else {
+    var tTimeZoneError;
+    try {
+      buildAndEval("convertTimeZone(d99, 'Asia/Kolkata')", c);
+    }
+    catch (e) {
+      tTimeZoneError = e;
+    }
+    equals(tTimeZoneError && tTimeZoneError.reference, 'Asia/Kolkata', "convertTimeZone(d99, 'Asia/Kolkata') throws an error without Intl time zones");
+  }
+
+  // distribution functions
+  floatEquals(buildAndEval("normalPDF(0)"), 0.3989422804, "normalPDF(0)", 1e-9);
+  floatEquals(buildAndEval("normalPDF(110, 100, 15)"), 0.0212965337, "normalPDF(110, 100, 15)", 1e-9);
+  equals(buildAndEval("normalPDF(0, 0, 0)"), '', "normalPDF(0, 0, 0) -- invalid sd");
+  equals(buildAndEval("normalPDF('')"), '', "normalPDF('')");
+  floatEquals(buildAndEval("normalCDF(0)"), 0.5, "normalCDF(0)");
+  floatEquals(buildAndEval("normalCDF(1.96)"), 0.9750021049, "normalCDF(1.96)", 1e-9);
+  floatEquals(buildAndEval("normalCDF(-8)"), 6.22096057e-16, "normalCDF(-8)", 1e-22);
+  floatEquals(buildAndEval("normalCDF(130, 100, 15)"), 0.9772498681, "normalCDF(130, 100, 15)", 1e-9);
+  floatEquals(buildAndEval("invNorm(0.975)"), 1.9599639845, "invNorm(0.975)", 1e-9);
+  floatEquals(buildAndEval("invNorm(0.9, 100, 15)"), 119.2232734832, "invNorm(0.9, 100, 15)", 1e-8);
+  floatEquals(buildAndEval("invNorm(normalCDF(-2.5))"), -2.5, "invNorm(normalCDF(-2.5))", 1e-9);
+  equals(buildAndEval("invNorm(1)"), '', "invNorm(1) -- invalid probability");
+  floatEquals(buildAndEval("tPDF(0, 10)"), 0.3891083840, "tPDF(0, 10)", 1e-9);
+  floatEquals(buildAndEval("tCDF(2.228, 10)"), 0.9749941141, "tCDF(2.228, 10)", 1e-9);
+  floatEquals(buildAndEval("tCDF(-2.228, 10)"), 0.0250058859, "tCDF(-2.228, 10)", 1e-9);
+  floatEquals(buildAndEval("invT(0.975, 10)"), 2.2281388520, "invT(0.975, 10)", 1e-8);
+  floatEquals(buildAndEval("invT(0.025, 5)"), -2.5705818356, "invT(0.025, 5)", 1e-8);
+  floatEquals(buildAndEval("invT(0.995, 1)"), 63.6567411629, "invT(0.995, 1)", 1e-7);
+  equals(buildAndEval("tCDF(1, 0)"), '', "tCDF(1, 0) -- invalid degrees of freedom");
+  floatEquals(buildAndEval("chiSquarePDF(2, 3)"), 0.2075537487, "chiSquarePDF(2, 3)", 1e-9);
+  floatEquals(buildAndEval("chiSquareCDF(3.841, 1)"), 0.9499863162, "chiSquareCDF(3.841, 1)", 1e-9);
+  floatEquals(buildAndEval("invChiSquare(0.95, 1)"), 3.8414588207, "invChiSquare(0.95, 1)", 1e-8);
+  floatEquals(buildAndEval("invChiSquare(0.95, 10)"), 18.3070380533, "invChiSquare(0.95, 10)", 1e-8);
+  floatEquals(buildAndEval("binomialPDF(3, 10, 0.5)"), 0.1171875, "binomialPDF(3, 10, 0.5)");
+  equals(buildAndEval("binomialPDF(11, 10, 0.5)"), 0, "binomialPDF(11, 10, 0.5)");
+  floatEquals(buildAndEval("binomialCDF(3, 10, 0.5)"), 0.171875, "binomialCDF(3, 10, 0.5)");
+  equals(buildAndEval("binomialCDF(10, 10, 0.5)"), 1, "binomialCDF(10, 10, 0.5)");
+  equals(buildAndEval("binomialCDF(3, 10, 1.5)"), '', "binomialCDF(3, 10, 1.5) -- invalid probability");
+  floatEquals(buildAndEval("poissonPDF(2, 3)"), 0.2240418077, "poissonPDF(2, 3)", 1e-9);
+  floatEquals(buildAndEval("poissonCDF(2, 3)"), 0.4231900811, "poissonCDF(2, 3)", 1e-9);
+  equals(buildAndEval("poissonCDF(-1, 3)"), 0, "poissonCDF(-1, 3)");
+
+  // boundary functions
+  var square = { type: 'Feature', properties: { NAME: 'Square' },
+                  geometry: { type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]]] } },
+      framed = { type: 'Polygon', coordinates: [[[0, 0], [2, 0], [2, 2], [0, 2], [0, 0]],
+                                                [[0.5, 0.5], [0.5, 1.5], [1.5, 1.5], [1.5, 0.5], [0.5, 0.5]]] },
+      triangle = { type: 'Feature', properties: { NAME: 'Triangle' },
+                    geometry: { type: 'MultiPolygon', coordinates: [[[[10, 10], [13, 10], [10, 13], [10, 10]]]] } },
+      boundaries = new DG.BoundaryMap({ square: { jsonBoundaryObject: square },
+                                        sq: { jsonBoundaryObject: square },
+                                        triangle: { jsonBoundaryObject: triangle } }),
+      bc = DG.FormulaContext.create({ vars: { square: { jsonBoundaryObject: square },
+                                              squareJson: JSON.stringify(square),
+                                              framed: framed, triangle: triangle,
+                                              boundaries: boundaries } });
+  equals(buildAndEval("pointInBoundary(0.5, 0.5, square)", bc), true, "pointInBoundary(0.5, 0.5, square)");
+  equals(buildAndEval("pointInBoundary(1.5, 0.5, square)", bc), false, "pointInBoundary(1.5, 0.5, square)");
+  equals(buildAndEval("pointInBoundary(0.5, 0.5, squareJson)", bc), true, "pointInBoundary(0.5, 0.5, squareJson)");
+  equals(buildAndEval("pointInBoundary(0.25, 0.25, framed)", bc), true, "pointInBoundary(0.25, 0.25, framed)");
+  equals(buildAndEval("pointInBoundary(1, 1, framed)", bc), false, "pointInBoundary(1, 1, framed) -- in hole");
+  equals(buildAndEval("pointInBoundary('', 0.5, square)", bc), '', "pointInBoundary('', 0.5, square)");
+  floatEquals(buildAndEval("boundaryArea(square)", bc), 12363.684, "boundaryArea(square)", 1e-3);
+  floatEquals(buildAndEval("boundaryArea(framed)", bc), 37084.932, "boundaryArea(framed)", 1e-3);
+  floatEquals(buildAndEval("boundaryPerimeter(square)", bc), 444.7628, "boundaryPerimeter(square)", 1e-4);
+  floatEquals(buildAndEval("boundaryCentroidLat(framed)", bc), 1, "boundaryCentroidLat(framed)");
+  floatEquals(buildAndEval("boundaryCentroidLat(triangle)", bc), 11, "boundaryCentroidLat(triangle)");
+  floatEquals(buildAndEval("boundaryCentroidLong(triangle)", bc), 11, "boundaryCentroidLong(triangle)");
+  equals(buildAndEval("boundaryArea('')"), '', "boundaryArea('')");
+  equals(buildAndEval("nearestBoundary(0.5, 0.5, boundaries)", bc), 'Square', "nearestBoundary(0.5, 0.5, boundaries)");
+  equals(buildAndEval("nearestBoundary(9, 9, boundaries)", bc), 'Triangle', "nearestBoundary(9, 9, boundaries)");
+  equals(buildAndEval("nearestBoundary(3, 3, boundaries)", bc), 'Square', "nearestBoundary(3, 3, boundaries)");
+  equals(buildAndEval("nearestBoundary(3, 3, boundaries, 100)", bc), '', "nearestBoundary(3, 3, boundaries, 100)");
+  floatEquals(buildAndEval("greatCircleDistance(40.66, -74, 37.8, -122.4)"), 4128.2, "greatCircleDistance(40.66, -74, 37.8, -122.4)", 0.1);
 
   // other functions
   equals( buildAndEval("if(true,1,0)"), 1, "if(true,1,0)");
@@ -169,6 +279,14 @@ test("Basic tests with default compile and evaluation contexts", function() {
   inRange( buildAndEval("random()"), 0, 1, "random() -- pseudo-random number generation");
   inRange( buildAndEval("random(10)"), 0, 10, "random(max) -- pseudo-random number generation");
   inRange( buildAndEval("random(5,10)"), 5, 10, "random(min,max) -- pseudo-random number generation");
+  equals( buildAndEval("randomSeed()"), '', "randomSeed() -- random numbers aren't seeded by default");
+  DG.RandomUtilities.setSeed(42);
+  equals( buildAndEval("randomSeed()"), 42, "randomSeed() -- returns the seed");
+  var seededValues = [buildAndEval("random()"), buildAndEval("randomNormal()"), buildAndEval("randomPick(1,2,3)")];
+  DG.RandomUtilities.setSeed(42);
+  same( [buildAndEval("random()"), buildAndEval("randomNormal()"), buildAndEval("randomPick(1,2,3)")], seededValues,
+        "seeded random functions are reproducible");
+  DG.RandomUtilities.setSeed(null);
 
   // string functions
   equals(buildAndEval("beginsWith('abcdef', 'abc')"), true, "beginsWith('abcdef', 'abc')");
@@ -225,6 +343,35 @@ test("Basic tests with default compile and evaluation contexts", function() {
   equals(buildAndEval("replaceString(12345, 3, 8)"), '12845', "replaceString(12345, 3, 8)");
   equals(buildAndEval("replaceString('', 'xyz', 'abc')"), '', "replaceString('', 'xyz', 'abc')");
   equals(buildAndEval("replaceString('abcxyzdef', 'xyz', '')"), 'abcdef', "replaceString('abcxyzdef', 'xyz', '')");
+  equals(buildAndEval("regexExtract('Order 1234 shipped', '[0-9]+')"), '1234', "regexExtract('Order 1234 shipped', '[0-9]+')");
+  equals(buildAndEval("regexExtract('John Smith', '([A-Z][a-z]*) ([A-Z][a-z]*)', 2)"), 'Smith', "regexExtract('John Smith', '([A-Z][a-z]*) ([A-Z][a-z]*)', 2)");
+  equals(buildAndEval("regexExtract('John Smith', '([a-z]+)$', 1, 'i')"), 'Smith', "regexExtract('John Smith', '([a-z]+)$', 1, 'i')");
+  equals(buildAndEval("regexExtract('abc', 'x')"), '', "regexExtract('abc', 'x')");
+  equals(buildAndEval("regexExtract('ABC', 'b', 0, 'i')"), 'B', "regexExtract('ABC', 'b', 0, 'i')");
+  equals(buildAndEval("regexExtract('a12', '\\\\d+')"), '12', "regexExtract('a12', '\\\\d+')");
+  equals(buildAndEval("regexReplace('a-b--c', '-+', ' ')"), 'a b c', "regexReplace('a-b--c', '-+', ' ')");
+  equals(buildAndEval("regexReplace('John Smith', '(\\\\w+) (\\\\w+)', '$2, $1')"), 'Smith, John', "regexReplace('John Smith', '(\\\\w+) (\\\\w+)', '$2, $1')");
+  equals(buildAndEval("regexReplace('AbA', 'a', 'x', 'i')"), 'xbx', "regexReplace('AbA', 'a', 'x', 'i')");
+  equals(buildAndEval("regexReplace('abc', '', 'x')"), 'abc', "regexReplace('abc', '', 'x')");
+  equals(buildAndEval("regexCount('a1b22c333', '[0-9]+')"), 3, "regexCount('a1b22c333', '[0-9]+')");
+  equals(buildAndEval("regexCount('AaA', 'a')"), 1, "regexCount('AaA', 'a')");
+  equals(buildAndEval("regexCount('AaA', 'a', 'i')"), 3, "regexCount('AaA', 'a', 'i')");
+  equals(buildAndEval("regexCount('', 'a')"), 0, "regexCount('', 'a')");
+  equals(buildAndEval("regexCount('abc', 'x*')"), 0, "regexCount('abc', 'x*')");
+  equals(buildAndEval("regexCount('axxbxc', 'x*')"), 2, "regexCount('axxbxc', 'x*')");
+  equals(buildAndEval("regexSplitPart('a, b;c', '[,;] *', 2)"), 'b', "regexSplitPart('a, b;c', '[,;] *', 2)");
+  equals(buildAndEval("regexSplitPart('a, b;c', '([,;]) *', -1)"), 'c', "regexSplitPart('a, b;c', '([,;]) *', -1)");
+  equals(buildAndEval("regexSplitPart('abc', 'x*', 1)"), 'abc', "regexSplitPart('abc', 'x*', 1)");
+  equals(buildAndEval("regexSplitPart('axxbxc', 'x*', 3)"), 'c', "regexSplitPart('axxbxc', 'x*', 3)");
+  equals(buildAndEval("regexSplitPart('abc', 'b', 3)"), '', "regexSplitPart('abc', 'b', 3)");
+  var tRegexError;
+  try {
+    buildAndEval("regexCount('abc', '(')");
+  }
+  catch (e) {
+    tRegexError = e;
+  }
+  equals(tRegexError && tRegexError.reference, '(', "regexCount('abc', '(') throws an error for the invalid pattern");
   equals(buildAndEval("stringLength('abcdef')"), 6, "stringLength('abcdef')");
   equals(buildAndEval("stringLength('abcxyzdef')"), 9, "stringLength('abcxyzdef')");
   equals(buildAndEval("stringLength(12345)"), 5, "stringLength(12345)");
@@ -126,6 +126,14 @@ test('test DG.Attribute formulas', function() {
       {collection: tParentCollectionModel, name: 'pcLast', formula: 'last(childStr)', expect: 'child11'},
       {collection: tParentCollectionModel, name: 'ppPrev', formula: 'prev(parentNum)', expect: 3},
       {collection: tParentCollectionModel, name: 'ppNext', formula: 'next(parentNum)', expect: 5},
+      {collection: tParentCollectionModel, name: 'ppRank', formula: 'rank(parentNum)', expect: 2},
+      {collection: tParentCollectionModel, name: 'ppPercentRank', formula: 'percentRank(parentNum)', expect: 0.5},
+      {collection: tParentCollectionModel, name: 'ppCumulativeSum', formula: 'cumulativeSum(parentNum)', expect: 7},
+      {collection: tParentCollectionModel, name: 'ppCumulativeSumSorted', formula: 'cumulativeSum(parentNum, -parentNum)', expect: 9},
+      {collection: tParentCollectionModel, name: 'ppfCumulativeCount', formula: 'cumulativeCount(parentNum, caseIndex, parentNum>3)', expect: 1},
+      {collection: tParentCollectionModel, name: 'ppLag', formula: 'lag(parentNum)', expect: 3},
+      {collection: tParentCollectionModel, name: 'ppLagSorted', formula: 'lag(parentNum, 1, -parentNum)', expect: 5},
+      {collection: tParentCollectionModel, name: 'ppLead', formula: 'lead(parentStr)', expect: 'parent4'},
       {collection: tParentCollectionModel, name: 'pcMin', formula: 'min(childNum)', expect: 9},
       {collection: tParentCollectionModel, name: 'pcMax', formula: 'max(childNum)', expect: 11},
       {collection: tParentCollectionModel, name: 'pcMean', formula: 'mean(childNum)', expect: 10},
@@ -147,6 +155,23 @@ test('test DG.Attribute formulas', function() {
       {collection: tParentCollectionModel, name: 'pcfMedian', formula: 'mean(childNum,childNum<=10)', expect: 9.5},
       {collection: tParentCollectionModel, name: 'pcfPercentile25', formula: 'percentile(childNum,0.25,childNum<=10)', expect: 9.25},
       {collection: tParentCollectionModel, name: 'pcfPercentile75', formula: 'percentile(childNum,0.75,childNum<=10)', expect: 9.75},
+      {collection: tParentCollectionModel, name: 'pcTTest', formula: 'tTestPValue(childNum, 10)', expect: 1},
+      {collection: tParentCollectionModel, name: 'pcTTest8', formula: 'round(tTestPValue(childNum, 8), 6)', expect: 0.07418},
+      {collection: tParentCollectionModel, name: 'pcfTTest', formula: 'round(tTestPValue(childNum, 9, childNum<=10), 6)', expect: 0.5},
+      {collection: tParentCollectionModel, name: 'pcTInterval', formula: 'round(tInterval(childNum, 0.95), 6)', expect: 2.484138},
+      {collection: tParentCollectionModel, name: 'pcTIntervalLower', formula: 'round(tIntervalLower(childNum), 6)', expect: 7.515862},
+      {collection: tParentCollectionModel, name: 'pcTIntervalUpper', formula: 'round(tIntervalUpper(childNum, 0.95), 6)', expect: 12.484138},
+      {collection: tParentCollectionModel, name: 'pcPropZTest', formula: 'round(propZTest(childNum>=10, 0.5), 6)', expect: 0.563703},
+      {collection: tParentCollectionModel, name: 'pcChiSquareGOF', formula: 'round(chiSquareGOF(childNum>=10), 6)', expect: 0.563703},
+      {collection: tParentCollectionModel, name: 'pcChiSquareGOFUniform', formula: 'chiSquareGOF(childStr)', expect: 1},
+      {collection: tParentCollectionModel, name: 'pcRegrCoefficient', formula: 'round(regrCoefficient(childNum, childNum*childNum, "quadratic", 2), 6)', expect: 1},
+      {collection: tParentCollectionModel, name: 'pcRegrCoefficientExp', formula: 'round(regrCoefficient(childNum, exp(childNum), "exponential", 1), 6)', expect: 1},
+      {collection: tParentCollectionModel, name: 'pcRegrRSquared', formula: 'round(regrRSquared(childNum, childNum*childNum, "quadratic"), 6)', expect: 1},
+      {collection: tParentCollectionModel, name: 'pcMlrCoefficient', formula: 'round(mlrCoefficient(1 + 2*childNum + 3*childNum*childNum, childNum, childNum*childNum, 2), 6)', expect: 3},
+      {collection: tParentCollectionModel, name: 'pcMlrCoefficient0', formula: 'round(mlrCoefficient(1 + 2*childNum + 3*childNum*childNum, childNum, childNum*childNum, 0), 6)', expect: 1},
+      {collection: tParentCollectionModel, name: 'pcfMlrCoefficient', formula: 'round(mlrCoefficient(childNum*childNum, childNum, 1, filter(childNum>=10)), 6)', expect: 21},
+      {collection: tParentCollectionModel, name: 'pcMlrCoefficientBool', formula: 'round(mlrCoefficient(2*childNum + 5*(childNum>=10), childNum, childNum>=10, 2), 6)', expect: 5},
+      {collection: tParentCollectionModel, name: 'pcMlrRSquared', formula: 'round(mlrRSquared(childNum*childNum, childNum, childNum*childNum), 6)', expect: 1},
 
       {collection: tChildCollectionModel, name: 'ccCopy', formula: 'childStr', expect: 'child'},
       {collection: tChildCollectionModel, name: 'ccSqrt', formula: 'sqrt(childNum)', expect: 3},
@@ -180,6 +205,18 @@ test('test DG.Attribute formulas', function() {
       {collection: tChildCollectionModel, name: 'ccfMedian', formula: 'mean(childNum,childNum<=10)', expect: 9.5},
       {collection: tChildCollectionModel, name: 'ccfPercentile25', formula: 'percentile(childNum,0.25,childNum<=10)', expect: 9.25},
       {collection: tChildCollectionModel, name: 'ccfPercentile75', formula: 'percentile(childNum,0.75,childNum<=10)', expect: 9.75},
+      {collection: tChildCollectionModel, name: 'ccTTest8', formula: 'round(tTestPValue(childNum, 8), 6)', expect: 0.07418},
+      {collection: tChildCollectionModel, name: 'ccTInterval', formula: 'round(tInterval(childNum, 0.95), 6)', expect: 2.484138},
+      {collection: tChildCollectionModel, name: 'ccRegrPredicted', formula: 'round(regrPredicted(childNum, childNum*childNum, "quadratic"), 6)', expect: 81},
+      {collection: tChildCollectionModel, name: 'ccRegrResidual', formula: 'round(regrResidual(childNum, childNum*childNum, "linear"), 6)', expect: 0.333333},
+      {collection: tChildCollectionModel, name: 'ccMlrPredicted', formula: 'round(mlrPredicted(childNum*childNum, childNum), 6)', expect: 80.666667},
+      {collection: tChildCollectionModel, name: 'ccMlrResidual', formula: 'round(mlrResidual(childNum*childNum, childNum), 6)', expect: 0.333333},
+      {collection: tChildCollectionModel, name: 'ccfMlrPredicted', formula: 'round(mlrPredicted(childNum*childNum, childNum, filter(childNum<=10)), 6)', expect: 81},
+      {collection: tChildCollectionModel, name: 'ccRank', formula: 'rank(-childNum)', expect: 3},
+      {collection: tChildCollectionModel, name: 'ccfRank', formula: 'rank(childNum, childNum>=10)', expect: ''},
+      {collection: tChildCollectionModel, name: 'ccCumulativeSum', formula: 'cumulativeSum(childNum)', expect: 9},
+      {collection: tChildCollectionModel, name: 'ccLag', formula: 'lag(childStr)', expect: ''},
+      {collection: tChildCollectionModel, name: 'ccLead', formula: 'lead(childStr, 2)', expect: 'child11'},
     ],
     parentCase,
     childCase;
@@ -209,4 +246,42 @@ test('test DG.Attribute formulas', function() {
         parentCase: childCase);
     equals(value, spec.expect, "Formula: " + spec.formula);
   });
-});
\ No newline at end of file
+});
+test('test background formula evaluation', function() {
+  var tContext = DG.activeDocument.createContext({}),
+      tCollectionModel = tContext.createCollection({ name: 'Collection', context: tContext }),
+      tAttr = tCollectionModel.createAttribute({ name: 'x' }),
+      tCases = [1, 2, 3].map(function(iValue) {
+                  return tCollectionModel.createCase({ values: { x: iValue } });
+                }),
+      tFormAttr = tCollectionModel.createAttribute({ name: 'y', formula: 'x * 2' }),
+      tWorker = DG.FormulaWorker,
+      tSaved = { minCaseCount: tWorker.minCaseCount, isAvailable: tWorker.isAvailable,
+                  evaluate: tWorker.evaluate },
+      tSpec, tIsCancelled = false;
+
+  // the worker's results are provided by the test
+  tWorker.minCaseCount = 1;
+  tWorker.isAvailable = function() { return true; };
+  tWorker.evaluate = function(iSpec) {
+    tSpec = iSpec;
+    return { cancel: function() { tIsCancelled = true; } };
+  };
+  tFormAttr.notifyFormulaValues = function() {};
+  try {
+    equals(tFormAttr.evalFormula(tCases[0]), '', 'Values are pending during background evaluation.');
+    tCases[1].setValue(tAttr.get('id'), 5);
+    tFormAttr.invalidateCases([tCases[1]]);
+    ok(!tIsCancelled, 'Changes to cases don\'t cancel the background evaluation.');
+    equals(tFormAttr.evalFormula(tCases[1]), 10, 'Changed cases are evaluated synchronously.');
+    equals(tFormAttr.evalFormula(tCases[2]), '', 'Other cases remain pending.');
+    tSpec.onProgress({ start: 0, values: [2, 4, 6], isDeferred: {} }, 1);
+    equals(tFormAttr.evalFormula(tCases[1]), 10, 'Background results for changed cases are ignored.');
+    equals(tFormAttr.evalFormula(tCases[2]), 6, 'Background results for other cases are cached.');
+  }
+  finally {
+    tWorker.minCaseCount = tSaved.minCaseCount;
+    tWorker.isAvailable = tSaved.isAvailable;
+    tWorker.evaluate = tSaved.evaluate;
+  }
+});
@@ -0,0 +1,101 @@
+// ==========================================================================
+//                   DG.CaseDataExportUtilities Unit Test
+//
+//  Copyright (c) 2021 by The Concord Consortium, Inc. All rights reserved.
+//
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing, software
+//  distributed under the License is distributed on an "AS IS" BASIS,
+//  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//  See the License for the specific language governing permissions and
+//  limitations under the License.
+// ==========================================================================
+sc_require('utilities/case_data_export_utilities');
+
+var table;
+
+module("DG.CaseDataExportUtilities", {
+  setup: function() {
+    table = {
+      name: 'Cities',
+      collections: [
+        { name: 'States', attrs: [{ name: 'state', type: 'categorical' }] },
+        { name: 'Cities', attrs: [{ name: 'city', type: 'categorical' },
+                                  { name: 'pop', type: 'numeric', unit: 'people', description: 'population' },
+                                  { name: 'latitude', type: 'numeric' }, { name: 'longitude', type: 'numeric' }] }
+      ],
+      cases: [
+        { values: { state: 'MA' }, children: [
+          { values: { city: 'Boston', pop: '675647', latitude: 42.36, longitude: -71.06 } },
+          { values: { city: 'Worcester, MA', pop: '', latitude: 42.26, longitude: -71.8 } }
+        ] },
+        { values: { state: 'RI "Ocean"' }, children: [
+          { values: { city: 'Providence', pop: 190934, latitude: '', longitude: -71.41 } }
+        ] }
+      ]
+    };
+  },
+  teardown: function() {
+    table = null;
+  }
+});
+
+test("Tests export of delimited text", function() {
+  var U = DG.CaseDataExportUtilities;
+
+  equals(U.exportTable(table, 'csv'),
+          'state,city,pop,latitude,longitude\r\n' +
+          'MA,Boston,675647,42.36,-71.06\r\n' +
+          'MA,"Worcester, MA",,42.26,-71.8\r\n' +
+          '"RI ""Ocean""",Providence,190934,,-71.41',
+          "CSV includes parent values and quotes as per RFC 4180");
+  equals(U.exportTable(table, 'tsv').split('\r\n')[2], 'MA\tWorcester, MA\t\t42.26\t-71.8', "TSV");
+  same(U.exportTable(table, 'csv', true).split('\r\n').slice(0, 4),
+        ['# dataset: Cities', '# attribute -- name: state, type: categorical',
+          '# attribute -- name: city, type: categorical',
+          '# attribute -- name: pop, unit: people, description: population, type: numeric'],
+        "metadata precedes the header row");
+});
+
+test("Tests export of JSON and JSON Lines", function() {
+  var U = DG.CaseDataExportUtilities,
+      json = JSON.parse(U.exportTable(table, 'json'));
+
+  same(json[0], { state: 'MA', Cities: [{ city: 'Boston', pop: 675647, latitude: 42.36, longitude: -71.06 },
+                                        { city: 'Worcester, MA', pop: null, latitude: 42.26, longitude: -71.8 }] },
+        "JSON nests child cases within their parents");
+  equals(json.length, 2, "JSON has a case for each top-level case");
+  json = JSON.parse(U.exportTable(table, 'json', true));
+  same(json.collections[1].attrs[1], { name: 'pop', unit: 'people', description: 'population', type: 'numeric' },
+        "JSON metadata");
+  equals(json.cases.length, 2, "JSON cases with metadata");
+  same(U.exportTable(table, 'ndjson').split('\n').map(function(iLine) { return JSON.parse(iLine); })[2],
+        { state: 'RI "Ocean"', city: 'Providence', pop: 190934, latitude: null, longitude: -71.41 },
+        "JSON Lines has a row for each leaf case");
+});
+
+test("Tests export of GeoJSON", function() {
+  var U = DG.CaseDataExportUtilities,
+      geoJSON;
+
+  ok(!U.findGeoAttributes(table.collections[0].attrs), "no location attributes");
+  equals(U.findGeoAttributes(U.getAttributes(table)).latitude.name, 'latitude', "latitude and longitude attributes");
+
+  geoJSON = JSON.parse(U.exportTable(table, 'geojson'));
+  equals(geoJSON.type, 'FeatureCollection', "feature collection");
+  same(geoJSON.features[0].geometry, { type: 'Point', coordinates: [-71.06, 42.36] }, "points");
+  equals(geoJSON.features[2].geometry, null, "features without locations");
+  equals(geoJSON.features[0].properties.city, 'Boston', "properties");
+
+  table.collections[0].attrs.push({ name: 'boundary', type: 'boundary' });
+  table.cases[0].values.boundary = JSON.stringify({ type: 'Feature', geometry: { type: 'Point', coordinates: [1, 2] } });
+  geoJSON = JSON.parse(U.exportTable(table, 'geojson', true));
+  same(geoJSON.features[1].geometry, { type: 'Point', coordinates: [1, 2] }, "boundaries take precedence");
+  ok(!('boundary' in geoJSON.features[1].properties), "boundaries aren't properties");
+  equals(geoJSON.metadata.attrs.length, 6, "GeoJSON metadata");
+});
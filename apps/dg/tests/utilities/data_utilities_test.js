@@ -48,3 +48,17 @@ module("DG.Utilities", {
     equals(DG.DataUtilities.canonicalizeInternalValue("2016-02-01"),
         "2016-02-01", "canonicalizeInternalValue('2016-02-01')");
   });
+
+  test("Test compareSortKeyValues()", function () {
+    function sortValues(iValues, iSortKey) {
+      return iValues.slice().sort(function(v1, v2) {
+        return DG.DataUtilities.compareSortKeyValues(v1, v2, iSortKey);
+      });
+    }
+    var values = [3, '', 'b', null, 10, 'A'];
+    same(sortValues(values, {}), ['A', 'b', 3, 10, '', null], "ascending, empty values last");
+    same(sortValues(values, { isDescending: true }), [10, 3, 'b', 'A', '', null], "descending, empty values last");
+    same(sortValues(values, { emptyFirst: true }), ['', null, 'A', 'b', 3, 10], "ascending, empty values first");
+    same(sortValues(values, { isDescending: true, emptyFirst: true }), ['', null, 10, 3, 'b', 'A'],
+          "descending, empty values first");
+  });
@@ -0,0 +1,92 @@
+// ==========================================================================
+//                        DG.JoinUtilities Unit Test
+//
+//  Copyright (c) 2021 by The Concord Consortium, Inc. All rights reserved.
+//
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing, software
+//  distributed under the License is distributed on an "AS IS" BASIS,
+//  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//  See the License for the specific language governing permissions and
+//  limitations under the License.
+// ==========================================================================
+sc_require('utilities/join_utilities');
+
+module("DG.JoinUtilities", {
+  setup: function() {
+  },
+  teardown: function() {
+  }
+});
+
+var kStates = {
+      attrs: [{ name: 'state', type: 'categorical' }, { name: 'name' }],
+      rows: [{ state: 'MA', name: 'Massachusetts' },
+             { state: 'NY', name: 'New York' },
+             { state: 'VT', name: 'Vermont' }]
+    },
+    kCities = {
+      attrs: [{ name: 'name' }, { name: 'st' }, { name: 'population', type: 'numeric' }],
+      rows: [{ name: 'Boston', st: 'MA', population: 675647 },
+             { name: 'Worcester', st: 'MA', population: 206518 },
+             { name: 'Albany', st: 'NY', population: 99224 },
+             { name: 'Hartford', st: 'CT', population: 121054 },
+             { name: 'Nowhere', st: '', population: 0 }]
+    };
+
+test("Tests inner, left and full joins", function() {
+  var U = DG.JoinUtilities,
+      options = { leftKeys: ['state'], rightKeys: ['st'], leftName: 'States' },
+      result = U.join(kStates, kCities, options);
+
+  same(result.collections, [{ name: 'States', attrs: [{ name: 'state', type: 'categorical' }, { name: 'name' },
+                                                      { name: 'name_1' },
+                                                      { name: 'population', type: 'numeric' }] }],
+        "keys appear once and conflicting names are made unique");
+  same(result.cases.map(function(iCase) { return iCase.values.name_1; }), ['Boston', 'Worcester', 'Albany'],
+        "inner join includes only matching pairs of rows");
+  same(result.cases[2].values, { state: 'NY', name: 'New York', name_1: 'Albany', population: 99224 },
+        "joined values");
+  equals(result.matchCount, 3, "match count");
+  equals(result.leftUnmatchedCount, 1, "left unmatched count");
+  equals(result.rightUnmatchedCount, 2, "right unmatched count, including empty keys");
+
+  options.joinType = 'left';
+  result = U.join(kStates, kCities, options);
+  same(result.cases[3].values, { state: 'VT', name: 'Vermont' }, "left join includes unmatched left rows");
+
+  options.joinType = 'full';
+  options.leftPrefix = 'state ';
+  options.rightPrefix = 'city ';
+  result = U.join(kStates, kCities, options);
+  equals(result.cases.length, 6, "full join includes unmatched rows of both tables");
+  same(result.cases[4].values, { state: 'CT', 'city name': 'Hartford', 'city population': 121054 },
+        "unmatched right rows take their key values");
+  same(result.collections[0].attrs.map(function(iAttr) { return iAttr.name; }),
+        ['state', 'state name', 'city name', 'city population'], "prefixes");
+});
+
+test("Tests hierarchical joins and multiple keys", function() {
+  var U = DG.JoinUtilities,
+      result = U.join(kStates, kCities, { leftKeys: ['state'], rightKeys: ['st'], joinType: 'left',
+                                           isHierarchical: true, leftName: 'States', rightName: 'Cities' });
+
+  equals(result.collections.length, 2, "parent and child collections");
+  same(result.collections[1], { name: 'Cities', attrs: [{ name: 'name_1' }, { name: 'population', type: 'numeric' }] },
+        "the other attributes of the right table form the child collection");
+  same(result.cases.map(function(iCase) { return iCase.children.length; }), [2, 1, 0],
+        "matching right rows become child cases");
+
+  result = U.join({ attrs: [{ name: 'a' }, { name: 'b' }, { name: 'x' }],
+                    rows: [{ a: 1, b: 'p', x: 'one' }, { a: 1, b: 'q', x: 'two' }] },
+                  { attrs: [{ name: 'a' }, { name: 'b' }, { name: 'y' }],
+                    rows: [{ a: '1', b: 'q', y: 'match' }, { a: 2, b: 'p', y: 'none' }] },
+                  { leftKeys: ['a', 'b'], rightKeys: ['a', 'b'] });
+  same(result.cases, [{ values: { a: 1, b: 'q', x: 'two', y: 'match' }, children: [] }],
+        "all keys must match, comparing their string forms");
+});
@@ -0,0 +1,98 @@
+// ==========================================================================
+//                      DG.JSONImportUtilities Unit Test
+//
+//  Copyright (c) 2021 by The Concord Consortium, Inc. All rights reserved.
+//
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing, software
+//  distributed under the License is distributed on an "AS IS" BASIS,
+//  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//  See the License for the specific language governing permissions and
+//  limitations under the License.
+// ==========================================================================
+sc_require('utilities/json_import_utilities');
+
+module("DG.JSONImportUtilities", {
+  setup: function() {
+  },
+  teardown: function() {
+  }
+});
+
+test("Tests parsing of JSON and JSON Lines", function() {
+  var U = DG.JSONImportUtilities,
+      error;
+
+  same(U.parseJSONText('[{"a":1},{"a":2}]'), [{ a: 1 }, { a: 2 }], "JSON");
+  same(U.parseJSONText('{"a":1}\r\n\n{"a":2}\n'), [{ a: 1 }, { a: 2 }], "JSON Lines");
+  same(U.parseJSONText('\uFEFF{"a":1}'), { a: 1 }, "byte order marks are ignored");
+  try {
+    U.parseJSONText('{"a":1}\n{a}');
+  }
+  catch (ex) {
+    error = ex;
+  }
+  ok(error && (error.message.indexOf('DG.JSONImport.parseError'.loc(2, '')) === 0), "errors identify the line");
+
+  ok(U.isJSONData('[{"a":1}]'), "arrays are data");
+  ok(U.isJSONData('{"a":[1,2]}'), "objects are data");
+  ok(!U.isJSONData('{"name":"doc","appName":"DG","components":[]}'), "documents aren't data");
+  ok(!U.isJSONData('{"content":{"name":"doc","contexts":[]}}'), "wrapped documents aren't data");
+  ok(!U.isJSONData('{'), "invalid JSON isn't data");
+});
+
+test("Tests detection and choice of nested arrays", function() {
+  var U = DG.JSONImportUtilities,
+      data = { course: 'Bio', students: [
+                { name: 'Al', home: { city: 'X', rooms: [{ n: 1 }] }, scores: [90, 85], clubs: [{ club: 'Chess' }] },
+                { name: 'Bo', scores: [70], clubs: [], mixed: [1, { a: 2 }] }
+              ] },
+      arrays = U.findArrayPaths(data),
+      paths = U.getDefaultPaths(arrays);
+
+  same(arrays.map(function(iArray) { return [iArray.path, iArray.parentPath, iArray.count, iArray.isScalar]; }),
+        [['students', '', 2, false], ['students.home.rooms', 'students', 1, false],
+          ['students.scores', 'students', 3, true], ['students.clubs', 'students', 1, false]],
+        "arrays of objects or of values, but not of both");
+  same(paths, ['students', 'students.home.rooms'], "arrays of objects are chosen by default");
+  same(U.togglePath(arrays, paths, 'students.scores'), ['students', 'students.scores'],
+        "choosing an array unchooses those which aren't nested within it");
+  same(U.togglePath(arrays, [], 'students.clubs'), ['students', 'students.clubs'],
+        "choosing an array chooses the array it's nested within");
+  same(U.togglePath(arrays, paths, 'students'), [], "unchoosing an array unchooses those nested within it");
+});
+
+test("Tests specification of collections and cases", function() {
+  var U = DG.JSONImportUtilities,
+      data = [
+        { name: 'Al', home: { city: 'X' }, scores: [{ test: 1, score: 90.5, name: 'quiz' }, { test: 2, score: 80 }],
+          tags: ['a', 'b'], when: '2021-01-02' },
+        { name: 'Bo', scores: [], tags: [], when: '2021-03-04' }
+      ],
+      arrays = U.findArrayPaths(data),
+      spec = U.getImportSpec(data, arrays, ['scores']);
+
+  same(spec.collections.map(function(iCollection) {
+          return [iCollection.name].concat(iCollection.attrs.map(function(iAttr) { return iAttr.name; }));
+        }), [['', 'name', 'home_city', 'tags', 'when'], ['scores', 'test', 'score', 'name_2']],
+        "nested objects are flattened and names are unique");
+  equals(spec.collections[0].attrs[3].type, DG.Attribute.TYPE_DATE, "date attributes");
+  equals(spec.collections[1].attrs[1].precision, 1, "numeric attributes");
+  same(spec.cases[0].values, { name: 'Al', home_city: 'X', tags: '["a","b"]', when: '2021-01-02' },
+        "arrays which aren't collections are JSON");
+  same(spec.cases[0].children.map(function(iCase) { return iCase.values; }),
+        [{ test: 1, score: 90.5, name_2: 'quiz' }, { test: 2, score: 80 }], "child cases");
+  same(spec.cases[1].children, [], "cases without children");
+  equals(U.countLeafCases(spec.cases), 3, "leaf cases");
+
+  spec = U.getImportSpec({ students: [{ scores: [1, 2] }, { scores: [3] }] },
+                          U.findArrayPaths({ students: [{ scores: [1, 2] }] }), ['students', 'students.scores']);
+  same(spec.collections, [{ name: 'scores', attrs: [{ name: 'scores', type: DG.Attribute.TYPE_NUMERIC, precision: 0 }] }],
+        "collections without attributes are omitted");
+  same(spec.cases.map(function(iCase) { return iCase.values.scores; }), [1, 2, 3], "values of arrays of values");
+});
@@ -103,4 +103,39 @@ test("Tests leastSquaresLinearRegression", function() {
       tResult.slope, tResult.intercept, tResult.rSquared, tResult.sumSquaresResiduals
   ));
 
-});
\ No newline at end of file
+});
+test("Tests leastSquaresSolution", function() {
+  var tRows = [1, 2, 3, 4, 5, 6].map(function(x) { return [1, x, x * x]; }),
+      tValues = tRows.map(function(iRow) { return 2 - 3 * iRow[1] + 0.5 * iRow[2]; }),
+      tResult = DG.MathUtilities.leastSquaresSolution(tRows, tValues);
+  floatEquals(tResult[0], 2, 'Quadratic fit constant term');
+  floatEquals(tResult[1], -3, 'Quadratic fit linear term');
+  floatEquals(tResult[2], 0.5, 'Quadratic fit quadratic term');
+
+  tResult = DG.MathUtilities.leastSquaresSolution([[1, 0], [1, 1], [1, 2]], [1, 2, 2]);
+  floatEquals(tResult[0], 7/6, 'Overdetermined linear fit intercept');
+  floatEquals(tResult[1], 0.5, 'Overdetermined linear fit slope');
+
+  equals(DG.MathUtilities.leastSquaresSolution([[1, 1], [1, 1], [1, 1]], [1, 2, 3]), null,
+          'Rank-deficient system has no solution');
+  equals(DG.MathUtilities.leastSquaresSolution([[1, 1, 1], [1, 2, 4]], [1, 2]), null,
+          'Underdetermined system has no solution');
+});
+
+test("Tests multipleLinearRegression", function() {
+  var tCoords = [[1, 4], [2, 3], [3, 7], [4, 1], [5, 5]].map(function(x) {
+                  return { x: x, y: 1 + 2 * x[0] - 0.5 * x[1] };
+                }),
+      tResult = DG.MathUtilities.multipleLinearRegression(tCoords);
+  floatEquals(tResult.coefficients[0], 1, 'Multiple regression intercept');
+  floatEquals(tResult.coefficients[1], 2, 'Multiple regression first coefficient');
+  floatEquals(tResult.coefficients[2], -0.5, 'Multiple regression second coefficient');
+  floatEquals(tResult.rSquared, 1, 'Exact fit has rSquared of 1');
+
+  tResult = DG.MathUtilities.multipleLinearRegression([{ x: [0], y: 1 }, { x: [1], y: 2 }, { x: [2], y: 2 }]);
+  floatEquals(tResult.coefficients[1], 0.5, 'Single predictor regression slope');
+  floatEquals(tResult.rSquared, 0.75, 'Single predictor regression rSquared');
+
+  equals(DG.MathUtilities.multipleLinearRegression([1, 2, 3].map(function(x) { return { x: [x, 2 * x], y: x }; })),
+          null, 'Collinear predictors have no solution');
+});
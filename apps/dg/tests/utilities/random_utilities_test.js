@@ -0,0 +1,85 @@
+// ==========================================================================
+//                      DG.RandomUtilities Unit Test
+//
+//  Copyright (c) 2021 by The Concord Consortium, Inc. All rights reserved.
+//
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing, software
+//  distributed under the License is distributed on an "AS IS" BASIS,
+//  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//  See the License for the specific language governing permissions and
+//  limitations under the License.
+// ==========================================================================
+sc_require('utilities/random_utilities');
+
+module("DG.RandomUtilities", {
+  setup: function() {
+  },
+  teardown: function() {
+    DG.RandomUtilities.setSeed(null);
+  }
+});
+
+test("Tests normalizeSeed", function() {
+  var utils = DG.RandomUtilities;
+  equals(utils.normalizeSeed(42), 42, "integers are used as is");
+  equals(utils.normalizeSeed(" 42 "), 42, "numeric strings are used as is");
+  equals(utils.normalizeSeed(""), null, "empty strings aren't seeds");
+  equals(utils.normalizeSeed(null), null, "null isn't a seed");
+  equals(utils.normalizeSeed("class"), utils.normalizeSeed("class"), "strings are hashed consistently");
+  ok(utils.normalizeSeed("class") !== utils.normalizeSeed("Class"), "different strings have different seeds");
+  ok(utils.normalizeSeed(-1) >= 0, "negative numbers are hashed");
+});
+
+test("Tests seeded random numbers", function() {
+  var utils = DG.RandomUtilities,
+      i, first = [], second = [], prevState, value;
+
+  function sequence(iLength) {
+    var result = [];
+    for (i = 0; i < iLength; ++i) result.push(utils.random());
+    return result;
+  }
+
+  ok(!utils.isSeeded(), "random numbers aren't seeded by default");
+
+  utils.setSeed(42);
+  ok(utils.isSeeded(), "random numbers are seeded");
+  equals(utils.getSeed(), 42, "getSeed() returns the seed");
+  first = sequence(10);
+  ok(first.every(function(x) { return x >= 0 && x < 1; }), "random numbers are in [0,1)");
+  utils.setSeed(42);
+  second = sequence(10);
+  same(second, first, "the same seed produces the same random numbers");
+  utils.setSeed(43);
+  ok(sequence(10)[0] !== first[0], "different seeds produce different random numbers");
+
+  utils.setSeed(42);
+  prevState = utils.beginStream([1, 0, 2]);
+  value = utils.random();
+  utils.endStream(prevState);
+  equals(utils.random(), first[0], "streams don't affect the enclosing sequence");
+  prevState = utils.beginStream([1, 0, 2]);
+  equals(utils.random(), value, "streams with the same keys produce the same random numbers");
+  utils.endStream(prevState);
+  prevState = utils.beginStream([1, 1, 2]);
+  ok(utils.random() !== value, "streams with different keys produce different random numbers");
+  utils.endStream(prevState);
+
+  utils.setSeed(42);
+  value = utils.randomNormal();
+  utils.setSeed(42);
+  equals(utils.randomNormal(), value, "seeded normal random numbers are reproducible");
+
+  utils.setSeed(null);
+  ok(!utils.isSeeded(), "random numbers are no longer seeded");
+  prevState = utils.beginStream([1, 0, 2]);
+  value = utils.random();
+  utils.endStream(prevState);
+  ok(value >= 0 && value < 1, "unseeded streams produce random numbers");
+});
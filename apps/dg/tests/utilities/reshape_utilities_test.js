@@ -0,0 +1,88 @@
+// ==========================================================================
+//                      DG.ReshapeUtilities Unit Test
+//
+//  Copyright (c) 2021 by The Concord Consortium, Inc. All rights reserved.
+//
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing, software
+//  distributed under the License is distributed on an "AS IS" BASIS,
+//  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//  See the License for the specific language governing permissions and
+//  limitations under the License.
+// ==========================================================================
+sc_require('utilities/reshape_utilities');
+
+module("DG.ReshapeUtilities", {
+  setup: function() {
+  },
+  teardown: function() {
+  }
+});
+
+test("Tests unpivoting (wide to long)", function() {
+  var U = DG.ReshapeUtilities,
+      table = {
+        attrs: [{ name: 'student', type: 'categorical' },
+                { name: 'trial1', type: 'numeric', unit: 's' },
+                { name: 'trial2', type: 'numeric', unit: 's' }],
+        rows: [{ student: 'Ann', trial1: 3.2, trial2: 2.9 },
+               { student: 'Bob', trial1: 4.1, trial2: '' }]
+      },
+      options = { attrNames: ['trial1', 'trial2'], namesTo: 'trial', valuesTo: 'time',
+                  parentName: 'Students', childName: 'Trials' },
+      result = U.unpivot(table, options);
+
+  same(result.collections, [{ name: 'Students', attrs: [{ name: 'student', type: 'categorical' }] },
+                            { name: 'Trials', attrs: [{ name: 'trial', type: 'categorical' },
+                                                      { name: 'time', type: 'numeric', unit: 's' }] }],
+        "the remaining attributes form the parent collection");
+  same(result.cases, [{ values: { student: 'Ann' }, children: [
+                          { values: { trial: 'trial1', time: 3.2 }, children: [] },
+                          { values: { trial: 'trial2', time: 2.9 }, children: [] }] },
+                      { values: { student: 'Bob' }, children: [
+                          { values: { trial: 'trial1', time: 4.1 }, children: [] },
+                          { values: { trial: 'trial2', time: '' }, children: [] }] }],
+        "each unpivoted attribute becomes a child case");
+
+  options.dropEmpty = true;
+  equals(U.unpivot(table, options).cases[1].children.length, 1, "empty values can be omitted");
+
+  options.attrNames = ['student', 'trial1', 'trial2'];
+  result = U.unpivot(table, options);
+  equals(result.collections.length, 1, "a single collection if all attributes are unpivoted");
+  same(result.collections[0].attrs[1], { name: 'time' }, "mixed types and units are omitted");
+  equals(result.cases.length, 5, "a case for each non-empty value");
+});
+
+test("Tests pivoting (long to wide)", function() {
+  var U = DG.ReshapeUtilities,
+      table = {
+        attrs: [{ name: 'student' }, { name: 'trial' }, { name: 'time', type: 'numeric' }],
+        rows: [{ student: 'Ann', trial: 'trial1', time: 3.2 },
+               { student: 'Ann', trial: 'trial2', time: 2.9 },
+               { student: 'Bob', trial: 'trial1', time: 4.1 },
+               { student: 'Bob', trial: '', time: 5 },
+               { student: 'Bob', trial: 'student', time: 6 }]
+      },
+      result = U.pivot(table, { namesFrom: 'trial', valuesFrom: 'time', collectionName: 'Students' });
+
+  same(result.collections, [{ name: 'Students', attrs: [{ name: 'student' },
+                                                        { name: 'trial1', type: 'numeric' },
+                                                        { name: 'trial2', type: 'numeric' },
+                                                        { name: 'student 2', type: 'numeric' }] }],
+        "the distinct names become uniquely named attributes");
+  same(result.cases, [{ values: { student: 'Ann', trial1: 3.2, trial2: 2.9 }, children: [] },
+                      { values: { student: 'Bob', trial1: 4.1, 'student 2': 6 }, children: [] }],
+        "a case for each combination of the remaining values, omitting empty names");
+  equals(result.duplicateCount, 0, "no duplicates");
+
+  table.rows.push({ student: 'Ann', trial: 'trial1', time: 3.0 });
+  result = U.pivot(table, { namesFrom: 'trial', valuesFrom: 'time' });
+  equals(result.duplicateCount, 1, "duplicates are counted");
+  equals(result.cases[0].values.trial1, 3.0, "later values replace earlier ones");
+});
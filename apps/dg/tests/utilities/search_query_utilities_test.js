@@ -0,0 +1,110 @@
+// ==========================================================================
+//                    DG.SearchQueryUtilities Unit Test
+//
+//  Copyright (c) 2021 by The Concord Consortium, Inc. All rights reserved.
+//
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing, software
+//  distributed under the License is distributed on an "AS IS" BASIS,
+//  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//  See the License for the specific language governing permissions and
+//  limitations under the License.
+// ==========================================================================
+sc_require('utilities/search_query_utilities');
+
+var attrs, rows;
+
+module("DG.SearchQueryUtilities", {
+  setup: function() {
+    attrs = [{ id: 1, name: 'height', type: 'numeric' }, { id: 2, name: 'first name', type: 'categorical' },
+              { id: 3, name: 'born', type: 'date' }, { id: 4, name: 'note', type: 'categorical' }];
+    rows = [
+      { 1: 150, 2: 'Ann', 3: '2001-02-03', 4: 'Re: tall' },
+      { 1: '180', 2: 'bob', 3: '1999-12-31', 4: '' },
+      { 1: 165.5, 2: 'Cy', 3: null, 4: null }
+    ];
+  },
+  teardown: function() {
+    attrs = rows = null;
+  }
+});
+
+// returns the indices of the rows matching the specified query
+function search(iQuery) {
+  var query = DG.SearchQueryUtilities.parse(iQuery, attrs),
+      matches = [];
+  rows.forEach(function(iRow, iIndex) {
+    if (DG.SearchQueryUtilities.evaluate(query, function(iAttr) { return iRow[iAttr.id]; }))
+      matches.push(iIndex);
+  });
+  return matches;
+}
+
+// returns the message of the error thrown by the specified query
+function errorOf(iQuery) {
+  try {
+    DG.SearchQueryUtilities.parse(iQuery, attrs);
+  }
+  catch (ex) {
+    return (ex instanceof DG.SearchQueryError) ? ex.message : 'unexpected error: ' + ex;
+  }
+  return null;
+}
+
+test("Tests comparisons and range tests", function() {
+  same(search('*'), [0, 1, 2], "'*' matches everything");
+  same(search('height > 160'), [1, 2], "numbers are compared numerically");
+  same(search('height == 180'), [1], "numeric strings are numbers");
+  same(search('first name = Ann'), [0], "unquoted attribute names and values may contain spaces");
+  same(search('`first name` != "Ann"'), [1, 2], "quoted names and values");
+  same(search('160 < height <= 180'), [1, 2], "chained comparisons");
+  same(search('height between 150 and 165.5'), [0, 2], "between is inclusive");
+  same(search('born < 2000-06-01'), [1], "dates are compared chronologically");
+});
+
+test("Tests boolean operators and other tests", function() {
+  same(search('height > 160 and first name startsWith B'), [1], "and; string tests ignore case");
+  same(search('height < 160 || first name == Cy'), [0, 2], "or");
+  same(search('not (height < 160 or first name contains O)'), [2], "not and parentheses");
+  same(search('!(height > 155) AND note Is Not Empty'), [0], "operators and keywords are case-insensitive");
+  same(search('first name not endsWith "n"'), [1, 2], "negated string tests");
+  same(search('note matches "/^re:/i"'), [0], "regular expressions");
+  same(search('note is empty'), [1, 2], "empty values");
+  same(search('note is null'), [2], "null values");
+});
+
+test("Tests errors of invalid queries", function() {
+  equals(errorOf('height > 1 and (first name == Ann'),
+          'DG.SearchQuery.error.unexpectedEnd'.loc('DG.SearchQuery.expected.closeParen'.loc()), "missing parenthesis");
+  equals(errorOf('height 150'),
+          'DG.SearchQuery.error.unexpectedEnd'.loc('DG.SearchQuery.expected.test'.loc()), "missing operator");
+  equals(errorOf('height > 1 or or x > 2'),
+          'DG.SearchQuery.error.unexpected'.loc('DG.SearchQuery.expected.operand'.loc(), 'or', 15), "misplaced keyword");
+  equals(errorOf('weight > 1'), 'DG.SearchQuery.error.noAttribute'.loc('weight, 1'), "tests must refer to attributes");
+  equals(errorOf('`weight` > 1'), 'DG.SearchQuery.error.unknownAttribute'.loc('weight'), "unknown attributes");
+  equals(errorOf('note == "abc'), 'DG.SearchQuery.error.unterminated'.loc(9), "unterminated quotation");
+  equals(errorOf('note matches "(a"'), 'DG.SearchQuery.error.invalidPattern'.loc('(a'), "invalid patterns");
+  equals(errorOf('  '), 'DG.SearchQuery.error.empty'.loc(), "empty query");
+  equals(errorOf('height > 1 & note > 2'), 'DG.SearchQuery.error.invalidCharacter'.loc('&', 12), "lone '&'");
+});
+
+test("Tests comparisons with literal values in the earlier syntax", function() {
+  rows[0][4] = 'Black and White';
+  rows[1][4] = 'Not Applicable';
+  rows[2][2] = "O'Brien";
+  same(search('note==Black and White'), [0], "values containing keywords");
+  same(search('note == Not Applicable'), [1], "values starting with keywords");
+  same(search('note != Not Applicable'), [0, 2], "other comparison operators");
+  same(search("first name==O'Brien"), [2], "values containing quotes");
+  rows[2][2] = 'Smith (Jr)';
+  same(search('first name==Smith (Jr)'), [2], "values containing parentheses");
+  rows[1][4] = 'R&D';
+  same(search('note == R&D'), [1], "values containing other characters");
+  equals(errorOf('weight == Black and White'), 'DG.SearchQuery.error.noAttribute'.loc('weight, Black'),
+          "errors in the search language are reported if the query doesn't refer to an attribute");
+});
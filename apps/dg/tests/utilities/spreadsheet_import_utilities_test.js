@@ -0,0 +1,236 @@
+// ==========================================================================
+//                    DG.SpreadsheetImportUtilities Unit Test
+//
+//  Copyright (c) 2021 by The Concord Consortium, Inc. All rights reserved.
+//
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing, software
+//  distributed under the License is distributed on an "AS IS" BASIS,
+//  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//  See the License for the specific language governing permissions and
+//  limitations under the License.
+// ==========================================================================
+sc_require('utilities/spreadsheet_import_utilities');
+/* global pako, Uint8Array, DataView */
+
+module("DG.SpreadsheetImportUtilities", {
+  setup: function() {
+  },
+  teardown: function() {
+  }
+});
+
+test("Tests number formats", function() {
+  var U = DG.SpreadsheetImportUtilities;
+
+  same(U.parseNumberFormat('General'), { kind: 'general' }, "General");
+  same(U.parseNumberFormat('0.00'), { kind: 'number', precision: 2 }, "decimal places");
+  same(U.parseNumberFormat('0.0%'), { kind: 'number', precision: 3 }, "percentages");
+  same(U.parseNumberFormat('"$"#,##0.00_);[Red]("$"#,##0.00)'), { kind: 'number', precision: 2 }, "currencies");
+  same(U.parseNumberFormat('[$-409]d-mmm-yy;@'), { kind: 'date', precision: 'day' }, "dates");
+  same(U.parseNumberFormat('mmm-yy'), { kind: 'date', precision: 'month' }, "months");
+  same(U.parseNumberFormat('m/d/yy h:mm'), { kind: 'date', precision: 'minute' }, "dates with times");
+  same(U.parseNumberFormat('yyyy-mm-dd hh:mm:ss.000'), { kind: 'date', precision: 'millisecond' }, "milliseconds");
+  same(U.parseNumberFormat('h:mm AM/PM'), { kind: 'time' }, "times");
+  same(U.parseNumberFormat('[h]:mm:ss'), { kind: 'time' }, "elapsed times");
+
+  equals(U.formatSerialDate(44197, false, 'day'), '2021-01-01', "serial dates");
+  equals(U.formatSerialDate(44198.5, false, 'minute'), '2021-01-02T12:00:00', "serial dates with times");
+  equals(U.formatSerialDate(0, true, 'day'), '1904-01-01', "1904 date system");
+  equals(U.formatTime(0.0625), '1:30:00', "times");
+  equals(U.formatTime(1.5, true), '36:00:00', "elapsed times");
+  equals(U.columnIndexFromRef('C7'), 2, "column references");
+  equals(U.columnIndexFromRef('AA1'), 26, "two-letter column references");
+});
+
+test("Tests parsing of worksheets", function() {
+  var U = DG.SpreadsheetImportUtilities,
+      ns = 'xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"',
+      formats = U.parseXLSXCellFormats('<styleSheet ' + ns + '><numFmts><numFmt numFmtId="164" formatCode="0.000"/>' +
+                                        '</numFmts><cellXfs><xf numFmtId="0"/><xf numFmtId="164"/><xf numFmtId="14"/>' +
+                                        '</cellXfs></styleSheet>'),
+      strings = U.parseXLSXSharedStrings('<sst ' + ns + '><si><t>id</t></si><si><r><t>Al</t></r><r><t>ice</t></r>' +
+                                          '</si></sst>'),
+      rows = U.parseXLSXSheet('<worksheet ' + ns + '><sheetData>' +
+                                '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="C1" t="s"><v>1</v></c></row>' +
+                                '<row r="3"><c r="A3" s="1"><v>1.5</v></c><c r="B3" s="2"><v>44197</v></c>' +
+                                '<c r="C3" t="b"><v>1</v></c><c r="D3" t="inlineStr"><is><t>x</t></is></c></row>' +
+                                '<row r="4"><c r="A4" t="s"><v>5</v></c></row>' +
+                                '</sheetData></worksheet>', strings, formats, false);
+
+  equals(strings[1], 'Alice', "rich text strings");
+  equals(rows.length, 3, "trailing empty rows are removed");
+  same(rows[0][2], { kind: 'string', value: 'Alice' }, "shared strings");
+  equals(rows[0][1], undefined, "empty cells");
+  same(rows[1], [], "empty rows");
+  same(rows[2], [{ kind: 'number', value: 1.5, precision: 3 },
+                  { kind: 'date', value: '2021-01-01', precision: 'day' },
+                  { kind: 'boolean', value: true },
+                  { kind: 'string', value: 'x' }], "numbers, dates, booleans and inline strings");
+
+  var sheets = U.parseODS(
+        '<office:document-content xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0" ' +
+        'xmlns:table="urn:oasis:names:tc:opendocument:xmlns:table:1.0" ' +
+        'xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0" ' +
+        'xmlns:style="urn:oasis:names:tc:opendocument:xmlns:style:1.0" ' +
+        'xmlns:number="urn:oasis:names:tc:opendocument:xmlns:datastyle:1.0"><office:automatic-styles>' +
+        '<number:number-style style:name="N2"><number:number number:decimal-places="2"/></number:number-style>' +
+        '<style:style style:name="ce1" style:family="table-cell" style:data-style-name="N2"/>' +
+        '</office:automatic-styles><office:body><office:spreadsheet><table:table table:name="Data">' +
+        '<table:table-row><table:table-cell office:value-type="float" office:value="1.5" table:style-name="ce1"/>' +
+        '<table:table-cell office:value-type="string"><text:p>a<text:s text:c="2"/>b</text:p></table:table-cell>' +
+        '<table:table-cell table:number-columns-repeated="1000"/></table:table-row>' +
+        '<table:table-row table:number-rows-repeated="2"><table:table-cell/></table:table-row>' +
+        '<table:table-row table:number-rows-repeated="2">' +
+        '<table:table-cell office:value-type="date" office:date-value="2020-03-01"/>' +
+        '<table:table-cell office:value-type="time" office:time-value="PT01H30M00S"/></table:table-row>' +
+        '<table:table-row table:number-rows-repeated="1048000"><table:table-cell/></table:table-row>' +
+        '</table:table></office:spreadsheet></office:body></office:document-content>');
+
+  equals(sheets.length, 1, "one table");
+  equals(sheets[0].name, 'Data', "table names");
+  equals(sheets[0].rows.length, 5, "repeated rows are expanded, except trailing empty rows");
+  same(sheets[0].rows[0], [{ kind: 'number', value: 1.5, precision: 2 }, { kind: 'string', value: 'a  b' }],
+        "numbers with data styles and text with spaces");
+  same(sheets[0].rows[4], [{ kind: 'date', value: '2020-03-01', precision: 'day' },
+                            { kind: 'string', value: '1:30:00' }], "dates and times");
+});
+
+test("Tests analysis and linking of sheets", function() {
+  var U = DG.SpreadsheetImportUtilities;
+
+  function cell(iValue, iPrecision) {
+    var kind = typeof iValue === 'number' ? 'number' : (typeof iValue === 'boolean' ? 'boolean' : 'string');
+    return iPrecision != null ? { kind: kind, value: iValue, precision: iPrecision }
+                              : { kind: kind, value: iValue };
+  }
+
+  var customers = U.analyzeSheet({ name: 'Customers', rows: [
+                    [cell('id'), cell('name')], [cell(1), cell('Alice')], [cell(2), cell('Bob')], [cell(3), cell('Cy')]
+                  ] }),
+      orders = U.analyzeSheet({ name: 'Orders', rows: [
+                    [cell('id'), cell('amount ($)'), cell('date'), cell('paid')],
+                    [cell(1), cell(10.5, 2), { kind: 'date', value: '2021-01-01', precision: 'day' }, cell(true)],
+                    [],
+                    [cell(1), cell(3, 2), cell('2021-01-02'), cell(false)],
+                    [cell(2), cell(7.25)]
+                  ] }),
+      tables = [customers, orders],
+      specs;
+
+  same(orders.columns.map(function(iColumn) { return iColumn.name; }), ['id', 'amount', 'date', 'paid'],
+        "names from the header row");
+  equals(orders.columns[1].unit, '$', "units from the header row");
+  equals(orders.columns[1].type, 'numeric', "numeric columns");
+  equals(orders.columns[1].precision, 2, "precisions from number formats");
+  equals(orders.columns[2].type, 'categorical', "columns of mixed kinds are categorical");
+  equals(orders.columns[3].type, 'boolean', "boolean columns");
+  equals(orders.rows.length, 3, "empty rows are skipped");
+
+  same(U.findTableLinks(tables), [{ parent: 0, child: 1, key: 'id' }], "key columns link sheets");
+  same(U.findTableLinks([orders, customers]), [{ parent: 1, child: 0, key: 'id' }], "parents needn't come first");
+
+  specs = U.getImportSpecs(tables, [true, true], true);
+  equals(specs.length, 1, "linked sheets are combined");
+  same(specs[0].collections.map(function(iCollection) {
+          return iCollection.attrs.map(function(iAttr) { return iAttr.name; });
+        }), [['id', 'name'], ['amount', 'date', 'paid']], "the key column of the child is omitted");
+  same(specs[0].items.map(function(iItem) { return iItem.name + ':' + iItem.amount; }),
+        ['Alice:10.5', 'Alice:3', 'Bob:7.25', 'Cy:undefined'], "items combine parent and child values");
+
+  specs = U.getImportSpecs(tables, [true, true], false);
+  same(specs.map(function(iSpec) { return iSpec.name + ':' + iSpec.items.length; }), ['Customers:3', 'Orders:3'],
+        "sheets which aren't combined are imported separately");
+  specs = U.getImportSpecs(tables, [false, true], true);
+  same(specs.map(function(iSpec) { return iSpec.name; }), ['Orders'], "excluded sheets aren't imported");
+
+  var visits = U.analyzeSheet({ name: 'Visits', rows: [
+                  [cell('id'), cell('name')], [cell(1), cell('Clinic')], [cell(1), cell('Lab')]
+                ] });
+  specs = U.getImportSpecs([customers, visits], [true, true], true);
+  same(specs[0].collections.map(function(iCollection) {
+          return iCollection.attrs.map(function(iAttr) { return iAttr.name; });
+        }), [['id', 'name'], ['name_2']], "names repeated in linked sheets are made unique");
+  same(specs[0].items.map(function(iItem) { return iItem.name + ':' + iItem.name_2; }),
+        ['Alice:Clinic', 'Alice:Lab', 'Bob:undefined', 'Cy:undefined'], "child values don't overwrite parent values");
+});
+
+test("Tests reading ZIP archives", function() {
+  var U = DG.SpreadsheetImportUtilities;
+
+  // returns an archive of the specified files, each { name, text, isDeflated }
+  function zip(iFiles) {
+    var localParts = [],
+        directoryParts = [],
+        offset = 0,
+        directorySize = 0,
+        result, view, position;
+
+    function header(iSignature, iSize) {
+      var bytes = new Uint8Array(iSize);
+      new DataView(bytes.buffer).setUint32(0, iSignature, true);
+      return bytes;
+    }
+
+    iFiles.forEach(function(iFile) {
+      var name = new TextEncoder().encode(iFile.name),
+          data = new TextEncoder().encode(iFile.text),
+          compressed = iFile.isDeflated ? pako.deflateRaw(data) : data,
+          local = header(0x04034B50, 30),
+          entry = header(0x02014B50, 46),
+          localView = new DataView(local.buffer),
+          entryView = new DataView(entry.buffer);
+      localView.setUint16(8, iFile.isDeflated ? 8 : 0, true);
+      localView.setUint32(18, compressed.length, true);
+      localView.setUint32(22, data.length, true);
+      localView.setUint16(26, name.length, true);
+      entryView.setUint16(10, iFile.isDeflated ? 8 : 0, true);
+      entryView.setUint32(20, compressed.length, true);
+      entryView.setUint32(24, data.length, true);
+      entryView.setUint16(28, name.length, true);
+      entryView.setUint32(42, offset, true);
+      localParts.push(local, name, compressed);
+      directoryParts.push(entry, name);
+      offset += local.length + name.length + compressed.length;
+      directorySize += entry.length + name.length;
+    });
+
+    result = new Uint8Array(offset + directorySize + 22);
+    position = 0;
+    localParts.concat(directoryParts).forEach(function(iPart) {
+      result.set(iPart, position);
+      position += iPart.length;
+    });
+    view = new DataView(result.buffer);
+    view.setUint32(position, 0x06054B50, true);
+    view.setUint16(position + 8, iFiles.length, true);
+    view.setUint16(position + 10, iFiles.length, true);
+    view.setUint32(position + 12, directorySize, true);
+    view.setUint32(position + 16, offset, true);
+    return result.buffer;
+  }
+
+  var data = zip([{ name: 'mimetype', text: 'stored' },
+                  { name: 'xl/workbook.xml', text: '<workbook>été</workbook>', isDeflated: true }]),
+      archive = U.readZip(data),
+      error;
+
+  ok(U.isZipArchive(data), "ZIP archives are recognized");
+  ok(!U.isZipArchive(new Uint8Array([0x61, 0x62]).buffer), "other files aren't ZIP archives");
+  same(archive.names, ['mimetype', 'xl/workbook.xml'], "names of the files in the archive");
+  equals(archive.getText('mimetype'), 'stored', "stored files");
+  equals(archive.getText('/xl/workbook.xml'), '<workbook>été</workbook>', "deflated files are inflated");
+  equals(archive.getText('missing.xml'), null, "missing files");
+  try {
+    U.readZip(new Uint8Array(30).buffer);
+  }
+  catch (e) {
+    error = e;
+  }
+  ok(error instanceof Error, "files without a ZIP directory are invalid");
+});
@@ -0,0 +1,146 @@
+// ==========================================================================
+//                      DG.TextImportUtilities Unit Test
+//
+//  Copyright (c) 2021 by The Concord Consortium, Inc. All rights reserved.
+//
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing, software
+//  distributed under the License is distributed on an "AS IS" BASIS,
+//  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//  See the License for the specific language governing permissions and
+//  limitations under the License.
+// ==========================================================================
+sc_require('utilities/text_import_utilities');
+/* global Uint8Array */
+
+module("DG.TextImportUtilities", {
+  setup: function() {
+  },
+  teardown: function() {
+  }
+});
+
+test("Tests decoding and encoding detection", function() {
+  var U = DG.TextImportUtilities;
+  equals(U.detectEncoding(new Uint8Array([0xEF, 0xBB, 0xBF, 0x61])), 'utf-8', "UTF-8 byte order mark");
+  equals(U.detectEncoding(new Uint8Array([0xFF, 0xFE, 0x61, 0])), 'utf-16le', "UTF-16LE byte order mark");
+  equals(U.detectEncoding(new Uint8Array([0x61, 0, 0x62, 0, 0x63, 0])), 'utf-16le', "UTF-16LE without byte order mark");
+  equals(U.detectEncoding(new Uint8Array([0x61, 0xC3, 0xA9])), 'utf-8', "valid UTF-8");
+  equals(U.detectEncoding(new Uint8Array([0x61, 0xE9])), 'windows-1252', "invalid UTF-8");
+  equals(U.decodeText(new Uint8Array([0xEF, 0xBB, 0xBF, 0x61, 0xC3, 0xA9])), 'aé', "byte order marks are removed");
+  equals(U.decodeText(new Uint8Array([0x61, 0xE9]).buffer), 'aé', "legacy encodings are decoded");
+  equals(U.decodeText(new Uint8Array([0x61, 0xE9]), 'utf-8'), 'a�', "encodings can be specified");
+  equals(U.decodeText('abc'), 'abc', "strings are returned unchanged");
+  equals(U.decodeText(new Uint8Array([0x61, 0xC3, 0xA9]), 'no-such-encoding'), 'aé',
+          "unsupported encodings are decoded as UTF-8");
+  ok(U.isEncodingSupported('macintosh'), "Mac OS Roman is supported");
+  ok(!U.isEncodingSupported('no-such-encoding'), "unknown encodings are unsupported");
+});
+
+test("Tests decoding without TextDecoder", function() {
+  var U = DG.TextImportUtilities,
+      error;
+  function decode(iBytes, iEncoding, iFatal) {
+    return U.decodeBytesWithoutTextDecoder(new Uint8Array(iBytes), iEncoding, iFatal);
+  }
+  equals(decode([0xEF, 0xBB, 0xBF, 0x61, 0xC3, 0xA9, 0xE2, 0x82, 0xAC, 0xF0, 0x9F, 0x98, 0x80], 'utf-8'),
+          '\uFEFFaé€\uD83D\uDE00', "UTF-8");
+  equals(decode([0x61, 0xE9, 0x62, 0xC0, 0xAF], 'utf-8'), 'a\uFFFDb\uFFFD\uFFFD', "invalid UTF-8 is replaced");
+  try {
+    decode([0x61, 0xE9], 'utf-8', true);
+  }
+  catch (e) {
+    error = e;
+  }
+  ok(error instanceof TypeError, "invalid UTF-8 throws if fatal");
+  equals(decode([0x61, 0, 0xE9, 0], 'utf-16le'), 'aé', "UTF-16LE");
+  equals(decode([0, 0x61, 0, 0xE9], 'utf-16be'), 'aé', "UTF-16BE");
+  equals(decode([0x61, 0xE9, 0x80, 0x96], 'windows-1252'), 'aé€–', "Windows-1252");
+  equals(decode([0x61, 0xE9], 'iso-8859-1'), 'aé', "ISO-8859-1");
+  equals(decode([0x61, 0x8E, 0xDB, 0xD3], 'macintosh'), 'aé€”', "Mac OS Roman");
+  error = null;
+  try {
+    decode([0x61], 'koi8-r');
+  }
+  catch (e) {
+    error = e;
+  }
+  ok(error instanceof RangeError, "other encodings are unsupported");
+});
+
+test("Tests parsing and delimiter/header detection", function() {
+  var U = DG.TextImportUtilities,
+      text = 'name,height (cm),born\r\n"Smith, J",1.5,12/25/2001\n\n"a ""b""",2.25,"1/2/2003\n3:04"\n';
+
+  same(U.parseDelimitedText(text, ','),
+        [['name', 'height (cm)', 'born'], ['Smith, J', '1.5', '12/25/2001'], ['a "b"', '2.25', '1/2/2003\n3:04']],
+        "quoted values, line breaks and blank lines");
+  same(U.parseDelimitedText('a,b\n1,2\n3,4', ',', 2), [['a', 'b'], ['1', '2']], "maximum row count");
+  same(U.parseDelimitedText('a,,\n', ','), [['a', '', '']], "empty values");
+
+  equals(U.detectDelimiter(text), ',', "comma");
+  equals(U.detectDelimiter('a\tb\tc\n1\t2,5\t3\n'), '\t', "tab");
+  equals(U.detectDelimiter('a;b\n1,5;2\n3,5;4'), ';', "consistent column counts are preferred");
+  equals(U.detectDelimiter('abc\n'), ',', "the default delimiter");
+
+  ok(U.detectHeaderRow(U.parseDelimitedText(text, ',')), "names");
+  ok(!U.detectHeaderRow([['a', '1']]), "numbers aren't names");
+  ok(!U.detectHeaderRow([['a', '2020-01-01']]), "dates aren't names");
+  ok(!U.detectHeaderRow([['a', 'a']]), "names are unique");
+  ok(!U.detectHeaderRow([['a', '']]), "names aren't empty");
+});
+
+test("Tests column type inference", function() {
+  var U = DG.TextImportUtilities;
+
+  same(U.inferColumn(['1', '', '2.25', '-3e4', '1,234.5']), { type: 'numeric', precision: 2 }, "numbers");
+  same(U.inferColumn(['TRUE', 'false', '']), { type: 'boolean' }, "booleans");
+  same(U.inferColumn(['12/25/2001', '1/2/2003']),
+        { type: 'date', dateFormat: 'MM/DD/YYYY', datePrecision: 'day' }, "month-first dates");
+  same(U.inferColumn(['12/25/2001', '13/01/2001']), { type: 'categorical' }, "inconsistent dates");
+  same(U.inferColumn(['1/2/2003', '13/01/2001 3:04 PM']),
+        { type: 'date', dateFormat: 'DD/MM/YYYY', datePrecision: 'minute' }, "day-first dates with times");
+  same(U.inferColumn(['2020-01-02T10:11:12.5Z', '2020-01-03']),
+        { type: 'date', dateFormat: 'YYYY-MM-DD', datePrecision: 'millisecond' }, "ISO dates");
+  same(U.inferColumn(['2020-01', '2020-02']),
+        { type: 'date', dateFormat: 'YYYY-MM', datePrecision: 'month' }, "months");
+  same(U.inferColumn(['2020', '2021']), { type: 'numeric', precision: 0 }, "years are numbers");
+  same(U.inferColumn(['2/30/2001']), { type: 'categorical' }, "invalid dates");
+  same(U.inferColumn(['{"type":"Polygon","coordinates":[]}']), { type: 'boundary' }, "boundaries");
+  same(U.inferColumn(['a', '1']), { type: 'categorical' }, "strings");
+  same(U.inferColumn(['', ' ']), { type: 'categorical' }, "empty values");
+
+  var columns = U.inferColumns([['name', 'height (cm)', 'name'], ['a', '1.5', 'b', 'c']], true);
+  same(columns.map(function(iColumn) { return iColumn.name; }),
+        ['name', 'height', 'name_2', 'DG.TextImportDialog.defaultColumnName'.loc(4)], "unique names");
+  equals(columns[1].unit, 'cm', "units are extracted from names");
+  equals(columns[1].type, 'numeric', "types are inferred from the data rows");
+});
+
+test("Tests conversion to attributes and values", function() {
+  var U = DG.TextImportUtilities,
+      columns = [
+        { index: 0, include: true, name: 'n', type: 'numeric', precision: 1, unit: 'cm' },
+        { index: 1, include: true, name: 'd', type: 'date', dateFormat: 'DD.MM.YYYY', datePrecision: 'minute' },
+        { index: 2, include: true, name: 'b', type: 'boolean' },
+        { index: 3, include: false, name: 's', type: 'categorical' }
+      ];
+
+  same(columns.map(U.getAttributeProperties), [
+          { name: 'n', type: 'numeric', unit: 'cm', precision: 1 },
+          { name: 'd', type: 'date', precision: 'minute' },
+          { name: 'b', type: 'categorical' },
+          { name: 's', type: 'categorical' }
+        ], "attribute properties");
+  same(U.getCaseValues([['1,234', '13.01.2001 15:04', 'TRUE', 'x'], ['abc', '', 'no', 'y']], columns),
+        [{ n: 1234, d: '2001-01-13T15:04:00', b: true }, { n: 'abc', d: '', b: 'no' }],
+        "values are converted and skipped columns are omitted");
+  ok(!U.isValidValue('abc', columns[0]), "invalid numbers");
+  ok(U.isValidValue('', columns[1]), "empty values are valid");
+  ok(!U.isValidValue('2001-01-13', columns[1]), "dates in other formats");
+});
@@ -0,0 +1,351 @@
+// ==========================================================================
+//                      DG.CaseDataExportUtilities
+//
+//  Copyright (c) 2021 by The Concord Consortium, Inc. All rights reserved.
+//
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing, software
+//  distributed under the License is distributed on an "AS IS" BASIS,
+//  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//  See the License for the specific language governing permissions and
+//  limitations under the License.
+// ==========================================================================
+
+sc_require('components/map/map_constants');
+
+/**
+  Utilities for the export of case data in various formats.
+
+  The case data to export is a table, cf. DG.DataContext.getExportTable():
+    {String}    name -- the name of the dataset
+    {[Object]}  collections -- { name, attrs } for each collection, parents first, where
+                attrs are { name, unit, description, formula, type, precision }
+    {[Object]}  cases -- { values, children } for each case of the first collection, where
+                values map attribute names to values and children are the cases of the
+                next collection
+
+  The delimited formats and JSON Lines have a row for each case of the last collection,
+  including the values of its parent cases. JSON nests the cases of each collection
+  within their parent cases, and GeoJSON has a feature for each row with a geometry
+  from its boundary or its latitude and longitude.
+ */
+DG.CaseDataExportUtilities = {
+
+  /**
+    The export formats, with the extensions and MIME types of their files.
+    @type {Object}
+   */
+  kFormats: {
+    csv: { extension: 'csv', mimeType: 'text/csv' },
+    tsv: { extension: 'tsv', mimeType: 'text/tab-separated-values' },
+    json: { extension: 'json', mimeType: 'application/json' },
+    ndjson: { extension: 'ndjson', mimeType: 'application/x-ndjson' },
+    geojson: { extension: 'geojson', mimeType: 'application/geo+json' }
+  },
+
+  /**
+    The properties of attributes which are included in the metadata.
+    @type {[String]}
+   */
+  kMetadataProperties: ['name', 'unit', 'description', 'formula', 'type', 'precision'],
+
+  /**
+    Returns the case data in the specified format.
+    @param {Object} iTable
+    @param {String} iFormat -- one of the kFormats
+    @param {Boolean} iIncludeMetadata -- whether to include the properties of the attributes
+    @returns {String}
+   */
+  exportTable: function(iTable, iFormat, iIncludeMetadata) {
+    switch (iFormat) {
+      case 'tsv':
+        return this.formatDelimited(iTable, '\t', iIncludeMetadata);
+      case 'json':
+        return this.formatJSON(iTable, iIncludeMetadata);
+      case 'ndjson':
+        return this.formatJSONLines(iTable);
+      case 'geojson':
+        return this.formatGeoJSON(iTable, iIncludeMetadata);
+      default:
+        return this.formatDelimited(iTable, ',', iIncludeMetadata);
+    }
+  },
+
+  /**
+    @param {Object} iTable
+    @returns {[Object]} the attributes of all the collections, parents first
+   */
+  getAttributes: function(iTable) {
+    return iTable.collections.reduce(function(iAttrs, iCollection) {
+      return iAttrs.concat(iCollection.attrs);
+    }, []);
+  },
+
+  /**
+    Returns a map of attribute names to values for each case of the last collection,
+    including the values of its parent cases.
+    @param {Object} iTable
+    @returns {[Object]}
+   */
+  getRows: function(iTable) {
+    var rows = [];
+
+    function addRows(iCases, iParentValues) {
+      iCases.forEach(function(iCase) {
+        var values = $.extend({}, iParentValues, iCase.values);
+        if (iCase.children && iCase.children.length)
+          addRows(iCase.children, values);
+        else
+          rows.push(values);
+      });
+    }
+
+    addRows(iTable.cases, {});
+    return rows;
+  },
+
+  /**
+    Returns the metadata of the specified attribute, omitting empty properties.
+    @param {Object} iAttr
+    @returns {Object}
+   */
+  getAttributeMetadata: function(iAttr) {
+    var metadata = {};
+    this.kMetadataProperties.forEach(function(iProp) {
+      var value = iAttr[iProp];
+      if ((value != null) && (value !== ''))
+        metadata[iProp] = value;
+    });
+    return metadata;
+  },
+
+  /**
+    Returns the specified value as a string for the delimited formats.
+    @param {*} iValue
+    @returns {String}
+   */
+  toCellString: function(iValue) {
+    if (iValue == null)
+      return '';
+    if (iValue instanceof Error)
+      return iValue.name + ' ' + iValue.message;
+    return (typeof iValue === 'object') ? JSON.stringify(iValue) : String(iValue);
+  },
+
+  /**
+    Returns the specified value for the JSON formats, e.g. numbers for the numeric strings
+    of numeric attributes and null for empty values.
+    @param {*} iValue
+    @param {Object} iAttr
+    @returns {*}
+   */
+  toJSONValue: function(iValue, iAttr) {
+    if ((iValue == null) || (iValue === ''))
+      return null;
+    if (iValue instanceof Error)
+      return iValue.name + ' ' + iValue.message;
+    if ((iAttr.type === DG.Attribute.TYPE_NUMERIC) && (typeof iValue === 'string') &&
+        iValue.trim() && isFinite(Number(iValue)))
+      return Number(iValue);
+    return iValue;
+  },
+
+  /**
+    Quotes the specified string as per RFC 4180 if it contains the delimiter, double
+    quotes or line breaks.
+    @param {String} iString
+    @param {String} iDelimiter
+    @returns {String}
+   */
+  quote: function(iString, iDelimiter) {
+    return ((iString.indexOf(iDelimiter) >= 0) || /["\r\n]/.test(iString))
+              ? '"' + iString.replace(/"/g, '""') + '"'
+              : iString;
+  },
+
+  /**
+    Returns the case data as delimited text, e.g. CSV. The metadata precedes the header row
+    as comment lines starting with '#', e.g. '# attribute -- name: height, unit: cm'.
+    @param {Object} iTable
+    @param {String} iDelimiter
+    @param {Boolean} iIncludeMetadata
+    @returns {String}
+   */
+  formatDelimited: function(iTable, iDelimiter, iIncludeMetadata) {
+    var attrs = this.getAttributes(iTable),
+        lines = [];
+
+    if (iIncludeMetadata) {
+      lines.push('# dataset: ' + this.quote(iTable.name || '', ','));
+      attrs.forEach(function(iAttr) {
+        lines.push('# attribute -- ' + DG.ObjectMap.keys(this.getAttributeMetadata(iAttr)).map(function(iProp) {
+          return iProp + ': ' + this.quote(String(iAttr[iProp]), ',');
+        }, this).join(', '));
+      }, this);
+    }
+    lines.push(attrs.map(function(iAttr) { return this.quote(iAttr.name, iDelimiter); }, this).join(iDelimiter));
+    this.getRows(iTable).forEach(function(iRow) {
+      lines.push(attrs.map(function(iAttr) {
+        return this.quote(this.toCellString(iRow[iAttr.name]), iDelimiter);
+      }, this).join(iDelimiter));
+    }, this);
+    return lines.join('\r\n');
+  },
+
+  /**
+    Returns the case data as JSON, with the cases of each collection nested within their
+    parent cases in an array named after the collection. With metadata, the cases are the
+    'cases' of an object which also has the 'name' and 'collections' of the dataset.
+    @param {Object} iTable
+    @param {Boolean} iIncludeMetadata
+    @returns {String}
+   */
+  formatJSON: function(iTable, iIncludeMetadata) {
+    var collections = iTable.collections;
+
+    var nestCases = function(iCases, iLevel) {
+      var collection = collections[iLevel],
+          childCollection = collections[iLevel + 1];
+      return iCases.map(function(iCase) {
+        var result = {};
+        collection.attrs.forEach(function(iAttr) {
+          result[iAttr.name] = this.toJSONValue(iCase.values[iAttr.name], iAttr);
+        }, this);
+        if (childCollection)
+          result[childCollection.name] = nestCases(iCase.children || [], iLevel + 1);
+        return result;
+      }, this);
+    }.bind(this);
+
+    var cases = collections.length ? nestCases(iTable.cases, 0) : [];
+    if (!iIncludeMetadata)
+      return JSON.stringify(cases, null, 2);
+    return JSON.stringify({
+      name: iTable.name,
+      collections: collections.map(function(iCollection) {
+        return {
+          name: iCollection.name,
+          attrs: iCollection.attrs.map(this.getAttributeMetadata, this)
+        };
+      }, this),
+      cases: cases
+    }, null, 2);
+  },
+
+  /**
+    Returns the case data as JSON Lines, i.e. a JSON object on each line for each row.
+    @param {Object} iTable
+    @returns {String}
+   */
+  formatJSONLines: function(iTable) {
+    var attrs = this.getAttributes(iTable);
+    return this.getRows(iTable).map(function(iRow) {
+      var result = {};
+      attrs.forEach(function(iAttr) {
+        result[iAttr.name] = this.toJSONValue(iRow[iAttr.name], iAttr);
+      }, this);
+      return JSON.stringify(result);
+    }, this).join('\n');
+  },
+
+  /**
+    Returns the attributes which locate the cases, if any: a boundary attribute, i.e. one
+    of boundary type or with one of the boundary names recognized by maps, and latitude and
+    longitude attributes, i.e. those with the names recognized by maps.
+    @param {[Object]} iAttrs
+    @returns {Object|null} { boundary, latitude, longitude } attributes, any of which may be null
+   */
+  findGeoAttributes: function(iAttrs) {
+    function findByName(iNames) {
+      return iAttrs.filter(function(iAttr) {
+        return iNames.indexOf(String(iAttr.name).toLowerCase()) >= 0;
+      })[0] || null;
+    }
+
+    var result = {
+          boundary: iAttrs.filter(function(iAttr) { return iAttr.type === DG.Attribute.TYPE_BOUNDARY; })[0] ||
+                      findByName(DG.MapConstants.kPolygonNames),
+          latitude: findByName(DG.MapConstants.kLatNames),
+          longitude: findByName(DG.MapConstants.kLongNames)
+        };
+    if (!result.latitude || !result.longitude)
+      result.latitude = result.longitude = null;
+    return (result.boundary || result.latitude) ? result : null;
+  },
+
+  /**
+    Returns the GeoJSON geometry of the specified boundary value, which may be a GeoJSON
+    string or object or the result of lookupBoundary().
+    @param {*} iValue
+    @returns {Object|null}
+   */
+  geometryFromBoundaryValue: function(iValue) {
+    var object = iValue;
+    if (typeof object === 'string') {
+      try {
+        object = JSON.parse(object);
+      }
+      catch (ex) {
+        return null;
+      }
+    }
+    if (object && object.jsonBoundaryObject)
+      object = object.jsonBoundaryObject;
+    if (!object || (typeof object !== 'object'))
+      return null;
+    if (object.type === 'Feature')
+      return object.geometry || null;
+    if (object.type === 'FeatureCollection') {
+      return {
+        type: 'GeometryCollection',
+        geometries: (object.features || []).map(function(iFeature) { return iFeature.geometry; })
+                                            .filter(function(iGeometry) { return !!iGeometry; })
+      };
+    }
+    return (object.coordinates || object.geometries) ? object : null;
+  },
+
+  /**
+    Returns the case data as a GeoJSON FeatureCollection with a feature for each row. The
+    geometry of each feature is its boundary or else the point at its longitude and latitude,
+    and the other values are its properties. The metadata is a foreign member of the
+    FeatureCollection.
+    @param {Object} iTable
+    @param {Boolean} iIncludeMetadata
+    @returns {String}
+   */
+  formatGeoJSON: function(iTable, iIncludeMetadata) {
+    var attrs = this.getAttributes(iTable),
+        geoAttrs = this.findGeoAttributes(attrs) || {},
+        propertyAttrs = attrs.filter(function(iAttr) { return iAttr !== geoAttrs.boundary; }),
+        result = { type: 'FeatureCollection' };
+
+    if (iIncludeMetadata) {
+      result.metadata = {
+        name: iTable.name,
+        attrs: attrs.map(this.getAttributeMetadata, this)
+      };
+    }
+    result.features = this.getRows(iTable).map(function(iRow) {
+      var geometry = geoAttrs.boundary ? this.geometryFromBoundaryValue(iRow[geoAttrs.boundary.name]) : null,
+          properties = {},
+          latitude, longitude;
+      if (!geometry && geoAttrs.latitude) {
+        latitude = iRow[geoAttrs.latitude.name];
+        longitude = iRow[geoAttrs.longitude.name];
+        if (DG.isFinite(latitude) && DG.isFinite(longitude) && (latitude !== '') && (longitude !== ''))
+          geometry = { type: 'Point', coordinates: [Number(longitude), Number(latitude)] };
+      }
+      propertyAttrs.forEach(function(iAttr) {
+        properties[iAttr.name] = this.toJSONValue(iRow[iAttr.name], iAttr);
+      }, this);
+      return { type: 'Feature', geometry: geometry, properties: properties };
+    }, this);
+    return JSON.stringify(result);
+  }
+};
@@ -250,6 +250,7 @@ DG.DataContextUtilities = {
           formulaValue: iAttrFormula,
           formulaCompletions: tResult.completionData,
           formulaOperands: tResult.operandsMenu,
+          formulaValidation: tCollClient && DG.FormulaValidator.optionsForCollection(tCollClient),
           formulaHint: 'DG.TableController.newAttrDlg.formulaHint'  // "If desired, type a formula for computing values of this attribute"
         }, {collection: tCollClient}));
   },
@@ -481,11 +482,23 @@ DG.DataContextUtilities = {
     return dependency;
   },
 
+  /**
+   * When random numbers are seeded, advances the random numbers generated by the
+   * specified attribute's formula so that rerandomizing is reproducible.
+   * @param iAttrID {Number}
+   */
+  advanceRandomization: function(iAttrID) {
+    var attr = DG.Attribute.getAttributeByID(iAttrID);
+    if (attr && DG.RandomUtilities.isSeeded())
+      attr.set('randomizeCount', (attr.get('randomizeCount') || 0) + 1);
+  },
+
   /**
    * Randomize a single attribute
    */
   randomizeAttribute: function(iDataContext, iAttrID) {
     if (iDataContext && iAttrID) {
+      DG.DataContextUtilities.advanceRandomization(iAttrID);
       iDataContext.invalidateDependencyAndNotify({ type: DG.DEP_TYPE_ATTRIBUTE,
             id: iAttrID },
           { type: DG.DEP_TYPE_SPECIAL,
@@ -494,6 +507,25 @@ DG.DataContextUtilities = {
     }
   },
 
+  /**
+   * Randomize all attributes whose formulas depend on random numbers
+   */
+  randomizeAllAttributes: function(iDataContext) {
+    var dependencyMgr = iDataContext && iDataContext.get('dependencyMgr'),
+        randomNode = dependencyMgr &&
+            dependencyMgr.findNode({ type: DG.DEP_TYPE_SPECIAL,
+              id: 'random' });
+    if (iDataContext) {
+      if (randomNode) {
+        dependencyMgr.findDependentsOfNodes([randomNode]).forEach(function(iNode) {
+          if (iNode.type === DG.DEP_TYPE_ATTRIBUTE)
+            DG.DataContextUtilities.advanceRandomization(iNode.id);
+        });
+      }
+      iDataContext.invalidateDependentsAndNotify([randomNode]);
+    }
+  },
+
   makeUniqueCollectionName: function (context, candidateName) {
     var name = pluralize(candidateName);
     var ix = 0;
@@ -265,6 +265,26 @@ DG.DataUtilities.compareDescending = function(value1, value2) {
   }
 };
 
+/**
+  Comparison function for a key of a sort specification, which places empty values
+  (null, undefined or '') first or last regardless of the direction of the sort.
+  @param {*} value1
+  @param {*} value2
+  @param {Object} iSortKey -- { isDescending, emptyFirst }
+  @returns {Number}
+ */
+DG.DataUtilities.compareSortKeyValues = function(value1, value2, iSortKey) {
+  var isEmpty1 = (value1 == null) || (value1 === ''),
+      isEmpty2 = (value2 == null) || (value2 === '');
+  if (isEmpty1 || isEmpty2) {
+    if (isEmpty1 === isEmpty2) return 0;
+    return (isEmpty1 ? 1 : -1) * (iSortKey.emptyFirst ? -1 : 1);
+  }
+  return iSortKey.isDescending
+          ? DG.DataUtilities.compareDescending(value1, value2)
+          : DG.DataUtilities.compareAscending(value1, value2);
+};
+
 /**
  * Create a globally unique id, or really globally wildly improbable id.
  *
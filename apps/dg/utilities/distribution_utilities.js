@@ -0,0 +1,405 @@
+// ==========================================================================
+//                          DG.DistributionUtilities
+//
+//  Copyright (c) 2021 by The Concord Consortium, Inc. All rights reserved.
+//
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing, software
+//  distributed under the License is distributed on an "AS IS" BASIS,
+//  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//  See the License for the specific language governing permissions and
+//  limitations under the License.
+// ==========================================================================
+
+/**
+ * Density, cumulative and inverse (quantile) functions for common probability
+ * distributions. The special functions (log-gamma, incomplete gamma and beta)
+ * are adapted from Numerical Recipes in C, 2nd ed., chapter 6.
+ * All functions return NaN for invalid parameters.
+ */
+DG.DistributionUtilities = (function() {
+
+  var kMaxIterations = 200,
+      kEpsilon = 3e-16,
+      kTiny = 1e-300,
+      kLanczosCoefficients = [ 57.1562356658629235, -59.5979603554754912, 14.1360979747417471,
+                              -0.491913816097620199, 0.339946499848118887e-4, 0.465236289270485756e-4,
+                              -0.983744753048795646e-4, 0.158088703224912494e-3, -0.210264441724104883e-3,
+                              0.217439618115212643e-3, -0.164318106536763890e-3, 0.844182239838527433e-4,
+                              -0.261908384015814087e-4, 0.368991826595316234e-5 ];
+
+  function isInteger(x) {
+    return Math.floor(x) === x;
+  }
+
+  /**
+   * Series representation of the regularized lower incomplete gamma function P(a,x).
+   */
+  function gammaSeries(a, x) {
+    var sum = 1 / a,
+        del = sum,
+        ap = a,
+        n;
+    for (n = 0; n < kMaxIterations; ++n) {
+      ++ap;
+      del *= x / ap;
+      sum += del;
+      if (Math.abs(del) < Math.abs(sum) * kEpsilon) break;
+    }
+    return sum * Math.exp(-x + a * Math.log(x) - logGamma(a));
+  }
+
+  /**
+   * Continued fraction representation of the regularized upper incomplete gamma function Q(a,x).
+   */
+  function gammaContinuedFraction(a, x) {
+    var b = x + 1 - a,
+        c = 1 / kTiny,
+        d = 1 / b,
+        h = d,
+        i, an, del;
+    for (i = 1; i <= kMaxIterations; ++i) {
+      an = -i * (i - a);
+      b += 2;
+      d = an * d + b;
+      if (Math.abs(d) < kTiny) d = kTiny;
+      c = b + an / c;
+      if (Math.abs(c) < kTiny) c = kTiny;
+      d = 1 / d;
+      del = d * c;
+      h *= del;
+      if (Math.abs(del - 1) < kEpsilon) break;
+    }
+    return Math.exp(-x + a * Math.log(x) - logGamma(a)) * h;
+  }
+
+  /**
+   * Continued fraction used in evaluating the regularized incomplete beta function.
+   */
+  function betaContinuedFraction(a, b, x) {
+    var qab = a + b,
+        qap = a + 1,
+        qam = a - 1,
+        c = 1,
+        d = 1 - qab * x / qap,
+        h, m, m2, aa, del;
+    if (Math.abs(d) < kTiny) d = kTiny;
+    d = 1 / d;
+    h = d;
+    for (m = 1; m <= kMaxIterations; ++m) {
+      m2 = 2 * m;
+      aa = m * (b - m) * x / ((qam + m2) * (a + m2));
+      d = 1 + aa * d;
+      if (Math.abs(d) < kTiny) d = kTiny;
+      c = 1 + aa / c;
+      if (Math.abs(c) < kTiny) c = kTiny;
+      d = 1 / d;
+      h *= d * c;
+      aa = -(a + m) * (qab + m) * x / ((a + m2) * (qap + m2));
+      d = 1 + aa * d;
+      if (Math.abs(d) < kTiny) d = kTiny;
+      c = 1 + aa / c;
+      if (Math.abs(c) < kTiny) c = kTiny;
+      d = 1 / d;
+      del = d * c;
+      h *= del;
+      if (Math.abs(del - 1) < kEpsilon) break;
+    }
+    return h;
+  }
+
+  /**
+   * Natural logarithm of the gamma function (Lanczos approximation).
+   * @param   {Number}  x - must be positive
+   * @returns {Number}
+   */
+  function logGamma(x) {
+    var y = x,
+        tmp = x + 5.24218750000000000,
+        ser = 0.999999999999997092,
+        j;
+    tmp = (x + 0.5) * Math.log(tmp) - tmp;
+    for (j = 0; j < kLanczosCoefficients.length; ++j) {
+      ser += kLanczosCoefficients[j] / ++y;
+    }
+    return tmp + Math.log(2.5066282746310005 * ser / x);
+  }
+
+  /**
+   * Regularized lower incomplete gamma function P(a,x).
+   */
+  function lowerRegularizedGamma(a, x) {
+    if (x <= 0) return 0;
+    return x < a + 1 ? gammaSeries(a, x) : 1 - gammaContinuedFraction(a, x);
+  }
+
+  /**
+   * Regularized upper incomplete gamma function Q(a,x) = 1 - P(a,x).
+   */
+  function upperRegularizedGamma(a, x) {
+    if (x <= 0) return 1;
+    return x < a + 1 ? 1 - gammaSeries(a, x) : gammaContinuedFraction(a, x);
+  }
+
+  /**
+   * Regularized incomplete beta function I_x(a,b).
+   */
+  function regularizedBeta(x, a, b) {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+    var bt = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) +
+                      a * Math.log(x) + b * Math.log(1 - x));
+    return x < (a + 1) / (a + b + 2)
+              ? bt * betaContinuedFraction(a, b, x) / a
+              : 1 - bt * betaContinuedFraction(b, a, 1 - x) / b;
+  }
+
+  /**
+   * Returns the value x >= 0 for which iCDF(x) === p, found by bisection.
+   * The upper end of the search interval is expanded as necessary to bracket the result.
+   */
+  function invertCDF(iCDF, p, iUpper) {
+    var lower = 0,
+        upper = iUpper,
+        mid, i;
+    while (iCDF(upper) < p) {
+      lower = upper;
+      upper *= 2;
+    }
+    for (i = 0; i < kMaxIterations; ++i) {
+      mid = (lower + upper) / 2;
+      if (iCDF(mid) < p) lower = mid;
+      else upper = mid;
+      if (upper - lower <= kEpsilon * Math.max(1, Math.abs(mid))) break;
+    }
+    return (lower + upper) / 2;
+  }
+
+  /**
+   * Returns true if the specified value is a probability strictly between 0 and 1.
+   */
+  function isOpenProbability(p) {
+    return (p > 0) && (p < 1);
+  }
+
+  function isValidDegreesOfFreedom(df) {
+    return isFinite(df) && (df > 0);
+  }
+
+  return {
+
+    logGamma: logGamma,
+    lowerRegularizedGamma: lowerRegularizedGamma,
+    upperRegularizedGamma: upperRegularizedGamma,
+    regularizedBeta: regularizedBeta,
+
+    /**
+     * Probability density of the normal distribution.
+     * @param   {Number}  x
+     * @param   {Number}  mu - mean
+     * @param   {Number}  sigma - standard deviation (must be positive)
+     * @returns {Number}
+     */
+    normalPDF: function(x, mu, sigma) {
+      if (!(sigma > 0)) return NaN;
+      var z = (x - mu) / sigma;
+      return Math.exp(-z * z / 2) / (sigma * Math.sqrt(2 * Math.PI));
+    },
+
+    /**
+     * Cumulative probability of the normal distribution, i.e. P(X <= x).
+     * @param   {Number}  x
+     * @param   {Number}  mu - mean
+     * @param   {Number}  sigma - standard deviation (must be positive)
+     * @returns {Number}
+     */
+    normalCDF: function(x, mu, sigma) {
+      if (!(sigma > 0)) return NaN;
+      var z = (x - mu) / sigma,
+          // erfc(|z|/sqrt(2)) expressed in terms of the incomplete gamma function
+          tail = upperRegularizedGamma(0.5, z * z / 2);
+      return z < 0 ? tail / 2 : 1 - tail / 2;
+    },
+
+    /**
+     * Inverse of the normal cumulative distribution function. Uses Acklam's rational
+     * approximation followed by a single step of Halley's method for full precision.
+     * @param   {Number}  p - probability (0 < p < 1)
+     * @param   {Number}  mu - mean
+     * @param   {Number}  sigma - standard deviation (must be positive)
+     * @returns {Number}
+     */
+    invNorm: function(p, mu, sigma) {
+      if (!isOpenProbability(p) || !(sigma > 0)) return NaN;
+      var a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02,
+                1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00],
+          b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02,
+                6.680131188771972e+01, -1.328068155288572e+01],
+          c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00,
+               -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00],
+          d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00,
+               3.754408661907416e+00],
+          pLow = 0.02425,
+          q, r, z, e, u;
+      if (p < pLow) {
+        q = Math.sqrt(-2 * Math.log(p));
+        z = (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+            ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+      }
+      else if (p <= 1 - pLow) {
+        q = p - 0.5;
+        r = q * q;
+        z = (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+            (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+      }
+      else {
+        q = Math.sqrt(-2 * Math.log(1 - p));
+        z = -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+             ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+      }
+      // refinement using Halley's rational method
+      e = DG.DistributionUtilities.normalCDF(z, 0, 1) - p;
+      u = e * Math.sqrt(2 * Math.PI) * Math.exp(z * z / 2);
+      z = z - u / (1 + z * u / 2);
+      return mu + sigma * z;
+    },
+
+    /**
+     * Probability density of Student's t distribution.
+     * @param   {Number}  x
+     * @param   {Number}  df - degrees of freedom (must be positive)
+     * @returns {Number}
+     */
+    tPDF: function(x, df) {
+      if (!isValidDegreesOfFreedom(df)) return NaN;
+      return Math.exp(logGamma((df + 1) / 2) - logGamma(df / 2) -
+                      Math.log(df * Math.PI) / 2 -
+                      (df + 1) / 2 * Math.log(1 + x * x / df));
+    },
+
+    /**
+     * Cumulative probability of Student's t distribution, i.e. P(T <= x).
+     * @param   {Number}  x
+     * @param   {Number}  df - degrees of freedom (must be positive)
+     * @returns {Number}
+     */
+    tCDF: function(x, df) {
+      if (!isValidDegreesOfFreedom(df)) return NaN;
+      var tail = regularizedBeta(df / (df + x * x), df / 2, 0.5) / 2;
+      return x < 0 ? tail : 1 - tail;
+    },
+
+    /**
+     * Inverse of the cumulative distribution function of Student's t distribution.
+     * @param   {Number}  p - probability (0 < p < 1)
+     * @param   {Number}  df - degrees of freedom (must be positive)
+     * @returns {Number}
+     */
+    invT: function(p, df) {
+      if (!isOpenProbability(p) || !isValidDegreesOfFreedom(df)) return NaN;
+      if (p === 0.5) return 0;
+      // the distribution is symmetric, so we search the upper half only
+      var upper = invertCDF(function(x) { return DG.DistributionUtilities.tCDF(x, df); },
+                            Math.max(p, 1 - p), 1);
+      return p < 0.5 ? -upper : upper;
+    },
+
+    /**
+     * Probability density of the chi-square distribution.
+     * @param   {Number}  x
+     * @param   {Number}  df - degrees of freedom (must be positive)
+     * @returns {Number}
+     */
+    chiSquarePDF: function(x, df) {
+      if (!isValidDegreesOfFreedom(df)) return NaN;
+      if (x < 0) return 0;
+      if (x === 0) return df < 2 ? Infinity : (df === 2 ? 0.5 : 0);
+      var k = df / 2;
+      return Math.exp((k - 1) * Math.log(x) - x / 2 - k * Math.LN2 - logGamma(k));
+    },
+
+    /**
+     * Cumulative probability of the chi-square distribution, i.e. P(X <= x).
+     * @param   {Number}  x
+     * @param   {Number}  df - degrees of freedom (must be positive)
+     * @returns {Number}
+     */
+    chiSquareCDF: function(x, df) {
+      if (!isValidDegreesOfFreedom(df)) return NaN;
+      return lowerRegularizedGamma(df / 2, x / 2);
+    },
+
+    /**
+     * Inverse of the cumulative distribution function of the chi-square distribution.
+     * @param   {Number}  p - probability (0 < p < 1)
+     * @param   {Number}  df - degrees of freedom (must be positive)
+     * @returns {Number}
+     */
+    invChiSquare: function(p, df) {
+      if (!isOpenProbability(p) || !isValidDegreesOfFreedom(df)) return NaN;
+      return invertCDF(function(x) { return DG.DistributionUtilities.chiSquareCDF(x, df); },
+                       p, Math.max(1, df));
+    },
+
+    /**
+     * Probability of exactly k successes in n independent trials, i.e. P(X = k).
+     * @param   {Number}  k - number of successes
+     * @param   {Number}  n - number of trials (non-negative integer)
+     * @param   {Number}  p - probability of success on each trial
+     * @returns {Number}
+     */
+    binomialPDF: function(k, n, p) {
+      if (!(n >= 0) || !isInteger(n) || !(p >= 0 && p <= 1)) return NaN;
+      if (!isInteger(k) || (k < 0) || (k > n)) return 0;
+      if (p === 0) return k === 0 ? 1 : 0;
+      if (p === 1) return k === n ? 1 : 0;
+      return Math.exp(logGamma(n + 1) - logGamma(k + 1) - logGamma(n - k + 1) +
+                      k * Math.log(p) + (n - k) * Math.log(1 - p));
+    },
+
+    /**
+     * Probability of at most k successes in n independent trials, i.e. P(X <= k).
+     * @param   {Number}  k - number of successes
+     * @param   {Number}  n - number of trials (non-negative integer)
+     * @param   {Number}  p - probability of success on each trial
+     * @returns {Number}
+     */
+    binomialCDF: function(k, n, p) {
+      if (!(n >= 0) || !isInteger(n) || !(p >= 0 && p <= 1)) return NaN;
+      k = Math.floor(k);
+      if (k < 0) return 0;
+      if (k >= n) return 1;
+      return regularizedBeta(1 - p, n - k, k + 1);
+    },
+
+    /**
+     * Probability of exactly k events for a Poisson distribution, i.e. P(X = k).
+     * @param   {Number}  k - number of events
+     * @param   {Number}  lambda - mean number of events (must be positive)
+     * @returns {Number}
+     */
+    poissonPDF: function(k, lambda) {
+      if (!(lambda > 0) || !isFinite(lambda)) return NaN;
+      if (!isInteger(k) || (k < 0)) return 0;
+      return Math.exp(k * Math.log(lambda) - lambda - logGamma(k + 1));
+    },
+
+    /**
+     * Probability of at most k events for a Poisson distribution, i.e. P(X <= k).
+     * @param   {Number}  k - number of events
+     * @param   {Number}  lambda - mean number of events (must be positive)
+     * @returns {Number}
+     */
+    poissonCDF: function(k, lambda) {
+      if (!(lambda > 0) || !isFinite(lambda)) return NaN;
+      k = Math.floor(k);
+      if (k < 0) return 0;
+      return upperRegularizedGamma(k + 1, lambda);
+    }
+  };
+}());
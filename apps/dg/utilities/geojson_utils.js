@@ -43,6 +43,287 @@ DG.GeojsonUtils = {
     }
     else
       return null;
+  },
+
+  /**
+   * The mean radius of the earth in kilometers, as used by greatCircleDistance().
+   */
+  kEarthRadius: 6371,
+
+  /**
+   * Returns the polygons of the specified boundary value along with their bounding box.
+   * The boundary value may be the result of lookupBoundary(), a GeoJSON string or a
+   * GeoJSON Feature, FeatureCollection or (Multi)Polygon geometry object.
+   * Each polygon is an array of rings (the first is the outer ring and the rest are holes)
+   * and each ring is an array of [long, lat] points.
+   * @param iBoundaryValue { {String} | {Object}}
+   * @return {{ polygons: {Array}, bounds: { west: {Number}, east: {Number},
+   *                                          south: {Number}, north: {Number} } } | null}
+   */
+  boundaryGeometryFromBoundaryValue: function( iBoundaryValue) {
+    var tObject = this.boundaryObjectFromBoundaryValue( iBoundaryValue),
+        tPolygons = [],
+        tBounds = { west: 180, east: -180, south: 90, north: -90 };
+
+    function addGeometry( iGeometry) {
+      if( !iGeometry) return;
+      switch( iGeometry.type) {
+        case 'FeatureCollection':
+          (iGeometry.features || []).forEach( addGeometry);
+          break;
+        case 'Feature':
+          addGeometry( iGeometry.geometry);
+          break;
+        case 'GeometryCollection':
+          (iGeometry.geometries || []).forEach( addGeometry);
+          break;
+        case 'Polygon':
+          tPolygons.push( iGeometry.coordinates);
+          break;
+        case 'MultiPolygon':
+          tPolygons.push.apply( tPolygons, iGeometry.coordinates);
+          break;
+      }
+    }
+
+    if( tObject && tObject.jsonBoundaryObject)
+      tObject = tObject.jsonBoundaryObject;
+    if( !tObject || (tObject instanceof Error)) return null;
+    addGeometry( tObject);
+    if( !tPolygons.length) return null;
+
+    tPolygons.forEach( function( iPolygon) {
+      // the outer ring determines the bounds
+      (iPolygon[0] || []).forEach( function( iPoint) {
+        tBounds.west = Math.min( tBounds.west, iPoint[0]);
+        tBounds.east = Math.max( tBounds.east, iPoint[0]);
+        tBounds.south = Math.min( tBounds.south, iPoint[1]);
+        tBounds.north = Math.max( tBounds.north, iPoint[1]);
+      });
+    });
+    return { polygons: tPolygons, bounds: tBounds };
+  },
+
+  /**
+   * Returns the geometries of the boundaries in the specified boundary map, e.g. US_state_boundaries,
+   * with duplicates (boundaries with more than one key) removed. The geometries are computed
+   * once and cached with the boundary map.
+   * @param iBoundaryMap {DG.BoundaryMap}
+   * @return {[{ name: {String}, geometry: {Object} }]}
+   */
+  boundaryGeometriesFromBoundaryMap: function( iBoundaryMap) {
+    if( !iBoundaryMap.geometries) {
+      var tNames = {};
+      iBoundaryMap.geometries = [];
+      DG.ObjectMap.forEach( iBoundaryMap.map, function( iKey, iBoundaryValue) {
+        var tBoundaryObject = iBoundaryValue && iBoundaryValue.jsonBoundaryObject,
+            tProperties = (tBoundaryObject && tBoundaryObject.properties) || {},
+            tName = tProperties.NAME || tProperties.name || iKey,
+            tGeometry;
+        if( tNames[ tName]) return;
+        tGeometry = this.boundaryGeometryFromBoundaryValue( iBoundaryValue);
+        if( tGeometry) {
+          tNames[ tName] = true;
+          iBoundaryMap.geometries.push({ name: tName, geometry: tGeometry });
+        }
+      }.bind( this));
+    }
+    return iBoundaryMap.geometries;
+  },
+
+  /**
+   * Returns true if the specified point is inside the specified boundary geometry,
+   * i.e. inside the outer ring and outside the holes of one of its polygons.
+   * @param iLat {Number}
+   * @param iLong {Number}
+   * @param iGeometry {Object} as returned by boundaryGeometryFromBoundaryValue()
+   * @return {Boolean}
+   */
+  isPointInBoundaryGeometry: function( iLat, iLong, iGeometry) {
+    var tBounds = iGeometry.bounds;
+
+    // the ray-casting algorithm
+    function isPointInRing( iRing) {
+      var tInside = false,
+          i, j;
+      for( i = 0, j = iRing.length - 1; i < iRing.length; j = i++) {
+        var tX1 = iRing[i][0], tY1 = iRing[i][1],
+            tX2 = iRing[j][0], tY2 = iRing[j][1];
+        if( ((tY1 > iLat) !== (tY2 > iLat)) &&
+            (iLong < (tX2 - tX1) * (iLat - tY1) / (tY2 - tY1) + tX1))
+          tInside = !tInside;
+      }
+      return tInside;
+    }
+
+    if( (iLat < tBounds.south) || (iLat > tBounds.north) ||
+        (iLong < tBounds.west) || (iLong > tBounds.east))
+      return false;
+    return iGeometry.polygons.some( function( iPolygon) {
+      return iPolygon.length && isPointInRing( iPolygon[0]) &&
+              !iPolygon.slice( 1).some( isPointInRing);
+    });
+  },
+
+  /**
+   * Returns the area of the specified boundary geometry in square kilometers, computed on a
+   * spherical earth. The areas of holes are subtracted from the areas of their polygons.
+   * @param iGeometry {Object} as returned by boundaryGeometryFromBoundaryValue()
+   * @return {Number}
+   */
+  boundaryGeometryArea: function( iGeometry) {
+    var kRadius = this.kEarthRadius,
+        kRadians = Math.PI / 180;
+
+    // spherical excess formula, cf. "Some Algorithms for Polygons on a Sphere" (Chamberlain & Duquette)
+    function ringArea( iRing) {
+      var tSum = 0;
+      for( var i = 0, j = iRing.length - 1; i < iRing.length; j = i++) {
+        tSum += (iRing[i][0] - iRing[j][0]) * kRadians *
+                  (2 + Math.sin( iRing[j][1] * kRadians) + Math.sin( iRing[i][1] * kRadians));
+      }
+      return Math.abs( tSum * kRadius * kRadius / 2);
+    }
+
+    return iGeometry.polygons.reduce( function( iArea, iPolygon) {
+      return iPolygon.reduce( function( iPolygonArea, iRing, iIndex) {
+        return iPolygonArea + (iIndex === 0 ? 1 : -1) * ringArea( iRing);
+      }, iArea);
+    }, 0);
+  },
+
+  /**
+   * Returns the perimeter of the specified boundary geometry in kilometers, i.e. the total
+   * great-circle length of the boundaries of its polygons, including the boundaries of holes.
+   * @param iGeometry {Object} as returned by boundaryGeometryFromBoundaryValue()
+   * @return {Number}
+   */
+  boundaryGeometryPerimeter: function( iGeometry) {
+    var tPerimeter = 0;
+    iGeometry.polygons.forEach( function( iPolygon) {
+      iPolygon.forEach( function( iRing) {
+        for( var i = 1; i < iRing.length; ++i) {
+          tPerimeter += this.greatCircleDistance( iRing[i - 1][1], iRing[i - 1][0],
+                                                  iRing[i][1], iRing[i][0]);
+        }
+      }.bind( this));
+    }.bind( this));
+    return tPerimeter;
+  },
+
+  /**
+   * Returns the centroid of the specified boundary geometry, i.e. the area-weighted average
+   * of the centroids of its polygons computed on their latitude/longitude coordinates.
+   * Boundaries which cross the 180th meridian are not handled.
+   * @param iGeometry {Object} as returned by boundaryGeometryFromBoundaryValue()
+   * @return {{ lat: {Number}, lng: {Number} } | null}
+   */
+  boundaryGeometryCentroid: function( iGeometry) {
+    var tArea = 0, tLongSum = 0, tLatSum = 0,
+        tPointCount = 0, tLongTotal = 0, tLatTotal = 0;
+    iGeometry.polygons.forEach( function( iPolygon) {
+      iPolygon.forEach( function( iRing, iIndex) {
+        var tRingArea = 0, tRingLongSum = 0, tRingLatSum = 0,
+            tSign;
+        for( var i = 0, j = iRing.length - 1; i < iRing.length; j = i++) {
+          var tCross = iRing[j][0] * iRing[i][1] - iRing[i][0] * iRing[j][1];
+          tRingArea += tCross;
+          tRingLongSum += (iRing[j][0] + iRing[i][0]) * tCross;
+          tRingLatSum += (iRing[j][1] + iRing[i][1]) * tCross;
+          tLongTotal += iRing[i][0];
+          tLatTotal += iRing[i][1];
+          ++tPointCount;
+        }
+        // outer rings add and holes subtract regardless of their winding order
+        tSign = ((tRingArea < 0) !== (iIndex > 0)) ? -1 : 1;
+        tArea += tSign * tRingArea / 2;
+        tLongSum += tSign * tRingLongSum / 6;
+        tLatSum += tSign * tRingLatSum / 6;
+      });
+    });
+    if( tArea)
+      return { lat: tLatSum / tArea, lng: tLongSum / tArea };
+    // degenerate boundaries use the average of their points
+    return tPointCount ? { lat: tLatTotal / tPointCount, lng: tLongTotal / tPointCount } : null;
+  },
+
+  /**
+   * Returns the distance in kilometers from the specified point to the specified boundary
+   * geometry, which is 0 if the point is inside the boundary. Distances to the edges of the
+   * boundary are computed on a local projection centered on the point, which is accurate
+   * for distances that are small relative to the size of the earth.
+   * @param iLat {Number}
+   * @param iLong {Number}
+   * @param iGeometry {Object} as returned by boundaryGeometryFromBoundaryValue()
+   * @return {Number}
+   */
+  distanceToBoundaryGeometry: function( iLat, iLong, iGeometry) {
+    var kKmPerDegree = this.kEarthRadius * Math.PI / 180,
+        tLongScale = Math.cos( iLat * Math.PI / 180),
+        tMinSquared = Infinity;
+
+    // projects the point to kilometers east and north of the specified point
+    function project( iPoint) {
+      var tDeltaLong = ((iPoint[0] - iLong) % 360 + 540) % 360 - 180;
+      return [ tDeltaLong * tLongScale * kKmPerDegree, (iPoint[1] - iLat) * kKmPerDegree ];
+    }
+
+    if( this.isPointInBoundaryGeometry( iLat, iLong, iGeometry)) return 0;
+    iGeometry.polygons.forEach( function( iPolygon) {
+      iPolygon.forEach( function( iRing) {
+        var tPrev = iRing.length ? project( iRing[0]) : null;
+        for( var i = 1; i < iRing.length; ++i) {
+          var tNext = project( iRing[i]),
+              tDX = tNext[0] - tPrev[0], tDY = tNext[1] - tPrev[1],
+              tLengthSquared = tDX * tDX + tDY * tDY,
+              // the parameter of the closest point on the segment to the origin
+              tT = tLengthSquared ? -(tPrev[0] * tDX + tPrev[1] * tDY) / tLengthSquared : 0,
+              tX, tY;
+          tT = Math.max( 0, Math.min( 1, tT));
+          tX = tPrev[0] + tT * tDX;
+          tY = tPrev[1] + tT * tDY;
+          tMinSquared = Math.min( tMinSquared, tX * tX + tY * tY);
+          tPrev = tNext;
+        }
+      });
+    });
+    return Math.sqrt( tMinSquared);
+  },
+
+  /**
+   * Returns a lower bound on the distance in kilometers from the specified point to a boundary
+   * geometry with the specified bounds, consistent with distanceToBoundaryGeometry(). Useful for
+   * skipping boundaries which can't be closer than the closest boundary found so far.
+   * @param iLat {Number}
+   * @param iLong {Number}
+   * @param iBounds {Object} the bounds of the boundary geometry
+   * @return {Number}
+   */
+  distanceToBoundaryBounds: function( iLat, iLong, iBounds) {
+    var kKmPerDegree = this.kEarthRadius * Math.PI / 180,
+        tLatGap = Math.max( 0, iBounds.south - iLat, iLat - iBounds.north),
+        tLongGap = ((iLong >= iBounds.west) && (iLong <= iBounds.east))
+                      ? 0
+                      : Math.min( ((iBounds.west - iLong) % 360 + 360) % 360,
+                                  ((iLong - iBounds.east) % 360 + 360) % 360),
+        tLongKm = Math.min( tLongGap, 180) * Math.cos( iLat * Math.PI / 180) * kKmPerDegree;
+    return Math.sqrt( tLongKm * tLongKm + tLatGap * kKmPerDegree * tLatGap * kKmPerDegree);
+  },
+
+  /**
+   * Returns the shortest distance in kilometers between two points on the surface of the earth.
+   * @param iLat1 {Number}
+   * @param iLong1 {Number}
+   * @param iLat2 {Number}
+   * @param iLong2 {Number}
+   * @return {Number}
+   */
+  greatCircleDistance: function( iLat1, iLong1, iLat2, iLong2) {
+    var kRadians = Math.PI / 180,
+        a = Math.pow( Math.sin( kRadians * (iLat2 - iLat1) / 2), 2) +
+            Math.cos( iLat1 * kRadians) * Math.cos( iLat2 * kRadians) *
+            Math.pow( Math.sin( kRadians * (iLong2 - iLong1) / 2), 2);
+    return 2 * this.kEarthRadius * Math.atan2( Math.sqrt( a), Math.sqrt( 1 - a));
   }
 
 };
@@ -0,0 +1,221 @@
+// ==========================================================================
+//                            DG.JoinUtilities
+//
+//  Copyright (c) 2021 by The Concord Consortium, Inc. All rights reserved.
+//
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing, software
+//  distributed under the License is distributed on an "AS IS" BASIS,
+//  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//  See the License for the specific language governing permissions and
+//  limitations under the License.
+// ==========================================================================
+
+/**
+  Utilities for the relational join of two flat tables on one or more key attributes.
+
+  Each table has the properties of its attributes ({ name, type, unit, ... }) and a row for
+  each case mapping attribute names to values, cf. DG.DataContext.getFlatTable(). The join
+  returns the collections and cases of the joined data in the form expected by
+  DG.AppController.createDataContextFromCaseTree(): { collections: [{ name, attrs }],
+  cases: [{ values, children }] }.
+
+  Rows match if the string forms of their key values are equal, as with lookupByKey().
+  Rows with an empty key value don't match any row. The key attributes appear once, with
+  the names of the keys of the left table; the other attributes are prefixed as specified,
+  and names which would still conflict are made unique with a numeric suffix.
+ */
+DG.JoinUtilities = {
+
+  /**
+    The types of joins, i.e. which unmatched rows are included.
+   */
+  kJoinTypes: ['inner', 'left', 'full'],
+
+  /**
+    Returns the join of the specified tables.
+    @param {Object} iLeft -- { attrs, rows }
+    @param {Object} iRight -- { attrs, rows }
+    @param {Object} iOptions
+              {[String]} leftKeys -- the names of the key attributes of the left table
+              {[String]} rightKeys -- the names of the corresponding attributes of the right table
+              {String} joinType -- 'inner' (matched rows only), 'left' (all rows of the left
+                                   table) or 'full' (all rows of both tables); 'inner' by default
+              {String} leftPrefix -- prefix for the names of the other attributes of the left table
+              {String} rightPrefix -- prefix for the names of the other attributes of the right table
+              {Boolean} isHierarchical -- whether the rows of the right table become child cases
+                                   of the rows of the left table they match, rather than each
+                                   pair of matching rows becoming a single case
+              {String} leftName -- the name of the collection, or of the parent collection
+              {String} rightName -- the name of the child collection
+    @returns {Object} { collections, cases, matchCount, leftUnmatchedCount, rightUnmatchedCount }
+   */
+  join: function(iLeft, iRight, iOptions) {
+    var U = DG.JoinUtilities,
+        joinType = iOptions.joinType || 'inner',
+        leftKeys = iOptions.leftKeys,
+        rightKeys = iOptions.rightKeys,
+        usedNames = {},
+        keyAttrs = leftKeys.map(function(iName) {
+          return U.renameAttr(U.findAttr(iLeft.attrs, iName), '', usedNames);
+        }),
+        leftAttrs = iLeft.attrs.filter(function(iAttr) {
+                      return leftKeys.indexOf(iAttr.name) < 0;
+                    })
+                    .map(function(iAttr) {
+                      return U.renameAttr(iAttr, iOptions.leftPrefix, usedNames);
+                    }),
+        rightAttrs = iRight.attrs.filter(function(iAttr) {
+                      return rightKeys.indexOf(iAttr.name) < 0;
+                    })
+                    .map(function(iAttr) {
+                      return U.renameAttr(iAttr, iOptions.rightPrefix, usedNames);
+                    }),
+        rightIndicesByKey = {},
+        isRightMatched = {},
+        cases = [],
+        matchCount = 0,
+        leftUnmatchedCount = 0,
+        rightUnmatchedCount = 0;
+
+    function getValues(iRow, iAttrs) {
+      var values = {};
+      iAttrs.forEach(function(iAttr) {
+        values[iAttr.name] = iRow[iAttr.sourceName];
+      });
+      return values;
+    }
+
+    function getKeyValues(iRow, iKeys) {
+      var values = {};
+      keyAttrs.forEach(function(iAttr, iIndex) {
+        values[iAttr.name] = iRow[iKeys[iIndex]];
+      });
+      return values;
+    }
+
+    function addCase(iKeyValues, iLeftRow, iRightRows) {
+      var leftValues = $.extend(iKeyValues, iLeftRow ? getValues(iLeftRow, leftAttrs) : {});
+      if (iOptions.isHierarchical) {
+        cases.push({
+          values: leftValues,
+          children: iRightRows.map(function(iRightRow) {
+            return { values: getValues(iRightRow, rightAttrs), children: [] };
+          })
+        });
+      }
+      else if (!iRightRows.length) {
+        cases.push({ values: leftValues, children: [] });
+      }
+      else {
+        iRightRows.forEach(function(iRightRow) {
+          cases.push({ values: $.extend({}, leftValues, getValues(iRightRow, rightAttrs)), children: [] });
+        });
+      }
+    }
+
+    iRight.rows.forEach(function(iRow, iIndex) {
+      var key = U.getKey(iRow, rightKeys);
+      if (key != null)
+        (rightIndicesByKey[key] = rightIndicesByKey[key] || []).push(iIndex);
+    });
+
+    iLeft.rows.forEach(function(iRow) {
+      var key = U.getKey(iRow, leftKeys),
+          rightIndices = (key != null) && rightIndicesByKey[key];
+      if (rightIndices) {
+        matchCount += rightIndices.length;
+        addCase(getKeyValues(iRow, leftKeys), iRow, rightIndices.map(function(iIndex) {
+          isRightMatched[iIndex] = true;
+          return iRight.rows[iIndex];
+        }));
+      }
+      else {
+        ++leftUnmatchedCount;
+        if (joinType !== 'inner')
+          addCase(getKeyValues(iRow, leftKeys), iRow, []);
+      }
+    });
+
+    iRight.rows.forEach(function(iRow, iIndex) {
+      if (isRightMatched[iIndex]) return;
+      ++rightUnmatchedCount;
+      if (joinType === 'full')
+        addCase(getKeyValues(iRow, rightKeys), null, [iRow]);
+    });
+
+    return {
+      collections: iOptions.isHierarchical
+                    ? [{ name: iOptions.leftName, attrs: U.getAttrProps(keyAttrs.concat(leftAttrs)) },
+                       { name: iOptions.rightName, attrs: U.getAttrProps(rightAttrs) }]
+                    : [{ name: iOptions.leftName, attrs: U.getAttrProps(keyAttrs.concat(leftAttrs, rightAttrs)) }],
+      cases: cases,
+      matchCount: matchCount,
+      leftUnmatchedCount: leftUnmatchedCount,
+      rightUnmatchedCount: rightUnmatchedCount
+    };
+  },
+
+  /**
+    Returns the key of a row, i.e. the string forms of its key values, or null if any
+    of its key values is empty.
+    @param {Object} iRow
+    @param {[String]} iKeys -- the names of the key attributes
+    @returns {String|null}
+   */
+  getKey: function(iRow, iKeys) {
+    var values = iKeys.map(function(iName) {
+      var value = iRow[iName];
+      return (value == null) || (value === '') ? null : String(value);
+    });
+    return values.indexOf(null) >= 0 ? null : JSON.stringify(values);
+  },
+
+  /**
+    @param {[Object]} iAttrs
+    @param {String} iName
+    @returns {Object} the attribute with the specified name
+   */
+  findAttr: function(iAttrs, iName) {
+    return iAttrs.find(function(iAttr) {
+      return iAttr.name === iName;
+    }) || { name: iName };
+  },
+
+  /**
+    Returns a copy of the attribute with a name that has the specified prefix and hasn't
+    been used, recording the original name as its sourceName.
+    @param {Object} iAttr
+    @param {String} iPrefix
+    @param {Object} ioUsedNames -- map from used names to true
+    @returns {Object}
+   */
+  renameAttr: function(iAttr, iPrefix, ioUsedNames) {
+    var baseName = (iPrefix || '') + iAttr.name,
+        name = baseName,
+        index = 1;
+    while (ioUsedNames[name]) {
+      name = baseName + '_' + index;
+      index++;
+    }
+    ioUsedNames[name] = true;
+    return $.extend({}, iAttr, { name: name, sourceName: iAttr.name });
+  },
+
+  /**
+    @param {[Object]} iAttrs -- renamed attributes, cf. renameAttr()
+    @returns {[Object]} the attribute properties without their source names
+   */
+  getAttrProps: function(iAttrs) {
+    return iAttrs.map(function(iAttr) {
+      var props = $.extend({}, iAttr);
+      delete props.sourceName;
+      return props;
+    });
+  }
+};
@@ -0,0 +1,404 @@
+// ==========================================================================
+//                        DG.JSONImportUtilities
+//
+//  Copyright (c) 2021 by The Concord Consortium, Inc. All rights reserved.
+//
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing, software
+//  distributed under the License is distributed on an "AS IS" BASIS,
+//  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//  See the License for the specific language governing permissions and
+//  limitations under the License.
+// ==========================================================================
+
+sc_require('utilities/text_import_utilities');
+
+/**
+  Utilities for the import of JSON and JSON Lines (NDJSON) data, whose nested arrays map
+  onto a hierarchy of parent and child collections.
+
+  The records of the data are the elements of the top-level array or, if the top level is
+  an object, the object itself. Arrays nested within the records are identified by their
+  paths, i.e. the property names leading to them joined by periods, ignoring any arrays
+  along the way, so that the scores of each student of [{ name, scores: [...] }] have the
+  path 'scores'. The records themselves have the path ''.
+
+  The paths chosen to become collections form a chain from the records down, each chosen
+  array nested within the previous one. The properties of nested objects are flattened into
+  attributes, e.g. 'address_city', and nested arrays which aren't chosen are imported as
+  JSON strings.
+ */
+DG.JSONImportUtilities = {
+
+  /**
+    Returns the value of the specified JSON or JSON Lines text. The value of JSON Lines
+    text is the array of the values of its lines.
+    Throws an error if the text isn't valid JSON or JSON Lines.
+    @param {String} iText
+    @returns {*}
+   */
+  parseJSONText: function(iText) {
+    var text = String(iText).replace(/^\uFEFF/, ''),
+        values = [];
+    try {
+      return JSON.parse(text);
+    }
+    catch (ex) {
+      // not a single JSON value, so perhaps JSON Lines
+      if (text.trim().indexOf('\n') < 0)
+        throw new Error('DG.JSONImport.parseError'.loc(1, ex.message));
+    }
+    text.split(/\r?\n/).forEach(function(iLine, iIndex) {
+      if (!iLine.trim()) return;
+      try {
+        values.push(JSON.parse(iLine));
+      }
+      catch (ex) {
+        throw new Error('DG.JSONImport.parseError'.loc(iIndex + 1, ex.message));
+      }
+    });
+    return values;
+  },
+
+  /**
+    Returns true if the specified value looks like a CODAP document, either on its own or
+    wrapped by the document store, rather than data.
+    @param {*} iValue
+    @returns {Boolean}
+   */
+  isCodapDocument: function(iValue) {
+    function isDocument(iObject) {
+      return this.isPlainObject(iObject) &&
+              ['appName', 'components', 'contexts'].some(function(iProp) {
+                return iObject.hasOwnProperty(iProp);
+              });
+    }
+    return isDocument.call(this, iValue) || (this.isPlainObject(iValue) && isDocument.call(this, iValue.content));
+  },
+
+  /**
+    Returns true if the specified text is JSON or JSON Lines data rather than a CODAP
+    document. Text which isn't valid JSON is left to the document store to report.
+    @param {String} iText
+    @returns {Boolean}
+   */
+  isJSONData: function(iText) {
+    try {
+      return !this.isCodapDocument(this.parseJSONText(iText));
+    }
+    catch (ex) {
+      return false;
+    }
+  },
+
+  /**
+    @param {*} iValue
+    @returns {Boolean} true for objects which aren't arrays
+   */
+  isPlainObject: function(iValue) {
+    return (iValue != null) && (typeof iValue === 'object') && !Array.isArray(iValue);
+  },
+
+  /**
+    GeoJSON objects are imported whole as boundaries rather than flattened.
+    @param {*} iValue
+    @returns {Boolean}
+   */
+  isGeoJSONObject: function(iValue) {
+    return this.isPlainObject(iValue) && (typeof iValue.type === 'string') &&
+            (Array.isArray(iValue.coordinates) || Array.isArray(iValue.geometries) ||
+              Array.isArray(iValue.features) || this.isPlainObject(iValue.geometry));
+  },
+
+  /**
+    @param {*} iRoot -- the parsed JSON
+    @returns {[*]} the records of the data
+   */
+  getRecords: function(iRoot) {
+    if (Array.isArray(iRoot))
+      return iRoot;
+    return this.isPlainObject(iRoot) ? [iRoot] : [];
+  },
+
+  /**
+    Returns the arrays nested within the records which can become collections, i.e. those
+    whose elements are all objects or all scalar values, in the order they're encountered.
+    @param {*} iRoot -- the parsed JSON
+    @returns {[Object]} { path, keys, parentPath, name, count, isScalar } for each array,
+                        where keys are the property names of the path, parentPath is the
+                        path of the array it's nested within and count is the total number
+                        of its elements
+   */
+  findArrayPaths: function(iRoot) {
+    var arrays = [],
+        arraysByPath = {};
+
+    var walkObject = function(iObject, iKeys, iParentPath) {
+      DG.ObjectMap.forEach(iObject, function(iKey, iValue) {
+        var keys = iKeys.concat(iKey),
+            path = keys.join('.'),
+            elements, isScalar, array;
+        if (Array.isArray(iValue)) {
+          elements = iValue.filter(function(iElement) { return iElement != null; });
+          isScalar = elements.every(function(iElement) { return typeof iElement !== 'object'; });
+          if (!isScalar && !elements.every(this.isPlainObject)) return;
+          array = arraysByPath[path];
+          if (!array) {
+            array = arraysByPath[path] = { path: path, keys: keys, parentPath: iParentPath, name: iKey,
+                                            count: 0, isScalar: isScalar };
+            arrays.push(array);
+          }
+          array.isScalar = array.isScalar && isScalar;
+          array.count += iValue.length;
+          if (!isScalar) {
+            elements.forEach(function(iElement) { walkObject(iElement, keys, path); });
+          }
+        }
+        else if (this.isPlainObject(iValue) && !this.isGeoJSONObject(iValue)) {
+          walkObject(iValue, keys, iParentPath);
+        }
+      }.bind(this));
+    }.bind(this);
+
+    this.getRecords(iRoot).forEach(function(iRecord) {
+      if (this.isPlainObject(iRecord))
+        walkObject(iRecord, [], '');
+    }, this);
+    return arrays;
+  },
+
+  /**
+    Returns the paths which become collections by default: at each level, the first
+    array of objects nested within the previous level, or failing that the first array.
+    @param {[Object]} iArrays -- cf. findArrayPaths()
+    @returns {[String]}
+   */
+  getDefaultPaths: function(iArrays) {
+    var paths = [],
+        parentPath = '',
+        next;
+
+    function nestedArrays() {
+      return iArrays.filter(function(iArray) { return iArray.parentPath === parentPath; });
+    }
+
+    while ((next = nestedArrays().filter(function(iArray) { return !iArray.isScalar; })[0] ||
+                    nestedArrays()[0]) != null) {
+      paths.push(next.path);
+      if (next.isScalar) break;
+      parentPath = next.path;
+    }
+    return paths;
+  },
+
+  /**
+    Returns the paths which become collections after the user chooses or unchooses the
+    specified path. Choosing a path also chooses the arrays it's nested within and unchooses
+    any arrays which aren't in the same chain; unchoosing a path also unchooses the arrays
+    nested within it.
+    @param {[Object]} iArrays -- cf. findArrayPaths()
+    @param {[String]} iPaths -- the currently chosen paths
+    @param {String} iPath
+    @returns {[String]}
+   */
+  togglePath: function(iArrays, iPaths, iPath) {
+    var arraysByPath = {},
+        paths = [],
+        path = iPath;
+    iArrays.forEach(function(iArray) { arraysByPath[iArray.path] = iArray; });
+
+    if (iPaths.indexOf(iPath) >= 0) {
+      return iPaths.slice(0, iPaths.indexOf(iPath));
+    }
+    while (path && arraysByPath[path]) {
+      paths.unshift(path);
+      path = arraysByPath[path].parentPath;
+    }
+    // keep the chosen arrays nested within the newly chosen one
+    iPaths.forEach(function(iChosenPath) {
+      var array = arraysByPath[iChosenPath];
+      if (array && (array.parentPath === paths[paths.length - 1]))
+        paths.push(iChosenPath);
+    });
+    return paths;
+  },
+
+  /**
+    Returns the specification of the collections and cases to create from the specified
+    data. Attributes with the same name in different collections are made unique, nested
+    arrays which aren't chosen are imported as JSON strings and collections without any
+    attributes are omitted.
+    @param {*} iRoot -- the parsed JSON
+    @param {[Object]} iArrays -- cf. findArrayPaths()
+    @param {[String]} iPaths -- the chosen paths, cf. togglePath()
+    @returns {Object} { collections: [{ name, attrs }], cases: [{ values, children }] }
+                      where children are the cases of the next collection
+   */
+  getImportSpec: function(iRoot, iArrays, iPaths) {
+    var levels = [{ path: '', keys: [], name: '', isScalar: false }],
+        names = {},
+        collections, cases;
+
+    iPaths.forEach(function(iPath) {
+      var array = iArrays.filter(function(iArray) { return iArray.path === iPath; })[0];
+      if (array) levels.push($.extend({}, array));
+    });
+    levels.forEach(function(iLevel, iIndex) {
+      iLevel.attrNames = [];
+      iLevel.namesByKey = {};
+      iLevel.values = {};
+      iLevel.childKeys = levels[iIndex + 1] && levels[iIndex + 1].keys.slice(iLevel.keys.length);
+    });
+
+    function uniqueName(iName) {
+      var name = iName, i = 1;
+      while (names[name]) name = iName + '_' + (++i);
+      names[name] = true;
+      return name;
+    }
+
+    var addValue = function(iLevel, iKey, iValue, oValues) {
+      var name = iLevel.namesByKey[iKey];
+      if (!name) {
+        name = iLevel.namesByKey[iKey] = uniqueName(iKey);
+        iLevel.attrNames.push(name);
+        iLevel.values[name] = [];
+      }
+      if (typeof iValue === 'object' && iValue != null)
+        iValue = JSON.stringify(iValue);
+      oValues[name] = iValue != null ? iValue : '';
+      if (iLevel.values[name].length < DG.TextImportUtilities.kInferenceRowCount)
+        iLevel.values[name].push(oValues[name]);
+    };
+
+    // returns the values of an element of the specified level and its nested elements
+    var flatten = function(iLevel, iElement) {
+      var result = { values: {}, children: [] };
+
+      var flattenObject = function(iObject, iKeys) {
+        DG.ObjectMap.forEach(iObject, function(iKey, iValue) {
+          var keys = iKeys.concat(iKey);
+          if (iLevel.childKeys && (keys.join('.') === iLevel.childKeys.join('.')) && Array.isArray(iValue))
+            result.children = iValue;
+          else if (this.isPlainObject(iValue) && !this.isGeoJSONObject(iValue))
+            flattenObject(iValue, keys);
+          else
+            addValue(iLevel, keys.join('_'), iValue, result.values);
+        }.bind(this));
+      }.bind(this);
+
+      if (iLevel.isScalar || !this.isPlainObject(iElement))
+        addValue(iLevel, iLevel.name || 'DG.TextImportDialog.defaultColumnName'.loc(1), iElement, result.values);
+      else
+        flattenObject(iElement, []);
+      return result;
+    }.bind(this);
+
+    var buildCases = function(iLevelIndex, iElements) {
+      var level = levels[iLevelIndex];
+      return iElements.filter(function(iElement) {
+                return iElement != null;
+              })
+              .map(function(iElement) {
+                var flattened = flatten(level, iElement);
+                return {
+                  values: flattened.values,
+                  children: levels[iLevelIndex + 1] ? buildCases(iLevelIndex + 1, flattened.children) : []
+                };
+              });
+    };
+
+    cases = buildCases(0, this.getRecords(iRoot));
+
+    collections = levels.map(function(iLevel) {
+      return {
+        name: iLevel.name,
+        attrs: iLevel.attrNames.map(function(iName) {
+          return this.getAttributeProperties(iName, iLevel.values[iName]);
+        }, this)
+      };
+    }, this);
+    this.convertCaseValues(cases, collections);
+
+    // collections without attributes, e.g. for a top-level object which only has arrays,
+    // are omitted, with their children taking the place of their cases
+    for (var i = collections.length - 1; i >= 0; --i) {
+      if (!collections[i].attrs.length) {
+        collections.splice(i, 1);
+        cases = this.omitCollectionLevel(cases, i);
+      }
+    }
+    return { collections: collections, cases: cases };
+  },
+
+  /**
+    Returns the properties of an attribute whose type is inferred from its values.
+    @param {String} iName
+    @param {[*]} iValues -- sample values of the attribute
+    @returns {Object} { name, type, precision }
+   */
+  getAttributeProperties: function(iName, iValues) {
+    var column = DG.TextImportUtilities.inferColumn(iValues);
+    // JSON strings are taken at face value, apart from dates
+    if ((column.type === 'numeric') && iValues.some(function(iValue) { return typeof iValue === 'string' && iValue; }))
+      column = { type: 'categorical' };
+    column.name = iName;
+    return $.extend(DG.TextImportUtilities.getAttributeProperties(column), { column: column });
+  },
+
+  /**
+    Converts the date strings of date attributes to ISO 8601 date strings and removes the
+    columns from the attribute properties.
+    @param {[Object]} iCases
+    @param {[Object]} iCollections
+   */
+  convertCaseValues: function(iCases, iCollections) {
+    var convertLevel = function(iLevelCases, iIndex) {
+      var collection = iCollections[iIndex];
+      if (!collection) return;
+      iLevelCases.forEach(function(iCase) {
+        collection.attrs.forEach(function(iAttr) {
+          if ((iAttr.column.type === 'date') && (typeof iCase.values[iAttr.name] === 'string'))
+            iCase.values[iAttr.name] = DG.TextImportUtilities.convertValue(iCase.values[iAttr.name], iAttr.column);
+        });
+        convertLevel(iCase.children, iIndex + 1);
+      });
+    };
+    convertLevel(iCases, 0);
+    iCollections.forEach(function(iCollection) {
+      iCollection.attrs.forEach(function(iAttr) { delete iAttr.column; });
+    });
+  },
+
+  /**
+    Returns the specified cases with those of the specified level replaced by their children.
+    @param {[Object]} iCases
+    @param {Number} iLevelIndex
+    @returns {[Object]}
+   */
+  omitCollectionLevel: function(iCases, iLevelIndex) {
+    if (iLevelIndex === 0) {
+      return iCases.reduce(function(iChildren, iCase) { return iChildren.concat(iCase.children); }, []);
+    }
+    iCases.forEach(function(iCase) {
+      iCase.children = this.omitCollectionLevel(iCase.children, iLevelIndex - 1);
+    }, this);
+    return iCases;
+  },
+
+  /**
+    @param {[Object]} iCases -- cf. getImportSpec()
+    @returns {Number} the number of cases of the lowest level, counting cases of higher
+                      levels without children
+   */
+  countLeafCases: function(iCases) {
+    return iCases.reduce(function(iCount, iCase) {
+      return iCount + (iCase.children.length ? this.countLeafCases(iCase.children) : 1);
+    }.bind(this), 0);
+  }
+};
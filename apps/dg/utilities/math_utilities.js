@@ -411,6 +411,102 @@ DG.MathUtilities = {
     return tSlopeIntercept;
   },
 
+  /**
+   * Returns the least squares solution of the overdetermined linear system A·x = b,
+   * computed by Householder QR decomposition (adapted from JAMA).
+   * @param iRows {Number[][]} the rows of the matrix A (at least as many rows as columns)
+   * @param iValues {Number[]} the right-hand side b (one value per row)
+   * @returns {Number[]|null} the solution x, or null if A is rank-deficient
+   */
+  leastSquaresSolution: function (iRows, iValues) {
+    var m = iRows.length,
+        n = m ? iRows[0].length : 0,
+        qr = iRows.map(function (iRow) { return iRow.slice(); }),
+        b = iValues.slice(),
+        rDiag = [],
+        x = [],
+        maxRDiag = 0,
+        i, j, k, norm, s;
+    if (!n || (m < n)) return null;
+
+    for (k = 0; k < n; ++k) {
+      norm = 0;
+      for (i = k; i < m; ++i) {
+        norm = Math.sqrt(norm * norm + qr[i][k] * qr[i][k]);
+      }
+      if (norm !== 0) {
+        if (qr[k][k] < 0) norm = -norm;
+        for (i = k; i < m; ++i) {
+          qr[i][k] /= norm;
+        }
+        qr[k][k] += 1;
+        for (j = k + 1; j < n; ++j) {
+          s = 0;
+          for (i = k; i < m; ++i) {
+            s += qr[i][k] * qr[i][j];
+          }
+          s = -s / qr[k][k];
+          for (i = k; i < m; ++i) {
+            qr[i][j] += s * qr[i][k];
+          }
+        }
+      }
+      rDiag[k] = -norm;
+      maxRDiag = Math.max(maxRDiag, Math.abs(norm));
+    }
+
+    // rank-deficient (e.g. collinear predictors)
+    for (k = 0; k < n; ++k) {
+      if (!(Math.abs(rDiag[k]) > 1e-10 * maxRDiag)) return null;
+    }
+
+    // compute Q' * b
+    for (k = 0; k < n; ++k) {
+      s = 0;
+      for (i = k; i < m; ++i) {
+        s += qr[i][k] * b[i];
+      }
+      s = -s / qr[k][k];
+      for (i = k; i < m; ++i) {
+        b[i] += s * qr[i][k];
+      }
+    }
+    // solve R * x = Q' * b
+    for (k = n - 1; k >= 0; --k) {
+      x[k] = b[k] / rDiag[k];
+      for (i = 0; i < k; ++i) {
+        b[i] -= x[k] * qr[i][k];
+      }
+    }
+    return x;
+  },
+
+  /**
+   * Computes the multiple linear regression of y on the predictors x.
+   * The coefficients array begins with the intercept, followed by the
+   * coefficient of each predictor in order.
+   * @param iCoords {Object[]} [{ x: {Number[]}, y: {Number} }]
+   * @returns {Object|null} { coefficients: {Number[]}, rSquared: {Number} }, or null
+   *                        if there are too few cases or the predictors are collinear
+   */
+  multipleLinearRegression: function (iCoords) {
+    var rows = iCoords.map(function (iCoord) { return [1].concat(iCoord.x); }),
+        values = iCoords.map(function (iCoord) { return iCoord.y; }),
+        coefficients = DG.MathUtilities.leastSquaresSolution(rows, values),
+        yMean, ssResiduals = 0, ssTotal = 0;
+    if (!coefficients) return null;
+
+    yMean = values.reduce(function (iSum, iValue) { return iSum + iValue; }, 0) / values.length;
+    rows.forEach(function (iRow, i) {
+      var predicted = iRow.reduce(function (iSum, iValue, j) {
+                        return iSum + iValue * coefficients[j];
+                      }, 0);
+      ssResiduals += (values[i] - predicted) * (values[i] - predicted);
+      ssTotal += (values[i] - yMean) * (values[i] - yMean);
+    });
+    return { coefficients: coefficients, rSquared: 1 - ssResiduals / ssTotal };
+  },
+
   /**
    * Is the value a finite number? Unlike the global "isFinite", returns
    * false for (null || undefined || "").  Strings or Booleans are converted
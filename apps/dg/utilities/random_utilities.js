@@ -0,0 +1,195 @@
+// ==========================================================================
+//                          DG.RandomUtilities
+//
+//  Copyright (c) 2021 by The Concord Consortium, Inc. All rights reserved.
+//
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing, software
+//  distributed under the License is distributed on an "AS IS" BASIS,
+//  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//  See the License for the specific language governing permissions and
+//  limitations under the License.
+// ==========================================================================
+
+/**
+ * Source of the random numbers used by the random formula functions.
+ * By default, random numbers come from Math.random(). When a seed is set (e.g. the
+ * document's random seed), random numbers come from a seeded generator (mulberry32)
+ * so that results are reproducible. Since formulas are evaluated lazily in an order
+ * that depends on the user interface, clients can begin a separate stream for each
+ * evaluation (e.g. for each attribute and case) whose state depends only on the seed
+ * and the specified keys.
+ */
+DG.RandomUtilities = (function() {
+
+  var kMaxSeed = 4294967296,  // 2^32
+      seed = null,            // the current seed or null for unseeded random numbers
+      state = 0,              // the state of the seeded generator
+      savedGaussian = null;   // the second of the pair of normal deviates generated
+
+  // the hash functions and the generator operate on 32-bit integers
+  /* eslint-disable no-bitwise */
+  /**
+   * Mixes the specified 32-bit value into the specified hash (cf. MurmurHash3).
+   */
+  function mix(iHash, iValue) {
+    var k = Math.imul(iValue | 0, 0xcc9e2d51);
+    k = Math.imul((k << 15) | (k >>> 17), 0x1b873593);
+    iHash ^= k;
+    iHash = (iHash << 13) | (iHash >>> 19);
+    return (Math.imul(iHash, 5) + 0xe6546b64) | 0;
+  }
+
+  /**
+   * Final avalanche step of MurmurHash3.
+   */
+  function finalize(iHash) {
+    iHash ^= iHash >>> 16;
+    iHash = Math.imul(iHash, 0x85ebca6b);
+    iHash ^= iHash >>> 13;
+    iHash = Math.imul(iHash, 0xc2b2ae35);
+    iHash ^= iHash >>> 16;
+    return iHash >>> 0;
+  }
+
+  /**
+   * Returns a 32-bit hash of the specified string (FNV-1a).
+   */
+  function hashString(iString) {
+    var hash = 0x811c9dc5, i;
+    for (i = 0; i < iString.length; ++i) {
+      hash ^= iString.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Returns the next number in [0,1) from the seeded generator (mulberry32).
+   */
+  function nextSeeded() {
+    state = (state + 0x6D2B79F5) | 0;
+    var t = Math.imul(state ^ (state >>> 15), state | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / kMaxSeed;
+  }
+  /* eslint-enable no-bitwise */
+
+  return {
+
+    /**
+     * Converts the specified value to a seed, i.e. an integer in [0, 2^32).
+     * Non-negative integers less than 2^32 are used as is; other values are hashed.
+     * @param   {Number|String} iValue
+     * @returns {Number|null}   the seed or null for empty values
+     */
+    normalizeSeed: function(iValue) {
+      if (SC.empty(iValue)) return null;
+      var str = String(iValue).trim(),
+          num = Number(str);
+      if (!str) return null;
+      return (/^\d+$/.test(str) && (num < kMaxSeed)) ? num : hashString(str);
+    },
+
+    /**
+     * Returns the current seed.
+     * @returns {Number|null}   the seed or null if random numbers are unseeded
+     */
+    getSeed: function() {
+      return seed;
+    },
+
+    /**
+     * Sets the seed and restarts the seeded generator.
+     * @param   {Number|String|null}  iSeed -- the seed or null for unseeded random numbers
+     */
+    setSeed: function(iSeed) {
+      seed = this.normalizeSeed(iSeed);
+      state = seed != null ? seed : 0;
+      savedGaussian = null;
+    },
+
+    /**
+     * Returns true if random numbers are currently seeded.
+     * @returns {Boolean}
+     */
+    isSeeded: function() {
+      return seed != null;
+    },
+
+    /**
+     * Begins a stream of random numbers determined by the seed and the specified keys,
+     * e.g. the IDs of the attribute and case being evaluated. Does nothing if random
+     * numbers are unseeded.
+     * @param   {Number[]}  iKeys -- integer keys identifying the stream
+     * @returns {Object}    the previous state, which should be passed to endStream()
+     */
+    beginStream: function(iKeys) {
+      var prevState = { state: state, savedGaussian: savedGaussian },
+          hash = seed;
+      if (seed == null) return prevState;
+      (iKeys || []).forEach(function(iKey) {
+        hash = mix(hash, iKey);
+      });
+      state = finalize(hash) | 0;  // eslint-disable-line no-bitwise
+      savedGaussian = null;
+      return prevState;
+    },
+
+    /**
+     * Restores the state which was in effect before the corresponding beginStream().
+     * @param   {Object}  iPrevState -- the state returned by beginStream()
+     */
+    endStream: function(iPrevState) {
+      if (iPrevState) {
+        state = iPrevState.state;
+        savedGaussian = iPrevState.savedGaussian;
+      }
+    },
+
+    /**
+     * Returns a random number in [0,1), seeded or not as appropriate.
+     * @returns {Number}
+     */
+    random: function() {
+      return seed != null ? nextSeeded() : Math.random();
+    },
+
+    /**
+     * Returns a random number drawn from the standard normal distribution
+     * using the polar form of the Box-Muller transform.
+     * @returns {Number}
+     */
+    randomNormal: function() {
+      var fac, rsq, v1, v2;
+      if (savedGaussian != null) {
+        v1 = savedGaussian;
+        savedGaussian = null;
+        return v1;
+      }
+      do {
+        v1 = 2 * this.random() - 1;
+        v2 = 2 * this.random() - 1;
+        rsq = v1 * v1 + v2 * v2;
+      } while (rsq >= 1 || rsq === 0);
+      fac = Math.sqrt(-2.0 * Math.log(rsq) / rsq);
+      savedGaussian = fac * v2;
+      return fac * v1;
+    },
+
+    /**
+     * An iterator which yields random numbers in [0,1), e.g. for use as the
+     * custom random number generator of a RandVarGen.
+     */
+    uniformIterator: {
+      next: function() {
+        return { done: false, value: DG.RandomUtilities.random() };
+      }
+    }
+  };
+}());
@@ -0,0 +1,203 @@
+// ==========================================================================
+//                          DG.ReshapeUtilities
+//
+//  Copyright (c) 2021 by The Concord Consortium, Inc. All rights reserved.
+//
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing, software
+//  distributed under the License is distributed on an "AS IS" BASIS,
+//  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//  See the License for the specific language governing permissions and
+//  limitations under the License.
+// ==========================================================================
+
+/**
+  Utilities for reshaping tabular data between its wide and long forms.
+
+  Both operations take a flat table, i.e. the properties of its attributes ({ name, type,
+  unit, ... }) and a row for each case mapping attribute names to values, and return the
+  collections and cases of the reshaped data in the form expected by
+  DG.AppController.createDataContextFromCaseTree(): { collections: [{ name, attrs }],
+  cases: [{ values, children }] }.
+
+  Unpivoting (wide to long) turns the chosen attributes, e.g. trial1, trial2 and trial3,
+  into a child case for each of them with their name and value, e.g. { trial: 'trial1',
+  time: 3.2 }, whose parent case has the values of the remaining attributes.
+  Pivoting (long to wide) does the reverse: the distinct values of one attribute become
+  attributes whose values are taken from another attribute, with a case for each distinct
+  combination of the values of the remaining attributes.
+ */
+DG.ReshapeUtilities = {
+
+  /**
+    Returns the long form of the specified table.
+    @param {Object} iTable -- { attrs, rows }
+    @param {Object} iOptions
+              {[String]} attrNames -- the names of the attributes to unpivot
+              {String} namesTo -- the name of the attribute for their names
+              {String} valuesTo -- the name of the attribute for their values
+              {Boolean} dropEmpty -- whether to omit empty values
+              {String} parentName -- the name of the collection of the remaining attributes
+              {String} childName -- the name of the collection of names and values
+    @returns {Object} { collections, cases }
+   */
+  unpivot: function(iTable, iOptions) {
+    var attrNames = iOptions.attrNames,
+        idAttrs = iTable.attrs.filter(function(iAttr) {
+          return attrNames.indexOf(iAttr.name) < 0;
+        }),
+        unpivotedAttrs = iTable.attrs.filter(function(iAttr) {
+          return attrNames.indexOf(iAttr.name) >= 0;
+        }),
+        valueType = unpivotedAttrs.length && unpivotedAttrs.every(function(iAttr) {
+                      return iAttr.type === unpivotedAttrs[0].type;
+                    }) ? unpivotedAttrs[0].type : undefined,
+        valueUnit = unpivotedAttrs.length && unpivotedAttrs.every(function(iAttr) {
+                      return iAttr.unit === unpivotedAttrs[0].unit;
+                    }) ? unpivotedAttrs[0].unit : undefined,
+        longAttrs = [{ name: iOptions.namesTo, type: 'categorical' },
+                      DG.ReshapeUtilities.omitUndefined({ name: iOptions.valuesTo, type: valueType, unit: valueUnit })],
+        cases = [];
+
+    iTable.rows.forEach(function(iRow) {
+      var children = [];
+      unpivotedAttrs.forEach(function(iAttr) {
+        var values = {},
+            value = iRow[iAttr.name];
+        if (iOptions.dropEmpty && DG.ReshapeUtilities.isEmpty(value)) return;
+        values[iOptions.namesTo] = iAttr.name;
+        values[iOptions.valuesTo] = value;
+        children.push({ values: values, children: [] });
+      });
+      if (!idAttrs.length) {
+        cases = cases.concat(children);
+        return;
+      }
+      cases.push({ values: DG.ReshapeUtilities.getValues(iRow, idAttrs), children: children });
+    });
+
+    return {
+      collections: idAttrs.length
+                    ? [{ name: iOptions.parentName, attrs: idAttrs }, { name: iOptions.childName, attrs: longAttrs }]
+                    : [{ name: iOptions.childName, attrs: longAttrs }],
+      cases: cases
+    };
+  },
+
+  /**
+    Returns the wide form of the specified table.
+    @param {Object} iTable -- { attrs, rows }
+    @param {Object} iOptions
+              {String} namesFrom -- the name of the attribute whose values name the new attributes
+              {String} valuesFrom -- the name of the attribute whose values the new attributes take
+              {String} collectionName -- the name of the collection
+    @returns {Object} { collections, cases, duplicateCount }, where duplicateCount is the number
+                      of values which were replaced by later values for the same case and attribute
+   */
+  pivot: function(iTable, iOptions) {
+    var idAttrs = iTable.attrs.filter(function(iAttr) {
+          return iAttr.name !== iOptions.namesFrom && iAttr.name !== iOptions.valuesFrom;
+        }),
+        valuesAttr = iTable.attrs.find(function(iAttr) {
+          return iAttr.name === iOptions.valuesFrom;
+        }),
+        usedNames = {},
+        wideAttrs = [],
+        wideNames = {},   // map from values of the namesFrom attribute to attribute names
+        casesByKey = {},
+        cases = [],
+        duplicateCount = 0;
+
+    idAttrs.forEach(function(iAttr) {
+      usedNames[iAttr.name] = true;
+    });
+
+    iTable.rows.forEach(function(iRow) {
+      var name = iRow[iOptions.namesFrom],
+          idValues = DG.ReshapeUtilities.getValues(iRow, idAttrs),
+          key = JSON.stringify(idAttrs.map(function(iAttr) { return idValues[iAttr.name]; })),
+          wideCase = casesByKey[key];
+      if (DG.ReshapeUtilities.isEmpty(name)) return;
+      name = String(name);
+      if (!wideNames[name]) {
+        wideNames[name] = DG.ReshapeUtilities.getUniqueName(name, usedNames);
+        wideAttrs.push(DG.ReshapeUtilities.omitUndefined({
+          name: wideNames[name],
+          type: valuesAttr && valuesAttr.type,
+          unit: valuesAttr && valuesAttr.unit
+        }));
+      }
+      if (!wideCase) {
+        wideCase = casesByKey[key] = { values: idValues, children: [] };
+        cases.push(wideCase);
+      }
+      if (wideNames[name] in wideCase.values)
+        ++duplicateCount;
+      wideCase.values[wideNames[name]] = iRow[iOptions.valuesFrom];
+    });
+
+    return {
+      collections: [{ name: iOptions.collectionName, attrs: idAttrs.concat(wideAttrs) }],
+      cases: cases,
+      duplicateCount: duplicateCount
+    };
+  },
+
+  /**
+    Returns the values of the specified attributes of a row.
+    @param {Object} iRow
+    @param {[Object]} iAttrs
+    @returns {Object}
+   */
+  getValues: function(iRow, iAttrs) {
+    var values = {};
+    iAttrs.forEach(function(iAttr) {
+      values[iAttr.name] = iRow[iAttr.name];
+    });
+    return values;
+  },
+
+  /**
+    Returns the specified name, or the name followed by a number if it's already used,
+    and marks it as used.
+    @param {String} iName
+    @param {Object} ioUsedNames -- map from used names to true
+    @returns {String}
+   */
+  getUniqueName: function(iName, ioUsedNames) {
+    var name = iName,
+        i = 1;
+    while (ioUsedNames[name]) {
+      name = iName + ' ' + (++i);
+    }
+    ioUsedNames[name] = true;
+    return name;
+  },
+
+  /**
+    @param {*} iValue
+    @returns {Boolean} whether the value is null, undefined or ''
+   */
+  isEmpty: function(iValue) {
+    return (iValue == null) || (iValue === '');
+  },
+
+  /**
+    Returns the specified properties without those whose values are undefined.
+    @param {Object} iProps
+    @returns {Object}
+   */
+  omitUndefined: function(iProps) {
+    var props = {};
+    DG.ObjectMap.forEach(iProps, function(iKey, iValue) {
+      if (iValue !== undefined)
+        props[iKey] = iValue;
+    });
+    return props;
+  }
+};
@@ -0,0 +1,516 @@
+// ==========================================================================
+//                        DG.SearchQueryUtilities
+//
+//  Copyright (c) 2021 by The Concord Consortium, Inc. All rights reserved.
+//
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing, software
+//  distributed under the License is distributed on an "AS IS" BASIS,
+//  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//  See the License for the specific language governing permissions and
+//  limitations under the License.
+// ==========================================================================
+
+sc_require('utilities/date_utilities');
+
+/** @class DG.SearchQueryError
+
+  Error class for invalid search queries.
+
+  @extends Error
+*/
+DG.SearchQueryError = function(iMessageKey, iArgs) {
+  this.name = 'DG.SearchQuery.error.name'.loc();
+  this.message = iMessageKey.loc.apply(iMessageKey, iArgs || []);
+};
+DG.SearchQueryError.prototype = new Error();
+DG.SearchQueryError.prototype.constructor = DG.SearchQueryError;
+
+/**
+  Utilities for the search language of item and case searches, e.g.
+    height >= 150 and (gender == "female" or not name startsWith A)
+    1 <= grade < 4 or score between 90 and 100
+    comment is not empty and comment matches "/^re:/i"
+
+  A query is '*', which matches everything, or a boolean expression of tests combined
+  with 'and' ('&&'), 'or' ('||'), 'not' ('!') and parentheses. The tests are
+    {a} op {b} -- comparisons, where op is one of ==, =, !=, <, <=, >, >=, which can be
+                  chained as range tests, e.g. 1 <= x < 5
+    {a} between {b} and {c} -- inclusive range tests
+    {a} [not] contains | startsWith | endsWith {b} -- case-insensitive string tests
+    {a} [not] matches {b} -- regular expression tests, where {b} is a pattern such as
+                  "^a.*z$" or "/^a.*z$/i"
+    {a} is [not] empty | null -- tests for missing values, where null values are null or
+                  undefined and empty values are also empty strings
+
+  Operands are attribute names, which may be enclosed in backquotes, e.g. `first name`,
+  or values, which may be enclosed in single or double quotes. Unquoted operands which
+  aren't attribute names are numbers, true, false or strings. Each test must refer to an
+  attribute. Keywords are case-insensitive.
+
+  For compatibility with the earlier search syntax, a query which isn't valid in the search
+  language but has the form {a} op {b}, where op is a comparison operator and {b} is an
+  unquoted value without comparison operators, compares {a} with the literal value {b},
+  e.g. team == Black and White, status == Not Applicable or name == O'Brien.
+
+  Values are compared numerically if both are numbers, chronologically if either is a date
+  and both can be parsed as dates, and as strings otherwise. Empty values are equal to empty
+  strings but don't satisfy ordering comparisons or range tests.
+
+  A parsed query is a tree of nodes:
+    { type: 'all' }
+    { type: 'and' | 'or', operands: [nodes] }
+    { type: 'not', operand: node }
+    { type: 'compare', op: '==' | '!=' | '<' | '<=' | '>' | '>=', left: operand, right: operand }
+    { type: 'between', operand: operand, low: operand, high: operand }
+    { type: 'contains' | 'startsWith' | 'endsWith' | 'matches', left: operand, right: operand }
+    { type: 'empty' | 'null', operand: operand }
+  where operands are { attr: attribute } or { value: value }.
+ */
+DG.SearchQueryUtilities = {
+
+  /**
+    The keywords of the search language, in lower case.
+    @type {[String]}
+   */
+  kKeywords: ['and', 'or', 'not', 'between', 'contains', 'startswith', 'endswith', 'matches',
+              'is', 'empty', 'null'],
+
+  /**
+    The string tests, by lower-case keyword.
+    @type {Object}
+   */
+  kStringTests: { contains: 'contains', startswith: 'startsWith', endswith: 'endsWith', matches: 'matches' },
+
+  /**
+    Splits the specified query into tokens:
+      { type: 'op', text } -- operators and parentheses
+      { type: 'keyword', text } -- keywords, in lower case
+      { type: 'word', text } -- unquoted words
+      { type: 'string', text } -- quoted values
+      { type: 'name', text } -- backquoted attribute names
+    Each token has the position of its first character and the position after its last.
+    @param {String} iQuery
+    @returns {[Object]}
+   */
+  tokenize: function(iQuery) {
+    var tokens = [],
+        opRE = /^(==|!=|<=|>=|&&|\|\||[=<>!()])/,
+        wordRE = /^[^\s=<>!()&|"'`]+/,
+        pos = 0,
+        match, quote, end, text;
+
+    while (pos < iQuery.length) {
+      if (/\s/.test(iQuery.charAt(pos))) {
+        ++pos;
+      }
+      else if ((match = opRE.exec(iQuery.slice(pos)))) {
+        tokens.push({ type: 'op', text: match[1], start: pos, end: pos + match[1].length });
+        pos += match[1].length;
+      }
+      else if ('"\'`'.indexOf(iQuery.charAt(pos)) >= 0) {
+        quote = iQuery.charAt(pos);
+        text = '';
+        for (end = pos + 1; (end < iQuery.length) && (iQuery.charAt(end) !== quote); ++end) {
+          if ((iQuery.charAt(end) === '\\') && (end + 1 < iQuery.length))
+            ++end;
+          text += iQuery.charAt(end);
+        }
+        if (end >= iQuery.length)
+          throw new DG.SearchQueryError('DG.SearchQuery.error.unterminated', [pos + 1]);
+        tokens.push({ type: quote === '`' ? 'name' : 'string', text: text, start: pos, end: end + 1 });
+        pos = end + 1;
+      }
+      else if ((match = wordRE.exec(iQuery.slice(pos)))) {
+        text = match[0];
+        tokens.push(this.kKeywords.indexOf(text.toLowerCase()) >= 0
+                      ? { type: 'keyword', text: text.toLowerCase(), start: pos, end: pos + text.length }
+                      : { type: 'word', text: text, start: pos, end: pos + text.length });
+        pos += text.length;
+      }
+      else {
+        // a lone '&' or '|'
+        throw new DG.SearchQueryError('DG.SearchQuery.error.invalidCharacter', [iQuery.charAt(pos), pos + 1]);
+      }
+    }
+    return tokens;
+  },
+
+  /**
+    Parses the specified query in the search language or, failing that, in the earlier
+    form of a single comparison with a literal value, cf. parseLiteralComparison().
+    @param {String} iQuery
+    @param {[Object]} iAttrs -- the attributes which can be referred to, each with a name
+    @returns {Object} the root node of the parsed query
+    @throws {DG.SearchQueryError} if the query is invalid
+   */
+  parse: function(iQuery, iAttrs) {
+    var query = String(iQuery == null ? '' : iQuery),
+        node;
+    try {
+      return this.parseExpression(query, iAttrs);
+    }
+    catch (ex) {
+      node = (ex instanceof DG.SearchQueryError) && this.parseLiteralComparison(query, iAttrs);
+      if (node) return node;
+      // report the error in the search language
+      throw ex;
+    }
+  },
+
+  /**
+    Parses the specified query in the earlier search syntax, a single comparison whose
+    operands are taken literally, e.g. team == Black and White.
+    @param {String} iQuery
+    @param {[Object]} iAttrs -- the attributes which can be referred to, each with a name
+    @returns {Object|null} the comparison node, or null if the query doesn't have this form
+                            or doesn't refer to an attribute
+   */
+  parseLiteralComparison: function(iQuery, iAttrs) {
+    var match = /^([^=!<>]+)(==|!=|<=|>=|=|<|>)([^=!<>]*)$/.exec(iQuery),
+        left, right;
+
+    function parseOperand(iText) {
+      var text = iText.trim(),
+          attr = (iAttrs || []).find(function(iAttr) { return iAttr.name === text; });
+      if (attr) return { attr: attr, text: text };
+      return { value: text ? DG.SearchQueryUtilities.parseValue(text) : '', text: text };
+    }
+
+    // quoted values are in the search language, e.g. note == "abc
+    if (!match || /^["'`]/.test(match[3].trim()))
+      return null;
+    left = parseOperand(match[1]);
+    right = parseOperand(match[3]);
+    if (!left.attr && !right.attr)
+      return null;
+    return { type: 'compare', op: match[2] === '=' ? '==' : match[2], left: left, right: right };
+  },
+
+  /**
+    Returns the value of an unquoted operand which isn't an attribute name.
+    @param {String} iText
+    @returns {Number|Boolean|String}
+   */
+  parseValue: function(iText) {
+    var number = Number(iText);
+    if (iText === 'true') return true;
+    if (iText === 'false') return false;
+    return isNaN(number) ? iText : number;
+  },
+
+  /**
+    Parses the specified query in the search language.
+    @param {String} iQuery
+    @param {[Object]} iAttrs -- the attributes which can be referred to, each with a name
+    @returns {Object} the root node of the parsed query
+    @throws {DG.SearchQueryError} if the query is invalid
+   */
+  parseExpression: function(iQuery, iAttrs) {
+    var query = iQuery,
+        tokens = this.tokenize(query),
+        stringTests = this.kStringTests,
+        index = 0,
+        root;
+
+    function peek(iType, iText) {
+      var token = tokens[index];
+      return !!token && (token.type === iType) && ((iText == null) || (token.text === iText));
+    }
+
+    function accept(iType, iText) {
+      return peek(iType, iText) ? tokens[index++] : null;
+    }
+
+    function fail(iExpectedKey) {
+      var token = tokens[index];
+      if (!token)
+        throw new DG.SearchQueryError('DG.SearchQuery.error.unexpectedEnd', [iExpectedKey.loc()]);
+      throw new DG.SearchQueryError('DG.SearchQuery.error.unexpected',
+                                    [iExpectedKey.loc(), query.slice(token.start, token.end), token.start + 1]);
+    }
+
+    function findAttr(iName) {
+      return (iAttrs || []).find(function(iAttr) { return iAttr.name === iName; });
+    }
+
+    // an operand is a quoted value, a backquoted attribute name or a run of words
+    function parseOperand() {
+      var token = tokens[index],
+          start = index,
+          attr, text;
+      if (accept('string'))
+        return { value: token.text, text: token.text };
+      if (accept('name')) {
+        attr = findAttr(token.text);
+        if (!attr)
+          throw new DG.SearchQueryError('DG.SearchQuery.error.unknownAttribute', [token.text]);
+        return { attr: attr, text: token.text };
+      }
+      while (accept('word')) {
+        // words are accumulated
+      }
+      if (index === start)
+        fail('DG.SearchQuery.expected.operand');
+      text = query.slice(tokens[start].start, tokens[index - 1].end);
+      attr = findAttr(text);
+      return attr ? { attr: attr, text: text } : { value: DG.SearchQueryUtilities.parseValue(text), text: text };
+    }
+
+    function isComparisonOp() {
+      return ['==', '=', '!=', '<', '<=', '>', '>='].some(function(iOp) { return peek('op', iOp); });
+    }
+
+    function requireAttr(iNode, iOperands) {
+      if (!iOperands.some(function(iOperand) { return iOperand.attr; })) {
+        throw new DG.SearchQueryError('DG.SearchQuery.error.noAttribute',
+                                      [iOperands.map(function(iOperand) { return iOperand.text; }).join(', ')]);
+      }
+      return iNode;
+    }
+
+    function negate(iNode, iIsNegated) {
+      return iIsNegated ? { type: 'not', operand: iNode } : iNode;
+    }
+
+    function parseTest() {
+      var left = parseOperand(),
+          isNegated, op, right, low, high, nodes, type, token;
+
+      if (isComparisonOp()) {
+        nodes = [];
+        while (isComparisonOp()) {
+          op = tokens[index++].text;
+          right = parseOperand();
+          nodes.push(requireAttr({ type: 'compare', op: op === '=' ? '==' : op, left: left, right: right },
+                                  [left, right]));
+          left = right;
+        }
+        return nodes.length === 1 ? nodes[0] : { type: 'and', operands: nodes };
+      }
+
+      if (accept('keyword', 'is')) {
+        isNegated = !!accept('keyword', 'not');
+        type = accept('keyword', 'empty') || accept('keyword', 'null');
+        if (!type)
+          fail('DG.SearchQuery.expected.emptyOrNull');
+        return negate(requireAttr({ type: type.text, operand: left }, [left]), isNegated);
+      }
+
+      isNegated = !!accept('keyword', 'not');
+      if (accept('keyword', 'between')) {
+        low = parseOperand();
+        if (!accept('keyword', 'and'))
+          fail('DG.SearchQuery.expected.and');
+        high = parseOperand();
+        return negate(requireAttr({ type: 'between', operand: left, low: low, high: high }, [left, low, high]),
+                      isNegated);
+      }
+      token = tokens[index];
+      if (token && (token.type === 'keyword') && stringTests[token.text]) {
+        ++index;
+        right = parseOperand();
+        if (token.text === 'matches' && !right.attr)
+          right.value = DG.SearchQueryUtilities.createRegExp(right.value);
+        return negate(requireAttr({ type: stringTests[token.text], left: left, right: right }, [left, right]),
+                      isNegated);
+      }
+      return fail('DG.SearchQuery.expected.test');
+    }
+
+    function parseUnary() {
+      var node;
+      if (accept('keyword', 'not') || accept('op', '!'))
+        return { type: 'not', operand: parseUnary() };
+      if (accept('op', '(')) {
+        node = parseOr();
+        if (!accept('op', ')'))
+          fail('DG.SearchQuery.expected.closeParen');
+        return node;
+      }
+      return parseTest();
+    }
+
+    function parseBinary(iType, iOps, iParseOperand) {
+      var operands = [iParseOperand()];
+      while (iOps.some(function(iOp) { return accept(iOp.type, iOp.text); }))
+        operands.push(iParseOperand());
+      return operands.length === 1 ? operands[0] : { type: iType, operands: operands };
+    }
+
+    function parseAnd() {
+      return parseBinary('and', [{ type: 'keyword', text: 'and' }, { type: 'op', text: '&&' }], parseUnary);
+    }
+
+    function parseOr() {
+      return parseBinary('or', [{ type: 'keyword', text: 'or' }, { type: 'op', text: '||' }], parseAnd);
+    }
+
+    if (query.trim() === '*')
+      return { type: 'all' };
+    if (!tokens.length)
+      throw new DG.SearchQueryError('DG.SearchQuery.error.empty');
+    root = parseOr();
+    if (index < tokens.length)
+      fail('DG.SearchQuery.expected.end');
+    return root;
+  },
+
+  /**
+    Returns the regular expression for the specified pattern, which may be written as
+    /pattern/flags.
+    @param {*} iPattern
+    @returns {RegExp}
+    @throws {DG.SearchQueryError} if the pattern is invalid
+   */
+  createRegExp: function(iPattern) {
+    var pattern = String(iPattern),
+        match = /^\/(.*)\/([a-z]*)$/.exec(pattern);
+    try {
+      return match ? new RegExp(match[1], match[2]) : new RegExp(pattern);
+    }
+    catch (ex) {
+      throw new DG.SearchQueryError('DG.SearchQuery.error.invalidPattern', [pattern]);
+    }
+  },
+
+  /**
+    Returns the number represented by the specified value, if any.
+    @param {*} iValue
+    @returns {Number|null}
+   */
+  toNumber: function(iValue) {
+    if (typeof iValue === 'number')
+      return isFinite(iValue) ? iValue : null;
+    if ((typeof iValue === 'string') && iValue.trim() && isFinite(Number(iValue)))
+      return Number(iValue);
+    return null;
+  },
+
+  /**
+    Returns the time of the date represented by the specified value, if any.
+    @param {*} iValue
+    @returns {Number|null}
+   */
+  toTime: function(iValue) {
+    var date = DG.isDate(iValue) ? iValue : ((typeof iValue === 'string') && DG.parseDate(iValue, true));
+    return (date && isFinite(date.valueOf())) ? date.valueOf() : null;
+  },
+
+  /**
+    Compares the specified values numerically, chronologically or as strings.
+    @param {*} iLeft
+    @param {*} iRight
+    @param {Boolean} iIsDate -- whether either value is that of a date attribute
+    @returns {Number} negative, zero or positive
+   */
+  compareValues: function(iLeft, iRight, iIsDate) {
+    var left = this.toNumber(iLeft),
+        right = this.toNumber(iRight);
+    if ((left === null) || (right === null)) {
+      left = right = null;
+      if (iIsDate || DG.isDate(iLeft) || DG.isDate(iRight)) {
+        left = this.toTime(iLeft);
+        right = this.toTime(iRight);
+      }
+      if ((left === null) || (right === null)) {
+        left = (iLeft == null) ? '' : String(iLeft);
+        right = (iRight == null) ? '' : String(iRight);
+      }
+    }
+    return left < right ? -1 : (left > right ? 1 : 0);
+  },
+
+  /**
+    Returns whether the specified parsed query matches the values of an item or case.
+    @param {Object} iQuery -- the root node of a query returned by parse()
+    @param {Function} iGetValue -- returns the value of the specified attribute
+    @returns {Boolean}
+   */
+  evaluate: function(iQuery, iGetValue) {
+    var utilities = this;
+
+    function getValue(iOperand) {
+      return iOperand.attr ? iGetValue(iOperand.attr) : iOperand.value;
+    }
+
+    function isEmpty(iValue) {
+      return (iValue == null) || (iValue === '');
+    }
+
+    // returns NaN for ordering comparisons of empty values
+    function compareValues(iLeft, iRight, iIsOrdering) {
+      var left = getValue(iLeft),
+          right = getValue(iRight),
+          isDate = [iLeft, iRight].some(function(iOperand) {
+                    return iOperand.attr && (iOperand.attr.type === 'date');
+                  });
+      if (iIsOrdering && (isEmpty(left) || isEmpty(right)))
+        return NaN;
+      return utilities.compareValues(left, right, isDate);
+    }
+
+    function toLowerString(iValue) {
+      return (iValue == null) ? '' : String(iValue).toLowerCase();
+    }
+
+    function evaluateNode(iNode) {
+      var left, right, comparison;
+      switch (iNode.type) {
+        case 'all':
+          return true;
+        case 'and':
+          return iNode.operands.every(evaluateNode);
+        case 'or':
+          return iNode.operands.some(evaluateNode);
+        case 'not':
+          return !evaluateNode(iNode.operand);
+        case 'compare':
+          comparison = compareValues(iNode.left, iNode.right, (iNode.op !== '==') && (iNode.op !== '!='));
+          switch (iNode.op) {
+            case '==': return comparison === 0;
+            case '!=': return comparison !== 0;
+            case '<':  return comparison < 0;
+            case '<=': return comparison <= 0;
+            case '>':  return comparison > 0;
+            case '>=': return comparison >= 0;
+          }
+          return false;
+        case 'between':
+          return (compareValues(iNode.operand, iNode.low, true) >= 0) &&
+                  (compareValues(iNode.operand, iNode.high, true) <= 0);
+        case 'contains':
+          return toLowerString(getValue(iNode.left)).indexOf(toLowerString(getValue(iNode.right))) >= 0;
+        case 'startsWith':
+          right = toLowerString(getValue(iNode.right));
+          return toLowerString(getValue(iNode.left)).slice(0, right.length) === right;
+        case 'endsWith':
+          left = toLowerString(getValue(iNode.left));
+          right = toLowerString(getValue(iNode.right));
+          return left.slice(left.length - right.length) === right;
+        case 'matches':
+          right = getValue(iNode.right);
+          try {
+            right = (right instanceof RegExp) ? right : utilities.createRegExp(right);
+          }
+          catch (ex) {
+            return false;
+          }
+          left = getValue(iNode.left);
+          return right.test((left == null) ? '' : String(left));
+        case 'null':
+          return getValue(iNode.operand) == null;
+        case 'empty':
+          return isEmpty(getValue(iNode.operand));
+      }
+      return false;
+    }
+
+    return evaluateNode(iQuery);
+  }
+};
@@ -0,0 +1,899 @@
+// ==========================================================================
+//                      DG.SpreadsheetImportUtilities
+//
+//  Copyright (c) 2021 by The Concord Consortium, Inc. All rights reserved.
+//
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing, software
+//  distributed under the License is distributed on an "AS IS" BASIS,
+//  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//  See the License for the specific language governing permissions and
+//  limitations under the License.
+// ==========================================================================
+
+sc_require('utilities/text_import_utilities');
+/* global pako, Uint8Array, DataView */
+
+/**
+  Utilities for the import of spreadsheet workbooks, i.e. Excel (.xlsx) and OpenDocument
+  (.ods) files, which are parsed in the browser.
+
+  A parsed workbook is an array of sheets:
+    {String}    name -- the name of the sheet
+    {[[Object]]} rows -- the cells of each row, which are undefined for empty cells
+
+  A cell has a value and a kind:
+    {String}    kind -- 'number', 'date', 'boolean', 'string' or 'error'
+    {*}         value -- a number, an ISO 8601 date string, a boolean or a string
+    {Number|String} precision -- the number of decimal places of numbers or the
+                    DG.Attribute.DATE_PRECISION_XXX of dates, as specified by the cell's format
+
+  Each sheet is analyzed into a table whose columns have the properties of the columns
+  of DG.TextImportUtilities, so that they map onto attributes in the same way.
+  Sheets whose key columns link them can be combined into parent and child collections.
+ */
+DG.SpreadsheetImportUtilities = {
+
+  /**
+    Built-in Excel number formats, by id.
+    @type {Object}
+   */
+  kBuiltInNumberFormats: {
+    0: 'General', 1: '0', 2: '0.00', 3: '#,##0', 4: '#,##0.00', 9: '0%', 10: '0.00%',
+    11: '0.00E+00', 12: '# ?/?', 13: '# ??/??', 14: 'mm-dd-yy', 15: 'd-mmm-yy', 16: 'd-mmm',
+    17: 'mmm-yy', 18: 'h:mm AM/PM', 19: 'h:mm:ss AM/PM', 20: 'h:mm', 21: 'h:mm:ss',
+    22: 'm/d/yy h:mm', 37: '#,##0 ;(#,##0)', 38: '#,##0 ;[Red](#,##0)', 39: '#,##0.00;(#,##0.00)',
+    40: '#,##0.00;[Red](#,##0.00)', 45: 'mm:ss', 46: '[h]:mm:ss', 47: 'mmss.0', 48: '##0.0E+0',
+    49: '@'
+  },
+
+  /**
+    Returns true if the specified file contents are a ZIP archive, as are .xlsx and .ods files.
+    @param {ArrayBuffer} iData
+    @returns {Boolean}
+   */
+  isZipArchive: function(iData) {
+    var bytes = new Uint8Array(iData, 0, Math.min(4, iData.byteLength));
+    return (bytes[0] === 0x50) && (bytes[1] === 0x4B) && (bytes[2] === 0x03) && (bytes[3] === 0x04);
+  },
+
+  /**
+    Reads the directory of a ZIP archive.
+    @param {ArrayBuffer} iData
+    @returns {Object} { names, getText(iName) } where getText returns the UTF-8 text of the
+                      specified file in the archive or null if there is no such file
+   */
+  readZip: function(iData) {
+    var bytes = new Uint8Array(iData),
+        view = new DataView(iData),
+        entries = {},
+        endOfDirectory = -1,
+        i, entryCount, offset, nameLength, name;
+
+    for (i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); --i) {
+      if (view.getUint32(i, true) === 0x06054B50) {
+        endOfDirectory = i;
+        break;
+      }
+    }
+    if (endOfDirectory < 0)
+      throw new Error('DG.SpreadsheetImport.invalidFile'.loc());
+
+    entryCount = view.getUint16(endOfDirectory + 10, true);
+    offset = view.getUint32(endOfDirectory + 16, true);
+    for (i = 0; (i < entryCount) && (view.getUint32(offset, true) === 0x02014B50); ++i) {
+      nameLength = view.getUint16(offset + 28, true);
+      name = DG.TextImportUtilities.decodeBytes(bytes.subarray(offset + 46, offset + 46 + nameLength), 'utf-8');
+      entries[name] = {
+        method: view.getUint16(offset + 10, true),
+        compressedSize: view.getUint32(offset + 20, true),
+        localOffset: view.getUint32(offset + 42, true)
+      };
+      offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+    }
+
+    return {
+      names: Object.keys(entries),
+      getText: function(iName) {
+        var entry = entries[iName.replace(/^\//, '')],
+            start, data;
+        if (!entry) return null;
+        start = entry.localOffset + 30 + view.getUint16(entry.localOffset + 26, true) +
+                  view.getUint16(entry.localOffset + 28, true);
+        data = bytes.subarray(start, start + entry.compressedSize);
+        if (entry.method === 8)
+          data = pako.inflateRaw(data);
+        else if (entry.method !== 0)
+          throw new Error('DG.SpreadsheetImport.invalidFile'.loc());
+        return DG.TextImportUtilities.decodeText(data, 'utf-8');
+      }
+    };
+  },
+
+  /**
+    Parses the specified workbook file.
+    @param {ArrayBuffer} iData -- the contents of an .xlsx or .ods file
+    @returns {[Object]} sheets
+   */
+  parseWorkbook: function(iData) {
+    var zip;
+    if (!this.isZipArchive(iData))
+      throw new Error('DG.SpreadsheetImport.invalidFile'.loc());
+    zip = this.readZip(iData);
+    if (zip.getText('content.xml') != null)
+      return this.parseODS(zip.getText('content.xml'), zip.getText('styles.xml'));
+    if (zip.getText('xl/workbook.xml') != null)
+      return this.parseXLSX(zip.getText);
+    throw new Error('DG.SpreadsheetImport.invalidFile'.loc());
+  },
+
+  /**
+    Returns the XML document of the specified text.
+    @param {String} iText
+    @returns {Document}
+   */
+  parseXML: function(iText) {
+    return new DOMParser().parseFromString(iText, 'application/xml');
+  },
+
+  /**
+    Returns the descendant elements of the specified node with the specified local name,
+    whatever their namespace prefix.
+    @param {Node} iNode
+    @param {String} iLocalName
+    @returns {[Element]}
+   */
+  getElements: function(iNode, iLocalName) {
+    return iNode ? Array.prototype.slice.call(iNode.getElementsByTagNameNS('*', iLocalName)) : [];
+  },
+
+  /**
+    Returns the child elements of the specified node with the specified local name(s).
+    @param {Node} iNode
+    @param {String} iLocalNames -- space-separated local names
+    @returns {[Element]}
+   */
+  getChildElements: function(iNode, iLocalNames) {
+    var names = iLocalNames.split(' '),
+        children = [],
+        child;
+    for (child = iNode.firstChild; child; child = child.nextSibling) {
+      if ((child.nodeType === 1) && (names.indexOf(child.localName) >= 0))
+        children.push(child);
+    }
+    return children;
+  },
+
+  /**
+    Returns the value of the attribute of the specified element with the specified local
+    name, whatever its namespace prefix, or null if there is no such attribute.
+    @param {Element} iElement
+    @param {String} iLocalName
+    @returns {String|null}
+   */
+  getAttribute: function(iElement, iLocalName) {
+    var attributes = iElement.attributes,
+        i;
+    for (i = 0; i < attributes.length; ++i) {
+      if ((attributes[i].localName || attributes[i].name.replace(/.*:/, '')) === iLocalName)
+        return attributes[i].value;
+    }
+    return null;
+  },
+
+  /**
+    Returns a description of the specified Excel number format code.
+    @param {String} iCode -- e.g. '0.00', '0%' or 'm/d/yy h:mm'
+    @returns {Object} { kind, precision } where kind is 'general', 'number', 'date' or 'time'
+                      and precision is the number of decimal places of numbers or the
+                      DG.Attribute.DATE_PRECISION_XXX of dates
+   */
+  parseNumberFormat: function(iCode) {
+    var code = String(iCode || 'General'),
+        isElapsed = /\[[hms]+\]/i.test(code),
+        section, decimals, hasDate, hasTime;
+
+    if (/^general$/i.test(code) || (code === '@'))
+      return { kind: 'general' };
+    section = code.replace(/"[^"]*"/g, '')    // quoted text
+                  .replace(/\\./g, '')        // escaped characters
+                  .replace(/[_*]./g, '')      // padding and repetition
+                  .replace(/\[[^\]]*\]/g, '') // colors, conditions, locales and elapsed times
+                  .split(';')[0];
+    section = section.replace(/AM\/PM|A\/P/gi, '');
+    hasDate = /[yd]/i.test(section) || (/m/i.test(section) && !/[hs]/i.test(section) && !isElapsed);
+    hasTime = /[hs]/i.test(section) || isElapsed;
+    if (hasDate) {
+      return {
+        kind: 'date',
+        precision: /s\.0/i.test(section) ? DG.Attribute.DATE_PRECISION_MILLISECOND
+                  : /s/i.test(section) ? DG.Attribute.DATE_PRECISION_SECOND
+                  : /h[^a-z]*m/i.test(section) ? DG.Attribute.DATE_PRECISION_MINUTE
+                  : /h/i.test(section) ? DG.Attribute.DATE_PRECISION_HOUR
+                  : /d/i.test(section) ? DG.Attribute.DATE_PRECISION_DAY
+                  : /m/i.test(section) ? DG.Attribute.DATE_PRECISION_MONTH
+                  : DG.Attribute.DATE_PRECISION_YEAR
+      };
+    }
+    if (hasTime)
+      return { kind: 'time' };
+    decimals = /\.([0#?]+)/.exec(section);
+    decimals = decimals ? decimals[1].length : 0;
+    return { kind: 'number', precision: /%/.test(section) ? decimals + 2 : decimals };
+  },
+
+  /**
+    Returns the ISO 8601 date string of the specified Excel serial date.
+    @param {Number} iSerial -- days since the epoch of the workbook
+    @param {Boolean} iIs1904 -- true if the workbook uses the 1904 date system
+    @param {String} iPrecision -- DG.Attribute.DATE_PRECISION_XXX
+    @returns {String}
+   */
+  formatSerialDate: function(iSerial, iIs1904, iPrecision) {
+    var epoch = iIs1904 ? Date.UTC(1904, 0, 1) : Date.UTC(1899, 11, 30),
+        iso = new Date(epoch + Math.round(iSerial * 86400000)).toISOString();
+    switch (iPrecision) {
+      case DG.Attribute.DATE_PRECISION_YEAR:
+      case DG.Attribute.DATE_PRECISION_MONTH:
+      case DG.Attribute.DATE_PRECISION_DAY:
+        return iso.slice(0, 10);
+      case DG.Attribute.DATE_PRECISION_MILLISECOND:
+        return iso.slice(0, 23);
+      default:
+        return iso.slice(0, 19);
+    }
+  },
+
+  /**
+    Returns the 'h:mm:ss' string of the specified time, e.g. an Excel serial time.
+    @param {Number} iDays -- the time as a fraction of a day
+    @param {Boolean} iIsElapsed -- true if times of more than a day are shown as such
+    @returns {String}
+   */
+  formatTime: function(iDays, iIsElapsed) {
+    var seconds = Math.round((iIsElapsed ? iDays : iDays - Math.floor(iDays)) * 86400),
+        hours = Math.floor(seconds / 3600),
+        minutes = Math.floor((seconds % 3600) / 60);
+    seconds %= 60;
+    return hours + ':' + (minutes < 10 ? '0' : '') + minutes + ':' + (seconds < 10 ? '0' : '') + seconds;
+  },
+
+  /**
+    Returns the zero-based column index of an Excel cell reference, e.g. 2 for 'C7'.
+    @param {String} iRef
+    @returns {Number}
+   */
+  columnIndexFromRef: function(iRef) {
+    var letters = /^[A-Z]+/i.exec(iRef)[0].toUpperCase(),
+        index = 0, i;
+    for (i = 0; i < letters.length; ++i)
+      index = index * 26 + letters.charCodeAt(i) - 64;
+    return index - 1;
+  },
+
+  /**
+    Parses an Excel workbook.
+    @param {Function} iGetText -- returns the text of the specified file of the workbook
+    @returns {[Object]} sheets
+   */
+  parseXLSX: function(iGetText) {
+    var workbook = this.parseXML(iGetText('xl/workbook.xml')),
+        relsText = iGetText('xl/_rels/workbook.xml.rels'),
+        stringsText = iGetText('xl/sharedStrings.xml'),
+        stylesText = iGetText('xl/styles.xml'),
+        workbookPr = this.getElements(workbook, 'workbookPr')[0],
+        is1904 = !!workbookPr && /^(1|true)$/.test(this.getAttribute(workbookPr, 'date1904')),
+        targets = {},
+        sharedStrings = stringsText ? this.parseXLSXSharedStrings(stringsText) : [],
+        cellFormats = stylesText ? this.parseXLSXCellFormats(stylesText) : [];
+
+    if (relsText) {
+      this.getElements(this.parseXML(relsText), 'Relationship').forEach(function(iRel) {
+        var target = iRel.getAttribute('Target');
+        targets[iRel.getAttribute('Id')] = target.charAt(0) === '/' ? target.slice(1) : 'xl/' + target;
+      });
+    }
+    return this.getElements(workbook, 'sheet').map(function(iSheet, iIndex) {
+      var path = targets[this.getAttribute(iSheet, 'id')] || ('xl/worksheets/sheet' + (iIndex + 1) + '.xml'),
+          text = iGetText(path);
+      return {
+        name: iSheet.getAttribute('name'),
+        rows: text ? this.parseXLSXSheet(text, sharedStrings, cellFormats, is1904) : []
+      };
+    }, this).filter(function(iSheet) { return iSheet.rows.length > 0; });
+  },
+
+  /**
+    Returns the shared strings of an Excel workbook.
+    @param {String} iText -- the text of sharedStrings.xml
+    @returns {[String]}
+   */
+  parseXLSXSharedStrings: function(iText) {
+    return this.getElements(this.parseXML(iText), 'si').map(function(iItem) {
+      return this.getXLSXText(iItem);
+    }, this);
+  },
+
+  /**
+    Returns the text of a string item or inline string, ignoring phonetic runs.
+    @param {Element} iItem
+    @returns {String}
+   */
+  getXLSXText: function(iItem) {
+    return this.getElements(iItem, 't').filter(function(iText) {
+      return iText.parentNode.localName !== 'rPh';
+    }).map(function(iText) {
+      return iText.textContent;
+    }).join('');
+  },
+
+  /**
+    Returns the number formats of the cell formats of an Excel workbook.
+    @param {String} iText -- the text of styles.xml
+    @returns {[Object]} the descriptions of the number formats, indexed by cell format
+   */
+  parseXLSXCellFormats: function(iText) {
+    var styles = this.parseXML(iText),
+        codes = $.extend({}, this.kBuiltInNumberFormats),
+        cellXfs = this.getElements(styles, 'cellXfs')[0];
+    this.getElements(styles, 'numFmt').forEach(function(iFormat) {
+      codes[iFormat.getAttribute('numFmtId')] = iFormat.getAttribute('formatCode');
+    });
+    return cellXfs
+            ? this.getChildElements(cellXfs, 'xf').map(function(iXf) {
+                var code = codes[iXf.getAttribute('numFmtId') || 0],
+                    format = this.parseNumberFormat(code);
+                format.isElapsed = /\[h+\]/i.test(code || '');
+                return format;
+              }, this)
+            : [];
+  },
+
+  /**
+    Returns the rows of cells of an Excel worksheet.
+    @param {String} iText -- the text of the worksheet
+    @param {[String]} iSharedStrings
+    @param {[Object]} iCellFormats
+    @param {Boolean} iIs1904
+    @returns {[[Object]]}
+   */
+  parseXLSXSheet: function(iText, iSharedStrings, iCellFormats, iIs1904) {
+    var rows = [],
+        rowNumber = 0,
+        i;
+    this.getElements(this.parseXML(iText), 'row').forEach(function(iRow) {
+      var row = [];
+      rowNumber = Number(iRow.getAttribute('r')) || (rowNumber + 1);
+      this.getChildElements(iRow, 'c').forEach(function(iCell) {
+        var ref = iCell.getAttribute('r'),
+            column = ref ? this.columnIndexFromRef(ref) : row.length,
+            format = iCellFormats[Number(iCell.getAttribute('s')) || 0] || { kind: 'general' },
+            valueElt = this.getChildElements(iCell, 'v')[0],
+            text = valueElt ? valueElt.textContent : '',
+            cell = null;
+        switch (iCell.getAttribute('t') || 'n') {
+          case 's':
+            cell = { kind: 'string', value: iSharedStrings[Number(text)] };
+            break;
+          case 'inlineStr':
+            cell = { kind: 'string', value: this.getXLSXText(this.getChildElements(iCell, 'is')[0] || iCell) };
+            break;
+          case 'str':
+            cell = { kind: 'string', value: text };
+            break;
+          case 'b':
+            cell = { kind: 'boolean', value: text === '1' };
+            break;
+          case 'e':
+            cell = { kind: 'error', value: text };
+            break;
+          case 'd':
+            cell = { kind: 'date', value: text,
+                      precision: format.kind === 'date' ? format.precision : DG.Attribute.DATE_PRECISION_SECOND };
+            break;
+          default:
+            if (text === '') break;
+            if (format.kind === 'date')
+              cell = { kind: 'date', value: this.formatSerialDate(Number(text), iIs1904, format.precision),
+                        precision: format.precision };
+            else if (format.kind === 'time')
+              cell = { kind: 'string', value: this.formatTime(Number(text), format.isElapsed) };
+            else
+              cell = { kind: 'number', value: Number(text), precision: format.precision };
+        }
+        if (cell && (cell.value != null) && (cell.value !== ''))
+          row[column] = cell;
+      }, this);
+      rows[rowNumber - 1] = row;
+    }, this);
+    for (i = 0; i < rows.length; ++i)
+      rows[i] = rows[i] || [];
+    return this.trimRows(rows);
+  },
+
+  /**
+    Removes trailing empty rows.
+    @param {[[Object]]} iRows
+    @returns {[[Object]]}
+   */
+  trimRows: function(iRows) {
+    while (iRows.length && !iRows[iRows.length - 1].some(function(iCell) { return iCell; }))
+      iRows.pop();
+    return iRows;
+  },
+
+  /**
+    Parses an OpenDocument spreadsheet.
+    @param {String} iContentText -- the text of content.xml
+    @param {String} iStylesText -- the text of styles.xml, if any
+    @returns {[Object]} sheets
+   */
+  parseODS: function(iContentText, iStylesText) {
+    var content = this.parseXML(iContentText),
+        dataStyles = {},
+        cellFormats = {},
+        docs = iStylesText ? [this.parseXML(iStylesText), content] : [content];
+
+    docs.forEach(function(iDoc) {
+      ['number-style', 'currency-style', 'percentage-style', 'date-style', 'time-style'].forEach(function(iType) {
+        this.getElements(iDoc, iType).forEach(function(iStyle) {
+          dataStyles[this.getAttribute(iStyle, 'name')] = this.parseODSDataStyle(iStyle);
+        }, this);
+      }, this);
+    }, this);
+    docs.forEach(function(iDoc) {
+      this.getElements(iDoc, 'style').forEach(function(iStyle) {
+        var dataStyleName = this.getAttribute(iStyle, 'data-style-name');
+        if ((this.getAttribute(iStyle, 'family') === 'table-cell') && dataStyleName && dataStyles[dataStyleName])
+          cellFormats[this.getAttribute(iStyle, 'name')] = dataStyles[dataStyleName];
+      }, this);
+    }, this);
+
+    return this.getElements(content, 'table').filter(function(iTable) {
+      return iTable.namespaceURI === 'urn:oasis:names:tc:opendocument:xmlns:table:1.0';
+    }).map(function(iTable) {
+      return { name: this.getAttribute(iTable, 'name'), rows: this.parseODSTable(iTable, cellFormats) };
+    }, this).filter(function(iSheet) { return iSheet.rows.length > 0; });
+  },
+
+  /**
+    Returns the description of an OpenDocument data style.
+    @param {Element} iStyle
+    @returns {Object} { kind, precision }
+   */
+  parseODSDataStyle: function(iStyle) {
+    var number, decimals, has, seconds;
+    switch (iStyle.localName) {
+      case 'date-style':
+        has = function(iName) { return this.getChildElements(iStyle, iName).length > 0; }.bind(this);
+        seconds = this.getChildElements(iStyle, 'seconds')[0];
+        return {
+          kind: 'date',
+          precision: seconds && Number(this.getAttribute(seconds, 'decimal-places'))
+                        ? DG.Attribute.DATE_PRECISION_MILLISECOND
+                      : seconds ? DG.Attribute.DATE_PRECISION_SECOND
+                      : has('minutes') ? DG.Attribute.DATE_PRECISION_MINUTE
+                      : has('hours') ? DG.Attribute.DATE_PRECISION_HOUR
+                      : has('day') ? DG.Attribute.DATE_PRECISION_DAY
+                      : has('month') ? DG.Attribute.DATE_PRECISION_MONTH
+                      : DG.Attribute.DATE_PRECISION_YEAR
+        };
+      case 'time-style':
+        return { kind: 'time' };
+      default:
+        number = this.getChildElements(iStyle, 'number scientific-number')[0];
+        decimals = number && this.getAttribute(number, 'decimal-places');
+        if (decimals == null)
+          return { kind: 'general' };
+        return { kind: 'number',
+                  precision: Number(decimals) + (iStyle.localName === 'percentage-style' ? 2 : 0) };
+    }
+  },
+
+  /**
+    Returns the text of an OpenDocument text element, including its spaces, tabs and line breaks.
+    @param {Element} iElement
+    @returns {String}
+   */
+  getODSText: function(iElement) {
+    var text = '',
+        child;
+    for (child = iElement.firstChild; child; child = child.nextSibling) {
+      if (child.nodeType === 3)
+        text += child.nodeValue;
+      else if (child.nodeType === 1) {
+        switch (child.localName) {
+          case 's':
+            text += new Array((Number(this.getAttribute(child, 'c')) || 1) + 1).join(' ');
+            break;
+          case 'tab':
+            text += '\t';
+            break;
+          case 'line-break':
+            text += '\n';
+            break;
+          case 'annotation':
+            break;
+          default:
+            text += this.getODSText(child);
+        }
+      }
+    }
+    return text;
+  },
+
+  /**
+    Returns the cell of an OpenDocument table cell element.
+    @param {Element} iCell
+    @param {Object} iFormat -- the description of the cell's data style, if any
+    @returns {Object|null}
+   */
+  parseODSCell: function(iCell, iFormat) {
+    var valueType = this.getAttribute(iCell, 'value-type'),
+        value, match, paragraphs;
+    switch (valueType) {
+      case 'float':
+      case 'currency':
+      case 'percentage':
+        return { kind: 'number', value: Number(this.getAttribute(iCell, 'value')),
+                  precision: iFormat && (iFormat.kind === 'number') ? iFormat.precision : undefined };
+      case 'date':
+        value = this.getAttribute(iCell, 'date-value');
+        return { kind: 'date', value: value,
+                  precision: iFormat && (iFormat.kind === 'date') ? iFormat.precision
+                              : (/T/.test(value) ? DG.Attribute.DATE_PRECISION_MINUTE
+                                                  : DG.Attribute.DATE_PRECISION_DAY) };
+      case 'time':
+        match = /^-?PT(?:(\d+)H)?(?:(\d+)M)?(?:([\d.]+)S)?$/.exec(this.getAttribute(iCell, 'time-value') || '');
+        return match
+                ? { kind: 'string',
+                    value: this.formatTime(((Number(match[1]) || 0) * 3600 + (Number(match[2]) || 0) * 60 +
+                                            (Number(match[3]) || 0)) / 86400, true) }
+                : null;
+      case 'boolean':
+        return { kind: 'boolean', value: this.getAttribute(iCell, 'boolean-value') === 'true' };
+      default:
+        paragraphs = this.getChildElements(iCell, 'p');
+        if (!paragraphs.length) return null;
+        value = paragraphs.map(this.getODSText, this).join('\n');
+        return value ? { kind: valueType === 'string' || !valueType ? 'string' : 'error', value: value } : null;
+    }
+  },
+
+  /**
+    Returns the rows of cells of an OpenDocument table. Repeated rows and columns are expanded,
+    except for trailing empty ones, which spreadsheet applications write to fill the sheet.
+    @param {Element} iTable
+    @param {Object} iCellFormats -- descriptions of data styles, by cell style name
+    @returns {[[Object]]}
+   */
+  parseODSTable: function(iTable, iCellFormats) {
+    var kMaxRepeat = 10000,
+        rows = [],
+        emptyRowCount = 0,
+        columnStyles = [];
+
+    this.getElements(iTable, 'table-column').forEach(function(iColumn) {
+      var repeat = Math.min(Number(this.getAttribute(iColumn, 'number-columns-repeated')) || 1, kMaxRepeat),
+          styleName = this.getAttribute(iColumn, 'default-cell-style-name');
+      while (repeat-- > 0) columnStyles.push(styleName);
+    }, this);
+
+    this.getElements(iTable, 'table-row').forEach(function(iRow) {
+      var rowRepeat = Number(this.getAttribute(iRow, 'number-rows-repeated')) || 1,
+          row = [],
+          column = 0,
+          isEmpty = true;
+      this.getChildElements(iRow, 'table-cell covered-table-cell').forEach(function(iCell) {
+        var repeat = Number(this.getAttribute(iCell, 'number-columns-repeated')) || 1,
+            styleName = this.getAttribute(iCell, 'style-name') || columnStyles[column],
+            cell = iCell.localName === 'table-cell' ? this.parseODSCell(iCell, iCellFormats[styleName]) : null;
+        if (cell) {
+          isEmpty = false;
+          repeat = Math.min(repeat, kMaxRepeat);
+          while (repeat-- > 0) row[column++] = cell;
+        }
+        else column += repeat;
+      }, this);
+      if (isEmpty) {
+        // empty rows are only added when followed by a row which isn't empty
+        emptyRowCount += rowRepeat;
+        return;
+      }
+      while (emptyRowCount > 0) {
+        rows.push([]);
+        --emptyRowCount;
+      }
+      rowRepeat = Math.min(rowRepeat, kMaxRepeat);
+      while (rowRepeat-- > 0) rows.push(row);
+    }, this);
+    return rows;
+  },
+
+  /**
+    Returns the table of the specified sheet: its columns, inferred from the kinds and
+    formats of its cells, and its values, converted as specified by the columns.
+    @param {Object} iSheet
+    @returns {Object} { name, columns, rows }
+   */
+  analyzeSheet: function(iSheet) {
+    var rows = iSheet.rows,
+        columnCount = rows.reduce(function(iMax, iRow) { return Math.max(iMax, iRow.length); }, 0),
+        firstRow = [],
+        hasHeaderRow, headerRow, dataRows,
+        names = {},
+        columns = [], i;
+
+    // the first row is a header row if its cells are unique strings
+    for (i = 0; i < columnCount; ++i) {
+      firstRow.push(rows[0][i] && (rows[0][i].kind === 'string') ? rows[0][i].value : '');
+    }
+    hasHeaderRow = (rows.length > 1) && DG.TextImportUtilities.detectHeaderRow([firstRow]);
+    headerRow = hasHeaderRow ? firstRow : [];
+    dataRows = rows.slice(hasHeaderRow ? 1 : 0).filter(function(iRow) {
+      return iRow.some(function(iCell) { return iCell; });
+    });
+    for (i = 0; i < columnCount; ++i) {
+      columns.push(this.analyzeColumn(dataRows, headerRow, i, names));
+    }
+    return {
+      name: iSheet.name,
+      columns: columns,
+      rows: dataRows.map(function(iRow) {
+        return columns.map(function(iColumn) {
+          return this.convertCell(iRow[iColumn.index], iColumn);
+        }, this);
+      }, this)
+    };
+  },
+
+  /**
+    Returns the column at the specified index of the specified rows.
+    @param {[[Object]]} iDataRows
+    @param {[String]} iHeaderRow
+    @param {Number} iIndex
+    @param {Object} iNames -- map of the names of previous columns
+    @returns {Object} column
+   */
+  analyzeColumn: function(iDataRows, iHeaderRow, iIndex, iNames) {
+    var precisions = DG.Attribute.datePrecisionOptions,
+        cells = [],
+        column;
+
+    iDataRows.forEach(function(iRow) {
+      if (iRow[iIndex]) cells.push(iRow[iIndex]);
+    });
+    function allOfKind(iKind) {
+      return cells.every(function(iCell) { return iCell.kind === iKind; });
+    }
+
+    // the name, unit and inferences for string cells are those of text columns
+    column = DG.TextImportUtilities.inferColumnAt(
+                iDataRows.map(function(iRow) {
+                  var cell = iRow[iIndex],
+                      stringRow = [];
+                  stringRow[iIndex] = cell && (cell.kind === 'string') ? cell.value : '';
+                  return stringRow;
+                }), iHeaderRow, iIndex, iNames);
+    if (!cells.length || allOfKind('string'))
+      return column;
+
+    delete column.dateFormat;
+    delete column.datePrecision;
+    delete column.precision;
+    if (allOfKind('number')) {
+      column.type = 'numeric';
+      column.precision = cells.reduce(function(iMax, iCell) {
+        var decimals = iCell.precision;
+        if (decimals == null) {
+          decimals = /\.(\d+)$/.exec(String(iCell.value));
+          decimals = Math.min(8, decimals ? decimals[1].length : 0);
+        }
+        return Math.max(iMax, decimals);
+      }, 0);
+    }
+    else if (allOfKind('date')) {
+      column.type = 'date';
+      column.datePrecision = precisions[cells.reduce(function(iMax, iCell) {
+        return Math.max(iMax, precisions.indexOf(iCell.precision));
+      }, 0)];
+    }
+    else if (allOfKind('boolean')) {
+      column.type = 'boolean';
+    }
+    else {
+      column.type = 'categorical';
+    }
+    return column;
+  },
+
+  /**
+    Returns the value of the specified cell, converted as specified by its column.
+    @param {Object} iCell
+    @param {Object} iColumn
+    @returns {*}
+   */
+  convertCell: function(iCell, iColumn) {
+    if (!iCell)
+      return '';
+    if (iCell.kind === 'string')
+      return DG.TextImportUtilities.convertValue(iCell.value, iColumn);
+    return iCell.value;
+  },
+
+  /**
+    Returns the links between tables, i.e. the key columns by which the rows of a child
+    table refer to the rows of a parent table. A column links a parent table to a child
+    table if both tables have a column of that name, the values of the parent's column are
+    unique and not empty and every value of the child's column is one of them. Each table
+    has at most one parent and at most one child, so that linked tables form hierarchies.
+    @param {[Object]} iTables
+    @returns {[Object]} { parent, child, key } where parent and child are table indices
+                        and key is the name of the key column
+   */
+  findTableLinks: function(iTables) {
+    var links = [],
+        hasParent = {},
+        hasChild = {};
+
+    function columnValues(iTable, iName) {
+      var index = -1;
+      iTable.columns.some(function(iColumn, iIndex) {
+        if (iColumn.name === iName) index = iIndex;
+        return index >= 0;
+      });
+      return index >= 0 ? iTable.rows.map(function(iRow) { return String(iRow[index]); }) : null;
+    }
+
+    function isAncestor(iTableIndex, iOfIndex) {
+      var link = links.filter(function(iLink) { return iLink.child === iOfIndex; })[0];
+      return !!link && ((link.parent === iTableIndex) || isAncestor(iTableIndex, link.parent));
+    }
+
+    iTables.forEach(function(iParent, iParentIndex) {
+      iTables.forEach(function(iChild, iChildIndex) {
+        if ((iParentIndex === iChildIndex) || hasChild[iParentIndex] || hasParent[iChildIndex] ||
+            isAncestor(iChildIndex, iParentIndex) || !iParent.rows.length || !iChild.rows.length)
+          return;
+        iParent.columns.some(function(iColumn) {
+          var parentValues = columnValues(iParent, iColumn.name),
+              childValues = columnValues(iChild, iColumn.name),
+              keys = {};
+          if (!childValues) return false;
+          if (!parentValues.every(function(iValue) {
+                if (!iValue || keys[iValue]) return false;
+                keys[iValue] = true;
+                return true;
+              }))
+            return false;
+          if (!childValues.every(function(iValue) { return keys[iValue]; }))
+            return false;
+          links.push({ parent: iParentIndex, child: iChildIndex, key: iColumn.name });
+          hasChild[iParentIndex] = hasParent[iChildIndex] = true;
+          return true;
+        });
+      });
+    });
+    return links;
+  },
+
+  /**
+    Returns the data contexts to be created from the specified tables: one for each table,
+    or, if linked tables are combined, one for each hierarchy of linked tables, whose
+    collections are the tables, parents first. The key column of each child table is omitted,
+    since its values are those of its parent, and other column names which are repeated in
+    linked tables are given numeric suffixes, e.g. 'date_2', since attribute names must be
+    unique within a data context.
+    @param {[Object]} iTables
+    @param {[Boolean]} iIncluded -- true for each table to be imported
+    @param {Boolean} iCombineLinkedTables
+    @returns {[Object]} { name, collections: [{ name, attrs }], items }
+   */
+  getImportSpecs: function(iTables, iIncluded, iCombineLinkedTables) {
+    var links = iCombineLinkedTables
+                  ? this.findTableLinks(iTables).filter(function(iLink) {
+                      return iIncluded[iLink.parent] && iIncluded[iLink.child];
+                    })
+                  : [],
+        specs = [];
+
+    function childLink(iTableIndex) {
+      return links.filter(function(iLink) { return iLink.parent === iTableIndex; })[0];
+    }
+
+    function isChild(iTableIndex) {
+      return links.some(function(iLink) { return iLink.child === iTableIndex; });
+    }
+
+    function columnIndex(iTable, iName) {
+      return iTable.columns.map(function(iColumn) { return iColumn.name; }).indexOf(iName);
+    }
+
+    // the key column of a child table duplicates that of its parent
+    function importedColumns(iTable, iParentKey) {
+      return iTable.columns.filter(function(iColumn) {
+        return iColumn.include && (iColumn.name !== iParentKey);
+      });
+    }
+
+    iTables.forEach(function(iTable, iTableIndex) {
+      var levels = [],
+          items = [],
+          names = {},
+          tableIndex = iTableIndex,
+          parentKey = null,
+          link, table, columns;
+
+      if (!iIncluded[iTableIndex] || isChild(iTableIndex))
+        return;
+
+      function uniqueName(iName) {
+        var name = iName, i = 1;
+        while (names[name]) name = iName + '_' + (++i);
+        names[name] = true;
+        return name;
+      }
+
+      // the hierarchy of linked tables of which this table is the root
+      while (tableIndex != null) {
+        table = iTables[tableIndex];
+        link = childLink(tableIndex);
+        columns = importedColumns(table, parentKey);
+        levels.push({
+          table: table,
+          columns: columns,
+          names: columns.map(function(iColumn) { return uniqueName(iColumn.name); }),
+          parentKeyIndex: columnIndex(table, parentKey),
+          childKeyIndex: link ? columnIndex(table, link.key) : -1
+        });
+        parentKey = link ? link.key : null;
+        tableIndex = link ? link.child : null;
+      }
+      levels.slice(1).forEach(function(iLevel) {
+        iLevel.rowsByKey = {};
+        iLevel.table.rows.forEach(function(iRow) {
+          var key = String(iRow[iLevel.parentKeyIndex]);
+          (iLevel.rowsByKey[key] = iLevel.rowsByKey[key] || []).push(iRow);
+        });
+      });
+
+      // each row of a leaf table is an item, as is each row of another table without child rows
+      function addItems(iLevelIndex, iRows, iValues) {
+        var level = levels[iLevelIndex],
+            childLevel = levels[iLevelIndex + 1];
+        iRows.forEach(function(iRow) {
+          var values = $.extend({}, iValues),
+              childRows = childLevel && childLevel.rowsByKey[String(iRow[level.childKeyIndex])];
+          level.columns.forEach(function(iColumn, iIndex) {
+            values[level.names[iIndex]] = iRow[level.table.columns.indexOf(iColumn)];
+          });
+          if (childRows)
+            addItems(iLevelIndex + 1, childRows, values);
+          else
+            items.push(values);
+        });
+      }
+      addItems(0, iTable.rows, {});
+
+      specs.push({
+        name: iTable.name,
+        collections: levels.map(function(iLevel) {
+          return {
+            name: iLevel.table.name,
+            attrs: iLevel.columns.map(function(iColumn, iIndex) {
+              return DG.TextImportUtilities.getAttributeProperties(
+                        $.extend({}, iColumn, { name: iLevel.names[iIndex] }));
+            })
+          };
+        }),
+        items: items
+      });
+    });
+    return specs;
+  }
+};
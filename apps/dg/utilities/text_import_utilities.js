@@ -0,0 +1,752 @@
+// ==========================================================================
+//                        DG.TextImportUtilities
+//
+//  Copyright (c) 2021 by The Concord Consortium, Inc. All rights reserved.
+//
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing, software
+//  distributed under the License is distributed on an "AS IS" BASIS,
+//  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//  See the License for the specific language governing permissions and
+//  limitations under the License.
+// ==========================================================================
+
+sc_require('utilities/date_utilities');
+/* global Uint8Array */
+
+/**
+  Utilities for the import of delimited text, e.g. CSV or tab-delimited files, which
+  detect the encoding, delimiter and header row of the text, parse it into rows of
+  string values and infer the type of each column.
+
+  A column describes the import of one column of the text:
+    {Number}  index -- the index of the column in each row
+    {Boolean} include -- false if the column is skipped
+    {String}  name -- the name of the attribute
+    {String}  type -- one of the kColumnTypes
+    {String}  unit -- the unit of the attribute, if any
+    {Number}  precision -- the number of decimal places of numeric columns
+    {String}  dateFormat -- the format of date columns, one of the kDateFormats
+    {String}  datePrecision -- the DG.Attribute.DATE_PRECISION_XXX of date columns
+
+  Column types correspond to DG.Attribute types, except that boolean columns are
+  imported as categorical attributes with values true and false.
+ */
+DG.TextImportUtilities = {
+
+  /**
+    Delimiters which are detected, in order of preference.
+    @type {[String]}
+   */
+  kDelimiters: [',', '\t', ';', '|'],
+
+  /**
+    Encodings which can be chosen for the import.
+    @type {[String]}
+   */
+  kEncodings: ['utf-8', 'utf-16le', 'utf-16be', 'windows-1252', 'iso-8859-1', 'macintosh'],
+
+  /**
+    Types which can be chosen for a column.
+    @type {[String]}
+   */
+  kColumnTypes: ['categorical', 'numeric', 'date', 'boolean', 'boundary'],
+
+  /**
+    The maximum number of rows whose values are used to infer column types.
+    @type {Number}
+   */
+  kInferenceRowCount: 1000,
+
+  /**
+    Date formats which are detected, in order of preference, e.g. month-first dates are
+    preferred to day-first dates unless some value can only be day-first.
+    Each format may be followed by a time, e.g. '12:30', '12:30:15.5' or '12:30 PM'.
+    @type {[Object]}
+   */
+  kDateFormats: [
+    { format: 'YYYY-MM-DD', pattern: '(\\d{4})-(\\d{1,2})-(\\d{1,2})', parts: ['year', 'month', 'day'],
+      isISO: true },
+    { format: 'YYYY-MM', pattern: '(\\d{4})-(\\d{1,2})', parts: ['year', 'month'], noTime: true,
+      isISO: true },
+    { format: 'YYYY/MM/DD', pattern: '(\\d{4})/(\\d{1,2})/(\\d{1,2})', parts: ['year', 'month', 'day'] },
+    { format: 'MM/DD/YYYY', pattern: '(\\d{1,2})/(\\d{1,2})/(\\d{4})', parts: ['month', 'day', 'year'] },
+    { format: 'DD/MM/YYYY', pattern: '(\\d{1,2})/(\\d{1,2})/(\\d{4})', parts: ['day', 'month', 'year'] },
+    { format: 'DD.MM.YYYY', pattern: '(\\d{1,2})\\.(\\d{1,2})\\.(\\d{4})', parts: ['day', 'month', 'year'] },
+    { format: 'DD-MM-YYYY', pattern: '(\\d{1,2})-(\\d{1,2})-(\\d{4})', parts: ['day', 'month', 'year'] }
+  ],
+
+  /**
+    The optional time which follows a date: hours, minutes, seconds, fractional seconds,
+    AM/PM and (for ISO dates) a time zone.
+    @type {String}
+   */
+  kTimePattern: '(?:[T ](\\d{1,2}):(\\d{2})(?::(\\d{2})(?:\\.(\\d+))?)?\\s*([AaPp][Mm])?(Z|[+-]\\d{2}:?\\d{2})?)?',
+
+  /**
+    The characters of bytes 0x80-0x9F in Windows-1252, which differs from ISO-8859-1
+    only in this range. Undefined bytes are decoded as the corresponding control characters.
+    @type {String}
+   */
+  kWindows1252Chars: '\u20AC\u0081\u201A\u0192\u201E\u2026\u2020\u2021\u02C6\u2030\u0160\u2039\u0152\u008D\u017D\u008F' +
+                      '\u0090\u2018\u2019\u201C\u201D\u2022\u2013\u2014\u02DC\u2122\u0161\u203A\u0153\u009D\u017E\u0178',
+
+  /**
+    The characters of bytes 0x80-0xFF in Mac OS Roman, which matches ASCII below 0x80.
+    @type {String}
+   */
+  kMacRomanChars: '\u00C4\u00C5\u00C7\u00C9\u00D1\u00D6\u00DC\u00E1\u00E0\u00E2\u00E4\u00E3\u00E5\u00E7\u00E9\u00E8' +
+                      '\u00EA\u00EB\u00ED\u00EC\u00EE\u00EF\u00F1\u00F3\u00F2\u00F4\u00F6\u00F5\u00FA\u00F9\u00FB\u00FC' +
+                      '\u2020\u00B0\u00A2\u00A3\u00A7\u2022\u00B6\u00DF\u00AE\u00A9\u2122\u00B4\u00A8\u2260\u00C6\u00D8' +
+                      '\u221E\u00B1\u2264\u2265\u00A5\u00B5\u2202\u2211\u220F\u03C0\u222B\u00AA\u00BA\u03A9\u00E6\u00F8' +
+                      '\u00BF\u00A1\u00AC\u221A\u0192\u2248\u2206\u00AB\u00BB\u2026\u00A0\u00C0\u00C3\u00D5\u0152\u0153' +
+                      '\u2013\u2014\u201C\u201D\u2018\u2019\u00F7\u25CA\u00FF\u0178\u2044\u20AC\u2039\u203A\uFB01\uFB02' +
+                      '\u2021\u00B7\u201A\u201E\u2030\u00C2\u00CA\u00C1\u00CB\u00C8\u00CD\u00CE\u00CF\u00CC\u00D3\u00D4' +
+                      '\uF8FF\u00D2\u00DA\u00DB\u00D9\u0131\u02C6\u02DC\u00AF\u02D8\u02D9\u02DA\u00B8\u02DD\u02DB\u02C7',
+
+  /**
+    Returns the text of the specified file contents, decoded with the specified encoding
+    or, if none is specified, with the detected encoding. Byte order marks are removed.
+    Contents whose encoding isn't supported are decoded as UTF-8; callers can check
+    isEncodingSupported() to warn the user.
+    @param {ArrayBuffer|Uint8Array|String} iData
+    @param {String} iEncoding -- optional
+    @returns {String}
+   */
+  decodeText: function(iData, iEncoding) {
+    var bytes, text;
+    if (typeof iData === 'string')
+      return iData.replace(/^\uFEFF/, '');
+    bytes = iData instanceof Uint8Array ? iData : new Uint8Array(iData);
+    try {
+      text = this.decodeBytes(bytes, iEncoding || this.detectEncoding(bytes));
+    }
+    catch (e) {
+      // unsupported encoding
+      text = this.decodeBytes(bytes, 'utf-8');
+    }
+    return text.replace(/^\uFEFF/, '');
+  },
+
+  /**
+    Returns true if text can be decoded with the specified encoding in this browser.
+    @param {String} iEncoding
+    @returns {Boolean}
+   */
+  isEncodingSupported: function(iEncoding) {
+    try {
+      this.decodeBytes(new Uint8Array(0), iEncoding);
+      return true;
+    }
+    catch (e) {
+      return false;
+    }
+  },
+
+  /**
+    Returns the encoding of the specified file contents, determined from its byte order
+    mark, if any, or else from its bytes. Contents which aren't valid UTF-8 are assumed
+    to be Windows-1252, the most common legacy encoding of spreadsheet exports.
+    @param {ArrayBuffer|Uint8Array} iData
+    @returns {String}
+   */
+  detectEncoding: function(iData) {
+    var bytes = iData instanceof Uint8Array ? iData : new Uint8Array(iData),
+        sampleLength = Math.min(bytes.length, 1000),
+        evenZeros = 0, oddZeros = 0, i;
+    if ((bytes[0] === 0xEF) && (bytes[1] === 0xBB) && (bytes[2] === 0xBF))
+      return 'utf-8';
+    if ((bytes[0] === 0xFF) && (bytes[1] === 0xFE))
+      return 'utf-16le';
+    if ((bytes[0] === 0xFE) && (bytes[1] === 0xFF))
+      return 'utf-16be';
+    // UTF-16 text without a byte order mark has zero bytes in alternate positions
+    for (i = 0; i < sampleLength; ++i) {
+      if (bytes[i] === 0) {
+        if (i % 2) ++oddZeros;
+        else ++evenZeros;
+      }
+    }
+    if (oddZeros > sampleLength / 4 && !evenZeros)
+      return 'utf-16le';
+    if (evenZeros > sampleLength / 4 && !oddZeros)
+      return 'utf-16be';
+    try {
+      this.decodeBytes(bytes, 'utf-8', true);
+      return 'utf-8';
+    }
+    catch (e) {
+      return 'windows-1252';
+    }
+  },
+
+  /**
+    Returns the text of the specified bytes decoded with the specified encoding, using
+    TextDecoder where the browser supports it and otherwise decodeBytesWithoutTextDecoder().
+    Byte order marks are retained.
+    @param {Uint8Array} iBytes
+    @param {String} iEncoding
+    @param {Boolean} iFatal -- whether invalid bytes throw rather than being replaced
+    @returns {String}
+    @throws {RangeError|TypeError} if the encoding isn't supported or, if fatal, the bytes are invalid
+   */
+  decodeBytes: function(iBytes, iEncoding, iFatal) {
+    if (typeof TextDecoder !== 'undefined')
+      return new TextDecoder(iEncoding, { fatal: !!iFatal, ignoreBOM: true }).decode(iBytes);
+    return this.decodeBytesWithoutTextDecoder(iBytes, iEncoding, iFatal);
+  },
+
+  /**
+    Decodes the specified bytes for browsers without TextDecoder, which support only
+    UTF-8, UTF-16, the Latin-1 encodings, i.e. Windows-1252 and ISO-8859-1, and Mac OS Roman.
+    Invalid bytes are replaced with U+FFFD.
+    @param {Uint8Array} iBytes
+    @param {String} iEncoding
+    @param {Boolean} iFatal -- whether invalid bytes throw rather than being replaced
+    @returns {String}
+    @throws {RangeError|TypeError} if the encoding isn't supported or, if fatal, the bytes are invalid
+   */
+  decodeBytesWithoutTextDecoder: function(iBytes, iEncoding, iFatal) {
+    var encoding = String(iEncoding).toLowerCase(),
+        chars = [],
+        i, byte, codePoint, continuationCount, minCodePoint, j;
+
+    function replace() {
+      if (iFatal) throw new TypeError('The encoded data was not valid for encoding ' + encoding);
+      chars.push('\uFFFD');
+    }
+
+    function pushCodePoint(iCodePoint) {
+      if (iCodePoint < 0x10000)
+        chars.push(String.fromCharCode(iCodePoint));
+      else {
+        iCodePoint -= 0x10000;
+        chars.push(String.fromCharCode(0xD800 + Math.floor(iCodePoint / 0x400), 0xDC00 + iCodePoint % 0x400));
+      }
+    }
+
+    switch (encoding) {
+      case 'utf-8':
+      case 'utf8':
+        for (i = 0; i < iBytes.length; ++i) {
+          byte = iBytes[i];
+          if (byte < 0x80) {
+            chars.push(String.fromCharCode(byte));
+            continue;
+          }
+          if (byte >= 0xC2 && byte <= 0xDF) {
+            continuationCount = 1; codePoint = byte - 0xC0; minCodePoint = 0x80;
+          }
+          else if (byte >= 0xE0 && byte <= 0xEF) {
+            continuationCount = 2; codePoint = byte - 0xE0; minCodePoint = 0x800;
+          }
+          else if (byte >= 0xF0 && byte <= 0xF4) {
+            continuationCount = 3; codePoint = byte - 0xF0; minCodePoint = 0x10000;
+          }
+          else {
+            replace();
+            continue;
+          }
+          for (j = 1; j <= continuationCount; ++j) {
+            byte = iBytes[i + j];
+            if (!(byte >= 0x80 && byte <= 0xBF)) break;
+            codePoint = codePoint * 0x40 + byte - 0x80;
+          }
+          // overlong encodings, surrogates and code points beyond U+10FFFF are invalid
+          if ((j <= continuationCount) || (codePoint < minCodePoint) || (codePoint > 0x10FFFF) ||
+              (codePoint >= 0xD800 && codePoint <= 0xDFFF)) {
+            replace();
+            continue;
+          }
+          pushCodePoint(codePoint);
+          i += continuationCount;
+        }
+        break;
+      case 'utf-16le':
+      case 'utf-16be':
+        for (i = 0; i + 1 < iBytes.length; i += 2) {
+          chars.push(String.fromCharCode(encoding === 'utf-16le'
+                                          ? iBytes[i] + iBytes[i + 1] * 0x100
+                                          : iBytes[i] * 0x100 + iBytes[i + 1]));
+        }
+        if (i < iBytes.length) replace();
+        break;
+      case 'windows-1252':
+      case 'iso-8859-1':
+      case 'latin1':
+        // TextDecoder decodes ISO-8859-1 as Windows-1252, as the Encoding Standard requires
+        for (i = 0; i < iBytes.length; ++i) {
+          byte = iBytes[i];
+          chars.push(byte >= 0x80 && byte <= 0x9F
+                      ? this.kWindows1252Chars.charAt(byte - 0x80)
+                      : String.fromCharCode(byte));
+        }
+        break;
+      case 'macintosh':
+      case 'mac':
+      case 'x-mac-roman':
+        for (i = 0; i < iBytes.length; ++i) {
+          byte = iBytes[i];
+          chars.push(byte >= 0x80 ? this.kMacRomanChars.charAt(byte - 0x80) : String.fromCharCode(byte));
+        }
+        break;
+      default:
+        throw new RangeError('The encoding ' + encoding + ' is not supported');
+    }
+    return chars.join('');
+  },
+
+  /**
+    Parses delimited text into rows of string values. Values may be quoted as in RFC 4180,
+    i.e. quoted values may contain delimiters, line breaks and doubled quotes. Blank lines
+    are skipped.
+    @param {String} iText
+    @param {String} iDelimiter
+    @param {Number} iMaxRows -- optional maximum number of rows to parse
+    @returns {[[String]]}
+   */
+  parseDelimitedText: function(iText, iDelimiter, iMaxRows) {
+    var rows = [], row = [], value = '',
+        maxRows = iMaxRows || Infinity,
+        length = iText.length,
+        isQuoted = false,
+        i = 0, ch;
+
+    function endRow() {
+      row.push(value);
+      if ((row.length > 1) || (row[0] !== ''))
+        rows.push(row);
+      row = [];
+      value = '';
+    }
+
+    while ((i < length) && (rows.length < maxRows)) {
+      ch = iText.charAt(i);
+      if (isQuoted) {
+        if (ch === '"') {
+          if (iText.charAt(i + 1) === '"') {
+            value += '"';
+            ++i;
+          }
+          else isQuoted = false;
+        }
+        else value += ch;
+      }
+      else if ((ch === '"') && (value === ''))
+        isQuoted = true;
+      else if (ch === iDelimiter) {
+        row.push(value);
+        value = '';
+      }
+      else if ((ch === '\n') || (ch === '\r')) {
+        if ((ch === '\r') && (iText.charAt(i + 1) === '\n'))
+          ++i;
+        endRow();
+      }
+      else value += ch;
+      ++i;
+    }
+    if ((rows.length < maxRows) && (row.length || (value !== '')))
+      endRow();
+    return rows;
+  },
+
+  /**
+    Returns the delimiter of the specified text, i.e. the one which splits its first
+    lines into the most columns, preferring delimiters which split every line into the
+    same number of columns.
+    @param {String} iText
+    @returns {String}
+   */
+  detectDelimiter: function(iText) {
+    var kSampleLength = 20000,
+        sample = iText.slice(0, kSampleLength),
+        bestDelimiter = this.kDelimiters[0],
+        bestScore = 0;
+    this.kDelimiters.forEach(function(iDelimiter) {
+      var rows = this.parseDelimitedText(sample, iDelimiter, 20),
+          counts, minCount, maxCount, score;
+      // the last row of a truncated sample may be incomplete
+      if ((iText.length > kSampleLength) && (rows.length > 1))
+        rows.pop();
+      if (!rows.length) return;
+      counts = rows.map(function(iRow) { return iRow.length; });
+      minCount = Math.min.apply(null, counts);
+      maxCount = Math.max.apply(null, counts);
+      if (minCount < 2) return;
+      score = minCount === maxCount ? 1000 + minCount : minCount;
+      if (score > bestScore) {
+        bestScore = score;
+        bestDelimiter = iDelimiter;
+      }
+    }, this);
+    return bestDelimiter;
+  },
+
+  /**
+    Returns true if the first of the specified rows appears to be a header row, i.e. its
+    values are unique and none of them are empty, numbers or dates.
+    @param {[[String]]} iRows
+    @returns {Boolean}
+   */
+  detectHeaderRow: function(iRows) {
+    var firstRow = iRows[0],
+        names = {};
+    if (!firstRow || !firstRow.length)
+      return false;
+    return firstRow.every(function(iValue) {
+      var value = iValue.trim();
+      if (!value || names[value] || this.isNumericString(value) || this.detectDateFormat([value]))
+        return false;
+      names[value] = true;
+      return true;
+    }, this);
+  },
+
+  /**
+    Returns true if the specified string is a number, which may have thousands separators.
+    @param {String} iValue
+    @returns {Boolean}
+   */
+  isNumericString: function(iValue) {
+    return /^[-+]?(\d+\.?\d*|\.\d+|\d{1,3}(,\d{3})+(\.\d*)?)([eE][-+]?\d+)?$/.test(iValue);
+  },
+
+  /**
+    Returns true if the specified string is true or false, ignoring case.
+    @param {String} iValue
+    @returns {Boolean}
+   */
+  isBooleanString: function(iValue) {
+    return /^(true|false)$/i.test(iValue);
+  },
+
+  /**
+    Returns true if the specified string is a GeoJSON object.
+    @param {String} iValue
+    @returns {Boolean}
+   */
+  isBoundaryString: function(iValue) {
+    var object;
+    if (iValue.charAt(0) !== '{')
+      return false;
+    try {
+      object = JSON.parse(iValue);
+    }
+    catch (e) {
+      return false;
+    }
+    return !!object && (typeof object.type === 'string') &&
+            (!!object.geometry || !!object.features || !!object.coordinates || !!object.geometries);
+  },
+
+  /**
+    Returns the parts of the specified date string in the specified format, or null if the
+    string isn't a valid date in that format.
+    @param {String} iValue
+    @param {Object} iFormat -- one of the kDateFormats
+    @returns {Object|null} { year, month, day, hours, minutes, seconds, milliseconds, zone }
+   */
+  parseDateParts: function(iValue, iFormat) {
+    var regex = iFormat.regex ||
+                  (iFormat.regex = new RegExp('^' + iFormat.pattern +
+                                              (iFormat.noTime ? '' : this.kTimePattern) + '$')),
+        match = regex.exec(iValue),
+        partCount = iFormat.parts.length,
+        parts = { month: 1, day: 1 },
+        meridiem, zone;
+    if (!match)
+      return null;
+    iFormat.parts.forEach(function(iPart, iIndex) {
+      parts[iPart] = Number(match[iIndex + 1]);
+    });
+    if (match[partCount + 1] != null) {
+      parts.hours = Number(match[partCount + 1]);
+      parts.minutes = Number(match[partCount + 2]);
+      if (match[partCount + 3] != null)
+        parts.seconds = Number(match[partCount + 3]);
+      if (match[partCount + 4] != null)
+        parts.milliseconds = Math.round(Number('0.' + match[partCount + 4]) * 1000);
+      meridiem = match[partCount + 5];
+      zone = match[partCount + 6];
+      if (meridiem) {
+        if ((parts.hours < 1) || (parts.hours > 12)) return null;
+        parts.hours = (parts.hours % 12) + (/^p/i.test(meridiem) ? 12 : 0);
+      }
+      if (zone && !iFormat.isISO) return null;
+      parts.zone = zone;
+      if ((parts.hours > 23) || (parts.minutes > 59) || (parts.seconds > 59)) return null;
+    }
+    if ((parts.month < 1) || (parts.month > 12) || (parts.day < 1) ||
+        (parts.day > new Date(Date.UTC(parts.year, parts.month, 0)).getUTCDate()))
+      return null;
+    return parts;
+  },
+
+  /**
+    Returns the date format of the specified values, i.e. the first of the kDateFormats
+    in which all of the values are valid dates, and the precision of the values, e.g.
+    DG.Attribute.DATE_PRECISION_MINUTE if some values have times but none have seconds.
+    @param {[String]} iValues -- non-empty values
+    @returns {Object|null} { format, precision }
+   */
+  detectDateFormat: function(iValues) {
+    var precisions = [DG.Attribute.DATE_PRECISION_MONTH, DG.Attribute.DATE_PRECISION_DAY,
+                      DG.Attribute.DATE_PRECISION_MINUTE, DG.Attribute.DATE_PRECISION_SECOND,
+                      DG.Attribute.DATE_PRECISION_MILLISECOND],
+        result = null;
+
+    function valuePrecisionIndex(iParts, iFormat) {
+      if (iParts.milliseconds != null) return 4;
+      if (iParts.seconds != null) return 3;
+      if (iParts.hours != null) return 2;
+      return iFormat.parts.length < 3 ? 0 : 1;
+    }
+
+    if (!iValues.length)
+      return null;
+    this.kDateFormats.some(function(iFormat) {
+      var precisionIndex = 0,
+          isValid = iValues.every(function(iValue) {
+            var parts = this.parseDateParts(iValue, iFormat);
+            if (parts)
+              precisionIndex = Math.max(precisionIndex, valuePrecisionIndex(parts, iFormat));
+            return !!parts;
+          }, this);
+      if (isValid)
+        result = { format: iFormat.format, precision: precisions[precisionIndex] };
+      return isValid;
+    }, this);
+    return result;
+  },
+
+  /**
+    Returns the column specification inferred from the specified values of a column.
+    @param {[String]} iValues
+    @returns {Object} { type, precision, dateFormat, datePrecision }
+   */
+  inferColumn: function(iValues) {
+    var values = [], column = { type: 'categorical' }, dateFormat;
+    iValues.forEach(function(iValue) {
+      var value = iValue != null ? String(iValue).trim() : '';
+      if (value) values.push(value);
+    });
+    if (!values.length)
+      return column;
+    if (values.every(this.isBooleanString)) {
+      column.type = 'boolean';
+    }
+    else if (values.every(this.isNumericString)) {
+      column.type = 'numeric';
+      column.precision = Math.min(8, values.reduce(function(iMax, iValue) {
+        var match = /\.(\d+)(?:[eE]|$)/.exec(iValue);
+        return Math.max(iMax, match ? match[1].length : 0);
+      }, 0));
+    }
+    else if ((dateFormat = this.detectDateFormat(values)) != null) {
+      column.type = 'date';
+      column.dateFormat = dateFormat.format;
+      column.datePrecision = dateFormat.precision;
+    }
+    else if (values.every(this.isBoundaryString)) {
+      column.type = 'boundary';
+    }
+    return column;
+  },
+
+  /**
+    Returns the columns inferred from the specified rows.
+    @param {[[String]]} iRows
+    @param {Boolean} iHasHeaderRow -- true if the names of the columns are in the first row
+    @returns {[Object]} columns
+   */
+  inferColumns: function(iRows, iHasHeaderRow) {
+    var headerRow = iHasHeaderRow ? iRows[0] || [] : [],
+        dataRows = iRows.slice(iHasHeaderRow ? 1 : 0, (iHasHeaderRow ? 1 : 0) + this.kInferenceRowCount),
+        columnCount = iRows.reduce(function(iMax, iRow) { return Math.max(iMax, iRow.length); }, 0),
+        names = {},
+        columns = [], i;
+    for (i = 0; i < columnCount; ++i) {
+      columns.push(this.inferColumnAt(dataRows, headerRow, i, names));
+    }
+    return columns;
+  },
+
+  /**
+    Returns the column inferred from the values at the specified index of the specified rows.
+    Names are made unique by appending a suffix to names which are already in iNames.
+    @param {[[String]]} iDataRows
+    @param {[String]} iHeaderRow
+    @param {Number} iIndex
+    @param {Object} iNames -- map of the names of previous columns
+    @returns {Object} column
+   */
+  inferColumnAt: function(iDataRows, iHeaderRow, iIndex, iNames) {
+    var column = this.inferColumn(iDataRows.map(function(iRow) { return iRow[iIndex]; })),
+        nameAndUnit = this.splitNameAndUnit(iHeaderRow[iIndex] || ''),
+        name = nameAndUnit.name || 'DG.TextImportDialog.defaultColumnName'.loc(iIndex + 1),
+        uniqueName = name,
+        suffix = 1;
+    while (iNames[uniqueName])
+      uniqueName = name + '_' + (++suffix);
+    iNames[uniqueName] = true;
+    return $.extend(column, { index: iIndex, include: true, name: uniqueName, unit: nameAndUnit.unit });
+  },
+
+  /**
+    Splits a header value into a name and a unit, e.g. 'height (cm)' => { name: 'height', unit: 'cm' }.
+    @param {String} iHeader
+    @returns {Object} { name, unit }
+   */
+  splitNameAndUnit: function(iHeader) {
+    var match = /^(.*\S)\s*\(([^()]+)\)$/.exec(iHeader.trim());
+    return match
+            ? { name: match[1], unit: match[2].trim() }
+            : { name: iHeader.trim(), unit: '' };
+  },
+
+  /**
+    Returns true if the specified string value is empty or can be converted as specified
+    by its column.
+    @param {String} iValue
+    @param {Object} iColumn
+    @returns {Boolean}
+   */
+  isValidValue: function(iValue, iColumn) {
+    var value = iValue != null ? String(iValue).trim() : '',
+        format;
+    if (!value)
+      return true;
+    switch (iColumn.type) {
+      case 'numeric':
+        return this.isNumericString(value);
+      case 'boolean':
+        return this.isBooleanString(value);
+      case 'date':
+        format = this.getDateFormat(iColumn.dateFormat);
+        return !!format && !!this.formatISODate(value, format);
+      case 'boundary':
+        return this.isBoundaryString(value);
+      default:
+        return true;
+    }
+  },
+
+  /**
+    Returns the specified string value converted as specified by its column, e.g. numbers
+    for numeric columns and ISO dates for date columns. Values which can't be converted are
+    returned unchanged.
+    @param {String} iValue
+    @param {Object} iColumn
+    @returns {String|Number|Boolean}
+   */
+  convertValue: function(iValue, iColumn) {
+    var value = iValue != null ? String(iValue).trim() : '',
+        format;
+    if (!value)
+      return '';
+    switch (iColumn.type) {
+      case 'numeric':
+        return this.isNumericString(value) ? Number(value.replace(/,/g, '')) : iValue;
+      case 'boolean':
+        return this.isBooleanString(value) ? /^true$/i.test(value) : iValue;
+      case 'date':
+        format = this.getDateFormat(iColumn.dateFormat);
+        return (format && this.formatISODate(value, format)) || iValue;
+      default:
+        return iValue;
+    }
+  },
+
+  /**
+    Returns the one of the kDateFormats with the specified name, e.g. 'MM/DD/YYYY'.
+    @param {String} iName
+    @returns {Object|undefined}
+   */
+  getDateFormat: function(iName) {
+    return this.kDateFormats.filter(function(iFormat) {
+      return iFormat.format === iName;
+    })[0];
+  },
+
+  /**
+    Returns the specified date string in the specified format as an ISO 8601 date string,
+    or null if it isn't a valid date in that format.
+    @param {String} iValue
+    @param {Object} iFormat -- one of the kDateFormats
+    @returns {String|null}
+   */
+  formatISODate: function(iValue, iFormat) {
+    var parts = this.parseDateParts(iValue, iFormat),
+        result;
+
+    function pad(iNumber, iLength) {
+      var str = String(iNumber);
+      while (str.length < (iLength || 2)) str = '0' + str;
+      return str;
+    }
+
+    if (!parts)
+      return null;
+    result = pad(parts.year, 4) + '-' + pad(parts.month) + (iFormat.parts.length > 2 ? '-' + pad(parts.day) : '');
+    if (parts.hours != null) {
+      result += 'T' + pad(parts.hours) + ':' + pad(parts.minutes) + ':' + pad(parts.seconds || 0);
+      if (parts.milliseconds != null)
+        result += '.' + pad(parts.milliseconds, 3);
+      if (parts.zone)
+        result += parts.zone;
+    }
+    return result;
+  },
+
+  /**
+    Returns the properties of the attribute which corresponds to the specified column.
+    @param {Object} iColumn
+    @returns {Object} { name, type, unit, precision }
+   */
+  getAttributeProperties: function(iColumn) {
+    var props = { name: iColumn.name };
+    if (iColumn.unit)
+      props.unit = iColumn.unit;
+    switch (iColumn.type) {
+      case 'numeric':
+        props.type = DG.Attribute.TYPE_NUMERIC;
+        if (iColumn.precision != null)
+          props.precision = iColumn.precision;
+        break;
+      case 'date':
+        props.type = DG.Attribute.TYPE_DATE;
+        if (iColumn.datePrecision)
+          props.precision = iColumn.datePrecision;
+        break;
+      case 'boundary':
+        props.type = DG.Attribute.TYPE_BOUNDARY;
+        break;
+      default:
+        props.type = DG.Attribute.TYPE_CATEGORICAL;
+    }
+    return props;
+  },
+
+  /**
+    Returns the values of the cases to be created from the specified rows.
+    @param {[[String]]} iRows -- data rows, i.e. without the header row
+    @param {[Object]} iColumns
+    @returns {[Object]} map from attribute name to value for each row
+   */
+  getCaseValues: function(iRows, iColumns) {
+    var columns = iColumns.filter(function(iColumn) { return iColumn.include; });
+    return iRows.map(function(iRow) {
+      var values = {};
+      columns.forEach(function(iColumn) {
+        values[iColumn.name] = this.convertValue(iRow[iColumn.index], iColumn);
+      }, this);
+      return values;
+    }, this);
+  }
+};
@@ -21,6 +21,7 @@
 // ==========================================================================
 
 sc_require('formula/formula_context');
+sc_require('formula/formula_localizer');
 sc_require('views/formula_rich_edit_view');
 
 /** @class
@@ -34,11 +35,11 @@ DG.AttributeFormulaView = SC.PalettePane.extend(
 
   isModal: YES,
 
-  layout: { width: 400, height: 180, centerX: 0, centerY: 0 },
+  layout: { width: 400, height: 200, centerX: 0, centerY: 0 },
 
   contentView: SC.View.extend({
     classNames: 'dg-formula-dialog',
-    childViews: 'attrName equalsLabel formula operandPopup functionPopup apply cancel'.w(),
+    childViews: 'attrName equalsLabel formula operandPopup functionPopup diagnostics apply cancel'.w(),
       attrName: SC.TextFieldView.design({
         layout: { top: 5, left: 5, right: 25, height:24 },
         value: '',
@@ -98,7 +99,8 @@ DG.AttributeFormulaView = SC.PalettePane.extend(
         mouseDown: function() {
           if (this._fbDiv && DG.React.Components.FunctionBrowser) {
             var onSelectFunction = function(name, argList, info) {
-                  this.getPath('parentView.formula').replaceSelectionWithString("%@(%@)".fmt(name, argList));
+                  this.getPath('parentView.formula').replaceSelectionWithString(
+                      DG.FormulaLocalizer.toLocalized("%@(%@)".fmt(name, argList)));
                 }.bind(this),
                 fbComponent = DG.React.Components.FunctionBrowser({
                                                     anchor: this.get('layer'),
@@ -117,6 +119,11 @@ DG.AttributeFormulaView = SC.PalettePane.extend(
           document.body.appendChild(this._fbDiv);
         }
       }),
+      diagnostics: SC.LabelView.design({
+        layout: { top: 142, left: 5, right: 5, height: 20 },
+        classNames: 'dg-formula-diagnostics',
+        value: ''
+      }),
       apply: SC.ButtonView.design({
         layout: { bottom:5, right: 5, height:24, width: 90 },
         titleMinWidth: 0,
@@ -201,6 +208,17 @@ DG.AttributeFormulaView = SC.PalettePane.extend(
     this.setPath('contentView.operandPopup.menu.selectedItem', null);
   }.observes('.contentView.operandPopup.menu.selectedItem'),
 
+  /**
+    Observer function called when the formula's diagnostics change.
+    Displays the first problem found, with all of them in the tooltip.
+   */
+  formulaDiagnosticsDidChange: function() {
+    var diagnostics = this.getPath('contentView.formula.diagnostics') || [],
+        messages = diagnostics.map(function(iDiagnostic) { return iDiagnostic.message; });
+    this.setPath('contentView.diagnostics.value', messages[0] || '');
+    this.setPath('contentView.diagnostics.toolTip', messages.join('\n'));
+  }.observes('.contentView.formula.diagnostics'),
+
   /**
     Close the dialog.
    */
@@ -272,7 +290,7 @@ DG.AttributeFormulaView.buildOperandsMenuAndCompletionData = function(iDataConte
   tCompletionData.push({ label: "pi", value: "π", category: kConstantsCategory,
                           fontFamily: "Symbol,serif", fontSize: "130%" });
 
-  appendNamesToCompletionData(DG.functionRegistry.get('namesWithParentheses'), kFunctionsCategory);
+  appendNamesToCompletionData(DG.functionRegistry.get('displayNamesWithParentheses'), kFunctionsCategory);
 
   return { operandsMenu: tOperandsMenu, completionData: tCompletionData };
 };
@@ -292,6 +310,7 @@ DG.CreateAttributeFormulaView = function( iProperties) {
       formulaNames: 'formula.names',
       formulaHint: 'formula.hint',
       formulaIsEnabled: 'formula.isEnabled',
+      formulaValidation: 'formula.validationOptions',
 
       formulaOperands: 'operandPopup.menu.rawItems',
 
@@ -312,6 +331,9 @@ DG.CreateAttributeFormulaView = function( iProperties) {
   DG.ObjectMap.forEach( iProperties,
               function( iKey, iValue) {
                 var tParamPath = kParamMap[ iKey];
+                // formulas are stored canonically but edited in the localized syntax
+                if( iKey === 'formulaValue')
+                  iValue = DG.FormulaLocalizer.toLocalized( iValue);
                 if( !SC.empty( tParamPath))
                   tContentView.setPath( tParamPath, iValue);
               } );
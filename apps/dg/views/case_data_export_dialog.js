@@ -0,0 +1,237 @@
+// ==========================================================================
+//                        DG.CaseDataExportDialog
+//
+//  Copyright (c) 2021 by The Concord Consortium, Inc. All rights reserved.
+//
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing, software
+//  distributed under the License is distributed on an "AS IS" BASIS,
+//  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//  See the License for the specific language governing permissions and
+//  limitations under the License.
+// ==========================================================================
+
+sc_require('utilities/case_data_export_utilities');
+
+/** @class
+
+  A dialog for the export of the case data of a data context to a file, which lets the
+  user choose the collection, the format and the cases to export (all, selected or those
+  passing the dataset's active filters) and whether to include parent attributes, hidden
+  attributes and attribute metadata.
+  GeoJSON is offered only if the exported attributes locate the cases.
+
+  @extends SC.PalettePane
+*/
+DG.CaseDataExportDialog = SC.PalettePane.extend(
+/** @scope DG.CaseDataExportDialog.prototype */ {
+
+  isModal: true,
+
+  layout: { width: 420, height: 250, centerX: 0, centerY: 0 },
+
+  /**
+    The data context whose case data is exported.
+    @property {DG.DataContext}
+   */
+  dataContext: null,
+
+  /**
+    Called with the name of the collection (or 'DG.CaseTableController.allTables') and
+    the options of DG.DataContext.exportCaseData() when the user exports.
+    @property {Function}
+   */
+  exportAction: null,
+
+  contentView: SC.View.extend({
+
+    childViews: ('collectionLabel collectionSelect formatLabel formatSelect casesLabel casesSelect ' +
+                  'parentsCheckbox hiddenCheckbox metadataCheckbox exportButton cancelButton').w(),
+    collectionLabel: SC.LabelView.extend({
+      layout: { top: 13, left: 10, width: 100, height: 20 },
+      localize: true,
+      value: 'DG.CaseDataExportDialog.collection'  // "Collection:"
+    }),
+    collectionSelect: SC.SelectView.extend({
+      layout: { top: 10, left: 110, right: 10, height: 24 },
+      itemTitleKey: 'title',
+      itemValueKey: 'value',
+      items: [],
+      value: null
+    }),
+    formatLabel: SC.LabelView.extend({
+      layout: { top: 45, left: 10, width: 100, height: 20 },
+      localize: true,
+      value: 'DG.CaseDataExportDialog.format'  // "Format:"
+    }),
+    formatSelect: SC.SelectView.extend({
+      layout: { top: 42, left: 110, right: 10, height: 24 },
+      itemTitleKey: 'title',
+      itemValueKey: 'value',
+      items: [],
+      localize: true,
+      value: 'csv'
+    }),
+    casesLabel: SC.LabelView.extend({
+      layout: { top: 77, left: 10, width: 100, height: 20 },
+      localize: true,
+      value: 'DG.CaseDataExportDialog.cases'  // "Cases:"
+    }),
+    casesSelect: SC.SelectView.extend({
+      layout: { top: 74, left: 110, right: 10, height: 24 },
+      itemTitleKey: 'title',
+      itemValueKey: 'value',
+      items: [
+        { value: 'all', title: 'DG.CaseDataExportDialog.cases.all' },
+        { value: 'selected', title: 'DG.CaseDataExportDialog.cases.selected' }
+      ],
+      localize: true,
+      value: 'all'
+    }),
+    parentsCheckbox: SC.CheckboxView.extend({
+      layout: { top: 108, left: 10, right: 10, height: 20 },
+      localize: true,
+      title: 'DG.CaseDataExportDialog.includeParents',  // "Include the attributes of parent collections"
+      value: true
+    }),
+    hiddenCheckbox: SC.CheckboxView.extend({
+      layout: { top: 132, left: 10, right: 10, height: 20 },
+      localize: true,
+      title: 'DG.CaseDataExportDialog.includeHidden',  // "Include hidden attributes"
+      value: false
+    }),
+    metadataCheckbox: SC.CheckboxView.extend({
+      layout: { top: 156, left: 10, right: 10, height: 20 },
+      localize: true,
+      title: 'DG.CaseDataExportDialog.includeMetadata',  // "Include attribute metadata ..."
+      value: false
+    }),
+    exportButton: SC.ButtonView.design({
+      layout: { bottom: 5, right: 110, height: 24, width: 90 },
+      titleMinWidth: 0,
+      localize: true,
+      title: 'DG.AppController.exportDocument.exportTitle',  // "Export"
+      toolTip: 'DG.AppController.exportDocument.exportTooltip',
+      target: null,
+      action: null,
+      isDefault: true
+    }),
+    cancelButton: SC.ButtonView.design({
+      layout: { bottom: 5, right: 10, height: 24, width: 90 },
+      titleMinWidth: 0,
+      localize: true,
+      title: 'DG.AppController.exportDocument.cancelTitle',  // "Cancel"
+      toolTip: 'DG.AppController.exportDocument.cancelTooltip',
+      target: null,
+      action: null,
+      isCancel: true
+    })
+  }),
+
+  init: function() {
+    sc_super();
+
+    var collectionItems = [];
+    this.get('dataContext').forEachCollection(function(iCollection) {
+      collectionItems.push({ value: iCollection.get('name'), title: iCollection.get('name') });
+    });
+    collectionItems.push({ value: 'DG.CaseTableController.allTables'.loc(),
+                            title: 'DG.CaseTableController.allTables'.loc() });
+
+    this.setPath('contentView.exportButton.target', this);
+    this.setPath('contentView.exportButton.action', 'exportCaseData');
+    this.setPath('contentView.cancelButton.target', this);
+    this.setPath('contentView.cancelButton.action', 'close');
+
+    if (this.get('dataContext').getFilters().some(function(iFilter) { return iFilter.isActive; })) {
+      this.setPath('contentView.casesSelect.items', this.getPath('contentView.casesSelect.items').concat([
+                    { value: 'filtered', title: 'DG.CaseDataExportDialog.cases.filtered' }]));
+    }
+    this.setPath('contentView.collectionSelect.items', collectionItems);
+    this.setPath('contentView.collectionSelect.value', collectionItems[collectionItems.length - 1].value);
+    this.updateControls();
+  },
+
+  /**
+    Returns the export options chosen by the user.
+    @returns {Object}
+   */
+  getOptions: function() {
+    var contentView = this.get('contentView'),
+        dataContext = this.get('dataContext');
+    return {
+      format: contentView.getPath('formatSelect.value'),
+      includeParents: contentView.getPath('parentsCheckbox.value'),
+      includeHidden: contentView.getPath('hiddenCheckbox.value'),
+      includeMetadata: contentView.getPath('metadataCheckbox.value') &&
+                        contentView.getPath('metadataCheckbox.isEnabled'),
+      selectedOnly: contentView.getPath('casesSelect.value') === 'selected',
+      caseFilter: (contentView.getPath('casesSelect.value') === 'filtered')
+                    ? function(iCase) { return dataContext.caseMatchesFilters(iCase); }
+                    : null
+    };
+  },
+
+  /**
+    Offers GeoJSON if the attributes to export locate the cases and enables the options
+    which apply to the chosen collection and format.
+   */
+  updateControls: function() {
+    var dataContext = this.get('dataContext'),
+        contentView = this.get('contentView'),
+        whichCollection = contentView.getPath('collectionSelect.value'),
+        isAllTables = whichCollection === 'DG.CaseTableController.allTables'.loc(),
+        options = this.getOptions(),
+        attrs = dataContext.getExportCollections(whichCollection, options).reduce(function(iAttrs, iCollection) {
+                  return iAttrs.concat(dataContext.getExportAttributes(iCollection, options));
+                }, []),
+        formats = ['csv', 'tsv', 'json', 'ndjson'];
+
+    if (DG.CaseDataExportUtilities.findGeoAttributes(attrs))
+      formats.push('geojson');
+    contentView.setPath('formatSelect.items', formats.map(function(iFormat) {
+      return { value: iFormat, title: 'DG.CaseDataExportDialog.format.' + iFormat };
+    }));
+    if (formats.indexOf(options.format) < 0)
+      contentView.setPath('formatSelect.value', 'csv');
+    contentView.setPath('parentsCheckbox.isEnabled',
+                        !isAllTables && (dataContext.getCollectionByName(whichCollection) !==
+                                          dataContext.getCollectionAtIndex(0)));
+    contentView.setPath('metadataCheckbox.isEnabled', contentView.getPath('formatSelect.value') !== 'ndjson');
+  }.observes('.contentView.collectionSelect.value', '.contentView.formatSelect.value',
+              '.contentView.parentsCheckbox.value', '.contentView.hiddenCheckbox.value'),
+
+  /**
+    Exports the case data with the chosen options.
+   */
+  exportCaseData: function() {
+    var whichCollection = this.getPath('contentView.collectionSelect.value'),
+        options = this.getOptions();
+    this.close();
+    if (this.exportAction)
+      this.exportAction(whichCollection, options);
+  },
+
+  close: function() {
+    this.remove();
+    this.destroy();
+  }
+});
+
+/**
+  Puts up a dialog for the export of the case data of a data context.
+  @param {Object} iConfig
+              {DG.DataContext} dataContext -- the data context whose case data is exported
+              {Function}       exportAction -- called with the collection name and options
+  @returns {DG.CaseDataExportDialog} the created dialog
+ */
+DG.CreateCaseDataExportDialog = function(iConfig) {
+  var tDialog = DG.CaseDataExportDialog.create(iConfig);
+  tDialog.append();
+  return tDialog;
+};
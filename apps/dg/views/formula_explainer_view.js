@@ -0,0 +1,285 @@
+// ==========================================================================
+//                          DG.FormulaExplainerView
+//
+//  A dialog which explains how a formula arrives at its value for a case
+//  and lets the user step through the evaluation of its sub-expressions.
+//
+//  Copyright (c) 2021 by The Concord Consortium, Inc. All rights reserved.
+//
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing, software
+//  distributed under the License is distributed on an "AS IS" BASIS,
+//  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//  See the License for the specific language governing permissions and
+//  limitations under the License.
+// ==========================================================================
+
+sc_require('formula/formula_explainer');
+sc_require('formula/formula_localizer');
+
+/** @class
+
+  Displays an explanation produced by DG.FormulaExplainer.explainAttributeValue():
+  the value of each sub-expression of the formula, the cases consumed by each aggregate
+  function and the dependencies registered for the formula. The Previous and Next buttons
+  step through the sub-expressions in the order in which they were evaluated.
+
+  @extends SC.PalettePane
+*/
+DG.FormulaExplainerView = SC.PalettePane.extend(
+/** @scope DG.FormulaExplainerView.prototype */ {
+
+  isModal: true,
+
+  layout: { width: 520, height: 440, centerX: 0, centerY: 0 },
+
+  /**
+    The explanation to display.
+    @property {Object}
+   */
+  explanation: null,
+
+  /**
+    The (1-based) evaluation step currently highlighted, or 0 for none.
+    @property {Number}
+   */
+  currentStep: 0,
+
+  /**
+    The maximum number of case indices listed for each aggregate function.
+    @property {Number}
+   */
+  maxListedCases: 20,
+
+  contentView: SC.View.extend({
+
+    childViews: 'titleView explanationView stepView prevButton nextButton closeButton'.w(),
+    titleView: SC.LabelView.extend({
+      layout: { top: 10, left: 10, right: 10, height: 24 },
+      fontWeight: SC.BOLD_WEIGHT,
+      value: ''
+    }),
+    explanationView: SC.LabelView.extend({
+      layout: { top: 40, left: 10, right: 10, bottom: 40 },
+      classNames: 'dg-formula-explainer'.w(),
+      escapeHTML: NO,
+      value: ''
+    }),
+    stepView: SC.LabelView.extend({
+      layout: { bottom: 5, left: 10, height: 24, width: 150 },
+      value: ''
+    }),
+    prevButton: SC.ButtonView.design({
+      layout: { bottom: 5, right: 215, height: 24, width: 90 },
+      titleMinWidth: 0,
+      localize: true,
+      title: 'DG.FormulaExplainer.prevStep',  // "Previous"
+      toolTip: 'DG.FormulaExplainer.prevStepTooltip',
+      target: null,
+      action: null
+    }),
+    nextButton: SC.ButtonView.design({
+      layout: { bottom: 5, right: 115, height: 24, width: 90 },
+      titleMinWidth: 0,
+      localize: true,
+      title: 'DG.FormulaExplainer.nextStep',  // "Next"
+      toolTip: 'DG.FormulaExplainer.nextStepTooltip',
+      target: null,
+      action: null
+    }),
+    closeButton: SC.ButtonView.design({
+      layout: { bottom: 5, right: 10, height: 24, width: 90 },
+      titleMinWidth: 0,
+      localize: true,
+      title: 'DG.FormulaExplainer.close',  // "Close"
+      target: null,
+      action: null,
+      isDefault: true,
+      isCancel: true
+    })
+  }),
+
+  init: function() {
+    sc_super();
+
+    this.setPath('contentView.prevButton.target', this);
+    this.setPath('contentView.prevButton.action', 'prevStep');
+    this.setPath('contentView.nextButton.target', this);
+    this.setPath('contentView.nextButton.action', 'nextStep');
+    this.setPath('contentView.closeButton.target', this);
+    this.setPath('contentView.closeButton.action', 'close');
+    this.explanationDidChange();
+  },
+
+  stepCount: function() {
+    var steps = this.getPath('explanation.steps');
+    return steps ? steps.length : 0;
+  }.property('explanation'),
+
+  prevStep: function() {
+    if (this.get('currentStep') > 1)
+      this.decrementProperty('currentStep');
+  },
+
+  nextStep: function() {
+    if (this.get('currentStep') < this.get('stepCount'))
+      this.incrementProperty('currentStep');
+  },
+
+  explanationDidChange: function() {
+    var explanation = this.get('explanation');
+    this.setPath('contentView.titleView.value', explanation
+                  ? 'DG.FormulaExplainer.title'.loc(explanation.attributeName, explanation.caseIndex,
+                                                    this.formatValue(explanation.value))
+                  : '');
+    this.set('currentStep', 0);
+    this.stepDidChange();
+  }.observes('explanation'),
+
+  stepDidChange: function() {
+    var step = this.get('currentStep'),
+        stepCount = this.get('stepCount');
+    this.setPath('contentView.explanationView.value', this.renderExplanation());
+    this.setPath('contentView.stepView.value', step
+                  ? 'DG.FormulaExplainer.stepOf'.loc(step, stepCount)
+                  : 'DG.FormulaExplainer.stepCount'.loc(stepCount));
+    this.setPath('contentView.prevButton.isEnabled', step > 1);
+    this.setPath('contentView.nextButton.isEnabled', step < stepCount);
+  }.observes('currentStep'),
+
+  /**
+    Returns a string representation of a formula value.
+    @param    {Object}  iValue
+    @returns  {String}
+   */
+  formatValue: function(iValue) {
+    if (iValue instanceof Error) return iValue.message || iValue.name;
+    if (SC.empty(iValue)) return 'DG.FormulaExplainer.emptyValue'.loc();
+    if (DG.isDate(iValue)) return DG.formatDate(iValue);
+    if (typeof iValue === 'string') return '"' + iValue + '"';
+    return String(iValue);
+  },
+
+  /**
+    Returns the HTML for the explanation with the current step highlighted.
+    @returns  {String}
+   */
+  renderExplanation: function() {
+    var explanation = this.get('explanation'),
+        currentStep = this.get('currentStep'),
+        maxListedCases = this.get('maxListedCases'),
+        escape = SC.RenderContext.escapeHTML,
+        formatValue = this.formatValue.bind(this),
+        html = [];
+
+    function caseList(iCases) {
+      var indices = iCases.slice(0, maxListedCases).map(function(iCase) {
+                      var map = iCase.getPath('collection.caseIDToGroupedIndexMap'),
+                          index = map && map[iCase.get('id')];
+                      return index != null ? index + 1 : iCase.get('id');
+                    });
+      return indices.join(', ') + (iCases.length > maxListedCases ? ', …' : '');
+    }
+
+    function renderAggregate(iAggregate) {
+      var consumed = iAggregate.consumedCases,
+          filtered = iAggregate.filteredCases,
+          parts = ['<div class="dg-formula-explainer-aggregate">',
+                    escape('DG.FormulaExplainer.aggregateCases'.loc(consumed.length,
+                                consumed.length + filtered.length, iAggregate.collectionName))];
+      if (consumed.length)
+        parts.push('<br>', escape('DG.FormulaExplainer.consumedCases'.loc(caseList(consumed))));
+      if (iAggregate.hasFilter)
+        parts.push('<br>', escape('DG.FormulaExplainer.filteredCases'.loc(filtered.length)));
+      if (filtered.length)
+        parts.push(' ', escape(caseList(filtered)));
+      parts.push('</div>');
+      return parts.join('');
+    }
+
+    function renderNode(iNode) {
+      var classes = ['dg-formula-explainer-node'],
+          valueStr;
+      if (!iNode.isEvaluated) classes.push('dg-formula-explainer-skipped');
+      if (iNode.error) classes.push('dg-formula-explainer-error');
+      if (iNode.step && (iNode.step === currentStep)) classes.push('dg-formula-explainer-current');
+      valueStr = iNode.isEvaluated ? formatValue(iNode.value) : 'DG.FormulaExplainer.notEvaluated'.loc();
+      html.push('<li><span class="', classes.join(' '), '">',
+                iNode.step ? '<span class="dg-formula-explainer-step">' + iNode.step + '</span> ' : '',
+                '<code>', escape(DG.FormulaLocalizer.toLocalized(iNode.source)), '</code> → ', escape(valueStr),
+                iNode.isUserFunction ? ' <em>' + escape('DG.FormulaExplainer.userFunction'.loc()) + '</em>' : '',
+                '</span>');
+      if (iNode.aggregate) html.push(renderAggregate(iNode.aggregate));
+      if (iNode.children && iNode.children.length) {
+        html.push('<ul>');
+        iNode.children.forEach(renderNode);
+        html.push('</ul>');
+      }
+      html.push('</li>');
+    }
+
+    function describeDependency(iDependency) {
+      var key = 'DG.FormulaExplainer.dependency.' + iDependency.type,
+          desc = key.loc(iDependency.name);
+      if (desc === key) desc = iDependency.name;
+      return desc + ' (' + (iDependency.aggFnIndices.length
+                              ? (iDependency.simpleDependency
+                                  ? 'DG.FormulaExplainer.dependency.both'
+                                  : 'DG.FormulaExplainer.dependency.aggregate')
+                              : 'DG.FormulaExplainer.dependency.simple').loc() + ')';
+    }
+
+    if (!explanation) return '';
+
+    html.push('<div class="dg-formula-explainer-formula"><code>', escape(DG.FormulaLocalizer.toLocalized(explanation.formula)), '</code></div>');
+    if (explanation.syntaxError) {
+      html.push('<div class="dg-formula-explainer-error">', escape(explanation.syntaxError), '</div>');
+      return html.join('');
+    }
+    if (explanation.isRandom && !DG.RandomUtilities.isSeeded())
+      html.push('<div class="dg-formula-explainer-note">', escape('DG.FormulaExplainer.randomNote'.loc()), '</div>');
+
+    if (explanation.root) {
+      html.push('<ul class="dg-formula-explainer-tree">');
+      renderNode(explanation.root);
+      html.push('</ul>');
+    }
+
+    html.push('<div class="dg-formula-explainer-heading">', escape('DG.FormulaExplainer.dependencies'.loc()), '</div>');
+    if (explanation.dependencies.length) {
+      html.push('<ul>');
+      explanation.dependencies.forEach(function(iDependency) {
+        html.push('<li>', escape(describeDependency(iDependency)), '</li>');
+      });
+      html.push('</ul>');
+    }
+    else {
+      html.push('<div>', escape('DG.FormulaExplainer.noDependencies'.loc()), '</div>');
+    }
+    return html.join('');
+  },
+
+  close: function() {
+    this.remove();
+    this.destroy();
+  }
+});
+
+/**
+  Puts up a dialog explaining the value of the specified attribute's formula for the specified case.
+  @param    {DG.Attribute}  iAttribute -- an attribute with a formula
+  @param    {DG.Case}       iCase -- the case whose value is to be explained
+  @returns  {DG.FormulaExplainerView} the created dialog
+ */
+DG.CreateFormulaExplainerView = function(iAttribute, iCase) {
+  var tDialog = DG.FormulaExplainerView.create({
+                  explanation: DG.FormulaExplainer.explainAttributeValue(iAttribute, iCase)
+                });
+  tDialog.append();
+  return tDialog;
+};
@@ -21,6 +21,8 @@
 // ==========================================================================
 
 sc_require('views/text_field_view');
+sc_require('formula/formula_localizer');
+sc_require('formula/formula_validator');
 
 /** @class
 
@@ -131,6 +133,19 @@ return {
 
   names: [],  // Will be filled with attribute and global variable names by client
 
+  /**
+    Options for validating the formula as the user types (cf. DG.FormulaValidator.validate()),
+    e.g. the attribute and global value names which can be referenced.
+    @property {Object}
+   */
+  validationOptions: null,
+
+  /**
+    The problems found by validating the formula, each of which is underlined in the editor.
+    @property {Object[]}
+   */
+  diagnostics: null,
+
   _disableNextSelectRoot: false,
 
   init: function() {
@@ -178,6 +193,9 @@ return {
     // initialize coloring
     this.addSemanticClasses(this._cm);
 
+    // initialize diagnostics
+    this.validateFormula(this._cm);
+
     // Propagation of the touchend event leads to touches that set focus()
     // and then immediately clear it among other oddities. CodeMirror's 
     // internal touchend handler ends with a call to preventDefault(), but
@@ -208,6 +226,9 @@ return {
       this.addSemanticClasses(cm);
 
       SC.run(function() {
+        // underline any problems with the formula
+        this.validateFormula(cm);
+
         // synchronize SproutCore model
         this._cm.save();
         this.fieldValueDidChange();
@@ -259,13 +280,47 @@ return {
     });
   },
 
+  /**
+    Validates the formula, underlining the source range of each problem found
+    with the problem's description as its tooltip.
+    @param    {CodeMirror}  cm
+   */
+  validateFormula: function(cm) {
+    // the canonical formula is validated, but problems are reported in the localized formula
+    var canonical = DG.FormulaLocalizer.canonicalize(cm.getValue()),
+        diagnostics = DG.FormulaValidator.validate(canonical.source, this.get('validationOptions'))
+                        .map(function(iDiagnostic) {
+                          return { start: canonical.toLocalizedOffset(iDiagnostic.start),
+                                    end: canonical.toLocalizedOffset(iDiagnostic.end),
+                                    message: iDiagnostic.message };
+                        });
+    (this._diagnosticMarks || []).forEach(function(iMark) {
+      iMark.clear();
+    });
+    this._diagnosticMarks = diagnostics.map(function(iDiagnostic) {
+      return cm.markText(cm.posFromIndex(iDiagnostic.start), cm.posFromIndex(iDiagnostic.end),
+                          { className: 'dg-formula-diagnostic', title: iDiagnostic.message });
+    });
+    this.set('diagnostics', diagnostics);
+  },
+
+  validationOptionsDidChange: function() {
+    if (this._cm)
+      this.validateFormula(this._cm);
+  }.observes('validationOptions'),
+
+  /**
+    The canonical formula, i.e. the edited (localized) formula converted to the syntax
+    in which formulas are stored (cf. DG.FormulaLocalizer).
+    @property {String}
+   */
   formulaExpression: function( iKey, iValue) {
     if( iValue === undefined) {
       var tCurrent = this._cm.getValue();
-      return tCurrent ? tCurrent.trim() : "";
+      return tCurrent ? DG.FormulaLocalizer.toCanonical(tCurrent.trim()) : "";
     }
     else {
-      this._cm.setValue(iValue || "");
+      this._cm.setValue(DG.FormulaLocalizer.toLocalized(iValue || ""));
     }
   }.property('value'),
 
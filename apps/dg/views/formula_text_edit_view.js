@@ -21,6 +21,7 @@
 // ==========================================================================
 
 sc_require('views/text_field_view');
+sc_require('formula/formula_localizer');
 
 /** @class
 
@@ -82,11 +83,15 @@ return {
     if( iValue === undefined) {
       // Replace unicode minus with hyphen for purposes of evaluation
       var tCurrent = this.get('value');
-      return !SC.empty( tCurrent) ? tCurrent.replace( /\u2212/g, '-') : tCurrent;
+      return !SC.empty( tCurrent)
+                ? DG.FormulaLocalizer.toCanonical( tCurrent.replace( /\u2212/g, '-'))
+                : tCurrent;
     }
     else {
       // Replace hyphen with unicode minus because hyphen can be unrecognizable
-      this.set('value', !SC.empty( iValue) ? iValue.replace( /-/g, DG.UNICODE.MINUS_SIGN) : '');
+      this.set('value', !SC.empty( iValue)
+                          ? DG.FormulaLocalizer.toLocalized( iValue).replace( /-/g, DG.UNICODE.MINUS_SIGN)
+                          : '');
     }
   }.property( 'value')
   
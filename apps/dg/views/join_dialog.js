@@ -0,0 +1,375 @@
+// ==========================================================================
+//                            DG.JoinDialog
+//
+//  Copyright (c) 2021 by The Concord Consortium, Inc. All rights reserved.
+//
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing, software
+//  distributed under the License is distributed on an "AS IS" BASIS,
+//  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//  See the License for the specific language governing permissions and
+//  limitations under the License.
+// ==========================================================================
+
+sc_require('utilities/join_utilities');
+
+/** @class
+
+  A dialog for the relational join of a data context with another data context into a
+  new dataset. The user chooses the other data context, the type of join, up to three
+  pairs of key attributes to match, the prefixes of the names of the other attributes
+  and whether the matching cases of the other data context become child cases.
+
+  @extends SC.PalettePane
+*/
+DG.JoinDialog = SC.PalettePane.extend(
+/** @scope DG.JoinDialog.prototype */ {
+
+  isModal: true,
+
+  layout: { width: 440, height: 330, centerX: 0, centerY: 0 },
+
+  /**
+    The data context which is joined with another data context, i.e. the left side of the join.
+    @property {DG.DataContext}
+   */
+  dataContext: null,
+
+  /**
+    The number of pairs of key attributes which can be chosen.
+    @property {Number}
+   */
+  keyCount: 3,
+
+  /**
+    Called with the other data context and the options of DG.JoinUtilities.join()
+    when the user joins the data contexts.
+    @property {Function}
+   */
+  joinAction: null,
+
+  contentView: SC.View.extend({
+
+    childViews: ('datasetLabel datasetSelect joinTypeLabel joinTypeSelect keysLabel ' +
+                  'leftKey0Select rightKey0Select leftKey1Select rightKey1Select leftKey2Select rightKey2Select ' +
+                  'leftPrefixLabel leftPrefixField rightPrefixLabel rightPrefixField hierarchyCheckbox ' +
+                  'messageView joinButton cancelButton').w(),
+    datasetLabel: SC.LabelView.extend({
+      layout: { top: 13, left: 10, width: 130, height: 20 },
+      localize: true,
+      value: 'DG.JoinDialog.dataset'  // "Join with:"
+    }),
+    datasetSelect: SC.SelectView.extend({
+      layout: { top: 10, left: 140, right: 10, height: 24 },
+      itemTitleKey: 'title',
+      itemValueKey: 'value',
+      items: [],
+      value: null
+    }),
+    joinTypeLabel: SC.LabelView.extend({
+      layout: { top: 45, left: 10, width: 130, height: 20 },
+      localize: true,
+      value: 'DG.JoinDialog.joinType'  // "Cases:"
+    }),
+    joinTypeSelect: SC.SelectView.extend({
+      layout: { top: 42, left: 140, right: 10, height: 24 },
+      itemTitleKey: 'title',
+      itemValueKey: 'value',
+      items: DG.JoinUtilities.kJoinTypes.map(function(iType) {
+        return { value: iType, title: 'DG.JoinDialog.joinType.' + iType };
+      }),
+      localize: true,
+      value: 'inner'
+    }),
+    keysLabel: SC.LabelView.extend({
+      layout: { top: 77, left: 10, right: 10, height: 20 },
+      value: ''
+    }),
+    leftKey0Select: SC.SelectView.extend({
+      layout: { top: 98, left: 10, width: 205, height: 24 },
+      itemTitleKey: 'title',
+      itemValueKey: 'value',
+      items: [],
+      value: null
+    }),
+    rightKey0Select: SC.SelectView.extend({
+      layout: { top: 98, right: 10, width: 205, height: 24 },
+      itemTitleKey: 'title',
+      itemValueKey: 'value',
+      items: [],
+      value: null
+    }),
+    leftKey1Select: SC.SelectView.extend({
+      layout: { top: 126, left: 10, width: 205, height: 24 },
+      itemTitleKey: 'title',
+      itemValueKey: 'value',
+      items: [],
+      value: ''
+    }),
+    rightKey1Select: SC.SelectView.extend({
+      layout: { top: 126, right: 10, width: 205, height: 24 },
+      itemTitleKey: 'title',
+      itemValueKey: 'value',
+      items: [],
+      value: ''
+    }),
+    leftKey2Select: SC.SelectView.extend({
+      layout: { top: 154, left: 10, width: 205, height: 24 },
+      itemTitleKey: 'title',
+      itemValueKey: 'value',
+      items: [],
+      value: ''
+    }),
+    rightKey2Select: SC.SelectView.extend({
+      layout: { top: 154, right: 10, width: 205, height: 24 },
+      itemTitleKey: 'title',
+      itemValueKey: 'value',
+      items: [],
+      value: ''
+    }),
+    leftPrefixLabel: SC.LabelView.extend({
+      layout: { top: 191, left: 10, width: 210, height: 20 },
+      value: ''
+    }),
+    leftPrefixField: SC.TextFieldView.extend({
+      layout: { top: 188, left: 220, right: 10, height: 24 },
+      value: ''
+    }),
+    rightPrefixLabel: SC.LabelView.extend({
+      layout: { top: 223, left: 10, width: 210, height: 20 },
+      value: ''
+    }),
+    rightPrefixField: SC.TextFieldView.extend({
+      layout: { top: 220, left: 220, right: 10, height: 24 },
+      value: ''
+    }),
+    hierarchyCheckbox: SC.CheckboxView.extend({
+      layout: { top: 254, left: 10, right: 10, height: 20 },
+      title: '',
+      value: false
+    }),
+    messageView: SC.LabelView.extend({
+      layout: { bottom: 34, left: 10, right: 10, height: 16 },
+      classNames: 'dg-join-message'.w(),
+      value: ''
+    }),
+    joinButton: SC.ButtonView.design({
+      layout: { bottom: 5, right: 110, height: 24, width: 90 },
+      titleMinWidth: 0,
+      localize: true,
+      title: 'DG.JoinDialog.join',  // "Join"
+      target: null,
+      action: null,
+      isDefault: true
+    }),
+    cancelButton: SC.ButtonView.design({
+      layout: { bottom: 5, right: 10, height: 24, width: 90 },
+      titleMinWidth: 0,
+      localize: true,
+      title: 'DG.JoinDialog.cancel',  // "Cancel"
+      target: null,
+      action: null,
+      isCancel: true
+    })
+  }),
+
+  init: function() {
+    sc_super();
+
+    var contentView = this.get('contentView'),
+        dataContext = this.get('dataContext'),
+        leftName = this.getContextName(dataContext),
+        otherContexts = this.getOtherContexts();
+
+    contentView.setPath('joinButton.target', this);
+    contentView.setPath('joinButton.action', 'joinDataContexts');
+    contentView.setPath('cancelButton.target', this);
+    contentView.setPath('cancelButton.action', 'close');
+
+    contentView.setPath('keysLabel.value', 'DG.JoinDialog.keys'.loc(leftName));
+    contentView.setPath('leftPrefixLabel.value', 'DG.JoinDialog.prefix'.loc(leftName));
+    contentView.setPath('datasetSelect.items', otherContexts.map(function(iContext) {
+      return { value: iContext.get('id'), title: this.getContextName(iContext) };
+    }.bind(this)));
+    contentView.setPath('datasetSelect.value', otherContexts.length ? otherContexts[0].get('id') : null);
+    this.setKeyItems('left', this.getAttrNames(dataContext));
+    this.otherContextDidChange();
+  },
+
+  /**
+    @param {DG.DataContext} iContext
+    @returns {String}
+   */
+  getContextName: function(iContext) {
+    return iContext.get('title') || iContext.get('name');
+  },
+
+  /**
+    @returns {[DG.DataContext]} the data contexts of the document other than the dialog's
+   */
+  getOtherContexts: function() {
+    var dataContext = this.get('dataContext');
+    return DG.currDocumentController().get('contexts').filter(function(iContext) {
+      return iContext !== dataContext;
+    });
+  },
+
+  /**
+    @returns {DG.DataContext|null} the data context chosen to be joined with the dialog's
+   */
+  getOtherContext: function() {
+    var contextID = this.getPath('contentView.datasetSelect.value');
+    return (contextID != null) ? DG.currDocumentController().getContextByID(contextID) || null : null;
+  },
+
+  /**
+    @param {DG.DataContext} iContext
+    @returns {[String]} the names of the attributes of all collections of the data context
+   */
+  getAttrNames: function(iContext) {
+    var names = [];
+    iContext.get('collections').forEach(function(iCollection) {
+      iCollection.get('attrs').forEach(function(iAttr) {
+        names.push(iAttr.get('name'));
+      });
+    });
+    return names;
+  },
+
+  /**
+    Sets the attributes which can be chosen as keys on one side of the join. Only the first
+    key is required; the others can be left unchosen.
+    @param {String} iSide -- 'left' or 'right'
+    @param {[String]} iAttrNames
+   */
+  setKeyItems: function(iSide, iAttrNames) {
+    var contentView = this.get('contentView'),
+        items = iAttrNames.map(function(iName) {
+          return { value: iName, title: iName };
+        }),
+        i, select;
+    for (i = 0; i < this.get('keyCount'); ++i) {
+      select = contentView.get(iSide + 'Key' + i + 'Select');
+      select.set('items', i === 0 ? items : [{ value: '', title: 'DG.JoinDialog.noKey'.loc() }].concat(items));
+      if (iAttrNames.indexOf(select.get('value')) < 0)
+        select.set('value', i === 0 ? (iAttrNames[0] || null) : '');
+    }
+  },
+
+  /**
+    Updates the controls which depend on the data context chosen to be joined.
+   */
+  otherContextDidChange: function() {
+    var contentView = this.get('contentView'),
+        otherContext = this.getOtherContext(),
+        otherName = otherContext ? this.getContextName(otherContext) : '',
+        otherAttrNames = otherContext ? this.getAttrNames(otherContext) : [],
+        leftKey = contentView.getPath('leftKey0Select.value');
+
+    this.setKeyItems('right', otherAttrNames);
+    // match the first key by name if possible
+    if (otherAttrNames.indexOf(leftKey) >= 0)
+      contentView.setPath('rightKey0Select.value', leftKey);
+    contentView.setPath('rightPrefixLabel.value', 'DG.JoinDialog.prefix'.loc(otherName));
+    contentView.setPath('hierarchyCheckbox.title', 'DG.JoinDialog.hierarchy'.loc(otherName));
+    this.updateControls();
+  }.observes('.contentView.datasetSelect.value'),
+
+  /**
+    Returns the join options chosen by the user, cf. DG.JoinUtilities.join().
+    @returns {Object}
+   */
+  getOptions: function() {
+    var contentView = this.get('contentView'),
+        leftKeys = [],
+        rightKeys = [],
+        i, leftKey, rightKey;
+    for (i = 0; i < this.get('keyCount'); ++i) {
+      leftKey = contentView.getPath('leftKey' + i + 'Select.value');
+      rightKey = contentView.getPath('rightKey' + i + 'Select.value');
+      if (leftKey || rightKey) {
+        leftKeys.push(leftKey);
+        rightKeys.push(rightKey);
+      }
+    }
+    return {
+      leftKeys: leftKeys,
+      rightKeys: rightKeys,
+      joinType: contentView.getPath('joinTypeSelect.value'),
+      leftPrefix: contentView.getPath('leftPrefixField.value') || '',
+      rightPrefix: contentView.getPath('rightPrefixField.value') || '',
+      isHierarchical: contentView.getPath('hierarchyCheckbox.value')
+    };
+  },
+
+  /**
+    Returns a message describing why the chosen options can't be used, if they can't.
+    @returns {String|null}
+   */
+  validateOptions: function() {
+    var options = this.getOptions();
+
+    function hasDuplicates(iNames) {
+      return iNames.some(function(iName, iIndex) {
+        return iNames.indexOf(iName) !== iIndex;
+      });
+    }
+
+    if (!this.getOtherContext())
+      return 'DG.JoinDialog.error.noDataset'.loc();
+    if (!options.leftKeys.length || options.leftKeys.concat(options.rightKeys).some(function(iKey) {
+          return !iKey;
+        }))
+      return 'DG.JoinDialog.error.incompleteKeys'.loc();
+    if (hasDuplicates(options.leftKeys) || hasDuplicates(options.rightKeys))
+      return 'DG.JoinDialog.error.duplicateKeys'.loc();
+    return null;
+  },
+
+  /**
+    Shows why the chosen options can't be used, if they can't, and enables the join
+    button if they can.
+   */
+  updateControls: function() {
+    var message = this.validateOptions();
+    this.setPath('contentView.messageView.value', message || '');
+    this.setPath('contentView.joinButton.isEnabled', !message);
+  }.observes('.contentView.leftKey0Select.value', '.contentView.rightKey0Select.value',
+              '.contentView.leftKey1Select.value', '.contentView.rightKey1Select.value',
+              '.contentView.leftKey2Select.value', '.contentView.rightKey2Select.value'),
+
+  /**
+    Joins the data contexts with the chosen options.
+   */
+  joinDataContexts: function() {
+    var otherContext = this.getOtherContext(),
+        options = this.getOptions();
+    if (this.validateOptions()) return;
+    this.close();
+    if (this.joinAction)
+      this.joinAction(otherContext, options);
+  },
+
+  close: function() {
+    this.remove();
+    this.destroy();
+  }
+});
+
+/**
+  Puts up a dialog for the relational join of a data context with another data context.
+  @param {Object} iConfig
+              {DG.DataContext} dataContext -- the data context which is joined
+              {Function}       joinAction -- called with the other data context and the options
+  @returns {DG.JoinDialog} the created dialog
+ */
+DG.CreateJoinDialog = function(iConfig) {
+  var tDialog = DG.JoinDialog.create(iConfig);
+  tDialog.append();
+  return tDialog;
+};
@@ -0,0 +1,206 @@
+// ==========================================================================
+//                          DG.JSONImportDialog
+//
+//  Copyright (c) 2021 by The Concord Consortium, Inc. All rights reserved.
+//
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing, software
+//  distributed under the License is distributed on an "AS IS" BASIS,
+//  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//  See the License for the specific language governing permissions and
+//  limitations under the License.
+// ==========================================================================
+
+sc_require('utilities/json_import_utilities');
+
+/** @class
+
+  A dialog for the import of JSON or JSON Lines data with nested arrays. The nested arrays
+  are listed as a tree, and clicking an array chooses or unchooses it as a child collection.
+  The collections to be created are summarized below the tree.
+
+  @extends SC.PalettePane
+*/
+DG.JSONImportDialog = SC.PalettePane.extend(
+/** @scope DG.JSONImportDialog.prototype */ {
+
+  isModal: true,
+
+  layout: { width: 480, height: 360, centerX: 0, centerY: 0 },
+
+  /**
+    The name of the dataset.
+    @property {String}
+   */
+  datasetName: '',
+
+  /**
+    The parsed JSON.
+    @property {*}
+   */
+  data: null,
+
+  /**
+    The nested arrays of the data. Cf. DG.JSONImportUtilities.findArrayPaths().
+    @property {[Object]}
+   */
+  arrays: null,
+
+  /**
+    The paths of the arrays chosen to become collections.
+    @property {[String]}
+   */
+  paths: null,
+
+  /**
+    Called with the specification of the collections and cases to create when the user
+    imports the data. Cf. DG.JSONImportUtilities.getImportSpec().
+    @property {Function}
+   */
+  importAction: null,
+
+  contentView: SC.View.extend({
+
+    childViews: 'promptView arraysView summaryView importButton cancelButton'.w(),
+    promptView: SC.LabelView.extend({
+      layout: { top: 10, left: 10, right: 10, height: 20 },
+      value: ''
+    }),
+    arraysView: SC.LabelView.extend({
+      layout: { top: 36, left: 10, right: 10, bottom: 80 },
+      classNames: 'dg-json-import-arrays'.w(),
+      escapeHTML: NO,
+      value: '',
+
+      /**
+        Chooses or unchooses the array which was clicked.
+       */
+      mouseDown: function(iEvent) {
+        var path = $(iEvent.target).closest('[data-path]').attr('data-path');
+        if (path != null) {
+          this.get('pane').togglePath(path);
+          return YES;
+        }
+        return NO;
+      }
+    }),
+    summaryView: SC.LabelView.extend({
+      layout: { bottom: 36, left: 10, right: 10, height: 38 },
+      classNames: 'dg-json-import-summary'.w(),
+      value: ''
+    }),
+    importButton: SC.ButtonView.design({
+      layout: { bottom: 5, right: 110, height: 24, width: 90 },
+      titleMinWidth: 0,
+      localize: true,
+      title: 'DG.JSONImportDialog.import',  // "Import"
+      target: null,
+      action: null,
+      isDefault: true
+    }),
+    cancelButton: SC.ButtonView.design({
+      layout: { bottom: 5, right: 10, height: 24, width: 90 },
+      titleMinWidth: 0,
+      localize: true,
+      title: 'DG.JSONImportDialog.cancel',  // "Cancel"
+      target: null,
+      action: null,
+      isCancel: true
+    })
+  }),
+
+  init: function() {
+    sc_super();
+
+    this.setPath('contentView.importButton.target', this);
+    this.setPath('contentView.importButton.action', 'importData');
+    this.setPath('contentView.cancelButton.target', this);
+    this.setPath('contentView.cancelButton.action', 'close');
+
+    if (!this.get('arrays'))
+      this.set('arrays', DG.JSONImportUtilities.findArrayPaths(this.get('data')));
+    this.set('paths', DG.JSONImportUtilities.getDefaultPaths(this.get('arrays')));
+    this.setPath('contentView.promptView.value', 'DG.JSONImportDialog.prompt'.loc(this.get('datasetName')));
+    this.renderArrays();
+  },
+
+  /**
+    Chooses or unchooses the array with the specified path.
+    @param {String} iPath
+   */
+  togglePath: function(iPath) {
+    this.set('paths', DG.JSONImportUtilities.togglePath(this.get('arrays'), this.get('paths'), iPath));
+    this.renderArrays();
+  },
+
+  /**
+    Renders the tree of nested arrays and the summary of the collections to be created.
+   */
+  renderArrays: function() {
+    var arrays = this.get('arrays'),
+        paths = this.get('paths'),
+        escape = SC.RenderContext.escapeHTML,
+        spec = DG.JSONImportUtilities.getImportSpec(this.get('data'), arrays, paths),
+        html = ['<ul><li class="dg-json-import-records">',
+                escape('DG.JSONImportDialog.records'.loc(DG.JSONImportUtilities.getRecords(this.get('data')).length)),
+                '</li>'];
+
+    function renderNestedArrays(iParentPath, iDepth) {
+      arrays.forEach(function(iArray) {
+        var isChosen = paths.indexOf(iArray.path) >= 0;
+        if (iArray.parentPath !== iParentPath) return;
+        html.push('<li class="', isChosen ? 'dg-json-import-chosen' : 'dg-json-import-unchosen',
+                  '" data-path="', escape(iArray.path), '" style="padding-left: ', 6 + 18 * iDepth, 'px">',
+                  '<span class="dg-json-import-check">', isChosen ? '☑' : '☐', '</span> <strong>',
+                  escape(iArray.name), '</strong> ', escape('DG.JSONImportDialog.arraySummary'.loc(iArray.count)),
+                  '</li>');
+        renderNestedArrays(iArray.path, iDepth + 1);
+      });
+    }
+
+    renderNestedArrays('', 1);
+    html.push('</ul>');
+    this.setPath('contentView.arraysView.value', html.join(''));
+    this.setPath('contentView.summaryView.value',
+                  'DG.JSONImportDialog.collections'.loc(spec.collections.map(function(iCollection) {
+                    return iCollection.name || this.get('datasetName');
+                  }, this).join(' › ')) + '\n' +
+                  'DG.JSONImportDialog.caseCount'.loc(DG.JSONImportUtilities.countLeafCases(spec.cases)));
+    this.setPath('contentView.importButton.isEnabled', spec.collections.length > 0);
+  },
+
+  /**
+    Imports the data with the chosen collections.
+   */
+  importData: function() {
+    var spec = DG.JSONImportUtilities.getImportSpec(this.get('data'), this.get('arrays'), this.get('paths'));
+    this.close();
+    if (this.importAction)
+      this.importAction(spec);
+  },
+
+  close: function() {
+    this.remove();
+    this.destroy();
+  }
+});
+
+/**
+  Puts up a dialog for the import of JSON data with nested arrays.
+  @param {Object} iConfig
+              {String}   datasetName -- the name of the dataset
+              {*}        data -- the parsed JSON
+              {Function} importAction -- called with the specification of the collections
+                                         and cases to create
+  @returns {DG.JSONImportDialog} the created dialog
+ */
+DG.CreateJSONImportDialog = function(iConfig) {
+  var tDialog = DG.JSONImportDialog.create(iConfig);
+  tDialog.append();
+  return tDialog;
+};
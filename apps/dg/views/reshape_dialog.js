@@ -0,0 +1,340 @@
+// ==========================================================================
+//                           DG.ReshapeDialog
+//
+//  Copyright (c) 2021 by The Concord Consortium, Inc. All rights reserved.
+//
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing, software
+//  distributed under the License is distributed on an "AS IS" BASIS,
+//  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//  See the License for the specific language governing permissions and
+//  limitations under the License.
+// ==========================================================================
+
+sc_require('utilities/reshape_utilities');
+
+/** @class
+
+  A dialog for reshaping the data of a data context into a new dataset. To unpivot the
+  data (wide to long), the user chooses the attributes to unpivot, which are listed with
+  checkboxes, and names the attributes for their names and values. To pivot the data
+  (long to wide), the user chooses the attribute whose values name the new attributes
+  and the attribute whose values they take.
+
+  @extends SC.PalettePane
+*/
+DG.ReshapeDialog = SC.PalettePane.extend(
+/** @scope DG.ReshapeDialog.prototype */ {
+
+  isModal: true,
+
+  layout: { width: 420, height: 380, centerX: 0, centerY: 0 },
+
+  /**
+    The data context whose data is reshaped.
+    @property {DG.DataContext}
+   */
+  dataContext: null,
+
+  /**
+    'unpivot' or 'pivot'
+    @property {String}
+   */
+  operation: 'unpivot',
+
+  /**
+    The attributes of the data context, cf. DG.DataContext.getFlatTable().
+    @property {[Object]}
+   */
+  attrs: null,
+
+  /**
+    The names of the attributes chosen to be unpivoted.
+    @property {[String]}
+   */
+  attrNames: null,
+
+  /**
+    Called with the operation and the options of DG.ReshapeUtilities.unpivot() or
+    pivot() when the user reshapes the data.
+    @property {Function}
+   */
+  reshapeAction: null,
+
+  contentView: SC.View.extend({
+
+    childViews: ('promptView attrsView namesToLabel namesToField valuesToLabel valuesToField dropEmptyCheckbox ' +
+                  'namesFromLabel namesFromSelect valuesFromLabel valuesFromSelect messageView ' +
+                  'reshapeButton cancelButton').w(),
+    promptView: SC.LabelView.extend({
+      layout: { top: 10, left: 10, right: 10, height: 20 },
+      value: ''
+    }),
+    attrsView: SC.LabelView.extend({
+      layout: { top: 36, left: 10, right: 10, bottom: 140 },
+      classNames: 'dg-reshape-attrs'.w(),
+      escapeHTML: NO,
+      value: '',
+
+      /**
+        Chooses or unchooses the attribute which was clicked.
+       */
+      mouseDown: function(iEvent) {
+        var name = $(iEvent.target).closest('[data-name]').attr('data-name');
+        if (name != null) {
+          this.get('pane').toggleAttrName(name);
+          return YES;
+        }
+        return NO;
+      }
+    }),
+    namesToLabel: SC.LabelView.extend({
+      layout: { bottom: 109, left: 10, width: 150, height: 20 },
+      localize: true,
+      value: 'DG.ReshapeDialog.namesTo'  // "Attribute for names:"
+    }),
+    namesToField: SC.TextFieldView.extend({
+      layout: { bottom: 106, left: 160, right: 10, height: 24 },
+      value: ''
+    }),
+    valuesToLabel: SC.LabelView.extend({
+      layout: { bottom: 79, left: 10, width: 150, height: 20 },
+      localize: true,
+      value: 'DG.ReshapeDialog.valuesTo'  // "Attribute for values:"
+    }),
+    valuesToField: SC.TextFieldView.extend({
+      layout: { bottom: 76, left: 160, right: 10, height: 24 },
+      value: ''
+    }),
+    dropEmptyCheckbox: SC.CheckboxView.extend({
+      layout: { bottom: 52, left: 10, right: 10, height: 20 },
+      localize: true,
+      title: 'DG.ReshapeDialog.dropEmpty',  // "Omit empty values"
+      value: false
+    }),
+    namesFromLabel: SC.LabelView.extend({
+      layout: { top: 43, left: 10, width: 150, height: 20 },
+      localize: true,
+      value: 'DG.ReshapeDialog.namesFrom'  // "New attributes from:"
+    }),
+    namesFromSelect: SC.SelectView.extend({
+      layout: { top: 40, left: 160, right: 10, height: 24 },
+      itemTitleKey: 'title',
+      itemValueKey: 'value',
+      items: [],
+      value: null
+    }),
+    valuesFromLabel: SC.LabelView.extend({
+      layout: { top: 75, left: 10, width: 150, height: 20 },
+      localize: true,
+      value: 'DG.ReshapeDialog.valuesFrom'  // "Values from:"
+    }),
+    valuesFromSelect: SC.SelectView.extend({
+      layout: { top: 72, left: 160, right: 10, height: 24 },
+      itemTitleKey: 'title',
+      itemValueKey: 'value',
+      items: [],
+      value: null
+    }),
+    messageView: SC.LabelView.extend({
+      layout: { bottom: 34, left: 10, right: 10, height: 16 },
+      classNames: 'dg-reshape-message'.w(),
+      value: ''
+    }),
+    reshapeButton: SC.ButtonView.design({
+      layout: { bottom: 5, right: 110, height: 24, width: 90 },
+      titleMinWidth: 0,
+      localize: true,
+      title: 'DG.ReshapeDialog.reshape',  // "Create"
+      target: null,
+      action: null,
+      isDefault: true
+    }),
+    cancelButton: SC.ButtonView.design({
+      layout: { bottom: 5, right: 10, height: 24, width: 90 },
+      titleMinWidth: 0,
+      localize: true,
+      title: 'DG.ReshapeDialog.cancel',  // "Cancel"
+      target: null,
+      action: null,
+      isCancel: true
+    })
+  }),
+
+  init: function() {
+    sc_super();
+
+    var contentView = this.get('contentView'),
+        isUnpivot = this.get('operation') !== 'pivot',
+        attrItems;
+
+    contentView.setPath('reshapeButton.target', this);
+    contentView.setPath('reshapeButton.action', 'reshape');
+    contentView.setPath('cancelButton.target', this);
+    contentView.setPath('cancelButton.action', 'close');
+
+    this.set('attrs', this.get('dataContext').getFlatTable().attrs);
+    this.set('attrNames', []);
+    contentView.setPath('promptView.value',
+                        ('DG.ReshapeDialog.prompt.' + this.get('operation')).loc(this.getSourceName()));
+    'attrsView namesToLabel namesToField valuesToLabel valuesToField dropEmptyCheckbox'.w()
+      .forEach(function(iViewName) {
+        contentView.setPath(iViewName + '.isVisible', isUnpivot);
+      });
+    'namesFromLabel namesFromSelect valuesFromLabel valuesFromSelect'.w().forEach(function(iViewName) {
+      contentView.setPath(iViewName + '.isVisible', !isUnpivot);
+    });
+    if (!isUnpivot)
+      this.adjust('height', 170);
+
+    contentView.setPath('namesToField.value', 'DG.ReshapeDialog.namesToDefault'.loc());  // "name"
+    contentView.setPath('valuesToField.value', 'DG.ReshapeDialog.valuesToDefault'.loc()); // "value"
+    attrItems = this.get('attrs').map(function(iAttr) {
+      return { value: iAttr.name, title: iAttr.name };
+    });
+    contentView.setPath('namesFromSelect.items', attrItems);
+    contentView.setPath('valuesFromSelect.items', attrItems);
+    if (attrItems.length >= 2) {
+      contentView.setPath('namesFromSelect.value', attrItems[attrItems.length - 2].value);
+      contentView.setPath('valuesFromSelect.value', attrItems[attrItems.length - 1].value);
+    }
+    this.renderAttrs();
+  },
+
+  /**
+    @returns {String} the name of the data context whose data is reshaped
+   */
+  getSourceName: function() {
+    var dataContext = this.get('dataContext');
+    return dataContext.get('title') || dataContext.get('name');
+  },
+
+  /**
+    Chooses or unchooses the attribute with the specified name for unpivoting.
+    @param {String} iName
+   */
+  toggleAttrName: function(iName) {
+    var attrNames = this.get('attrNames');
+    this.set('attrNames', attrNames.indexOf(iName) >= 0
+                            ? attrNames.without(iName)
+                            : attrNames.concat([iName]));
+    this.renderAttrs();
+  },
+
+  /**
+    Renders the list of attributes which can be unpivoted.
+   */
+  renderAttrs: function() {
+    var attrNames = this.get('attrNames'),
+        escape = SC.RenderContext.escapeHTML,
+        html = ['<ul>'];
+    this.get('attrs').forEach(function(iAttr) {
+      var isChosen = attrNames.indexOf(iAttr.name) >= 0;
+      html.push('<li class="', isChosen ? 'dg-reshape-chosen' : 'dg-reshape-unchosen',
+                '" data-name="', escape(iAttr.name), '">',
+                '<span class="dg-reshape-check">', isChosen ? '☑' : '☐', '</span> ',
+                escape(iAttr.name), '</li>');
+    });
+    html.push('</ul>');
+    this.setPath('contentView.attrsView.value', html.join(''));
+    this.updateControls();
+  },
+
+  /**
+    Returns the reshape options chosen by the user, cf. DG.ReshapeUtilities.
+    @returns {Object}
+   */
+  getOptions: function() {
+    var contentView = this.get('contentView'),
+        dataContext = this.get('dataContext'),
+        firstCollection = dataContext.getCollectionAtIndex(0),
+        lastCollection = dataContext.getLastCollection();
+    if (this.get('operation') === 'pivot') {
+      return {
+        namesFrom: contentView.getPath('namesFromSelect.value'),
+        valuesFrom: contentView.getPath('valuesFromSelect.value'),
+        collectionName: firstCollection && firstCollection.get('name')
+      };
+    }
+    return {
+      attrNames: this.get('attrNames').slice(),
+      namesTo: (contentView.getPath('namesToField.value') || '').trim(),
+      valuesTo: (contentView.getPath('valuesToField.value') || '').trim(),
+      dropEmpty: contentView.getPath('dropEmptyCheckbox.value'),
+      parentName: lastCollection && lastCollection.get('name'),
+      childName: 'DG.ReshapeDialog.unpivot.childName'.loc()  // "Values"
+    };
+  },
+
+  /**
+    Returns a message describing why the chosen options can't be used, if they can't.
+    @returns {String|null}
+   */
+  validateOptions: function() {
+    var options = this.getOptions(),
+        otherNames;
+    if (this.get('operation') === 'pivot') {
+      if (!options.namesFrom || !options.valuesFrom)
+        return 'DG.ReshapeDialog.error.chooseAttributes'.loc();
+      if (options.namesFrom === options.valuesFrom)
+        return 'DG.ReshapeDialog.error.sameAttribute'.loc();
+      return null;
+    }
+    if (!options.attrNames.length)
+      return 'DG.ReshapeDialog.error.chooseAttributes'.loc();
+    if (!options.namesTo || !options.valuesTo)
+      return 'DG.ReshapeDialog.error.emptyName'.loc();
+    otherNames = this.get('attrs').map(function(iAttr) { return iAttr.name; })
+                  .filter(function(iName) { return options.attrNames.indexOf(iName) < 0; });
+    if ((options.namesTo === options.valuesTo) || (otherNames.indexOf(options.namesTo) >= 0) ||
+        (otherNames.indexOf(options.valuesTo) >= 0))
+      return 'DG.ReshapeDialog.error.duplicateName'.loc();
+    return null;
+  },
+
+  /**
+    Shows why the chosen options can't be used, if they can't, and enables the reshape
+    button if they can.
+   */
+  updateControls: function() {
+    var message = this.validateOptions();
+    this.setPath('contentView.messageView.value', message || '');
+    this.setPath('contentView.reshapeButton.isEnabled', !message);
+  }.observes('.contentView.namesToField.value', '.contentView.valuesToField.value',
+              '.contentView.namesFromSelect.value', '.contentView.valuesFromSelect.value'),
+
+  /**
+    Reshapes the data with the chosen options.
+   */
+  reshape: function() {
+    var options = this.getOptions();
+    if (this.validateOptions()) return;
+    this.close();
+    if (this.reshapeAction)
+      this.reshapeAction(this.get('operation'), options);
+  },
+
+  close: function() {
+    this.remove();
+    this.destroy();
+  }
+});
+
+/**
+  Puts up a dialog for reshaping the data of a data context into a new dataset.
+  @param {Object} iConfig
+              {DG.DataContext} dataContext -- the data context whose data is reshaped
+              {String}         operation -- 'unpivot' or 'pivot'
+              {Function}       reshapeAction -- called with the operation and options
+  @returns {DG.ReshapeDialog} the created dialog
+ */
+DG.CreateReshapeDialog = function(iConfig) {
+  var tDialog = DG.ReshapeDialog.create(iConfig);
+  tDialog.append();
+  return tDialog;
+};
@@ -0,0 +1,210 @@
+// ==========================================================================
+//                        DG.SpreadsheetImportDialog
+//
+//  Copyright (c) 2021 by The Concord Consortium, Inc. All rights reserved.
+//
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing, software
+//  distributed under the License is distributed on an "AS IS" BASIS,
+//  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//  See the License for the specific language governing permissions and
+//  limitations under the License.
+// ==========================================================================
+
+sc_require('utilities/spreadsheet_import_utilities');
+
+/** @class
+
+  A dialog for the import of the sheets of a spreadsheet workbook. Each sheet the user
+  picks becomes a data context, unless sheets linked by key columns are combined, in which
+  case each hierarchy of linked sheets becomes a data context with a collection per sheet.
+  Clicking a sheet in the list includes or excludes it.
+
+  @extends SC.PalettePane
+*/
+DG.SpreadsheetImportDialog = SC.PalettePane.extend(
+/** @scope DG.SpreadsheetImportDialog.prototype */ {
+
+  isModal: true,
+
+  layout: { width: 480, height: 340, centerX: 0, centerY: 0 },
+
+  /**
+    The name of the workbook file.
+    @property {String}
+   */
+  workbookName: '',
+
+  /**
+    The tables of the sheets of the workbook. Cf. DG.SpreadsheetImportUtilities.analyzeSheet().
+    @property {[Object]}
+   */
+  tables: null,
+
+  /**
+    True for each table to be imported.
+    @property {[Boolean]}
+   */
+  included: null,
+
+  /**
+    The links between the tables. Cf. DG.SpreadsheetImportUtilities.findTableLinks().
+    @property {[Object]}
+   */
+  links: null,
+
+  /**
+    Called with the specifications of the data contexts to create when the user imports
+    the workbook. Cf. DG.SpreadsheetImportUtilities.getImportSpecs().
+    @property {Function}
+   */
+  importAction: null,
+
+  contentView: SC.View.extend({
+
+    childViews: 'promptView sheetsView combineCheckbox importButton cancelButton'.w(),
+    promptView: SC.LabelView.extend({
+      layout: { top: 10, left: 10, right: 10, height: 20 },
+      value: ''
+    }),
+    sheetsView: SC.LabelView.extend({
+      layout: { top: 36, left: 10, right: 10, bottom: 70 },
+      classNames: 'dg-spreadsheet-import-sheets'.w(),
+      escapeHTML: NO,
+      value: '',
+
+      /**
+        Includes or excludes the sheet which was clicked.
+       */
+      mouseDown: function(iEvent) {
+        var tableIndex = $(iEvent.target).closest('[data-table]').attr('data-table');
+        if (tableIndex != null) {
+          this.get('pane').toggleTable(Number(tableIndex));
+          return YES;
+        }
+        return NO;
+      }
+    }),
+    combineCheckbox: SC.CheckboxView.extend({
+      layout: { bottom: 40, left: 10, right: 10, height: 20 },
+      localize: true,
+      title: 'DG.SpreadsheetImportDialog.combineLinkedSheets',  // "Combine linked sheets ..."
+      value: true
+    }),
+    importButton: SC.ButtonView.design({
+      layout: { bottom: 5, right: 110, height: 24, width: 90 },
+      titleMinWidth: 0,
+      localize: true,
+      title: 'DG.SpreadsheetImportDialog.import',  // "Import"
+      target: null,
+      action: null,
+      isDefault: true
+    }),
+    cancelButton: SC.ButtonView.design({
+      layout: { bottom: 5, right: 10, height: 24, width: 90 },
+      titleMinWidth: 0,
+      localize: true,
+      title: 'DG.SpreadsheetImportDialog.cancel',  // "Cancel"
+      target: null,
+      action: null,
+      isCancel: true
+    })
+  }),
+
+  init: function() {
+    sc_super();
+
+    this.setPath('contentView.importButton.target', this);
+    this.setPath('contentView.importButton.action', 'importSheets');
+    this.setPath('contentView.cancelButton.target', this);
+    this.setPath('contentView.cancelButton.action', 'close');
+
+    var tables = this.get('tables') || [];
+    this.set('included', tables.map(function() { return true; }));
+    this.set('links', DG.SpreadsheetImportUtilities.findTableLinks(tables));
+    this.setPath('contentView.promptView.value',
+                  'DG.SpreadsheetImportDialog.prompt'.loc(this.get('workbookName')));
+    this.setPath('contentView.combineCheckbox.isEnabled', this.get('links').length > 0);
+    this.setPath('contentView.combineCheckbox.value', this.get('links').length > 0);
+    this.renderSheets();
+  },
+
+  /**
+    Includes or excludes the specified table.
+    @param {Number} iTableIndex
+   */
+  toggleTable: function(iTableIndex) {
+    var included = this.get('included').slice();
+    included[iTableIndex] = !included[iTableIndex];
+    this.set('included', included);
+    this.renderSheets();
+  },
+
+  combineDidChange: function() {
+    this.renderSheets();
+  }.observes('.contentView.combineCheckbox.value'),
+
+  /**
+    Renders the list of sheets, with a description of each sheet's link to its parent sheet.
+   */
+  renderSheets: function() {
+    var tables = this.get('tables') || [],
+        included = this.get('included'),
+        isCombined = this.getPath('contentView.combineCheckbox.value'),
+        escape = SC.RenderContext.escapeHTML,
+        html = ['<ul>'];
+
+    tables.forEach(function(iTable, iIndex) {
+      var link = isCombined && this.get('links').filter(function(iLink) {
+                    return (iLink.child === iIndex) && included[iLink.parent];
+                  })[0];
+      html.push('<li class="', included[iIndex] ? 'dg-spreadsheet-import-included' : 'dg-spreadsheet-import-excluded',
+                '" data-table="', iIndex, '"><span class="dg-spreadsheet-import-check">',
+                included[iIndex] ? '☑' : '☐', '</span> <strong>', escape(iTable.name), '</strong> ',
+                escape('DG.SpreadsheetImportDialog.sheetSummary'.loc(iTable.columns.length, iTable.rows.length)));
+      if (link && included[iIndex]) {
+        html.push('<div class="dg-spreadsheet-import-link">',
+                  escape('DG.SpreadsheetImportDialog.childOf'.loc(tables[link.parent].name, link.key)), '</div>');
+      }
+      html.push('</li>');
+    }, this);
+    html.push('</ul>');
+    this.setPath('contentView.sheetsView.value', html.join(''));
+    this.setPath('contentView.importButton.isEnabled', included.some(function(iIncluded) { return iIncluded; }));
+  },
+
+  /**
+    Imports the included sheets.
+   */
+  importSheets: function() {
+    var specs = DG.SpreadsheetImportUtilities.getImportSpecs(this.get('tables'), this.get('included'),
+                                                  !!this.getPath('contentView.combineCheckbox.value'));
+    this.close();
+    if (this.importAction)
+      this.importAction(specs);
+  },
+
+  close: function() {
+    this.remove();
+    this.destroy();
+  }
+});
+
+/**
+  Puts up a dialog for the import of the sheets of a workbook.
+  @param {Object} iConfig
+              {String}   workbookName -- the name of the workbook file
+              {[Object]} tables -- the tables of the sheets of the workbook
+              {Function} importAction -- called with the specifications of the data contexts to create
+  @returns {DG.SpreadsheetImportDialog} the created dialog
+ */
+DG.CreateSpreadsheetImportDialog = function(iConfig) {
+  var tDialog = DG.SpreadsheetImportDialog.create(iConfig);
+  tDialog.append();
+  return tDialog;
+};
@@ -0,0 +1,555 @@
+// ==========================================================================
+//                          DG.TextImportDialog
+//
+//  Copyright (c) 2021 by The Concord Consortium, Inc. All rights reserved.
+//
+//  Licensed under the Apache License, Version 2.0 (the "License");
+//  you may not use this file except in compliance with the License.
+//  You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+//  Unless required by applicable law or agreed to in writing, software
+//  distributed under the License is distributed on an "AS IS" BASIS,
+//  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//  See the License for the specific language governing permissions and
+//  limitations under the License.
+// ==========================================================================
+
+sc_require('utilities/text_import_utilities');
+
+/** @class
+
+  A dialog for the import of delimited text, e.g. CSV or tab-delimited files. The encoding,
+  delimiter and header row of the text are detected, as are the type, unit and precision
+  of each column, and all of them can be overridden by the user before the import. The
+  preview shows the first rows of the text as they will be imported; clicking a column of
+  the preview selects it for editing.
+
+  @extends SC.PalettePane
+*/
+DG.TextImportDialog = SC.PalettePane.extend(
+/** @scope DG.TextImportDialog.prototype */ {
+
+  isModal: true,
+
+  layout: { width: 640, height: 500, centerX: 0, centerY: 0 },
+
+  /**
+    The contents to import, i.e. the bytes of a file or already decoded text.
+    @property {ArrayBuffer|String}
+   */
+  data: null,
+
+  /**
+    The encoding with which the data is decoded. Ignored if the data is a string.
+    @property {String}
+   */
+  encoding: null,
+
+  /**
+    The delimiter which separates the values of each row.
+    @property {String}
+   */
+  delimiter: null,
+
+  /**
+    True if the first row contains the names of the columns.
+    @property {Boolean}
+   */
+  hasHeaderRow: true,
+
+  /**
+    The columns of the text. Cf. DG.TextImportUtilities.
+    @property {[Object]}
+   */
+  columns: null,
+
+  /**
+    The index of the column whose settings are being edited.
+    @property {Number}
+   */
+  selectedColumnIndex: 0,
+
+  /**
+    The maximum number of rows shown in the preview.
+    @property {Number}
+   */
+  previewRowCount: 20,
+
+  /**
+    Called with the name of the dataset, the attribute properties and the case values
+    when the user imports the text.
+    @property {Function}
+   */
+  importAction: null,
+
+  /**
+    The decoded text.
+    @property {String}
+   */
+  _text: null,
+
+  /**
+    The rows of the text from which the preview and the columns are derived.
+    @property {[[String]]}
+   */
+  _sampleRows: null,
+
+  /**
+    True while the column controls are being updated from the selected column.
+    @property {Boolean}
+   */
+  _isUpdatingControls: false,
+
+  contentView: SC.View.extend({
+
+    childViews: ('nameLabel nameField delimiterLabel delimiterSelect encodingLabel encodingSelect ' +
+                  'headerCheckbox previewView columnLabel columnSelect includeCheckbox columnNameField ' +
+                  'typeLabel typeSelect precisionSelect dateFormatSelect unitLabel unitField ' +
+                  'importButton cancelButton').w(),
+    nameLabel: SC.LabelView.extend({
+      layout: { top: 12, left: 10, width: 110, height: 20 },
+      localize: true,
+      value: 'DG.TextImportDialog.datasetName'  // "Dataset name:"
+    }),
+    nameField: SC.TextFieldView.extend({
+      layout: { top: 10, left: 120, right: 10, height: 24 },
+      value: ''
+    }),
+    delimiterLabel: SC.LabelView.extend({
+      layout: { top: 47, left: 10, width: 110, height: 20 },
+      localize: true,
+      value: 'DG.TextImportDialog.delimiter'  // "Delimiter:"
+    }),
+    delimiterSelect: SC.SelectView.extend({
+      layout: { top: 44, left: 120, width: 120, height: 24 },
+      itemTitleKey: 'title',
+      itemValueKey: 'value',
+      items: [
+        { value: ',', title: 'DG.TextImportDialog.delimiter.comma' },
+        { value: '\t', title: 'DG.TextImportDialog.delimiter.tab' },
+        { value: ';', title: 'DG.TextImportDialog.delimiter.semicolon' },
+        { value: '|', title: 'DG.TextImportDialog.delimiter.pipe' }
+      ],
+      localize: true,
+      value: null
+    }),
+    encodingLabel: SC.LabelView.extend({
+      layout: { top: 47, left: 255, width: 80, height: 20 },
+      localize: true,
+      value: 'DG.TextImportDialog.encoding'  // "Encoding:"
+    }),
+    encodingSelect: SC.SelectView.extend({
+      layout: { top: 44, left: 335, width: 130, height: 24 },
+      itemTitleKey: 'title',
+      itemValueKey: 'value',
+      items: DG.TextImportUtilities.kEncodings.map(function(iEncoding) {
+        return { value: iEncoding, title: iEncoding.toUpperCase() };
+      }),
+      value: null
+    }),
+    headerCheckbox: SC.CheckboxView.extend({
+      layout: { top: 47, left: 480, right: 10, height: 20 },
+      localize: true,
+      title: 'DG.TextImportDialog.hasHeaderRow',  // "First row has names"
+      value: true
+    }),
+    previewView: SC.LabelView.extend({
+      layout: { top: 80, left: 10, right: 10, bottom: 120 },
+      classNames: 'dg-text-import-preview'.w(),
+      escapeHTML: NO,
+      value: '',
+
+      /**
+        Selects the column which was clicked.
+       */
+      mouseDown: function(iEvent) {
+        var columnIndex = $(iEvent.target).closest('[data-column]').attr('data-column'),
+            dialog = this.get('pane');
+        if (columnIndex != null) {
+          dialog.set('selectedColumnIndex', Number(columnIndex));
+          return YES;
+        }
+        return NO;
+      }
+    }),
+    columnLabel: SC.LabelView.extend({
+      layout: { bottom: 85, left: 10, width: 110, height: 20 },
+      localize: true,
+      value: 'DG.TextImportDialog.column'  // "Column:"
+    }),
+    columnSelect: SC.SelectView.extend({
+      layout: { bottom: 82, left: 120, width: 150, height: 24 },
+      itemTitleKey: 'title',
+      itemValueKey: 'value',
+      items: [],
+      value: null
+    }),
+    includeCheckbox: SC.CheckboxView.extend({
+      layout: { bottom: 85, left: 285, width: 90, height: 20 },
+      localize: true,
+      title: 'DG.TextImportDialog.include',  // "Import"
+      value: true
+    }),
+    columnNameField: SC.TextFieldView.extend({
+      layout: { bottom: 82, left: 380, right: 10, height: 24 },
+      localize: true,
+      hint: 'DG.TextImportDialog.attributeName',  // "attribute name"
+      value: ''
+    }),
+    typeLabel: SC.LabelView.extend({
+      layout: { bottom: 53, left: 10, width: 110, height: 20 },
+      localize: true,
+      value: 'DG.TextImportDialog.type'  // "Type:"
+    }),
+    typeSelect: SC.SelectView.extend({
+      layout: { bottom: 50, left: 120, width: 150, height: 24 },
+      itemTitleKey: 'title',
+      itemValueKey: 'value',
+      items: DG.TextImportUtilities.kColumnTypes.map(function(iType) {
+        return { value: iType, title: 'DG.TextImportDialog.type.' + iType };
+      }),
+      localize: true,
+      value: null
+    }),
+    precisionSelect: SC.SelectView.extend({
+      layout: { bottom: 50, left: 285, width: 90, height: 24 },
+      itemTitleKey: 'title',
+      itemValueKey: 'value',
+      toolTip: 'DG.TextImportDialog.precisionHint'.loc(),
+      items: [],
+      value: null
+    }),
+    dateFormatSelect: SC.SelectView.extend({
+      layout: { bottom: 50, left: 380, width: 120, height: 24 },
+      itemTitleKey: 'title',
+      itemValueKey: 'value',
+      toolTip: 'DG.TextImportDialog.dateFormatHint'.loc(),
+      items: DG.TextImportUtilities.kDateFormats.map(function(iFormat) {
+        return { value: iFormat.format, title: iFormat.format };
+      }),
+      value: null
+    }),
+    unitLabel: SC.LabelView.extend({
+      layout: { bottom: 53, left: 510, width: 40, height: 20 },
+      localize: true,
+      value: 'DG.TextImportDialog.unit'  // "Unit:"
+    }),
+    unitField: SC.TextFieldView.extend({
+      layout: { bottom: 50, left: 550, right: 10, height: 24 },
+      value: ''
+    }),
+    importButton: SC.ButtonView.design({
+      layout: { bottom: 5, right: 110, height: 24, width: 90 },
+      titleMinWidth: 0,
+      localize: true,
+      title: 'DG.TextImportDialog.import',  // "Import"
+      target: null,
+      action: null,
+      isDefault: true
+    }),
+    cancelButton: SC.ButtonView.design({
+      layout: { bottom: 5, right: 10, height: 24, width: 90 },
+      titleMinWidth: 0,
+      localize: true,
+      title: 'DG.TextImportDialog.cancel',  // "Cancel"
+      target: null,
+      action: null,
+      isCancel: true
+    })
+  }),
+
+  init: function() {
+    sc_super();
+
+    this.setPath('contentView.importButton.target', this);
+    this.setPath('contentView.importButton.action', 'importText');
+    this.setPath('contentView.cancelButton.target', this);
+    this.setPath('contentView.cancelButton.action', 'close');
+
+    var data = this.get('data'),
+        isText = typeof data === 'string';
+    if (!isText && !this.get('encoding'))
+      this.set('encoding', DG.TextImportUtilities.detectEncoding(data));
+    this.setPath('contentView.encodingSelect.isEnabled', !isText);
+    this.setPath('contentView.encodingSelect.value', this.get('encoding'));
+    this.decodeData(!this.get('delimiter'));
+  },
+
+  /**
+    Decodes the data with the current encoding and parses the text.
+    @param {Boolean} iDetectDelimiter -- true if the delimiter should be detected
+   */
+  decodeData: function(iDetectDelimiter) {
+    var data = this.get('data'),
+        encoding = this.get('encoding');
+    if ((typeof data !== 'string') && encoding && !DG.TextImportUtilities.isEncodingSupported(encoding)) {
+      DG.AlertPane.warn({
+        message: 'DG.TextImportDialog.unsupportedEncoding'.loc(encoding.toUpperCase())
+      });
+    }
+    this._text = DG.TextImportUtilities.decodeText(data, encoding);
+    if (iDetectDelimiter) {
+      this.set('delimiter', DG.TextImportUtilities.detectDelimiter(this._text));
+      this.setPath('contentView.delimiterSelect.value', this.get('delimiter'));
+    }
+    this.parseText(true);
+  },
+
+  /**
+    Parses the rows required for the preview and the inference of the column types.
+    @param {Boolean} iDetectHeaderRow -- true if the header row should be detected
+   */
+  parseText: function(iDetectHeaderRow) {
+    this._sampleRows = DG.TextImportUtilities.parseDelimitedText(this._text, this.get('delimiter'),
+                          DG.TextImportUtilities.kInferenceRowCount + 1);
+    if (iDetectHeaderRow) {
+      this.set('hasHeaderRow', DG.TextImportUtilities.detectHeaderRow(this._sampleRows));
+      this.setPath('contentView.headerCheckbox.value', this.get('hasHeaderRow'));
+    }
+    this.inferColumns();
+  },
+
+  /**
+    Infers the columns from the sample rows.
+   */
+  inferColumns: function() {
+    var columns = DG.TextImportUtilities.inferColumns(this._sampleRows, this.get('hasHeaderRow'));
+    this.setPath('contentView.columnSelect.items', columns.map(function(iColumn) {
+      return { value: iColumn.index, title: 'DG.TextImportDialog.columnTitle'.loc(iColumn.index + 1) };
+    }));
+    this.set('columns', columns);
+    this.set('selectedColumnIndex', 0);
+    this.selectedColumnDidChange();
+  },
+
+  selectedColumn: function() {
+    var columns = this.get('columns');
+    return columns ? columns[this.get('selectedColumnIndex')] : null;
+  }.property('columns', 'selectedColumnIndex'),
+
+  encodingDidChange: function() {
+    var encoding = this.getPath('contentView.encodingSelect.value');
+    if (encoding && (encoding !== this.get('encoding'))) {
+      this.set('encoding', encoding);
+      this.decodeData(false);
+    }
+  }.observes('.contentView.encodingSelect.value'),
+
+  delimiterDidChange: function() {
+    var delimiter = this.getPath('contentView.delimiterSelect.value');
+    if (delimiter && (delimiter !== this.get('delimiter'))) {
+      this.set('delimiter', delimiter);
+      this.parseText(true);
+    }
+  }.observes('.contentView.delimiterSelect.value'),
+
+  headerRowDidChange: function() {
+    var hasHeaderRow = !!this.getPath('contentView.headerCheckbox.value');
+    if (hasHeaderRow !== this.get('hasHeaderRow')) {
+      this.set('hasHeaderRow', hasHeaderRow);
+      this.inferColumns();
+    }
+  }.observes('.contentView.headerCheckbox.value'),
+
+  columnSelectDidChange: function() {
+    var columnIndex = this.getPath('contentView.columnSelect.value');
+    if (!this._isUpdatingControls && (columnIndex != null))
+      this.set('selectedColumnIndex', columnIndex);
+  }.observes('.contentView.columnSelect.value'),
+
+  /**
+    Updates the column controls from the selected column.
+   */
+  selectedColumnDidChange: function() {
+    var column = this.get('selectedColumn'),
+        contentView = this.get('contentView');
+    this._isUpdatingControls = true;
+    contentView.setPath('columnSelect.value', column ? column.index : null);
+    contentView.setPath('includeCheckbox.value', column ? column.include : false);
+    contentView.setPath('columnNameField.value', column ? column.name : '');
+    contentView.setPath('typeSelect.value', column ? column.type : null);
+    contentView.setPath('unitField.value', column ? column.unit : '');
+    this.updatePrecisionControls();
+    this._isUpdatingControls = false;
+    this.renderPreview();
+  }.observes('selectedColumnIndex'),
+
+  /**
+    Updates the precision and date format menus for the type of the selected column.
+   */
+  updatePrecisionControls: function() {
+    var column = this.get('selectedColumn'),
+        contentView = this.get('contentView'),
+        type = column && column.type,
+        precisionItems = [];
+    if (type === 'numeric') {
+      precisionItems = ['0', '1', '2', '3', '4', '5', '6', '7', '8'].map(function(iPrecision) {
+        return { value: Number(iPrecision), title: iPrecision };
+      });
+    }
+    else if (type === 'date') {
+      precisionItems = "DG.CaseTable.attributeEditor.datePrecisionOptions".loc().w().map(function(iOption, iIndex) {
+        return { value: DG.Attribute.datePrecisionOptions[iIndex + 1], title: iOption };
+      });
+    }
+    contentView.setPath('precisionSelect.items', precisionItems);
+    contentView.setPath('precisionSelect.isEnabled', precisionItems.length > 0);
+    contentView.setPath('precisionSelect.value',
+                        type === 'numeric' ? column.precision : (type === 'date' ? column.datePrecision : null));
+    contentView.setPath('dateFormatSelect.isEnabled', type === 'date');
+    contentView.setPath('dateFormatSelect.value', type === 'date' ? column.dateFormat : null);
+  },
+
+  /**
+    Updates the selected column from the column controls.
+   */
+  columnControlsDidChange: function() {
+    var column = this.get('selectedColumn'),
+        contentView = this.get('contentView'),
+        type, precision, dateFormat;
+    if (this._isUpdatingControls || !column) return;
+
+    column.include = !!contentView.getPath('includeCheckbox.value');
+    column.name = (contentView.getPath('columnNameField.value') || '').trim();
+    column.unit = (contentView.getPath('unitField.value') || '').trim();
+    type = contentView.getPath('typeSelect.value');
+    precision = contentView.getPath('precisionSelect.value');
+    dateFormat = contentView.getPath('dateFormatSelect.value');
+    if (type !== column.type) {
+      column.type = type;
+      if (type === 'date' && !column.dateFormat) {
+        dateFormat = DG.TextImportUtilities.detectDateFormat(this.getColumnValues(column));
+        column.dateFormat = dateFormat ? dateFormat.format : DG.TextImportUtilities.kDateFormats[0].format;
+        column.datePrecision = dateFormat ? dateFormat.precision : DG.Attribute.DATE_PRECISION_DAY;
+      }
+      if (type === 'numeric' && (column.precision == null))
+        column.precision = 2;
+      this._isUpdatingControls = true;
+      this.updatePrecisionControls();
+      this._isUpdatingControls = false;
+    }
+    else if (type === 'numeric') {
+      column.precision = precision;
+    }
+    else if (type === 'date') {
+      column.datePrecision = precision;
+      column.dateFormat = dateFormat;
+    }
+    this.renderPreview();
+  }.observes('.contentView.includeCheckbox.value', '.contentView.columnNameField.value',
+             '.contentView.unitField.value', '.contentView.typeSelect.value',
+             '.contentView.precisionSelect.value', '.contentView.dateFormatSelect.value'),
+
+  /**
+    Returns the non-empty sample values of the specified column.
+    @param {Object} iColumn
+    @returns {[String]}
+   */
+  getColumnValues: function(iColumn) {
+    var values = [];
+    this._sampleRows.slice(this.get('hasHeaderRow') ? 1 : 0).forEach(function(iRow) {
+      var value = (iRow[iColumn.index] || '').trim();
+      if (value) values.push(value);
+    });
+    return values;
+  },
+
+  /**
+    Renders the preview of the first rows as they will be imported.
+   */
+  renderPreview: function() {
+    var columns = this.get('columns') || [],
+        selectedIndex = this.get('selectedColumnIndex'),
+        rows = this._sampleRows.slice(this.get('hasHeaderRow') ? 1 : 0)
+                  .slice(0, this.get('previewRowCount')),
+        escape = SC.RenderContext.escapeHTML,
+        html = ['<table><thead><tr>'];
+
+    function cellAttributes(iColumn, iClass) {
+      var classes = [iClass];
+      if (!iColumn.include) classes.push('dg-text-import-skipped');
+      if (iColumn.index === selectedIndex) classes.push('dg-text-import-selected');
+      return ' class="' + classes.join(' ') + '" data-column="' + iColumn.index + '"';
+    }
+
+    columns.forEach(function(iColumn) {
+      html.push('<th', cellAttributes(iColumn, 'dg-text-import-header'), '>',
+                escape(iColumn.name), iColumn.unit ? ' (' + escape(iColumn.unit) + ')' : '',
+                '<div class="dg-text-import-type">',
+                escape(('DG.TextImportDialog.type.' + iColumn.type).loc()), '</div></th>');
+    });
+    html.push('</tr></thead><tbody>');
+    rows.forEach(function(iRow) {
+      html.push('<tr>');
+      columns.forEach(function(iColumn) {
+        var value = iRow[iColumn.index],
+            isValid = DG.TextImportUtilities.isValidValue(value, iColumn),
+            converted = iColumn.include ? DG.TextImportUtilities.convertValue(value, iColumn) : value;
+        html.push('<td', cellAttributes(iColumn, isValid ? 'dg-text-import-value' : 'dg-text-import-invalid'),
+                  '>', escape(converted != null ? String(converted) : ''), '</td>');
+      });
+      html.push('</tr>');
+    });
+    html.push('</tbody></table>');
+    this.setPath('contentView.previewView.value', html.join(''));
+  },
+
+  /**
+    Imports the text with the current settings.
+   */
+  importText: function() {
+    var datasetName = (this.getPath('contentView.nameField.value') || '').trim(),
+        columns = (this.get('columns') || []).filter(function(iColumn) { return iColumn.include; }),
+        names = {},
+        rows, attributes, values, duplicateName;
+
+    columns.forEach(function(iColumn) {
+      if (!iColumn.name || names[iColumn.name]) duplicateName = iColumn.name || '""';
+      names[iColumn.name] = true;
+    });
+    if (!datasetName || !columns.length || duplicateName) {
+      DG.AlertPane.warn({
+        message: !datasetName
+                  ? 'DG.TextImportDialog.noDatasetName'.loc()
+                  : (!columns.length
+                      ? 'DG.TextImportDialog.noColumns'.loc()
+                      : 'DG.TextImportDialog.duplicateName'.loc(duplicateName))
+      });
+      return;
+    }
+
+    rows = DG.TextImportUtilities.parseDelimitedText(this._text, this.get('delimiter'));
+    if (this.get('hasHeaderRow')) rows.shift();
+    attributes = columns.map(DG.TextImportUtilities.getAttributeProperties);
+    values = DG.TextImportUtilities.getCaseValues(rows, columns);
+    this.close();
+    if (this.importAction)
+      this.importAction(datasetName, attributes, values);
+  },
+
+  close: function() {
+    this.remove();
+    this.destroy();
+  }
+});
+
+/**
+  Puts up a dialog for the import of delimited text.
+  @param {Object} iConfig
+              {ArrayBuffer|String} data -- the bytes of a file or already decoded text
+              {String}   datasetName -- the default name of the dataset
+              {Function} importAction -- called with the name of the dataset, the attribute
+                                         properties and the case values to import
+  @returns {DG.TextImportDialog} the created dialog
+ */
+DG.CreateTextImportDialog = function(iConfig) {
+  var tDialog = DG.TextImportDialog.create({
+                  data: iConfig.data,
+                  importAction: iConfig.importAction
+                });
+  tDialog.setPath('contentView.nameField.value', iConfig.datasetName || '');
+  tDialog.append();
+  return tDialog;
+};
@@ -1,8 +1,8 @@
 /* global _:true, CodeMirror:true, React:true, ReactDOM:true, ReactDOMFactories:true, PropTypes:true, createReactClass:true,
   createReactClassFactory:true, createReactFactory:true, createReactFC:true, ReactSizeMe: true, Popper:true, Tooltip:true,
-  L:true, Promise:true, pluralize:true, dayjs:true, nanoid:true, RTree:true, SlateEditor:true */
+  L:true, Promise:true, pluralize:true, dayjs:true, nanoid:true, pako:true, RTree:true, SlateEditor:true */
 /* exported _, CodeMirror, React, ReactDOM, ReactDOMFactories, PropTypes, createReactClass, createReactClassFactory, createReactFC,
-  createReactFactory, ReactSizeMe, Popper, Tooltip, L, Promise, pluralize, dayjs, nanoid, RTree, SlateEditor */
+  createReactFactory, ReactSizeMe, Popper, Tooltip, L, Promise, pluralize, dayjs, nanoid, pako, RTree, SlateEditor */
 
 var NativeDate = Date;
 require('es5-shim');
@@ -50,6 +50,7 @@ L.esri = require('esri-leaflet');
 pluralize = require('pluralize');
 dayjs  = require('dayjs');
 nanoid = require('nanoid');
+pako = require('pako');
 RTree = require('rtree');
 SlateEditor = require('@concord-consortium/slate-editor');
 require('@concord-consortium/slate-editor/build/index.css');